@@ -0,0 +1,401 @@
+/**
+ * API AUTH & DAILY BUDGETS
+ *
+ * Every /api request is either signed in (Supabase access token in the
+ * Authorization header → per-user budget) or anonymous (guest mode → a
+ * stricter budget keyed by a hash of the client IP). A token that fails
+ * verification is refused outright rather than downgraded to anonymous.
+ *
+ * Budgets are daily (reset at midnight UTC) and count requests plus
+ * Claude tokens. Tokens are weighted by model price so one Sonnet call
+ * uses the budget of ~3.75 Haiku calls. Usage is persisted in the
+ * api_usage table; per-user limits can be raised in api_budgets.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createClient } = require('@supabase/supabase-js');
+const { inputTokensOf, tokenWeight } = require('./llm/models.cjs');
+
+// Remaining daily budget is reported on every /api response
+const BUDGET_HEADERS = [
+  'X-Budget-Tier',
+  'X-Budget-Requests-Remaining',
+  'X-Budget-Tokens-Remaining',
+  'X-Budget-Reset',
+];
+
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+const SUPABASE_AUTH_KEY = SUPABASE_SERVICE_ROLE_KEY
+  || process.env.SUPABASE_ANON_KEY
+  || process.env.VITE_SUPABASE_ANON_KEY;
+
+const supabaseAdmin = SUPABASE_URL && SUPABASE_AUTH_KEY
+  ? createClient(SUPABASE_URL, SUPABASE_AUTH_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  })
+  : null;
+
+// Usage rows are written past RLS, which needs the service role key.
+// Without it usage is kept in memory only (lost on restart).
+const usageDb = SUPABASE_SERVICE_ROLE_KEY ? supabaseAdmin : null;
+
+const AUTH_CONFIGURED = Boolean(SUPABASE_JWT_SECRET || supabaseAdmin);
+
+const envLimit = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const DAILY_BUDGETS = {
+  user: {
+    requests: envLimit('API_DAILY_REQUEST_LIMIT', 300),
+    tokens: envLimit('API_DAILY_TOKEN_LIMIT', 400000),
+  },
+  anonymous: {
+    requests: envLimit('API_GUEST_DAILY_REQUEST_LIMIT', 40),
+    tokens: envLimit('API_GUEST_DAILY_TOKEN_LIMIT', 40000),
+  },
+};
+
+// Starting cost estimates (weighted tokens) for the heavier routes, replaced by a
+// running average of real calls. A request is refused up front when the remaining
+// token budget can't cover its route's estimate.
+const ROUTE_TOKEN_ESTIMATES = new Map(Object.entries({
+  '/api/generate-routine': 6000,
+  '/api/generate-smart-routines': 5000,
+  '/api/plan-activity': 4000,
+  '/api/organize-ideas': 5000,
+  '/api/generate-practice-questions': 20000,
+  '/api/evaluate-answer': 4000,
+  '/api/generate-cheatsheet': 20000,
+  '/api/generate-flashcards': 35000,
+  '/api/generate-mindmap': 15000,
+  '/api/extract-answer-from-image': 15000,
+}));
+const ESTIMATE_SMOOTHING = 0.2;
+
+// Routes that never call Claude - they only count against the request budget
+// (as do the /api/admin/* routes)
+const TOKEN_FREE_ROUTES = new Set([
+  '/api/run-code',
+  '/api/search-ideas',
+  '/api/similar-ideas',
+  '/api/cluster-ideas',
+  '/api/push/public-key',
+  '/api/push/subscribe',
+  '/api/push/unsubscribe',
+]);
+
+// Routes that are free altogether - they only describe the API and the budget
+const UNCOUNTED_ROUTES = new Set(['/api/budget', '/api/docs']);
+
+const AUTH_CACHE_TTL_MS = 5 * 60 * 1000;
+const LIMITS_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 5000;
+
+const authCache = new Map(); // token hash -> { user, expiresAt }
+const limitsCache = new Map(); // user id -> { limits, expiresAt }
+const usageCache = new Map(); // `${usageKey}|${date}` -> Promise<{ requests, tokens }>
+const usageContext = new AsyncLocalStorage();
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const todayUtc = () => new Date().toISOString().slice(0, 10);
+
+const nextBudgetReset = () => {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+};
+
+// Drop the oldest entries once a cache grows past its cap
+const trimCache = (cache) => {
+  while (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+const decodeJwtPart = (part) => {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// Verify an HS256 Supabase access token with the project's JWT secret (no network call)
+const verifySupabaseJwt = (token) => {
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = crypto
+    .createHmac('sha256', SUPABASE_JWT_SECRET)
+    .update(`${header}.${payload}`)
+    .digest('base64url');
+  const given = Buffer.from(signature);
+  const wanted = Buffer.from(expected);
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) return null;
+
+  const claims = decodeJwtPart(payload);
+  if (!claims?.sub || claims.role !== 'authenticated') return null;
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) return null;
+
+  return { id: claims.sub, email: claims.email, expiresAt: claims.exp * 1000 };
+};
+
+/**
+ * Resolve a Supabase access token to its user
+ * Uses the JWT secret when set (HS256 projects), otherwise asks Supabase Auth
+ * and caches the answer for a few minutes.
+ * @returns {Promise<Object|null>} { id, email } or null when the token is invalid
+ */
+const resolveSupabaseUser = async (token) => {
+  const header = decodeJwtPart(token.split('.')[0] || '');
+  if (!header) return null;
+
+  if (SUPABASE_JWT_SECRET && header.alg === 'HS256') {
+    return verifySupabaseJwt(token);
+  }
+  if (!supabaseAdmin) return null;
+
+  const cacheKey = sha256(token);
+  const cached = authCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+  const { data, error } = await supabaseAdmin.auth.getUser(token);
+  if (error || !data?.user) {
+    authCache.delete(cacheKey);
+    return null;
+  }
+
+  const user = { id: data.user.id, email: data.user.email };
+  const claims = decodeJwtPart(token.split('.')[1] || '');
+  const tokenExpiry = claims?.exp ? claims.exp * 1000 : Infinity;
+  authCache.set(cacheKey, { user, expiresAt: Math.min(Date.now() + AUTH_CACHE_TTL_MS, tokenExpiry) });
+  trimCache(authCache);
+  return user;
+};
+
+/**
+ * Work out whose budget a request is charged to
+ * @returns {Promise<Object|null>} { tier, usageKey, userId } or null for a rejected token
+ */
+const identifyRequest = async (req) => {
+  if (!AUTH_CONFIGURED && process.env.NODE_ENV !== 'production') {
+    // Local development without Supabase settings: one shared user budget
+    return { tier: 'user', usageKey: 'local', userId: null };
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (match && AUTH_CONFIGURED) {
+    const user = await resolveSupabaseUser(match[1]);
+    if (!user) return null;
+    return { tier: 'user', usageKey: `user:${user.id}`, userId: user.id };
+  }
+
+  // Raw IPs are never stored - only a hash of them
+  return { tier: 'anonymous', usageKey: `anon:${sha256(`neural-capture:${req.ip}`).slice(0, 32)}`, userId: null };
+};
+
+// Daily limits for a caller, including per-user overrides from api_budgets
+const loadLimits = async (identity) => {
+  const defaults = DAILY_BUDGETS[identity.tier];
+  if (!identity.userId || !usageDb) return defaults;
+
+  const cached = limitsCache.get(identity.userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.limits;
+
+  const { data, error } = await usageDb
+    .from('api_budgets')
+    .select('daily_requests, daily_tokens')
+    .eq('user_id', identity.userId)
+    .maybeSingle();
+  if (error) console.error('Failed to load API budget override:', error.message);
+
+  const limits = {
+    requests: data?.daily_requests ?? defaults.requests,
+    tokens: data?.daily_tokens ?? defaults.tokens,
+  };
+  limitsCache.set(identity.userId, { limits, expiresAt: Date.now() + LIMITS_CACHE_TTL_MS });
+  trimCache(limitsCache);
+  return limits;
+};
+
+// Today's usage for a key. The cached object is shared by concurrent requests,
+// so counting a request is synchronous and can't be raced past the limit.
+const loadUsage = (usageKey, date) => {
+  const cacheKey = `${usageKey}|${date}`;
+  if (!usageCache.has(cacheKey)) {
+    const load = async () => {
+      if (!usageDb) return { requests: 0, tokens: 0 };
+      const { data, error } = await usageDb
+        .from('api_usage')
+        .select('requests, weighted_tokens')
+        .eq('usage_key', usageKey)
+        .eq('usage_date', date)
+        .maybeSingle();
+      if (error) {
+        usageCache.delete(cacheKey);
+        throw new Error(`Failed to load API usage: ${error.message}`);
+      }
+      return { requests: data?.requests || 0, tokens: data?.weighted_tokens || 0 };
+    };
+    usageCache.set(cacheKey, load());
+    trimCache(usageCache);
+  }
+  return usageCache.get(cacheKey);
+};
+
+const persistUsage = async (budget, delta) => {
+  if (!usageDb) return;
+  const { data, error } = await usageDb.rpc('increment_api_usage', {
+    p_usage_key: budget.usageKey,
+    p_user_id: budget.userId,
+    p_usage_date: budget.date,
+    p_requests: delta.requests,
+    p_input_tokens: delta.inputTokens,
+    p_output_tokens: delta.outputTokens,
+    p_weighted_tokens: delta.weightedTokens,
+  });
+  if (error) {
+    console.error('Failed to record API usage:', error.message);
+    return;
+  }
+  // Other server instances may have spent from the same budget
+  const row = Array.isArray(data) ? data[0] : data;
+  if (row) {
+    budget.usage.requests = Math.max(budget.usage.requests, row.requests);
+    budget.usage.tokens = Math.max(budget.usage.tokens, row.weighted_tokens);
+  }
+};
+
+const describeBudget = ({ tier, limits, usage }) => ({
+  tier,
+  limits,
+  used: { requests: usage.requests, tokens: Math.round(usage.tokens) },
+  remaining: {
+    requests: Math.max(0, limits.requests - usage.requests),
+    tokens: Math.max(0, Math.round(limits.tokens - usage.tokens)),
+  },
+  resetsAt: nextBudgetReset().toISOString(),
+});
+
+const setBudgetHeaders = (res, budget) => {
+  const { tier, remaining, resetsAt } = describeBudget(budget);
+  res.setHeader('X-Budget-Tier', tier);
+  res.setHeader('X-Budget-Requests-Remaining', String(remaining.requests));
+  res.setHeader('X-Budget-Tokens-Remaining', String(remaining.tokens));
+  res.setHeader('X-Budget-Reset', resetsAt);
+};
+
+// Charge Claude token usage to the budget of the request that made the call
+const recordModelUsage = (model, usage) => {
+  const context = usageContext.getStore();
+  if (!context || !usage) return;
+
+  // Budget tokens are Haiku 3.5 equivalents (see tokenWeight in server/llm/models.cjs)
+  const inputTokens = inputTokensOf(usage);
+  const outputTokens = usage.output_tokens || 0;
+  const weightedTokens = (inputTokens + outputTokens) * tokenWeight(model);
+
+  context.inputTokens += inputTokens;
+  context.outputTokens += outputTokens;
+  context.weightedTokens += weightedTokens;
+  context.budget.usage.tokens += weightedTokens;
+};
+
+const updateRouteEstimate = (route, weightedTokens) => {
+  const previous = ROUTE_TOKEN_ESTIMATES.get(route);
+  ROUTE_TOKEN_ESTIMATES.set(
+    route,
+    previous == null
+      ? weightedTokens
+      : Math.round(previous + ESTIMATE_SMOOTHING * (weightedTokens - previous))
+  );
+};
+
+/**
+ * Mounted on /api: identify the caller, refuse when today's budget is spent,
+ * then track what the request uses (req.apiBudget holds the caller's budget)
+ */
+const budgetMiddleware = async (req, res, next) => {
+  const route = `${req.baseUrl}${req.path}`;
+
+  let identity;
+  let budget;
+  try {
+    identity = await identifyRequest(req);
+    if (!identity) {
+      return res.status(401).json({ error: 'Your session has expired. Please sign in again.' });
+    }
+
+    const date = todayUtc();
+    const [limits, usage] = await Promise.all([
+      loadLimits(identity),
+      loadUsage(identity.usageKey, date),
+    ]);
+    budget = { ...identity, date, limits, usage };
+  } catch (error) {
+    console.error('Error checking API budget:', error);
+    return res.status(503).json({ error: 'Could not verify your usage budget. Please try again shortly.' });
+  }
+
+  req.apiBudget = budget;
+  if (UNCOUNTED_ROUTES.has(route)) return next();
+
+  const remainingTokens = budget.limits.tokens - budget.usage.tokens;
+  const tokensNeeded = TOKEN_FREE_ROUTES.has(route) || route.startsWith('/api/admin/') ? 0 : Math.max(1, ROUTE_TOKEN_ESTIMATES.get(route) || 0);
+  if (budget.usage.requests >= budget.limits.requests || remainingTokens < tokensNeeded) {
+    setBudgetHeaders(res, budget);
+    res.setHeader('Retry-After', String(Math.ceil((nextBudgetReset() - Date.now()) / 1000)));
+    return res.status(429).json({
+      error: identity.tier === 'anonymous'
+        ? 'Daily AI limit for guests reached. Sign in for a bigger budget, or try again tomorrow.'
+        : 'Daily AI budget reached. It resets at midnight UTC.',
+      budget: { ...describeBudget(budget), estimate: tokensNeeded },
+    });
+  }
+
+  // Count the request now so concurrent calls can't all slip under the limit
+  budget.usage.requests += 1;
+  const context = { budget, inputTokens: 0, outputTokens: 0, weightedTokens: 0 };
+
+  // Headers are written after the Claude call, so they include this request's tokens
+  const writeHead = res.writeHead;
+  res.writeHead = function writeHeadWithBudget(...args) {
+    if (!res.headersSent) setBudgetHeaders(res, budget);
+    return writeHead.apply(this, args);
+  };
+
+  res.on('close', () => {
+    // Server failures that never reached Claude don't cost the user anything
+    if (res.statusCode >= 500 && context.weightedTokens === 0) {
+      budget.usage.requests -= 1;
+      return;
+    }
+    if (context.weightedTokens > 0) updateRouteEstimate(route, context.weightedTokens);
+    const { inputTokens, outputTokens, weightedTokens } = context;
+    persistUsage(budget, { requests: 1, inputTokens, outputTokens, weightedTokens }).catch(error => {
+      console.error('Failed to record API usage:', error);
+    });
+  });
+
+  usageContext.run(context, next);
+};
+
+// Today's per-route estimates (GET /api/budget)
+const getRouteEstimates = () => Object.fromEntries(ROUTE_TOKEN_ESTIMATES);
+
+module.exports = {
+  AUTH_CONFIGURED,
+  BUDGET_HEADERS,
+  DAILY_BUDGETS,
+  budgetMiddleware,
+  describeBudget,
+  getRouteEstimates,
+  recordModelUsage,
+  usageDb,
+};
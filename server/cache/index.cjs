@@ -0,0 +1,213 @@
+/**
+ * RESPONSE CACHE
+ *
+ * Remembers model answers for endpoints whose output only depends on their
+ * inputs, so identical requests aren't billed twice. Entries are keyed on the
+ * endpoint, the model it's routed to and its normalized inputs (trimmed,
+ * lower-cased, whitespace collapsed, object keys sorted) - switching a task to
+ * another model starts a fresh cache for it.
+ *
+ * STORES (RESPONSE_CACHE):
+ * - supabase - response_cache table, shared across instances and redeploys
+ * - file     - .cache/response-cache.json (RESPONSE_CACHE_FILE to move it)
+ * - off      - no caching
+ * Without RESPONSE_CACHE: supabase when the service role key is set, file otherwise.
+ *
+ * TTLs are per endpoint (CACHE_TTLS, in hours); CACHE_TTL_<ENDPOINT>=hours overrides one.
+ */
+
+const crypto = require('crypto');
+const { createFileStore } = require('./stores/file.cjs');
+const { createSupabaseStore } = require('./stores/supabase.cjs');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Hours an answer stays valid, per endpoint (task name)
+const CACHE_TTLS = {
+  // The hierarchy for a subject name practically never changes
+  'classify-subject': 24 * 90,
+  'classify-idea': 24 * 30,
+  'generate-cheatsheet': 24 * 14,
+  'generate-flashcards': 24 * 7,
+};
+
+const LIST_LIMIT = 100;
+
+// ============================================
+// KEYS
+// ============================================
+
+// Same meaning, same key: case, spacing and key order don't matter
+const normalizeInputs = (value) => {
+  if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ').toLowerCase();
+  if (Array.isArray(value)) return value.map(normalizeInputs);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter(key => value[key] !== undefined && value[key] !== null && value[key] !== '')
+        .sort()
+        .map(key => [key, normalizeInputs(value[key])])
+    );
+  }
+  return value ?? null;
+};
+
+const envKey = (endpoint) => `CACHE_TTL_${endpoint.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+
+// ============================================
+// STORE SELECTION
+// ============================================
+
+/**
+ * Store named by RESPONSE_CACHE (or the default for this environment)
+ * @param {Object} options - { env, supabase } - supabase is the service role client, if any
+ * @returns {Object|null} Store, or null when caching is off
+ */
+const createStore = ({ env = process.env, supabase = null } = {}) => {
+  const name = env.RESPONSE_CACHE || (supabase ? 'supabase' : 'file');
+
+  if (name === 'off') return null;
+  if (name === 'file') return createFileStore({ file: env.RESPONSE_CACHE_FILE || undefined });
+  if (name === 'supabase') {
+    if (!supabase) throw new Error('RESPONSE_CACHE=supabase needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    return createSupabaseStore({ client: supabase });
+  }
+  throw new Error(`Unknown RESPONSE_CACHE "${name}" (expected "supabase", "file" or "off")`);
+};
+
+// ============================================
+// CACHE
+// ============================================
+
+/**
+ * @param {Object} options
+ * @param {Object|null} options.store - From createStore()
+ * @param {Function} options.modelFor - (endpoint) => model the endpoint is routed to
+ * @param {string} options.namespace - Kept apart from other namespaces (e.g. the provider name)
+ * @param {Object} options.env - Environment for TTL overrides
+ * @returns {Object} { enabled, keyFor, get, set, list, invalidate, getStats }
+ */
+const createResponseCache = ({ store, modelFor, namespace = '', env = process.env }) => {
+  const stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+
+  const ttlHours = (endpoint) => {
+    const override = parseFloat(env[envKey(endpoint)]);
+    return Number.isFinite(override) && override >= 0 ? override : CACHE_TTLS[endpoint];
+  };
+
+  // Store failures never fail the request - the answer is just generated again
+  const safely = async (label, action, fallback) => {
+    try {
+      return await action();
+    } catch (error) {
+      stats.errors += 1;
+      console.error(`Response cache: ${label} failed -`, error.message);
+      return fallback;
+    }
+  };
+
+  /**
+   * Cache key for a request
+   * @param {string} endpoint - Key of CACHE_TTLS
+   * @param {Object} inputs - Everything the prompt depends on
+   * @returns {Object} { key, endpoint, model }
+   */
+  const keyFor = (endpoint, inputs) => {
+    if (!(endpoint in CACHE_TTLS)) throw new Error(`No cache TTL for endpoint: ${endpoint}`);
+    const model = modelFor(endpoint);
+    const key = crypto.createHash('sha256')
+      .update(JSON.stringify([namespace, endpoint, model, normalizeInputs(inputs)]))
+      .digest('hex');
+    return { key, endpoint, model };
+  };
+
+  /**
+   * Cached value, if there is a live one
+   * @param {Object} cacheKey - From keyFor()
+   * @returns {Promise<Object|null>} { value, ageSeconds } or null
+   */
+  const get = async (cacheKey) => {
+    if (!store || !ttlHours(cacheKey.endpoint)) return null;
+    const entry = await safely('read', () => store.get(cacheKey.key), null);
+    if (!entry) {
+      stats.misses += 1;
+      return null;
+    }
+    stats.hits += 1;
+    safely('hit count', () => store.touch(cacheKey.key));
+    return {
+      value: entry.value,
+      ageSeconds: Math.max(0, Math.round((Date.now() - new Date(entry.createdAt).getTime()) / 1000)),
+    };
+  };
+
+  /**
+   * Remember a value for the endpoint's TTL
+   * @param {Object} cacheKey - From keyFor()
+   * @param {*} value - JSON-serializable response body
+   * @returns {Promise<void>}
+   */
+  const set = async (cacheKey, value) => {
+    const hours = store ? ttlHours(cacheKey.endpoint) : 0;
+    if (!hours) return;
+    const now = Date.now();
+    await safely('write', async () => {
+      await store.set({
+        ...cacheKey,
+        value,
+        hits: 0,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + hours * 60 * 60 * 1000).toISOString(),
+        lastHitAt: null,
+      });
+      stats.writes += 1;
+    });
+  };
+
+  /**
+   * Live entries, newest first (values are left out - they can be large)
+   * @param {Object} options - { endpoint, limit }
+   * @returns {Promise<Object>} { store, total, entries }
+   */
+  const list = async ({ endpoint, limit = LIST_LIMIT } = {}) => {
+    if (!store) return { store: 'off', total: 0, entries: [] };
+    const { total, entries } = await store.list({ endpoint, limit: Math.min(limit, 1000) });
+    return {
+      store: store.name,
+      total,
+      entries: entries.map(({ value, ...entry }) => entry),
+    };
+  };
+
+  /**
+   * Remove entries: one key, one endpoint, or everything
+   * @param {Object} options - { key, endpoint }
+   * @returns {Promise<number>} Entries removed
+   */
+  const invalidate = async ({ key, endpoint } = {}) => {
+    if (!store) return 0;
+    if (key) return store.delete(key);
+    return store.clear({ endpoint });
+  };
+
+  /**
+   * Hits and misses since the server started
+   * @returns {Object} { store, hits, misses, writes, errors, ttlHours }
+   */
+  const getStats = () => ({
+    store: store ? store.name : 'off',
+    ...stats,
+    ttlHours: Object.fromEntries(Object.keys(CACHE_TTLS).map(endpoint => [endpoint, ttlHours(endpoint)])),
+  });
+
+  return { enabled: Boolean(store), keyFor, get, set, list, invalidate, getStats };
+};
+
+module.exports = {
+  CACHE_TTLS,
+  createResponseCache,
+  createStore,
+  normalizeInputs,
+};
@@ -0,0 +1,136 @@
+/**
+ * FILE STORE
+ *
+ * Response cache kept in memory and mirrored to one JSON file, so entries
+ * survive restarts on a single machine (local development, one-box deploys).
+ * Writes are batched and go through a temp file + rename, so a crash never
+ * leaves a half-written cache behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', '..', '.cache', 'response-cache.json');
+
+// Oldest entries are dropped past this (cheat sheets are ~10KB each)
+const MAX_ENTRIES = 2000;
+const SAVE_DELAY_MS = 1000;
+
+const isExpired = (entry, now = Date.now()) => new Date(entry.expiresAt).getTime() <= now;
+
+/**
+ * @param {Object} options - { file }
+ * @returns {Object} Store: { name, get, set, touch, delete, list, clear }
+ */
+const createFileStore = ({ file = DEFAULT_FILE } = {}) => {
+  const entries = new Map();
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    (saved.entries || []).forEach(entry => {
+      if (!isExpired(entry)) entries.set(entry.key, entry);
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Response cache: ignoring unreadable ${file} (${error.message})`);
+  }
+
+  let saveTimer = null;
+  const save = () => {
+    saveTimer = null;
+    const temp = `${file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(temp, JSON.stringify({ version: 1, entries: [...entries.values()] }));
+      fs.renameSync(temp, file);
+    } catch (error) {
+      console.error('Response cache: failed to save', error.message);
+    }
+  };
+  const scheduleSave = () => {
+    if (!saveTimer) {
+      saveTimer = setTimeout(save, SAVE_DELAY_MS);
+      saveTimer.unref?.();
+    }
+  };
+
+  const evictOldest = () => {
+    while (entries.size > MAX_ENTRIES) {
+      let oldest = null;
+      for (const entry of entries.values()) {
+        if (!oldest || entry.createdAt < oldest.createdAt) oldest = entry;
+      }
+      entries.delete(oldest.key);
+    }
+  };
+
+  // Expired entries are dropped whenever they're seen
+  const live = () => {
+    const now = Date.now();
+    let removed = false;
+    for (const entry of entries.values()) {
+      if (isExpired(entry, now)) {
+        entries.delete(entry.key);
+        removed = true;
+      }
+    }
+    if (removed) scheduleSave();
+    return [...entries.values()];
+  };
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        scheduleSave();
+        return null;
+      }
+      return entry;
+    },
+
+    async set(entry) {
+      entries.delete(entry.key); // Re-insert so iteration order stays oldest-first
+      entries.set(entry.key, entry);
+      evictOldest();
+      scheduleSave();
+    },
+
+    async touch(key) {
+      const entry = entries.get(key);
+      if (!entry) return;
+      entry.hits += 1;
+      entry.lastHitAt = new Date().toISOString();
+      scheduleSave();
+    },
+
+    async delete(key) {
+      const existed = entries.delete(key);
+      if (existed) scheduleSave();
+      return existed ? 1 : 0;
+    },
+
+    async list({ endpoint, limit }) {
+      const matching = live()
+        .filter(entry => !endpoint || entry.endpoint === endpoint)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return { total: matching.length, entries: matching.slice(0, limit) };
+    },
+
+    async clear({ endpoint } = {}) {
+      let removed = 0;
+      for (const entry of [...entries.values()]) {
+        if (!endpoint || entry.endpoint === endpoint) {
+          entries.delete(entry.key);
+          removed += 1;
+        }
+      }
+      if (removed) scheduleSave();
+      return removed;
+    },
+  };
+};
+
+module.exports = { createFileStore, DEFAULT_FILE };
@@ -0,0 +1,104 @@
+/**
+ * SUPABASE STORE
+ *
+ * Response cache in the response_cache table (supabase-setup.sql), shared by
+ * every server instance and kept across redeploys. Needs the service role
+ * client - the table has RLS on and no policies, so only the server sees it.
+ */
+
+const TABLE = 'response_cache';
+
+// Expired rows are swept at most this often (reads already skip them)
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const toEntry = (row) => ({
+  key: row.cache_key,
+  endpoint: row.endpoint,
+  model: row.model,
+  value: row.value,
+  hits: row.hits,
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+  lastHitAt: row.last_hit_at,
+});
+
+/**
+ * @param {Object} options - { client } - Supabase client with the service role key
+ * @returns {Object} Store: { name, get, set, touch, delete, list, clear }
+ */
+const createSupabaseStore = ({ client }) => {
+  let lastSweep = 0;
+
+  const sweep = async () => {
+    if (Date.now() - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = Date.now();
+    const { error } = await client.from(TABLE).delete().lt('expires_at', new Date().toISOString());
+    if (error) console.error('Response cache: failed to sweep expired rows', error.message);
+  };
+
+  return {
+    name: 'supabase',
+
+    async get(key) {
+      const { data, error } = await client
+        .from(TABLE)
+        .select('*')
+        .eq('cache_key', key)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+      if (error) throw error;
+      return data ? toEntry(data) : null;
+    },
+
+    async set(entry) {
+      const { error } = await client.from(TABLE).upsert({
+        cache_key: entry.key,
+        endpoint: entry.endpoint,
+        model: entry.model,
+        value: entry.value,
+        hits: entry.hits,
+        created_at: entry.createdAt,
+        expires_at: entry.expiresAt,
+        last_hit_at: null,
+      }, { onConflict: 'cache_key' });
+      if (error) throw error;
+      sweep().catch(() => {});
+    },
+
+    async touch(key) {
+      const { error } = await client.rpc('touch_response_cache', { p_cache_key: key });
+      if (error) throw error;
+    },
+
+    async delete(key) {
+      const { data, error } = await client.from(TABLE).delete().eq('cache_key', key).select('cache_key');
+      if (error) throw error;
+      return data.length;
+    },
+
+    async list({ endpoint, limit }) {
+      let query = client
+        .from(TABLE)
+        .select('cache_key, endpoint, model, hits, created_at, expires_at, last_hit_at', { count: 'exact' })
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (endpoint) query = query.eq('endpoint', endpoint);
+
+      const { data, count, error } = await query;
+      if (error) throw error;
+      return { total: count ?? data.length, entries: data.map(toEntry) };
+    },
+
+    async clear({ endpoint } = {}) {
+      // PostgREST refuses an unfiltered delete, so "everything" is every key
+      let query = client.from(TABLE).delete().neq('cache_key', '');
+      if (endpoint) query = query.eq('endpoint', endpoint);
+      const { data, error } = await query.select('cache_key');
+      if (error) throw error;
+      return data.length;
+    },
+  };
+};
+
+module.exports = { createSupabaseStore };
@@ -0,0 +1,147 @@
+/**
+ * EMBEDDINGS
+ *
+ * Turns idea text into vectors for semantic search, "find similar" and
+ * near-duplicate clustering (ranking.cjs). Vectors are remembered per text, so
+ * re-sending the same ideas with every search only embeds what changed.
+ *
+ * PROVIDERS (EMBEDDINGS_PROVIDER):
+ * - local - all-MiniLM-L6-v2 run in-process (EMBEDDINGS_MODEL for another
+ *           Transformers.js feature-extraction model, EMBEDDINGS_CACHE_DIR for its files)
+ * - mock  - Deterministic word + concept hashing from fixtures/concepts.json, no download
+ * - off   - No embeddings; search falls back to keywords
+ * Without EMBEDDINGS_PROVIDER: local.
+ *
+ * When the model can't be loaded or run, embed() throws EmbeddingsUnavailableError
+ * and callers fall back to keyword matching instead of failing the request.
+ */
+
+const { createLocalEmbeddingProvider } = require('./providers/local.cjs');
+const { createMockEmbeddingProvider } = require('./providers/mock.cjs');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Texts per model call - bounds memory on large idea lists
+const BATCH_SIZE = 32;
+
+// Vectors kept in memory (384 floats each for the default model)
+const DEFAULT_CACHE_SIZE = 5000;
+
+// ============================================
+// ERRORS
+// ============================================
+
+// The provider couldn't embed (model not downloaded, offline, turned off)
+class EmbeddingsUnavailableError extends Error {
+  constructor(cause) {
+    super(`Embeddings unavailable: ${cause?.message || 'no provider'}`);
+    this.name = 'EmbeddingsUnavailableError';
+    this.cause = cause;
+  }
+}
+
+// ============================================
+// PROVIDER SELECTION
+// ============================================
+
+/**
+ * Provider named by EMBEDDINGS_PROVIDER
+ * @param {Object} env - Environment variables
+ * @returns {Object} Provider: { name, model, embed(texts) -> vectors }
+ */
+const createEmbeddingProvider = (env = process.env) => {
+  const name = env.EMBEDDINGS_PROVIDER || 'local';
+
+  if (name === 'local') {
+    return createLocalEmbeddingProvider({
+      model: env.EMBEDDINGS_MODEL || undefined,
+      cacheDir: env.EMBEDDINGS_CACHE_DIR || undefined,
+    });
+  }
+  if (name === 'mock') return createMockEmbeddingProvider();
+  if (name === 'off') {
+    return {
+      name: 'off',
+      model: null,
+      async embed() {
+        throw new Error('EMBEDDINGS_PROVIDER is off');
+      },
+    };
+  }
+  throw new Error(`Unknown EMBEDDINGS_PROVIDER "${name}" (expected "local", "mock" or "off")`);
+};
+
+// ============================================
+// EMBEDDER
+// ============================================
+
+// Same text, same vector - whitespace and case don't change the meaning enough to re-embed
+const cacheKey = (text) => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * @param {Object} options
+ * @param {Object} options.provider - From createEmbeddingProvider()
+ * @param {number} options.cacheSize - Vectors kept in memory (least recently used are dropped)
+ * @returns {Object} { provider, embed, getStats }
+ */
+const createEmbedder = ({ provider, cacheSize = DEFAULT_CACHE_SIZE }) => {
+  const vectors = new Map();
+  const stats = { embedded: 0, cacheHits: 0, failures: 0, lastError: null };
+
+  const remember = (key, vector) => {
+    vectors.delete(key);
+    vectors.set(key, vector);
+    if (vectors.size > cacheSize) vectors.delete(vectors.keys().next().value);
+  };
+
+  /**
+   * @param {Array<string>} texts
+   * @returns {Promise<Object>} { model, vectors } - one vector per text, same order
+   * @throws {EmbeddingsUnavailableError}
+   */
+  const embed = async (texts) => {
+    const keys = texts.map(cacheKey);
+    // Held here rather than read back from the cache, which a long list can overflow
+    const found = new Map();
+    keys.forEach(key => {
+      if (found.has(key) || !vectors.has(key)) return;
+      found.set(key, vectors.get(key));
+      remember(key, vectors.get(key));
+      stats.cacheHits += 1;
+    });
+
+    const missing = [...new Set(keys.filter(key => !found.has(key)))];
+    try {
+      for (let start = 0; start < missing.length; start += BATCH_SIZE) {
+        const batch = missing.slice(start, start + BATCH_SIZE);
+        const embedded = await provider.embed(batch);
+        batch.forEach((key, index) => {
+          const vector = Float32Array.from(embedded[index]);
+          found.set(key, vector);
+          remember(key, vector);
+        });
+        stats.embedded += batch.length;
+      }
+    } catch (error) {
+      stats.failures += 1;
+      stats.lastError = error.message;
+      throw new EmbeddingsUnavailableError(error);
+    }
+
+    return { model: provider.model, vectors: keys.map(key => found.get(key)) };
+  };
+
+  return {
+    provider,
+    embed,
+    getStats: () => ({ provider: provider.name, model: provider.model, cached: vectors.size, ...stats }),
+  };
+};
+
+module.exports = {
+  EmbeddingsUnavailableError,
+  createEmbedder,
+  createEmbeddingProvider,
+};
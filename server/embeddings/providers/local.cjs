@@ -0,0 +1,53 @@
+/**
+ * LOCAL EMBEDDINGS PROVIDER
+ *
+ * A small sentence-embedding model run in-process with Transformers.js (ONNX
+ * on the CPU) - no API key, and idea text never leaves the server. The model
+ * (~25 MB quantized) is downloaded from the Hugging Face hub on first use and
+ * kept in EMBEDDINGS_CACHE_DIR.
+ */
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// After a failed load (offline, hub down) wait this long before trying again
+const RELOAD_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * @param {Object} options - { model, cacheDir }
+ * @returns {Object} Provider: { name, model, embed }
+ */
+const createLocalEmbeddingProvider = ({ model = DEFAULT_MODEL, cacheDir } = {}) => {
+  let extractor = null;
+  let failedAt = 0;
+
+  // Transformers.js is ESM-only and heavy - loaded on the first embed, not at startup
+  const load = () => {
+    if (!extractor && Date.now() - failedAt < RELOAD_DELAY_MS) {
+      return Promise.reject(new Error(`Embedding model ${model} failed to load recently`));
+    }
+    extractor = extractor || import('@huggingface/transformers')
+      .then(({ env, pipeline }) => {
+        if (cacheDir) env.cacheDir = cacheDir;
+        return pipeline('feature-extraction', model, { dtype: 'q8' });
+      })
+      .catch(error => {
+        extractor = null;
+        failedAt = Date.now();
+        throw error;
+      });
+    return extractor;
+  };
+
+  return {
+    name: 'local',
+    model,
+
+    async embed(texts) {
+      const extract = await load();
+      const output = await extract(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    },
+  };
+};
+
+module.exports = { createLocalEmbeddingProvider, DEFAULT_MODEL };
@@ -0,0 +1,70 @@
+/**
+ * MOCK EMBEDDINGS PROVIDER
+ *
+ * Deterministic offline stand-in for the local model: words are hashed into a
+ * fixed number of dimensions, and words listed under the same concept in
+ * fixtures/concepts.json share a dimension - so "exercise" and "go for a run"
+ * come out close while sharing no word, the way a real model places them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('../ranking.cjs');
+
+const DEFAULT_CONCEPTS_FILE = path.join(__dirname, '..', 'fixtures', 'concepts.json');
+const DIMENSIONS = 256;
+
+// A word that belongs to a concept keeps some weight of its own, so two
+// different exercises aren't identical
+const OWN_WORD_WEIGHT = 0.5;
+
+// FNV-1a, so the same word always lands in the same dimension
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value;
+};
+
+const addFeature = (vector, feature, weight) => {
+  const value = hash(feature);
+  vector[value % DIMENSIONS] += value & 0x80000000 ? -weight : weight;
+};
+
+/**
+ * @param {Object} options - { conceptsFile }
+ * @returns {Object} Provider: { name, model, embed }
+ */
+const createMockEmbeddingProvider = ({ conceptsFile = DEFAULT_CONCEPTS_FILE } = {}) => {
+  // Stemmed word -> the concepts it belongs to
+  const conceptsOf = new Map();
+  Object.entries(JSON.parse(fs.readFileSync(conceptsFile, 'utf8'))).forEach(([concept, words]) => {
+    words.flatMap(tokenize).forEach(word => {
+      conceptsOf.set(word, [...(conceptsOf.get(word) || []), concept]);
+    });
+  });
+
+  const embedOne = (text) => {
+    const vector = new Array(DIMENSIONS).fill(0);
+    tokenize(text).forEach(word => {
+      const concepts = conceptsOf.get(word) || [];
+      concepts.forEach(concept => addFeature(vector, `concept:${concept}`, 1));
+      addFeature(vector, `word:${word}`, concepts.length > 0 ? OWN_WORD_WEIGHT : 1);
+    });
+    const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  };
+
+  return {
+    name: 'mock',
+    model: 'mock-concepts',
+
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+};
+
+module.exports = { createMockEmbeddingProvider, DEFAULT_CONCEPTS_FILE };
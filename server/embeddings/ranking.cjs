@@ -0,0 +1,292 @@
+/**
+ * RANKING
+ *
+ * Pure helpers behind idea search: a keyword score that weighs where a word
+ * matched, cosine similarity between embeddings, the hybrid ranker that blends
+ * the two, and near-duplicate clustering. No I/O - the routes embed first and
+ * pass the vectors in.
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Where a query word matched, relative to the idea's content
+const FIELD_WEIGHTS = { tags: 1.5, content: 1, context: 0.5 };
+
+// A query word that only starts an idea's word ("exerc" -> "exercise") counts this much
+const PREFIX_MATCH_WEIGHT = 0.8;
+
+// Share of the hybrid score that comes from the embeddings
+const SEMANTIC_WEIGHT = 0.6;
+
+// Cosine similarity of unrelated short texts sits around 0-0.2 for small
+// sentence models; semantic scores are rescaled from this floor
+const SEMANTIC_FLOOR = 0.2;
+
+// Cosine similarity at which an idea matches a query with no shared words
+const SEMANTIC_MATCH = 0.35;
+
+// "Find similar" (cosine similarity, or word overlap without embeddings) and
+// near-duplicate clustering
+const SIMILAR_THRESHOLD = 0.5;
+const KEYWORD_SIMILAR_THRESHOLD = 0.3;
+const DUPLICATE_THRESHOLD = 0.9;
+
+// Pairwise comparison is quadratic - only the newest ideas are clustered
+const MAX_CLUSTER_IDEAS = 1000;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'but', 'by', 'can', 'could', 'do', 'does', 'for', 'from', 'get', 'go', 'going', 'got', 'had',
+  'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+  'like', 'me', 'more', 'my', 'need', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'should',
+  'so', 'some', 'she', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to',
+  'up', 'us', 'was', 'we', 'were', 'what', 'when', 'which', 'will', 'with', 'would', 'you', 'your',
+]);
+
+// ============================================
+// TEXT
+// ============================================
+
+// Crude suffix stripping, so "running", "runs" and "run" meet
+const stem = (word) => {
+  if (word.length <= 3 || word.endsWith('ss')) return word;
+  for (const suffix of ['ing', 'ed', 's']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      const root = word.slice(0, -suffix.length);
+      // "runn" -> "run", "planned" -> "plan"
+      return /([^aeiouls])\1$/.test(root) ? root.slice(0, -1) : root;
+    }
+  }
+  return word;
+};
+
+/**
+ * Lower-cased, stemmed words without stopwords
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word && !STOPWORDS.has(word))
+  .map(stem);
+
+/**
+ * The text an idea is embedded and matched by: content, tags and context
+ * @param {Object} idea - { content, tags, context }
+ * @returns {string}
+ */
+const ideaText = (idea) => [
+  idea.content,
+  ...(idea.tags || []),
+  idea.context,
+].filter(Boolean).join('\n');
+
+// ============================================
+// SCORES
+// ============================================
+
+/**
+ * How well an idea's words match a query, 0-1. Tags count more than content,
+ * context less; the whole query appearing verbatim always matches, so nothing
+ * the plain substring filter finds is lost.
+ * @param {string} query
+ * @param {Object} idea - { content, tags, context }
+ * @returns {number}
+ */
+const keywordScore = (query, idea) => {
+  const queryWords = tokenize(query);
+  if (queryWords.length === 0) return 0;
+
+  const fields = {
+    tags: (idea.tags || []).flatMap(tokenize),
+    content: tokenize(idea.content),
+    context: tokenize(idea.context),
+  };
+
+  const matched = queryWords.reduce((total, word) => total + Math.max(0, ...Object.entries(fields).map(([field, words]) => {
+    if (words.includes(word)) return FIELD_WEIGHTS[field];
+    if (words.some(candidate => candidate.startsWith(word))) return FIELD_WEIGHTS[field] * PREFIX_MATCH_WEIGHT;
+    return 0;
+  })), 0);
+  const score = matched / (queryWords.length * FIELD_WEIGHTS.tags);
+
+  const phrase = query.trim().toLowerCase();
+  const verbatim = [idea.content, idea.context, ...(idea.tags || [])]
+    .some(text => text && text.toLowerCase().includes(phrase));
+  return Math.min(1, verbatim ? Math.max(score, 0.5) : score);
+};
+
+/**
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number} -1 to 1 (0 when either vector is empty or all zeros)
+ */
+const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+};
+
+/**
+ * Share of distinct words two texts have in common (Jaccard) - the keyword
+ * stand-in for cosine similarity
+ * @param {Set<string>} a - tokenize() words
+ * @param {Set<string>} b
+ * @returns {number} 0-1
+ */
+const wordOverlap = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared += 1; });
+  return shared / (a.size + b.size - shared);
+};
+
+// Cosine similarity rescaled to 0-1 above SEMANTIC_FLOOR
+const semanticScore = (similarity) => Math.max(0, (similarity - SEMANTIC_FLOOR) / (1 - SEMANTIC_FLOOR));
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// ============================================
+// RANKERS
+// ============================================
+
+/**
+ * Rank ideas against a search query. Without vectors it's keyword-only.
+ * @param {Object} options
+ * @param {string} options.query
+ * @param {Array<Object>} options.ideas - { id, content, tags, context }
+ * @param {Array<number>|null} options.queryVector - Embedding of the query
+ * @param {Array<Array<number>>|null} options.vectors - Embedding of each idea (same order)
+ * @param {number} options.limit
+ * @returns {Array<Object>} { id, score, keywordScore, semanticScore }, best first
+ */
+const hybridRank = ({ query, ideas, queryVector = null, vectors = null, limit = 50 }) => {
+  const semantic = Boolean(queryVector && vectors);
+
+  return ideas
+    .map((idea, index) => {
+      const keyword = keywordScore(query, idea);
+      const similarity = semantic ? cosineSimilarity(queryVector, vectors[index]) : 0;
+      const meaning = semanticScore(similarity);
+      return {
+        id: idea.id,
+        matches: keyword > 0 || similarity >= SEMANTIC_MATCH,
+        score: semantic ? (1 - SEMANTIC_WEIGHT) * keyword + SEMANTIC_WEIGHT * meaning : keyword,
+        keywordScore: keyword,
+        semanticScore: meaning,
+      };
+    })
+    .filter(result => result.matches)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ id, score, keywordScore: keyword, semanticScore: meaning }) => ({
+      id,
+      score: round(score),
+      keywordScore: round(keyword),
+      semanticScore: round(meaning),
+    }));
+};
+
+/**
+ * Ideas closest in meaning to one idea. Without vectors, shared words stand in
+ * for meaning.
+ * @param {Object} options
+ * @param {Object} options.idea - { id, content, tags, context }
+ * @param {Array<Object>} options.ideas - Candidates, may include the idea itself
+ * @param {Array<number>|null} options.vector - Embedding of the idea
+ * @param {Array<Array<number>>|null} options.vectors - Embedding of each candidate (same order)
+ * @param {number} options.limit
+ * @returns {Array<Object>} { id, similarity }, most similar first
+ */
+const findSimilar = ({ idea, ideas, vector = null, vectors = null, limit = 10 }) => {
+  const semantic = Boolean(vector && vectors);
+  const words = semantic ? null : new Set(tokenize(ideaText(idea)));
+  const threshold = semantic ? SIMILAR_THRESHOLD : KEYWORD_SIMILAR_THRESHOLD;
+
+  return ideas
+    .map((other, index) => ({
+      id: other.id,
+      similarity: semantic
+        ? cosineSimilarity(vector, vectors[index])
+        : wordOverlap(words, new Set(tokenize(ideaText(other)))),
+    }))
+    .filter(({ id, similarity }) => id !== idea.id && similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+    .map(({ id, similarity }) => ({ id, similarity: round(similarity) }));
+};
+
+/**
+ * Group ideas that say the same thing: any two at or above the threshold end
+ * up in one cluster (single linkage). Without vectors, word overlap is compared
+ * against the same threshold.
+ * @param {Array<Object>} ideas - { id, content, tags, context }, newest first
+ * @param {Array<Array<number>>|null} vectors - Embedding of each idea (same order)
+ * @param {number} threshold - Minimum similarity
+ * @returns {Array<Object>} { ids, similarity } - similarity is the weakest link;
+ *   biggest clusters first
+ */
+const clusterNearDuplicates = (ideas, vectors = null, threshold = DUPLICATE_THRESHOLD) => {
+  const count = Math.min(ideas.length, MAX_CLUSTER_IDEAS);
+  const words = vectors ? null : ideas.slice(0, count).map(idea => new Set(tokenize(ideaText(idea))));
+  const similarityOf = (i, j) => (vectors ? cosineSimilarity(vectors[i], vectors[j]) : wordOverlap(words[i], words[j]));
+
+  const parent = Array.from({ length: count }, (_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const weakestLink = new Map();
+  for (let i = 0; i < count; i += 1) {
+    for (let j = i + 1; j < count; j += 1) {
+      const similarity = similarityOf(i, j);
+      if (similarity < threshold) continue;
+      const [rootI, rootJ] = [find(i), find(j)];
+      const links = [similarity, weakestLink.get(rootI), weakestLink.get(rootJ)].filter(value => value !== undefined);
+      weakestLink.delete(rootJ);
+      parent[rootJ] = rootI;
+      weakestLink.set(rootI, Math.min(...links));
+    }
+  }
+
+  const clusters = new Map();
+  for (let index = 0; index < count; index += 1) {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(ideas[index].id);
+  }
+
+  return [...clusters.entries()]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([root, ids]) => ({ ids, similarity: round(weakestLink.get(root)) }))
+    .sort((a, b) => b.ids.length - a.ids.length || b.similarity - a.similarity);
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  MAX_CLUSTER_IDEAS,
+  SEMANTIC_MATCH,
+  SIMILAR_THRESHOLD,
+  clusterNearDuplicates,
+  cosineSimilarity,
+  findSimilar,
+  hybridRank,
+  ideaText,
+  keywordScore,
+  tokenize,
+  wordOverlap,
+};
@@ -0,0 +1,32 @@
+/**
+ * LLM ERRORS
+ *
+ * Provider errors (auth, rate limits, bad requests) pass through unchanged and
+ * keep their HTTP `status`; these cover the cases every provider shares.
+ */
+
+// The caller aborted the request (client hung up, cancel button)
+class LlmAbortError extends Error {
+  constructor(message = 'Request was aborted.') {
+    super(message);
+    this.name = 'LlmAbortError';
+  }
+}
+
+// The model's answer wasn't usable JSON, even after repair
+class LlmJsonError extends Error {
+  /**
+   * @param {Array<string>} problems - Parse or schema errors
+   * @param {string} text - The raw response text
+   * @param {*} data - What did parse, if it only failed the schema (undefined if nothing parsed)
+   */
+  constructor(problems, text, data) {
+    super(`Model returned invalid JSON: ${problems.slice(0, 3).join('; ')}`);
+    this.name = 'LlmJsonError';
+    this.problems = problems;
+    this.text = text;
+    this.data = data;
+  }
+}
+
+module.exports = { LlmAbortError, LlmJsonError };
@@ -0,0 +1,279 @@
+/**
+ * LLM LAYER
+ *
+ * The one place the server talks to a model. Routes name a task (see
+ * models.cjs) and get back text or validated JSON; this layer picks the model,
+ * retries rate limits and overloads, repairs broken JSON, and keeps token and
+ * cost totals.
+ *
+ * PROVIDERS (LLM_PROVIDER):
+ * - anthropic - Claude (needs ANTHROPIC_API_KEY)
+ * - mock      - Deterministic fixtures from server/llm/fixtures, no key or network
+ *               (LLM_FIXTURES_DIR to use another folder, LLM_MOCK_DELAY_MS to pace streams)
+ * Without LLM_PROVIDER: anthropic when a key is set, mock otherwise (never in production).
+ *
+ * RETRIES:
+ * - 429 (rate limited) and 529 (overloaded) are retried LLM_MAX_RETRIES times
+ *   (default 3) with exponential backoff, honouring Retry-After
+ * - Streams are only retried before their first chunk
+ */
+
+const { createAnthropicProvider } = require('./providers/anthropic.cjs');
+const { createMockProvider } = require('./providers/mock.cjs');
+const { resolveTask, inputTokensOf, costOf } = require('./models.cjs');
+const { parseModelJson, stripCodeFences, extractJson } = require('./json.cjs');
+const { RESPONSE_SCHEMAS } = require('./schemas.cjs');
+const { LlmAbortError, LlmJsonError } = require('./errors.cjs');
+const { validate } = require('../schema.cjs');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const RETRY_STATUSES = new Set([429, 529]);
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 20000;
+
+// ============================================
+// PROVIDER SELECTION
+// ============================================
+
+const hasRealApiKey = (key) => Boolean(key) && key !== 'your_api_key_here';
+
+/**
+ * Provider named by LLM_PROVIDER (or the default for this environment)
+ * @param {Object} env - Environment variables
+ * @returns {Object} Provider
+ */
+const createProvider = (env = process.env) => {
+  const name = env.LLM_PROVIDER
+    || (hasRealApiKey(env.ANTHROPIC_API_KEY) || env.NODE_ENV === 'production' ? 'anthropic' : 'mock');
+
+  if (name === 'anthropic') return createAnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY });
+  if (name === 'mock') {
+    return createMockProvider({
+      fixturesDir: env.LLM_FIXTURES_DIR || undefined,
+      delayMs: parseInt(env.LLM_MOCK_DELAY_MS, 10) || 0,
+    });
+  }
+  throw new Error(`Unknown LLM_PROVIDER "${name}" (expected "anthropic" or "mock")`);
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new LlmAbortError());
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new LlmAbortError());
+  }, { once: true });
+});
+
+// Retry-After (seconds) from the error's response headers, if any
+const retryAfterMs = (error) => {
+  const value = typeof error.headers?.get === 'function'
+    ? error.headers.get('retry-after')
+    : error.headers?.['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+const repairPrompt = (text, problems, schema) => `The JSON below was supposed to be valid${schema ? ' and match a schema' : ''}, but it has problems:
+${problems.slice(0, 10).map(problem => `- ${problem}`).join('\n')}
+${schema ? `\nIt must match this JSON Schema:\n${JSON.stringify(schema)}\n` : ''}
+Fix it. Keep every piece of content that is there - only repair the structure, escaping (LaTeX backslashes must be doubled) and missing required fields.
+Return ONLY the corrected JSON, with no markdown code fences and no commentary.
+
+<json>
+${text}
+</json>`;
+
+// ============================================
+// LLM CLIENT
+// ============================================
+
+/**
+ * @param {Object} options
+ * @param {Object} options.provider - From createProvider()
+ * @param {Function} options.onUsage - (model, usage) after every call and stream chunk (budgets)
+ * @param {Object} options.env - Environment for model overrides
+ * @param {number} options.maxRetries - Retries for 429/529
+ * @param {number} options.retryBaseDelayMs - First backoff delay, doubled per retry
+ * @returns {Object} { provider, generate, stream, generateJson, parseJson, getStats }
+ */
+const createLlm = ({
+  provider,
+  onUsage = () => {},
+  env = process.env,
+  maxRetries = parseInt(env.LLM_MAX_RETRIES, 10) >= 0 ? parseInt(env.LLM_MAX_RETRIES, 10) : 3,
+  retryBaseDelayMs = RETRY_BASE_DELAY_MS,
+} = {}) => {
+  const stats = {
+    since: new Date().toISOString(),
+    calls: 0,
+    retries: 0,
+    jsonRepairs: 0,
+    models: {},
+  };
+
+  const addUsage = (model, usage) => {
+    if (!usage) return;
+    const entry = stats.models[model] || (stats.models[model] = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+    entry.inputTokens += inputTokensOf(usage);
+    entry.outputTokens += usage.output_tokens || 0;
+    entry.costUsd += costOf(model, usage);
+    onUsage(model, usage);
+  };
+
+  const countCall = (model) => {
+    stats.calls += 1;
+    if (stats.models[model]) stats.models[model].calls += 1;
+  };
+
+  // Task defaults first, so a request can still override max_tokens
+  const buildParams = (task, request) => {
+    const { model, maxTokens } = resolveTask(task, env);
+    return { model, max_tokens: maxTokens, ...request };
+  };
+
+  const withRetries = async (task, call, { signal, canRetry = () => true } = {}) => {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await call();
+      } catch (error) {
+        if (!RETRY_STATUSES.has(error.status) || attempt >= maxRetries || !canRetry() || signal?.aborted) {
+          throw error;
+        }
+        const backoff = Math.min(RETRY_MAX_DELAY_MS, retryBaseDelayMs * 2 ** attempt + Math.random() * 250);
+        const delay = Math.min(RETRY_MAX_DELAY_MS, retryAfterMs(error) ?? backoff);
+        stats.retries += 1;
+        console.warn(`LLM ${task}: ${error.status} from ${provider.name}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${maxRetries})`);
+        await sleep(delay, signal);
+      }
+    }
+  };
+
+  /**
+   * One model call
+   * @param {string} task - Task name (models.cjs)
+   * @param {Object} request - Anthropic Messages params without model ({ messages, system, max_tokens, temperature })
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} { text, model, usage, stopReason }
+   */
+  const generate = async (task, request, { signal } = {}) => {
+    const params = buildParams(task, request);
+    const result = await withRetries(
+      task,
+      () => provider.createMessage(params, { signal, task }),
+      { signal }
+    );
+    addUsage(params.model, result.usage);
+    countCall(params.model);
+    return result;
+  };
+
+  /**
+   * Streamed model call - usage is charged chunk by chunk, so an aborted stream
+   * still pays for what it produced
+   * @param {string} task - Task name
+   * @param {Object} request - As for generate()
+   * @param {Object} options - { signal, onText(chunk) }
+   * @returns {Promise<Object>} { text, model, usage, stopReason }
+   */
+  const stream = async (task, request, { signal, onText } = {}) => {
+    const params = buildParams(task, request);
+    let started = false;
+    const result = await withRetries(
+      task,
+      () => provider.streamMessage(params, {
+        signal,
+        task,
+        onText: (chunk) => {
+          started = true;
+          onText?.(chunk);
+        },
+        onUsage: (usage) => addUsage(params.model, usage),
+      }),
+      { signal, canRetry: () => !started }
+    );
+    countCall(params.model);
+    return result;
+  };
+
+  /**
+   * JSON from model output: parse (with local repair), validate against the
+   * task's schema, and if that fails ask the fast model once to fix it
+   * @param {string} text - Model output
+   * @param {Object} options - { task, schema, repair = true, signal }
+   * @returns {Promise<Object>} { data, repaired }
+   * @throws {LlmJsonError} When no valid JSON could be recovered
+   */
+  const parseJson = async (text, { task, schema = RESPONSE_SCHEMAS[task], repair = true, signal } = {}) => {
+    let problems;
+    let parsed;
+    try {
+      const { data, repaired } = parseModelJson(text);
+      parsed = data;
+      problems = validate(schema, data);
+      if (problems.length === 0) return { data, repaired };
+    } catch (error) {
+      problems = [error.message];
+    }
+
+    if (repair) {
+      try {
+        stats.jsonRepairs += 1;
+        const fixed = await generate('json-repair', {
+          messages: [{ role: 'user', content: repairPrompt(extractJson(text), problems, schema) }],
+        }, { signal });
+        const { data } = parseModelJson(fixed.text);
+        const remaining = validate(schema, data);
+        if (remaining.length === 0) return { data, repaired: true };
+        problems = remaining;
+      } catch (error) {
+        if (error instanceof LlmAbortError) throw error;
+        console.warn(`LLM ${task || 'json'}: repair attempt failed - ${error.message}`);
+      }
+    }
+
+    throw new LlmJsonError(problems, text, parsed);
+  };
+
+  /**
+   * Model call that must answer with JSON
+   * @param {string} task - Task name (its RESPONSE_SCHEMAS entry is used unless options.schema is given)
+   * @param {Object} request - As for generate()
+   * @param {Object} options - { schema, repair, signal }
+   * @returns {Promise<Object>} { data, text, repaired, usage }
+   * @throws {LlmJsonError} With the raw text, for routes that fall back to it
+   */
+  const generateJson = async (task, request, options = {}) => {
+    const result = await generate(task, request, options);
+    const { data, repaired } = await parseJson(result.text, { task, ...options });
+    return { data, text: result.text, repaired, usage: result.usage };
+  };
+
+  /**
+   * Usage since the server started
+   * @returns {Object} { provider, since, calls, retries, jsonRepairs, costUsd, models }
+   */
+  const getStats = () => ({
+    provider: provider.name,
+    ...stats,
+    costUsd: Object.values(stats.models).reduce((sum, entry) => sum + entry.costUsd, 0),
+  });
+
+  return { provider, generate, stream, generateJson, parseJson, getStats };
+};
+
+module.exports = {
+  createLlm,
+  createProvider,
+  stripCodeFences,
+  parseModelJson,
+  LlmAbortError,
+  LlmJsonError,
+};
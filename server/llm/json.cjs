@@ -0,0 +1,109 @@
+/**
+ * JSON FROM MODEL OUTPUT
+ *
+ * Models are asked for "ONLY valid JSON", but still wrap it in ```json fences,
+ * add a sentence before or after it, leave LaTeX backslashes unescaped, or get
+ * cut off at max_tokens. These helpers find the JSON and fix what can be fixed
+ * without another model call.
+ */
+
+// ============================================
+// EXTRACTION
+// ============================================
+
+// Remove a leading ```json / ``` fence and a trailing ``` fence
+const stripCodeFences = (text) => String(text ?? '')
+  .trim()
+  .replace(/^```json\s*/i, '')
+  .replace(/^```\s*/i, '')
+  .replace(/\s*```$/i, '')
+  .trim();
+
+// The outermost {...} or [...] in the text, or the whole text when there is none
+const extractJson = (text) => {
+  const cleaned = stripCodeFences(text);
+  const start = cleaned.search(/[[{]/);
+  if (start <= 0) return cleaned;
+
+  const closing = cleaned[start] === '{' ? '}' : ']';
+  const end = cleaned.lastIndexOf(closing);
+  return end > start ? cleaned.slice(start, end + 1) : cleaned.slice(start);
+};
+
+// ============================================
+// LOCAL REPAIR
+// ============================================
+
+// Backslashes that don't start a valid JSON escape (\alpha, \sum, \() get doubled;
+// already escaped pairs (\\) are left alone
+const escapeStrayBackslashes = (text) => text.replace(
+  /\\\\|\\(?!["\\/bfnrtu])/g,
+  match => (match === '\\\\' ? match : '\\\\')
+);
+
+const removeTrailingCommas = (text) => text.replace(/,\s*([}\]])/g, '$1');
+
+// Close strings, arrays and objects left open by a truncated response
+const closeTruncated = (text) => {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') stack.push('}');
+    else if (char === '[') stack.push(']');
+    else if ((char === '}' || char === ']') && stack[stack.length - 1] === char) stack.pop();
+  }
+
+  let closed = text;
+  if (inString) closed += escaped ? '\\"' : '"';
+  // A dangling "key": or trailing comma can't be closed as-is
+  closed = closed.replace(/,\s*$/, '').replace(/,?\s*"[^"]*"\s*:\s*$/, '');
+  return closed + stack.reverse().join('');
+};
+
+/**
+ * Parse JSON from a model response, repairing common problems
+ * @param {string} text - Raw response text
+ * @returns {Object} { data, repaired } - repaired is true when the text needed fixing
+ * @throws {SyntaxError} When the text can't be parsed even after repair
+ */
+const parseModelJson = (text) => {
+  const candidate = extractJson(text);
+  try {
+    return { data: JSON.parse(candidate), repaired: false };
+  } catch (error) {
+    // A truncated response has no closing brace, so also try everything from the first one
+    const cleaned = stripCodeFences(text);
+    const fromStart = cleaned.slice(Math.max(0, cleaned.search(/[[{]/)));
+    const bases = fromStart === candidate ? [candidate] : [candidate, fromStart];
+
+    // Each repair builds on the previous ones
+    const repairs = [escapeStrayBackslashes, removeTrailingCommas, closeTruncated];
+    for (const base of bases) {
+      let fixed = base;
+      for (const repair of repairs) {
+        fixed = repair(fixed);
+        try {
+          return { data: JSON.parse(fixed), repaired: true };
+        } catch (retryError) {
+          // Try the next repair on top of this one
+        }
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  stripCodeFences,
+  extractJson,
+  parseModelJson,
+};
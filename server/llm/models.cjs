@@ -0,0 +1,120 @@
+/**
+ * MODEL ROUTING & PRICING
+ *
+ * Every Claude call names a task (usually its route) instead of a model. Each
+ * task runs on a tier - "quality" (Sonnet 4.5) or "fast" (Haiku 3.5) - and
+ * either can be swapped from the environment without touching the routes:
+ *
+ *   LLM_MODEL_QUALITY=claude-sonnet-4-5-20250929   every quality task
+ *   LLM_MODEL_FAST=claude-3-5-haiku-20241022       every fast task
+ *   LLM_MODEL_GENERATE_CHEATSHEET=...              one task (name upper-snake-cased)
+ *
+ * CRITICAL MODEL NAMES:
+ * ✅ 'claude-sonnet-4-5-20250929'  - Sonnet 4.5 (quality)
+ * ✅ 'claude-3-5-haiku-20241022'   - Haiku 3.5 (cost-efficient)
+ * ❌ 'claude-haiku-3-5-20241022'   - WRONG, causes 404
+ */
+
+// ============================================
+// MODELS
+// ============================================
+
+const DEFAULT_MODELS = {
+  quality: 'claude-sonnet-4-5-20250929',
+  fast: 'claude-3-5-haiku-20241022',
+};
+
+// USD per million tokens
+const MODEL_PRICING = {
+  'claude-sonnet-4-5-20250929': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+};
+
+// Unknown models are priced like Sonnet so they're never undercounted
+const FALLBACK_PRICING = MODEL_PRICING[DEFAULT_MODELS.quality];
+
+// ============================================
+// TASKS
+// ============================================
+
+const TASKS = {
+  'organize-ideas': { tier: 'fast', maxTokens: 2048 },
+  'weekly-summary': { tier: 'fast', maxTokens: 1024 },
+  'analyze-patterns': { tier: 'fast', maxTokens: 1536 },
+  'plan-activity': { tier: 'fast', maxTokens: 1536 },
+  'generate-routine': { tier: 'fast', maxTokens: 2048 },
+  'generate-smart-routines': { tier: 'fast', maxTokens: 2048 },
+  'evaluate-answer': { tier: 'fast', maxTokens: 1024 },
+  'evaluate-code': { tier: 'quality', maxTokens: 1024 },
+  'generate-practice-questions': { tier: 'quality', maxTokens: 8192 },
+  'generate-cheatsheet': { tier: 'quality', maxTokens: 4096 },
+  'generate-flashcards': { tier: 'quality', maxTokens: 8192 },
+  'generate-mindmap': { tier: 'quality', maxTokens: 4096 },
+  'classify-subject': { tier: 'fast', maxTokens: 256 },
+  'analyze-tags': { tier: 'fast', maxTokens: 1024 },
+  'analyze-urgency': { tier: 'fast', maxTokens: 1536 },
+  'extract-answer-from-image': { tier: 'quality', maxTokens: 2048 },
+  'classify-idea': { tier: 'fast', maxTokens: 512 },
+  'classify-ideas-batch': { tier: 'fast', maxTokens: 2048 },
+  // Second attempt at JSON the first model got wrong (see generateJson)
+  'json-repair': { tier: 'fast', maxTokens: 8192 },
+};
+
+const envKey = (task) => `LLM_MODEL_${task.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+
+/**
+ * Model and defaults for a task
+ * @param {string} task - Key of TASKS
+ * @param {Object} env - Environment to read overrides from
+ * @returns {Object} { model, maxTokens, tier }
+ */
+const resolveTask = (task, env = process.env) => {
+  const config = TASKS[task];
+  if (!config) throw new Error(`Unknown LLM task: ${task}`);
+
+  const tierModel = env[`LLM_MODEL_${config.tier.toUpperCase()}`] || DEFAULT_MODELS[config.tier];
+  return {
+    tier: config.tier,
+    maxTokens: config.maxTokens,
+    model: env[envKey(task)] || tierModel,
+  };
+};
+
+// ============================================
+// COST
+// ============================================
+
+const pricingFor = (model) => MODEL_PRICING[model] || FALLBACK_PRICING;
+
+// Input tokens including prompt-cache reads and writes
+const inputTokensOf = (usage) => (usage?.input_tokens || 0)
+  + (usage?.cache_creation_input_tokens || 0)
+  + (usage?.cache_read_input_tokens || 0);
+
+/**
+ * Cost of a call in USD
+ * @param {string} model - Model name
+ * @param {Object} usage - Anthropic usage ({ input_tokens, output_tokens, ... })
+ * @returns {number}
+ */
+const costOf = (model, usage) => {
+  const pricing = pricingFor(model);
+  return (inputTokensOf(usage) * pricing.input + (usage?.output_tokens || 0) * pricing.output) / 1e6;
+};
+
+/**
+ * Budget weight of one token: how many Haiku 3.5 tokens it costs (Sonnet 4.5 = 3.75)
+ * @param {string} model - Model name
+ * @returns {number}
+ */
+const tokenWeight = (model) => pricingFor(model).input / MODEL_PRICING[DEFAULT_MODELS.fast].input;
+
+module.exports = {
+  DEFAULT_MODELS,
+  MODEL_PRICING,
+  TASKS,
+  resolveTask,
+  inputTokensOf,
+  costOf,
+  tokenWeight,
+};
@@ -0,0 +1,64 @@
+/**
+ * ANTHROPIC PROVIDER
+ *
+ * Claude over the official SDK. The SDK's own retries are off - the LLM layer
+ * retries 429/529 itself so every provider behaves the same.
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { LlmAbortError } = require('../errors.cjs');
+
+// Joined text blocks of a message
+const toResult = (params, message) => ({
+  text: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+  model: params.model,
+  usage: message.usage,
+  stopReason: message.stop_reason,
+});
+
+const normalizeError = (error) => (error instanceof Anthropic.APIUserAbortError ? new LlmAbortError() : error);
+
+/**
+ * @param {Object} options - { apiKey }
+ * @returns {Object} Provider: { name, createMessage, streamMessage }
+ */
+const createAnthropicProvider = ({ apiKey }) => {
+  const client = new Anthropic({ apiKey, maxRetries: 0 });
+
+  return {
+    name: 'anthropic',
+
+    async createMessage(params, { signal } = {}) {
+      try {
+        return toResult(params, await client.messages.create(params, { signal }));
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+
+    async streamMessage(params, { signal, onText, onUsage } = {}) {
+      const stream = client.messages.stream(params, { signal });
+
+      // Usage arrives in pieces: input at message_start, cumulative output in message_delta
+      let outputTokens = 0;
+      stream.on('streamEvent', (event) => {
+        if (event.type === 'message_start') {
+          outputTokens = event.message.usage?.output_tokens || 0;
+          onUsage?.(event.message.usage);
+        } else if (event.type === 'message_delta' && event.usage?.output_tokens != null) {
+          onUsage?.({ output_tokens: event.usage.output_tokens - outputTokens });
+          outputTokens = event.usage.output_tokens;
+        }
+      });
+      if (onText) stream.on('text', onText);
+
+      try {
+        return toResult(params, await stream.finalMessage());
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+  };
+};
+
+module.exports = { createAnthropicProvider };
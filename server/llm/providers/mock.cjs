@@ -0,0 +1,118 @@
+/**
+ * MOCK PROVIDER
+ *
+ * Deterministic offline stand-in for Claude, driven by fixture files - one per
+ * task, e.g. fixtures/generate-cheatsheet.json:
+ *
+ *   { "text": "## Key Concepts ..." }         plain text answer
+ *   { "json": { "questions": [...] } }        answer serialized as JSON
+ *   { "error": { "status": 429, "message": "..." } }   simulated API failure
+ *   { "variants": [{ "match": "Statistics", "json": {...} }], "json": {...} }
+ *       first variant whose "match" appears in the prompt wins, else the default
+ *
+ * Token usage is estimated at ~4 characters per token and reported under the
+ * model the task was routed to, so budgets and cost accounting behave as they
+ * would online.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LlmAbortError } = require('../errors.cjs');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Characters per streamed chunk
+const CHUNK_SIZE = 24;
+
+const estimateTokens = (text) => Math.max(1, Math.ceil(text.length / 4));
+
+// Everything the model would read: system prompt and text blocks of every message
+const promptText = (params) => [
+  typeof params.system === 'string' ? params.system : '',
+  ...(params.messages || []).flatMap(message => (
+    typeof message.content === 'string'
+      ? [message.content]
+      : message.content.filter(block => block.type === 'text').map(block => block.text)
+  )),
+].join('\n');
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new LlmAbortError());
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new LlmAbortError());
+  }, { once: true });
+});
+
+/**
+ * @param {Object} options - { fixturesDir, delayMs } - delayMs paces streamed chunks
+ * @returns {Object} Provider: { name, createMessage, streamMessage }
+ */
+const createMockProvider = ({ fixturesDir = DEFAULT_FIXTURES_DIR, delayMs = 0 } = {}) => {
+  const fixtures = new Map();
+
+  const loadFixture = (task) => {
+    if (!fixtures.has(task)) {
+      const file = path.join(fixturesDir, `${task}.json`);
+      if (!fs.existsSync(file)) {
+        const error = new Error(`No mock fixture for task "${task}" (expected ${file})`);
+        error.status = 500;
+        throw error;
+      }
+      fixtures.set(task, JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    return fixtures.get(task);
+  };
+
+  const respond = (task, params) => {
+    const fixture = loadFixture(task);
+    const prompt = promptText(params);
+    const answer = (fixture.variants || []).find(variant => prompt.includes(variant.match)) || fixture;
+
+    if (answer.error) {
+      const error = new Error(answer.error.message || 'Mock provider error');
+      error.status = answer.error.status;
+      throw error;
+    }
+
+    const text = answer.text ?? JSON.stringify(answer.json, null, 2);
+    return {
+      text,
+      model: params.model,
+      usage: { input_tokens: estimateTokens(prompt), output_tokens: estimateTokens(text) },
+      stopReason: 'end_turn',
+    };
+  };
+
+  return {
+    name: 'mock',
+
+    async createMessage(params, { signal, task } = {}) {
+      if (signal?.aborted) throw new LlmAbortError();
+      return respond(task, params);
+    },
+
+    async streamMessage(params, { signal, task, onText, onUsage } = {}) {
+      if (signal?.aborted) throw new LlmAbortError();
+      const result = respond(task, params);
+
+      onUsage?.({ input_tokens: result.usage.input_tokens, output_tokens: 0 });
+      let sent = 0;
+      for (let start = 0; start < result.text.length; start += CHUNK_SIZE) {
+        if (delayMs > 0) await sleep(delayMs, signal);
+        else if (signal?.aborted) throw new LlmAbortError();
+
+        const chunk = result.text.slice(start, start + CHUNK_SIZE);
+        onText?.(chunk);
+        // Charge output as it's produced, like the real stream
+        const produced = estimateTokens(result.text.slice(0, start + chunk.length));
+        onUsage?.({ output_tokens: produced - sent });
+        sent = produced;
+      }
+      return result;
+    },
+  };
+};
+
+module.exports = { createMockProvider, DEFAULT_FIXTURES_DIR };
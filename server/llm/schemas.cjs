@@ -0,0 +1,156 @@
+/**
+ * RESPONSE SCHEMAS
+ *
+ * What each JSON-returning task must produce (JSON Schema subset, see
+ * server/schema.cjs). Only the fields the routes and the app rely on are
+ * required - anything else the model adds passes through untouched.
+ */
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+const priority = { type: 'string', enum: ['high', 'medium', 'low'] };
+const evaluation = {
+  type: 'object',
+  required: ['result', 'score'],
+  properties: {
+    result: { type: 'string', enum: ['correct', 'partial', 'incorrect'] },
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    feedback: { type: 'string' },
+  },
+};
+const classification = {
+  type: 'object',
+  required: ['classificationType'],
+  properties: {
+    classificationType: { type: 'string', enum: ['routine', 'checklist', 'timetable', 'general'] },
+    duration: { type: ['number', 'null'] },
+    priority,
+  },
+};
+
+const RESPONSE_SCHEMAS = {
+  'organize-ideas': {
+    type: 'object',
+    required: ['summary', 'themes', 'nextSteps'],
+    properties: {
+      summary: { type: 'string' },
+      themes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'ideas'],
+          properties: { name: { type: 'string' }, priority, ideas: { type: 'array' } },
+        },
+      },
+      nextSteps: stringArray,
+    },
+  },
+  'analyze-patterns': { type: 'object' },
+  'plan-activity': {
+    type: 'object',
+    required: ['summary', 'bestTime', 'duration', 'tips'],
+    properties: {
+      summary: { type: 'string' },
+      bestTime: { type: 'string' },
+      duration: { type: 'string' },
+      tips: stringArray,
+    },
+  },
+  'generate-routine': {
+    type: 'object',
+    required: ['summary', 'schedule'],
+    properties: {
+      summary: { type: 'string' },
+      schedule: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['time', 'activity'],
+          properties: { time: { type: 'string' }, activity: { type: 'string' } },
+        },
+      },
+      energyTips: stringArray,
+    },
+  },
+  'generate-smart-routines': {
+    type: 'object',
+    required: ['routines'],
+    properties: {
+      routines: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['title'],
+          properties: { type: { type: 'string', enum: ['direct', 'mashup'] }, title: { type: 'string' } },
+        },
+      },
+    },
+  },
+  'evaluate-answer': evaluation,
+  'evaluate-code': evaluation,
+  'generate-practice-questions': {
+    type: 'object',
+    required: ['questions'],
+    properties: {
+      questions: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['type', 'question'],
+          properties: { type: { type: 'string' }, question: { type: 'string' } },
+        },
+      },
+    },
+  },
+  'generate-flashcards': {
+    type: 'object',
+    required: ['cards'],
+    properties: {
+      cards: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['front', 'back'],
+          properties: { front: { type: 'string' }, back: { type: 'string' } },
+        },
+      },
+    },
+  },
+  // normalizeMindmap fills in ids and drops bad nodes, so only the shape is checked
+  'generate-mindmap': {
+    type: 'object',
+    required: ['nodes'],
+    properties: {
+      nodes: { type: 'array', minItems: 2, items: { type: 'object' } },
+      crossLinks: { type: 'array' },
+    },
+  },
+  'classify-subject': {
+    type: 'object',
+    required: ['hierarchy', 'normalized'],
+    properties: {
+      hierarchy: { ...stringArray, minItems: 1 },
+      normalized: { type: 'string' },
+    },
+  },
+  'analyze-tags': {
+    type: 'object',
+    required: ['tagsToRemove', 'tagsToAdd'],
+    properties: { tagsToRemove: stringArray, tagsToAdd: stringArray },
+  },
+  'analyze-urgency': {
+    type: 'object',
+    required: ['urgentItems', 'importantItems'],
+    properties: { urgentItems: { type: 'array' }, importantItems: { type: 'array' } },
+  },
+  // Missing fields are filled in by the route, so any object will do
+  'extract-answer-from-image': { type: 'object' },
+  'classify-idea': classification,
+  'classify-ideas-batch': {
+    type: 'array',
+    items: { ...classification, required: ['index', 'classificationType'] },
+  },
+};
+
+module.exports = { RESPONSE_SCHEMAS };
@@ -0,0 +1,189 @@
+/**
+ * OPENAPI DOCUMENT
+ *
+ * Builds an OpenAPI 3.1 document from the route groups (server/routes), so the
+ * docs come from the same declarations that validate requests and can't drift
+ * from what the server accepts. Served at GET /api/docs.
+ *
+ * Request and response schemas are passed through as-is: the server/schema.cjs
+ * subset (type, properties, required, items, enum, ...) is plain JSON Schema,
+ * which OpenAPI 3.1 uses directly.
+ */
+
+const { BUDGET_HEADERS } = require('./budgets.cjs');
+const { CACHE_HEADERS } = require('./routes/helpers.cjs');
+
+// ============================================
+// PATHS
+// ============================================
+
+// Express `/api/admin/cache/:key` -> OpenAPI `/api/admin/cache/{key}`
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const camelCase = (words) => words
+  .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+  .join('');
+
+/**
+ * Operation id from the path, e.g. POST /api/organize-ideas -> organizeIdeas,
+ * DELETE /api/admin/cache/:key -> deleteAdminCacheKey, GET /health -> getHealth
+ * @param {Object} route - { method, path }
+ * @returns {string}
+ */
+const operationIdFor = ({ method, path }) => {
+  const words = path
+    .replace(/^\/api\//, '/')
+    .split(/[/:-]/)
+    .filter(Boolean);
+  return camelCase(method === 'post' ? words : [method, ...words]);
+};
+
+// Query and path parameters from the route's query/params object schemas
+const parametersFor = (route) => [['query', route.query], ['path', route.params]]
+  .filter(([, schema]) => schema)
+  .flatMap(([location, schema]) => Object.entries(schema.properties || {}).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    return {
+      name,
+      in: location,
+      required: location === 'path' || (schema.required || []).includes(name),
+      ...(description ? { description } : {}),
+      schema: propertySchema,
+    };
+  }));
+
+// ============================================
+// RESPONSES
+// ============================================
+
+const ref = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const successResponse = (route) => {
+  const content = {
+    'application/json': { schema: route.response || { type: 'object' } },
+  };
+  if (route.stream) {
+    content['text/event-stream'] = {
+      schema: {
+        type: 'string',
+        description: `Sent when the request has "Accept: text/event-stream". Progress events: ${route.stream.join(', ')}; `
+          + 'then `done` (the JSON body) or `error` ({ error, status }).',
+      },
+    };
+  }
+
+  const headers = {};
+  if (route.path.startsWith('/api/')) {
+    BUDGET_HEADERS.forEach(name => { headers[name] = { $ref: `#/components/headers/${name}` }; });
+  }
+  if (route.cached) {
+    CACHE_HEADERS.forEach(name => { headers[name] = { $ref: `#/components/headers/${name}` }; });
+  }
+
+  return {
+    description: 'OK',
+    ...(Object.keys(headers).length > 0 ? { headers } : {}),
+    content,
+  };
+};
+
+const responsesFor = (route) => {
+  const responses = { 200: successResponse(route) };
+  if (route.body || route.query || route.params) responses[400] = ref('InvalidRequest');
+  if (route.path.startsWith('/api/')) responses[429] = ref('BudgetExceeded');
+  responses[500] = ref('ServerError');
+  return responses;
+};
+
+// ============================================
+// COMPONENTS
+// ============================================
+
+const errorSchema = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    success: { type: 'boolean', enum: [false] },
+    error: { type: 'string' },
+  },
+};
+
+const errorResponse = (description, schema = errorSchema) => ({
+  description,
+  content: { 'application/json': { schema } },
+});
+
+const COMPONENTS = {
+  securitySchemes: {
+    supabase: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'Supabase access token. Without one the request runs on the smaller anonymous budget.',
+    },
+  },
+  headers: {
+    'X-Budget-Tier': { description: 'user or anonymous', schema: { type: 'string' } },
+    'X-Budget-Requests-Remaining': { description: 'Requests left today', schema: { type: 'string' } },
+    'X-Budget-Tokens-Remaining': { description: 'Weighted model tokens left today', schema: { type: 'string' } },
+    'X-Budget-Reset': { description: 'When the budget resets (ISO time, midnight UTC)', schema: { type: 'string' } },
+    'X-Cache': { description: 'HIT, MISS or BYPASS ("Cache-Control: no-cache")', schema: { type: 'string' } },
+    'X-Cache-Age': { description: 'Seconds since a HIT was cached', schema: { type: 'string' } },
+    'X-Cache-Key': { description: 'Entry key, for DELETE /api/admin/cache/{key}', schema: { type: 'string' } },
+  },
+  responses: {
+    InvalidRequest: errorResponse('The request does not match the route\'s schemas', {
+      type: 'object',
+      required: ['success', 'error', 'problems'],
+      properties: {
+        ...errorSchema.properties,
+        problems: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'e.g. "body.topic is required"',
+        },
+      },
+    }),
+    BudgetExceeded: errorResponse('Rate limited by the model API, or the caller\'s daily budget is used up'),
+    ServerError: errorResponse('Model or server error'),
+  },
+};
+
+// ============================================
+// DOCUMENT
+// ============================================
+
+/**
+ * @param {Array<Object>} groups - Route groups (server/routes/registry.cjs)
+ * @param {Object} info - { title, version, description }
+ * @returns {Object} OpenAPI 3.1 document
+ */
+const buildOpenApiDocument = (groups, info) => {
+  const paths = {};
+  groups.forEach(group => group.routes.forEach(route => {
+    const path = toOpenApiPath(route.path);
+    const parameters = parametersFor(route);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = {
+      operationId: operationIdFor(route),
+      tags: [group.name],
+      summary: route.summary,
+      ...(route.description ? { description: route.description } : {}),
+      ...(parameters.length > 0 ? { parameters } : {}),
+      ...(route.body ? {
+        requestBody: { required: true, content: { 'application/json': { schema: route.body } } },
+      } : {}),
+      responses: responsesFor(route),
+    };
+  }));
+
+  return {
+    openapi: '3.1.0',
+    info,
+    tags: groups.map(({ name, description }) => ({ name, description })),
+    security: [{}, { supabase: [] }],
+    paths,
+    components: COMPONENTS,
+  };
+};
+
+module.exports = { buildOpenApiDocument, operationIdFor, toOpenApiPath };
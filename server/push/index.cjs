@@ -0,0 +1,48 @@
+/**
+ * WEB PUSH
+ *
+ * Reminders pushed to users' devices while the app is closed:
+ * - webPush.cjs       - VAPID signing and payload encryption, sending to push services
+ * - subscriptions.cjs - each device's subscription (push_subscriptions, or memory locally)
+ * - reminderData.cjs  - a user's ideas, logs, ... read from Supabase for the job
+ * - reminderJob.cjs   - the scheduled job that decides what to push
+ * Routes and the job are set up in server/routes/reminders.cjs.
+ *
+ * ENVIRONMENT:
+ * - VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY - key pair (generateVapidKeys() in webPush.cjs)
+ * - VAPID_SUBJECT - contact for push services, "mailto:you@example.com" or an https URL
+ * Without all three push is off: the routes answer 503 and no job runs.
+ */
+
+const { createPushSender, isP256PublicKey } = require('./webPush.cjs');
+const { createSubscriptionStore } = require('./subscriptions.cjs');
+
+/**
+ * VAPID settings from the environment
+ * @returns {Object|null} { publicKey, privateKey, subject }, or null when push is off
+ */
+const vapidFromEnv = (env = process.env) => {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY || !VAPID_SUBJECT) return null;
+  if (!isP256PublicKey(VAPID_PUBLIC_KEY)) {
+    throw new Error('VAPID_PUBLIC_KEY should be a base64url P-256 public key (see server/push/webPush.cjs)');
+  }
+  if (!/^(mailto:|https:\/\/)/.test(VAPID_SUBJECT)) {
+    throw new Error('VAPID_SUBJECT should be a mailto: address or an https:// URL');
+  }
+  return { publicKey: VAPID_PUBLIC_KEY, privateKey: VAPID_PRIVATE_KEY, subject: VAPID_SUBJECT };
+};
+
+/**
+ * @param {Object} options - { env, supabase, fetch } - supabase is the service role client, if any
+ * @returns {Object} { sender, subscriptions } - sender is null when push is off
+ */
+const createPush = ({ env = process.env, supabase = null, fetch } = {}) => {
+  const vapid = vapidFromEnv(env);
+  return {
+    sender: vapid ? createPushSender({ vapid, fetch }) : null,
+    subscriptions: createSubscriptionStore({ supabase }),
+  };
+};
+
+module.exports = { createPush, vapidFromEnv };
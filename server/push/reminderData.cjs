@@ -0,0 +1,125 @@
+/**
+ * REMINDER DATA
+ *
+ * What the reminder job reads for a user - the same ideas, logs, checklist,
+ * reviews and reminder history the app sends to /api/get-reminders, loaded
+ * from the tables it syncs to (supabase-setup.sql) and mapped to the app's
+ * shapes (src/utils/ideaMapper.js, src/utils/lifeDataService.js).
+ *
+ * Pushed reminders are written back to reminder_history, so the app's smart
+ * reminders and the adaptive frequency see them as shown.
+ */
+
+// Only what the scoring looks at
+const RECENT_LOGS = 200;
+const RECENT_REVIEWS = 5;
+
+const toIdea = (row) => ({
+  id: row.id,
+  content: row.content,
+  tags: row.tags || [],
+  context: row.context || '',
+  dueDate: row.due_date || null,
+  timestamp: row.created_at,
+});
+
+const toLog = (row) => ({
+  id: row.client_id,
+  timestamp: row.logged_at,
+  energy: row.energy,
+  motivation: row.motivation,
+  activity: row.activity,
+  duration: row.duration,
+  note: row.note || '',
+});
+
+const toReview = (row) => ({
+  date: row.review_date,
+  completed: row.completed,
+  responses: row.responses || {},
+});
+
+const toHistory = (row) => ({
+  ideaId: row.idea_id,
+  lastShown: row.last_shown,
+  showCount: row.show_count,
+  dismissCount: row.dismiss_count,
+  snoozeCount: row.snooze_count || 0,
+  actionTaken: row.action_taken,
+});
+
+const rowsOf = ({ data, error }, table) => {
+  if (error) throw new Error(`Failed to load ${table}: ${error.message}`);
+  return data;
+};
+
+/**
+ * @param {Object} options - { client } - Supabase client with the service role key
+ * @returns {Object|null} { load, recordShown }, or null without a client
+ */
+const createReminderDataSource = ({ client }) => {
+  if (!client) return null;
+
+  /**
+   * A user's reminder inputs
+   * @param {string} userId
+   * @returns {Promise<Object>} { ideas, logs, checklist, reviews, reminderHistory }
+   */
+  const load = async (userId) => {
+    const [ideas, logs, checklist, reviews, history] = await Promise.all([
+      client.from('ideas')
+        .select('id, content, tags, context, due_date, created_at')
+        .eq('user_id', userId),
+      client.from('activity_logs')
+        .select('client_id, logged_at, energy, motivation, activity, duration, note')
+        .eq('user_id', userId)
+        .order('logged_at', { ascending: false })
+        .limit(RECENT_LOGS),
+      client.from('daily_checklists')
+        .select('checklist_date, items')
+        .eq('user_id', userId)
+        .maybeSingle(),
+      client.from('daily_reviews')
+        .select('review_date, completed, responses')
+        .eq('user_id', userId)
+        .order('review_date', { ascending: false })
+        .limit(RECENT_REVIEWS),
+      client.from('reminder_history')
+        .select('idea_id, last_shown, show_count, dismiss_count, snooze_count, action_taken')
+        .eq('user_id', userId),
+    ]);
+
+    const checklistRow = rowsOf(checklist, 'daily_checklists');
+    return {
+      ideas: rowsOf(ideas, 'ideas').map(toIdea),
+      logs: rowsOf(logs, 'activity_logs').map(toLog),
+      checklist: checklistRow ? { date: checklistRow.checklist_date, items: checklistRow.items || [] } : null,
+      reviews: rowsOf(reviews, 'daily_reviews').map(toReview),
+      reminderHistory: rowsOf(history, 'reminder_history').map(toHistory),
+    };
+  };
+
+  /**
+   * Count a pushed reminder as shown
+   * @param {string} userId
+   * @param {Object} entry - The idea's reminder history before the push ({ ideaId, showCount, ... })
+   * @param {string} at - ISO time it was pushed
+   * @returns {Promise<void>}
+   */
+  const recordShown = async (userId, entry, at) => {
+    const { error } = await client.from('reminder_history').upsert({
+      user_id: userId,
+      idea_id: String(entry.ideaId),
+      last_shown: at,
+      show_count: (entry.showCount || 0) + 1,
+      dismiss_count: entry.dismissCount || 0,
+      snooze_count: entry.snoozeCount || 0,
+      action_taken: entry.actionTaken || false,
+    }, { onConflict: 'user_id,idea_id' });
+    if (error) throw new Error(`Failed to record reminder: ${error.message}`);
+  };
+
+  return { load, recordShown };
+};
+
+module.exports = { createReminderDataSource };
@@ -0,0 +1,255 @@
+/**
+ * REMINDER PUSH JOB
+ *
+ * Runs every PUSH_INTERVAL_MINUTES on the server and pushes smart reminders to
+ * users' devices, so they arrive while the app is closed:
+ * 1. Loads each subscribed user's ideas, logs, checklist, reviews and reminder history
+ * 2. Scores them like /api/get-reminders (selectReminders - importance, urgency and
+ *    the adaptive frequency from calculateReminderFrequency)
+ * 3. Pushes the ones that are due: urgent (the app would play a sound) or scoring at
+ *    least PUSH_MIN_SCORE, not shown today, at most MAX_PUSHES_PER_DAY a day
+ * 4. Records them in reminder_history, so the app sees them as shown
+ *
+ * Devices in their quiet hours are skipped until they end. Subscriptions the push
+ * service reports gone (404/410) are deleted.
+ *
+ * The payload is the app's notification (src/utils/notificationScheduler.js) -
+ * the service worker shows it with the same Snooze/Done actions.
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// Frequency score a non-urgent reminder needs before it's pushed
+const PUSH_MIN_SCORE = 30;
+const MAX_PUSHES_PER_RUN = 2;
+// Counts reminders shown in the app too
+const MAX_PUSHES_PER_DAY = 4;
+
+const BODY_MAX_LENGTH = 200;
+
+// Push services keep a message this long for a device that's offline
+const PUSH_TTL_SECONDS = 4 * 60 * 60;
+
+// ============================================
+// SELECTION
+// ============================================
+
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Reminders from selectReminders() that should be pushed now
+ * @param {Object} selection - { reminders } from selectReminders()
+ * @param {Array<Object>} reminderHistory - { ideaId, lastShown, ... }
+ * @param {Date} now
+ * @returns {Array<Object>} Reminders, most urgent first
+ */
+const pushableReminders = ({ reminders }, reminderHistory, now) => {
+  const today = dayOf(now);
+  const shownToday = reminderHistory.filter(entry => entry.lastShown && dayOf(entry.lastShown) === today).length;
+  const allowed = Math.min(MAX_PUSHES_PER_RUN, MAX_PUSHES_PER_DAY - shownToday);
+  if (allowed <= 0) return [];
+
+  return reminders
+    .filter(reminder => !(reminder.lastShown && dayOf(reminder.lastShown) === today))
+    .filter(reminder => reminder.shouldPlaySound || reminder.frequencyScore >= PUSH_MIN_SCORE)
+    .sort((a, b) => Number(b.shouldPlaySound) - Number(a.shouldPlaySound) || b.frequencyScore - a.frequencyScore)
+    .slice(0, allowed);
+};
+
+const minutesOf = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight on the device's clock
+const localMinutes = (now, timezone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(now);
+  } catch {
+    return now.getUTCHours() * 60 + now.getUTCMinutes();
+  }
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+};
+
+/**
+ * Whether a device is in its quiet hours (same rules as the app's isQuietTime)
+ * @param {Object} subscription - { timezone, quietHours: { enabled, start, end } }
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const inQuietHours = ({ timezone, quietHours }, now) => {
+  if (!quietHours?.enabled) return false;
+  const current = localMinutes(now, timezone);
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+  if (start === end) return false;
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+// YYYY-MM-DD on the device's clock
+const localDay = (now, timezone) => {
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone || 'UTC' }).format(now);
+  } catch {
+    return dayOf(now);
+  }
+};
+
+/**
+ * The notification the service worker shows - keyed like the app's own smart
+ * reminder notification, so one shown by both replaces the other
+ * @param {Object} reminder - From selectReminders()
+ * @param {Date} now
+ * @param {string} timezone - The device's
+ * @returns {Object} { key, kind, id, title, body }
+ */
+const reminderPayload = (reminder, now, timezone) => ({
+  key: `smart:${reminder.id}:${localDay(now, timezone)}`,
+  kind: 'smart',
+  id: reminder.id,
+  title: `${reminder.urgencyLabel || 'Smart'} reminder`,
+  body: reminder.content.length > BODY_MAX_LENGTH
+    ? `${reminder.content.slice(0, BODY_MAX_LENGTH - 1)}…`
+    : reminder.content,
+});
+
+// ============================================
+// JOB
+// ============================================
+
+/**
+ * @param {Object} options
+ * @param {Object} options.subscriptions - Store from server/push/subscriptions.cjs
+ * @param {Object} options.sender - From createPushSender()
+ * @param {Object|null} options.dataSource - { load, recordShown } (server/push/reminderData.cjs);
+ *   without one the job has nothing to read and does nothing
+ * @param {Function} options.selectReminders - From server/routes/reminders.cjs
+ * @param {Function} options.embed - (ideas) => { vectors } for topic similarity, optional
+ * @param {number} options.intervalMinutes
+ * @returns {Object} { runOnce, start, stop, getStats }
+ */
+const createReminderPushJob = ({
+  subscriptions,
+  sender,
+  dataSource,
+  selectReminders,
+  embed = null,
+  intervalMinutes = DEFAULT_INTERVAL_MINUTES,
+}) => {
+  const stats = { runs: 0, pushed: 0, failed: 0, removed: 0, lastRunAt: null, lastError: null };
+  let timer = null;
+  let running = null;
+
+  // Push one user's due reminders to their devices that aren't in quiet hours
+  const runForUser = async (userId, devices, now) => {
+    const awake = devices.filter(device => !inQuietHours(device, now));
+    if (awake.length === 0) return;
+
+    const data = await dataSource.load(userId);
+    if (data.ideas.length === 0) return;
+
+    const { vectors } = embed ? await embed(data.ideas) : { vectors: null };
+    const due = pushableReminders(selectReminders(data, { vectors }), data.reminderHistory, now);
+
+    for (const reminder of due) {
+      const urgency = reminder.shouldPlaySound ? 'high' : 'normal';
+      const results = await Promise.all(awake.map(async device => {
+        const payload = reminderPayload(reminder, now, device.timezone);
+        const result = await sender.send(device, payload, { ttl: PUSH_TTL_SECONDS, urgency });
+        if (result.gone) {
+          await subscriptions.remove({ endpoint: device.endpoint });
+          stats.removed += 1;
+        } else if (!result.success) {
+          stats.failed += 1;
+          console.error(`Reminder push failed: ${result.error}`);
+        }
+        return result;
+      }));
+
+      if (results.some(result => result.success)) {
+        stats.pushed += 1;
+        const history = data.reminderHistory.find(entry => String(entry.ideaId) === String(reminder.id))
+          || { ideaId: reminder.id };
+        await dataSource.recordShown(userId, history, now.toISOString());
+      }
+    }
+  };
+
+  const pushToEveryone = async (now) => {
+    const byUser = new Map();
+    (await subscriptions.list()).forEach(subscription => {
+      const key = subscription.userId ?? null;
+      byUser.set(key, [...(byUser.get(key) || []), subscription]);
+    });
+
+    for (const [userId, devices] of byUser) {
+      try {
+        await runForUser(userId, devices, now);
+      } catch (error) {
+        stats.lastError = error.message;
+        console.error(`Reminder push for user ${userId} failed:`, error.message);
+      }
+    }
+  };
+
+  /**
+   * One pass over every subscribed user (a pass still running is reused)
+   * @param {Date} now
+   * @returns {Promise<Object>} getStats()
+   */
+  const runOnce = (now = new Date()) => {
+    if (running) return running;
+
+    running = (async () => {
+      try {
+        if (dataSource) await pushToEveryone(now);
+      } finally {
+        stats.runs += 1;
+        stats.lastRunAt = now.toISOString();
+        running = null;
+      }
+      return getStats();
+    })();
+    return running;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      runOnce().catch(error => console.error('Reminder push job failed:', error));
+    }, intervalMinutes * 60 * 1000);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const getStats = () => ({ ...stats, intervalMinutes, active: Boolean(timer) });
+
+  return { runOnce, start, stop, getStats };
+};
+
+module.exports = {
+  MAX_PUSHES_PER_DAY,
+  MAX_PUSHES_PER_RUN,
+  PUSH_MIN_SCORE,
+  createReminderPushJob,
+  inQuietHours,
+  pushableReminders,
+  reminderPayload,
+};
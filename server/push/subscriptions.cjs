@@ -0,0 +1,153 @@
+/**
+ * PUSH SUBSCRIPTIONS
+ *
+ * Where each device's push subscription is kept, with the owner and the
+ * reminder preferences the scheduled job needs (timezone, quiet hours):
+ * - supabase - push_subscriptions table (supabase-setup.sql), one row per
+ *   endpoint, written with the service role key
+ * - memory   - local development; the app re-sends its subscription whenever
+ *   it opens, so a restart only pauses pushes until then
+ *
+ * Subscription: { endpoint, keys: { p256dh, auth }, userId, timezone,
+ *                 quietHours: { enabled, start, end }, createdAt }
+ *
+ * An endpoint stays with the user who saved it first: save() refuses it for
+ * anyone else until that user removes it, so nobody can take over another
+ * user's device.
+ */
+
+const TABLE = 'push_subscriptions';
+
+// A user rarely has more devices than this; older ones are dropped past it
+const MAX_PER_USER = 10;
+
+// Postgres error code for a duplicate key
+const UNIQUE_VIOLATION = '23505';
+
+const toRow = (subscription) => ({
+  endpoint: subscription.endpoint,
+  user_id: subscription.userId,
+  p256dh: subscription.keys.p256dh,
+  auth: subscription.keys.auth,
+  timezone: subscription.timezone,
+  quiet_hours: subscription.quietHours,
+});
+
+const fromRow = (row) => ({
+  endpoint: row.endpoint,
+  keys: { p256dh: row.p256dh, auth: row.auth },
+  userId: row.user_id,
+  timezone: row.timezone,
+  quietHours: row.quiet_hours,
+  createdAt: row.created_at,
+});
+
+/**
+ * @returns {Object} Store: { name, save, remove, list } - save() resolves to
+ *   false when the endpoint is another user's
+ */
+const createMemoryStore = () => {
+  const subscriptions = new Map(); // endpoint -> subscription
+
+  return {
+    name: 'memory',
+
+    async save(subscription) {
+      const existing = subscriptions.get(subscription.endpoint);
+      if (existing && existing.userId !== subscription.userId) return false;
+      subscriptions.delete(subscription.endpoint);
+      subscriptions.set(subscription.endpoint, {
+        ...subscription,
+        createdAt: existing?.createdAt || new Date().toISOString(),
+      });
+
+      const owned = [...subscriptions.values()].filter(other => other.userId === subscription.userId);
+      owned.slice(0, Math.max(0, owned.length - MAX_PER_USER))
+        .forEach(old => subscriptions.delete(old.endpoint));
+      return true;
+    },
+
+    async remove({ endpoint, userId }) {
+      const existing = subscriptions.get(endpoint);
+      if (!existing || (userId !== undefined && existing.userId !== userId)) return 0;
+      subscriptions.delete(endpoint);
+      return 1;
+    },
+
+    async list() {
+      return [...subscriptions.values()];
+    },
+  };
+};
+
+/**
+ * @param {Object} options - { client } - Supabase client with the service role key
+ * @returns {Object} Store: { name, save, remove, list } - as createMemoryStore()
+ */
+const createSupabaseStore = ({ client }) => ({
+  name: 'supabase',
+
+  async save(subscription) {
+    const { data: existing, error: findError } = await client
+      .from(TABLE)
+      .select('user_id')
+      .eq('endpoint', subscription.endpoint)
+      .maybeSingle();
+    if (findError) throw findError;
+
+    if (existing) {
+      if (existing.user_id !== subscription.userId) return false;
+      // Only ever the saving user's row, even if the endpoint changed hands meanwhile
+      const { error } = await client
+        .from(TABLE)
+        .update(toRow(subscription))
+        .eq('endpoint', subscription.endpoint)
+        .eq('user_id', subscription.userId);
+      if (error) throw error;
+    } else {
+      const { error } = await client.from(TABLE).insert(toRow(subscription));
+      // unique_violation: another user saved the endpoint since the lookup
+      if (error?.code === UNIQUE_VIOLATION) return false;
+      if (error) throw error;
+    }
+
+    const { data, error: listError } = await client
+      .from(TABLE)
+      .select('endpoint')
+      .eq('user_id', subscription.userId)
+      .order('last_modified', { ascending: false });
+    if (listError) throw listError;
+
+    const stale = (data || []).slice(MAX_PER_USER).map(row => row.endpoint);
+    if (stale.length > 0) {
+      const { error: deleteError } = await client.from(TABLE).delete().in('endpoint', stale);
+      if (deleteError) throw deleteError;
+    }
+    return true;
+  },
+
+  async remove({ endpoint, userId }) {
+    let query = client.from(TABLE).delete().eq('endpoint', endpoint);
+    if (userId !== undefined) query = query.eq('user_id', userId);
+    const { data, error } = await query.select('endpoint');
+    if (error) throw error;
+    return (data || []).length;
+  },
+
+  async list() {
+    const { data, error } = await client.from(TABLE).select('*');
+    if (error) throw error;
+    return (data || []).map(fromRow);
+  },
+});
+
+/**
+ * Store for this environment
+ * @param {Object} options - { supabase } - the service role client, if any
+ * @returns {Object} Store
+ */
+const createSubscriptionStore = ({ supabase = null } = {}) => (
+  supabase ? createSupabaseStore({ client: supabase }) : createMemoryStore()
+);
+
+module.exports = { MAX_PER_USER, createMemoryStore, createSubscriptionStore };
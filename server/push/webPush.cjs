@@ -0,0 +1,320 @@
+/**
+ * WEB PUSH
+ *
+ * Sends push messages to browsers' push services with node's crypto only:
+ * - VAPID (RFC 8292): each request carries an ES256-signed JWT for the push
+ *   service's origin plus our public key, so the service knows who's sending
+ * - Payload encryption (RFC 8291, aes128gcm from RFC 8188): only the browser
+ *   that subscribed can read the message - the push service just relays it
+ *
+ * VAPID keys are a P-256 key pair, base64url encoded. Generate a pair once with
+ *   node -e "console.log(require('./server/push/webPush.cjs').generateVapidKeys())"
+ * and set VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY. Changing them invalidates every
+ * stored subscription (browsers tie a subscription to the key it was made with).
+ */
+
+const crypto = require('crypto');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const CURVE = 'prime256v1';
+
+// Push services accept 4096 bytes of encrypted body; one record carries it all
+const RECORD_SIZE = 4096;
+// Record size minus the 86-byte header, padding delimiter and GCM tag
+const MAX_PAYLOAD_BYTES = 3993;
+
+// JWTs may live up to 24 hours; renewed a little before they expire
+const JWT_LIFETIME_SECONDS = 12 * 60 * 60;
+const JWT_RENEW_MARGIN_MS = 60 * 60 * 1000;
+
+const DEFAULT_TTL_SECONDS = 4 * 60 * 60;
+
+// Hosts of the browsers' push services - the only places the server posts
+// subscriptions to ('.' prefix: any subdomain)
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  '.push.services.mozilla.com',
+  'web.push.apple.com',
+  '.notify.windows.com',
+];
+
+// ============================================
+// KEYS
+// ============================================
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (text) => Buffer.from(text, 'base64url');
+
+/**
+ * A new VAPID key pair
+ * @returns {Object} { publicKey, privateKey } - base64url
+ */
+const generateVapidKeys = () => {
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.generateKeys();
+  return {
+    publicKey: toBase64Url(ecdh.getPublicKey()),
+    privateKey: toBase64Url(ecdh.getPrivateKey()),
+  };
+};
+
+/**
+ * Whether a base64url string is an uncompressed P-256 public key (as in a
+ * subscription's keys.p256dh or VAPID_PUBLIC_KEY)
+ * @returns {boolean}
+ */
+const isP256PublicKey = (text) => {
+  const bytes = fromBase64Url(text || '');
+  return bytes.length === 65 && bytes[0] === 0x04;
+};
+
+/**
+ * Whether a subscription endpoint is an https URL of a known push service, so
+ * a subscription can't make the server post to any other host
+ * @returns {boolean}
+ */
+const isPushServiceEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+  return PUSH_SERVICE_HOSTS.some(host => (
+    host.startsWith('.') ? url.hostname.endsWith(host) : url.hostname === host
+  ));
+};
+
+// KeyObjects from raw base64url keys (JWK needs the point's x and y)
+const publicKeyObject = (publicKey) => {
+  const point = fromBase64Url(publicKey);
+  return crypto.createPublicKey({
+    key: { kty: 'EC', crv: 'P-256', x: toBase64Url(point.subarray(1, 33)), y: toBase64Url(point.subarray(33, 65)) },
+    format: 'jwk',
+  });
+};
+
+const privateKeyObject = ({ publicKey, privateKey }) => {
+  const point = fromBase64Url(publicKey);
+  return crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: toBase64Url(point.subarray(1, 33)),
+      y: toBase64Url(point.subarray(33, 65)),
+      d: privateKey,
+    },
+    format: 'jwk',
+  });
+};
+
+// ============================================
+// VAPID
+// ============================================
+
+/**
+ * Authorization header value for one push service
+ * @param {Object} options - { audience: push service origin, vapid: { publicKey, privateKey, subject }, expiresAt: ms }
+ * @returns {string} 'vapid t=<jwt>, k=<public key>'
+ */
+const vapidAuthorization = ({ audience, vapid, expiresAt }) => {
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(JSON.stringify({
+    aud: audience,
+    exp: Math.floor(expiresAt / 1000),
+    sub: vapid.subject,
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: privateKeyObject(vapid),
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${vapid.publicKey}`;
+};
+
+/**
+ * Check a VAPID Authorization header - what a push service does (and the test harness)
+ * @param {string} authorization - Header value
+ * @param {string} audience - Origin the JWT must be for
+ * @returns {Object|null} { publicKey, claims } or null when it doesn't verify
+ */
+const verifyVapidAuthorization = (authorization, audience) => {
+  const match = /^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+),\s*k=([\w-]+)$/.exec(authorization || '');
+  if (!match) return null;
+  const [, header, payload, signature, publicKey] = match;
+  if (!isP256PublicKey(publicKey)) return null;
+
+  const valid = crypto.verify('sha256', Buffer.from(`${header}.${payload}`), {
+    key: publicKeyObject(publicKey),
+    dsaEncoding: 'ieee-p1363',
+  }, fromBase64Url(signature));
+  if (!valid) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(fromBase64Url(payload).toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (claims.aud !== audience || !claims.exp || claims.exp * 1000 <= Date.now()) return null;
+  return { publicKey, claims };
+};
+
+// ============================================
+// ENCRYPTION (aes128gcm)
+// ============================================
+
+const hkdf = (ikm, salt, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+// Content key and nonce for one message (RFC 8291 section 3.4, RFC 8188 section 2.2)
+const deriveContentKeys = ({ sharedSecret, authSecret, userPublicKey, serverPublicKey, salt }) => {
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+  const ikm = hkdf(sharedSecret, authSecret, keyInfo, 32);
+  return {
+    key: hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+    nonce: hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12),
+  };
+};
+
+/**
+ * Encrypt a payload for one subscription
+ * @param {Object} keys - The subscription's { p256dh, auth }
+ * @param {Buffer|string} payload - At most MAX_PAYLOAD_BYTES
+ * @returns {Buffer} aes128gcm body: salt, record size, our public key, ciphertext
+ */
+const encryptPayload = (keys, payload) => {
+  const plaintext = Buffer.from(payload);
+  if (plaintext.length > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Push payload is ${plaintext.length} bytes (max ${MAX_PAYLOAD_BYTES})`);
+  }
+
+  const userPublicKey = fromBase64Url(keys.p256dh);
+  const ecdh = crypto.createECDH(CURVE);
+  const serverPublicKey = ecdh.generateKeys();
+  const salt = crypto.randomBytes(16);
+  const { key, nonce } = deriveContentKeys({
+    sharedSecret: ecdh.computeSecret(userPublicKey),
+    authSecret: fromBase64Url(keys.auth),
+    userPublicKey,
+    serverPublicKey,
+    salt,
+  });
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+  // 0x02: padding delimiter of the last (only) record
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.update(Buffer.from([2])), cipher.final()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+  return Buffer.concat([header, serverPublicKey, ciphertext, cipher.getAuthTag()]);
+};
+
+/**
+ * Decrypt an aes128gcm body - what the browser does (and the test harness)
+ * @param {Object} options - { body, userKeys: ECDH instance holding the subscription's private key, authSecret: Buffer }
+ * @returns {Buffer} The payload
+ */
+const decryptPayload = ({ body, userKeys, authSecret }) => {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+
+  const { key, nonce } = deriveContentKeys({
+    sharedSecret: userKeys.computeSecret(serverPublicKey),
+    authSecret,
+    userPublicKey: userKeys.getPublicKey(),
+    serverPublicKey,
+    salt,
+  });
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+
+  // Strip padding: trailing zeros, then the delimiter
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end -= 1;
+  if (padded[end] !== 2) throw new Error('Push payload has no final-record delimiter');
+  return padded.subarray(0, end);
+};
+
+// ============================================
+// SENDING
+// ============================================
+
+/**
+ * @param {Object} options
+ * @param {Object} options.vapid - { publicKey, privateKey, subject } - subject is a mailto: or https: contact
+ * @param {Function} options.fetch - fetch() used to reach push services (the tests pass their own)
+ * @returns {Object} { publicKey, send }
+ */
+const createPushSender = ({ vapid, fetch = globalThis.fetch }) => {
+  // Push service origin -> { header, expiresAt }
+  const authorizations = new Map();
+
+  const authorizationFor = (audience) => {
+    const cached = authorizations.get(audience);
+    if (cached && cached.expiresAt - Date.now() > JWT_RENEW_MARGIN_MS) return cached.header;
+    const expiresAt = Date.now() + JWT_LIFETIME_SECONDS * 1000;
+    const header = vapidAuthorization({ audience, vapid, expiresAt });
+    authorizations.set(audience, { header, expiresAt });
+    return header;
+  };
+
+  /**
+   * Send one message
+   * @param {Object} subscription - { endpoint, keys: { p256dh, auth } } as the browser made it
+   * @param {Object|string} payload - Objects are sent as JSON
+   * @param {Object} options - { ttl: seconds the push service keeps it for an offline device, urgency }
+   * @returns {Promise<Object>} { success, statusCode, gone, error } - gone: the subscription no
+   *   longer exists (404/410) and should be forgotten
+   */
+  const send = async (subscription, payload, { ttl = DEFAULT_TTL_SECONDS, urgency = 'normal' } = {}) => {
+    try {
+      const body = encryptPayload(subscription.keys, typeof payload === 'string' ? payload : JSON.stringify(payload));
+      const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+          Authorization: authorizationFor(new URL(subscription.endpoint).origin),
+          'Content-Encoding': 'aes128gcm',
+          'Content-Type': 'application/octet-stream',
+          TTL: String(ttl),
+          Urgency: urgency,
+        },
+        body,
+      });
+
+      if (response.ok) return { success: true, statusCode: response.status, gone: false };
+      const gone = response.status === 404 || response.status === 410;
+      const detail = await response.text().catch(() => '');
+      return {
+        success: false,
+        statusCode: response.status,
+        gone,
+        error: `Push service answered ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`,
+      };
+    } catch (error) {
+      return { success: false, statusCode: null, gone: false, error: error.message };
+    }
+  };
+
+  return { publicKey: vapid.publicKey, send };
+};
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  createPushSender,
+  decryptPayload,
+  encryptPayload,
+  generateVapidKeys,
+  isP256PublicKey,
+  isPushServiceEndpoint,
+  vapidAuthorization,
+  verifyVapidAuthorization,
+};
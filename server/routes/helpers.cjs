@@ -0,0 +1,270 @@
+/**
+ * ROUTE HELPERS
+ *
+ * What the route modules share: JSON answers with fallbacks, Server-Sent
+ * Events for the long generations, response cache lookups and embeddings
+ * that degrade to keyword matching.
+ */
+
+const { LlmAbortError, LlmJsonError } = require('../llm/index.cjs');
+const { EmbeddingsUnavailableError } = require('../embeddings/index.cjs');
+const { embedder, llm, responseCache } = require('../services.cjs');
+
+// ============================================
+// MODEL JSON
+// ============================================
+// JSON routes name their task and get validated data back from the LLM layer
+// (fences stripped, broken JSON repaired, schema checked - see server/llm).
+// Routes with a sensible default use this helper; the rest catch LlmJsonError.
+
+/**
+ * JSON answer for a task, or fallback(rawText) when no valid JSON could be recovered
+ * @param {string} task - Task name (server/llm/models.cjs)
+ * @param {Object} request - { messages, max_tokens, temperature }
+ * @param {Function} fallback - (rawText) => default data
+ * @param {Object} options - { repair } - see llm.generateJson
+ * @returns {Promise<*>} Parsed data
+ */
+const generateJsonOr = async (task, request, fallback, options = {}) => {
+  try {
+    const { data } = await llm.generateJson(task, request, options);
+    return data;
+  } catch (error) {
+    if (!(error instanceof LlmJsonError)) throw error;
+    console.error(`Failed to parse ${task} response as JSON:`, error.problems.join('; '));
+    console.error('Raw response:', error.text);
+    return fallback(error.text);
+  }
+};
+
+// ============================================
+// STREAMING (SSE)
+// ============================================
+// The long generations (practice questions, cheat sheets, routines) stream as
+// Server-Sent Events when the client sends `Accept: text/event-stream`; other
+// clients still get a single JSON response. Every stream ends with either a
+// `done` event carrying the body the JSON response would have had, or an
+// `error` event ({ error, status }). Closing the connection aborts the upstream
+// model request, so a cancelled generation stops costing tokens.
+
+const wantsEventStream = (req) => (req.get('accept') || '').includes('text/event-stream');
+
+const openEventStream = (res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop reverse proxies from buffering the stream
+  });
+  res.flushHeaders();
+};
+
+const sendEvent = (res, event, data) => {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const endEventStream = (res, event, data) => {
+  sendEvent(res, event, data);
+  if (!res.writableEnded) res.end();
+};
+
+// Error response for a route that may already be streaming
+const sendRouteError = (res, status, body) => {
+  if (!res.headersSent) return res.status(status).json(body);
+  endEventStream(res, 'error', { ...body, status });
+};
+
+// Successful result for a route that may be streaming
+const sendRouteResult = (res, body) => {
+  if (!res.headersSent) return res.json(body);
+  endEventStream(res, 'done', body);
+};
+
+// The client closed the connection (cancel button, navigated away)
+const isClientAbort = (error) => error instanceof LlmAbortError;
+
+/**
+ * Stream a task's model call, handing text chunks to onText as they arrive.
+ * The LLM layer charges tokens as the stream reports them, so a cancelled
+ * generation still pays for what it produced.
+ * @returns {Promise<Object>} { text, model, usage } (rejects with LlmAbortError on cancel)
+ */
+const streamMessage = (res, task, request, onText) => {
+  const controller = new AbortController();
+  const abortUpstream = () => {
+    if (!res.writableEnded) controller.abort();
+  };
+  res.on('close', abortUpstream);
+
+  return llm.stream(task, request, { signal: controller.signal, onText })
+    .finally(() => res.off('close', abortUpstream));
+};
+
+/**
+ * Model call for a route that can stream: over SSE when the client asked for it
+ * (text chunks go to onText), otherwise one blocking call
+ * @returns {Promise<string>} The response text
+ */
+const generateRouteText = async (req, res, task, request, onText) => {
+  if (!wantsEventStream(req)) {
+    const { text } = await llm.generate(task, request);
+    return text;
+  }
+
+  openEventStream(res);
+  const { text } = await streamMessage(res, task, request, onText);
+  return text;
+};
+
+/**
+ * Incremental parser for one array inside a streamed JSON object, e.g. the
+ * "questions" in { "questions": [...] }. Feed it text chunks; onItem gets each
+ * object element as soon as its closing brace arrives. Elements that don't parse
+ * are skipped - the final JSON.parse of the full text stays authoritative.
+ * @param {string} key - Property holding the array
+ * @param {Function} onItem - Called with each parsed element
+ * @returns {Function} (chunk) => void
+ */
+const createArrayItemParser = (key, onItem) => {
+  const opening = new RegExp(`"${key}"\\s*:\\s*\\[`);
+  let buffer = '';
+  let position = -1; // Scan position, -1 until the array opens
+  let depth = 0;
+  let itemStart = -1;
+  let inString = false;
+  let escaped = false;
+  let finished = false;
+
+  return (chunk) => {
+    if (finished) return;
+    buffer += chunk;
+
+    if (position < 0) {
+      const match = opening.exec(buffer);
+      if (!match) return;
+      position = match.index + match[0].length;
+    }
+
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (depth === 0) itemStart = position;
+        depth += 1;
+      } else if (char === '}' || char === ']') {
+        if (depth === 0) {
+          finished = true; // End of the array itself
+          return;
+        }
+        depth -= 1;
+        if (depth === 0 && itemStart >= 0) {
+          try {
+            onItem(JSON.parse(buffer.slice(itemStart, position + 1)));
+          } catch (error) {
+            // Malformed element - the final parse decides what to do with it
+          }
+          itemStart = -1;
+        }
+      }
+    }
+  };
+};
+
+// ============================================
+// RESPONSE CACHE
+// ============================================
+// Answers that only depend on the request (subject and idea classification,
+// cheat sheets, flashcards) are kept for a per-endpoint TTL, so asking again
+// costs nothing - see server/cache. Cacheable routes report the outcome:
+//   X-Cache: HIT | MISS | BYPASS, X-Cache-Age (seconds, on hits), X-Cache-Key
+// "Cache-Control: no-cache" on the request skips the lookup (regenerate); the
+// fresh answer then replaces the cached one. Fallback answers are never cached.
+
+const CACHE_HEADERS = ['X-Cache', 'X-Cache-Age', 'X-Cache-Key'];
+
+/**
+ * Cached answer for a request, setting the X-Cache headers either way
+ * @param {Object} cacheKey - From responseCache.keyFor()
+ * @returns {Promise<Object|null>} { value, ageSeconds } or null on a miss/bypass
+ */
+const readResponseCache = async (req, res, cacheKey) => {
+  if (!responseCache.enabled) return null;
+  res.setHeader('X-Cache-Key', cacheKey.key);
+
+  if (/no-cache/i.test(req.get('Cache-Control') || '')) {
+    res.setHeader('X-Cache', 'BYPASS');
+    return null;
+  }
+
+  const hit = await responseCache.get(cacheKey);
+  res.setHeader('X-Cache', hit ? 'HIT' : 'MISS');
+  if (hit) res.setHeader('X-Cache-Age', String(hit.ageSeconds));
+  return hit;
+};
+
+// ============================================
+// EMBEDDINGS
+// ============================================
+// Semantic features are an upgrade over keyword matching, never a requirement:
+// when the model can't be loaded (first run offline, EMBEDDINGS_PROVIDER=off)
+// routes get null vectors and rank by keywords instead.
+
+/**
+ * Vectors for texts, or null ones when embeddings are unavailable
+ * @param {Array<string>} texts
+ * @returns {Promise<Object>} { model, vectors } - both null without embeddings
+ */
+const embedOrNull = async (texts) => {
+  try {
+    return await embedder.embed(texts);
+  } catch (error) {
+    if (!(error instanceof EmbeddingsUnavailableError)) throw error;
+    console.warn(`${error.message} - falling back to keywords`);
+    return { model: null, vectors: null };
+  }
+};
+
+// ============================================
+// IDEA QUERIES
+// ============================================
+// The Capture tab's search syntax lives in shared/ideaQuery.js so the app and
+// the server read a saved search the same way. It's an ES module (the app
+// bundles it), so CommonJS routes load it with import() - once.
+
+let ideaQueryModule = null;
+
+/**
+ * @returns {Promise<Object>} shared/ideaQuery.js - { parseQuery, matchesQuery, ... }
+ */
+const loadIdeaQuery = () => {
+  ideaQueryModule ||= import('../../shared/ideaQuery.js');
+  return ideaQueryModule;
+};
+
+module.exports = {
+  CACHE_HEADERS,
+  createArrayItemParser,
+  embedOrNull,
+  endEventStream,
+  generateJsonOr,
+  generateRouteText,
+  isClientAbort,
+  loadIdeaQuery,
+  openEventStream,
+  readResponseCache,
+  sendEvent,
+  sendRouteError,
+  sendRouteResult,
+  streamMessage,
+  wantsEventStream,
+};
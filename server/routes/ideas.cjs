@@ -0,0 +1,628 @@
+/**
+ * IDEA ROUTES
+ *
+ * Capture-tab AI: organizing, summarizing, tag and urgency analysis, and
+ * classifying captured ideas as routines, checklist items or timetable events.
+ */
+
+const { RESPONSE_SCHEMAS } = require('../llm/schemas.cjs');
+const { llm, responseCache } = require('../services.cjs');
+const { generateJsonOr, loadIdeaQuery, readResponseCache } = require('./helpers.cjs');
+const { ideaList, logList, nonBlank, nullable } = require('./schemas.cjs');
+const { createRouteGroup, invalidRequest } = require('./registry.cjs');
+
+const api = createRouteGroup({
+  name: 'ideas',
+  description: 'Organize, summarize and classify captured ideas',
+});
+
+// POST /api/organize-ideas - Organize ideas using Claude API
+api.post('/api/organize-ideas', {
+  summary: 'Organize ideas with AI',
+  description: 'Groups ideas by theme, assigns priorities and suggests next steps. Each theme lists the ids '
+    + 'of its ideas (ideaIds), so the app can save it as a group. With a query (the Capture '
+    + 'tab search syntax, shared/ideaQuery.js) only the matching ideas are organized; dates in it are '
+    + 'read in the server\'s time zone. When nothing matches there is no model call.',
+  body: {
+    type: 'object',
+    required: ['ideas'],
+    properties: {
+      ideas: { ...ideaList, minItems: 1 },
+      query: { type: 'string', description: 'e.g. "tag:uni due:<2026-11-01 -tag:someday"' },
+    },
+  },
+  response: RESPONSE_SCHEMAS['organize-ideas'],
+}, async (req, res) => {
+  try {
+    const { query } = req.body;
+    let { ideas } = req.body;
+    const total = ideas.length;
+
+    // A saved search: organize only what it selects
+    if (query !== undefined) {
+      const { matchesQuery, parseQuery } = await loadIdeaQuery();
+      const { ast, errors } = parseQuery(query);
+      if (errors.length > 0) {
+        return res.status(400).json(invalidRequest(
+          errors.map(({ message, start }) => `body.query: ${message} (at character ${start + 1})`)
+        ));
+      }
+
+      ideas = ideas.filter(idea => matchesQuery(ast, idea));
+      if (ideas.length === 0) {
+        return res.json({
+          summary: `No ideas match "${query}".`,
+          themes: [],
+          nextSteps: [],
+          query: { text: query, matched: 0, total },
+        });
+      }
+      console.log(`Query "${query}" matched ${ideas.length} of ${total} ideas`);
+    }
+
+    console.log(`Organizing ${ideas.length} ideas with Claude API...`);
+
+    // Format ideas for Claude
+    const ideasText = ideas.map((idea, index) => {
+      const tags = idea.tags && idea.tags.length > 0 ? `[${idea.tags.join(', ')}]` : '';
+      const context = idea.context ? `Context: ${idea.context}` : '';
+      return `${index + 1}. ${tags} ${idea.content}\n${context}`;
+    }).join('\n\n');
+
+    // Fast model - organizing is a light task
+    const organizedData = await generateJsonOr('organize-ideas', {
+      messages: [{
+        role: 'user',
+        content: `You are an AI assistant helping someone with ADHD organize their captured ideas. Analyze these ideas and organize them intelligently.
+
+Here are the captured ideas:
+
+${ideasText}
+
+IMPORTANT: Return ONLY valid JSON with no markdown formatting. Do not wrap in code blocks.
+
+Please organize these ideas by:
+1. Identifying common themes and grouping related ideas together
+2. Assigning priority levels (high, medium, low) to each theme based on urgency and impact
+3. Providing a brief summary of the overall pattern you see
+4. Suggesting 3-5 actionable next steps in order of priority
+
+For each theme, include only the 5-8 most important ideas. If there are many similar ideas, summarize them.
+In "ideaNumbers", list the numbers of EVERY captured idea that belongs to the theme (from the numbered list above), not just the ones you show.
+
+Return your response as pure JSON (no markdown code fences):
+{
+  "summary": "A brief 2-3 sentence overview of what you notice about these ideas",
+  "themes": [
+    {
+      "name": "Theme name with emoji",
+      "description": "Brief description of this theme",
+      "priority": "high|medium|low",
+      "ideaNumbers": [1, 4],
+      "ideas": [
+        {
+          "content": "The idea text",
+          "tags": ["tag1", "tag2"]
+        }
+      ]
+    }
+  ],
+  "nextSteps": [
+    "Specific actionable step 1",
+    "Specific actionable step 2",
+    "Specific actionable step 3"
+  ]
+}
+
+Be encouraging and supportive in your tone. Focus on helping execute these ideas, not just organizing them.`
+      }]
+    }, (responseText) => ({
+      // Fallback: return the raw response
+      summary: responseText,
+      themes: [],
+      nextSteps: []
+    }));
+
+    const organized = attachThemeIdeaIds(organizedData, ideas);
+
+    console.log('Successfully organized ideas');
+    console.log('Parsed data structure:', JSON.stringify(organized, null, 2).substring(0, 500) + '...');
+    res.json(query === undefined
+      ? organized
+      : { ...organized, query: { text: query, matched: ideas.length, total } });
+
+  } catch (error) {
+    console.error('❌ Error organizing ideas:');
+    console.error('   Status:', error.status || 'N/A');
+    console.error('   Message:', error.message);
+    console.error('   Type:', error.type || 'N/A');
+    if (process.env.NODE_ENV === 'development') {
+      console.error('   Stack:', error.stack);
+    }
+
+    if (error.status === 401) {
+      return res.status(401).json({
+        error: 'Invalid API key. Please check your ANTHROPIC_API_KEY environment variable.'
+      });
+    }
+
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: 'Rate limit exceeded. Please try again in a moment.'
+      });
+    }
+
+    res.status(500).json({
+      error: error.message || 'Failed to organize ideas. Please try again.',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Helper: Give each organized theme the ids of its ideas, so the app can save it as
+// a group. The model lists members by their number in the prompt (ideaNumbers);
+// the ideas it quotes are matched by text too, in case it skipped the numbers.
+const normalizeContent = (text) => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+function attachThemeIdeaIds(organized, ideas) {
+  const idByContent = new Map();
+  ideas.forEach(idea => {
+    const key = normalizeContent(idea.content);
+    if (key && !idByContent.has(key)) idByContent.set(key, idea.id);
+  });
+
+  return {
+    ...organized,
+    themes: (organized.themes || []).map(({ ideaNumbers, ...theme }) => {
+      const numbered = (Array.isArray(ideaNumbers) ? ideaNumbers : []).map(number => ideas[Number(number) - 1]?.id);
+      const quoted = (theme.ideas || []).map(item => idByContent.get(
+        normalizeContent(typeof item === 'string' ? item : item?.content)
+      ));
+      const ideaIds = [...new Set([...numbered, ...quoted])].filter(id => id !== undefined && id !== null);
+      return { ...theme, ideaIds };
+    }),
+  };
+}
+
+// POST /api/weekly-summary - Get weekly summary of ideas
+api.post('/api/weekly-summary', {
+  summary: 'Get weekly summary',
+  body: {
+    type: 'object',
+    required: ['ideas'],
+    properties: { ideas: ideaList },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string' },
+      ideaCount: { type: 'integer' },
+      dateRange: { type: 'object' },
+    },
+  },
+}, async (req, res) => {
+  try {
+    const { ideas } = req.body;
+
+    console.log(`Generating weekly summary for ${ideas.length} ideas...`);
+
+    const ideasText = ideas.map(idea => {
+      const timestamp = new Date(idea.timestamp).toLocaleDateString();
+      return `[${timestamp}] ${idea.content}`;
+    }).join('\n');
+
+    const { text: summary } = await llm.generate('weekly-summary', {
+      messages: [{
+        role: 'user',
+        content: `Provide a weekly summary of these captured ideas. Focus on patterns, productivity insights, and suggestions for the week ahead.
+
+Ideas:
+${ideasText}
+
+Format your response as:
+- Key themes this week
+- Most productive areas
+- Suggestions for next week
+- Any concerning patterns (like scattered focus or lack of follow-through)`
+      }]
+    });
+
+    res.json({
+      summary,
+      ideaCount: ideas.length,
+      dateRange: {
+        start: ideas[ideas.length - 1]?.timestamp,
+        end: ideas[0]?.timestamp
+      }
+    });
+
+  } catch (error) {
+    console.error('Error generating weekly summary:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to generate weekly summary'
+    });
+  }
+});
+
+// 7. INTELLIGENT TAG MANAGEMENT
+// Analyzes tag usage patterns and recommends changes
+api.post('/api/analyze-tags', {
+  summary: 'Intelligent tag management',
+  description: 'Recommends tags to add, merge or remove from how they are used.',
+  body: {
+    type: 'object',
+    properties: {
+      ideas: nullable(ideaList),
+      currentTags: nullable({ type: 'array', items: { type: 'string' } }),
+    },
+  },
+}, async (req, res) => {
+  try {
+    const { ideas, currentTags } = req.body;
+
+    if (!ideas || ideas.length === 0) {
+      return res.json({
+        recommendations: [],
+        analysis: 'Not enough data to analyze tags yet.',
+        keepTags: currentTags || []
+      });
+    }
+
+    // Calculate tag usage statistics
+    const tagStats = {};
+    const customTagUsage = {};
+    let totalIdeasWithTags = 0;
+
+    ideas.forEach(idea => {
+      if (idea.tags && idea.tags.length > 0) {
+        totalIdeasWithTags++;
+        idea.tags.forEach(tag => {
+          const key = tag.toLowerCase();
+          tagStats[key] = (tagStats[key] || 0) + 1;
+          if (!currentTags.includes(key)) {
+            customTagUsage[key] = (customTagUsage[key] || 0) + 1;
+          }
+        });
+      }
+    });
+
+    const usagePercentage = totalIdeasWithTags / ideas.length;
+
+    // Only proceed with AI analysis if user actively uses tags
+    if (usagePercentage < 0.3) {
+      return res.json({
+        recommendations: [],
+        analysis: `Tags are used in ${Math.round(usagePercentage * 100)}% of ideas. Keep experimenting! The system will optimize tags once you use them more frequently.`,
+        keepTags: currentTags || [],
+        stats: tagStats
+      });
+    }
+
+    // Prepare context for AI
+    const tagUsageReport = Object.entries(tagStats)
+      .sort((a, b) => b[1] - a[1])
+      .map(([tag, count]) => `- ${tag}: ${count} uses (${Math.round((count / ideas.length) * 100)}%)`)
+      .join('\n');
+
+    const recentIdeasSample = ideas.slice(0, 30).map(idea =>
+      `[Tags: ${idea.tags?.join(', ') || 'none'}] ${idea.content.substring(0, 80)}`
+    ).join('\n');
+
+    const result = await generateJsonOr('analyze-tags', {
+      messages: [{
+        role: 'user',
+        content: `You are analyzing tag usage for an ADHD productivity system.
+
+Current predefined tags: ${currentTags.join(', ')}
+
+Tag usage statistics:
+${tagUsageReport}
+
+Total ideas: ${ideas.length}
+Ideas with tags: ${totalIdeasWithTags} (${Math.round(usagePercentage * 100)}%)
+
+Sample of recent ideas:
+${recentIdeasSample}
+
+Based on this data:
+1. Which current tags are rarely used and should be removed? (less than 5% usage)
+2. Which custom tags are frequently used and should be added to the predefined list? (more than 10% usage and used at least 5 times)
+3. Are the current tags meeting the user's needs?
+
+IMPORTANT: Return ONLY valid JSON with no markdown formatting.
+
+Return pure JSON (no code fences):
+{
+  "tagsToRemove": ["tag1", "tag2"],
+  "tagsToAdd": ["tag3", "tag4"],
+  "reasoning": "Brief explanation of changes",
+  "analysis": "Overall assessment of tag usage patterns"
+}`
+      }]
+    }, () => ({
+      tagsToRemove: [],
+      tagsToAdd: [],
+      reasoning: 'Failed to parse AI response',
+      analysis: 'Tag system is working fine.'
+    }));
+
+    res.json({
+      ...result,
+      stats: tagStats,
+      usagePercentage: Math.round(usagePercentage * 100)
+    });
+
+  } catch (error) {
+    console.error('Error analyzing tags:', error);
+    res.status(500).json({ error: 'Failed to analyze tags' });
+  }
+});
+
+// 8. URGENCY & PRIORITY DETECTION
+// Analyzes ideas and logs to determine what's urgent and important
+api.post('/api/analyze-urgency', {
+  summary: 'AI-powered urgency detection',
+  body: {
+    type: 'object',
+    properties: {
+      ideas: nullable(ideaList),
+      logs: nullable(logList),
+    },
+  },
+}, async (req, res) => {
+  try {
+    const { ideas, logs } = req.body;
+
+    if (!ideas || ideas.length === 0) {
+      return res.json({
+        urgent: [],
+        important: [],
+        analysis: 'No ideas to analyze.'
+      });
+    }
+
+    const today = new Date();
+    const recentIdeas = ideas.slice(0, 50).map(idea => {
+      const daysAgo = idea.timestamp ? Math.floor((today - new Date(idea.timestamp)) / (1000 * 60 * 60 * 24)) : 0;
+      const dueInfo = idea.dueDate ? `Due: ${idea.dueDate}` : 'No due date';
+      return `[${daysAgo}d ago, ${dueInfo}, Tags: ${idea.tags?.join(',') || 'none'}] ${idea.content}`;
+    }).join('\n');
+
+    const recentLogs = (logs || []).slice(-20).map(log => {
+      const activity = log.activity || 'Unknown';
+      const note = log.note ? ` - "${log.note}"` : '';
+      return `[${activity}] Energy: ${log.energy}/10, Motivation: ${log.motivation}/10${note}`;
+    }).join('\n');
+
+    // Stray backslashes in the answer are escaped by the LLM layer's JSON repair
+    const result = await generateJsonOr('analyze-urgency', {
+      messages: [{
+        role: 'user',
+        content: `You are analyzing priorities for someone with ADHD.
+
+RECENT IDEAS:
+${recentIdeas}
+
+RECENT ACTIVITY LOGS:
+${recentLogs || 'No logs yet'}
+
+Analyze these ideas and determine:
+1. Which items are URGENT (time-sensitive, due soon, mentioned repeatedly)
+2. Which items are IMPORTANT (user shows enthusiasm, mentions frequently, aligns with their goals)
+3. User sentiment towards each major theme (do they like/dislike certain activities?)
+4. Priority scores for top items (0-100, considering urgency, importance, and sentiment)
+
+Consider:
+- Due dates and time sensitivity
+- Frequency of mentions
+- Language used (excited vs reluctant)
+- Energy/motivation patterns from logs
+- Tags that indicate priority (urgent, important)
+
+IMPORTANT: Return ONLY valid JSON with no markdown formatting.
+
+Return pure JSON (no code fences):
+{
+  "urgentItems": [
+    {
+      "content": "idea text",
+      "score": 85,
+      "reason": "Due in 2 days and mentioned 3 times"
+    }
+  ],
+  "importantItems": [
+    {
+      "content": "idea text",
+      "score": 75,
+      "reason": "User shows high enthusiasm, aligns with goals"
+    }
+  ],
+  "sentimentAnalysis": {
+    "positiveThemes": ["studying", "projects"],
+    "avoidedThemes": ["admin tasks"]
+  },
+  "recommendations": "Brief suggestions for what to prioritize today"
+}`
+      }]
+    }, () => ({
+      urgentItems: [],
+      importantItems: [],
+      sentimentAnalysis: {},
+      recommendations: 'Unable to analyze priorities at this time.'
+    }));
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error analyzing urgency:', error);
+    res.status(500).json({ error: 'Failed to analyze urgency' });
+  }
+});
+
+// AI-Powered Idea Classification - Auto-classify captured ideas (Haiku 3.5 for cost efficiency)
+api.post('/api/classify-idea', {
+  summary: 'Auto-classify captured idea',
+  description: 'Classifies an idea as routine, checklist, timetable or general, with duration, recurrence and priority.',
+  body: {
+    type: 'object',
+    required: ['content'],
+    properties: {
+      content: nonBlank,
+      context: nullable({ type: 'string' }),
+      timestamp: nullable({ type: 'string' }),
+      currentTags: nullable({ type: 'array', items: { type: 'string' } }),
+    },
+  },
+  response: RESPONSE_SCHEMAS['classify-idea'],
+  cached: true,
+}, async (req, res) => {
+  try {
+    const { content, context, timestamp, currentTags } = req.body;
+
+    // The capture date is left out of the key - none of the returned fields depend on it
+    const cacheKey = responseCache.keyFor('classify-idea', {
+      content,
+      context,
+      currentTags: [...(currentTags || [])].sort(),
+    });
+    const cached = await readResponseCache(req, res, cacheKey);
+    if (cached) return res.json(cached.value);
+
+    // Fast model for cost efficiency (~$0.0001 per classification)
+    let usedFallback = false;
+    const classification = await generateJsonOr('classify-idea', {
+      messages: [{
+        role: 'user',
+        content: `Analyze this captured idea and classify it. Return pure JSON (no code fences):
+
+Content: "${content}"
+Context: "${context || 'none'}"
+Existing Tags: ${currentTags?.join(', ') || 'none'}
+Captured: ${timestamp ? new Date(timestamp).toLocaleDateString() : 'now'}
+
+Classify into ONE of these types:
+- "routine": Recurring activities (daily/weekly patterns, habits)
+- "checklist": One-time tasks or non-recurring activities
+- "timetable": Specific date/time events (appointments, deadlines, exams)
+- "general": Default for ideas that don't fit above
+
+Also detect:
+- Duration estimate in minutes
+- Recurrence pattern (if routine)
+- Time of day preference
+- Priority level
+
+Return JSON:
+{
+  "classificationType": "routine|checklist|timetable|general",
+  "duration": number or null,
+  "recurrence": "none"|"daily"|"weekly"|"monthly"|null,
+  "timeOfDay": "morning"|"afternoon"|"evening"|"night"|null,
+  "priority": "high"|"medium"|"low",
+  "reasoning": "Brief explanation of classification"
+}`
+      }]
+    }, () => {
+      usedFallback = true;
+      // Return default classification
+      return {
+        classificationType: 'general',
+        duration: null,
+        recurrence: 'none',
+        timeOfDay: null,
+        priority: 'medium',
+        reasoning: 'Could not parse AI response, using default classification'
+      };
+    });
+
+    if (!usedFallback) responseCache.set(cacheKey, classification);
+    res.json(classification);
+
+  } catch (error) {
+    console.error('Error classifying idea:', error);
+    res.status(500).json({
+      error: 'Failed to classify idea',
+      fallback: {
+        classificationType: 'general',
+        duration: null,
+        recurrence: 'none',
+        timeOfDay: null,
+        priority: 'medium',
+        reasoning: 'Error occurred, using default classification'
+      }
+    });
+  }
+});
+
+// Batch Classification - Classify multiple ideas at once for efficiency
+api.post('/api/classify-ideas-batch', {
+  summary: 'Batch classify multiple ideas',
+  description: 'Classifies up to 10 ideas in one call; the rest of the list is ignored.',
+  body: {
+    type: 'object',
+    required: ['ideas'],
+    properties: { ideas: { ...ideaList, minItems: 1 } },
+  },
+  response: {
+    type: 'object',
+    required: ['classifications'],
+    properties: { classifications: RESPONSE_SCHEMAS['classify-ideas-batch'] },
+  },
+}, async (req, res) => {
+  try {
+    const { ideas } = req.body;
+
+    // Limit batch size to prevent excessive API costs
+    const batchSize = Math.min(ideas.length, 10);
+    const ideasToClassify = ideas.slice(0, batchSize);
+
+    const ideasText = ideasToClassify.map((idea, idx) =>
+      `${idx + 1}. "${idea.content}" ${idea.context ? `(Context: ${idea.context})` : ''}`
+    ).join('\n');
+
+    const classifications = await generateJsonOr('classify-ideas-batch', {
+      messages: [{
+        role: 'user',
+        content: `Classify these ${batchSize} ideas. For each, determine type, duration, recurrence, time preference, and priority.
+
+Ideas:
+${ideasText}
+
+Types: "routine" (recurring), "checklist" (one-time task), "timetable" (specific event), "general" (default)
+
+Return pure JSON array (no code fences):
+[
+  {
+    "index": 1,
+    "classificationType": "type",
+    "duration": number_or_null,
+    "recurrence": "none|daily|weekly|monthly",
+    "timeOfDay": "morning|afternoon|evening|night|null",
+    "priority": "high|medium|low"
+  }
+]`
+      }]
+    }, () => (
+      // Return defaults for all
+      ideasToClassify.map((_, idx) => ({
+        index: idx + 1,
+        classificationType: 'general',
+        duration: null,
+        recurrence: 'none',
+        timeOfDay: null,
+        priority: 'medium'
+      }))
+    ));
+
+    res.json({ classifications });
+
+  } catch (error) {
+    console.error('Error in batch classification:', error);
+    res.status(500).json({ error: 'Failed to classify ideas' });
+  }
+});
+
+module.exports = {
+  api,
+  attachThemeIdeaIds,
+};
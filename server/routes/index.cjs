@@ -0,0 +1,50 @@
+/**
+ * ROUTES
+ *
+ * Every API route, by area. Adding a route = declaring it in one of these
+ * groups (see registry.cjs) - it is then validated, listed in the 404 answer
+ * and the startup banner, and documented at GET /api/docs.
+ */
+
+const system = require('./system.cjs');
+const ideas = require('./ideas.cjs');
+const search = require('./search.cjs');
+const learning = require('./learning.cjs');
+const planning = require('./planning.cjs');
+const reminders = require('./reminders.cjs');
+const vision = require('./vision.cjs');
+const { buildOpenApiDocument } = require('../openapi.cjs');
+const { mountRouteGroups } = require('./registry.cjs');
+const { version } = require('../../package.json');
+
+const ROUTE_GROUPS = [system.api, ideas.api, search.api, learning.api, planning.api, reminders.api, vision.api];
+
+// Built on first request - the routes don't change while the server runs
+let apiDocument = null;
+
+// GET /api/docs - OpenAPI document generated from the route declarations
+system.api.get('/api/docs', {
+  summary: 'OpenAPI document for this API',
+  description: 'Generated from the same route schemas that validate requests (free, not counted).',
+}, (req, res) => {
+  apiDocument = apiDocument || buildOpenApiDocument(ROUTE_GROUPS, {
+    title: 'Neural Capture API',
+    version,
+    description: 'AI endpoints for the Neural Capture app. Every /api response reports the '
+      + 'remaining daily budget in X-Budget-* headers.',
+  });
+  res.json(apiDocument);
+});
+
+/**
+ * "METHOD /path" -> summary for every route, e.g. for the 404 answer
+ * @returns {Object}
+ */
+const describeRoutes = () => Object.fromEntries(ROUTE_GROUPS.flatMap(group => group.routes.map(route => [
+  `${route.method.toUpperCase()} ${route.path}`,
+  route.summary,
+])));
+
+const mountRoutes = (app) => mountRouteGroups(app, ROUTE_GROUPS);
+
+module.exports = { ROUTE_GROUPS, describeRoutes, mountRoutes };
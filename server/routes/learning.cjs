@@ -0,0 +1,1291 @@
+/**
+ * LEARNING ROUTES
+ *
+ * Resource Library and practice: practice questions, cheat sheets, flashcards
+ * and mind maps for a catalogue topic, answer evaluation (code answers are run
+ * against their test cases in the sandbox first) and subject classification.
+ */
+
+const { LlmJsonError } = require('../llm/index.cjs');
+const { RESPONSE_SCHEMAS } = require('../llm/schemas.cjs');
+const { llm, responseCache } = require('../services.cjs');
+const {
+  formatExecutionForPrompt,
+  isEmptyOrStarterCode,
+  runCodeInSandbox,
+  scoreFromExecution,
+} = require('../sandbox.cjs');
+const {
+  createArrayItemParser,
+  generateJsonOr,
+  generateRouteText,
+  isClientAbort,
+  openEventStream,
+  readResponseCache,
+  sendEvent,
+  sendRouteError,
+  sendRouteResult,
+  wantsEventStream,
+} = require('./helpers.cjs');
+const {
+  codeLanguage,
+  envelope,
+  nonBlank,
+  nullable,
+  studyTopic,
+  testCaseList,
+} = require('./schemas.cjs');
+const { createRouteGroup } = require('./registry.cjs');
+
+const api = createRouteGroup({
+  name: 'learning',
+  description: 'Practice questions, study resources and answer evaluation',
+});
+
+// Random contexts for question diversity
+const RANDOM_CONTEXTS = [
+  "sports statistics",
+  "medical research",
+  "business analytics",
+  "environmental data",
+  "social media metrics",
+  "gaming statistics",
+  "financial markets",
+  "educational testing",
+  "weather patterns",
+  "population demographics"
+];
+
+// Helper to get random context
+const getRandomContext = () => RANDOM_CONTEXTS[Math.floor(Math.random() * RANDOM_CONTEXTS.length)];
+
+// POST /api/evaluate-answer - AI evaluation of student answers (Haiku 3.5 for cost efficiency)
+api.post('/api/evaluate-answer', {
+  summary: 'Evaluate an answer (code is run against its test cases)',
+  body: {
+    type: 'object',
+    required: ['question', 'userAnswer', 'correctAnswer'],
+    properties: {
+      question: nonBlank,
+      userAnswer: { type: ['string', 'number'], pattern: '\\S' },
+      correctAnswer: { type: ['string', 'number'], pattern: '\\S' },
+      questionType: nullable({ type: 'string', description: 'short_answer, calculation, code, ...' }),
+      testCases: nullable(testCaseList),
+      language: nullable(codeLanguage),
+      starterCode: nullable({ type: 'string' }),
+    },
+  },
+  response: RESPONSE_SCHEMAS['evaluate-answer'],
+}, async (req, res) => {
+  try {
+    const { question, userAnswer, correctAnswer, questionType, testCases, language, starterCode } = req.body;
+
+    console.log(`Evaluating answer for question type: ${questionType || 'unknown'}...`);
+
+    // Check for empty/starter code submissions BEFORE calling Claude API
+    if (questionType === 'code') {
+      if (isEmptyOrStarterCode(userAnswer, starterCode, language)) {
+        console.log('Empty or unchanged starter code detected - returning incorrect without API call');
+        return res.json({
+          result: 'incorrect',
+          score: 0,
+          feedback: 'No solution provided. Please write your code before submitting. Your submission appears to be empty or contains only the starter template.',
+          issues: ['No implementation provided', 'Code is empty or unchanged from starter template'],
+          suggestions: ['Write your solution code', 'Replace placeholder comments with actual implementation', 'Make sure to implement the required logic']
+        });
+      }
+    }
+
+    // Actually run the code against the test cases so grading is based on real results, not Claude's prediction
+    let execution = null;
+    if (questionType === 'code' && Array.isArray(testCases) && testCases.length > 0) {
+      try {
+        execution = await runCodeInSandbox(userAnswer, language, testCases);
+        if (!execution.available) {
+          console.log(`Sandbox unavailable (${execution.reason}) - falling back to AI-only evaluation`);
+          execution = null;
+        } else {
+          console.log(`Sandbox run: ${execution.passed}/${execution.total} tests passed`);
+        }
+      } catch (sandboxError) {
+        console.error('Sandbox execution failed:', sandboxError.message);
+        execution = null;
+      }
+    }
+
+    // Use different prompts for code vs regular answers
+    let promptContent;
+    let maxTokens = 256;
+
+    if (questionType === 'code') {
+      maxTokens = 1024; // More tokens for code evaluation
+      const testCasesStr = testCases && testCases.length > 0
+        ? testCases.map((tc, i) => `Test ${i + 1}: Input: ${tc.input} → Expected: ${tc.expectedOutput}`).join('\n')
+        : 'No test cases provided';
+
+      promptContent = `You are evaluating a student's code submission for a programming problem.
+
+Problem: "${question}"
+Language: ${language || 'python'}
+Expected Solution: 
+\`\`\`
+${correctAnswer}
+\`\`\`
+
+Student's Code:
+\`\`\`
+${userAnswer}
+\`\`\`
+
+Test Cases:
+${testCasesStr}
+${execution ? `
+ACTUAL EXECUTION RESULTS (the student's code was run in a sandbox - these are facts, not predictions):
+${formatExecutionForPrompt(execution)}
+
+Do NOT contradict these results. Use them to explain why tests failed and to give feedback on logic and quality.
+` : ''}
+CRITICAL FIRST CHECK:
+Before evaluating correctness, you MUST first verify that the student has written meaningful code:
+1. If the code is empty, only contains comments, only contains 'pass', or just has placeholder text like "# Your code here" - mark as INCORRECT with score 0 immediately.
+2. If the code is essentially the starter template unchanged - mark as INCORRECT with score 0.
+3. If the code does not attempt to solve the problem (e.g., just prints something unrelated) - mark as INCORRECT with score 0.
+
+Only if the student has written actual implementation code, evaluate for:
+1. CORRECTNESS: Would the code produce the correct output for the test cases?
+2. LOGIC: Is the algorithmic approach correct?
+3. QUALITY: Code style, efficiency, and best practices
+
+Scoring:
+- CORRECT (1 point): Code would produce correct output for all test cases, logic is sound
+- PARTIAL (0.5 points): Code has the right idea but has bugs, or works for some but not all test cases
+- INCORRECT (0 points): Code is fundamentally wrong, would not work, OR student did not write any meaningful implementation
+
+IMPORTANT: Return ONLY valid JSON with no markdown formatting.
+Return pure JSON:
+{
+  "result": "correct|partial|incorrect",
+  "score": 1,
+  "feedback": "Explanation of what's right/wrong with their code",
+  "issues": ["Issue 1 if any", "Issue 2 if any"],
+  "suggestions": ["Suggestion for improvement"]
+}`;
+    } else if (questionType === 'project') {
+      maxTokens = 1024;
+      promptContent = `You are evaluating a student's project submission.
+
+Project: "${question}"
+Expected Approach/Key Insights: "${correctAnswer}"
+Student's Submission: "${userAnswer}"
+
+Evaluate the student's work for:
+1. COMPLETENESS: Did they address all requirements?
+2. UNDERSTANDING: Do they demonstrate understanding of the concepts?
+3. QUALITY: Is the solution well-reasoned and clearly presented?
+
+Scoring:
+- CORRECT (1 point): Comprehensive solution that demonstrates strong understanding
+- PARTIAL (0.5 points): Addresses some requirements but incomplete or shows partial understanding
+- INCORRECT (0 points): Does not address the requirements or shows fundamental misunderstanding
+
+IMPORTANT: Return ONLY valid JSON with no markdown formatting.
+Return pure JSON:
+{
+  "result": "correct|partial|incorrect",
+  "score": 1,
+  "feedback": "Detailed feedback on their project submission"
+}`;
+    } else {
+      promptContent = `Evaluate if the student's answer is essentially correct.
+
+Question: "${question}"
+Expected answer: "${correctAnswer}"
+Student's answer: "${userAnswer}"
+
+Scoring:
+- CORRECT (1 point): Same meaning, covers key concepts, even if different wording
+- PARTIAL (0.5 points): Partially correct, missing some key concepts
+- INCORRECT (0 points): Wrong or fundamentally misunderstands
+
+Return JSON only: {"result": "correct|partial|incorrect", "score": 1|0.5|0, "feedback": "brief explanation"}`;
+    }
+
+    // Code review runs on the quality model, everything else on the fast one
+    const evaluation = await generateJsonOr(questionType === 'code' ? 'evaluate-code' : 'evaluate-answer', {
+      max_tokens: maxTokens,
+      messages: [{
+        role: 'user',
+        content: promptContent
+      }]
+    }, () => {
+      // Fallback to simple string comparison
+      const normalizedUser = userAnswer.toLowerCase().trim();
+      const normalizedCorrect = correctAnswer.toLowerCase().trim();
+      const isExact = normalizedUser === normalizedCorrect;
+
+      return {
+        result: isExact ? 'correct' : 'incorrect',
+        score: isExact ? 1 : 0,
+        feedback: execution
+          ? `Passed ${execution.passed} of ${execution.total} test cases.`
+          : isExact ? 'Exact match.' : 'Answer does not match expected answer.'
+      };
+    });
+
+    // Real test results are authoritative for the score - Claude only contributes the feedback
+    if (execution && execution.total > 0) {
+      Object.assign(evaluation, scoreFromExecution(execution));
+      evaluation.execution = execution;
+    }
+
+    console.log(`Evaluation result: ${evaluation.result} (${evaluation.score} points)`);
+    res.json(evaluation);
+
+  } catch (error) {
+    console.error('Error evaluating answer:', error);
+
+    if (error.status === 401) {
+      return res.status(401).json({
+        error: 'Invalid API key. Please check your ANTHROPIC_API_KEY environment variable.'
+      });
+    }
+
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: 'Rate limit exceeded. Please try again in a moment.'
+      });
+    }
+
+    res.status(500).json({
+      error: error.message || 'Failed to evaluate answer'
+    });
+  }
+});
+
+// POST /api/run-code - Execute code against test cases in the sandbox (no AI call)
+api.post('/api/run-code', {
+  summary: 'Run code against test cases in a sandbox',
+  description: 'No model call - only counts against the request budget. 503 when the server can\'t run '
+    + 'the language, or can\'t run code without network access (SANDBOX_ALLOW_UNISOLATED).',
+  body: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', minLength: 1 },
+      language: codeLanguage,
+      testCases: testCaseList,
+    },
+  },
+}, async (req, res) => {
+  try {
+    const { code, language, testCases } = req.body;
+
+    console.log(`Running ${language || 'python'} code against ${testCases?.length || 0} test cases...`);
+
+    const execution = await runCodeInSandbox(code, language, testCases || []);
+    if (!execution.available) {
+      return res.status(503).json({ success: false, error: execution.reason, data: execution });
+    }
+
+    res.json({
+      success: true,
+      data: execution
+    });
+
+  } catch (error) {
+    console.error('Error running code:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to run code'
+    });
+  }
+});
+
+// POST /api/generate-practice-questions - Generate practice questions for learning
+api.post('/api/generate-practice-questions', {
+  summary: 'Generate practice questions for a topic',
+  body: {
+    type: 'object',
+    required: ['subject', 'topic'],
+    properties: {
+      subject: studyTopic.subject,
+      topic: studyTopic.topic,
+      difficulty: nullable({ type: 'string', description: 'easy, medium, hard or extreme' }),
+      questionCount: nullable({ type: 'integer', minimum: 1 }),
+      questionStyle: nullable({ type: 'string', description: 'balanced, proof, ...' }),
+      focusMode: nullable({ type: 'string', description: 'understanding, ...' }),
+      concept: nullable({ type: 'object', description: 'Single mind map concept to practice: { label, summary }' }),
+    },
+  },
+  response: RESPONSE_SCHEMAS['generate-practice-questions'],
+  stream: ['question'],
+}, async (req, res) => {
+  try {
+    const { subject, topic, difficulty, questionCount, questionStyle, focusMode, concept } = req.body;
+
+    const difficultyLevel = difficulty || 'medium';
+    const style = questionStyle || 'balanced';
+    const focus = focusMode || 'understanding';
+    const streaming = wantsEventStream(req);
+
+    let count = questionCount || 5;
+    // Without streaming, reduce count for proof+extreme to avoid timeout/truncation
+    if (!streaming && style === 'proof' && difficultyLevel === 'extreme') {
+      count = Math.min(count, 3);
+    }
+
+    // Get random context for this session
+    const randomContext = getRandomContext();
+
+    // Difficulty descriptions for the prompt
+    const difficultyDescriptions = {
+      easy: 'Single concept, straightforward application. Clear and direct questions with minimal complexity.',
+      medium: 'Standard textbook level. May combine 2 concepts or require multi-step thinking.',
+      hard: 'Multi-step problems combining multiple concepts. Requires deeper understanding and synthesis.',
+      extreme: `ELITE DIFFICULTY - Graduate/Olympiad level. Questions should be:
+- Genuinely difficult problems that would challenge PhD students
+- Multi-step with non-obvious approaches
+- Require creative insight or clever tricks
+- Similar to Putnam, IMO, or graduate qualifying exams
+- NO softball questions - every question must make the student struggle
+- Assume mastery of all prerequisite material
+- Include edge cases, counterexamples, and subtle traps
+- Problems where the "obvious" approach fails`
+    };
+
+    // Question style descriptions
+    const styleDescriptions = {
+      balanced: 'Mix of all question types - some definitional, some computational, some conceptual, some application-based.',
+      conceptual: 'Focus on "why" and "how" questions. Minimal calculations. Test deep understanding of concepts and their relationships.',
+      calculation: 'Heavy on numerical problems. Require step-by-step calculations and mathematical reasoning.',
+      formula: 'Emphasize equations, derivations, and formula applications. Test ability to apply and manipulate formulas.',
+      application: 'Real-world scenarios and data interpretation. Apply concepts to practical situations.',
+      proof: `Rigorous mathematical proofs and theoretical arguments. Questions should:
+- Require formal proof techniques (induction, contradiction, construction, epsilon-delta)
+- Derive results from first principles
+- Prove or disprove statements with full rigor
+- Construct counterexamples when claims are false
+- Use proper mathematical notation and logical structure`
+    };
+
+    // Focus mode descriptions
+    const focusDescriptions = {
+      understanding: 'Ask questions that test deep comprehension. Prefer "why does X happen" over "what is X". Test reasoning and connections between concepts.',
+      memorization: 'Ask questions that test recall of definitions, formulas, and key facts. Focus on terminology and standard procedures.',
+      holistic: `Create questions that require combining concepts from multiple areas within ${topic}. Test how different concepts connect and build on each other.`
+    };
+
+    const difficultyDescription = difficultyDescriptions[difficultyLevel] || difficultyDescriptions.medium;
+    const styleDescription = styleDescriptions[style] || styleDescriptions.balanced;
+    const focusDescription = focusDescriptions[focus] || focusDescriptions.understanding;
+
+    // Special case: Extreme + Proof-Based = Maximum difficulty
+    let extremeProofPrompt = '';
+    if (difficultyLevel === 'extreme' && style === 'proof') {
+      extremeProofPrompt = `
+⚠️ EXTREME + PROOF-BASED MODE ⚠️
+This is the MAXIMUM difficulty setting. Generate questions at the level of:
+- Putnam Competition / IMO (for pure math)
+- PhD Qualifying Exams (for statistics/probability)
+- Research-level problems that might appear in academic papers
+
+Requirements:
+1. Every question must require genuine mathematical maturity
+2. Proofs should require clever insights - not just mechanical application
+3. Include problems where standard approaches fail and creativity is needed
+4. Some questions should have elegant solutions that are hard to find
+5. Acceptable to include open-ended questions like "Prove or disprove"
+6. Can reference advanced theorems (Radon-Nikodym, martingale convergence, etc.)
+7. Multi-part proofs where each part builds on the previous
+8. Questions that would take a strong undergraduate 30+ minutes to solve
+
+Examples of appropriate difficulty:
+- "Prove that convergence in probability does not imply almost sure convergence by constructing an explicit counterexample sequence"
+- "Using the Cramér-Rao lower bound, prove that the sample variance is not efficient for estimating σ² when sampling from a normal distribution, then find the efficient estimator"
+- "Prove the Neyman-Pearson lemma from first principles, then extend it to the case of composite hypotheses"
+
+DO NOT generate easy questions. If you're unsure whether a question is hard enough, make it harder.
+
+CRITICAL JSON FORMATTING RULES:
+- Return ONLY a valid JSON object with a single "questions" array
+- Do NOT include any fields outside the "questions" array
+- Do NOT duplicate any keys
+- Ensure all LaTeX backslashes are double-escaped (\\\\frac not \\frac)
+- Keep each question's correctAnswer concise (under 500 characters) - put detailed solutions in the explanation field
+- Verify your JSON is complete and properly closed before responding
+`;
+    }
+
+    console.log(`Generating ${count} ${difficultyLevel} practice questions for ${subject} - ${topic}${concept?.label ? ` [${concept.label}]` : ''} (style: ${style}, focus: ${focus}, context: ${randomContext})...`);
+
+    // Build the holistic prompt addition for holistic mode
+    let holisticPrompt = '';
+    if (focus === 'holistic') {
+      holisticPrompt = `
+HOLISTIC MODE - CROSS-CONCEPT QUESTIONS:
+Generate questions that TEST CONNECTIONS between concepts.
+
+For a ${topic} quiz in ${subject}, create questions that:
+1. Require knowledge from multiple sub-areas of ${topic}
+2. Ask students to compare/contrast related concepts
+3. Present scenarios where multiple concepts apply
+4. Test understanding of how concepts build on each other
+
+Example approaches:
+- "A dataset has mean 50, median 55, and mode 60. What does this suggest about the shape of the distribution?" (combines central tendency with distribution shape)
+- "If you remove the largest outlier from a dataset, which will change more: the mean or the median? Explain why." (combines outliers, mean, median concepts)
+- Questions that require applying multiple formulas or concepts together
+
+${difficultyLevel === 'extreme' ? `For EXTREME difficulty + Holistic mode:
+- Pull concepts from OTHER related topics in ${subject} as well
+- E.g., a Descriptive Statistics question that requires understanding of probability distributions
+- Cross-topic synthesis is encouraged` : ''}
+`;
+    }
+
+    // Single-concept sessions (e.g. "practice this node" from a mind map)
+    let conceptPrompt = '';
+    if (concept?.label) {
+      conceptPrompt = `
+CONCEPT FOCUS:
+Every question must be about "${concept.label}" within ${topic}${concept.summary ? ` (${concept.summary})` : ''}.
+Vary which aspect of it each question tests (definition, calculation, application, common mistakes, links to related ideas)
+instead of spreading questions across the whole topic.
+`;
+    }
+
+    // Build question distribution based on style
+    let questionDistribution = '';
+    if (style === 'calculation') {
+      questionDistribution = `
+QUESTION DISTRIBUTION (Calculation Heavy):
+- 1x multiple_choice: Conceptual multiple choice
+- 3x calculation: Numerical problems requiring step-by-step calculations
+- 1x formula: Apply a formula to solve a problem (numerical answer)`;
+    } else if (style === 'conceptual') {
+      questionDistribution = `
+QUESTION DISTRIBUTION (Conceptual Focus):
+- 2x multiple_choice: Conceptual understanding questions
+- 1x short_answer: Explain "why" or "how" something works
+- 1x short_answer: Compare/contrast concepts
+- 1x calculation: One computational problem to ground the theory`;
+    } else if (style === 'formula') {
+      questionDistribution = `
+QUESTION DISTRIBUTION (Formula & Equations):
+- 1x multiple_choice: Select the correct formula for a scenario
+- 2x formula: Apply formulas to calculate numerical answers
+- 1x calculation: Derive or manipulate an equation
+- 1x short_answer: Explain when/why to use a particular formula`;
+    } else if (style === 'application') {
+      questionDistribution = `
+QUESTION DISTRIBUTION (Real-World Applications):
+- 2x multiple_choice: Interpret real-world data scenarios
+- 1x calculation: Solve a practical problem with real data
+- 1x short_answer: Explain implications of results in context
+- 1x formula: Apply formula to a real-world dataset`;
+    } else if (style === 'proof') {
+      questionDistribution = `
+QUESTION DISTRIBUTION (Proof-Based):
+- 2x short_answer: "Prove that..." or "Show that..." requiring multi-step proofs
+- 1x short_answer: "Prove or disprove..." (may be false - student must determine)
+- 1x multiple_choice: Select the correct proof strategy or identify the flaw in a proof
+- 1x short_answer: Construct a counterexample or prove a converse`;
+    } else if (style === 'code') {
+      questionDistribution = `
+QUESTION DISTRIBUTION (Code-Based):
+Generate programming challenges that require writing code to solve problems.
+ALL questions should be of type "code".
+
+For each code question, you MUST include:
+- A clear problem statement explaining what to implement
+- The programming language (based on subject: Python for CS/AI, Python or R for Statistics)
+- Input/output examples as test cases
+- A working solution in the correctAnswer field
+- Explanation of the approach
+
+LANGUAGE SELECTION:
+- Computer Science / Artificial Intelligence: Python
+- Statistics / Linear Statistical Models: Python (for data analysis) or R (for statistical modeling)
+- Probability / Probability For Inference: Python (for simulations)
+- Mathematics subjects: Python (for numerical work)`;
+    } else if (style === 'project') {
+      questionDistribution = `
+QUESTION DISTRIBUTION (Project-Based):
+Generate ONE comprehensive project that tests deep understanding through practical application.
+
+The project should:
+- Have a clear title and high-level overview
+- List specific learning objectives being tested
+- Break requirements into multiple parts/milestones
+- For Hard/Extreme difficulty: Include advanced challenges requiring research beyond course material
+- Provide hints that students can optionally use
+- Include clear evaluation criteria
+
+This is a comprehensive project, so generate exactly 1 project-type question.`;
+    } else {
+      // balanced
+      questionDistribution = `
+QUESTION DISTRIBUTION (Balanced Mix):
+- 2x multiple_choice: Multiple choice questions with 4 options (A, B, C, D)
+- 1x calculation: Numerical answer required (include the expected numerical value)
+- 1x formula: Question involves mathematical equations/formulas
+- 1x short_answer: Brief text response expected (1-3 sentences)`;
+    }
+
+    console.log(`Generating ${count} questions${streaming ? ' (streaming)' : ''}...`);
+
+    // Each question is sent as a `question` event as soon as it's complete
+    const streamQuestions = createArrayItemParser('questions', question => sendEvent(res, 'question', question));
+
+    const responseText = await generateRouteText(req, res, 'generate-practice-questions', {
+      // Streaming has no request timeout, so there's room for long proofs
+      max_tokens: streaming ? 16384 : 8192,
+      temperature: 1.0,
+      messages: [{
+        role: 'user',
+        content: `You are an expert educator creating practice questions for a student studying ${subject}, specifically the topic: ${topic}.
+
+Generate exactly ${count} practice questions at ${difficultyLevel.toUpperCase()} difficulty level.
+
+DIFFICULTY: ${difficultyDescription}
+QUESTION STYLE: ${styleDescription}
+FOCUS MODE: ${focusDescription}
+REAL-WORLD CONTEXT FOR THIS SESSION: ${randomContext}
+${holisticPrompt}
+${conceptPrompt}
+${extremeProofPrompt}
+CRITICAL RANDOMIZATION RULES:
+- Each question must test a DIFFERENT concept or skill within this topic
+- Do NOT generate variations of the same question with different numbers
+- Vary question formats: some definitional, some computational, some conceptual, some application-based
+- If topic is "Descriptive Statistics", spread across: mean, median, mode, variance, standard deviation, range, percentiles, outliers, data interpretation, etc.
+- Never repeat the same question structure twice in one session
+- Incorporate the random context (${randomContext}) into at least 2 questions to add variety
+
+${questionDistribution}
+
+For calculation questions:
+- Provide a clear numerical expected answer
+- Include units if applicable
+- The answer should be a specific number that can be checked with ±1% tolerance
+
+For formula questions:
+- Use proper LaTeX notation wrapped in $...$ for inline math or $$...$$ for display math
+- Make formulas clear and readable
+- Can be multiple_choice (select correct formula) or calculation (apply formula to get numerical answer)
+
+IMPORTANT: Return ONLY valid JSON with no markdown formatting.
+
+${style === 'code' ? `
+For CODE questions, use this structure:
+{
+  "questions": [
+    {
+      "id": 1,
+      "type": "code",
+      "question": "Problem description with requirements. Be specific about what the function should do.",
+      "language": "python",
+      "starterCode": "def solution(input):\\n    # Your code here\\n    pass",
+      "testCases": [
+        { "input": "example input 1", "expectedOutput": "expected result 1" },
+        { "input": "example input 2", "expectedOutput": "expected result 2" }
+      ],
+      "correctAnswer": "def solution(input):\\n    # Complete working solution\\n    return result",
+      "explanation": "Explanation of the approach, time complexity, and key concepts"
+    }
+  ]
+}
+` : style === 'project' ? `
+For PROJECT questions, use this structure (generate exactly 1 project):
+{
+  "questions": [
+    {
+      "id": 1,
+      "type": "project",
+      "question": "Project Title - A Clear Descriptive Name",
+      "overview": "High-level description of the project (2-3 sentences). What will the student build/analyze/create?",
+      "objectives": [
+        "Learning objective 1 - What concept is being tested",
+        "Learning objective 2 - What skill is being developed",
+        "Learning objective 3 - What understanding is demonstrated"
+      ],
+      "requirements": [
+        { "part": 1, "title": "Part 1 Title", "description": "Detailed description of what to implement/analyze in part 1" },
+        { "part": 2, "title": "Part 2 Title", "description": "Detailed description of what to implement/analyze in part 2" },
+        { "part": 3, "title": "Part 3 Title", "description": "Detailed description of what to implement/analyze in part 3" }
+      ],
+      "advancedChallenges": ${difficultyLevel === 'hard' || difficultyLevel === 'extreme' ? `[
+        "Advanced challenge 1 - requires research beyond course material",
+        "Advanced challenge 2 - extension problem for deeper understanding"
+      ]` : '[]'},
+      "hints": [
+        "Hint 1 - A helpful suggestion without giving away the answer",
+        "Hint 2 - A pointer to relevant concepts or approaches"
+      ],
+      "evaluationCriteria": [
+        "Criterion 1 - What makes a good solution",
+        "Criterion 2 - Key elements to include",
+        "Criterion 3 - Quality indicators"
+      ],
+      "language": "python",
+      "correctAnswer": "Description of a good solution approach and key insights",
+      "explanation": "How the concepts connect and what a complete solution demonstrates"
+    }
+  ]
+}
+` : `
+Return pure JSON (no code fences):
+{
+  "questions": [
+    {
+      "id": 1,
+      "type": "multiple_choice",
+      "question": "The question text here",
+      "options": ["A) Option 1", "B) Option 2", "C) Option 3", "D) Option 4"],
+      "correctAnswer": "A",
+      "explanation": "Brief explanation of why A is correct"
+    },
+    {
+      "id": 2,
+      "type": "calculation",
+      "question": "Calculate the value of X given...",
+      "correctAnswer": "42.5",
+      "unit": "units or null",
+      "explanation": "Step-by-step explanation"
+    },
+    {
+      "id": 3,
+      "type": "formula",
+      "question": "Given the formula $\\bar{x} = \\frac{1}{n}\\sum_{i=1}^{n}x_i$, calculate the mean of [1, 2, 3, 4, 5]",
+      "correctAnswer": "3",
+      "explanation": "Explanation with formula derivation"
+    },
+    {
+      "id": 4,
+      "type": "short_answer",
+      "question": "Explain the concept of...",
+      "correctAnswer": "The expected answer",
+      "explanation": "Brief explanation"
+    }
+  ]
+}
+`}
+
+Make questions educational, challenging for the ${difficultyLevel} level, and focused on ${topic} in ${subject}. Remember to test DIFFERENT concepts/skills in each question!`
+      }]
+    }, streamQuestions);
+
+    let questionsData;
+    try {
+      ({ data: questionsData } = await llm.parseJson(responseText, { task: 'generate-practice-questions' }));
+    } catch (parseError) {
+      if (!(parseError instanceof LlmJsonError)) throw parseError;
+      console.error('Failed to parse questions response:', parseError.problems.join('; '));
+      console.error('Raw response (first 1000 chars):', responseText.substring(0, 1000));
+      return sendRouteError(res, 500, {
+        error: 'Failed to parse generated questions. Please try again.',
+      });
+    }
+
+    console.log(`Successfully generated ${questionsData.questions?.length || 0} questions`);
+    sendRouteResult(res, questionsData);
+
+  } catch (error) {
+    if (isClientAbort(error)) {
+      console.log('Practice question generation cancelled by the client');
+      return;
+    }
+
+    console.error('❌ Error generating practice questions:');
+    console.error('   Style:', req.body?.questionStyle);
+    console.error('   Difficulty:', req.body?.difficulty);
+    console.error('   Subject:', req.body?.subject);
+    console.error('   Topic:', req.body?.topic);
+    console.error('   Error:', error.message);
+    console.error('   Stack:', error.stack);
+
+    if (error.status === 401) {
+      return sendRouteError(res, 401, {
+        error: 'Invalid API key. Please check your ANTHROPIC_API_KEY environment variable.'
+      });
+    }
+
+    if (error.status === 429) {
+      return sendRouteError(res, 429, {
+        error: 'Rate limit exceeded. Please try again in a moment.'
+      });
+    }
+
+    sendRouteError(res, 500, {
+      error: error.message || 'Failed to generate practice questions',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Helper function to normalize subject for matching (alphanumeric only, lowercase)
+const normalizeSubject = (subject) => {
+  return subject.toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+// POST /api/generate-cheatsheet - Generate a condensed cheat sheet for a topic
+api.post('/api/generate-cheatsheet', {
+  summary: 'Generate a condensed cheat sheet for a topic',
+  body: {
+    type: 'object',
+    required: ['subject', 'topic'],
+    properties: studyTopic,
+  },
+  response: envelope({
+    type: 'object',
+    properties: { content: { type: 'string' }, generatedAt: { type: 'string' } },
+  }),
+  stream: ['section'],
+  cached: true,
+}, async (req, res) => {
+  try {
+    const { subject, topic, topicDescription } = req.body;
+
+    const cacheKey = responseCache.keyFor('generate-cheatsheet', { subject, topic, topicDescription });
+    const cached = await readResponseCache(req, res, cacheKey);
+    if (cached) {
+      console.log(`Using cached cheat sheet for ${subject} - ${topic}`);
+      // Streaming clients get the whole sheet as the `done` event
+      if (wantsEventStream(req)) openEventStream(res);
+      return sendRouteResult(res, cached.value);
+    }
+
+    console.log(`Generating cheat sheet for ${subject} - ${topic}...`);
+
+    // A `section` event goes out each time the next "## " heading starts,
+    // so the viewer can render the sheet section by section
+    let streamedText = '';
+    let sectionStart = 0;
+    let sectionIndex = 0;
+    const streamSections = (chunk) => {
+      streamedText += chunk;
+      let nextHeading;
+      while ((nextHeading = streamedText.indexOf('\n## ', sectionStart + 1)) !== -1) {
+        const section = streamedText.slice(sectionStart, nextHeading).trim();
+        if (section) sendEvent(res, 'section', { index: sectionIndex++, content: section });
+        sectionStart = nextHeading + 1;
+      }
+    };
+
+    // Quality model for high-quality output
+    const content = await generateRouteText(req, res, 'generate-cheatsheet', {
+      messages: [{
+        role: 'user',
+        content: `You are creating an ultra-condensed cheat sheet for a university student studying ${topic} in ${subject}.
+
+Requirements:
+- Content must fit on 1-2 printed pages when rendered
+- Use LaTeX notation: $inline$ and $$block$$ for all math expressions
+- Be extremely concise - bullet points over paragraphs
+- Include ALL essential formulas for this topic
+- Focus on what students need for exams
+- Make it scannable - use bullet points, numbered lists where appropriate
+
+Topic: ${topic}
+${topicDescription ? `Description: ${topicDescription}` : ''}
+
+Structure your response EXACTLY with these markdown sections:
+
+## Key Concepts
+List 5-8 core concepts with brief (1-2 sentence) explanations. Use bullet points.
+
+## Essential Formulas
+List ALL important formulas with LaTeX notation. Include what each variable represents.
+
+## Definitions
+Key terms and their definitions. Use bullet points with **bold** term names.
+
+## Common Pitfalls
+3-5 mistakes students often make. Use numbered list.
+
+## Quick Reference
+A summary of the most important points - could be a condensed list or key facts to memorize.
+
+## Connections
+How this topic relates to other topics in ${subject}. Brief bullet points.
+
+Generate the cheat sheet now:`
+      }]
+    }, streamSections);
+
+    console.log('Successfully generated cheat sheet');
+    const body = {
+      success: true,
+      data: {
+        content,
+        generatedAt: new Date().toISOString()
+      }
+    };
+    responseCache.set(cacheKey, body);
+    sendRouteResult(res, body);
+
+  } catch (error) {
+    if (isClientAbort(error)) {
+      console.log('Cheat sheet generation cancelled by the client');
+      return;
+    }
+
+    console.error('❌ Error generating cheat sheet:');
+    console.error('   Status:', error.status || 'N/A');
+    console.error('   Message:', error.message);
+
+    if (error.status === 401) {
+      return sendRouteError(res, 401, {
+        success: false,
+        error: 'Invalid API key. Please check your ANTHROPIC_API_KEY environment variable.'
+      });
+    }
+
+    if (error.status === 429) {
+      return sendRouteError(res, 429, {
+        success: false,
+        error: 'Rate limit exceeded. Please try again in a moment.'
+      });
+    }
+
+    sendRouteError(res, 500, {
+      success: false,
+      error: error.message || 'Failed to generate cheat sheet. Please try again.'
+    });
+  }
+});
+
+// POST /api/generate-flashcards - Generate AI-powered flashcards for a topic
+api.post('/api/generate-flashcards', {
+  summary: 'Generate flashcards for a topic',
+  body: {
+    type: 'object',
+    required: ['subject', 'topic'],
+    properties: {
+      ...studyTopic,
+      branch: nullable({ type: 'object', description: 'Mind map branch to cover: { label, concepts: [{ label, summary }] }' }),
+    },
+  },
+  response: envelope({
+    type: 'object',
+    properties: { cards: RESPONSE_SCHEMAS['generate-flashcards'].properties.cards, generatedAt: { type: 'string' } },
+  }),
+  cached: true,
+}, async (req, res) => {
+  try {
+    const { subject, topic, topicDescription, branch } = req.body;
+
+    // Optional mind map branch: { label, concepts: [{ label, summary }] } - cards cover only that part
+    const branchConcepts = Array.isArray(branch?.concepts) ? branch.concepts.slice(0, 30) : [];
+    const branchPrompt = branch?.label
+      ? `Only cover this branch of the topic: "${branch.label}".
+Concepts in the branch:
+${branchConcepts.map(concept => `- ${concept.label}${concept.summary ? `: ${concept.summary}` : ''}`).join('\n')}
+
+`
+      : '';
+
+    // Keyed on what reaches the prompt, so a branch's cards are cached apart from the topic's
+    const cacheKey = responseCache.keyFor('generate-flashcards', {
+      subject,
+      topic,
+      topicDescription,
+      branch: branch?.label ? { label: branch.label, concepts: branchConcepts } : null,
+    });
+    const cached = await readResponseCache(req, res, cacheKey);
+    if (cached) {
+      console.log(`Using cached flashcards for ${subject} - ${topic}`);
+      return res.json(cached.value);
+    }
+
+    console.log(`Generating flashcards for ${subject} - ${topic}${branch?.label ? ` (branch: ${branch.label})` : ''}...`);
+
+    // Quality model for high-quality flashcard generation
+    let flashcardsData;
+    try {
+      ({ data: flashcardsData } = await llm.generateJson('generate-flashcards', {
+        messages: [{
+          role: 'user',
+          content: `You are creating flashcards for a university student studying ${topic} in ${subject}.
+
+${topicDescription ? `Topic description: ${topicDescription}` : ''}
+
+${branchPrompt}Generate ${branchPrompt ? '4-12' : '12-15'} high-quality flashcards covering:
+1. Essential FORMULAS (use LaTeX: $inline$ or $$block$$)
+2. Key DEFINITIONS
+3. Core CONCEPTS that must be understood
+4. Important THEOREMS or rules
+5. Relationships between ideas
+
+Each flashcard should test ONE specific piece of knowledge.
+For formulas, include what each variable represents.
+Make the "front" a clear question or prompt.
+Make the "back" a complete but concise answer.
+
+IMPORTANT: Return ONLY valid JSON with no markdown formatting.
+
+Respond in pure JSON (no code fences):
+{
+  "cards": [
+    {
+      "id": "card-1",
+      "type": "formula",
+      "front": "What is the formula for sample variance?",
+      "back": "$$s^2 = \\\\frac{1}{n-1} \\\\sum_{i=1}^{n} (x_i - \\\\bar{x})^2$$\\n\\nWhere:\\n- $s^2$ = sample variance\\n- $n$ = sample size\\n- $x_i$ = each data point\\n- $\\\\bar{x}$ = sample mean",
+      "hint": "Remember: we divide by n-1, not n (Bessel's correction)"
+    },
+    {
+      "id": "card-2",
+      "type": "definition",
+      "front": "Define: Standard Deviation",
+      "back": "The square root of variance; measures the average distance of data points from the mean. It's expressed in the same units as the original data.",
+      "hint": null
+    },
+    {
+      "id": "card-3",
+      "type": "concept",
+      "front": "Why do we use n-1 instead of n when calculating sample variance?",
+      "back": "Bessel's correction: Using n-1 provides an unbiased estimate of the population variance. Dividing by n would underestimate the true variance because the sample mean is closer to the sample data than the population mean would be.",
+      "hint": "Think about degrees of freedom"
+    },
+    {
+      "id": "card-4",
+      "type": "theorem",
+      "front": "State the Central Limit Theorem",
+      "back": "For a sufficiently large sample size, the sampling distribution of the sample mean approaches a normal distribution, regardless of the population's distribution. The mean equals the population mean, and the standard error equals $\\\\sigma/\\\\sqrt{n}$.",
+      "hint": "What happens to the distribution of sample means as n increases?"
+    }
+  ]
+}
+
+${branchPrompt
+  ? `Generate the flashcards for the "${branch.label}" branch now. Include one or two cards per concept in the branch.`
+  : `Generate the flashcards for ${topic} now. Include 15-20 cards covering all the important formulas, definitions, concepts, and theorems for this topic.`}`
+        }]
+      }));
+    } catch (parseError) {
+      if (!(parseError instanceof LlmJsonError)) throw parseError;
+      console.error('Failed to parse flashcards response:', parseError.problems.join('; '));
+      console.error('Raw response (first 1000 chars):', parseError.text.substring(0, 1000));
+      console.error('Raw response (last 500 chars):', parseError.text.substring(parseError.text.length - 500));
+      return res.status(500).json({
+        success: false,
+        // JSON that parsed but lacks a cards array is a structure problem, not truncation
+        error: parseError.data === undefined
+          ? 'Failed to parse generated flashcards. The response may have been truncated. Please try again.'
+          : 'Invalid flashcard structure returned. Please try again.'
+      });
+    }
+
+    console.log(`Successfully generated ${flashcardsData.cards.length} flashcards`);
+    const body = {
+      success: true,
+      data: {
+        cards: flashcardsData.cards,
+        generatedAt: new Date().toISOString()
+      }
+    };
+    responseCache.set(cacheKey, body);
+    res.json(body);
+
+  } catch (error) {
+    console.error('❌ Error generating flashcards:');
+    console.error('   Status:', error.status || 'N/A');
+    console.error('   Message:', error.message);
+
+    if (error.status === 401) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key. Please check your ANTHROPIC_API_KEY environment variable.'
+      });
+    }
+
+    if (error.status === 429) {
+      return res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded. Please try again in a moment.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to generate flashcards. Please try again.'
+    });
+  }
+});
+
+// Mind map limits - keeps the graph readable and the response inside max_tokens
+const MINDMAP_MAX_NODES = 60;
+const MINDMAP_MAX_DEPTH = 4;
+const MINDMAP_NODE_KINDS = ['topic', 'concept', 'definition', 'formula', 'theorem', 'example', 'application'];
+
+// Turn the model's node list into a clean tree: one root, unique ids, known parents,
+// no cycles, bounded depth. Orphans hang off the root; cross-links must join kept nodes.
+const normalizeMindmap = (raw, topic) => {
+  const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+  const nodes = new Map();
+  (Array.isArray(raw?.nodes) ? raw.nodes : []).forEach((node, index) => {
+    const id = text(String(node?.id ?? ''), 40) || `n${index + 1}`;
+    const label = text(node?.label, 80);
+    if (!label || nodes.has(id)) return;
+    nodes.set(id, {
+      id,
+      label,
+      summary: text(node.summary, 400),
+      kind: MINDMAP_NODE_KINDS.includes(node.kind) ? node.kind : 'concept',
+      parentId: node.parentId == null ? null : String(node.parentId),
+    });
+  });
+
+  let root = [...nodes.values()].find(node => !node.parentId || !nodes.has(node.parentId));
+  if (!root) {
+    root = { id: 'root', label: topic, summary: '', kind: 'topic', parentId: null };
+    nodes.set(root.id, root);
+  }
+  root.parentId = null;
+  root.kind = 'topic';
+
+  // Re-parent anything whose ancestry is broken, cyclic or too deep
+  nodes.forEach(node => {
+    if (node === root) return;
+    const seen = new Set([node.id]);
+    let depth = 1;
+    let current = nodes.get(node.parentId);
+    while (current && current !== root && !seen.has(current.id) && depth < MINDMAP_MAX_DEPTH) {
+      seen.add(current.id);
+      current = nodes.get(current.parentId);
+      depth += 1;
+    }
+    if (current !== root) node.parentId = root.id;
+  });
+
+  // Breadth-first from the root so truncation drops the deepest detail first
+  const children = new Map();
+  nodes.forEach(node => {
+    if (node.parentId) {
+      if (!children.has(node.parentId)) children.set(node.parentId, []);
+      children.get(node.parentId).push(node);
+    }
+  });
+  const ordered = [];
+  const queue = [root];
+  while (queue.length > 0 && ordered.length < MINDMAP_MAX_NODES) {
+    const node = queue.shift();
+    ordered.push(node);
+    queue.push(...(children.get(node.id) || []));
+  }
+
+  const kept = new Set(ordered.map(node => node.id));
+  const linkKeys = new Set();
+  const crossLinks = (Array.isArray(raw?.crossLinks) ? raw.crossLinks : [])
+    .map(link => ({ from: String(link?.from ?? ''), to: String(link?.to ?? ''), label: text(link?.label, 40) }))
+    .filter(link => {
+      if (!kept.has(link.from) || !kept.has(link.to) || link.from === link.to) return false;
+      if (nodes.get(link.from).parentId === link.to || nodes.get(link.to).parentId === link.from) return false;
+      const key = [link.from, link.to].sort().join('|');
+      if (linkKeys.has(key)) return false;
+      linkKeys.add(key);
+      return true;
+    });
+
+  return { rootId: root.id, nodes: ordered, crossLinks };
+};
+
+// POST /api/generate-mindmap - Generate a concept map (tree + cross-links) for a topic
+api.post('/api/generate-mindmap', {
+  summary: 'Generate a concept mind map for a topic',
+  description: 'The tree is repaired before it is returned: one root, no cycles, at most 60 nodes and 4 levels.',
+  body: {
+    type: 'object',
+    required: ['subject', 'topic'],
+    properties: studyTopic,
+  },
+  response: envelope(RESPONSE_SCHEMAS['generate-mindmap']),
+}, async (req, res) => {
+  try {
+    const { subject, topic, topicDescription } = req.body;
+
+    console.log(`Generating mind map for ${subject} - ${topic}...`);
+
+    // Quality model - the structure of the map matters more than speed
+    let mindmapData;
+    try {
+      ({ data: mindmapData } = await llm.generateJson('generate-mindmap', {
+        messages: [{
+          role: 'user',
+          content: `You are building a mind map for a university student studying ${topic} in ${subject}.
+
+${topicDescription ? `Topic description: ${topicDescription}` : ''}
+
+The mind map is a tree of concepts rooted at the topic, plus a few cross-links between
+concepts in different branches that depend on each other.
+
+Requirements:
+- One root node (parentId null) labelled "${topic}", kind "topic"
+- 4-7 main branches under the root, each with 2-6 children; at most ${MINDMAP_MAX_DEPTH} levels deep
+- ${MINDMAP_MAX_NODES} nodes at most (aim for 25-45)
+- Labels are short (2-6 words), no LaTeX in labels
+- Each summary is 1-2 sentences a student can revise from; use LaTeX ($inline$) for math
+- kind is one of: ${MINDMAP_NODE_KINDS.filter(kind => kind !== 'topic').join(', ')}
+- 3-8 crossLinks between nodes in DIFFERENT branches, with a 1-3 word label for the relationship
+  (e.g. "special case of", "used to derive", "contrasts with")
+
+IMPORTANT: Return ONLY valid JSON with no markdown formatting.
+Ensure all LaTeX backslashes are double-escaped (\\\\frac not \\frac).
+
+Respond in pure JSON (no code fences):
+{
+  "nodes": [
+    { "id": "n1", "parentId": null, "label": "${topic}", "kind": "topic", "summary": "One-sentence overview of the topic." },
+    { "id": "n2", "parentId": "n1", "label": "Measures of Spread", "kind": "concept", "summary": "How far data values fall from the centre." },
+    { "id": "n3", "parentId": "n2", "label": "Sample Variance", "kind": "formula", "summary": "$s^2 = \\\\frac{1}{n-1}\\\\sum (x_i - \\\\bar{x})^2$, dividing by $n-1$ keeps it unbiased." }
+  ],
+  "crossLinks": [
+    { "from": "n3", "to": "n9", "label": "used to derive" }
+  ]
+}
+
+Generate the mind map for ${topic} now.`
+        }]
+      }));
+    } catch (parseError) {
+      if (!(parseError instanceof LlmJsonError)) throw parseError;
+      console.error('Failed to parse mind map response:', parseError.problems.join('; '));
+      console.error('Raw response (first 1000 chars):', parseError.text.substring(0, 1000));
+      // Parsed but off-schema output still gets a chance - normalizeMindmap is forgiving
+      if (parseError.data === undefined) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to parse generated mind map. The response may have been truncated. Please try again.'
+        });
+      }
+      mindmapData = parseError.data;
+    }
+
+    const mindmap = normalizeMindmap(mindmapData, topic);
+    if (mindmap.nodes.length < 2) {
+      return res.status(500).json({
+        success: false,
+        error: 'Invalid mind map structure returned. Please try again.'
+      });
+    }
+
+    console.log(`Successfully generated mind map with ${mindmap.nodes.length} nodes and ${mindmap.crossLinks.length} cross-links`);
+    res.json({
+      success: true,
+      data: {
+        ...mindmap,
+        generatedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error generating mind map:');
+    console.error('   Status:', error.status || 'N/A');
+    console.error('   Message:', error.message);
+
+    if (error.status === 401) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key. Please check your ANTHROPIC_API_KEY environment variable.'
+      });
+    }
+
+    if (error.status === 429) {
+      return res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded. Please try again in a moment.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to generate mind map. Please try again.'
+    });
+  }
+});
+
+// POST /api/classify-subject - Classify a study subject into hierarchical categories
+api.post('/api/classify-subject', {
+  summary: 'Classify study subject into categories',
+  description: 'Two levels for broad subjects, three for specific topics.',
+  body: {
+    type: 'object',
+    required: ['subject'],
+    properties: { subject: nonBlank },
+  },
+  response: RESPONSE_SCHEMAS['classify-subject'],
+  cached: true,
+}, async (req, res) => {
+  try {
+    const { subject } = req.body;
+
+    const normalizedSubject = normalizeSubject(subject);
+
+    // Check cache first
+    const cacheKey = responseCache.keyFor('classify-subject', { subject: normalizedSubject });
+    const cached = await readResponseCache(req, res, cacheKey);
+    if (cached) {
+      console.log(`Using cached classification for: ${subject}`);
+      return res.json(cached.value);
+    }
+
+    console.log(`Classifying subject: ${subject}...`);
+
+    // Fast model for cost efficiency
+    let usedFallback = false;
+    const classification = await generateJsonOr('classify-subject', {
+      messages: [{
+        role: 'user',
+        content: `Classify this study subject into an academic hierarchy (2-3 levels). Preserve the specificity the user provides.
+
+Subject: "${subject}"
+
+Examples (2 levels for broad subjects):
+- "statistics" or "stats" → ["Mathematics", "Statistics"]
+- "chemistry" → ["Science", "Chemistry"]
+- "physics" → ["Science", "Physics"]
+
+Examples (3 levels for specific topics):
+- "organic chemistry" → ["Science", "Chemistry", "Organic Chemistry"]
+- "group theory" → ["Mathematics", "Abstract Algebra", "Group Theory"]
+- "quantum mechanics" → ["Science", "Physics", "Quantum Mechanics"]
+- "machine learning" → ["Computer Science", "Artificial Intelligence", "Machine Learning"]
+
+Rules:
+- If subject is a broad field (chemistry, statistics, physics): use 2 levels
+- If subject is a specific topic (organic chemistry, quantum mechanics): use 3 levels
+- IMPORTANT: Always include the subject they typed in the final level
+- Don't add extra specificity (e.g., "statistics" should NOT become "Statistical Analysis")
+- Match the user's specificity level exactly
+
+Return ONLY JSON (no markdown):
+{"hierarchy": ["Field", "Subfield", "Topic"], "normalized": "lowercasealphanumeric"}
+
+The "normalized" field is the most specific level, alphanumeric only, lowercase, no spaces.`
+      }]
+    }, () => {
+      usedFallback = true;
+      // Fallback to simple classification
+      return {
+        hierarchy: [subject],
+        normalized: normalizedSubject
+      };
+    });
+
+    // Cache the result (not awaited - the store never throws)
+    if (!usedFallback) responseCache.set(cacheKey, classification);
+
+    console.log(`Classified "${subject}" as:`, classification.hierarchy.join(' → '));
+    res.json(classification);
+
+  } catch (error) {
+    console.error('Error classifying subject:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to classify subject'
+    });
+  }
+});
+
+module.exports = { api, normalizeSubject };
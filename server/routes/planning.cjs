@@ -0,0 +1,531 @@
+/**
+ * PLANNING ROUTES
+ *
+ * Energy pattern analysis, pre-activity planning and routine generation. The
+ * daily routine streams its time blocks (see "STREAMING (SSE)" in helpers.cjs).
+ */
+
+const { LlmJsonError } = require('../llm/index.cjs');
+const { RESPONSE_SCHEMAS } = require('../llm/schemas.cjs');
+const { llm } = require('../services.cjs');
+const {
+  createArrayItemParser,
+  generateJsonOr,
+  generateRouteText,
+  isClientAbort,
+  sendEvent,
+  sendRouteError,
+  sendRouteResult,
+} = require('./helpers.cjs');
+const {
+  dailyChecklist,
+  ideaList,
+  logList,
+  nonBlank,
+  nullable,
+  reviewList,
+} = require('./schemas.cjs');
+const { createRouteGroup } = require('./registry.cjs');
+
+const api = createRouteGroup({
+  name: 'planning',
+  description: 'Energy patterns, activity planning and routines',
+});
+
+// POST /api/analyze-patterns - Analyze patterns in logs and ideas
+api.post('/api/analyze-patterns', {
+  summary: 'Analyze patterns in logs and ideas',
+  body: {
+    type: 'object',
+    required: ['logs', 'ideas'],
+    properties: { logs: logList, ideas: ideaList },
+  },
+}, async (req, res) => {
+  try {
+    const { logs, ideas } = req.body;
+
+    console.log(`Analyzing patterns from ${logs.length} logs and ${ideas.length} ideas...`);
+
+    const logsText = logs.map(log => {
+      const timestamp = new Date(log.timestamp).toLocaleString();
+      return `[${timestamp}] Energy: ${log.energy}/10, Motivation: ${log.motivation}/10, Activity: ${log.activity || 'none'}`;
+    }).join('\n');
+
+    const ideasText = ideas.map(idea => {
+      const timestamp = new Date(idea.timestamp).toLocaleString();
+      return `[${timestamp}] ${idea.content}`;
+    }).join('\n');
+
+    // The prompt allows a prose answer, so that's kept as-is rather than repaired
+    const analysis = await generateJsonOr('analyze-patterns', {
+      messages: [{
+        role: 'user',
+        content: `Analyze these energy logs and captured ideas to find meaningful correlations and patterns for someone with ADHD.
+
+ENERGY LOGS:
+${logsText}
+
+CAPTURED IDEAS:
+${ideasText}
+
+Identify:
+1. Correlations between energy levels and idea generation
+2. Best times of day for productivity
+3. Patterns in activities that boost or drain energy
+4. Recommendations for optimizing daily routine
+
+Return analysis in JSON format with: correlations, bestTimes, recommendations`
+      }]
+    }, (responseText) => ({ analysis: responseText }), { repair: false });
+
+    res.json(analysis);
+
+  } catch (error) {
+    console.error('Error analyzing patterns:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to analyze patterns'
+    });
+  }
+});
+
+// POST /api/plan-activity - Get AI planning advice for an activity
+api.post('/api/plan-activity', {
+  summary: 'Get AI planning advice for an activity',
+  description: 'Uses the last 20 ideas and logs, the current checklist and the latest review as context.',
+  body: {
+    type: 'object',
+    required: ['activity'],
+    properties: {
+      activity: { ...nonBlank, description: 'e.g. "Go for a run"' },
+      ideas: nullable(ideaList),
+      logs: nullable(logList),
+      checklist: nullable(dailyChecklist),
+      reviews: nullable(reviewList),
+    },
+  },
+  response: RESPONSE_SCHEMAS['plan-activity'],
+}, async (req, res) => {
+  try {
+    const { activity, ideas, logs, checklist, reviews } = req.body;
+
+    console.log(`Getting planning advice for: "${activity}"...`);
+
+    // Format user data for context
+    const recentIdeas = (ideas || [])
+      .slice(-20)
+      .map(idea => `- ${idea.content}`)
+      .join('\n');
+
+    const recentLogs = (logs || [])
+      .slice(-20)
+      .map(log => {
+        const time = new Date(log.timestamp).toLocaleTimeString();
+        return `- [${time}] ${log.activity}: Energy ${log.energy}/10, Motivation ${log.motivation}/10${log.note ? ` (${log.note})` : ''}`;
+      })
+      .join('\n');
+
+    const checklistInfo = checklist?.items?.length > 0
+      ? `Current routines: ${checklist.items.map(item => item.text).join(', ')}`
+      : 'No current routines set';
+
+    const recentReview = reviews?.length > 0
+      ? `Last review: Energy ${reviews[0].energy}/10, Accomplishments: ${reviews[0].accomplishments || 'none'}`
+      : 'No reviews yet';
+
+    // Fast model for quick planning
+    const plan = await generateJsonOr('plan-activity', {
+      messages: [{
+        role: 'user',
+        content: `You are a planning assistant for someone with ADHD. They want to plan this activity:
+
+"${activity}"
+
+Here's context about their recent patterns:
+
+RECENT IDEAS:
+${recentIdeas || 'No ideas yet'}
+
+RECENT ACTIVITY LOGS:
+${recentLogs || 'No logs yet'}
+
+ROUTINES:
+${checklistInfo}
+
+RECENT REVIEW:
+${recentReview}
+
+Based on this data, provide personalized planning advice. IMPORTANT: Return ONLY valid JSON with no markdown formatting.
+
+Return pure JSON (no code fences):
+{
+  "summary": "A brief 1-2 sentence summary of what this activity is and why it matters based on their data",
+  "bestTime": "Suggested best time of day to do this (e.g., 'Morning (9-11am)' or 'Evening after dinner') based on their energy patterns",
+  "duration": "Recommended duration (e.g., '25-30 minutes' or '1-2 hours') - be realistic for ADHD",
+  "location": "Suggested location or environment (e.g., 'Quiet desk with minimal distractions' or 'Coffee shop for social energy')",
+  "recurring": "Whether this should be recurring and frequency (e.g., 'Daily at 9am' or 'Once' or 'Weekly on Mondays')",
+  "tips": [
+    "Specific actionable tip 1",
+    "Specific actionable tip 2",
+    "Specific actionable tip 3"
+  ]
+}
+
+Be encouraging and supportive. If their data shows low energy patterns, suggest shorter sessions or specific energy-boosting strategies. If they have similar ideas captured, reference those connections.`
+      }]
+    }, (responseText) => ({
+      // Fallback
+      summary: responseText,
+      bestTime: 'Based on your preference',
+      duration: '30 minutes',
+      location: 'Your choice',
+      recurring: 'As needed',
+      tips: ['Start small and build momentum', 'Set a timer', 'Eliminate distractions']
+    }));
+
+    console.log('Successfully generated plan');
+    res.json(plan);
+
+  } catch (error) {
+    console.error('Error planning activity:', error);
+
+    if (error.status === 401) {
+      return res.status(401).json({
+        error: 'Invalid API key. Please check your ANTHROPIC_API_KEY environment variable.'
+      });
+    }
+
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: 'Rate limit exceeded. Please try again in a moment.'
+      });
+    }
+
+    res.status(500).json({
+      error: error.message || 'Failed to plan activity. Please try again.',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// POST /api/generate-routine - Generate AI-powered daily routine
+api.post('/api/generate-routine', {
+  summary: 'Generate AI-powered daily routine',
+  body: {
+    type: 'object',
+    properties: {
+      ideas: nullable(ideaList),
+      logs: nullable(logList),
+      checklist: nullable(dailyChecklist),
+      reviews: nullable(reviewList),
+    },
+  },
+  response: RESPONSE_SCHEMAS['generate-routine'],
+  stream: ['block'],
+}, async (req, res) => {
+  try {
+    const { ideas, logs, checklist, reviews } = req.body;
+
+    console.log(`Generating daily routine from ${ideas?.length || 0} ideas, ${logs?.length || 0} logs...`);
+
+    // Format data for Claude
+    const recentIdeas = (ideas || [])
+      .slice(-30) // Last 30 ideas
+      .map((idea, i) => {
+        const tags = idea.tags?.length > 0 ? `[${idea.tags.join(', ')}]` : '';
+        return `${i + 1}. ${tags} ${idea.content}`;
+      })
+      .join('\n');
+
+    const recentLogs = (logs || [])
+      .slice(-50) // Last 50 logs
+      .map(log => {
+        const time = new Date(log.timestamp).toLocaleTimeString();
+        const date = new Date(log.timestamp).toLocaleDateString();
+        return `- [${date} ${time}] ${log.activity}: Energy ${log.energy}/10, Motivation ${log.motivation}/10${log.note ? ` (${log.note})` : ''}`;
+      })
+      .join('\n');
+
+    const checklistInfo = checklist?.items?.length > 0
+      ? checklist.items.map(item => `- ${item.text}${item.important ? ' (IMPORTANT)' : ''}`).join('\n')
+      : 'No current routines';
+
+    const recentReviews = (reviews || [])
+      .slice(-7) // Last 7 reviews
+      .map(review => {
+        const date = new Date(review.timestamp).toLocaleDateString();
+        return `[${date}] Energy: ${review.energy}/10, Accomplishments: ${review.accomplishments || 'none'}, Challenges: ${review.challenges || 'none'}`;
+      })
+      .join('\n');
+
+    // Time blocks are sent as `block` events while the schedule streams in
+    const streamBlocks = createArrayItemParser('schedule', block => sendEvent(res, 'block', block));
+
+    // Fast model for quick routine generation
+    const responseText = await generateRouteText(req, res, 'generate-routine', {
+      messages: [{
+        role: 'user',
+        content: `You are an AI assistant helping someone with ADHD create an optimized daily routine.
+
+Analyze ALL their data to generate a time-blocked schedule for TODAY that:
+1. Prioritizes urgent/important items from their ideas
+2. Considers their energy patterns from activity logs
+3. Integrates their existing daily routines
+4. Learns from their past reviews about what works
+5. Includes breaks and buffer time (ADHD brains need this!)
+6. Is realistic and achievable (don't overload them)
+
+CAPTURED IDEAS (potential tasks to schedule):
+${recentIdeas || 'No ideas yet'}
+
+ACTIVITY LOGS (energy/motivation patterns):
+${recentLogs || 'No logs yet'}
+
+CURRENT DAILY ROUTINES:
+${checklistInfo}
+
+PAST REVIEWS (what worked/didn't work):
+${recentReviews || 'No reviews yet'}
+
+Based on this data, generate TODAY's optimized routine. IMPORTANT: Return ONLY valid JSON with no markdown formatting.
+
+Return pure JSON (no code fences):
+{
+  "summary": "2-3 sentence overview of today's plan and why it's structured this way based on their patterns",
+  "schedule": [
+    {
+      "time": "Time range (e.g., '9:00 AM - 10:30 AM')",
+      "activity": "What to do during this block",
+      "description": "Brief description of the activity",
+      "priority": "high/medium/low",
+      "reasoning": "Why this time slot is optimal based on their data"
+    }
+  ],
+  "energyTips": [
+    "Tip 1 based on their energy patterns",
+    "Tip 2 for managing ADHD during the day",
+    "Tip 3 for staying on track"
+  ]
+}
+
+IMPORTANT GUIDELINES:
+- Schedule 6-10 time blocks for the full day (morning to evening)
+- Include their existing routines (meals, meds, etc.)
+- Add tasks from their ideas that seem urgent or important
+- Schedule high-energy tasks when their logs show high energy
+- Include 15-30 min breaks between intense blocks
+- Don't overschedule - ADHD brains need breathing room
+- Be specific about times (e.g., "9:00 AM - 10:30 AM" not "morning")
+- Make it actionable and realistic`
+      }]
+    }, streamBlocks);
+
+    // Parse JSON response
+    let routine;
+    try {
+      ({ data: routine } = await llm.parseJson(responseText, { task: 'generate-routine' }));
+    } catch (parseError) {
+      if (!(parseError instanceof LlmJsonError)) throw parseError;
+      console.error('Failed to parse routine response:', parseError.problems.join('; '));
+      console.error('Raw response:', responseText);
+      // Fallback
+      routine = {
+        summary: responseText,
+        schedule: [],
+        energyTips: ['Start with small tasks', 'Take regular breaks', 'Be kind to yourself']
+      };
+    }
+
+    console.log('Successfully generated daily routine');
+    sendRouteResult(res, routine);
+
+  } catch (error) {
+    if (isClientAbort(error)) {
+      console.log('Routine generation cancelled by the client');
+      return;
+    }
+
+    console.error('❌ Error generating routine:');
+    console.error('   Status:', error.status || 'N/A');
+    console.error('   Message:', error.message);
+    console.error('   Type:', error.type || 'N/A');
+    if (process.env.NODE_ENV === 'development') {
+      console.error('   Stack:', error.stack);
+    }
+
+    if (error.status === 401) {
+      return sendRouteError(res, 401, {
+        error: 'Invalid API key. Please check your ANTHROPIC_API_KEY environment variable.'
+      });
+    }
+
+    if (error.status === 429) {
+      return sendRouteError(res, 429, {
+        error: 'Rate limit exceeded. Please try again in a moment.'
+      });
+    }
+
+    sendRouteError(res, 500, {
+      error: error.message || 'Failed to generate routine. Please try again.',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Smart Routines - Generate personalized routine suggestions
+api.post('/api/generate-smart-routines', {
+  summary: 'Suggest routines from ideas, energy logs and the timetable',
+  body: {
+    type: 'object',
+    properties: {
+      ideas: nullable(ideaList),
+      logs: nullable(logList),
+      timetable: nullable({ type: 'array', items: { type: 'object' } }),
+      existingRoutines: nullable({ type: 'array', items: { type: 'object' } }),
+    },
+  },
+}, async (req, res) => {
+  try {
+    const { ideas, logs, timetable, existingRoutines } = req.body;
+
+    console.log('Generating smart routines...');
+
+    // Prepare data summaries
+    const recentIdeas = (ideas || []).slice(0, 30).map((idea, idx) => {
+      const tags = idea.tags && idea.tags.length > 0 ? `[${idea.tags.join(', ')}]` : '';
+      const classification = idea.classificationType && idea.classificationType !== 'general'
+        ? ` (${idea.classificationType})` : '';
+      return `${idx + 1}. ${tags}${classification} ${idea.content}`;
+    }).join('\n');
+
+    const recentLogs = (logs || []).slice(-20).map(log => {
+      const activity = log.activity || 'Unknown';
+      const note = log.note ? ` - "${log.note}"` : '';
+      return `[${activity}] Energy: ${log.energy}/10, Motivation: ${log.motivation}/10${note}`;
+    }).join('\n');
+
+    const timetableInfo = (timetable || []).length > 0
+      ? timetable.slice(0, 10).map(event => `${event.time || ''}: ${event.title || event.content}`).join('\n')
+      : 'No scheduled events';
+
+    const routinesInfo = (existingRoutines || []).length > 0
+      ? existingRoutines.map(r => `- ${r.title || r.content} (${r.timeOfDay || 'any time'})`).join('\n')
+      : 'No existing routines';
+
+    // Fast model for quick generation
+    const routinesData = await generateJsonOr('generate-smart-routines', {
+      messages: [{
+        role: 'user',
+        content: `You are a routine optimization assistant for someone with ADHD. Generate 5 personalized routine suggestions.
+
+CAPTURED IDEAS (potential routines):
+${recentIdeas || 'No ideas yet'}
+
+RECENT ACTIVITY LOGS (energy/behavior patterns):
+${recentLogs || 'No logs yet'}
+
+SCHEDULED EVENTS (timetable):
+${timetableInfo}
+
+EXISTING ROUTINES:
+${routinesInfo}
+
+Generate exactly 5 routine suggestions with this distribution:
+- 2-3 DIRECT routines: Pull from user's explicit routine-related ideas (look for ideas about daily activities, habits, time-of-day mentions)
+- 2-3 MASHUP routines: Synthesize patterns from multiple ideas/logs into new routines
+
+For DIRECT routines:
+- Use ideas that clearly mention routines, daily activities, or recurring tasks
+- Reference the original idea content closely
+- Mark type as "direct" and include source idea numbers
+
+For MASHUP routines:
+- Combine related ideas or patterns from logs
+- Create plausible, actionable routines based on their behavior
+- Mark type as "mashup" and list all contributing sources
+
+Consider:
+- Time of day based on energy patterns from logs
+- Avoid duplicating existing routines
+- Match their actual behavior patterns
+- Keep routines realistic for ADHD (not too ambitious)
+
+IMPORTANT: Return ONLY valid JSON with no markdown formatting.
+
+Return pure JSON (no code fences):
+{
+  "routines": [
+    {
+      "type": "direct",
+      "title": "Short, clear routine title",
+      "description": "What this routine involves (1-2 sentences)",
+      "timeOfDay": "morning|afternoon|evening|anytime",
+      "frequency": "daily|weekdays|weekends|weekly",
+      "duration": "estimated duration (e.g., '15 minutes', '30-45 minutes')",
+      "sources": ["idea-3", "idea-7"],
+      "reasoning": "Why this routine fits their patterns (brief)"
+    },
+    {
+      "type": "mashup",
+      "title": "...",
+      "description": "...",
+      "timeOfDay": "...",
+      "frequency": "...",
+      "duration": "...",
+      "sources": ["idea-1", "idea-5", "log-pattern"],
+      "reasoning": "..."
+    }
+  ]
+}
+
+Be practical and supportive. Focus on routines they'll actually follow.`
+      }]
+    }, () => ({
+      // Fallback
+      routines: []
+    }));
+
+    // Add unique IDs to routines
+    const routinesWithIds = routinesData.routines.map((routine, idx) => ({
+      id: `routine-${Date.now()}-${idx}`,
+      ...routine
+    }));
+
+    console.log(`Generated ${routinesWithIds.length} smart routines`);
+    res.json({
+      routines: routinesWithIds,
+      metadata: {
+        totalGenerated: routinesWithIds.length,
+        directCount: routinesWithIds.filter(r => r.type === 'direct').length,
+        mashupCount: routinesWithIds.filter(r => r.type === 'mashup').length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error generating smart routines:');
+    console.error('   Status:', error.status || 'N/A');
+    console.error('   Message:', error.message);
+    console.error('   Type:', error.type || 'N/A');
+    if (process.env.NODE_ENV === 'development') {
+      console.error('   Stack:', error.stack);
+    }
+
+    if (error.status === 401) {
+      return res.status(401).json({
+        error: 'Invalid API key. Please check your ANTHROPIC_API_KEY environment variable.'
+      });
+    }
+
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: 'Rate limit exceeded. Please try again in a moment.'
+      });
+    }
+
+    res.status(500).json({
+      error: error.message || 'Failed to generate smart routines. Please try again.',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+module.exports = { api };
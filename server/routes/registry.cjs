@@ -0,0 +1,104 @@
+/**
+ * ROUTE GROUPS
+ *
+ * Routes are declared in groups - one module per area under server/routes -
+ * together with the schemas of what they accept, so one declaration both
+ * validates requests and documents the API (server/openapi.cjs, GET /api/docs):
+ *
+ *   const api = createRouteGroup({ name: 'ideas', description: 'Capture and triage ideas' });
+ *
+ *   api.post('/api/classify-idea', {
+ *     summary: 'Classify a captured idea',
+ *     body: { type: 'object', required: ['content'], properties: { content: text } },
+ *   }, async (req, res) => { ... });
+ *
+ * Route fields:
+ * - summary / description - for the docs and the 404 endpoint list
+ * - body / query / params - request schemas (server/schema.cjs subset)
+ * - response - schema of the 200 JSON body, when it has a fixed shape
+ * - stream - progress events sent when the client asks for Server-Sent Events
+ * - cached - answers carry the X-Cache headers (see routes/helpers.cjs)
+ *
+ * A request that fails its schemas never reaches the handler. Every route
+ * answers it the same way:
+ *   400 { success: false, error: 'Invalid request: body.topic is required', problems: [...] }
+ */
+
+const { validate } = require('../schema.cjs');
+
+const METHODS = ['get', 'post', 'delete'];
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * 400 body for a request that failed validation
+ * @param {Array<string>} problems - e.g. ['body.topic is required']
+ * @returns {Object} { success: false, error, problems }
+ */
+const invalidRequest = (problems) => ({
+  success: false,
+  error: `Invalid request: ${problems.join('; ')}`,
+  problems,
+});
+
+/**
+ * Check a request against its route's schemas
+ * @param {Object} route - Route declaration ({ params, query, body })
+ * @param {Object} req - Express request
+ * @returns {Array<string>} Problems found, empty when the request is valid
+ */
+const requestProblems = (route, req) => [
+  ...(route.params ? validate(route.params, req.params, 'params') : []),
+  ...(route.query ? validate(route.query, req.query, 'query') : []),
+  ...(route.body ? validate(route.body, req.body, 'body') : []),
+];
+
+const validateRequest = (route) => (req, res, next) => {
+  // No JSON body at all reads as an empty one, so the message names the missing fields
+  if (req.body === undefined) req.body = {};
+  const problems = requestProblems(route, req);
+  if (problems.length > 0) return res.status(400).json(invalidRequest(problems));
+  next();
+};
+
+// ============================================
+// GROUPS
+// ============================================
+
+/**
+ * @param {Object} options - { name, description } - name is the docs tag
+ * @returns {Object} { name, description, routes, get, post, delete } - the
+ *   methods take (path, route, ...handlers)
+ */
+const createRouteGroup = ({ name, description }) => {
+  const group = { name, description, routes: [] };
+  METHODS.forEach(method => {
+    group[method] = (path, route, ...handlers) => {
+      group.routes.push({ ...route, method, path, group: name, handlers });
+    };
+  });
+  return group;
+};
+
+/**
+ * Mount route groups on an Express app. The request is validated right
+ * before the route's last handler, so guards like requireAdmin run first.
+ * @param {Object} app - Express app
+ * @param {Array<Object>} groups - From createRouteGroup()
+ */
+const mountRouteGroups = (app, groups) => {
+  groups.forEach(group => group.routes.forEach(route => {
+    const guards = route.handlers.slice(0, -1);
+    const handler = route.handlers[route.handlers.length - 1];
+    app[route.method](route.path, ...guards, validateRequest(route), handler);
+  }));
+};
+
+module.exports = {
+  createRouteGroup,
+  invalidRequest,
+  mountRouteGroups,
+  requestProblems,
+};
@@ -0,0 +1,493 @@
+/**
+ * REMINDER ROUTES
+ *
+ * Smart reminders with an adaptive frequency: candidates are scored on
+ * importance and urgency, then shown more or less often depending on how
+ * forgetful the user's logs and reviews say they are. No model call; ideas
+ * on the same topic are found with the local embeddings (server/embeddings).
+ *
+ * The same scoring runs on the server for Web Push (server/push): devices
+ * subscribe through /api/push/*, and reminderPushJob pushes due reminders to
+ * them while the app is closed.
+ */
+
+const { SIMILAR_THRESHOLD, cosineSimilarity, ideaText, tokenize } = require('../embeddings/ranking.cjs');
+const { usageDb } = require('../budgets.cjs');
+const { isP256PublicKey, isPushServiceEndpoint } = require('../push/webPush.cjs');
+const { createReminderDataSource } = require('../push/reminderData.cjs');
+const { createReminderPushJob } = require('../push/reminderJob.cjs');
+const { push } = require('../services.cjs');
+const { embedOrNull } = require('./helpers.cjs');
+const { dailyChecklist, ideaList, logList, nullable, reviewList } = require('./schemas.cjs');
+const { createRouteGroup, invalidRequest } = require('./registry.cjs');
+
+const api = createRouteGroup({
+  name: 'reminders',
+  description: 'Smart reminders with adaptive frequency',
+});
+
+// Smart Reminder System - Adaptive Frequency Algorithm
+api.post('/api/get-reminders', {
+  summary: 'Smart reminder system with adaptive frequency',
+  body: {
+    type: 'object',
+    required: ['ideas'],
+    properties: {
+      ideas: ideaList,
+      logs: nullable(logList),
+      checklist: nullable(dailyChecklist),
+      reviews: nullable(reviewList),
+      reminderHistory: {
+        type: 'array',
+        items: { type: 'object' },
+        description: 'How often each idea was shown and dismissed: { ideaId, lastShown, showCount, dismissCount }',
+      },
+    },
+  },
+}, async (req, res) => {
+  try {
+    const { ideas } = req.body;
+
+    // Embeddings tell which ideas share a topic (null without a model - words are compared instead)
+    const { vectors } = await embedOrNull(ideas.map(ideaText));
+    res.json(selectReminders(req.body, { vectors }));
+  } catch (error) {
+    console.error('Error generating reminders:', error);
+    res.status(500).json({ error: 'Failed to generate reminders' });
+  }
+});
+
+// ============================================
+// WEB PUSH
+// ============================================
+
+const base64Url = { type: 'string', pattern: '^[A-Za-z0-9_-]+={0,2}$' };
+const timeOfDay = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' };
+
+const isTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const requirePush = (req, res, next) => {
+  if (push.sender) return next();
+  res.status(503).json({ success: false, error: 'Push notifications are not set up on this server.' });
+};
+
+// Subscriptions belong to a signed-in user (local development's shared user counts)
+const requirePushUser = (req, res, next) => {
+  const { userId, usageKey } = req.apiBudget || {};
+  if (userId || usageKey === 'local') return next();
+  res.status(403).json({ success: false, error: 'Sign in to get reminders on this device while the app is closed.' });
+};
+
+// GET /api/push/public-key - Key the app subscribes with (PushManager.subscribe applicationServerKey)
+api.get('/api/push/public-key', {
+  summary: 'VAPID public key for push subscriptions',
+  description: '503 when the server has no VAPID keys (push is off).',
+}, requirePush, (req, res) => {
+  res.json({ success: true, data: { publicKey: push.sender.publicKey } });
+});
+
+// POST /api/push/subscribe - Save this device's subscription (again) with its reminder preferences
+api.post('/api/push/subscribe', {
+  summary: 'Push reminders to this device',
+  description: 'Saves or updates the device\'s subscription. Reminders are pushed outside its quiet hours, '
+    + 'read in its timezone. Endpoints must be https URLs of a browser push service (FCM, Mozilla, '
+    + 'Apple, Windows). Signed-in users only (403 for guests); 409 when the endpoint is another user\'s.',
+  body: {
+    type: 'object',
+    required: ['subscription'],
+    properties: {
+      subscription: {
+        type: 'object',
+        required: ['endpoint', 'keys'],
+        description: 'PushSubscription.toJSON()',
+        properties: {
+          endpoint: { type: 'string', pattern: '^https://' },
+          keys: {
+            type: 'object',
+            required: ['p256dh', 'auth'],
+            properties: { p256dh: base64Url, auth: base64Url },
+          },
+        },
+      },
+      timezone: { type: 'string', description: 'IANA timezone, e.g. "Europe/London" (default UTC)' },
+      quietHours: {
+        type: ['object', 'null'],
+        required: ['enabled', 'start', 'end'],
+        properties: { enabled: { type: 'boolean' }, start: timeOfDay, end: timeOfDay },
+      },
+    },
+  },
+}, requirePush, requirePushUser, async (req, res) => {
+  try {
+    const { subscription, timezone = 'UTC', quietHours = null } = req.body;
+    const { endpoint, keys } = subscription;
+
+    const problems = [];
+    // The server posts to this URL - only push services' (not internal addresses)
+    if (!isPushServiceEndpoint(endpoint)) {
+      problems.push('body.subscription.endpoint should be a push service URL');
+    }
+    if (!isP256PublicKey(keys.p256dh)) problems.push('body.subscription.keys.p256dh should be a P-256 public key');
+    if (Buffer.from(keys.auth, 'base64url').length !== 16) problems.push('body.subscription.keys.auth should be 16 bytes');
+    if (!isTimeZone(timezone)) problems.push('body.timezone should be an IANA timezone');
+    if (problems.length > 0) return res.status(400).json(invalidRequest(problems));
+
+    const saved = await push.subscriptions.save({
+      endpoint,
+      keys: { p256dh: keys.p256dh, auth: keys.auth },
+      userId: req.apiBudget.userId,
+      timezone,
+      quietHours,
+    });
+    if (!saved) {
+      return res.status(409).json({ success: false, error: 'This device gets reminders for another account. Turn push off there first.' });
+    }
+    res.json({ success: true, data: { endpoint } });
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ success: false, error: 'Failed to save push subscription' });
+  }
+});
+
+// POST /api/push/unsubscribe - Stop pushing to a device
+api.post('/api/push/unsubscribe', {
+  summary: 'Stop pushing reminders to a device',
+  body: {
+    type: 'object',
+    required: ['endpoint'],
+    properties: { endpoint: { type: 'string', pattern: '^https?://' } },
+  },
+}, requirePush, requirePushUser, async (req, res) => {
+  try {
+    const removed = await push.subscriptions.remove({ endpoint: req.body.endpoint, userId: req.apiBudget.userId });
+    res.json({ success: true, data: { removed } });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove push subscription' });
+  }
+});
+
+/**
+ * Score an idea list's reminder candidates and pick the ones to show now -
+ * the /api/get-reminders answer, also used by the push job (server/push/reminderJob.cjs)
+ * @param {Object} data - { ideas, logs, checklist, reviews, reminderHistory }
+ * @param {Object} options - { vectors } - embeddings of the ideas (in order), or null
+ * @returns {Object} { reminders, profile, metadata }
+ */
+function selectReminders({ ideas, logs, checklist, reviews, reminderHistory = [] }, { vectors = null } = {}) {
+  // Calculate user's forgetfulness profile from their data
+  const forgetfulnessProfile = calculateForgetfulnessProfile(logs, checklist, reviews);
+
+  const ideaVectors = vectors ? new Map(ideas.map((idea, index) => [idea.id, vectors[index]])) : null;
+
+  // Filter and score potential reminders from all sources
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  // Get ideas that need reminders (due soon, recurring, or important)
+  const reminderCandidates = ideas
+    .filter(idea => {
+      // Include upcoming deadlines (within 3 days)
+      if (idea.dueDate) {
+        const dueDate = new Date(idea.dueDate);
+        dueDate.setHours(0, 0, 0, 0);
+        const daysUntilDue = Math.floor((dueDate - today) / (1000 * 60 * 60 * 24));
+        if (daysUntilDue >= 0 && daysUntilDue <= 3) return true;
+      }
+
+      // Include recurring/ongoing items (no due date but recently mentioned)
+      if (!idea.dueDate) {
+        const createdDate = new Date(idea.timestamp);
+        const daysAgo = Math.floor((today - createdDate) / (1000 * 60 * 60 * 24));
+        if (daysAgo <= 7) return true; // Recent ideas stay relevant
+      }
+
+      return false;
+    })
+    .map(idea => {
+      const history = reminderHistory.find(h => h.ideaId === idea.id) || {
+        ideaId: idea.id,
+        lastShown: null,
+        showCount: 0,
+        dismissCount: 0,
+        actionTaken: false
+      };
+
+      // Calculate importance and urgency scores
+      const importance = calculateImportance(idea, ideas, ideaVectors);
+      const urgency = calculateUrgency(idea, today);
+
+      return {
+        ...idea,
+        importance,
+        urgency,
+        history,
+        frequencyScore: null // Will be calculated below
+      };
+    });
+
+  // Calculate reminder frequency for each candidate
+  const scoredReminders = reminderCandidates.map(reminder => {
+    const frequencyScore = calculateReminderFrequency(
+      reminder,
+      forgetfulnessProfile,
+      reminderCandidates.length,
+      reminderHistory
+    );
+
+    return {
+      ...reminder,
+      frequencyScore
+    };
+  });
+
+  // Sort by frequency score and select top reminders
+  const sortedReminders = scoredReminders
+    .sort((a, b) => b.frequencyScore - a.frequencyScore)
+    .slice(0, Math.min(5, Math.ceil(scoredReminders.length * 0.3))); // Max 5, or 30% of candidates
+
+  // Format reminders for display
+  const formattedReminders = sortedReminders.map(r => {
+    const daysUntilDue = r.dueDate
+      ? Math.floor((new Date(r.dueDate) - today) / (1000 * 60 * 60 * 24))
+      : null;
+
+    let urgencyLabel = 'Low';
+    if (r.urgency > 70) urgencyLabel = 'Critical';
+    else if (r.urgency > 50) urgencyLabel = 'High';
+    else if (r.urgency > 30) urgencyLabel = 'Medium';
+
+    return {
+      id: r.id,
+      content: r.content,
+      tags: r.tags,
+      dueDate: r.dueDate,
+      daysUntilDue,
+      importance: Math.round(r.importance),
+      urgency: Math.round(r.urgency),
+      urgencyLabel,
+      frequencyScore: Math.round(r.frequencyScore),
+      shouldPlaySound: r.urgency > 70 || (r.importance > 80 && daysUntilDue !== null && daysUntilDue <= 1),
+      lastShown: r.history.lastShown,
+      timesShown: r.history.showCount
+    };
+  });
+
+  return {
+    reminders: formattedReminders,
+    profile: {
+      forgetfulnessScore: Math.round(forgetfulnessProfile.score * 100),
+      category: forgetfulnessProfile.category,
+      recommendedFrequency: forgetfulnessProfile.recommendedGenerations
+    },
+    metadata: {
+      totalCandidates: reminderCandidates.length,
+      selectedCount: formattedReminders.length,
+      hasHighPriority: formattedReminders.some(r => r.shouldPlaySound)
+    }
+  };
+}
+
+// Helper: Calculate user's forgetfulness profile from their behavioral data
+function calculateForgetfulnessProfile(logs, checklist, reviews) {
+  // Default baseline: Average human (Ebbinghaus forgetting curve + Miller's Law)
+  // Research shows: 50% forgotten after 1 hour, 70% after 24 hours, 90% after 31 days
+  const defaultProfile = {
+    score: 0.65, // Moderate forgetfulness (0 = perfect memory, 1 = very forgetful)
+    category: 'Average',
+    recommendedGenerations: 5 // Remind every ~5 generations for important items
+  };
+
+  if (!logs || logs.length < 10) {
+    return defaultProfile; // Not enough data, use baseline
+  }
+
+  let forgetfulnessIndicators = 0;
+  let totalDataPoints = 0;
+
+  // Analyze logs for forgetting patterns
+  const forgetKeywords = ['forgot', 'missed', 'didn\'t remember', 'overlooked', 'skipped'];
+  const logMentions = logs.filter(log =>
+    forgetKeywords.some(keyword => log.content?.toLowerCase().includes(keyword))
+  );
+  forgetfulnessIndicators += logMentions.length * 2; // Weight logs heavily
+  totalDataPoints += logs.length;
+
+  // Analyze checklist completion rates
+  if (checklist?.items?.length > 0) {
+    const completedItems = checklist.items.filter(item => item.completed).length;
+    const completionRate = completedItems / checklist.items.length;
+    forgetfulnessIndicators += (1 - completionRate) * 10; // Incomplete tasks indicate forgetting
+    totalDataPoints += 10;
+  }
+
+  // Analyze reviews for patterns
+  if (reviews && reviews.length > 0) {
+    const recentReviews = reviews.slice(0, 5);
+    recentReviews.forEach(review => {
+      if (review.content) {
+        const hasForgetMention = forgetKeywords.some(kw =>
+          review.content.toLowerCase().includes(kw)
+        );
+        if (hasForgetMention) forgetfulnessIndicators += 3;
+      }
+    });
+    totalDataPoints += recentReviews.length * 3;
+  }
+
+  // Calculate normalized score (0-1 scale)
+  const rawScore = totalDataPoints > 0 ? forgetfulnessIndicators / totalDataPoints : 0.65;
+  const normalizedScore = Math.max(0.2, Math.min(0.95, rawScore)); // Clamp between 0.2-0.95
+
+  // Categorize and provide recommendations
+  let category, recommendedGenerations;
+  if (normalizedScore < 0.4) {
+    category = 'Low Forgetfulness';
+    recommendedGenerations = 8; // Remind less often
+  } else if (normalizedScore < 0.7) {
+    category = 'Average';
+    recommendedGenerations = 5; // Standard frequency
+  } else {
+    category = 'High Forgetfulness';
+    recommendedGenerations = 3; // Remind more often
+  }
+
+  return {
+    score: normalizedScore,
+    category,
+    recommendedGenerations
+  };
+}
+
+// Helper: Calculate importance score (0-100) based on frequency, enthusiasm, and patterns
+// vectors: idea id -> embedding; without it, ideas sharing a longer word count as similar
+function calculateImportance(idea, allIdeas, vectors = null) {
+  let score = 50; // Start at neutral
+
+  // Check frequency: How often does similar content appear?
+  const ideaWords = vectors ? null : tokenize(idea.content).filter(word => word.length > 4);
+  const similarIdeas = allIdeas.filter(other => {
+    if (other.id === idea.id) return false;
+    const contentSimilarity = vectors
+      ? cosineSimilarity(vectors.get(idea.id), vectors.get(other.id)) >= SIMILAR_THRESHOLD
+      : tokenize(other.content).some(word => ideaWords.includes(word));
+    const tagOverlap = idea.tags?.some(tag => other.tags?.includes(tag));
+    return contentSimilarity || tagOverlap;
+  });
+
+  if (similarIdeas.length > 5) score += 20; // Frequently mentioned topic
+  else if (similarIdeas.length > 2) score += 10;
+
+  // Check enthusiasm markers (exclamation marks, positive words)
+  const enthusiasmMarkers = idea.content?.match(/!|amazing|love|excited|important|priority/gi);
+  if (enthusiasmMarkers) {
+    score += Math.min(enthusiasmMarkers.length * 5, 20);
+  }
+
+  // Check tags for priority indicators
+  const priorityTags = ['work', 'urgent', 'important', 'deadline', 'assignment'];
+  const hasPriorityTag = idea.tags?.some(tag =>
+    priorityTags.some(pt => tag.toLowerCase().includes(pt))
+  );
+  if (hasPriorityTag) score += 15;
+
+  return Math.max(0, Math.min(100, score));
+}
+
+// Helper: Calculate urgency score (0-100) based on time sensitivity
+function calculateUrgency(idea, today) {
+  let score = 30; // Default low urgency for ongoing items
+
+  if (!idea.dueDate) {
+    // No deadline = ongoing/recurring, but check recency
+    const createdDate = new Date(idea.timestamp);
+    const daysAgo = Math.floor((today - createdDate) / (1000 * 60 * 60 * 24));
+    if (daysAgo === 0) score = 50; // Created today
+    else if (daysAgo <= 2) score = 40; // Very recent
+    return score;
+  }
+
+  // Has deadline - calculate based on time remaining
+  const dueDate = new Date(idea.dueDate);
+  dueDate.setHours(0, 0, 0, 0);
+  const daysUntilDue = Math.floor((dueDate - today) / (1000 * 60 * 60 * 24));
+
+  if (daysUntilDue < 0) return 100; // Overdue!
+  if (daysUntilDue === 0) return 95; // Due today
+  if (daysUntilDue === 1) return 85; // Due tomorrow
+  if (daysUntilDue === 2) return 70; // Due in 2 days
+  if (daysUntilDue === 3) return 55; // Due in 3 days
+  if (daysUntilDue <= 7) return 40; // Due this week
+
+  return 30; // Due later
+}
+
+// Helper: Calculate reminder frequency score using adaptive algorithm
+function calculateReminderFrequency(reminder, userProfile, totalReminders, reminderHistory) {
+  // Base score from importance and urgency (0-100 scale)
+  const baseScore = (reminder.importance * 0.6) + (reminder.urgency * 0.4);
+
+  // Forgetfulness multiplier (0.2 to 1.5)
+  // High forgetfulness = show more often, low = show less often
+  const forgetfulnessMultiplier = 0.5 + (userProfile.score * 1.0);
+
+  // Load adjustment (avoid overwhelming with too many reminders)
+  // More total reminders = lower individual scores
+  const loadAdjustment = totalReminders > 0
+    ? 1 / Math.log(totalReminders + 2)
+    : 1;
+
+  // Time decay (show reminders that haven't been shown recently)
+  const daysSinceShown = reminder.history.lastShown
+    ? Math.floor((new Date() - new Date(reminder.history.lastShown)) / (1000 * 60 * 60 * 24))
+    : 999; // Never shown = max decay bonus
+
+  const timeDecayBonus = Math.min(daysSinceShown / 7, 1.5); // Cap at 1.5x bonus after 1 week
+
+  // Engagement penalty (if user keeps dismissing, show less)
+  const engagementRate = reminder.history.showCount > 0
+    ? 1 - (reminder.history.dismissCount / reminder.history.showCount)
+    : 1; // No history = neutral
+
+  const engagementMultiplier = Math.max(0.3, engagementRate); // Minimum 0.3x even if always dismissed
+
+  // Final frequency score
+  const frequencyScore = baseScore *
+                        forgetfulnessMultiplier *
+                        loadAdjustment *
+                        timeDecayBonus *
+                        engagementMultiplier;
+
+  return frequencyScore;
+}
+
+// Pushes due reminders every PUSH_INTERVAL_MINUTES (default 15) - started by server.cjs
+// once it's listening. null when push is off; without the service role key it has
+// no ideas to read and does nothing.
+const reminderPushJob = push.sender
+  ? createReminderPushJob({
+    subscriptions: push.subscriptions,
+    sender: push.sender,
+    dataSource: createReminderDataSource({ client: usageDb }),
+    selectReminders,
+    embed: (ideas) => embedOrNull(ideas.map(ideaText)),
+    intervalMinutes: parseFloat(process.env.PUSH_INTERVAL_MINUTES) || undefined,
+  })
+  : null;
+
+module.exports = {
+  api,
+  calculateForgetfulnessProfile,
+  calculateImportance,
+  calculateReminderFrequency,
+  calculateUrgency,
+  reminderPushJob,
+  selectReminders,
+};
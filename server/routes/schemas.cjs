@@ -0,0 +1,96 @@
+/**
+ * REQUEST SCHEMAS
+ *
+ * Building blocks for the routes' request schemas (see registry.cjs). Like the
+ * response schemas in server/llm/schemas.cjs, they only pin down what the
+ * handlers rely on - anything else the app sends passes through untouched.
+ */
+
+// A string with something besides whitespace in it
+const nonBlank = { type: 'string', pattern: '\\S' };
+
+// Optional context the app sends as null when it has none
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+const ideaList = {
+  type: 'array',
+  items: { type: 'object' },
+  description: 'Captured ideas: { id, content, tags, timestamp, dueDate, classificationType }',
+};
+
+// What search, "find similar" and clustering read from an idea
+const searchableIdea = {
+  type: 'object',
+  required: ['id', 'content'],
+  properties: {
+    id: { type: ['string', 'number'] },
+    content: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    context: nullable({ type: 'string' }),
+  },
+};
+
+const searchableIdeaList = {
+  type: 'array',
+  items: searchableIdea,
+  maxItems: 5000,
+  description: 'Ideas to search: { id, content, tags, context }',
+};
+
+const logList = {
+  type: 'array',
+  items: { type: 'object' },
+  description: 'Energy logs: { activity, energy, motivation, note, timestamp }',
+};
+
+const reviewList = {
+  type: 'array',
+  items: { type: 'object' },
+  description: 'End-of-day reviews, newest first: { energy, accomplishments, content, timestamp }',
+};
+
+const dailyChecklist = {
+  type: 'object',
+  properties: { items: { type: 'array', items: { type: 'object' } } },
+  description: 'Daily checklist: { date, items: [{ text, completed, important }] }',
+};
+
+const testCaseList = {
+  type: 'array',
+  items: { type: 'object', properties: { input: {}, expectedOutput: {} } },
+  description: 'Test cases: { input, expectedOutput }',
+};
+
+const codeLanguage = {
+  type: 'string',
+  description: 'python (py, python3), javascript (js, node) or r',
+};
+
+// Subject + topic, as picked in the Resource Library
+const studyTopic = {
+  subject: { ...nonBlank, description: 'e.g. "Statistics"' },
+  topic: { ...nonBlank, description: 'e.g. "Hypothesis Testing"' },
+  topicDescription: nullable({ type: 'string' }),
+};
+
+// The { success, data } body of the Resource Library routes
+const envelope = (data) => ({
+  type: 'object',
+  required: ['success', 'data'],
+  properties: { success: { type: 'boolean' }, data },
+});
+
+module.exports = {
+  codeLanguage,
+  dailyChecklist,
+  envelope,
+  ideaList,
+  logList,
+  nonBlank,
+  nullable,
+  reviewList,
+  searchableIdea,
+  searchableIdeaList,
+  studyTopic,
+  testCaseList,
+};
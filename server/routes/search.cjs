@@ -0,0 +1,203 @@
+/**
+ * SEARCH ROUTES
+ *
+ * Semantic search over captured ideas, "find similar" and near-duplicate
+ * clusters. Ideas are embedded with the local model (server/embeddings) - no
+ * Claude call, so these only count against the request budget. Without
+ * embeddings every route still answers, from keywords, with semantic: false.
+ */
+
+const {
+  DUPLICATE_THRESHOLD,
+  MAX_CLUSTER_IDEAS,
+  SEMANTIC_MATCH,
+  clusterNearDuplicates,
+  findSimilar,
+  hybridRank,
+  ideaText,
+} = require('../embeddings/ranking.cjs');
+const { embedOrNull } = require('./helpers.cjs');
+const { envelope, nonBlank, searchableIdea, searchableIdeaList } = require('./schemas.cjs');
+const { createRouteGroup } = require('./registry.cjs');
+
+const api = createRouteGroup({
+  name: 'search',
+  description: 'Semantic search, similar ideas and near-duplicates (local embeddings, no model call)',
+});
+
+const limit = (max, description) => ({ type: 'integer', minimum: 1, maximum: max, description });
+
+// Whether embeddings were used, and which model made them
+const searchMeta = {
+  semantic: { type: 'boolean', description: 'false when the embedding model is unavailable and keywords were used' },
+  model: { type: ['string', 'null'] },
+};
+
+// POST /api/search-ideas - Hybrid keyword + semantic search
+api.post('/api/search-ideas', {
+  summary: 'Search ideas by meaning and keywords',
+  description: `Blends a keyword score (tags > content > context) with embedding similarity, so "exercise" `
+    + `finds "go for a run". Ideas with no shared word match from a cosine similarity of ${SEMANTIC_MATCH}. `
+    + 'No model call - only counts against the request budget.',
+  body: {
+    type: 'object',
+    required: ['query', 'ideas'],
+    properties: {
+      query: nonBlank,
+      ideas: searchableIdeaList,
+      limit: limit(500, 'Most results to return (default 50)'),
+    },
+  },
+  response: envelope({
+    type: 'object',
+    required: ['results', 'semantic'],
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: ['string', 'number'] },
+            score: { type: 'number' },
+            keywordScore: { type: 'number' },
+            semanticScore: { type: 'number' },
+          },
+        },
+        description: 'Matching ideas, best first; scores are 0-1',
+      },
+      ...searchMeta,
+    },
+  }),
+}, async (req, res) => {
+  try {
+    const { query, ideas, limit: resultLimit = 50 } = req.body;
+    const { model, vectors } = await embedOrNull([query, ...ideas.map(ideaText)]);
+
+    const results = hybridRank({
+      query,
+      ideas,
+      queryVector: vectors ? vectors[0] : null,
+      vectors: vectors ? vectors.slice(1) : null,
+      limit: resultLimit,
+    });
+
+    res.json({
+      success: true,
+      data: { results, semantic: Boolean(vectors), model }
+    });
+
+  } catch (error) {
+    console.error('Error searching ideas:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to search ideas'
+    });
+  }
+});
+
+// POST /api/similar-ideas - Ideas closest in meaning to one idea
+api.post('/api/similar-ideas', {
+  summary: 'Find ideas similar to one idea',
+  description: 'No model call - only counts against the request budget.',
+  body: {
+    type: 'object',
+    required: ['idea', 'ideas'],
+    properties: {
+      idea: searchableIdea,
+      ideas: searchableIdeaList,
+      limit: limit(50, 'Most results to return (default 10)'),
+    },
+  },
+  response: envelope({
+    type: 'object',
+    required: ['similar', 'semantic'],
+    properties: {
+      similar: {
+        type: 'array',
+        items: { type: 'object', properties: { id: { type: ['string', 'number'] }, similarity: { type: 'number' } } },
+        description: 'Most similar first, never the idea itself',
+      },
+      ...searchMeta,
+    },
+  }),
+}, async (req, res) => {
+  try {
+    const { idea, ideas, limit: resultLimit = 10 } = req.body;
+    const { model, vectors } = await embedOrNull([ideaText(idea), ...ideas.map(ideaText)]);
+
+    const similar = findSimilar({
+      idea,
+      ideas,
+      vector: vectors ? vectors[0] : null,
+      vectors: vectors ? vectors.slice(1) : null,
+      limit: resultLimit,
+    });
+
+    res.json({
+      success: true,
+      data: { similar, semantic: Boolean(vectors), model }
+    });
+
+  } catch (error) {
+    console.error('Error finding similar ideas:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to find similar ideas'
+    });
+  }
+});
+
+// POST /api/cluster-ideas - Groups of near-duplicate captures
+api.post('/api/cluster-ideas', {
+  summary: 'Cluster near-duplicate ideas',
+  description: `Single-linkage clusters of ideas at or above the similarity threshold (the first ${MAX_CLUSTER_IDEAS} `
+    + 'ideas are compared). No model call - only counts against the request budget.',
+  body: {
+    type: 'object',
+    required: ['ideas'],
+    properties: {
+      ideas: { ...searchableIdeaList, description: 'Ideas to compare, newest first' },
+      threshold: {
+        type: 'number',
+        minimum: 0.5,
+        maximum: 1,
+        description: `Minimum cosine similarity (default ${DUPLICATE_THRESHOLD})`,
+      },
+    },
+  },
+  response: envelope({
+    type: 'object',
+    required: ['clusters', 'semantic'],
+    properties: {
+      clusters: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { ids: { type: 'array' }, similarity: { type: 'number' } },
+        },
+        description: 'Biggest first; similarity is the weakest link in the cluster',
+      },
+      ...searchMeta,
+    },
+  }),
+}, async (req, res) => {
+  try {
+    const { threshold = DUPLICATE_THRESHOLD } = req.body;
+    const ideas = req.body.ideas.slice(0, MAX_CLUSTER_IDEAS);
+    const { model, vectors } = await embedOrNull(ideas.map(ideaText));
+
+    res.json({
+      success: true,
+      data: { clusters: clusterNearDuplicates(ideas, vectors, threshold), semantic: Boolean(vectors), model }
+    });
+
+  } catch (error) {
+    console.error('Error clustering ideas:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to cluster ideas'
+    });
+  }
+});
+
+module.exports = { api };
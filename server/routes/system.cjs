@@ -0,0 +1,120 @@
+/**
+ * SYSTEM ROUTES
+ *
+ * Health, the caller's daily budget and response cache administration. None
+ * of them call the model; GET /api/docs is added by routes/index.cjs.
+ */
+
+const { embedder, llm, responseCache } = require('../services.cjs');
+const { CACHE_TTLS } = require('../cache/index.cjs');
+const { describeBudget, getRouteEstimates } = require('../budgets.cjs');
+const { createRouteGroup } = require('./registry.cjs');
+
+const api = createRouteGroup({
+  name: 'system',
+  description: 'Health, budgets, API docs and cache administration',
+});
+
+const cacheEndpointQuery = {
+  type: 'object',
+  properties: {
+    endpoint: { type: 'string', enum: Object.keys(CACHE_TTLS), description: 'Only this endpoint\'s entries' },
+    limit: { type: 'string', pattern: '^\\d+$', description: 'Most entries to list (default 100)' },
+  },
+};
+
+// Health check endpoint
+api.get('/health', {
+  summary: 'Health check',
+  description: 'Model token and cost totals (llm), response cache stats (cache) and embedding stats (embeddings).',
+}, (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    service: 'Neural Capture API',
+    llm: llm.getStats(),
+    cache: responseCache.getStats(),
+    embeddings: embedder.getStats()
+  });
+});
+
+// GET /api/budget - Today's budget and per-route cost estimates (free, not counted)
+api.get('/api/budget', {
+  summary: 'Remaining daily AI budget',
+  description: 'Today\'s budget and per-route cost estimates (free, not counted).',
+}, (req, res) => {
+  res.json({
+    ...describeBudget(req.apiBudget),
+    estimates: getRouteEstimates(),
+  });
+});
+
+// Admins are the Supabase users listed in ADMIN_USER_IDS. Local development
+// without Supabase has a single shared user, which is allowed in.
+const ADMIN_USER_IDS = new Set(
+  (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+);
+
+const requireAdmin = (req, res, next) => {
+  const { userId, usageKey } = req.apiBudget || {};
+  if (usageKey === 'local' || (userId && ADMIN_USER_IDS.has(userId))) return next();
+  res.status(403).json({ success: false, error: 'Admin access required.' });
+};
+
+// GET /api/admin/cache - Cache stats and live entries (?endpoint=generate-cheatsheet&limit=100)
+api.get('/api/admin/cache', {
+  summary: 'Response cache entries and stats (admin)',
+  query: cacheEndpointQuery,
+}, requireAdmin, async (req, res) => {
+  try {
+    const { endpoint } = req.query;
+    const limit = Math.max(1, parseInt(req.query.limit, 10) || 100);
+    const listing = await responseCache.list({ endpoint, limit });
+    res.json({
+      success: true,
+      data: { ...listing, stats: responseCache.getStats() }
+    });
+  } catch (error) {
+    console.error('Error listing response cache:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to list cache entries' });
+  }
+});
+
+// DELETE /api/admin/cache - Invalidate every entry, or one endpoint's (?endpoint=...)
+api.delete('/api/admin/cache', {
+  summary: 'Invalidate cached responses, or one endpoint\'s (admin)',
+  query: { type: 'object', properties: { endpoint: cacheEndpointQuery.properties.endpoint } },
+}, requireAdmin, async (req, res) => {
+  try {
+    const { endpoint } = req.query;
+    const removed = await responseCache.invalidate({ endpoint });
+    console.log(`Response cache: invalidated ${removed} ${endpoint || 'total'} entries`);
+    res.json({ success: true, data: { removed } });
+  } catch (error) {
+    console.error('Error invalidating response cache:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to invalidate cache entries' });
+  }
+});
+
+// DELETE /api/admin/cache/:key - Invalidate one entry (key from the X-Cache-Key header)
+api.delete('/api/admin/cache/:key', {
+  summary: 'Invalidate one cached response (admin)',
+  params: {
+    type: 'object',
+    required: ['key'],
+    properties: { key: { type: 'string', description: 'From the X-Cache-Key header' } },
+  },
+}, requireAdmin, async (req, res) => {
+  try {
+    const removed = await responseCache.invalidate({ key: req.params.key });
+    if (removed === 0) {
+      return res.status(404).json({ success: false, error: 'Cache entry not found' });
+    }
+    res.json({ success: true, data: { removed } });
+  } catch (error) {
+    console.error('Error invalidating response cache entry:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to invalidate cache entry' });
+  }
+});
+
+module.exports = { api };
@@ -0,0 +1,137 @@
+/**
+ * VISION ROUTES
+ *
+ * Reads a handwritten or photographed answer and grades it against the
+ * expected one (quality model with image input).
+ */
+
+const { generateJsonOr } = require('./helpers.cjs');
+const { nonBlank, nullable } = require('./schemas.cjs');
+const { createRouteGroup } = require('./registry.cjs');
+
+const api = createRouteGroup({
+  name: 'vision',
+  description: 'Answers from photos and screenshots',
+});
+
+// POST /api/extract-answer-from-image - Extract and evaluate answer from uploaded image using vision
+api.post('/api/extract-answer-from-image', {
+  summary: 'Extract and evaluate an answer from an image',
+  body: {
+    type: 'object',
+    required: ['image', 'question', 'correctAnswer'],
+    properties: {
+      image: { ...nonBlank, description: 'Base64 image data, without the data: prefix' },
+      mediaType: nullable({ type: 'string', description: 'image/png (default), image/jpeg, image/webp or image/gif' }),
+      question: nonBlank,
+      correctAnswer: { type: ['string', 'number'], pattern: '\\S' },
+    },
+  },
+}, async (req, res) => {
+  try {
+    const { image, mediaType, question, correctAnswer } = req.body;
+
+    // Validate media type
+    const validMediaTypes = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'image/gif'];
+    const finalMediaType = validMediaTypes.includes(mediaType) ? mediaType : 'image/png';
+
+    console.log(`Extracting answer from image for question: "${question.substring(0, 50)}..."`);
+
+    // Quality model with vision
+    const evaluation = await generateJsonOr('extract-answer-from-image', {
+      messages: [{
+        role: 'user',
+        content: [
+          {
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: finalMediaType,
+              data: image // raw base64 without data:image prefix
+            }
+          },
+          {
+            type: 'text',
+            text: `You are evaluating a student's handwritten/typed mathematical work for this question:
+
+Question: ${question}
+Correct Answer: ${correctAnswer}
+
+Instructions:
+1. Extract all mathematical content from the image
+2. Convert the work to LaTeX notation (use $...$ for inline math)
+3. Identify the student's FINAL ANSWER (look for boxed answers, underlined results, or the last line of work)
+4. Compare to the correct answer and evaluate
+
+Scoring:
+- CORRECT (1 point): The final answer matches or is mathematically equivalent to the correct answer
+- PARTIAL (0.5 points): The approach is correct but there's a calculation error, or partial understanding shown
+- INCORRECT (0 points): Wrong answer or fundamentally misunderstands the problem
+
+IMPORTANT: Return ONLY valid JSON with no markdown formatting.
+
+Return pure JSON (no code fences):
+{
+  "extractedWork": "The full work converted to LaTeX notation",
+  "finalAnswer": "The student's final answer in LaTeX",
+  "result": "correct|partial|incorrect",
+  "score": 1,
+  "feedback": "Explanation of what was right/wrong and any errors in their work"
+}
+
+Note: For the score field, use 1 for correct, 0.5 for partial, and 0 for incorrect.
+If you cannot extract any meaningful content from the image, set extractedWork to "Unable to extract content" and result to "incorrect".`
+          }
+        ]
+      }]
+    }, () => ({
+      // Fallback response
+      extractedWork: 'Unable to parse response from image analysis',
+      finalAnswer: 'Unable to detect answer',
+      result: 'incorrect',
+      score: 0,
+      feedback: 'There was an error processing your image. Please try again or type your answer manually.'
+    }));
+
+    // Validate and sanitize the response
+    if (!evaluation.extractedWork) evaluation.extractedWork = 'Unable to extract content';
+    if (!evaluation.finalAnswer) evaluation.finalAnswer = 'No answer detected';
+    if (!['correct', 'partial', 'incorrect'].includes(evaluation.result)) evaluation.result = 'incorrect';
+    if (typeof evaluation.score !== 'number') {
+      evaluation.score = evaluation.result === 'correct' ? 1 : evaluation.result === 'partial' ? 0.5 : 0;
+    }
+    if (!evaluation.feedback) evaluation.feedback = 'Unable to provide feedback';
+
+    console.log(`Image evaluation result: ${evaluation.result} (${evaluation.score} points)`);
+    res.json({
+      success: true,
+      data: evaluation
+    });
+
+  } catch (error) {
+    console.error('❌ Error extracting answer from image:');
+    console.error('   Status:', error.status || 'N/A');
+    console.error('   Message:', error.message);
+
+    if (error.status === 401) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key. Please check your ANTHROPIC_API_KEY environment variable.'
+      });
+    }
+
+    if (error.status === 429) {
+      return res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded. Please try again in a moment.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to process image. Please try again or type your answer manually.'
+    });
+  }
+});
+
+module.exports = { api };
@@ -0,0 +1,573 @@
+/**
+ * CODE SANDBOX
+ *
+ * Runs submitted Python, JavaScript and R solutions against their test cases
+ * (POST /api/run-code, and code answers in POST /api/evaluate-answer): one
+ * temp dir per run, ulimits, a timeout and - where the host allows it - no
+ * network. Also spots empty or unchanged starter-code submissions.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn, spawnSync } = require('child_process');
+
+// Helper function to detect empty or starter code submissions
+function isEmptyOrStarterCode(code, starterCode = '', language = 'python') {
+  if (!code || typeof code !== 'string') return true;
+  
+  // Normalize the code by trimming whitespace
+  const normalizedCode = code.trim();
+  
+  // Check if completely empty
+  if (normalizedCode.length === 0) return true;
+  
+  // Check if it's just whitespace/newlines
+  if (/^\s*$/.test(normalizedCode)) return true;
+  
+  // Python-specific patterns
+  if (language === 'python' || language === 'py') {
+    // Just 'pass' statement (with optional whitespace/comments)
+    if (/^(\s*(#.*)?[\n\r]*)*\s*pass\s*(\s*(#.*)?[\n\r]*)*$/i.test(normalizedCode)) return true;
+    
+    // Only comments with no actual code
+    const linesWithoutComments = normalizedCode
+      .split('\n')
+      .filter(line => {
+        const trimmed = line.trim();
+        return trimmed.length > 0 && !trimmed.startsWith('#');
+      });
+    if (linesWithoutComments.length === 0) return true;
+    
+    // Check for common placeholder patterns
+    const placeholderPatterns = [
+      /^\s*def\s+\w+\s*\([^)]*\)\s*:\s*(#.*)?(\s*pass\s*)?$/m, // def func(): pass
+      /^\s*#\s*your\s*(code|solution)\s*here/i,
+      /^\s*#\s*write\s*your\s*(code|solution)/i,
+      /^\s*#\s*todo/i,
+      /^\s*#\s*implement/i,
+      /^\s*raise\s+NotImplementedError/i,
+    ];
+    
+    for (const pattern of placeholderPatterns) {
+      // Check if code ONLY contains this pattern (possibly with pass)
+      const codeWithoutPlaceholders = normalizedCode
+        .split('\n')
+        .filter(line => {
+          const trimmed = line.trim();
+          if (trimmed.length === 0) return false;
+          if (trimmed === 'pass') return false;
+          if (trimmed.startsWith('#')) return false;
+          return true;
+        })
+        .join('\n');
+      
+      // If after removing comments and pass, there's nothing meaningful
+      if (codeWithoutPlaceholders.length === 0) return true;
+    }
+    
+    // Check if the code is just a function definition with only pass or placeholder
+    const funcDefWithPassOnly = /^\s*def\s+\w+\s*\([^)]*\)\s*:\s*(\n\s*(#.*)?)*\s*pass\s*$/m;
+    if (funcDefWithPassOnly.test(normalizedCode)) return true;
+  }
+  
+  // JavaScript/TypeScript specific patterns
+  if (language === 'javascript' || language === 'js' || language === 'typescript' || language === 'ts') {
+    // Only comments
+    const linesWithoutComments = normalizedCode
+      .split('\n')
+      .filter(line => {
+        const trimmed = line.trim();
+        return trimmed.length > 0 && 
+               !trimmed.startsWith('//') && 
+               !trimmed.startsWith('/*') &&
+               !trimmed.startsWith('*');
+      });
+    if (linesWithoutComments.length === 0) return true;
+    
+    // Empty function body
+    if (/^\s*function\s+\w+\s*\([^)]*\)\s*\{\s*\}\s*$/m.test(normalizedCode)) return true;
+    if (/^\s*const\s+\w+\s*=\s*\([^)]*\)\s*=>\s*\{\s*\}\s*$/m.test(normalizedCode)) return true;
+  }
+  
+  // R specific patterns
+  if (language === 'r' || language === 'R') {
+    const linesWithoutComments = normalizedCode
+      .split('\n')
+      .filter(line => {
+        const trimmed = line.trim();
+        return trimmed.length > 0 && !trimmed.startsWith('#');
+      });
+    if (linesWithoutComments.length === 0) return true;
+  }
+  
+  // Compare against starter code (if provided)
+  if (starterCode && starterCode.trim().length > 0) {
+    const normalizedStarter = starterCode.trim();
+    
+    // Exact match with starter code
+    if (normalizedCode === normalizedStarter) return true;
+    
+    // Check if only whitespace differences
+    const codeNoWhitespace = normalizedCode.replace(/\s+/g, '');
+    const starterNoWhitespace = normalizedStarter.replace(/\s+/g, '');
+    if (codeNoWhitespace === starterNoWhitespace) return true;
+  }
+  
+  return false;
+}
+
+// Resource limits for executing submitted code (per test case)
+const SANDBOX_LIMITS = {
+  timeoutMs: 5000,          // Wall-clock limit before the process group is killed
+  cpuSeconds: 5,            // ulimit -t
+  memoryMb: 256,            // ulimit -v (python/r) or --max-old-space-size (node)
+  maxFileBytes: 1024 * 1024, // ulimit -f - caps anything written inside the sandbox dir
+  maxOutputBytes: 64 * 1024,
+  maxTestCases: 10,
+};
+
+// Runner scripts copied into each sandbox dir next to the solution file.
+// Protocol: argv = [marker, entryFunction], test input is read from input.txt.
+// The runner prints the solution's own output, then `${marker}{json}` on its last line.
+const PYTHON_SANDBOX_RUNNER = String.raw`
+import contextlib, io, json, os, re, sys, traceback
+
+marker, entry = sys.argv[1], sys.argv[2]
+sandbox_dir = os.path.realpath(os.getcwd())
+with open('solution.py') as f:
+    source = f.read()
+with open('input.txt') as f:
+    test_input = f.read().strip()
+
+read_roots = [sandbox_dir] + [os.path.realpath(p) for p in sys.path if p and os.path.isdir(p)]
+blocked_events = ('socket.', 'subprocess.', 'os.system', 'os.exec', 'os.fork', 'os.forkpty',
+                  'os.posix_spawn', 'os.spawn', 'os.kill', 'os.remove', 'os.rename', 'os.rmdir',
+                  'os.unlink', 'shutil.rmtree', 'ctypes.', 'urllib.', 'http.')
+
+def inside(path, roots):
+    return any(path == root or path.startswith(root + os.sep) for root in roots)
+
+def audit(event, args):
+    if event.startswith(blocked_events):
+        raise PermissionError(event + ' is not allowed in the sandbox')
+    if event == 'open':
+        path, mode, flags = args
+        if path is None or isinstance(path, int):
+            return
+        writing = (mode is not None and any(c in str(mode) for c in 'wax+')) or \
+            (mode is None and flags & (os.O_WRONLY | os.O_RDWR | os.O_CREAT))
+        if not inside(os.path.realpath(os.fsdecode(path)), [sandbox_dir] if writing else read_roots):
+            raise PermissionError('File access outside the sandbox is not allowed')
+
+def collect_args(*args, **kwargs):
+    return args, kwargs
+
+sys.addaudithook(audit)
+stdout, stderr = io.StringIO(), io.StringIO()
+namespace = {'__name__': '__main__' if not entry else '__solution__', '__collect_args__': collect_args}
+
+try:
+    with contextlib.redirect_stdout(stdout), contextlib.redirect_stderr(stderr):
+        if not entry:
+            sys.stdin = io.StringIO(test_input)
+            exec(compile(source, 'solution.py', 'exec'), namespace)
+            value = stdout.getvalue().strip()
+        else:
+            exec(compile(source, 'solution.py', 'exec'), namespace)
+            if re.match(r'^\s*' + re.escape(entry) + r'\s*\(', test_input):
+                value = eval(test_input, namespace)
+            else:
+                try:
+                    args, kwargs = eval('__collect_args__(' + test_input + ')', namespace) if test_input else ((), {})
+                except (SyntaxError, NameError):
+                    args, kwargs = (test_input,), {}
+                value = namespace[entry](*args, **kwargs)
+    result = {'ok': True, 'value': value if isinstance(value, str) else repr(value)}
+except BaseException as error:
+    result = {'ok': False, 'error': ''.join(traceback.format_exception_only(type(error), error)).strip()}
+
+sys.__stdout__.write(stdout.getvalue())
+sys.__stderr__.write(stderr.getvalue())
+sys.__stdout__.write('\n' + marker + json.dumps(result) + '\n')
+`;
+
+const JAVASCRIPT_SANDBOX_RUNNER = String.raw`
+const fs = require('fs');
+const util = require('util');
+
+const [marker, entry] = process.argv.slice(2);
+const source = fs.readFileSync(__dirname + '/solution.js', 'utf8');
+const testInput = fs.readFileSync(__dirname + '/input.txt', 'utf8').trim();
+
+const stdout = [];
+const stderr = [];
+const format = (args) => util.format(...args);
+console.log = console.info = (...args) => stdout.push(format(args));
+console.error = console.warn = (...args) => stderr.push(format(args));
+
+const formatValue = (value) => (typeof value === 'string' ? value : util.inspect(value, { depth: 5, breakLength: Infinity }));
+
+(async () => {
+  let result;
+  try {
+    let value;
+    if (!entry) {
+      new Function('module', 'exports', 'input', source)({ exports: {} }, {}, testInput);
+      value = stdout.join('\n');
+    } else {
+      let args;
+      // entry can hold $, so it's compared as a string rather than put in a RegExp
+      const isCall = testInput.startsWith(entry) && /^\s*\(/.test(testInput.slice(entry.length));
+      if (!isCall) {
+        try {
+          args = testInput ? new Function('return [' + testInput + '];')() : [];
+        } catch (parseError) {
+          args = [testInput];
+        }
+      }
+      const body = source + '\n;return ' + (isCall ? testInput : entry + '(...__args__)') + ';';
+      value = await new Function('module', 'exports', '__args__', body)({ exports: {} }, {}, args);
+    }
+    result = { ok: true, value: formatValue(value) };
+  } catch (error) {
+    result = { ok: false, error: error && error.stack ? error.stack.split('\n')[0] : String(error) };
+  }
+  if (stdout.length > 0) process.stdout.write(stdout.join('\n') + '\n');
+  if (stderr.length > 0) process.stderr.write(stderr.join('\n') + '\n');
+  process.stdout.write('\n' + marker + JSON.stringify(result) + '\n');
+})();
+`;
+
+const R_SANDBOX_RUNNER = String.raw`
+argv <- commandArgs(trailingOnly = TRUE)
+marker <- argv[1]
+entry <- if (length(argv) > 1) argv[2] else ""
+test_input <- trimws(paste(readLines("input.txt", warn = FALSE), collapse = "\n"))
+
+json_string <- function(x) encodeString(enc2utf8(as.character(x)), quote = "\"")
+format_value <- function(v) {
+  if (is.character(v) && length(v) == 1) return(v)
+  if (length(v) == 1) return(format(v, digits = 15))
+  paste0("[", paste(format(v, digits = 15, trim = TRUE), collapse = ", "), "]")
+}
+
+env <- new.env()
+value <- NULL
+output <- character(0)
+result <- tryCatch({
+  output <- capture.output({
+    source("solution.R", local = env)
+    if (nzchar(entry)) {
+      if (startsWith(test_input, entry) && grepl("^\\s*\\(", substring(test_input, nchar(entry) + 1))) {
+        value <- eval(parse(text = test_input), envir = env)
+      } else {
+        args <- tryCatch(eval(parse(text = paste0("list(", test_input, ")")), envir = env),
+                         error = function(e) list(test_input))
+        value <- do.call(entry, args, envir = env)
+      }
+    }
+  })
+  if (!nzchar(entry)) value <- paste(output, collapse = "\n")
+  paste0("{\"ok\": true, \"value\": ", json_string(format_value(value)), "}")
+}, error = function(e) {
+  paste0("{\"ok\": false, \"error\": ", json_string(conditionMessage(e)), "}")
+})
+
+if (length(output) > 0) cat(output, sep = "\n")
+cat("\n", marker, result, "\n", sep = "")
+`;
+
+// Supported runtimes - command can be overridden for hosts with non-standard installs
+const SANDBOX_RUNTIMES = {
+  python: {
+    command: process.env.SANDBOX_PYTHON || 'python3',
+    solutionFile: 'solution.py',
+    runnerFile: 'runner.py',
+    runner: PYTHON_SANDBOX_RUNNER,
+    args: () => ['-I', 'runner.py'],
+    limitMemory: true,
+  },
+  javascript: {
+    command: process.execPath,
+    solutionFile: 'solution.js',
+    runnerFile: 'runner.js',
+    runner: JAVASCRIPT_SANDBOX_RUNNER,
+    // Node's permission model blocks child processes, workers and fs access outside the sandbox dir.
+    // V8 reserves far more address space than it uses, so memory is capped via the heap size instead of ulimit -v.
+    args: (dir) => ['--experimental-permission', `--allow-fs-read=${dir}`, '--no-warnings',
+      `--max-old-space-size=${SANDBOX_LIMITS.memoryMb}`, 'runner.js'],
+    limitMemory: false,
+  },
+  r: {
+    command: process.env.SANDBOX_RSCRIPT || 'Rscript',
+    solutionFile: 'solution.R',
+    runnerFile: 'runner.R',
+    runner: R_SANDBOX_RUNNER,
+    args: () => ['--vanilla', 'runner.R'],
+    limitMemory: true,
+  },
+};
+
+// Map language aliases used by generated questions onto sandbox runtimes
+const normalizeSandboxLanguage = (language = 'python') => {
+  const lang = String(language).toLowerCase();
+  if (lang === 'py' || lang === 'python3') return 'python';
+  if (lang === 'js' || lang === 'node') return 'javascript';
+  return lang;
+};
+
+// Cached availability checks for interpreters and network isolation
+const sandboxAvailability = new Map();
+
+function isCommandAvailable(command, args = ['--version']) {
+  const key = [command, ...args].join(' ');
+  if (!sandboxAvailability.has(key)) {
+    const check = spawnSync(command, args, { stdio: 'ignore', timeout: 5000 });
+    sandboxAvailability.set(key, !check.error && check.status === 0);
+  }
+  return sandboxAvailability.get(key);
+}
+
+// unshare gives the process an empty network namespace when the host allows user namespaces
+const canIsolateNetwork = () => isCommandAvailable('unshare', ['--net', '--map-root-user', 'true']);
+
+// Without a network namespace submitted code could reach the network, so nothing runs
+// unless SANDBOX_ALLOW_UNISOLATED=true accepts that (e.g. a single-user deploy)
+const allowsUnisolated = () => process.env.SANDBOX_ALLOW_UNISOLATED === 'true';
+
+// Detect the function the test cases should call (null = run as a script with input on stdin)
+function detectEntryFunction(code, language) {
+  const patterns = {
+    python: [/^def\s+([A-Za-z_]\w*)\s*\(/m],
+    javascript: [
+      /^\s*(?:async\s+)?function\s+([A-Za-z_$][\w$]*)\s*\(/m,
+      /^\s*(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/m,
+    ],
+    r: [/^\s*([A-Za-z.][\w.]*)\s*(?:<-|=)\s*function\s*\(/m],
+  };
+
+  for (const pattern of patterns[language] || []) {
+    const match = code.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// Normalize printed values so Python/JS/R formatting differences don't fail a correct answer
+function normalizeOutputValue(value) {
+  let text = String(value ?? '').trim();
+  if (/^(['"]).*\1$/s.test(text)) text = text.slice(1, -1);
+  return text
+    .replace(/'/g, '"')
+    .replace(/\(/g, '[')
+    .replace(/\)/g, ']')
+    .replace(/\bTrue\b|\bTRUE\b/g, 'true')
+    .replace(/\bFalse\b|\bFALSE\b/g, 'false')
+    .replace(/\bNone\b|\bNULL\b|\bundefined\b/g, 'null')
+    .replace(/\s+/g, '');
+}
+
+function valuesMatch(actual, expected) {
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    return Math.abs(actual - expected) <= 1e-6 * Math.max(1, Math.abs(expected));
+  }
+  if (Array.isArray(actual) && Array.isArray(expected)) {
+    return actual.length === expected.length && actual.every((item, i) => valuesMatch(item, expected[i]));
+  }
+  if (actual && expected && typeof actual === 'object' && typeof expected === 'object') {
+    const keys = Object.keys(expected);
+    return keys.length === Object.keys(actual).length && keys.every(key => valuesMatch(actual[key], expected[key]));
+  }
+  return actual === expected;
+}
+
+function outputsMatch(actualOutput, expectedOutput) {
+  const actual = normalizeOutputValue(actualOutput);
+  const expected = normalizeOutputValue(expectedOutput);
+  if (actual === expected) return true;
+
+  // Fall back to structural comparison with float tolerance (e.g. 0.30000000000000004 vs 0.3)
+  try {
+    return valuesMatch(JSON.parse(actual), JSON.parse(expected));
+  } catch (parseError) {
+    return false;
+  }
+}
+
+const truncateOutput = (text) => text.length > SANDBOX_LIMITS.maxOutputBytes
+  ? text.slice(0, SANDBOX_LIMITS.maxOutputBytes) + '\n... (output truncated)'
+  : text;
+
+// Spawn one sandboxed run: ulimits via sh, optional network namespace, killed as a group on timeout
+function spawnSandboxed(runtime, dir, marker, entry) {
+  return new Promise((resolve) => {
+    const limits = [
+      `ulimit -t ${SANDBOX_LIMITS.cpuSeconds}`,
+      `ulimit -f ${Math.ceil(SANDBOX_LIMITS.maxFileBytes / 512)}`,
+      runtime.limitMemory ? `ulimit -v ${SANDBOX_LIMITS.memoryMb * 1024}` : null,
+      'exec "$@"',
+    ].filter(Boolean).join('; ');
+
+    const command = [runtime.command, ...runtime.args(dir), marker, entry || ''];
+    const shellArgs = ['-c', limits, 'sandbox', ...command];
+    const [program, args] = canIsolateNetwork()
+      ? ['unshare', ['--net', '--map-root-user', '/bin/sh', ...shellArgs]]
+      : ['/bin/sh', shellArgs];
+
+    const startedAt = Date.now();
+    const child = spawn(program, args, {
+      cwd: dir,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: {
+        PATH: process.env.PATH,
+        HOME: dir,
+        TMPDIR: dir,
+        LANG: 'C.UTF-8',
+        PYTHONDONTWRITEBYTECODE: '1',
+        PYENV_ROOT: process.env.PYENV_ROOT,
+      },
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    child.stdout.on('data', (chunk) => { if (stdout.length < SANDBOX_LIMITS.maxOutputBytes * 2) stdout += chunk; });
+    child.stderr.on('data', (chunk) => { if (stderr.length < SANDBOX_LIMITS.maxOutputBytes * 2) stderr += chunk; });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (killError) {
+        child.kill('SIGKILL');
+      }
+    }, SANDBOX_LIMITS.timeoutMs);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ stdout, stderr: error.message, exitCode: null, timedOut, timeMs: Date.now() - startedAt });
+    });
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      resolve({ stdout, stderr, exitCode, signal, timedOut, timeMs: Date.now() - startedAt });
+    });
+  });
+}
+
+// Split the runner's result line out of the solution's own stdout
+function parseSandboxOutput(stdout, marker) {
+  const markerIndex = stdout.lastIndexOf(marker);
+  if (markerIndex === -1) return { output: stdout, result: null };
+
+  const resultLine = stdout.slice(markerIndex + marker.length).split('\n')[0];
+  let result = null;
+  try {
+    result = JSON.parse(resultLine);
+  } catch (parseError) {
+    result = null;
+  }
+  return { output: stdout.slice(0, markerIndex).replace(/\n$/, ''), result };
+}
+
+/**
+ * Run submitted code against test cases in a resource-limited sandbox.
+ * Each test case gets its own process so one crash or infinite loop can't affect the others.
+ * Returns { available: false, reason } when the language's interpreter isn't installed on this host,
+ * or when the host can't cut the code off from the network (see allowsUnisolated).
+ */
+async function runCodeInSandbox(code, language = 'python', testCases = []) {
+  const lang = normalizeSandboxLanguage(language);
+  const runtime = SANDBOX_RUNTIMES[lang];
+
+  if (!runtime) {
+    return { available: false, language: lang, reason: `Unsupported language: ${language}` };
+  }
+  if (runtime.command !== process.execPath && !isCommandAvailable(runtime.command)) {
+    return { available: false, language: lang, reason: `${runtime.command} is not installed on the server` };
+  }
+  if (!canIsolateNetwork() && !allowsUnisolated()) {
+    return { available: false, language: lang, reason: 'The server cannot run code without network access (no network namespaces)' };
+  }
+
+  // Without test cases, run the whole file as a script and report what it prints
+  const hasTests = Array.isArray(testCases) && testCases.length > 0;
+  const entry = hasTests ? detectEntryFunction(code, lang) : null;
+  const cases = hasTests
+    ? testCases.slice(0, SANDBOX_LIMITS.maxTestCases)
+    : [{ input: '', expectedOutput: null }];
+  const dir = await fs.promises.realpath(await fs.promises.mkdtemp(path.join(os.tmpdir(), 'neural-sandbox-')));
+
+  try {
+    await fs.promises.writeFile(path.join(dir, runtime.solutionFile), code);
+    await fs.promises.writeFile(path.join(dir, runtime.runnerFile), runtime.runner);
+
+    const tests = [];
+    for (const testCase of cases) {
+      const marker = `__SANDBOX_RESULT_${crypto.randomBytes(8).toString('hex')}__`;
+      await fs.promises.writeFile(path.join(dir, 'input.txt'), String(testCase.input ?? ''));
+
+      const run = await spawnSandboxed(runtime, dir, marker, entry);
+      const { output, result } = parseSandboxOutput(run.stdout, marker);
+
+      let error = null;
+      if (run.timedOut) error = `Time limit exceeded (${SANDBOX_LIMITS.timeoutMs / 1000}s)`;
+      else if (result && !result.ok) error = result.error;
+      else if (!result) error = run.signal ? `Process killed (${run.signal})` : 'Program exited before producing a result';
+
+      const actualOutput = result && result.ok ? result.value : null;
+      const hasExpected = testCase.expectedOutput !== null && testCase.expectedOutput !== undefined;
+
+      tests.push({
+        input: testCase.input,
+        expectedOutput: testCase.expectedOutput,
+        actualOutput,
+        passed: hasExpected ? !error && outputsMatch(actualOutput, testCase.expectedOutput) : null,
+        stdout: truncateOutput(output),
+        stderr: truncateOutput(run.stderr),
+        error,
+        timedOut: run.timedOut,
+        timeMs: run.timeMs,
+      });
+    }
+
+    const graded = tests.filter(t => t.passed !== null);
+    return {
+      available: true,
+      language: lang,
+      entry,
+      networkIsolated: canIsolateNetwork(),
+      tests,
+      passed: graded.filter(t => t.passed).length,
+      total: graded.length,
+      truncatedTestCases: Math.max(0, (testCases?.length || 0) - SANDBOX_LIMITS.maxTestCases),
+    };
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Format sandbox results for the evaluation prompt
+function formatExecutionForPrompt(execution) {
+  return execution.tests.map((t, i) => {
+    const status = t.passed ? 'PASSED' : 'FAILED';
+    const detail = t.error ? `Error: ${t.error}` : `Actual: ${t.actualOutput}`;
+    return `Test ${i + 1}: ${status} | Input: ${t.input} | Expected: ${t.expectedOutput} | ${detail} (${t.timeMs}ms)`;
+  }).join('\n');
+}
+
+// Score derived from real test results (same scale as AI evaluation)
+function scoreFromExecution(execution) {
+  if (execution.passed === execution.total) return { result: 'correct', score: 1 };
+  if (execution.passed > 0) return { result: 'partial', score: 0.5 };
+  return { result: 'incorrect', score: 0 };
+}
+
+module.exports = {
+  formatExecutionForPrompt,
+  isEmptyOrStarterCode,
+  runCodeInSandbox,
+  scoreFromExecution,
+};
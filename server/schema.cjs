@@ -0,0 +1,92 @@
+/**
+ * SCHEMA VALIDATION
+ *
+ * Small validator for the subset of JSON Schema the server needs to check
+ * model output and request bodies: type, properties, required, items, enum,
+ * minItems, maxItems, minLength, pattern, minimum, maximum. Other keywords
+ * (description, ...) are ignored, so the same schemas document the API.
+ */
+
+// ============================================
+// TYPES
+// ============================================
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// "number" accepts integers too
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema - JSON Schema subset
+ * @param {*} value - Value to check
+ * @param {string} path - Location used in messages (defaults to the root, "$")
+ * @returns {Array<string>} Problems found, empty when the value is valid
+ */
+const validate = (schema, value, path = '$') => {
+  if (!schema) return [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${path} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern != null && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} should match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+    });
+  }
+
+  return errors;
+};
+
+module.exports = { validate };
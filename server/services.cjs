@@ -0,0 +1,37 @@
+/**
+ * SERVICES
+ *
+ * The instances every route shares, created once from the environment:
+ * - llm: the LLM layer (server/llm), charging token usage to the caller's budget
+ * - responseCache: cached model answers (server/cache)
+ * - embedder: text -> vectors for semantic search (server/embeddings)
+ * - push: Web Push sender and device subscriptions (server/push)
+ *
+ * Load .env before requiring this file - the providers and cache store are
+ * picked when it's first required.
+ */
+
+const { createLlm, createProvider } = require('./llm/index.cjs');
+const { resolveTask } = require('./llm/models.cjs');
+const { createResponseCache, createStore } = require('./cache/index.cjs');
+const { createEmbedder, createEmbeddingProvider } = require('./embeddings/index.cjs');
+const { createPush } = require('./push/index.cjs');
+const { recordModelUsage, usageDb } = require('./budgets.cjs');
+
+// Every model call goes through the LLM layer, which reports usage back to the budgets
+const llm = createLlm({ provider: createProvider(), onUsage: recordModelUsage });
+
+const responseCache = createResponseCache({
+  store: createStore({ supabase: usageDb }),
+  modelFor: (endpoint) => resolveTask(endpoint).model,
+  // Mock fixtures must never be served as real answers
+  namespace: llm.provider.name,
+});
+
+// Embeddings run locally - no budget to charge
+const embedder = createEmbedder({ provider: createEmbeddingProvider() });
+
+// Subscriptions live next to the usage rows (service role); sender is null without VAPID keys
+const push = createPush({ supabase: usageDb });
+
+module.exports = { embedder, llm, push, responseCache };
@@ -0,0 +1,532 @@
+/**
+ * IDEA QUERY LANGUAGE
+ *
+ * The search syntax of the Capture tab, shared by the app (filtering, smart
+ * lists, autocomplete) and the server (POST /api/organize-ideas with a query),
+ * so a saved search selects the same ideas on both sides. Plain ES module with
+ * no dependencies: Vite bundles it, server code loads it with import().
+ *
+ *   tag:uni type:timetable due:<2026-11-01 priority:high -tag:someday created:last-week
+ *
+ * SYNTAX:
+ * - Words and "quoted phrases" match content, tags or context
+ * - Terms next to each other must all match (AND is optional); OR between
+ *   terms matches either; NOT or a leading - negates; ( ) groups
+ * - OR, AND and NOT are only operators in capitals - "this or that" is three words
+ *
+ * FIELDS:
+ * - tag:uni                 has the tag (tag:"two words" for spaces)
+ * - type:timetable          classification: general, routine, checklist, timetable (event)
+ * - priority:high           low, medium or high; comparisons like priority:>=medium
+ * - due:<2026-11-01         due date; =, <, <=, >, >= against a date or a period
+ *                           (today, tomorrow, this-week, next-week, this-month, ...),
+ *                           plus due:overdue and due:none
+ * - created:last-week       capture date, same comparisons as due
+ * - has:due / has:context / has:tags
+ * - context:library         context contains the text
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const QUERY_FIELDS = {
+  tag: 'Has this tag',
+  type: 'Classification: general, routine, checklist or timetable',
+  priority: 'Priority: low, medium or high',
+  due: 'Due date: today, this-week, overdue, none, <2026-11-01 ...',
+  created: 'Captured: today, last-week, this-month, >=2026-10-01 ...',
+  has: 'Has a due date, context or tags',
+  context: 'Context contains text',
+};
+
+const TYPES = ['general', 'routine', 'checklist', 'timetable'];
+const TYPE_ALIASES = { event: 'timetable', task: 'checklist', idea: 'general' };
+const PRIORITIES = ['low', 'medium', 'high'];
+const HAS_VALUES = ['due', 'context', 'tags'];
+
+// Periods relative to today, for due: and created:
+const PERIODS = [
+  'today', 'yesterday', 'tomorrow',
+  'this-week', 'last-week', 'next-week',
+  'this-month', 'last-month', 'next-month',
+];
+
+const COMPARISONS = ['<=', '>=', '<', '>', '='];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// TOKENIZER
+// ============================================
+
+// Reads a "quoted" string starting at index; returns { value, end } (end after the closing quote)
+const readQuoted = (input, index) => {
+  const close = input.indexOf('"', index + 1);
+  const end = close === -1 ? input.length : close + 1;
+  return { value: input.slice(index + 1, close === -1 ? input.length : close), end, closed: close !== -1 };
+};
+
+/**
+ * Split a query into tokens: ( ) OR AND NOT - words, phrases and field:value terms
+ * @param {string} input
+ * @returns {Array<Object>} { kind, value, field?, start, end }
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    const char = input[index];
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    const start = index;
+    if (char === '(' || char === ')') {
+      tokens.push({ kind: char, start, end: index + 1 });
+      index += 1;
+      continue;
+    }
+
+    // "-" right before a term or group negates it; on its own it's just a word
+    if (char === '-' && index + 1 < input.length && !/\s/.test(input[index + 1])) {
+      tokens.push({ kind: 'NOT', start, end: index + 1 });
+      index += 1;
+      continue;
+    }
+
+    if (char === '"') {
+      const { value, end, closed } = readQuoted(input, index);
+      tokens.push({ kind: 'text', value, start, end, unclosed: !closed });
+      index = end;
+      continue;
+    }
+
+    // A word, or field:value where the value may be quoted
+    let end = index;
+    while (end < input.length && !/[\s()"]/.test(input[end])) end += 1;
+    let word = input.slice(index, end);
+    const field = /^([a-z]+):/i.exec(word);
+
+    if (field && Object.hasOwn(QUERY_FIELDS, field[1].toLowerCase())) {
+      let value = word.slice(field[0].length);
+      let unclosed = false;
+      if (value === '' && input[end] === '"') {
+        const quoted = readQuoted(input, end);
+        ({ value } = quoted);
+        unclosed = !quoted.closed;
+        end = quoted.end;
+      }
+      tokens.push({ kind: 'field', field: field[1].toLowerCase(), value, start, end, unclosed });
+    } else if (['OR', 'AND', 'NOT'].includes(word)) {
+      tokens.push({ kind: word, start, end });
+    } else {
+      // Quotes inside a word (it"s) are kept as they are
+      while (end < input.length && !/[\s()]/.test(input[end])) end += 1;
+      word = input.slice(index, end);
+      tokens.push({ kind: 'text', value: word, start, end });
+    }
+    index = end;
+  }
+
+  return tokens;
+};
+
+// ============================================
+// FIELD VALUES
+// ============================================
+
+// "<=2026-11-01" -> { op: '<=', value: '2026-11-01' }
+const splitComparison = (raw) => {
+  const op = COMPARISONS.find(candidate => raw.startsWith(candidate));
+  return op ? { op, value: raw.slice(op.length) } : { op: '=', value: raw };
+};
+
+/**
+ * Check and normalize a field term's value
+ * @returns {Object} { term } or { error }
+ */
+const parseFieldValue = (field, raw) => {
+  const lower = raw.trim().toLowerCase();
+  if (!lower) return { error: `${field}: needs a value` };
+
+  if (field === 'tag' || field === 'context') return { term: { field, op: '=', value: lower } };
+
+  if (field === 'type') {
+    const value = TYPE_ALIASES[lower] || lower;
+    if (!TYPES.includes(value)) return { error: `type:${raw} - expected ${TYPES.join(', ')}` };
+    return { term: { field, op: '=', value } };
+  }
+
+  if (field === 'has') {
+    if (!HAS_VALUES.includes(lower)) return { error: `has:${raw} - expected ${HAS_VALUES.join(', ')}` };
+    return { term: { field, op: '=', value: lower } };
+  }
+
+  const { op, value } = splitComparison(lower);
+
+  if (field === 'priority') {
+    if (!PRIORITIES.includes(value)) return { error: `priority:${raw} - expected ${PRIORITIES.join(', ')}` };
+    return { term: { field, op, value } };
+  }
+
+  // due: and created:
+  if (field === 'due' && ['none', 'overdue'].includes(value) && op === '=') {
+    return { term: { field, op, value } };
+  }
+  if (!DATE_PATTERN.test(value) && !PERIODS.includes(value)) {
+    return { error: `${field}:${raw} - expected a date (2026-11-01) or ${PERIODS.join(', ')}` };
+  }
+  if (DATE_PATTERN.test(value) && Number.isNaN(parseDay(value).getTime())) {
+    return { error: `${field}:${raw} - not a real date` };
+  }
+  return { term: { field, op, value } };
+};
+
+// ============================================
+// PARSER
+// ============================================
+
+/**
+ * Parse a query. Never throws: problems are collected with their position so
+ * the search box can point at them, and whatever parsed still works.
+ * @param {string} input
+ * @returns {Object} { ast, errors: [{ message, start, end }], text }
+ *   ast - null for an empty query (matches everything); text - the plain
+ *   words and phrases that aren't negated, for semantic search
+ */
+export const parseQuery = (input = '') => {
+  const tokens = tokenize(String(input));
+  const errors = [];
+  const textParts = [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const error = (message, token) => errors.push({
+    message,
+    start: token ? token.start : input.length,
+    end: token ? token.end : input.length,
+  });
+
+  const combine = (type, children) => (children.length === 1 ? children[0] : { type, children });
+
+  // primary := ( or ) | term
+  const parsePrimary = (negated) => {
+    const token = peek();
+    if (!token) return null;
+
+    if (token.kind === '(') {
+      position += 1;
+      const group = parseOr(negated);
+      if (peek()?.kind === ')') position += 1;
+      else error('Missing )', token);
+      return group;
+    }
+
+    if (token.kind === 'field' || token.kind === 'text') {
+      position += 1;
+      if (token.unclosed) error('Missing closing quote', token);
+      if (token.kind === 'text') {
+        if (!token.value) return null;
+        if (!negated) textParts.push(token.value);
+        return { type: 'text', value: token.value.toLowerCase() };
+      }
+      const parsed = parseFieldValue(token.field, token.value);
+      if (parsed.error) {
+        error(parsed.error, token);
+        return null;
+      }
+      return { type: 'field', ...parsed.term };
+    }
+
+    return null;
+  };
+
+  // unary := NOT unary | primary
+  const parseUnary = (negated) => {
+    const token = peek();
+    if (token?.kind === 'NOT') {
+      position += 1;
+      const child = parseUnary(!negated);
+      if (!child) {
+        error('Nothing to negate after NOT', token);
+        return null;
+      }
+      return { type: 'not', child };
+    }
+    return parsePrimary(negated);
+  };
+
+  // and := unary (AND? unary)*
+  const parseAnd = (negated) => {
+    const children = [];
+    while (peek() && !['OR', ')'].includes(peek().kind)) {
+      const token = peek();
+      if (token.kind === 'AND') {
+        position += 1;
+        if (children.length === 0 || !peek() || ['OR', 'AND', ')'].includes(peek().kind)) {
+          error('AND needs a term on both sides', token);
+        }
+        continue;
+      }
+      const node = parseUnary(negated);
+      if (node) children.push(node);
+      else if (peek() === token) position += 1; // Nothing parsed - don't stall on it
+    }
+    return children.length > 0 ? combine('and', children) : null;
+  };
+
+  // or := and (OR and)*
+  const parseOr = (negated) => {
+    const children = [];
+    const first = parseAnd(negated);
+    if (first) children.push(first);
+    while (peek()?.kind === 'OR') {
+      const token = peek();
+      position += 1;
+      const next = parseAnd(negated);
+      if (!next || children.length === 0) error('OR needs a term on both sides', token);
+      if (next) children.push(next);
+    }
+    return children.length > 0 ? combine('or', children) : null;
+  };
+
+  const clauses = [];
+  while (position < tokens.length) {
+    const node = parseOr(false);
+    if (node) clauses.push(node);
+    if (peek()?.kind === ')') {
+      error('Unmatched )', peek());
+      position += 1;
+    }
+  }
+
+  return {
+    ast: clauses.length > 0 ? combine('and', clauses) : null,
+    errors,
+    text: textParts.join(' '),
+  };
+};
+
+/**
+ * Whether a query uses anything beyond plain words (fields, operators, groups)
+ * @param {Object|null} ast - From parseQuery()
+ * @returns {boolean}
+ */
+export const isStructuredQuery = (ast) => {
+  if (!ast) return false;
+  if (ast.type === 'text') return false;
+  if (ast.type === 'and') return ast.children.some(isStructuredQuery);
+  return true;
+};
+
+// ============================================
+// DATES
+// ============================================
+
+// "2026-11-01" is that day at local midnight (not UTC, which would shift it in the Americas)
+function parseDay(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 ? date : new Date(NaN);
+}
+
+// Due dates are date inputs ("2026-11-01"); capture times are ISO timestamps
+const toDate = (value) => {
+  if (!value) return null;
+  const date = typeof value === 'string' && DATE_PATTERN.test(value) ? parseDay(value) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * [start, end) of a period or a single day, relative to now. Weeks start on Monday.
+ * @returns {Array<Date>}
+ */
+const resolvePeriod = (value, now) => {
+  if (DATE_PATTERN.test(value)) {
+    const day = parseDay(value);
+    return [day, addDays(day, 1)];
+  }
+
+  const today = startOfDay(now);
+  const monday = addDays(today, -((today.getDay() + 6) % 7));
+  const month = (offset) => [
+    new Date(today.getFullYear(), today.getMonth() + offset, 1),
+    new Date(today.getFullYear(), today.getMonth() + offset + 1, 1),
+  ];
+
+  switch (value) {
+    case 'yesterday': return [addDays(today, -1), today];
+    case 'tomorrow': return [addDays(today, 1), addDays(today, 2)];
+    case 'this-week': return [monday, addDays(monday, 7)];
+    case 'last-week': return [addDays(monday, -7), monday];
+    case 'next-week': return [addDays(monday, 7), addDays(monday, 14)];
+    case 'this-month': return month(0);
+    case 'last-month': return month(-1);
+    case 'next-month': return month(1);
+    default: return [today, addDays(today, 1)];
+  }
+};
+
+const compareDate = (date, op, value, now) => {
+  if (!date) return false;
+  const [start, end] = resolvePeriod(value, now);
+  switch (op) {
+    case '<': return date < start;
+    case '<=': return date < end;
+    case '>': return date >= end;
+    case '>=': return date >= start;
+    default: return date >= start && date < end;
+  }
+};
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Plain words match content, tags or context (case-insensitive substring)
+ * @param {Object} idea
+ * @param {string} text - Lower-case
+ * @returns {boolean}
+ */
+export const ideaContainsText = (idea, text) => Boolean(
+  idea.content?.toLowerCase().includes(text)
+  || idea.tags?.some(tag => tag.toLowerCase().includes(text))
+  || idea.context?.toLowerCase().includes(text)
+);
+
+const matchesField = (term, idea, now) => {
+  const { field, op, value } = term;
+  switch (field) {
+    case 'tag':
+      return (idea.tags || []).some(tag => tag.toLowerCase() === value);
+    case 'context':
+      return Boolean(idea.context?.toLowerCase().includes(value));
+    case 'type':
+      return (idea.classificationType || 'general') === value;
+    case 'has':
+      if (value === 'due') return Boolean(idea.dueDate);
+      if (value === 'context') return Boolean(idea.context?.trim());
+      return (idea.tags || []).length > 0;
+    case 'priority': {
+      const difference = PRIORITIES.indexOf(idea.priority || 'medium') - PRIORITIES.indexOf(value);
+      if (op === '<') return difference < 0;
+      if (op === '<=') return difference <= 0;
+      if (op === '>') return difference > 0;
+      if (op === '>=') return difference >= 0;
+      return difference === 0;
+    }
+    case 'due':
+      if (value === 'none') return !idea.dueDate;
+      if (value === 'overdue') {
+        const due = toDate(idea.dueDate);
+        return Boolean(due) && due < startOfDay(now);
+      }
+      return compareDate(toDate(idea.dueDate), op, value, now);
+    case 'created':
+      return compareDate(toDate(idea.timestamp), op, value, now);
+    default:
+      return false;
+  }
+};
+
+/**
+ * @param {Object|null} ast - From parseQuery()
+ * @param {Object} idea - { content, tags, context, dueDate, timestamp, classificationType, priority }
+ * @param {Object} options
+ * @param {Date} options.now - What "today" means (default: now)
+ * @param {Function} options.matchText - (idea, text) => boolean, to widen plain-word matches
+ *   (e.g. with semantic search results); default ideaContainsText
+ * @returns {boolean}
+ */
+export const matchesQuery = (ast, idea, { now = new Date(), matchText = ideaContainsText } = {}) => {
+  const visit = (node) => {
+    switch (node.type) {
+      case 'and': return node.children.every(visit);
+      case 'or': return node.children.some(visit);
+      case 'not': return !visit(node.child);
+      case 'text': return matchText(idea, node.value);
+      default: return matchesField(node, idea, now);
+    }
+  };
+  return ast ? visit(ast) : true;
+};
+
+/**
+ * Ideas matching a query string
+ * @param {Array<Object>} ideas
+ * @param {string} input - The query
+ * @param {Object} options - As for matchesQuery()
+ * @returns {Object} { ideas, errors } - errors from parseQuery(); the ideas are
+ *   filtered by whatever parsed
+ */
+export const filterIdeas = (ideas, input, options = {}) => {
+  const { ast, errors } = parseQuery(input);
+  return { ideas: ideas.filter(idea => matchesQuery(ast, idea, options)), errors };
+};
+
+// ============================================
+// AUTOCOMPLETE
+// ============================================
+
+const valuesFor = (field, tags) => {
+  switch (field) {
+    case 'tag': return tags.map(tag => ({ value: tag.includes(' ') ? `"${tag}"` : tag }));
+    case 'type': return TYPES.map(value => ({ value }));
+    case 'priority': return PRIORITIES.map(value => ({ value }));
+    case 'has': return HAS_VALUES.map(value => ({ value }));
+    case 'due': return ['today', 'tomorrow', 'this-week', 'next-week', 'overdue', 'none', '<today', '<=next-week']
+      .map(value => ({ value }));
+    case 'created': return ['today', 'yesterday', 'this-week', 'last-week', 'this-month', 'last-month', '>=last-week']
+      .map(value => ({ value }));
+    default: return [];
+  }
+};
+
+/**
+ * Completions for the term under the cursor
+ * @param {string} input - The query so far
+ * @param {number} cursor - Caret position
+ * @param {Object} options - { tags } - known tags, most used first
+ * @returns {Object} { start, end, suggestions: [{ value, label, description }] } -
+ *   accepting a suggestion replaces input.slice(start, end) with its value
+ */
+export const suggestQueryCompletions = (input, cursor = input.length, { tags = [] } = {}) => {
+  let start = cursor;
+  while (start > 0 && !/[\s(]/.test(input[start - 1])) start -= 1;
+  if (input[start] === '-') start += 1;
+  let end = cursor;
+  while (end < input.length && !/[\s()]/.test(input[end])) end += 1;
+
+  const word = input.slice(start, cursor);
+  const none = { start, end, suggestions: [] };
+  if (!word) return none;
+
+  const field = /^([a-z]+):(.*)$/i.exec(word);
+  if (field && Object.hasOwn(QUERY_FIELDS, field[1].toLowerCase())) {
+    const name = field[1].toLowerCase();
+    const typed = field[2].toLowerCase().replace(/^"/, '');
+    const suggestions = valuesFor(name, tags)
+      .filter(({ value }) => value.replace(/^"/, '').toLowerCase().startsWith(typed) && `${name}:${value}` !== word)
+      .slice(0, 8)
+      .map(({ value }) => ({ value: `${name}:${value}`, label: `${name}:${value}`, description: QUERY_FIELDS[name] }));
+    return { start, end, suggestions };
+  }
+
+  const lower = word.toLowerCase();
+  const suggestions = Object.entries(QUERY_FIELDS)
+    .filter(([name]) => name.startsWith(lower))
+    .map(([name, description]) => ({ value: `${name}:`, label: `${name}:`, description }));
+  ['OR', 'NOT'].forEach(operator => {
+    if (operator.startsWith(word) && operator !== word) {
+      suggestions.push({ value: operator, label: operator, description: operator === 'OR' ? 'Either side matches' : 'Excludes the next term' });
+    }
+  });
+  return { start, end, suggestions };
+};
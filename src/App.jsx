@@ -1,9 +1,12 @@
 import { useState, useMemo, useCallback, useRef, useEffect } from 'react';
 import { BrowserRouter, Routes, Route, Navigate, useNavigate } from 'react-router-dom';
 import { useLocalStorage } from './hooks/useLocalStorage';
+import { useLifeData } from './hooks/useLifeData';
+import { useReviewDueCount } from './hooks/useReviewDueCount';
+import { useNotificationScheduler } from './hooks/useNotificationScheduler';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { supabase } from './supabaseClient';
-import { dbArrayToJs } from './utils/ideaMapper';
+import { getLocalIdeas, syncIdeas, startIdeaSync, onSyncChange } from './utils/ideaSyncService';
 import Auth from './components/Auth';
 import ForgotPassword from './components/ForgotPassword';
 import UpdatePassword from './components/UpdatePassword';
@@ -16,6 +19,8 @@ import PlanningAssistant from './components/PlanningAssistant';
 import RoutineGenerator from './components/RoutineGenerator';
 import Learning from './components/Learning';
 import IconCustomizer, { ICONS, DEFAULT_THEME } from './components/IconCustomizer';
+import UpdatePrompt from './components/UpdatePrompt';
+import BackupManager from './components/BackupManager';
 import {
   Lightbulb,
   CheckCircle2,
@@ -27,6 +32,7 @@ import {
   Compass,
   Calendar,
   LogOut,
+  DatabaseBackup,
   ChevronDown,
   BookOpen,
 } from 'lucide-react';
@@ -35,7 +41,7 @@ import { getTodayString } from './utils/dateUtils';
 // Grouped navigation structure
 const NAV_ITEMS = [
   { id: 'capture', name: 'Capture', icon: Lightbulb, type: 'single' },
-  { id: 'learn', name: 'Learn', icon: BookOpen, type: 'single' },
+  { id: 'learn', name: 'Learn', icon: BookOpen, type: 'single', badge: 'reviewsDue' },
   { 
     id: 'plan-group', 
     name: 'Plan', 
@@ -162,6 +168,11 @@ function Dashboard() {
   const [activeTab, setActiveTab] = useState('capture');
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [showIconCustomizer, setShowIconCustomizer] = useState(false);
+  const [showBackupManager, setShowBackupManager] = useState(false);
+
+  // Counts shown next to NAV_ITEMS entries that have a `badge`
+  const reviewsDueCount = useReviewDueCount();
+  const navBadges = { reviewsDue: reviewsDueCount };
 
   const handleLogout = async () => {
     try {
@@ -179,16 +190,19 @@ function Dashboard() {
     navigate('/auth');
   };
 
-  // State with localStorage persistence (logs still use localStorage)
+  // Ideas sync through ideaSyncService; logs, reviews and checklist through useLifeData (Supabase + offline copy)
   const [ideas, setIdeas] = useState([]);
-  const [logs, setLogs] = useLocalStorage('neural-logs', []);
+  const [logs, setLogs] = useLifeData('neural-logs', []);
   const [ideasLoading, setIdeasLoading] = useState(true);
   const [ideasError, setIdeasError] = useState(null);
-  const [reviews, setReviews] = useLocalStorage('neural-reviews', []);
-  const [checklist, setChecklist] = useLocalStorage('neural-checklist', {
+  const [reviews, setReviews] = useLifeData('neural-reviews', []);
+  const [checklist, setChecklist] = useLifeData('neural-checklist', {
     date: getTodayString(),
     items: [],
   });
+  // Shared with the notification scheduler: SmartReminders' history and the calendar's events
+  const [reminderHistory, setReminderHistory] = useLifeData('neural-reminder-history', []);
+  const [calendarEvents, setCalendarEvents] = useLifeData('neural-calendar-events', []);
   const [iconTheme, setIconTheme] = useLocalStorage('neural-icon-theme', DEFAULT_THEME);
 
   // Routine generation state (persists across tab switches)
@@ -223,6 +237,21 @@ function Dashboard() {
     plans: []
   });
 
+  // Duration routine DailyChecklist asked QuickLogger to time (cleared once the timer starts)
+  const [routineTimer, setRoutineTimer] = useState(null);
+
+  // Reminder notifications run on every tab (settings panel in SmartReminders)
+  const notifications = useNotificationScheduler({
+    ideas,
+    logs,
+    reviews,
+    checklist,
+    setChecklist,
+    events: calendarEvents,
+    reminderHistory,
+    setReminderHistory,
+  });
+
   // Noise Generator state (persists across tab switches)
   const audioContextRef = useRef(null);
   const [activeSession, setActiveSession] = useState(null);
@@ -249,21 +278,20 @@ function Dashboard() {
         return;
       }
 
-      // Regular user: fetch from Supabase
+      // Regular user: show the IndexedDB copy immediately, then sync with Supabase
       try {
         setIdeasLoading(true);
         setIdeasError(null);
 
-        const { data, error } = await supabase
-          .from('ideas')
-          .select('*')
-          .order('created_at', { ascending: false });
-
-        if (error) throw error;
+        const local = await getLocalIdeas(user.id);
+        if (local.success && local.data.length > 0) {
+          setIdeas(local.data);
+          setIdeasLoading(false);
+        }
 
-        // Convert database rows to JavaScript objects
-        const jsIdeas = dbArrayToJs(data);
-        setIdeas(jsIdeas);
+        const result = await syncIdeas(user.id);
+        if (!result.success) throw new Error(result.error);
+        setIdeas(result.data);
       } catch (error) {
         console.error('Error fetching ideas:', error);
         setIdeasError(error.message);
@@ -275,6 +303,24 @@ function Dashboard() {
     fetchIdeas();
   }, [user?.id, user?.isGuest]);
 
+  // Keep the idea outbox replaying and apply sync status changes to state
+  useEffect(() => {
+    if (!user?.id || user.isGuest) return;
+
+    const stopSync = startIdeaSync(user.id);
+    const unsubscribe = onSyncChange(({ updated, removed }) => {
+      const updatedById = new Map(updated.map(idea => [idea.id, idea]));
+      setIdeas(prev => prev
+        .filter(idea => !removed.includes(idea.id))
+        .map(idea => (updatedById.has(idea.id) ? { ...idea, ...updatedById.get(idea.id) } : idea)));
+    });
+
+    return () => {
+      stopSync();
+      unsubscribe();
+    };
+  }, [user?.id, user?.isGuest]);
+
   // Sync guest ideas to localStorage whenever they change
   useEffect(() => {
     if (user?.isGuest && ideas.length > 0) {
@@ -346,9 +392,27 @@ function Dashboard() {
           />
         );
       case 'checklist':
-        return <DailyChecklist checklist={checklist} setChecklist={setChecklist} />;
+        return (
+          <DailyChecklist
+            checklist={checklist}
+            setChecklist={setChecklist}
+            ideas={ideas}
+            logs={logs}
+            onStartTimer={(routine) => {
+              setRoutineTimer(routine);
+              setActiveTab('logger');
+            }}
+          />
+        );
       case 'logger':
-        return <QuickLogger logs={logs} setLogs={setLogs} />;
+        return (
+          <QuickLogger
+            logs={logs}
+            setLogs={setLogs}
+            routineTimer={routineTimer}
+            onRoutineTimerUsed={() => setRoutineTimer(null)}
+          />
+        );
       case 'plan':
         return (
           <PlanningAssistant
@@ -356,6 +420,9 @@ function Dashboard() {
             logs={logs}
             checklist={checklist}
             reviews={reviews}
+            reminderHistory={reminderHistory}
+            setReminderHistory={setReminderHistory}
+            notifications={notifications}
             isAnalyzing={isAnalyzing}
             setIsAnalyzing={setIsAnalyzing}
             plan={plan}
@@ -391,6 +458,8 @@ function Dashboard() {
             setSmartRoutineStates={setSmartRoutineStates}
             generationHistory={generationHistory}
             setGenerationHistory={setGenerationHistory}
+            calendarEvents={calendarEvents}
+            setCalendarEvents={setCalendarEvents}
           />
         );
       case 'review':
@@ -423,8 +492,14 @@ function Dashboard() {
     setLogs,
     checklist,
     setChecklist,
+    routineTimer,
     reviews,
     setReviews,
+    reminderHistory,
+    setReminderHistory,
+    calendarEvents,
+    setCalendarEvents,
+    notifications,
     isOrganizing,
     setIsOrganizing,
     organizedData,
@@ -530,6 +605,11 @@ function Dashboard() {
                   >
                     <Icon className="w-4 h-4" />
                     <span className="hidden lg:inline">{item.name}</span>
+                    {navBadges[item.badge] > 0 && (
+                      <span className="min-w-[1.25rem] px-1.5 py-0.5 rounded-full bg-orange-500 text-white text-xs leading-none text-center" title={`${navBadges[item.badge]} flashcards to review`}>
+                        {navBadges[item.badge] > 99 ? '99+' : navBadges[item.badge]}
+                      </span>
+                    )}
                     {isProcessing && (
                       <span className="absolute -top-1 -right-1 w-3 h-3 bg-neural-purple rounded-full pulse-glow">
                         <span className="absolute inset-0 w-3 h-3 bg-neural-purple rounded-full animate-ping"></span>
@@ -538,6 +618,13 @@ function Dashboard() {
                   </button>
                 );
               })}
+              <button
+                onClick={() => setShowBackupManager(true)}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-all text-gray-400 hover:text-gray-200 hover:bg-gray-800"
+                title="Backup & Restore"
+              >
+                <DatabaseBackup className="w-4 h-4" />
+              </button>
               <button
                 onClick={handleLogout}
                 className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-all text-gray-400 hover:text-red-400 hover:bg-gray-800"
@@ -618,6 +705,11 @@ function Dashboard() {
                     >
                       <Icon className="w-5 h-5" />
                       <span>{item.name}</span>
+                      {navBadges[item.badge] > 0 && (
+                        <span className="ml-auto min-w-[1.25rem] px-1.5 py-0.5 rounded-full bg-orange-500 text-white text-xs leading-none text-center">
+                          {navBadges[item.badge] > 99 ? '99+' : navBadges[item.badge]}
+                        </span>
+                      )}
                       {isProcessing && (
                         <span className="ml-auto w-2 h-2 bg-neural-purple rounded-full pulse-glow">
                           <span className="absolute w-2 h-2 bg-neural-purple rounded-full animate-ping"></span>
@@ -626,6 +718,16 @@ function Dashboard() {
                     </button>
                   );
                 })}
+                <button
+                  onClick={() => {
+                    setShowBackupManager(true);
+                    setMobileMenuOpen(false);
+                  }}
+                  className="flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-all text-gray-400 hover:text-gray-200 hover:bg-gray-800"
+                >
+                  <DatabaseBackup className="w-5 h-5" />
+                  <span>Backup &amp; Restore</span>
+                </button>
                 <button
                   onClick={() => {
                     handleLogout();
@@ -711,6 +813,12 @@ function Dashboard() {
         theme={iconTheme}
         setTheme={setIconTheme}
       />
+
+      {/* Backup & Restore Modal */}
+      <BackupManager
+        isOpen={showBackupManager}
+        onClose={() => setShowBackupManager(false)}
+      />
     </div>
   );
 }
@@ -805,6 +913,9 @@ function App() {
           <Route path="/" element={<Navigate to="/dashboard" replace />} />
           <Route path="*" element={<Navigate to="/dashboard" replace />} />
         </Routes>
+
+        {/* New build / offline status */}
+        <UpdatePrompt />
       </AuthProvider>
     </BrowserRouter>
   );
@@ -0,0 +1,228 @@
+/**
+ * BACKUP MANAGER COMPONENT
+ *
+ * Purpose: Export everything in the account to one JSON file and import it back
+ *
+ * Features:
+ * - Download a versioned backup (guest mode or signed in)
+ * - Import preview: what would be added, updated, skipped or rejected
+ * - Nothing is written until the import is confirmed
+ * - Reloads the app afterwards so every view picks up the imported data
+ */
+
+import { useState, useRef } from 'react';
+import {
+  X,
+  DatabaseBackup,
+  Download,
+  Upload,
+  AlertTriangle,
+  CheckCircle2,
+  Loader2,
+} from 'lucide-react';
+import { downloadBackup, previewImport, applyImport } from '../utils/backupService';
+
+export default function BackupManager({ isOpen, onClose }) {
+  const [status, setStatus] = useState(null); // 'exporting' | 'previewing' | 'importing'
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+  const [plan, setPlan] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const fileInputRef = useRef(null);
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setPlan(null);
+    setFileName('');
+    setMessage(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleClose = () => {
+    if (status === 'importing') return;
+    reset();
+    onClose();
+  };
+
+  const handleExport = async () => {
+    setStatus('exporting');
+    setMessage(null);
+    const result = await downloadBackup();
+    setStatus(null);
+
+    if (result.success) {
+      const total = Object.values(result.data.counts).reduce((sum, count) => sum + count, 0);
+      setMessage({ type: 'success', text: `Saved ${total} records to ${result.data.fileName}` });
+    } else {
+      setMessage({ type: 'error', text: `Export failed: ${result.error}` });
+    }
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setPlan(null);
+    setMessage(null);
+    setFileName(file.name);
+    setStatus('previewing');
+
+    const result = await previewImport(await file.text());
+    setStatus(null);
+
+    if (result.success) {
+      setPlan(result.data);
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+  };
+
+  const handleImport = async () => {
+    setStatus('importing');
+    setMessage(null);
+    const result = await applyImport(plan);
+
+    if (result.success) {
+      setMessage({ type: 'success', text: 'Import complete - reloading...' });
+      setTimeout(() => window.location.reload(), 800);
+    } else {
+      setStatus(null);
+      setMessage({ type: 'error', text: `Import failed: ${result.error}` });
+    }
+  };
+
+  const busy = status !== null;
+  const totalInvalid = plan ? plan.summary.reduce((sum, s) => sum + s.invalid, 0) : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-neural-dark border border-neural-purple rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-neural-dark border-b border-gray-800 p-6 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <DatabaseBackup className="w-6 h-6 text-neural-purple" />
+            <h2 className="text-2xl font-bold">Backup &amp; Restore</h2>
+          </div>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-6">
+          {/* Export */}
+          <div>
+            <h3 className="text-lg font-bold mb-2">Export</h3>
+            <p className="text-sm text-gray-400 mb-3">
+              Ideas, logs, reviews, routines, calendar, flashcards with review progress,
+              mastery, question history and library resources in one JSON file.
+            </p>
+            <button
+              onClick={handleExport}
+              disabled={busy}
+              className="neural-button flex items-center gap-2 disabled:opacity-50"
+            >
+              {status === 'exporting' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+              Download Backup
+            </button>
+          </div>
+
+          {/* Import */}
+          <div>
+            <h3 className="text-lg font-bold mb-2">Import</h3>
+            <p className="text-sm text-gray-400 mb-3">
+              Records already here are matched and kept up to date - nothing is duplicated or deleted.
+              You will see what changes before anything is saved.
+            </p>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFileSelected}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={busy}
+              className="neural-button-secondary flex items-center gap-2 disabled:opacity-50"
+            >
+              {status === 'previewing' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+              {fileName || 'Choose Backup File'}
+            </button>
+          </div>
+
+          {/* Preview */}
+          {plan && (
+            <div className="bg-neural-darker border border-gray-800 rounded-lg p-4">
+              <p className="text-sm text-gray-400 mb-3">
+                Backup from {plan.backup.exportedAt ? new Date(plan.backup.exportedAt).toLocaleString() : 'an unknown date'}
+                {plan.backup.source && ` (${plan.backup.source})`}, importing into your {plan.target === 'guest' ? 'guest data on this device' : 'account'}.
+              </p>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-500 text-left">
+                    <th className="font-medium pb-2">Section</th>
+                    <th className="font-medium pb-2 text-right">New</th>
+                    <th className="font-medium pb-2 text-right">Updated</th>
+                    <th className="font-medium pb-2 text-right">Unchanged</th>
+                    <th className="font-medium pb-2 text-right">Kept newer</th>
+                    <th className="font-medium pb-2 text-right">Invalid</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.summary.map(section => (
+                    <tr key={section.name} className="border-t border-gray-800">
+                      <td className="py-1.5 text-gray-200">{section.label}</td>
+                      <td className="py-1.5 text-right text-green-400">{section.added || '-'}</td>
+                      <td className="py-1.5 text-right text-blue-400">{section.updated || '-'}</td>
+                      <td className="py-1.5 text-right text-gray-500">{section.unchanged || '-'}</td>
+                      <td className="py-1.5 text-right text-gray-500">{section.skipped || '-'}</td>
+                      <td className="py-1.5 text-right text-red-400">{section.invalid || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {totalInvalid > 0 && (
+                <p className="flex items-center gap-2 text-xs text-amber-400 mt-3">
+                  <AlertTriangle className="w-4 h-4" />
+                  {totalInvalid} invalid records will be left out.
+                </p>
+              )}
+            </div>
+          )}
+
+          {message && (
+            <div className={`flex items-center gap-2 text-sm ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+              {message.type === 'error' ? <AlertTriangle className="w-4 h-4" /> : <CheckCircle2 className="w-4 h-4" />}
+              {message.text}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        {plan && (
+          <div className="sticky bottom-0 bg-neural-dark border-t border-gray-800 p-4 flex gap-3">
+            <button
+              onClick={reset}
+              disabled={busy}
+              className="neural-button-secondary disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={busy || plan.totalChanges === 0}
+              className="neural-button flex-1 flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {status === 'importing' && <Loader2 className="w-4 h-4 animate-spin" />}
+              {plan.totalChanges === 0 ? 'Nothing to import' : `Import ${plan.totalChanges} changes`}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
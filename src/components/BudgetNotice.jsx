@@ -0,0 +1,41 @@
+/**
+ * BUDGET NOTICE COMPONENT
+ *
+ * Purpose: Warns before an AI call that today's budget can't (or can barely) cover
+ *
+ * Renders nothing while the budget is comfortable. Pass the result of
+ * useApiBudget(route) so the caller can also disable its button when blocked.
+ */
+
+import { AlertTriangle } from 'lucide-react';
+
+const formatResetTime = (resetsAt) => (
+  resetsAt
+    ? new Date(resetsAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    : 'midnight UTC'
+);
+
+export default function BudgetNotice({ budget, blocked, low, className = '' }) {
+  if (!budget || (!blocked && !low)) return null;
+
+  const isGuest = budget.tier === 'anonymous';
+  const { requests } = budget.remaining;
+
+  return (
+    <div
+      className={`flex items-start gap-2 rounded-lg p-3 text-sm border ${
+        blocked
+          ? 'bg-red-500/10 border-red-500/50 text-red-300'
+          : 'bg-amber-500/10 border-amber-500/40 text-amber-300'
+      } ${className}`}
+    >
+      <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+      <p>
+        {blocked
+          ? `Not enough AI budget left today for this. It resets at ${formatResetTime(budget.resetsAt)}.`
+          : `AI budget is running low today (${requests} request${requests === 1 ? '' : 's'} left).`}
+        {isGuest && ' Sign in for a bigger daily budget.'}
+      </p>
+    </div>
+  );
+}
@@ -22,8 +22,8 @@ const localizer = dateFnsLocalizer({
 
 const DnDCalendar = withDragAndDrop(Calendar);
 
-export default function CalendarView({ routineToLoad = null }) {
-  const [events, setEvents] = useLocalStorage('neural-calendar-events', []);
+// events/setEvents are neural-calendar-events, owned by App (the notification scheduler reads them too)
+export default function CalendarView({ routineToLoad = null, events, setEvents }) {
   const [undoStack, setUndoStack] = useLocalStorage('neural-calendar-undo', []);
   const [view, setView] = useState('week');
   const [showModal, setShowModal] = useState(false);
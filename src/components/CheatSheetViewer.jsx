@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { X, Download, RotateCcw, Loader2, AlertCircle, FileText, BookMarked } from 'lucide-react';
 import { generateCheatsheet } from '../utils/apiService';
 import { saveResource, getResource } from '../utils/resourceService';
@@ -189,15 +189,28 @@ function CheatSheetViewer({ subject, topic, topicDescription, onClose }) {
   const [error, setError] = useState(null);
   const [generatedAt, setGeneratedAt] = useState(null);
   const [isFromLibrary, setIsFromLibrary] = useState(false);
+  const [streamedSections, setStreamedSections] = useState([]); // Finished sections while generating
+  const generationRef = useRef(null); // AbortController of the generation in flight
+
+  // Generate a new cheat sheet and save to library (fresh skips the server's cached copy)
+  const generateNewCheatsheet = async ({ fresh = false } = {}) => {
+    generationRef.current?.abort();
+    const controller = new AbortController();
+    generationRef.current = controller;
 
-  // Generate a new cheat sheet and save to library
-  const generateNewCheatsheet = async () => {
     setIsLoading(true);
     setError(null);
     setContent('');
+    setStreamedSections([]);
     setIsFromLibrary(false);
     
-    const result = await generateCheatsheet(subject, topic, topicDescription);
+    const result = await generateCheatsheet(subject, topic, topicDescription, {
+      fresh,
+      signal: controller.signal,
+      onSection: (section) => setStreamedSections(prev => [...prev, section.content]),
+    });
+    if (result.cancelled) return;
+    generationRef.current = null;
     
     if (result.success && result.data) {
       setContent(result.data.content);
@@ -237,17 +250,26 @@ function CheatSheetViewer({ subject, topic, topicDescription, onClose }) {
 
   useEffect(() => {
     loadOrGenerateCheatsheet();
+    return () => generationRef.current?.abort();
   }, [subject, topic]);
 
+  // Stop generating (the server aborts the Claude request too) and close
+  const handleCancel = () => {
+    generationRef.current?.abort();
+    onClose();
+  };
+
   const handleDownloadPDF = () => {
     window.print();
   };
 
   const handleRegenerate = () => {
-    generateNewCheatsheet();
+    generateNewCheatsheet({ fresh: true });
   };
 
-  const sections = parseMarkdownContent(content);
+  // While generating, show the sections that have finished so far
+  const sections = parseMarkdownContent(isLoading ? streamedSections.join('\n\n') : content);
+  const isStreaming = isLoading && sections.length > 0;
 
   return (
     <div className="fixed inset-0 bg-black/95 z-50 overflow-y-auto">
@@ -277,11 +299,17 @@ function CheatSheetViewer({ subject, topic, topicDescription, onClose }) {
         {/* Content Area */}
         <div className="max-w-4xl mx-auto p-4 sm:p-6">
           {/* Loading State */}
-          {isLoading && (
+          {isLoading && !isStreaming && (
             <div className="flex flex-col items-center justify-center py-20">
               <Loader2 className="w-12 h-12 text-neural-purple animate-spin mb-4" />
               <p className="text-white font-medium mb-2">Generating cheat sheet...</p>
-              <p className="text-sm text-gray-400">This may take 10-20 seconds</p>
+              <p className="text-sm text-gray-400 mb-6">Sections appear as soon as they're written</p>
+              <button
+                onClick={handleCancel}
+                className="px-4 py-2 bg-gray-800 text-gray-300 rounded-lg hover:bg-gray-700 transition-colors"
+              >
+                Cancel
+              </button>
             </div>
           )}
 
@@ -304,7 +332,7 @@ function CheatSheetViewer({ subject, topic, topicDescription, onClose }) {
           )}
 
           {/* Cheat Sheet Content */}
-          {content && !isLoading && !error && (
+          {sections.length > 0 && !error && (
             <>
               {/* Print Header - only visible when printing */}
               <div className="hidden print:block print:mb-6">
@@ -325,7 +353,27 @@ function CheatSheetViewer({ subject, topic, topicDescription, onClose }) {
                   </div>
                 ))}
               </div>
+            </>
+          )}
 
+          {/* Next section still being written */}
+          {isStreaming && (
+            <div className="no-print mt-6 bg-neural-dark rounded-xl p-5 border border-dashed border-gray-700 flex items-center justify-between gap-4">
+              <div className="flex items-center gap-3 text-gray-400">
+                <Loader2 className="w-5 h-5 text-neural-purple animate-spin" />
+                Writing the next section...
+              </div>
+              <button
+                onClick={handleCancel}
+                className="px-4 py-2 bg-gray-800 text-gray-300 rounded-lg hover:bg-gray-700 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          )}
+
+          {content && !isLoading && !error && (
+            <>
               {/* Generated timestamp and library indicator */}
               <div className="text-xs text-gray-500 mt-6 text-center print:hidden">
                 {isFromLibrary && (
@@ -1,5 +1,7 @@
 import { useState, useRef, useEffect } from 'react';
-import { Code2, Play, Copy, Check } from 'lucide-react';
+import { Code2, Play, Copy, Check, Loader2, CheckCircle, XCircle, Clock, Square } from 'lucide-react';
+import { runCode } from '../utils/apiService';
+import { canRunLocally, runCodeLocally, cancelLocalRun } from '../utils/codeRunner';
 
 // Language configurations
 const LANGUAGE_CONFIG = {
@@ -33,11 +35,16 @@ function CodeEditor({
   showTestCases = true,
   placeholder = 'Write your code here...',
   minHeight = 200,
+  runnable = true,
 }) {
   const textareaRef = useRef(null);
   const lineNumbersRef = useRef(null);
   const [copied, setCopied] = useState(false);
   const [lineCount, setLineCount] = useState(1);
+  const [isRunning, setIsRunning] = useState(false);
+  const [runStatus, setRunStatus] = useState(null); // 'loading' | 'running' while a local run is in progress
+  const [runResult, setRunResult] = useState(null);
+  const [runError, setRunError] = useState(null);
 
   // Initialize with starter code if value is empty
   useEffect(() => {
@@ -123,6 +130,44 @@ function CodeEditor({
     }
   };
 
+  // Run against the visible test cases - in the browser when possible, otherwise in the server sandbox
+  const handleRun = async () => {
+    if (!value || isRunning) return;
+
+    setIsRunning(true);
+    setRunError(null);
+
+    let result = null;
+    if (canRunLocally(language)) {
+      result = await runCodeLocally(value, language, testCases || [], { onStatus: setRunStatus });
+
+      // Pyodide only ships the standard library - let the server handle numpy, pandas, etc.
+      const needsServer = result.success && result.data.tests.some(t => /ModuleNotFoundError/.test(t.error || ''));
+      if (needsServer) result = null;
+    }
+    if (!result) {
+      setRunStatus('running');
+      result = await runCode(value, language, testCases || []);
+    }
+
+    setIsRunning(false);
+    setRunStatus(null);
+
+    if (!result.success) {
+      setRunResult(null);
+      setRunError(result.error);
+    } else if (!result.data.available) {
+      setRunResult(null);
+      setRunError(result.data.reason || 'Code execution is not available for this language.');
+    } else {
+      setRunResult(result.data);
+    }
+  };
+
+  const handleStop = () => {
+    cancelLocalRun();
+  };
+
   const langConfig = LANGUAGE_CONFIG[language] || LANGUAGE_CONFIG.python;
 
   return (
@@ -138,6 +183,30 @@ function CodeEditor({
             </span>
           </div>
           <div className="flex items-center gap-2">
+            {runnable && (
+              <button
+                onClick={handleRun}
+                disabled={disabled || isRunning || !value}
+                className="flex items-center gap-1.5 px-2.5 py-1 text-xs font-medium text-green-400 bg-green-500/10 hover:bg-green-500/20 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Run code against test cases"
+              >
+                {isRunning ? (
+                  <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                ) : (
+                  <Play className="w-3.5 h-3.5" />
+                )}
+                {runStatus === 'loading' ? 'Loading Python...' : isRunning ? 'Running...' : 'Run'}
+              </button>
+            )}
+            {isRunning && canRunLocally(language) && (
+              <button
+                onClick={handleStop}
+                className="p-1.5 text-red-400 hover:text-red-300 hover:bg-gray-700 rounded transition-colors"
+                title="Stop"
+              >
+                <Square className="w-4 h-4" />
+              </button>
+            )}
             <button
               onClick={copyCode}
               className="p-1.5 text-gray-400 hover:text-white hover:bg-gray-700 rounded transition-colors"
@@ -191,6 +260,88 @@ function CodeEditor({
         </div>
       </div>
 
+      {/* Run Error */}
+      {runError && (
+        <div className="flex items-center gap-2 p-3 bg-red-500/10 border border-red-500/30 rounded-lg text-red-400 text-sm">
+          <XCircle className="w-4 h-4 flex-shrink-0" />
+          <span>{runError}</span>
+        </div>
+      )}
+
+      {/* Run Results */}
+      {runResult && (
+        <div className="bg-neural-dark rounded-xl border border-gray-800 overflow-hidden">
+          <div className="flex items-center justify-between px-4 py-2 bg-gray-800/50 border-b border-gray-800">
+            <h4 className="text-sm font-medium text-gray-300 flex items-center gap-2">
+              <Play className="w-4 h-4" />
+              Run Results
+              <span className="text-xs font-normal text-gray-500">
+                {runResult.local ? 'in browser' : 'on server'}
+              </span>
+            </h4>
+            {runResult.total > 0 && (
+              <span className={`text-xs font-medium ${runResult.passed === runResult.total ? 'text-green-400' : 'text-yellow-400'}`}>
+                {runResult.passed}/{runResult.total} passed
+              </span>
+            )}
+          </div>
+          <div className="divide-y divide-gray-800">
+            {runResult.tests.map((test, idx) => (
+              <div key={idx} className="p-3 space-y-2 text-sm">
+                <div className="flex items-center justify-between">
+                  <span className="flex items-center gap-2 text-gray-300">
+                    {test.passed === true && <CheckCircle className="w-4 h-4 text-green-400" />}
+                    {test.passed === false && <XCircle className="w-4 h-4 text-red-400" />}
+                    {test.passed === null ? 'Output' : `Test ${idx + 1}`}
+                  </span>
+                  <span className="flex items-center gap-1 text-xs text-gray-500">
+                    <Clock className="w-3 h-3" />
+                    {test.timeMs}ms
+                  </span>
+                </div>
+                {test.passed !== null && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <span className="text-gray-500 text-xs">Expected:</span>
+                      <pre className="text-green-400 mt-1 font-mono text-xs bg-gray-800/50 p-2 rounded overflow-x-auto">
+                        {test.expectedOutput}
+                      </pre>
+                    </div>
+                    <div>
+                      <span className="text-gray-500 text-xs">Returned:</span>
+                      <pre className={`mt-1 font-mono text-xs bg-gray-800/50 p-2 rounded overflow-x-auto ${test.passed ? 'text-green-400' : 'text-red-400'}`}>
+                        {test.error ? '—' : test.actualOutput}
+                      </pre>
+                    </div>
+                  </div>
+                )}
+                {test.error && (
+                  <pre className="text-red-400 font-mono text-xs bg-red-500/10 p-2 rounded overflow-x-auto whitespace-pre-wrap">
+                    {test.error}
+                  </pre>
+                )}
+                {test.stdout && (
+                  <div>
+                    <span className="text-gray-500 text-xs">stdout:</span>
+                    <pre className="text-gray-300 mt-1 font-mono text-xs bg-gray-800/50 p-2 rounded overflow-x-auto max-h-40">
+                      {test.stdout}
+                    </pre>
+                  </div>
+                )}
+                {test.stderr && (
+                  <div>
+                    <span className="text-gray-500 text-xs">stderr:</span>
+                    <pre className="text-yellow-400 mt-1 font-mono text-xs bg-gray-800/50 p-2 rounded overflow-x-auto max-h-40">
+                      {test.stderr}
+                    </pre>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Test Cases Display */}
       {showTestCases && testCases && testCases.length > 0 && (
         <div className="bg-neural-dark rounded-xl border border-gray-800 overflow-hidden">
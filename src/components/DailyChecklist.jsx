@@ -1,7 +1,34 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { CheckCircle2, Circle, Flame, Trophy, Plus, X, Calendar, Star, Trash2 } from 'lucide-react';
+import { useState, useEffect, useMemo } from 'react';
+import { CheckCircle2, Circle, Flame, Trophy, Plus, X, Calendar, Star, Trash2, CalendarClock, Palmtree, Lightbulb, BarChart3, Minus, Play } from 'lucide-react';
 import { getTodayString, isToday } from '../utils/dateUtils';
 import { useLocalStorage } from '../hooks/useLocalStorage';
+import { useLifeData } from '../hooks/useLifeData';
+import {
+  DEFAULT_SCHEDULE,
+  addDays,
+  calculateStreak,
+  describeSchedule,
+  findHoliday,
+  reconcileChecklistItems,
+  routineFromIdea,
+  routinesScheduledOn,
+} from '../utils/routineSchedule';
+import {
+  COUNT_STEP,
+  DURATION_STEP,
+  TARGET_TYPES,
+  applyLoggedMinutes,
+  checklistCompletionRate,
+  describeTarget,
+  loggedMinutesOn,
+  markItemDone,
+  progressOf,
+  targetFromText,
+  targetOf,
+  withProgress,
+} from '../utils/routineProgress';
+import RoutineScheduleEditor from './RoutineScheduleEditor';
+import HabitAnalytics from './HabitAnalytics';
 
 // Your actual routines from your notes
 const DEFAULT_CHECKLIST_ITEMS = [
@@ -16,52 +43,99 @@ const DEFAULT_CHECKLIST_ITEMS = [
 
 const CATEGORIES = ['Morning', 'Throughout Day', 'Study', 'Evening', 'Before Bed'];
 
-export default function DailyChecklist({ checklist, setChecklist }) {
+const EMPTY_TARGET = { type: '', amount: '', unit: '' };
+
+// Fresh checklist entries for routines
+const toChecklistItems = (routines) => routines.map(item => ({
+  ...item,
+  completed: false,
+  completedAt: null,
+  progress: 0,
+  logged: 0,
+}));
+
+// Ring filling up as a count or duration routine gets done
+function ProgressRing({ value }) {
+  const radius = 8;
+  const circumference = 2 * Math.PI * radius;
+  return (
+    <svg width="20" height="20" viewBox="0 0 20 20" className="-rotate-90">
+      <circle cx="10" cy="10" r={radius} fill="none" strokeWidth="2.5" className="stroke-gray-700" />
+      <circle
+        cx="10"
+        cy="10"
+        r={radius}
+        fill="none"
+        strokeWidth="2.5"
+        strokeLinecap="round"
+        strokeDasharray={circumference}
+        strokeDashoffset={circumference * (1 - Math.min(value, 1))}
+        className="stroke-neural-blue transition-all duration-300"
+      />
+    </svg>
+  );
+}
+
+/**
+ * Routines repeat on their own schedule (utils/routineSchedule.js): today's
+ * checklist holds only the routines due today, and history, completion rates
+ * and the streak only count days something was due. ideas are the captured
+ * ideas - the ones classified as routines can be added from the "Add" form.
+ * logs are QuickLogger's, for the energy side of the Insights view and for the
+ * minutes logged against duration routines; onStartTimer(routine) opens
+ * QuickLogger's timer for one (routineProgress.js covers count/duration targets).
+ */
+export default function DailyChecklist({ checklist, setChecklist, ideas = [], logs = [], onStartTimer }) {
   const [selectedCategory, setSelectedCategory] = useState('All');
   const [showAddForm, setShowAddForm] = useState(false);
   const [showCalendar, setShowCalendar] = useState(false);
+  const [showInsights, setShowInsights] = useState(false);
+  const [showHolidays, setShowHolidays] = useState(false);
   const [newItemText, setNewItemText] = useState('');
   const [newItemCategory, setNewItemCategory] = useState('Morning');
   const [newItemImportant, setNewItemImportant] = useState(false);
+  const [newItemSchedule, setNewItemSchedule] = useState(DEFAULT_SCHEDULE);
+  const [newItemTarget, setNewItemTarget] = useState(EMPTY_TARGET);
+  const [scheduleDraft, setScheduleDraft] = useState(null); // { id, schedule } being edited
+  const [newHoliday, setNewHoliday] = useState({ name: '', start: '', end: '' });
   const [customItems, setCustomItems] = useLocalStorage('neural-custom-routines', []);
   const [disabledDefaults, setDisabledDefaults] = useLocalStorage('neural-disabled-defaults', []);
-  const [history, setHistory] = useLocalStorage('neural-checklist-history', {});
+  // Schedules for the built-in routines, by id (custom routines carry their own)
+  const [defaultSchedules, setDefaultSchedules] = useLocalStorage('neural-default-schedules', {});
+  const [holidays, setHolidays] = useLocalStorage('neural-routine-holidays', []);
+  const [history, setHistory] = useLifeData('neural-checklist-history', {});
+
+  const today = getTodayString();
 
   // Combine default items (excluding disabled ones) with custom items
-  const allItems = [
-    ...DEFAULT_CHECKLIST_ITEMS.filter(item => !disabledDefaults.includes(item.id)),
+  const allItems = useMemo(() => [
+    ...DEFAULT_CHECKLIST_ITEMS
+      .filter(item => !disabledDefaults.includes(item.id))
+      .map(item => (defaultSchedules[item.id] ? { ...item, schedule: defaultSchedules[item.id] } : item)),
     ...customItems
-  ];
+  ], [customItems, disabledDefaults, defaultSchedules]);
   const categories = ['All', ...CATEGORIES];
 
-  const initRef = useRef(false);
+  const dueToday = useMemo(
+    () => routinesScheduledOn(allItems, today, { holidays }),
+    [allItems, today, holidays]
+  );
+  const notDueToday = allItems.filter(item => !dueToday.includes(item));
+  const todayHoliday = findHoliday(today, holidays);
+
+  // Minutes QuickLogger logged against duration routines today
+  const loggedMinutes = useMemo(() => loggedMinutesOn(logs, today), [logs, today]);
 
-  // Initialize or reset checklist when needed
+  // Start, roll over or follow routine changes
   useEffect(() => {
-    const itemsToUse = [
-      ...DEFAULT_CHECKLIST_ITEMS.filter(item => !disabledDefaults.includes(item.id)),
-      ...customItems
-    ];
-    const now = getTodayString();
-
-    // First time initialization or empty items
-    if (!checklist || !checklist.date || !checklist.items || checklist.items.length === 0) {
-      if (!initRef.current) {
-        initRef.current = true;
-        setChecklist({
-          date: now,
-          items: itemsToUse.map(item => ({
-            ...item,
-            completed: false,
-            completedAt: null,
-          })),
-        });
-      }
+    // First time initialization
+    if (!checklist || !checklist.date || !checklist.items) {
+      setChecklist({ date: today, items: applyLoggedMinutes(toChecklistItems(dueToday), loggedMinutes) });
       return;
     }
 
     // Date changed - save history and reset
-    if (checklist.date !== now) {
+    if (checklist.date !== today) {
       const completed = checklist.items
         .filter(item => item.completed)
         .map(item => item.id);
@@ -73,11 +147,17 @@ export default function DailyChecklist({ checklist, setChecklist }) {
         }
       });
 
-      const completionRate = checklist.items.length > 0
-        ? completed.length / checklist.items.length
-        : 0;
+      // Count and duration routines part way done get partial credit
+      const completionRate = checklistCompletionRate(checklist.items);
+      const progress = {};
+      checklist.items.forEach(item => {
+        if (targetOf(item)) {
+          progress[item.id] = progressOf(item);
+        }
+      });
 
-      if (completed.length > 0 || completionRate > 0) {
+      // Only days with something due go into history - rest days don't count either way
+      if (checklist.items.length > 0) {
         setHistory(prev => ({
           ...prev,
           [checklist.date]: {
@@ -85,21 +165,23 @@ export default function DailyChecklist({ checklist, setChecklist }) {
             timestamps,
             completionRate,
             totalItems: checklist.items.length,
+            due: checklist.items.map(item => item.id),
+            progress,
           }
         }));
       }
 
       // Reset for new day
-      setChecklist({
-        date: now,
-        items: itemsToUse.map(item => ({
-          ...item,
-          completed: false,
-          completedAt: null,
-        })),
-      });
+      setChecklist({ date: today, items: applyLoggedMinutes(toChecklistItems(dueToday), loggedMinutes) });
+      return;
     }
-  }, [checklist?.date, checklist?.items?.length, customItems, disabledDefaults]);
+
+    // Same day: routines were added, removed or rescheduled, or minutes were logged
+    const items = applyLoggedMinutes(reconcileChecklistItems(checklist.items, dueToday), loggedMinutes);
+    if (items !== checklist.items) {
+      setChecklist(prev => ({ ...prev, items }));
+    }
+  }, [checklist?.date, checklist?.items, today, dueToday, loggedMinutes]);
 
   // Check for midnight every minute
   useEffect(() => {
@@ -130,22 +212,29 @@ export default function DailyChecklist({ checklist, setChecklist }) {
     );
   }
 
+  // Ticking a count or duration routine fills its target; unticking clears what was added by hand
   const toggleItem = (id) => {
-    const now = new Date().toISOString();
+    setChecklist(prev => ({
+      ...prev,
+      items: prev.items.map(item => {
+        if (item.id !== id) return item;
+        if (!item.completed) return markItemDone(item);
+        if (targetOf(item)) return withProgress(item, { progress: 0 });
+        return { ...item, completed: false, completedAt: null };
+      }),
+    }));
+  };
+
+  const changeProgress = (id, delta) => {
     setChecklist(prev => ({
       ...prev,
       items: prev.items.map(item =>
-        item.id === id
-          ? {
-              ...item,
-              completed: !item.completed,
-              completedAt: !item.completed ? now : null,
-            }
-          : item
+        item.id === id ? withProgress(item, { progress: (item.progress || 0) + delta }) : item
       ),
     }));
   };
 
+  // New routines land on today's checklist through the effect above, if they're due today
   const addCustomItem = () => {
     if (!newItemText.trim()) return;
 
@@ -155,22 +244,31 @@ export default function DailyChecklist({ checklist, setChecklist }) {
       text: newItemText.trim(),
       important: newItemImportant,
       isDefault: false,
+      schedule: { ...newItemSchedule, startDate: newItemSchedule.startDate || today },
+      target: targetOf(newItemTarget),
     };
 
     setCustomItems(prev => [...prev, newItem]);
 
-    // Add to today's checklist too
-    setChecklist(prev => ({
-      ...prev,
-      items: [...prev.items, { ...newItem, completed: false, completedAt: null }],
-    }));
-
     // Reset form
     setNewItemText('');
     setNewItemImportant(false);
+    setNewItemSchedule(DEFAULT_SCHEDULE);
+    setNewItemTarget(EMPTY_TARGET);
     setShowAddForm(false);
   };
 
+  // Captured ideas classified as routines that aren't routines yet
+  const routineIdeas = ideas.filter(idea =>
+    !idea.isDraft &&
+    idea.classificationType === 'routine' &&
+    !customItems.some(item => item.ideaId != null && String(item.ideaId) === String(idea.id))
+  );
+
+  const addIdeaAsRoutine = (idea) => {
+    setCustomItems(prev => [...prev, routineFromIdea(idea, today)]);
+  };
+
   const deleteItem = (id) => {
     const isDefaultItem = DEFAULT_CHECKLIST_ITEMS.some(item => item.id === id);
 
@@ -181,17 +279,32 @@ export default function DailyChecklist({ checklist, setChecklist }) {
       // Remove from custom items
       setCustomItems(prev => prev.filter(item => item.id !== id));
     }
+  };
 
-    // Remove from today's checklist
-    setChecklist(prev => ({
-      ...prev,
-      items: prev.items.filter(item => item.id !== id),
-    }));
+  const saveSchedule = () => {
+    const { id } = scheduleDraft;
+    const schedule = { ...scheduleDraft.schedule, startDate: scheduleDraft.schedule.startDate || today };
+    if (DEFAULT_CHECKLIST_ITEMS.some(item => item.id === id)) {
+      setDefaultSchedules(prev => ({ ...prev, [id]: schedule }));
+    } else {
+      setCustomItems(prev => prev.map(item => (item.id === id ? { ...item, schedule } : item)));
+    }
+    setScheduleDraft(null);
   };
 
-  const completionRate = checklist.items
-    ? Math.round((checklist.items.filter(i => i.completed).length / checklist.items.length) * 100)
-    : 0;
+  const addHoliday = () => {
+    if (!newHoliday.start) return;
+    const end = newHoliday.end && newHoliday.end >= newHoliday.start ? newHoliday.end : newHoliday.start;
+    setHolidays(prev => [...prev, {
+      id: Date.now(),
+      name: newHoliday.name.trim() || 'Holiday',
+      start: newHoliday.start,
+      end,
+    }].sort((a, b) => a.start.localeCompare(b.start)));
+    setNewHoliday({ name: '', start: '', end: '' });
+  };
+
+  const completionRate = Math.round(checklistCompletionRate(checklist.items) * 100);
 
   const filteredItems = checklist.items
     ? checklist.items.filter(item =>
@@ -202,40 +315,16 @@ export default function DailyChecklist({ checklist, setChecklist }) {
   const completedToday = checklist.items?.filter(i => i.completed).length || 0;
   const totalItems = checklist.items?.length || 0;
 
-  // Calculate streak from history
-  const calculateStreak = () => {
-    const dates = Object.keys(history).sort().reverse();
-    let streak = 0;
-    const today = getTodayString();
-
-    // Check if today is complete (>70%)
-    if (completionRate >= 70) {
-      streak = 1;
-    }
-
-    // Count backwards from yesterday
-    for (let i = 0; i < dates.length; i++) {
-      const date = dates[i];
-      if (date >= today) continue; // Skip today
-
-      const dayData = history[date];
-      if (dayData.completionRate >= 0.7) {
-        streak++;
-      } else {
-        break;
-      }
-    }
-
-    return streak;
-  };
-
-  const streak = calculateStreak();
+  // Streak over the days something was due (today counts once it's done)
+  const streak = calculateStreak(history, allItems, {
+    today,
+    todayRate: totalItems > 0 ? checklistCompletionRate(checklist.items) : null,
+    holidays,
+  });
 
   // Get yesterday's completion rate
   const getYesterdayCompletion = () => {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayString = yesterday.toISOString().split('T')[0];
+    const yesterdayString = addDays(today, -1);
 
     if (history[yesterdayString]) {
       return Math.round(history[yesterdayString].completionRate * 100);
@@ -245,17 +334,92 @@ export default function DailyChecklist({ checklist, setChecklist }) {
 
   const yesterdayCompletion = getYesterdayCompletion();
 
+  const openScheduleEditor = (item) => {
+    const routine = allItems.find(r => r.id === item.id) || item;
+    setScheduleDraft(scheduleDraft?.id === item.id
+      ? null
+      : { id: item.id, schedule: { ...DEFAULT_SCHEDULE, ...routine.schedule, startDate: routine.schedule?.startDate || today } });
+  };
+
+  const confirmDelete = (item) => {
+    const confirmMsg = item.isDefault
+      ? 'Remove this default routine? It won\'t appear again.'
+      : 'Delete this custom routine?';
+    if (confirm(confirmMsg)) {
+      deleteItem(item.id);
+    }
+  };
+
+  // Schedule and delete buttons, shared by today's routines and the ones not due today
+  const renderRoutineActions = (item) => (
+    <div className="flex-shrink-0 flex items-center gap-2">
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          openScheduleEditor(item);
+        }}
+        className={`transition-colors ${
+          scheduleDraft?.id === item.id ? 'text-neural-purple' : 'text-gray-600 hover:text-neural-purple'
+        }`}
+        title="Change schedule"
+      >
+        <CalendarClock className="w-4 h-4" />
+      </button>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          confirmDelete(item);
+        }}
+        className="text-gray-600 hover:text-red-400 transition-colors"
+      >
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
+  const renderScheduleEditor = (item) => scheduleDraft?.id === item.id && (
+    <div className="p-3 -mt-1 rounded-b-lg bg-neural-darker border border-t-0 border-neural-purple/40 animate-slide-in">
+      <RoutineScheduleEditor
+        schedule={scheduleDraft.schedule}
+        onChange={(schedule) => setScheduleDraft(prev => ({ ...prev, schedule }))}
+      />
+      <div className="flex gap-2 mt-3">
+        <button onClick={saveSchedule} className="neural-button flex-1">
+          Save Schedule
+        </button>
+        <button onClick={() => setScheduleDraft(null)} className="neural-button-secondary">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
   // Render calendar view
   if (showCalendar) {
     return (
       <CalendarView
         history={history}
         checklist={checklist}
+        routines={allItems}
+        holidays={holidays}
         onClose={() => setShowCalendar(false)}
       />
     );
   }
 
+  if (showInsights) {
+    return (
+      <HabitAnalytics
+        routines={allItems}
+        history={history}
+        holidays={holidays}
+        logs={logs}
+        onRetire={deleteItem}
+        onClose={() => setShowInsights(false)}
+      />
+    );
+  }
+
   return (
     <div className="neural-card">
       <div className="flex items-center justify-between mb-6">
@@ -272,6 +436,12 @@ export default function DailyChecklist({ checklist, setChecklist }) {
               Yesterday: {yesterdayCompletion}% completed
             </p>
           )}
+          {todayHoliday && (
+            <p className="text-xs text-green-400 mt-1 flex items-center gap-1">
+              <Palmtree className="w-3 h-3" />
+              {todayHoliday.name} - routines that skip holidays are off today
+            </p>
+          )}
         </div>
         <div className="text-right">
           <div className="flex items-center gap-2 text-orange-400 mb-1">
@@ -308,6 +478,20 @@ export default function DailyChecklist({ checklist, setChecklist }) {
           <Calendar className="w-4 h-4" />
           History
         </button>
+        <button
+          onClick={() => setShowInsights(true)}
+          className="neural-button-secondary flex items-center gap-2 flex-1"
+        >
+          <BarChart3 className="w-4 h-4" />
+          Insights
+        </button>
+        <button
+          onClick={() => setShowHolidays(!showHolidays)}
+          className="neural-button-secondary flex items-center gap-2 flex-1"
+        >
+          <Palmtree className="w-4 h-4" />
+          Holidays
+        </button>
         <button
           onClick={() => setShowAddForm(!showAddForm)}
           className="neural-button flex items-center gap-2 flex-1"
@@ -366,6 +550,59 @@ export default function DailyChecklist({ checklist, setChecklist }) {
               </div>
             </div>
 
+            <div className="mb-3 p-3 rounded-lg border border-gray-800">
+              <RoutineScheduleEditor schedule={newItemSchedule} onChange={setNewItemSchedule} />
+            </div>
+
+            {/* Optional count or duration target */}
+            <div className="mb-3">
+              <label className="block text-sm text-gray-400 mb-1">Goal</label>
+              <div className="flex gap-2">
+                <select
+                  value={newItemTarget.type}
+                  onChange={(e) => setNewItemTarget(prev => ({ ...prev, type: e.target.value }))}
+                  className="neural-input w-32"
+                >
+                  <option value="">Done / not done</option>
+                  {TARGET_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+                {newItemTarget.type && (
+                  <>
+                    <input
+                      type="number"
+                      min="1"
+                      value={newItemTarget.amount}
+                      onChange={(e) => setNewItemTarget(prev => ({ ...prev, amount: e.target.value }))}
+                      placeholder={newItemTarget.type === 'duration' ? '30' : '8'}
+                      className="neural-input w-24"
+                    />
+                    {newItemTarget.type === 'duration' ? (
+                      <span className="text-sm text-gray-400 self-center">minutes</span>
+                    ) : (
+                      <input
+                        type="text"
+                        value={newItemTarget.unit}
+                        onChange={(e) => setNewItemTarget(prev => ({ ...prev, unit: e.target.value }))}
+                        placeholder="glasses, pages..."
+                        className="neural-input flex-1"
+                      />
+                    )}
+                  </>
+                )}
+              </div>
+              {!newItemTarget.type && targetFromText(newItemText) && (
+                <button
+                  type="button"
+                  onClick={() => setNewItemTarget(targetFromText(newItemText))}
+                  className="text-xs text-neural-purple hover:underline mt-1"
+                >
+                  Track {describeTarget(targetFromText(newItemText))} instead of done / not done?
+                </button>
+              )}
+            </div>
+
             <div className="flex gap-2">
               <button
                 type="submit"
@@ -380,6 +617,8 @@ export default function DailyChecklist({ checklist, setChecklist }) {
                   setShowAddForm(false);
                   setNewItemText('');
                   setNewItemImportant(false);
+                  setNewItemSchedule(DEFAULT_SCHEDULE);
+                  setNewItemTarget(EMPTY_TARGET);
                 }}
                 className="neural-button-secondary"
               >
@@ -387,6 +626,103 @@ export default function DailyChecklist({ checklist, setChecklist }) {
               </button>
             </div>
           </form>
+
+          {/* Ideas the Capture tab classified as routines */}
+          {routineIdeas.length > 0 && (
+            <div className="mt-4 pt-4 border-t border-gray-800">
+              <h4 className="text-sm font-medium mb-2 flex items-center gap-2">
+                <Lightbulb className="w-4 h-4 text-neural-purple" />
+                From your routine ideas
+              </h4>
+              <div className="space-y-2 max-h-48 overflow-y-auto">
+                {routineIdeas.map(idea => (
+                  <div key={idea.id} className="flex items-center gap-3 p-2 rounded bg-neural-dark border border-gray-800">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-gray-200 truncate">{idea.content}</p>
+                      <p className="text-xs text-gray-500">
+                        {describeSchedule(routineFromIdea(idea, today).schedule)}
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => addIdeaAsRoutine(idea)}
+                      className="neural-button-secondary text-xs px-2 py-1 flex items-center gap-1"
+                    >
+                      <Plus className="w-3 h-3" />
+                      Add
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Holidays */}
+      {showHolidays && (
+        <div className="bg-neural-darker border border-gray-800 rounded-lg p-4 mb-4 animate-slide-in">
+          <h3 className="font-bold mb-1">Holidays</h3>
+          <p className="text-xs text-gray-500 mb-3">
+            Routines set to skip holidays aren't due on these days
+          </p>
+
+          {holidays.length > 0 && (
+            <div className="space-y-1 mb-3">
+              {holidays.map(holiday => (
+                <div key={holiday.id} className="flex items-center gap-2 text-sm">
+                  <span className="flex-1 text-gray-300">{holiday.name}</span>
+                  <span className="text-xs text-gray-500">
+                    {holiday.start}{holiday.end !== holiday.start && ` to ${holiday.end}`}
+                  </span>
+                  <button
+                    onClick={() => setHolidays(prev => prev.filter(h => h.id !== holiday.id))}
+                    className="text-gray-600 hover:text-red-400 transition-colors"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              addHoliday();
+            }}
+            className="grid grid-cols-2 sm:grid-cols-4 gap-2"
+          >
+            <input
+              type="text"
+              value={newHoliday.name}
+              onChange={(e) => setNewHoliday(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Name (e.g. Semester break)"
+              className="neural-input col-span-2 sm:col-span-1"
+            />
+            <input
+              type="date"
+              value={newHoliday.start}
+              onChange={(e) => setNewHoliday(prev => ({ ...prev, start: e.target.value }))}
+              className="neural-input"
+              title="First day"
+            />
+            <input
+              type="date"
+              value={newHoliday.end}
+              min={newHoliday.start || undefined}
+              onChange={(e) => setNewHoliday(prev => ({ ...prev, end: e.target.value }))}
+              className="neural-input"
+              title="Last day (optional)"
+            />
+            <button
+              type="submit"
+              disabled={!newHoliday.start}
+              className="neural-button disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Add
+            </button>
+          </form>
         </div>
       )}
 
@@ -409,62 +745,130 @@ export default function DailyChecklist({ checklist, setChecklist }) {
 
       {/* Checklist Items */}
       <div className="space-y-2 max-h-[500px] overflow-y-auto">
-        {filteredItems.map(item => (
-          <div
-            key={item.id}
-            className={`flex items-start gap-3 p-3 rounded-lg transition-all ${
-              item.completed
-                ? 'bg-neural-purple/10 border border-neural-purple/30'
-                : 'bg-neural-darker border border-gray-800 hover:border-gray-700'
-            }`}
-          >
-            <div
-              className="flex-shrink-0 mt-0.5 cursor-pointer"
-              onClick={() => toggleItem(item.id)}
-            >
-              {item.completed ? (
-                <CheckCircle2 className="w-5 h-5 text-neural-purple" />
-              ) : (
-                <Circle className="w-5 h-5 text-gray-600" />
-              )}
-            </div>
-            <div className="flex-1 cursor-pointer" onClick={() => toggleItem(item.id)}>
-              <p className={`${item.completed ? 'line-through text-gray-500' : 'text-gray-200'} ${
-                item.important ? 'font-medium' : ''
-              }`}>
-                {item.text}
-                {item.important && <span className="text-red-400 ml-2">*</span>}
-                {!item.isDefault && <span className="text-xs text-gray-500 ml-2">(custom)</span>}
-              </p>
-              <p className="text-xs text-gray-600 mt-1">{item.category}</p>
-              {item.completedAt && (
-                <p className="text-xs text-neural-purple mt-1">
-                  ✓ Completed at {new Date(item.completedAt).toLocaleTimeString('en-US', {
-                    hour: '2-digit',
-                    minute: '2-digit',
-                  })}
-                </p>
-              )}
+        {totalItems === 0 && (
+          <p className="text-sm text-gray-500 text-center py-6">
+            {allItems.length === 0
+              ? 'No routines yet - add one above.'
+              : 'Nothing due today. Enjoy the rest day!'}
+          </p>
+        )}
+        {filteredItems.map(item => {
+          const target = targetOf(item);
+          return (
+            <div key={item.id}>
+              <div
+                className={`flex items-start gap-3 p-3 rounded-lg transition-all ${
+                  item.completed
+                    ? 'bg-neural-purple/10 border border-neural-purple/30'
+                    : 'bg-neural-darker border border-gray-800 hover:border-gray-700'
+                }`}
+              >
+                <div
+                  className="flex-shrink-0 mt-0.5 cursor-pointer"
+                  onClick={() => toggleItem(item.id)}
+                >
+                  {target && !item.completed ? (
+                    <ProgressRing value={progressOf(item) / target.amount} />
+                  ) : item.completed ? (
+                    <CheckCircle2 className="w-5 h-5 text-neural-purple" />
+                  ) : (
+                    <Circle className="w-5 h-5 text-gray-600" />
+                  )}
+                </div>
+                <div className="flex-1 cursor-pointer" onClick={() => toggleItem(item.id)}>
+                  <p className={`${item.completed ? 'line-through text-gray-500' : 'text-gray-200'} ${
+                    item.important ? 'font-medium' : ''
+                  }`}>
+                    {item.text}
+                    {item.important && <span className="text-red-400 ml-2">*</span>}
+                    {!item.isDefault && <span className="text-xs text-gray-500 ml-2">(custom)</span>}
+                  </p>
+                  <p className="text-xs text-gray-600 mt-1">
+                    {item.category}
+                    {item.schedule && <span className="ml-2">• {describeSchedule(item.schedule)}</span>}
+                  </p>
+                  {target && (
+                    <div className="flex items-center gap-2 mt-2" onClick={(e) => e.stopPropagation()}>
+                      <button
+                        onClick={() => changeProgress(item.id, -(target.type === 'duration' ? DURATION_STEP : COUNT_STEP))}
+                        disabled={!item.progress}
+                        className="w-6 h-6 rounded bg-gray-800 hover:bg-gray-700 flex items-center justify-center disabled:opacity-30"
+                        title="Less"
+                      >
+                        <Minus className="w-3 h-3" />
+                      </button>
+                      <span className="text-sm font-medium text-neural-blue min-w-[5rem] text-center">
+                        {progressOf(item)}/{describeTarget(target)}
+                      </span>
+                      <button
+                        onClick={() => changeProgress(item.id, target.type === 'duration' ? DURATION_STEP : COUNT_STEP)}
+                        className="w-6 h-6 rounded bg-gray-800 hover:bg-gray-700 flex items-center justify-center"
+                        title={target.type === 'duration' ? `+${DURATION_STEP} min` : 'One more'}
+                      >
+                        <Plus className="w-3 h-3" />
+                      </button>
+                      {target.type === 'duration' && onStartTimer && (
+                        <button
+                          onClick={() => onStartTimer(item)}
+                          className="ml-1 px-2 h-6 rounded bg-neural-blue/20 text-neural-blue hover:bg-neural-blue/30 text-xs flex items-center gap-1"
+                          title="Time it in QuickLogger - logged minutes count here"
+                        >
+                          <Play className="w-3 h-3" />
+                          Timer
+                        </button>
+                      )}
+                      {item.logged > 0 && (
+                        <span className="text-xs text-gray-500">{item.logged} min logged</span>
+                      )}
+                    </div>
+                  )}
+                  {item.completedAt && (
+                    <p className="text-xs text-neural-purple mt-1">
+                      ✓ Completed at {new Date(item.completedAt).toLocaleTimeString('en-US', {
+                        hour: '2-digit',
+                        minute: '2-digit',
+                      })}
+                    </p>
+                  )}
+                </div>
+                {renderRoutineActions(item)}
+              </div>
+              {renderScheduleEditor(item)}
             </div>
-            <button
-              onClick={(e) => {
-                e.stopPropagation();
-                const confirmMsg = item.isDefault
-                  ? 'Remove this default routine? It won\'t appear again.'
-                  : 'Delete this custom routine?';
-                if (confirm(confirmMsg)) {
-                  deleteItem(item.id);
-                }
-              }}
-              className="flex-shrink-0 text-gray-600 hover:text-red-400 transition-colors"
-            >
-              <Trash2 className="w-4 h-4" />
-            </button>
-          </div>
-        ))}
+          );
+        })}
       </div>
 
-      {completionRate === 100 && (
+      {/* Routines not due today, so their schedules can still be changed */}
+      {notDueToday.length > 0 && (
+        <details className="mt-4">
+          <summary className="text-sm text-gray-400 cursor-pointer hover:text-white">
+            Not due today ({notDueToday.length})
+          </summary>
+          <div className="space-y-2 mt-2">
+            {notDueToday.map(item => (
+              <div key={item.id}>
+                <div className="flex items-start gap-3 p-3 rounded-lg bg-neural-darker border border-gray-800 opacity-75">
+                  <div className="flex-1">
+                    <p className="text-gray-300">
+                      {item.text}
+                      {item.important && <span className="text-red-400 ml-2">*</span>}
+                    </p>
+                    <p className="text-xs text-gray-600 mt-1">
+                      {item.category} • {describeSchedule(item.schedule)}
+                      {targetOf(item) && <span> • {describeTarget(targetOf(item))}</span>}
+                    </p>
+                  </div>
+                  {renderRoutineActions(item)}
+                </div>
+                {renderScheduleEditor(item)}
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+
+      {totalItems > 0 && completionRate === 100 && (
         <div className="mt-6 p-4 bg-gradient-to-r from-neural-purple/20 to-neural-pink/20 border border-neural-purple/50 rounded-lg animate-slide-in">
           <div className="flex items-center gap-3">
             <Trophy className="w-8 h-8 text-yellow-400" />
@@ -485,8 +889,8 @@ export default function DailyChecklist({ checklist, setChecklist }) {
   );
 }
 
-// Calendar View Component
-function CalendarView({ history, checklist, onClose }) {
+// Calendar View Component - days with nothing due show as rest days
+function CalendarView({ history, checklist, routines, holidays, onClose }) {
   const [selectedDate, setSelectedDate] = useState(null);
 
   // Calculate today's completion data from live checklist
@@ -504,9 +908,7 @@ function CalendarView({ history, checklist, onClose }) {
       }
     });
 
-    const completionRate = checklist.items.length > 0
-      ? completed.length / checklist.items.length
-      : 0;
+    const completionRate = checklistCompletionRate(checklist.items);
 
     return {
       completed,
@@ -538,6 +940,8 @@ function CalendarView({ history, checklist, onClose }) {
         dayOfMonth: date.getDate(),
         data: data,
         isToday: dateString === todayString,
+        isRestDay: !data && routinesScheduledOn(routines, dateString, { holidays }).length === 0,
+        holiday: findHoliday(dateString, holidays),
       });
     }
 
@@ -548,6 +952,7 @@ function CalendarView({ history, checklist, onClose }) {
 
   // Calculate stats
   const daysWithData = days.filter(d => d.data).length;
+  const daysDue = days.filter(d => !d.isRestDay).length;
   const avgCompletion = daysWithData > 0
     ? Math.round((days.reduce((sum, d) => sum + (d.data?.completionRate || 0), 0) / daysWithData) * 100)
     : 0;
@@ -570,7 +975,7 @@ function CalendarView({ history, checklist, onClose }) {
             <Calendar className="w-6 h-6 text-neural-purple" />
             Completion History
           </h2>
-          <p className="text-sm text-gray-400 mt-1">Last 30 days</p>
+          <p className="text-sm text-gray-400 mt-1">Last 30 days - rest days don't count</p>
         </div>
         <button onClick={onClose} className="neural-button-secondary">
           <X className="w-4 h-4" />
@@ -581,7 +986,7 @@ function CalendarView({ history, checklist, onClose }) {
       <div className="grid grid-cols-3 gap-4 mb-6">
         <div className="bg-neural-darker border border-gray-800 rounded-lg p-3">
           <div className="text-sm text-gray-400 mb-1">Days Tracked</div>
-          <div className="text-2xl font-bold text-neural-purple">{daysWithData}/30</div>
+          <div className="text-2xl font-bold text-neural-purple">{daysWithData}/{daysDue}</div>
         </div>
         <div className="bg-neural-darker border border-gray-800 rounded-lg p-3">
           <div className="text-sm text-gray-400 mb-1">Avg Completion</div>
@@ -643,6 +1048,11 @@ function CalendarView({ history, checklist, onClose }) {
                 {Math.round(day.data.completionRate * 100)}%
               </div>
             )}
+            {day.isRestDay && (
+              <div className="text-xs text-gray-600 mt-1" title={day.holiday?.name}>
+                {day.holiday ? 'Holiday' : 'Rest'}
+              </div>
+            )}
           </button>
         ))}
       </div>
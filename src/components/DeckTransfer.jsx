@@ -0,0 +1,325 @@
+/**
+ * DECK TRANSFER COMPONENT
+ *
+ * Purpose: Move flashcard decks between the app and Anki or spreadsheets
+ *
+ * Features:
+ * - Export one deck or all decks to Anki (.apkg), CSV or TSV with scheduling state
+ * - Import .apkg / .colpkg / CSV / TSV, including review history from Anki
+ * - Preview: each imported deck is matched to a catalogue subject and topic,
+ *   which can be changed before anything is saved
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import {
+  X,
+  Layers,
+  Download,
+  Upload,
+  AlertTriangle,
+  CheckCircle2,
+  Loader2,
+} from 'lucide-react';
+import {
+  EXPORT_FORMATS,
+  IMPORT_ACCEPT,
+  exportDecks,
+  readDeckFile,
+  importDecks,
+} from '../utils/deckTransferService';
+import { getAllDecksWithProgress } from '../utils/flashcardService';
+import { getAllSubjects } from '../data/subjectCatalogue';
+
+const SUBJECTS = getAllSubjects();
+
+export default function DeckTransfer({ isOpen, onClose, onImported }) {
+  const [status, setStatus] = useState(null); // 'exporting' | 'reading' | 'importing'
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+  const [decks, setDecks] = useState([]);
+  const [exportDeckId, setExportDeckId] = useState('all');
+  const [exportFormat, setExportFormat] = useState('apkg');
+  const [preview, setPreview] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const fileInputRef = useRef(null);
+
+  const loadDecks = async () => {
+    const { data } = await getAllDecksWithProgress();
+    setDecks((data || []).map(({ deck }) => deck));
+  };
+
+  useEffect(() => {
+    if (isOpen) loadDecks();
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setPreview(null);
+    setFileName('');
+    setMessage(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleClose = () => {
+    if (status === 'importing') return;
+    reset();
+    onClose();
+  };
+
+  const handleExport = async () => {
+    setStatus('exporting');
+    setMessage(null);
+    const result = await exportDecks(exportDeckId, exportFormat);
+    setStatus(null);
+
+    if (result.success) {
+      setMessage({ type: 'success', text: `Saved ${result.data.cards} cards to ${result.data.fileName}` });
+    } else {
+      setMessage({ type: 'error', text: `Export failed: ${result.error}` });
+    }
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setPreview(null);
+    setMessage(null);
+    setFileName(file.name);
+    setStatus('reading');
+
+    const result = await readDeckFile(file);
+    setStatus(null);
+
+    if (result.success) {
+      setPreview({
+        ...result.data,
+        decks: result.data.decks.map(deck => ({ ...deck, selected: true })),
+      });
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+  };
+
+  const updateDeck = (index, updates) => {
+    setPreview(prev => ({
+      ...prev,
+      decks: prev.decks.map((deck, i) => (i === index ? { ...deck, ...updates } : deck)),
+    }));
+  };
+
+  const selectedDecks = preview?.decks.filter(deck => deck.selected) || [];
+  const readyDecks = selectedDecks.filter(deck => deck.subject && deck.topic.trim());
+
+  const handleImport = async () => {
+    setStatus('importing');
+    setMessage(null);
+    const result = await importDecks(readyDecks);
+    setStatus(null);
+
+    if (result.success) {
+      const { decks: deckCount, cards, skipped, scheduled, reviews } = result.data;
+      const details = [
+        scheduled > 0 && `${scheduled} with scheduling`,
+        reviews > 0 && `${reviews} past reviews`,
+        skipped > 0 && `${skipped} duplicates skipped`,
+      ].filter(Boolean).join(', ');
+      reset();
+      setMessage({
+        type: 'success',
+        text: `Imported ${cards} cards into ${deckCount} deck${deckCount === 1 ? '' : 's'}${details ? ` (${details})` : ''}`,
+      });
+      loadDecks();
+      onImported?.();
+    } else {
+      setMessage({ type: 'error', text: `Import failed: ${result.error}` });
+    }
+  };
+
+  const busy = status !== null;
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-neural-dark border border-neural-purple rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-neural-dark border-b border-gray-800 p-6 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Layers className="w-6 h-6 text-neural-purple" />
+            <h2 className="text-2xl font-bold">Import &amp; Export Decks</h2>
+          </div>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-6">
+          {/* Export */}
+          <div>
+            <h3 className="text-lg font-bold mb-2">Export</h3>
+            <p className="text-sm text-gray-400 mb-3">
+              Cards keep their math and review schedule. Anki packages also include your review history.
+            </p>
+            <div className="flex flex-wrap gap-2 mb-3">
+              <select
+                value={exportDeckId}
+                onChange={(e) => setExportDeckId(e.target.value)}
+                className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white flex-1 min-w-[12rem]"
+              >
+                <option value="all">All decks ({decks.length})</option>
+                {decks.map(deck => (
+                  <option key={deck.id} value={deck.id}>
+                    {SUBJECTS[deck.subject]?.name || deck.subject} – {deck.topic} ({deck.cards?.length || 0})
+                  </option>
+                ))}
+              </select>
+              <div className="flex gap-1">
+                {Object.entries(EXPORT_FORMATS).map(([id, format]) => (
+                  <button
+                    key={id}
+                    onClick={() => setExportFormat(id)}
+                    className={`px-3 py-2 rounded-lg text-sm font-medium transition-all ${
+                      exportFormat === id
+                        ? 'bg-neural-purple text-white'
+                        : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+                    }`}
+                  >
+                    {format.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <button
+              onClick={handleExport}
+              disabled={busy || decks.length === 0}
+              className="neural-button flex items-center gap-2 disabled:opacity-50"
+            >
+              {status === 'exporting' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+              Download
+            </button>
+          </div>
+
+          {/* Import */}
+          <div>
+            <h3 className="text-lg font-bold mb-2">Import</h3>
+            <p className="text-sm text-gray-400 mb-3">
+              Anki packages (.apkg, .colpkg) or CSV/TSV with front and back columns. Cards merge into
+              existing decks with the same topic; images and audio are left out.
+            </p>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={IMPORT_ACCEPT}
+              onChange={handleFileSelected}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={busy}
+              className="neural-button-secondary flex items-center gap-2 disabled:opacity-50"
+            >
+              {status === 'reading' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+              {fileName || 'Choose File'}
+            </button>
+          </div>
+
+          {/* Preview */}
+          {preview && (
+            <div className="bg-neural-darker border border-gray-800 rounded-lg p-4 space-y-3">
+              {preview.decks.map((deck, index) => (
+                <div key={`${deck.name}-${index}`} className="border-b border-gray-800 last:border-0 pb-3 last:pb-0">
+                  <label className="flex items-start gap-2 mb-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={deck.selected}
+                      onChange={(e) => updateDeck(index, { selected: e.target.checked })}
+                      className="mt-1"
+                    />
+                    <div className="min-w-0">
+                      <div className="text-sm text-gray-200 truncate">{deck.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {deck.cards.length} cards
+                        {deck.scheduledCount > 0 && ` · ${deck.scheduledCount} scheduled`}
+                        {deck.reviews.length > 0 && ` · ${deck.reviews.length} reviews`}
+                      </div>
+                    </div>
+                  </label>
+                  {deck.selected && (
+                    <div className="flex gap-2 pl-6">
+                      <select
+                        value={deck.subject || ''}
+                        onChange={(e) => updateDeck(index, { subject: e.target.value || null })}
+                        className={`bg-gray-800 border rounded-lg px-2 py-1.5 text-sm text-white flex-1 ${
+                          deck.subject ? 'border-gray-700' : 'border-amber-500/50'
+                        }`}
+                      >
+                        <option value="">Choose subject…</option>
+                        {Object.entries(SUBJECTS).map(([key, subject]) => (
+                          <option key={key} value={key}>{subject.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        value={deck.topic}
+                        onChange={(e) => updateDeck(index, { topic: e.target.value })}
+                        placeholder="Topic"
+                        list={deck.subject ? `topics-${index}` : undefined}
+                        className="bg-gray-800 border border-gray-700 rounded-lg px-2 py-1.5 text-sm text-white flex-1"
+                      />
+                      {deck.subject && (
+                        <datalist id={`topics-${index}`}>
+                          {(SUBJECTS[deck.subject]?.topics || []).map(topic => (
+                            <option key={topic.id} value={topic.name} />
+                          ))}
+                        </datalist>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+              {preview.skipped > 0 && (
+                <p className="flex items-center gap-2 text-xs text-amber-400">
+                  <AlertTriangle className="w-4 h-4" />
+                  {preview.skipped} rows without a front or back will be left out.
+                </p>
+              )}
+            </div>
+          )}
+
+          {message && (
+            <div className={`flex items-center gap-2 text-sm ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+              {message.type === 'error' ? <AlertTriangle className="w-4 h-4" /> : <CheckCircle2 className="w-4 h-4" />}
+              {message.text}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        {preview && (
+          <div className="sticky bottom-0 bg-neural-dark border-t border-gray-800 p-4 flex gap-3">
+            <button
+              onClick={reset}
+              disabled={busy}
+              className="neural-button-secondary disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={busy || readyDecks.length === 0 || readyDecks.length < selectedDecks.length}
+              className="neural-button flex-1 flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {status === 'importing' && <Loader2 className="w-4 h-4 animate-spin" />}
+              {readyDecks.length < selectedDecks.length
+                ? 'Choose a subject and topic for each deck'
+                : `Import ${readyDecks.reduce((sum, deck) => sum + deck.cards.length, 0)} cards`}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { Moon, AlertCircle, TrendingUp, Brain } from 'lucide-react';
 import { getTodayString, isToday } from '../utils/dateUtils';
+import { checklistCompletionRate } from '../utils/routineProgress';
 
 export default function EndOfDayReview({ reviews, setReviews, logs, checklist }) {
   const [showReview, setShowReview] = useState(false);
@@ -27,9 +28,8 @@ export default function EndOfDayReview({ reviews, setReviews, logs, checklist })
 
     const actualStudyTime = todayLogs.filter(l => l.activity === 'Studying').length * 0.5;
 
-    const completionRate = checklist.items
-      ? (checklist.items.filter(i => i.completed).length / checklist.items.length) * 100
-      : 0;
+    // Partial credit for count/duration routines; rest days have nothing due (0)
+    const completionRate = checklistCompletionRate(checklist.items) * 100;
 
     const actualFollowedRoutines = completionRate >= 70;
 
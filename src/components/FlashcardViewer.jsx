@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { X, Loader2, RotateCcw, Lightbulb, ChevronRight, AlertCircle, Check, Trophy, Sparkles, RefreshCw, BookMarked } from 'lucide-react';
 import 'katex/dist/katex.min.css';
 import { InlineMath, BlockMath } from 'react-katex';
@@ -83,6 +83,7 @@ function FlashcardViewer({ subject, topic, topicDescription, onClose }) {
   const [sessionStats, setSessionStats] = useState({ total: 0, correct: 0, incorrect: 0, remaining: 0 });
   const [isSessionComplete, setIsSessionComplete] = useState(false);
   const [deckStats, setDeckStats] = useState(null);
+  const cardShownAt = useRef(Date.now());
 
   // Load or generate deck
   const loadDeck = useCallback(async () => {
@@ -125,13 +126,13 @@ function FlashcardViewer({ subject, topic, topicDescription, onClose }) {
     }
   }, [subject, topic]);
 
-  // Generate new deck
-  const generateNewDeck = async () => {
+  // Generate new deck (fresh skips the server's cached cards)
+  const generateNewDeck = async ({ fresh = false } = {}) => {
     setIsGenerating(true);
     setError(null);
 
     try {
-      const result = await generateFlashcards(subject, topic, topicDescription);
+      const result = await generateFlashcards(subject, topic, topicDescription, null, { fresh });
 
       if (result.success && result.data?.cards) {
         const cards = result.data.cards;
@@ -213,6 +214,11 @@ function FlashcardViewer({ subject, topic, topicDescription, onClose }) {
     return () => window.removeEventListener('keydown', handleKeyPress);
   }, [isFlipped, isLoading, isGenerating, isSessionComplete]);
 
+  // Time each card from when it's shown
+  useEffect(() => {
+    cardShownAt.current = Date.now();
+  }, [currentIndex, studySession]);
+
   // Handle card rating
   const handleRating = async (quality) => {
     if (!deck || !studySession[currentIndex]) return;
@@ -221,7 +227,11 @@ function FlashcardViewer({ subject, topic, topicDescription, onClose }) {
     const isCorrect = quality >= 3;
 
     // Update progress
-    await updateCardProgress(deck.id, card.id, quality);
+    await updateCardProgress(deck.id, card.id, quality, {
+      subject,
+      topic,
+      timeTaken: (Date.now() - cardShownAt.current) / 1000,
+    });
 
     // Update session stats
     setSessionStats(prev => ({
@@ -271,7 +281,7 @@ function FlashcardViewer({ subject, topic, topicDescription, onClose }) {
     setCurrentIndex(0);
     setIsFlipped(false);
     setShowHint(false);
-    await generateNewDeck();
+    await generateNewDeck({ fresh: true });
   };
 
   // Current card
@@ -315,7 +325,7 @@ function FlashcardViewer({ subject, topic, topicDescription, onClose }) {
               Close
             </button>
             <button
-              onClick={generateNewDeck}
+              onClick={() => generateNewDeck()}
               className="px-4 py-2 bg-neural-purple text-white rounded-lg hover:bg-neural-purple/80 transition-colors flex items-center gap-2"
             >
               <RotateCcw className="w-4 h-4" />
@@ -607,4 +617,5 @@ function FlashcardViewer({ subject, topic, topicDescription, onClose }) {
   );
 }
 
+export { renderMathText, TYPE_COLORS, RATING_BUTTONS };
 export default FlashcardViewer;
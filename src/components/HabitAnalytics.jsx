@@ -0,0 +1,279 @@
+/**
+ * HABIT ANALYTICS COMPONENT
+ *
+ * Purpose: DailyChecklist's "Insights" view - a weekly report card, per-routine
+ *          completion by weekday, streaks, time drift, energy from QuickLogger
+ *          logs and routines worth retiring (numbers from utils/habitAnalytics.js)
+ *
+ * Retiring a routine goes through DailyChecklist's onRetire, same as deleting it.
+ */
+
+import { useState, useMemo } from 'react';
+import { BarChart3, ChevronLeft, ChevronRight, Flame, X, Zap, Archive, AlertTriangle } from 'lucide-react';
+import { getTodayString } from '../utils/dateUtils';
+import { addDays } from '../utils/routineSchedule';
+import {
+  analyzeHabits,
+  describeCorrelation,
+  routineInsights,
+  weekStartOf,
+  weeklyReportCard,
+} from '../utils/habitAnalytics';
+
+const percent = (rate) => (rate === null ? '-' : `${Math.round(rate * 100)}%`);
+
+const formatShortDate = (dateString) => new Date(`${dateString}T00:00:00Z`).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC',
+});
+
+const gradeColor = (grade) => ({
+  A: 'text-green-400',
+  B: 'text-neural-blue',
+  C: 'text-yellow-400',
+  D: 'text-orange-400',
+  F: 'text-red-400',
+}[grade] || 'text-gray-500');
+
+const barColor = (rate) => {
+  if (rate === null) return 'bg-gray-800';
+  if (rate >= 0.7) return 'bg-green-500/70';
+  if (rate >= 0.4) return 'bg-yellow-500/70';
+  return 'bg-red-500/70';
+};
+
+// Mon-Sun bars for a list of { label, rate }
+function WeekdayBars({ days, height = 'h-16' }) {
+  return (
+    <div className="flex items-end gap-1">
+      {days.map(day => (
+        <div key={day.label} className="flex-1 text-center" title={`${day.label}: ${percent(day.rate)}`}>
+          <div className={`${height} flex items-end bg-neural-darker rounded`}>
+            <div
+              className={`w-full rounded ${barColor(day.rate)}`}
+              style={{ height: `${Math.max(day.rate ?? 0, 0.04) * 100}%` }}
+            />
+          </div>
+          <div className="text-[10px] text-gray-500 mt-1">{day.label[0]}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function HabitAnalytics({ routines, history, holidays, logs, onRetire, onClose }) {
+  const today = getTodayString();
+  // The report card opens on last week if this week has nothing in history yet
+  const [weekStart, setWeekStart] = useState(() => {
+    const thisWeek = weekStartOf(today);
+    return thisWeek === today ? addDays(thisWeek, -7) : thisWeek;
+  });
+  const [dismissed, setDismissed] = useState([]);
+
+  const analytics = useMemo(
+    () => analyzeHabits(routines, history, { today, holidays, logs }),
+    [routines, history, today, holidays, logs]
+  );
+  const report = useMemo(
+    () => weeklyReportCard(routines, history, { weekStart, today, holidays }),
+    [routines, history, weekStart, today, holidays]
+  );
+
+  const retire = analytics.retire.filter(item => !dismissed.includes(item.id));
+  const hasHistory = analytics.routines.some(stats => stats.dueDays > 0);
+
+  return (
+    <div className="neural-card">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-bold flex items-center gap-2">
+            <BarChart3 className="w-6 h-6 text-neural-purple" />
+            Routine Insights
+          </h2>
+          <p className="text-sm text-gray-400 mt-1">Last 90 days, counting only the days each routine was due</p>
+        </div>
+        <button onClick={onClose} className="neural-button-secondary">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Weekly Report Card */}
+      <div className="bg-neural-darker border border-gray-800 rounded-lg p-4 mb-6">
+        <div className="flex items-center justify-between mb-3">
+          <button
+            onClick={() => setWeekStart(addDays(weekStart, -7))}
+            className="text-gray-400 hover:text-white"
+            title="Previous week"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <h3 className="font-bold">
+            Week of {formatShortDate(report.weekStart)} - {formatShortDate(report.weekEnd)}
+          </h3>
+          <button
+            onClick={() => setWeekStart(addDays(weekStart, 7))}
+            disabled={addDays(weekStart, 7) > today}
+            className="text-gray-400 hover:text-white disabled:opacity-30"
+            title="Next week"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+
+        {report.daysTracked === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No routine days recorded this week</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-4 gap-3 mb-4 text-center">
+              <div>
+                <div className={`text-4xl font-bold ${gradeColor(report.grade)}`}>{report.grade}</div>
+                <div className="text-xs text-gray-500">Grade</div>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-neural-purple">{percent(report.rate)}</div>
+                <div className="text-xs text-gray-500">
+                  {report.change === null
+                    ? 'Completion'
+                    : `${report.change >= 0 ? '▲' : '▼'} ${Math.abs(Math.round(report.change * 100))}% vs last week`}
+                </div>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-orange-400">{report.streakDays}/{report.daysTracked}</div>
+                <div className="text-xs text-gray-500">Streak days</div>
+              </div>
+              <div>
+                <div className="text-sm font-bold text-green-400 mt-1">
+                  {report.bestDay ? formatShortDate(report.bestDay) : '-'}
+                </div>
+                <div className="text-xs text-gray-500">Best day</div>
+                {report.worstDay && (
+                  <div className="text-xs text-red-400 mt-1">Worst: {formatShortDate(report.worstDay)}</div>
+                )}
+              </div>
+            </div>
+
+            <div className="space-y-1">
+              {report.routines.map(row => (
+                <div key={row.id} className="flex items-center gap-3 text-sm">
+                  <span className={`w-5 font-bold ${gradeColor(row.grade)}`}>{row.grade}</span>
+                  <span className="flex-1 text-gray-300 truncate">{row.text}</span>
+                  <span className="text-gray-500">{row.done}/{row.due}</span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      {!hasHistory ? (
+        <p className="text-sm text-gray-500 text-center py-8">
+          Insights appear once a few days of routines are in your history
+        </p>
+      ) : (
+        <>
+          {/* Overall */}
+          <div className="grid grid-cols-2 gap-4 mb-6">
+            <div className="bg-neural-darker border border-gray-800 rounded-lg p-4">
+              <div className="text-sm text-gray-400 mb-3">Completion by weekday</div>
+              <WeekdayBars days={analytics.byWeekday} />
+            </div>
+            <div className="bg-neural-darker border border-gray-800 rounded-lg p-4">
+              <div className="text-sm text-gray-400 mb-2 flex items-center gap-1">
+                <Zap className="w-4 h-4 text-yellow-400" />
+                Energy and routines
+              </div>
+              {analytics.energyCorrelation !== null && (
+                <div className="text-2xl font-bold text-yellow-400 mb-1">
+                  {analytics.energyCorrelation.toFixed(2)}
+                </div>
+              )}
+              <p className="text-xs text-gray-400">{describeCorrelation(analytics.energyCorrelation)}</p>
+              <p className="text-xs text-gray-600 mt-1">{analytics.energyDays} days with QuickLogger energy logs</p>
+            </div>
+          </div>
+
+          {/* Retire suggestions */}
+          {retire.length > 0 && (
+            <div className="mb-6 space-y-2">
+              <h3 className="font-bold text-sm text-orange-400 flex items-center gap-2">
+                <AlertTriangle className="w-4 h-4" />
+                Consider retiring
+              </h3>
+              {retire.map(item => (
+                <div key={item.id} className="flex items-center gap-3 p-3 rounded-lg bg-orange-900/10 border border-orange-600/30">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-gray-200 truncate">{item.text}</p>
+                    <p className="text-xs text-gray-500">{item.reason}</p>
+                  </div>
+                  <button
+                    onClick={() => {
+                      if (confirm(`Retire "${item.text}"? It won't appear on your checklist again.`)) {
+                        onRetire(item.id);
+                      }
+                    }}
+                    className="neural-button-secondary text-xs flex items-center gap-1"
+                  >
+                    <Archive className="w-3 h-3" />
+                    Retire
+                  </button>
+                  <button
+                    onClick={() => setDismissed(prev => [...prev, item.id])}
+                    className="text-xs text-gray-500 hover:text-white"
+                  >
+                    Keep
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Per routine */}
+          <h3 className="font-bold text-sm text-gray-400 uppercase tracking-wide mb-2">By routine</h3>
+          <div className="space-y-3">
+            {analytics.routines
+              .filter(stats => stats.dueDays > 0)
+              .sort((a, b) => a.rate - b.rate)
+              .map(stats => {
+                const notes = routineInsights(stats);
+                return (
+                  <div key={stats.id} className="bg-neural-darker border border-gray-800 rounded-lg p-3">
+                    <div className="flex items-start justify-between gap-3 mb-2">
+                      <div className="min-w-0">
+                        <p className="text-sm text-gray-200 truncate">
+                          {stats.text}
+                          {stats.abandoned && (
+                            <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-red-900/30 text-red-400">
+                              slipping
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {stats.doneDays}/{stats.dueDays} due days · last 14: {percent(stats.recentRate)}
+                        </p>
+                      </div>
+                      <div className="text-right flex-shrink-0">
+                        <div className="text-lg font-bold text-neural-purple">{percent(stats.rate)}</div>
+                        <div className="text-xs text-orange-400 flex items-center gap-1 justify-end">
+                          <Flame className="w-3 h-3" />
+                          {stats.streaks.current} now · best {stats.streaks.longest}
+                        </div>
+                      </div>
+                    </div>
+                    <WeekdayBars days={stats.byWeekday} height="h-8" />
+                    {notes.length > 0 && (
+                      <ul className="mt-2 space-y-0.5">
+                        {notes.map(note => (
+                          <li key={note} className="text-xs text-gray-400">• {note}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                );
+              })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -8,17 +8,27 @@
  * Key Features:
  * - Voice input using Web Speech API
  * - Auto-save drafts after 3 seconds
- * - Tag filtering and search
- * - AI organization with Claude Sonnet 4.5
+ * - Query search with autocomplete (IdeaQueryInput, syntax in shared/ideaQuery.js):
+ *   tag:uni type:timetable due:<2026-11-01 priority:high -tag:someday created:last-week,
+ *   AND/OR/NOT and ( ). Plain words match at once, then semantic ranking from
+ *   /api/search-ideas once typing pauses - "exercise" finds "go for a run"
+ * - Saved searches pinned as smart lists with live counts
+ * - Quick filter chips (OR of tags/classifications), applied on top of the query
+ * - Near-duplicate captures flagged in a dismissible panel (/api/cluster-ideas)
+ * - "Find similar" in the edit modal (/api/similar-ideas)
+ * - Connections (utils/ideaLinks.js): [[Title]] links between ideas, follow-up
+ *   threads and saved groups, shown in the edit modal and in IdeaGraphView
+ * - AI organization with Claude Sonnet 4.5 - themes can be saved as idea groups
  * - Organization history with timestamps
  * - Drag-and-drop reordering (lines 225-309)
  * - Accelerated scrolling when dragging near top (100px zone)
  *
  * State Management:
- * - ideas[] - Stored in localStorage, newest first
+ * - ideas[] - Newest first; guests use localStorage, signed-in users IndexedDB + sync outbox (ideaSyncService)
  * - draggedItemId, dragOverItemId - Drag-and-drop tracking
  * - organizedData - AI organization results
  * - organizationHistory - Past organization sessions
+ * - ideaLinks, ideaGroups - Connections between ideas (useLifeData, synced for signed-in users)
  *
  * Key Functions:
  * - saveIdea() (97-123) - Save captured idea
@@ -34,14 +44,32 @@
  */
 
 import { useState, useEffect, useRef, useMemo, useCallback, memo } from 'react';
-import { Lightbulb, Tag, Mic, Save, Search, X, Copy, Check, Sparkles, Loader, AlertCircle, XCircle, History, ChevronLeft, ChevronRight, Clipboard, Settings, Upload } from 'lucide-react';
+import { Lightbulb, Tag, Mic, Save, X, Copy, Check, Sparkles, Loader, AlertCircle, XCircle, History, ChevronLeft, ChevronRight, Clipboard, Settings, Upload, CloudOff, AlertTriangle, Pin, Network, Link2, Layers } from 'lucide-react';
 import { formatDateTime } from '../utils/dateUtils';
-import { organizeIdeas } from '../utils/apiService';
+import { organizeIdeas, apiFetch, searchIdeas, findSimilarIdeas, clusterIdeas } from '../utils/apiService';
 import { useLocalStorage } from '../hooks/useLocalStorage';
+import { useLifeData } from '../hooks/useLifeData';
 import IdeaEditModal from './IdeaEditModal';
-import { supabase } from '../supabaseClient';
+import IdeaGraphView from './IdeaGraphView';
+import IdeaQueryInput from './IdeaQueryInput';
+import { ideaContainsText, isStructuredQuery, matchesQuery, parseQuery } from '../../shared/ideaQuery.js';
+import {
+  countConnections,
+  createGroupFromTheme,
+  reconcileReferenceLinks,
+  removeIdeaFromGroups,
+  removeIdeaFromLinks,
+  setThreadParent,
+  splitWikiLinks,
+} from '../utils/ideaLinks';
 import { useAuth } from '../contexts/AuthContext';
-import { jsToDb, dbToJs } from '../utils/ideaMapper';
+import {
+  createIdea as createIdeaLocally,
+  updateIdea as updateIdeaLocally,
+  deleteIdea as deleteIdeaLocally,
+  resolveConflict,
+  SYNC_STATUS,
+} from '../utils/ideaSyncService';
 // Temporarily disabled virtual scrolling - using regular rendering instead
 // import { VariableSizeList as List } from 'react-window';
 
@@ -52,6 +80,7 @@ let ideaCardRenderCount = 0;
 // Memoized IdeaCard component to prevent re-renders during scroll
 const IdeaCard = memo(({
   idea,
+  connectionCount,
   draggedItemId,
   dragOverItemId,
   copiedIdeaId,
@@ -61,7 +90,8 @@ const IdeaCard = memo(({
   onDrop,
   onCopy,
   onEdit,
-  onDelete
+  onDelete,
+  onResolveConflict
 }) => {
   // 🔍 DIAGNOSTIC: Count renders
   ideaCardRenderCount++;
@@ -90,7 +120,15 @@ const IdeaCard = memo(({
     >
       <div className="flex justify-between items-start gap-4">
         <div className="flex-1">
-          <p className="text-gray-100 mb-2">{idea.content}</p>
+          <p className="text-gray-100 mb-2">
+            {splitWikiLinks(idea.content).map((part, index) => (
+              part.label ? (
+                <span key={index} className="text-neural-purple">{part.text}</span>
+              ) : (
+                part.text
+              )
+            ))}
+          </p>
 
           {/* Classification Badge */}
           {idea.classificationType && idea.classificationType !== 'general' && (
@@ -105,6 +143,39 @@ const IdeaCard = memo(({
             </span>
           )}
 
+          {/* Connections Badge */}
+          {connectionCount > 0 && (
+            <span
+              className="inline-flex items-center gap-1 px-2 py-1 ml-2 rounded text-xs font-medium mb-2 bg-gray-800 text-gray-300 border border-gray-700"
+              title="Links and follow-ups - open the idea to see them"
+            >
+              <Link2 className="w-3 h-3" />
+              {connectionCount}
+            </span>
+          )}
+
+          {/* Sync Status Badge */}
+          {idea.syncStatus === SYNC_STATUS.PENDING && (
+            <span
+              className="inline-flex items-center gap-1 px-2 py-1 ml-2 rounded text-xs font-medium mb-2 bg-amber-950 text-amber-300 border border-amber-700"
+              title="Saved on this device - will upload when you're back online"
+            >
+              <CloudOff className="w-3 h-3" />
+              Pending sync
+            </span>
+          )}
+          {idea.syncStatus === SYNC_STATUS.CONFLICT && (
+            <button
+              onClick={() => onResolveConflict(idea)}
+              onMouseDown={(e) => e.stopPropagation()}
+              className="inline-flex items-center gap-1 px-2 py-1 ml-2 rounded text-xs font-medium mb-2 bg-red-950 text-red-300 border border-red-700 hover:bg-red-900"
+              title="This idea changed on another device while you were offline - click to choose a version"
+            >
+              <AlertTriangle className="w-3 h-3" />
+              Sync conflict
+            </button>
+          )}
+
           {/* Tags */}
           {idea.tags && idea.tags.length > 0 && (
             <div className="flex flex-wrap gap-2 mb-2">
@@ -178,6 +249,8 @@ const IdeaCard = memo(({
   if (prevProps.idea.dueDate !== nextProps.idea.dueDate) return false;
   if (prevProps.idea.classificationType !== nextProps.idea.classificationType) return false;
   if (prevProps.idea.autoClassified !== nextProps.idea.autoClassified) return false;
+  if (prevProps.idea.syncStatus !== nextProps.idea.syncStatus) return false;
+  if (prevProps.connectionCount !== nextProps.connectionCount) return false;
 
   // Check drag state
   if (prevProps.draggedItemId !== nextProps.draggedItemId) return false;
@@ -210,6 +283,20 @@ const IDEA_TAGS = [
   'someday-maybe'
 ];
 
+// Semantic search waits for a pause in typing; the substring filter answers meanwhile
+const SEARCH_DEBOUNCE_MS = 500;
+const SEARCH_RESULT_LIMIT = 200;
+
+// Duplicates are looked for a little after the number of saved ideas changes
+const DUPLICATE_CHECK_DELAY_MS = 5000;
+const MAX_DISMISSED_CLUSTERS = 200;
+
+// A cluster is remembered by its members, so it comes back if a new duplicate joins it
+const clusterKey = (ids) => ids.map(String).sort().join(',');
+
+// Tags offered by autocomplete: most used first
+const MAX_SUGGESTED_TAGS = 50;
+
 export default function IdeaCapture({
   ideas,
   setIdeas,
@@ -253,6 +340,22 @@ export default function IdeaCapture({
     classifications: []
   });
 
+  // Saved searches, pinned above the list as smart lists ({ id, name, query })
+  const [savedSearches, setSavedSearches] = useLocalStorage('neural-saved-searches', []);
+
+  // Semantic search: the server's ranking for the query's plain words ({ term, scores, semantic })
+  const [searchRanking, setSearchRanking] = useState(null);
+  const searchAbortRef = useRef(null);
+
+  // Connections between ideas ([[links]] and threads) and saved groups - see utils/ideaLinks.js
+  const [ideaLinks, setIdeaLinks] = useLifeData('neural-idea-links', []);
+  const [ideaGroups, setIdeaGroups] = useLifeData('neural-idea-groups', []);
+  const [showGraph, setShowGraph] = useState(false);
+
+  // Near-duplicate captures, and the ones the user said aren't duplicates
+  const [duplicateClusters, setDuplicateClusters] = useState([]);
+  const [dismissedClusters, setDismissedClusters] = useLocalStorage('neural-dismissed-duplicates', []);
+
   const textareaRef = useRef(null);
   const recognitionRef = useRef(null);
 
@@ -388,19 +491,11 @@ export default function IdeaCapture({
         return;
       }
 
-      // Regular user: save to Supabase
-      const dbIdea = jsToDb(newIdea, user.id);
-      
-      const { data, error } = await supabase
-        .from('ideas')
-        .insert(dbIdea)
-        .select()
-        .single();
+      // Regular user: save to IndexedDB and queue the upload (works offline)
+      const result = await createIdeaLocally(user.id, newIdea);
+      if (!result.success) throw new Error(result.error);
 
-      if (error) throw error;
-
-      // Convert back to JS format and add to local state
-      const savedIdea = dbToJs(data);
+      const savedIdea = result.data;
       setIdeas(prev => [savedIdea, ...prev]);
 
       // Reset form
@@ -429,9 +524,8 @@ export default function IdeaCapture({
   // Auto-classify idea in background after save
   const classifyIdeaInBackground = async (idea) => {
     try {
-      const response = await fetch('/api/classify-idea', {
+      const response = await apiFetch('/api/classify-idea', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           content: idea.content,
           context: idea.context,
@@ -442,21 +536,24 @@ export default function IdeaCapture({
 
       if (response.ok) {
         const classification = await response.json();
+        const classified = {
+          classificationType: classification.classificationType || 'general',
+          duration: classification.duration,
+          recurrence: classification.recurrence || 'none',
+          timeOfDay: classification.timeOfDay,
+          priority: classification.priority || 'medium',
+          autoClassified: true
+        };
 
         // Update idea with classification
         setIdeas(prev => prev.map(i =>
-          i.id === idea.id
-            ? {
-                ...i,
-                classificationType: classification.classificationType || 'general',
-                duration: classification.duration,
-                recurrence: classification.recurrence || 'none',
-                timeOfDay: classification.timeOfDay,
-                priority: classification.priority || 'medium',
-                autoClassified: true
-              }
-            : i
+          i.id === idea.id ? { ...i, ...classified } : i
         ));
+
+        // Persist it for signed-in users (coalesces into the pending insert when still offline)
+        if (!user?.isGuest && user?.id) {
+          await updateIdeaLocally(user.id, { ...idea, ...classified });
+        }
       }
     } catch (error) {
       console.error('Background classification failed:', error);
@@ -467,9 +564,8 @@ export default function IdeaCapture({
   // Manual classification function for edit modal
   const classifyIdea = async (content, context, tags) => {
     try {
-      const response = await fetch('/api/classify-idea', {
+      const response = await apiFetch('/api/classify-idea', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           content,
           context,
@@ -520,33 +616,42 @@ export default function IdeaCapture({
     }
 
     try {
-      // Guest mode: remove from state only
-      if (user.isGuest) {
-        setIdeas(prev => prev.filter(i => i.id !== id));
-        return;
+      // Regular user: delete locally and queue the delete for Supabase (guests: state only)
+      if (!user.isGuest) {
+        const result = await deleteIdeaLocally(user.id, id);
+        if (!result.success) throw new Error(result.error);
       }
 
-      // Regular user: delete from Supabase
-      const { error } = await supabase
-        .from('ideas')
-        .delete()
-        .eq('id', id);
-
-      if (error) throw error;
-
-      // Remove from local state
+      // Remove from local state, with its links and group memberships
       setIdeas(prev => prev.filter(i => i.id !== id));
+      setIdeaLinks(prev => removeIdeaFromLinks(prev, id));
+      setIdeaGroups(prev => removeIdeaFromGroups(prev, id));
     } catch (error) {
       console.error('Error deleting idea:', error);
       alert('Failed to delete idea: ' + error.message);
     }
-  }, [setIdeas, user?.id, user?.isGuest]);
+  }, [setIdeas, setIdeaLinks, setIdeaGroups, user?.id, user?.isGuest]);
 
   // Modal handlers
   const openEditModal = useCallback((idea) => {
     setEditingIdea(idea);
   }, []);
 
+  // For the edit modal's "Find similar": ids from the server back to ideas
+  const findSimilarToIdea = useCallback(async (idea) => {
+    const candidates = ideas.filter(i => !i.isDraft);
+    const result = await findSimilarIdeas(idea, candidates);
+    if (!result.success) return { error: result.error };
+
+    const byId = new Map(candidates.map(i => [i.id, i]));
+    return {
+      semantic: result.data.semantic,
+      similar: result.data.similar
+        .filter(({ id }) => byId.has(id))
+        .map(({ id, similarity }) => ({ idea: byId.get(id), similarity })),
+    };
+  }, [ideas]);
+
   const handleSaveFromModal = async (updatedIdea) => {
     if (!user?.id) {
       alert('You must be logged in to update ideas');
@@ -563,20 +668,11 @@ export default function IdeaCapture({
         return;
       }
 
-      // Regular user: update in Supabase
-      const dbIdea = jsToDb(updatedIdea, user.id);
-      
-      const { data, error } = await supabase
-        .from('ideas')
-        .update(dbIdea)
-        .eq('id', updatedIdea.id)
-        .select()
-        .single();
+      // Regular user: save locally and queue the update for Supabase
+      const result = await updateIdeaLocally(user.id, updatedIdea);
+      if (!result.success) throw new Error(result.error);
 
-      if (error) throw error;
-
-      // Convert back to JS format and update local state
-      const savedIdea = dbToJs(data);
+      const savedIdea = result.data;
       setIdeas(prev => prev.map(i =>
         i.id === savedIdea.id ? savedIdea : i
       ));
@@ -587,6 +683,31 @@ export default function IdeaCapture({
     }
   };
 
+  // Offline edit lost a race with another device (or was rejected) - let the user pick a version
+  const handleResolveConflict = useCallback(async (idea) => {
+    if (!user?.id || user.isGuest) return;
+
+    const reason = idea.conflict?.reason;
+    const message = reason === 'deleted-remotely'
+      ? 'This idea was deleted on another device while you were editing it offline.\n\nOK = restore your version\nCancel = delete it here too'
+      : reason === 'rejected'
+      ? `This idea could not be uploaded${idea.conflict?.message ? ` (${idea.conflict.message})` : ''}.\n\nOK = try uploading your version again\nCancel = discard your change and keep the synced version`
+      : 'This idea was changed on another device while you were offline.\n\nOK = keep your version\nCancel = keep the synced version';
+
+    const keep = window.confirm(message) ? 'local' : 'remote';
+    const result = await resolveConflict(user.id, idea, keep);
+    if (!result.success) {
+      alert('Failed to resolve conflict: ' + result.error);
+      return;
+    }
+
+    if (!result.data) {
+      setIdeas(prev => prev.filter(i => i.id !== idea.id));
+    } else {
+      setIdeas(prev => prev.map(i => (i.id === idea.id ? result.data : i)));
+    }
+  }, [setIdeas, user?.id, user?.isGuest]);
+
   const handleDeleteFromModal = (ideaId) => {
     deleteIdea(ideaId);
     setEditingIdea(null);
@@ -734,18 +855,13 @@ export default function IdeaCapture({
         return;
       }
 
-      // Regular user: save to Supabase
-      const dbIdeas = parsedIdeas.map(idea => jsToDb(idea, user.id));
-      
-      const { data, error } = await supabase
-        .from('ideas')
-        .insert(dbIdeas)
-        .select();
-
-      if (error) throw error;
-
-      // Convert back to JS format and add to local state
-      const savedIdeas = data.map(dbToJs);
+      // Regular user: save to IndexedDB and queue the uploads
+      const savedIdeas = [];
+      for (const idea of parsedIdeas) {
+        const result = await createIdeaLocally(user.id, idea);
+        if (!result.success) throw new Error(result.error);
+        savedIdeas.push(result.data);
+      }
       setIdeas(prev => [...savedIdeas, ...prev]);
 
       setImportStatus({
@@ -773,14 +889,18 @@ export default function IdeaCapture({
     setOrganizationError(null);
 
     try {
-      const result = await organizeIdeas(filteredIdeas);
+      const query = organizeByQuery ? activeQuery : null;
+      const result = query
+        ? await organizeIdeas(savedIdeas, { query })
+        : await organizeIdeas(filteredIdeas);
 
       if (result.success) {
         const historyEntry = {
           id: Date.now(),
           timestamp: new Date().toISOString(),
           data: result.data,
-          ideaCount: filteredIdeas.length,
+          ideaCount: result.data.query?.matched ?? filteredIdeas.length,
+          ...(query && { query }),
         };
 
         // Save to history (newest first)
@@ -935,6 +1055,148 @@ export default function IdeaCapture({
     }
   });
 
+  const savedIdeas = useMemo(() => ideas.filter(idea => !idea.isDraft), [ideas]);
+  const savedIdeaCount = savedIdeas.length;
+  const savedIdeasRef = useRef(savedIdeas);
+  savedIdeasRef.current = savedIdeas;
+
+  // [[Title]] links follow the ideas' text: added, retargeted or dropped as ideas change
+  useEffect(() => {
+    setIdeaLinks(prev => reconcileReferenceLinks(prev, savedIdeas));
+  }, [savedIdeas, ideaLinks, setIdeaLinks]);
+
+  const connectionCounts = useMemo(() => countConnections(ideaLinks), [ideaLinks]);
+
+  const handleSetThreadParent = useCallback((childId, parentId) => {
+    setIdeaLinks(prev => setThreadParent(prev, childId, parentId));
+  }, [setIdeaLinks]);
+
+  // An organize theme is saved when a group from it has the same name and ideas
+  const isThemeSaved = (theme) => ideaGroups.some(group => (
+    group.source === 'organize' &&
+    group.name === theme.name &&
+    group.ideaIds.length === (theme.ideaIds || []).length &&
+    group.ideaIds.every(id => theme.ideaIds.some(themeId => String(themeId) === String(id)))
+  ));
+
+  const saveThemeAsGroup = (theme) => {
+    const group = createGroupFromTheme(theme, savedIdeas);
+    if (!group) {
+      alert('None of the ideas in this theme exist any more.');
+      return;
+    }
+    setIdeaGroups(prev => [group, ...prev]);
+  };
+
+  const deleteGroup = useCallback((groupId) => {
+    setIdeaGroups(prev => prev.filter(group => group.id !== groupId));
+  }, [setIdeaGroups]);
+
+  // The search box as a query: fields and operators, plus the plain words in `text`
+  const parsedQuery = useMemo(() => parseQuery(searchTerm), [searchTerm]);
+  const searchText = parsedQuery.text.trim();
+
+  // Tags for autocomplete, most used first
+  const knownTags = useMemo(() => {
+    const counts = new Map();
+    savedIdeas.forEach(idea => idea.tags?.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_SUGGESTED_TAGS)
+      .map(([tag]) => tag);
+  }, [savedIdeas]);
+
+  // Semantic search of the plain words once typing pauses; a newer search aborts the one in flight
+  useEffect(() => {
+    const term = searchText;
+    if (!term) {
+      searchAbortRef.current?.abort();
+      setSearchRanking(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      searchAbortRef.current?.abort();
+      const controller = new AbortController();
+      searchAbortRef.current = controller;
+
+      const result = await searchIdeas(term, savedIdeas, { limit: SEARCH_RESULT_LIMIT, signal: controller.signal });
+      if (result.success) {
+        setSearchRanking({
+          term,
+          scores: new Map(result.data.results.map(({ id, score }) => [id, score])),
+          semantic: result.data.semantic,
+        });
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [searchText, savedIdeas]);
+
+  useEffect(() => () => searchAbortRef.current?.abort(), []);
+
+  // Look for near-duplicates when ideas are captured, imported or deleted
+  useEffect(() => {
+    if (savedIdeaCount < 2) {
+      setDuplicateClusters([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      const result = await clusterIdeas(savedIdeasRef.current);
+      if (result.success) setDuplicateClusters(result.data.clusters);
+    }, DUPLICATE_CHECK_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [savedIdeaCount]);
+
+  // Clusters still worth showing: not dismissed, and at least two members still around
+  const visibleClusters = useMemo(() => {
+    const byId = new Map(savedIdeas.map(idea => [idea.id, idea]));
+    const dismissed = new Set(dismissedClusters);
+    return duplicateClusters
+      .map(cluster => {
+        const members = cluster.ids.filter(id => byId.has(id));
+        return { key: clusterKey(members), ideas: members.map(id => byId.get(id)), similarity: cluster.similarity };
+      })
+      .filter(cluster => cluster.ideas.length > 1 && !dismissed.has(cluster.key));
+  }, [duplicateClusters, dismissedClusters, savedIdeas]);
+
+  const dismissCluster = useCallback((key) => {
+    setDismissedClusters(prev => [...prev.filter(k => k !== key), key].slice(-MAX_DISMISSED_CLUSTERS));
+  }, [setDismissedClusters]);
+
+  // Smart lists: each saved search with how many ideas it holds right now
+  const smartLists = useMemo(() => savedSearches.map(search => {
+    const { ast } = parseQuery(search.query);
+    return { ...search, count: savedIdeas.filter(idea => matchesQuery(ast, idea)).length };
+  }), [savedSearches, savedIdeas]);
+
+  const activeQuery = searchTerm.trim();
+  const isSavedSearch = savedSearches.some(search => search.query === activeQuery);
+
+  const saveCurrentSearch = useCallback(() => {
+    const name = prompt('Name this smart list:', activeQuery);
+    if (!name?.trim()) return;
+    setSavedSearches(prev => [
+      ...prev.filter(search => search.query !== activeQuery),
+      { id: Date.now(), name: name.trim(), query: activeQuery },
+    ]);
+  }, [activeQuery, setSavedSearches]);
+
+  const removeSavedSearch = useCallback((id) => {
+    setSavedSearches(prev => prev.filter(search => search.id !== id));
+  }, [setSavedSearches]);
+
+  // A query of fields alone, with no chips on top, is sent as it is so the server
+  // organizes exactly what the query selects (plain words stay client-side: they
+  // also match by meaning here)
+  const organizeByQuery = isStructuredQuery(parsedQuery.ast)
+    && !searchText
+    && parsedQuery.errors.length === 0
+    && selectedFilters.tags.length === 0
+    && selectedFilters.classifications.length === 0;
+
   // Memoize filtered ideas with enhanced filtering
   const filteredIdeas = useMemo(() => {
     console.log('🔍 filteredIdeas recalculating...', {
@@ -943,16 +1205,17 @@ export default function IdeaCapture({
       tagFilters: selectedFilters.tags.length,
       classificationFilters: selectedFilters.classifications.length
     });
-    let filtered = ideas.filter(idea => !idea.isDraft);
-
-    // Search filter (content, tags, context)
-    if (searchTerm) {
-      const search = searchTerm.toLowerCase();
-      filtered = filtered.filter(idea =>
-        idea.content.toLowerCase().includes(search) ||
-        idea.tags?.some(tag => tag.toLowerCase().includes(search)) ||
-        (idea.context && idea.context.toLowerCase().includes(search))
-      );
+    let filtered = savedIdeas;
+
+    // Query filter - plain words match content, tags and context right away; once the
+    // semantic ranking for them arrives it adds related ideas and orders them
+    if (parsedQuery.ast) {
+      const scores = searchText && searchRanking?.term === searchText ? searchRanking.scores : null;
+      const matchText = (idea, text) => Boolean(scores?.has(idea.id)) || ideaContainsText(idea, text);
+      filtered = filtered.filter(idea => matchesQuery(parsedQuery.ast, idea, { matchText }));
+      if (scores) {
+        filtered.sort((a, b) => (scores.get(b.id) ?? 0) - (scores.get(a.id) ?? 0));
+      }
     }
 
     // Category filters with OR logic (match ANY selected tag OR classification)
@@ -970,7 +1233,13 @@ export default function IdeaCapture({
     }
 
     return filtered;
-  }, [ideas, searchTerm, selectedFilters]);
+  }, [savedIdeas, parsedQuery, searchText, searchRanking, selectedFilters]);
+
+  // Ideas saved locally but not yet in Supabase (header badge)
+  const pendingSyncCount = useMemo(
+    () => ideas.filter(idea => idea.syncStatus === SYNC_STATUS.PENDING).length,
+    [ideas]
+  );
 
   // Group ideas by date with pagination
   const groupedIdeas = useMemo(() => {
@@ -987,6 +1256,11 @@ export default function IdeaCapture({
     const monthAgo = new Date(today);
     monthAgo.setMonth(monthAgo.getMonth() - 1);
 
+    // Search results stay in ranked order instead of being split by date
+    if (searchText) {
+      return { matches: filteredIdeas, today: [], yesterday: [], thisWeek: [], thisMonth: [], older: [] };
+    }
+
     const groups = {
       today: [],
       yesterday: [],
@@ -1013,13 +1287,14 @@ export default function IdeaCapture({
     });
 
     return groups;
-  }, [filteredIdeas]);
+  }, [filteredIdeas, searchText]);
 
   // Create a flattened list for virtual scrolling
   const virtualListData = useMemo(() => {
     console.log('🔍 virtualListData recalculating...');
     const rows = [];
     const groupConfigs = [
+      { key: 'matches', label: '🔍 BEST MATCHES', icon: '🔍', color: 'text-neural-purple' },
       { key: 'today', label: '📋 TODAY', icon: '📋', color: 'text-neural-purple' },
       { key: 'yesterday', label: '📅 YESTERDAY', icon: '📅', color: 'text-gray-300' },
       { key: 'thisWeek', label: '📆 THIS WEEK', icon: '📆', color: 'text-gray-300' },
@@ -1028,7 +1303,7 @@ export default function IdeaCapture({
     ];
 
     groupConfigs.forEach(({ key, label, color }) => {
-      const groupItems = groupedIdeas[key];
+      const groupItems = groupedIdeas[key] || [];
       if (groupItems.length === 0) return;
 
       // Add group header
@@ -1166,6 +1441,7 @@ export default function IdeaCapture({
         <div style={style} className="px-3 py-1.5">
           <IdeaCard
             idea={row.idea}
+            connectionCount={connectionCounts.get(String(row.idea.id)) || 0}
             draggedItemId={draggedItemId}
             dragOverItemId={dragOverItemId}
             copiedIdeaId={copiedIdeaId}
@@ -1176,13 +1452,14 @@ export default function IdeaCapture({
             onCopy={copyIdea}
             onEdit={openEditModal}
             onDelete={deleteIdea}
+            onResolveConflict={handleResolveConflict}
           />
         </div>
       );
     }
 
     return null;
-  }, [virtualListData, draggedItemId, dragOverItemId, copiedIdeaId, toggleGroup, loadMore, handleDragStart, handleDragOver, handleDragEnd, handleDrop, copyIdea, openEditModal, deleteIdea]);
+  }, [virtualListData, connectionCounts, draggedItemId, dragOverItemId, copiedIdeaId, toggleGroup, loadMore, handleDragStart, handleDragOver, handleDragEnd, handleDrop, copyIdea, openEditModal, deleteIdea]);
 
   return (
     <div className="space-y-6">
@@ -1337,8 +1614,25 @@ export default function IdeaCapture({
             <h3 className="text-xl font-bold flex items-center gap-2">
               <Lightbulb className="w-5 h-5 text-neural-purple" />
               Captured Ideas ({filteredIdeas.length})
+              {pendingSyncCount > 0 && (
+                <span
+                  className="flex items-center gap-1 text-xs font-normal text-amber-400"
+                  title="Saved on this device and waiting to upload"
+                >
+                  <CloudOff className="w-3 h-3" />
+                  {pendingSyncCount} pending sync
+                </span>
+              )}
             </h3>
             <div className="flex items-center gap-2">
+              <button
+                onClick={() => setShowGraph(true)}
+                className="neural-button-secondary flex items-center gap-2"
+                title="Ideas connected by [[links]], threads and groups"
+              >
+                <Network className="w-4 h-4" />
+                Graph
+              </button>
               <button
                 onClick={() => setShowImportModal(true)}
                 className="neural-button-secondary flex items-center gap-2"
@@ -1368,24 +1662,90 @@ export default function IdeaCapture({
           </div>
 
           {/* Search Bar */}
-          <div className="relative">
-            <Search className="w-4 h-4 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
-            <input
-              type="text"
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              placeholder="Search ideas, tags, or context..."
-              className="neural-input pl-10 py-2 text-sm w-full"
-            />
-            {searchTerm && (
+          <div className="flex items-center gap-2">
+            <div className="flex-1">
+              <IdeaQueryInput
+                value={searchTerm}
+                onChange={setSearchTerm}
+                tags={knownTags}
+                invalid={parsedQuery.errors.length > 0}
+                placeholder="Search, or try tag:study due:this-week -tag:someday"
+              />
+            </div>
+            {activeQuery && !isSavedSearch && parsedQuery.errors.length === 0 && (
               <button
-                onClick={() => setSearchTerm('')}
-                className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-white"
+                onClick={saveCurrentSearch}
+                className="neural-button-secondary flex items-center gap-1 text-xs whitespace-nowrap"
+                title="Pin this search as a smart list"
               >
-                <X className="w-4 h-4" />
+                <Pin className="w-3 h-3" />
+                Save
               </button>
             )}
           </div>
+          {parsedQuery.errors.length > 0 && (
+            <ul className="text-xs text-red-400 space-y-0.5">
+              {parsedQuery.errors.map(error => (
+                <li key={`${error.start}-${error.message}`}>
+                  {error.message}
+                  {error.end > error.start && (
+                    <span className="text-gray-500"> - at "{searchTerm.slice(error.start, error.end)}"</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {searchText && (
+            <p className="text-xs text-gray-500 flex items-center gap-1">
+              {searchRanking?.term !== searchText ? (
+                <>
+                  <Loader className="w-3 h-3 animate-spin" />
+                  Searching by meaning...
+                </>
+              ) : searchRanking.semantic ? (
+                <>
+                  <Sparkles className="w-3 h-3 text-neural-purple" />
+                  Semantic search - includes ideas with a related meaning
+                </>
+              ) : (
+                'Keyword search only - the search model is unavailable right now'
+              )}
+            </p>
+          )}
+
+          {/* Smart Lists (saved searches) */}
+          {smartLists.length > 0 && (
+            <div className="flex flex-wrap gap-2 items-center">
+              <span className="text-xs text-gray-500">Smart lists:</span>
+              {smartLists.map(list => (
+                <span
+                  key={list.id}
+                  className={`flex items-center gap-1 pl-2 pr-1 py-1 rounded-full text-xs transition-colors ${
+                    activeQuery === list.query
+                      ? 'bg-neural-purple text-white'
+                      : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+                  }`}
+                >
+                  <button
+                    onClick={() => setSearchTerm(activeQuery === list.query ? '' : list.query)}
+                    title={list.query}
+                    className="flex items-center gap-1"
+                  >
+                    <Pin className="w-3 h-3" />
+                    {list.name}
+                    <span className="opacity-70">({list.count})</span>
+                  </button>
+                  <button
+                    onClick={() => removeSavedSearch(list.id)}
+                    className="opacity-60 hover:opacity-100"
+                    title="Remove smart list"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
 
           {/* Filter Chips */}
           <div className="flex flex-wrap gap-2 items-center">
@@ -1437,6 +1797,43 @@ export default function IdeaCapture({
           </div>
         </div>
 
+        {/* Possible Duplicates */}
+        {visibleClusters.length > 0 && (
+          <div className="mb-4 p-3 rounded-lg border border-amber-700/50 bg-amber-950/20 space-y-3">
+            <p className="text-sm font-semibold text-amber-300 flex items-center gap-2">
+              <Copy className="w-4 h-4" />
+              Possible duplicates ({visibleClusters.length})
+            </p>
+            {visibleClusters.map(cluster => (
+              <div key={cluster.key} className="p-2 rounded bg-neural-darker border border-gray-800">
+                <div className="space-y-1">
+                  {cluster.ideas.map(idea => (
+                    <button
+                      key={idea.id}
+                      onClick={() => openEditModal(idea)}
+                      className="w-full text-left text-sm text-gray-300 hover:text-white line-clamp-2"
+                      title="Open to edit or delete"
+                    >
+                      • {idea.content}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center justify-between mt-2">
+                  <span className="text-xs text-gray-500">
+                    {Math.round(cluster.similarity * 100)}% alike
+                  </span>
+                  <button
+                    onClick={() => dismissCluster(cluster.key)}
+                    className="text-xs text-gray-400 hover:text-white transition-colors"
+                  >
+                    Not duplicates
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Ideas List (virtual scrolling temporarily disabled) */}
         {filteredIdeas.length === 0 ? (
           <div className="max-h-96 flex items-center justify-center py-8">
@@ -1460,6 +1857,7 @@ export default function IdeaCapture({
                 <AlertCircle className="w-4 h-4 text-neural-purple" />
                 <span>
                   AI will organize {filteredIdeas.length} filtered {filteredIdeas.length === 1 ? 'idea' : 'ideas'}
+                  {organizeByQuery && ' matching the query'}
                   {ideas.filter(i => !i.isDraft).length !== filteredIdeas.length &&
                     ` (${ideas.filter(i => !i.isDraft).length - filteredIdeas.length} hidden by filters)`}
                 </span>
@@ -1566,15 +1964,34 @@ export default function IdeaCapture({
                           <h4 className="text-lg font-semibold text-neural-purple">
                             {theme.name}
                           </h4>
-                          {theme.priority && (
-                            <span className={`px-3 py-1 rounded-full text-xs font-medium ${
-                              theme.priority === 'high' ? 'bg-red-500/20 text-red-400' :
-                              theme.priority === 'medium' ? 'bg-yellow-500/20 text-yellow-400' :
-                              'bg-green-500/20 text-green-400'
-                            }`}>
-                              {theme.priority.toUpperCase()} PRIORITY
-                            </span>
-                          )}
+                          <div className="flex items-center gap-2">
+                            {theme.priority && (
+                              <span className={`px-3 py-1 rounded-full text-xs font-medium ${
+                                theme.priority === 'high' ? 'bg-red-500/20 text-red-400' :
+                                theme.priority === 'medium' ? 'bg-yellow-500/20 text-yellow-400' :
+                                'bg-green-500/20 text-green-400'
+                              }`}>
+                                {theme.priority.toUpperCase()} PRIORITY
+                              </span>
+                            )}
+                            {theme.ideaIds?.length > 0 && (
+                              isThemeSaved(theme) ? (
+                                <span className="flex items-center gap-1 text-xs text-green-400">
+                                  <Check className="w-3 h-3" />
+                                  Saved as group
+                                </span>
+                              ) : (
+                                <button
+                                  onClick={() => saveThemeAsGroup(theme)}
+                                  className="neural-button-secondary flex items-center gap-1 text-xs px-2 py-1"
+                                  title={`Keep these ${theme.ideaIds.length} ideas together as a group`}
+                                >
+                                  <Layers className="w-3 h-3" />
+                                  Save as group
+                                </button>
+                              )
+                            )}
+                          </div>
                         </div>
                         {theme.description && (
                           <p className="text-gray-400 text-sm mb-3">{theme.description}</p>
@@ -1678,6 +2095,11 @@ export default function IdeaCapture({
                           <span className="text-xs text-gray-500">
                             • {entry.ideaCount} ideas
                           </span>
+                          {entry.query && (
+                            <span className="text-xs text-gray-500 font-mono truncate">
+                              • {entry.query}
+                            </span>
+                          )}
                         </div>
                         {entry.data.summary && (
                           <p className="text-sm text-gray-400 line-clamp-2">
@@ -1841,14 +2263,33 @@ export default function IdeaCapture({
         </div>
       )}
 
+      {/* Graph of connected ideas (before the edit modal, which opens on top of it) */}
+      {showGraph && (
+        <IdeaGraphView
+          ideas={savedIdeas}
+          links={ideaLinks}
+          groups={ideaGroups}
+          onOpenIdea={openEditModal}
+          onDeleteGroup={deleteGroup}
+          onClose={() => setShowGraph(false)}
+        />
+      )}
+
       {/* Edit Modal */}
       {editingIdea && (
         <IdeaEditModal
+          key={editingIdea.id}
           idea={editingIdea}
           onSave={handleSaveFromModal}
           onDelete={handleDeleteFromModal}
           onClose={() => setEditingIdea(null)}
           onClassify={classifyIdea}
+          onFindSimilar={findSimilarToIdea}
+          onOpenIdea={openEditModal}
+          ideas={savedIdeas}
+          links={ideaLinks}
+          groups={ideaGroups}
+          onSetParent={handleSetThreadParent}
         />
       )}
     </div>
@@ -0,0 +1,256 @@
+/**
+ * IDEA CONNECTIONS COMPONENT
+ *
+ * Purpose: The "Connections" section of IdeaEditModal - what an idea links to,
+ *          what links back to it, its thread and the groups it belongs to
+ *
+ * - Links to: the [[Title]]s in the text being edited, resolved as you type
+ *   (they are saved with the idea - see reconcileReferenceLinks in ideaLinks.js)
+ * - Linked from: backlinks, from the saved links
+ * - Thread: the idea this one follows up on, and its follow-ups. Changing the
+ *   parent takes effect at once, like the other link data, not on Save.
+ */
+
+import { useState, useMemo } from 'react';
+import { Link2, GitBranch, Layers, X } from 'lucide-react';
+import {
+  getIdeaConnections,
+  getThreadDescendantIds,
+  ideaTitle,
+  parseWikiLinks,
+  resolveWikiLink,
+} from '../utils/ideaLinks';
+
+const MAX_PICKER_RESULTS = 6;
+
+// Search box over the other ideas; onPick(idea) when one is chosen
+function IdeaPicker({ ideas, excludeIds, placeholder, onPick, onCancel }) {
+  const [term, setTerm] = useState('');
+
+  const results = useMemo(() => {
+    const needle = term.trim().toLowerCase();
+    return ideas
+      .filter(idea => !excludeIds.has(String(idea.id)))
+      .filter(idea => !needle || (idea.content || '').toLowerCase().includes(needle))
+      .slice(0, MAX_PICKER_RESULTS);
+  }, [ideas, excludeIds, term]);
+
+  return (
+    <div className="mt-2 p-2 rounded-lg bg-neural-darker border border-gray-700">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={term}
+          onChange={(e) => setTerm(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              if (results[0]) onPick(results[0]);
+            } else if (e.key === 'Escape') {
+              e.stopPropagation();
+              onCancel();
+            }
+          }}
+          placeholder={placeholder}
+          className="neural-input text-sm py-1 flex-1"
+          autoFocus
+        />
+        <button type="button" onClick={onCancel} className="text-gray-500 hover:text-white">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      {results.length === 0 ? (
+        <p className="text-xs text-gray-500 mt-2">No matching ideas</p>
+      ) : (
+        <div className="mt-2 space-y-1">
+          {results.map(idea => (
+            <button
+              type="button"
+              key={idea.id}
+              onClick={() => onPick(idea)}
+              className="w-full px-2 py-1 rounded text-left text-sm text-gray-300 hover:bg-neural-purple/20 truncate"
+            >
+              {ideaTitle(idea) || '(empty idea)'}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A connected idea, opening it on click
+function IdeaChip({ idea, onOpenIdea, onRemove }) {
+  return (
+    <span className="inline-flex items-center gap-1 max-w-full px-2 py-1 rounded bg-neural-darker border border-gray-800 text-sm">
+      <button
+        type="button"
+        onClick={() => onOpenIdea?.(idea)}
+        className="text-gray-300 hover:text-neural-purple truncate"
+        title={idea.content}
+      >
+        {ideaTitle(idea) || '(empty idea)'}
+      </button>
+      {onRemove && (
+        <button type="button" onClick={onRemove} className="text-gray-600 hover:text-red-400" title="Remove">
+          <X className="w-3 h-3" />
+        </button>
+      )}
+    </span>
+  );
+}
+
+export default function IdeaConnections({ idea, content, ideas, links, groups, onSetParent, onInsertLink, onOpenIdea }) {
+  const [picker, setPicker] = useState(null); // 'link' | 'parent' | null
+
+  const byId = useMemo(() => new Map(ideas.map(i => [String(i.id), i])), [ideas]);
+  const lookup = (ids) => ids.map(id => byId.get(String(id))).filter(Boolean);
+
+  const connections = useMemo(() => getIdeaConnections(links, groups, idea.id), [links, groups, idea.id]);
+  const references = useMemo(
+    () => parseWikiLinks(content).map(label => ({ label, target: resolveWikiLink(label, ideas, idea.id) })),
+    [content, ideas, idea.id]
+  );
+  const backlinks = lookup(connections.backlinkIds);
+  const parent = connections.parentId != null ? byId.get(String(connections.parentId)) : null;
+  const children = lookup(connections.childIds);
+
+  // An idea can't follow up on itself or on anything further down its own thread
+  const parentExcluded = useMemo(() => {
+    const excluded = getThreadDescendantIds(links, idea.id);
+    excluded.add(String(idea.id));
+    return excluded;
+  }, [links, idea.id]);
+  const selfExcluded = useMemo(() => new Set([String(idea.id)]), [idea.id]);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-2">
+        Connections
+        <button
+          type="button"
+          onClick={() => setPicker(picker === 'link' ? null : 'link')}
+          className="ml-3 text-xs neural-button-secondary py-1 px-2"
+        >
+          <Link2 className="w-3 h-3 inline mr-1" />
+          Link to...
+        </button>
+        <button
+          type="button"
+          onClick={() => setPicker(picker === 'parent' ? null : 'parent')}
+          className="ml-2 text-xs neural-button-secondary py-1 px-2"
+        >
+          <GitBranch className="w-3 h-3 inline mr-1" />
+          {parent ? 'Change thread' : 'Follow up on...'}
+        </button>
+      </label>
+      <p className="text-xs text-gray-500 mb-2">
+        Write [[Idea title]] to link another idea
+      </p>
+
+      {picker === 'link' && (
+        <IdeaPicker
+          ideas={ideas}
+          excludeIds={selfExcluded}
+          placeholder="Search ideas to link..."
+          onPick={(target) => {
+            onInsertLink(ideaTitle(target));
+            setPicker(null);
+          }}
+          onCancel={() => setPicker(null)}
+        />
+      )}
+      {picker === 'parent' && (
+        <IdeaPicker
+          ideas={ideas}
+          excludeIds={parentExcluded}
+          placeholder="Search for the idea this follows up on..."
+          onPick={(target) => {
+            onSetParent(idea.id, target.id);
+            setPicker(null);
+          }}
+          onCancel={() => setPicker(null)}
+        />
+      )}
+
+      <div className="space-y-3 mt-2">
+        {parent && (
+          <div>
+            <p className="text-xs text-gray-500 mb-1">Follows up on</p>
+            <IdeaChip idea={parent} onOpenIdea={onOpenIdea} onRemove={() => onSetParent(idea.id, null)} />
+          </div>
+        )}
+
+        {children.length > 0 && (
+          <div>
+            <p className="text-xs text-gray-500 mb-1">Follow-ups</p>
+            <div className="flex flex-wrap gap-2">
+              {children.map(child => (
+                <IdeaChip
+                  key={child.id}
+                  idea={child}
+                  onOpenIdea={onOpenIdea}
+                  onRemove={() => onSetParent(child.id, null)}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {references.length > 0 && (
+          <div>
+            <p className="text-xs text-gray-500 mb-1">Links to</p>
+            <div className="flex flex-wrap gap-2">
+              {references.map(({ label, target }) => (
+                target ? (
+                  <IdeaChip key={label} idea={target} onOpenIdea={onOpenIdea} />
+                ) : (
+                  <span
+                    key={label}
+                    className="px-2 py-1 rounded border border-dashed border-gray-700 text-sm text-gray-500"
+                    title="No idea has this title yet"
+                  >
+                    [[{label}]]
+                  </span>
+                )
+              ))}
+            </div>
+          </div>
+        )}
+
+        {backlinks.length > 0 && (
+          <div>
+            <p className="text-xs text-gray-500 mb-1">Linked from</p>
+            <div className="flex flex-wrap gap-2">
+              {backlinks.map(source => (
+                <IdeaChip key={source.id} idea={source} onOpenIdea={onOpenIdea} />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {connections.groups.length > 0 && (
+          <div>
+            <p className="text-xs text-gray-500 mb-1">Groups</p>
+            <div className="flex flex-wrap gap-2">
+              {connections.groups.map(group => (
+                <span
+                  key={group.id}
+                  className="inline-flex items-center gap-1 px-2 py-1 rounded bg-neural-purple/20 text-neural-purple text-xs"
+                  title={group.description}
+                >
+                  <Layers className="w-3 h-3" />
+                  {group.name}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {!parent && children.length === 0 && references.length === 0 && backlinks.length === 0 && connections.groups.length === 0 && (
+          <p className="text-xs text-gray-500">Not connected to other ideas yet</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
-import { X, Save, Trash2, Sparkles, Loader } from 'lucide-react';
+import { X, Save, Trash2, Sparkles, Loader, Search } from 'lucide-react';
+import IdeaConnections from './IdeaConnections';
 
 const CLASSIFICATION_TYPES = [
   { value: 'general', label: 'General Idea', description: 'Default - not used for automated planning' },
@@ -41,7 +42,25 @@ const PRIORITY_OPTIONS = [
   { value: 'high', label: 'High Priority' }
 ];
 
-const IdeaEditModal = ({ idea, onSave, onDelete, onClose, onClassify }) => {
+/**
+ * onFindSimilar(idea) resolves to { similar: [{ idea, similarity }], semantic } or
+ * { error }; onOpenIdea(idea) switches the modal to one of the similar or connected ideas.
+ * With links/groups (see utils/ideaLinks.js) the modal shows the idea's connections;
+ * ideas is the list to link against and onSetParent(childId, parentId) changes a thread.
+ */
+const IdeaEditModal = ({
+  idea,
+  onSave,
+  onDelete,
+  onClose,
+  onClassify,
+  onFindSimilar,
+  onOpenIdea,
+  ideas = [],
+  links,
+  groups = [],
+  onSetParent,
+}) => {
   const [editedIdea, setEditedIdea] = useState({
     content: idea.content || '',
     tags: idea.tags || [],
@@ -57,6 +76,8 @@ const IdeaEditModal = ({ idea, onSave, onDelete, onClose, onClassify }) => {
 
   const [customTag, setCustomTag] = useState('');
   const [isClassifying, setIsClassifying] = useState(false);
+  const [similarIdeas, setSimilarIdeas] = useState(null);
+  const [isFindingSimilar, setIsFindingSimilar] = useState(false);
 
   const handleAutoClassify = async () => {
     setIsClassifying(true);
@@ -80,6 +101,19 @@ const IdeaEditModal = ({ idea, onSave, onDelete, onClose, onClassify }) => {
     }
   };
 
+  // Compares the idea as currently edited, not as last saved
+  const handleFindSimilar = async () => {
+    setIsFindingSimilar(true);
+    try {
+      setSimilarIdeas(await onFindSimilar({ ...idea, ...editedIdea }));
+    } catch (error) {
+      console.error('Finding similar ideas failed:', error);
+      setSimilarIdeas({ error: 'Could not find similar ideas' });
+    } finally {
+      setIsFindingSimilar(false);
+    }
+  };
+
   const toggleTag = (tag) => {
     setEditedIdea(prev => ({
       ...prev,
@@ -302,6 +336,77 @@ const IdeaEditModal = ({ idea, onSave, onDelete, onClose, onClassify }) => {
             />
           </div>
 
+          {/* Similar Ideas */}
+          {onFindSimilar && (
+            <div>
+              <label className="block text-sm font-medium mb-2">
+                Similar Ideas
+                <button
+                  type="button"
+                  onClick={handleFindSimilar}
+                  disabled={isFindingSimilar || !editedIdea.content.trim()}
+                  className="ml-3 text-xs neural-button-secondary py-1 px-2"
+                >
+                  {isFindingSimilar ? (
+                    <>
+                      <Loader className="w-3 h-3 animate-spin inline mr-1" />
+                      Searching...
+                    </>
+                  ) : (
+                    <>
+                      <Search className="w-3 h-3 inline mr-1" />
+                      Find Similar
+                    </>
+                  )}
+                </button>
+              </label>
+              {similarIdeas?.error && (
+                <p className="text-xs text-red-400">{similarIdeas.error}</p>
+              )}
+              {similarIdeas?.similar && (
+                similarIdeas.similar.length === 0 ? (
+                  <p className="text-xs text-gray-500">No similar ideas found</p>
+                ) : (
+                  <div className="space-y-2">
+                    {similarIdeas.similar.map(({ idea: similar, similarity }) => (
+                      <button
+                        type="button"
+                        key={similar.id}
+                        onClick={() => onOpenIdea?.(similar)}
+                        className="w-full p-2 rounded-lg bg-neural-darker border border-gray-800 hover:border-gray-700 text-left flex items-start justify-between gap-3"
+                      >
+                        <span className="text-sm text-gray-300 line-clamp-2">{similar.content}</span>
+                        <span className="text-xs text-gray-500 whitespace-nowrap">{Math.round(similarity * 100)}%</span>
+                      </button>
+                    ))}
+                  </div>
+                )
+              )}
+              {similarIdeas?.similar && !similarIdeas.semantic && (
+                <p className="text-xs text-gray-500 mt-2">
+                  Compared by shared words - the search model isn't available right now
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Connections */}
+          {links && (
+            <IdeaConnections
+              idea={idea}
+              content={editedIdea.content}
+              ideas={ideas}
+              links={links}
+              groups={groups}
+              onSetParent={onSetParent}
+              onInsertLink={(title) => setEditedIdea(prev => ({
+                ...prev,
+                content: `${prev.content.trimEnd()}${prev.content.trim() ? ' ' : ''}[[${title}]]`,
+              }))}
+              onOpenIdea={onOpenIdea}
+            />
+          )}
+
           {/* Due Date */}
           <div>
             <label className="block text-sm font-medium mb-2">
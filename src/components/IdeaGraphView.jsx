@@ -0,0 +1,414 @@
+/**
+ * IDEA GRAPH VIEW COMPONENT
+ *
+ * Purpose: Pan/zoom graph of connected ideas - [[links]], threads and saved groups
+ *
+ * Features:
+ * - Force-directed layout (layoutIdeaGraph in utils/ideaLinks.js); ideas without
+ *   any link or group are left out
+ * - Solid arrows for [[links]], dashed arrows from a follow-up to its parent,
+ *   node colour by group
+ * - Drag to pan, wheel/pinch or buttons to zoom, fit to screen (as in MindMapViewer)
+ * - Group list: show one group, delete a group (its ideas stay)
+ * - Click an idea for its text, then open it in the edit modal
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { X, Network, ZoomIn, ZoomOut, Maximize2, Layers, Trash2 } from 'lucide-react';
+import { buildIdeaGraph, layoutIdeaGraph, ideaTitle, MAX_GRAPH_NODES } from '../utils/ideaLinks';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const GROUP_COLORS = ['#a855f7', '#60a5fa', '#4ade80', '#f59e0b', '#ec4899', '#2dd4bf', '#f87171', '#818cf8'];
+const UNGROUPED_COLOR = '#6b7280';
+
+const MIN_SCALE = 0.15;
+const MAX_SCALE = 2.5;
+const ZOOM_STEP = 1.25;
+const FIT_PADDING = 100;
+const NODE_RADIUS = 9;
+
+// Pointer travel before a press counts as a drag instead of a click
+const DRAG_THRESHOLD = 4;
+
+const MAX_LABEL_CHARS = 24;
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+const truncateLabel = (label) => (
+  label.length > MAX_LABEL_CHARS ? `${label.slice(0, MAX_LABEL_CHARS - 1)}…` : label
+);
+
+const groupColor = (groupIndex) => (
+  groupIndex === null ? UNGROUPED_COLOR : GROUP_COLORS[groupIndex % GROUP_COLORS.length]
+);
+
+// Edge end pulled back to the node's rim, so the arrowhead stays visible
+const shorten = (from, to) => {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.max(1, Math.hypot(dx, dy));
+  const gap = NODE_RADIUS + 4;
+  return { x: to.x - (dx / length) * gap, y: to.y - (dy / length) * gap };
+};
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+
+function IdeaGraphView({ ideas, links, groups, onOpenIdea, onDeleteGroup, onClose }) {
+  const [groupId, setGroupId] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+
+  const containerRef = useRef(null);
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const dragged = useRef(false);
+
+  // A deleted group can't stay selected
+  const activeGroupId = groups.some(group => group.id === groupId) ? groupId : null;
+
+  const graph = useMemo(
+    () => buildIdeaGraph(ideas, links, groups, { groupId: activeGroupId }),
+    [ideas, links, groups, activeGroupId]
+  );
+  const layout = useMemo(() => layoutIdeaGraph(graph), [graph]);
+  const positions = useMemo(() => new Map(layout.nodes.map(node => [node.id, node])), [layout]);
+  const selectedNode = selectedId ? positions.get(selectedId) : null;
+
+  // Colours follow the group's place in the full list, so they don't change when filtering
+  const colorIndexOf = useMemo(() => new Map(groups.map((group, index) => [group.id, index])), [groups]);
+  const nodeColor = (node) => {
+    if (node.groupIndex === null) return UNGROUPED_COLOR;
+    const group = activeGroupId === null ? groups[node.groupIndex] : groups.find(g => g.id === activeGroupId);
+    return groupColor(colorIndexOf.get(group?.id) ?? null);
+  };
+
+  // ============================================
+  // PAN & ZOOM
+  // ============================================
+
+  const fitToScreen = () => {
+    const container = containerRef.current;
+    if (!container || layout.nodes.length === 0) return;
+
+    const { width, height } = container.getBoundingClientRect();
+    const { minX, maxX, minY, maxY } = layout.bounds;
+    const scale = clampScale(Math.min(
+      width / (maxX - minX + FIT_PADDING * 2),
+      height / (maxY - minY + FIT_PADDING * 2),
+      1.2
+    ));
+    setView({
+      scale,
+      x: width / 2 - ((minX + maxX) / 2) * scale,
+      y: height / 2 - ((minY + maxY) / 2) * scale,
+    });
+  };
+
+  // Fit when the shown ideas change (a new layout lands somewhere else)
+  useEffect(() => {
+    fitToScreen();
+  }, [layout]);
+
+  // Zoom keeping the point under (px, py) in place
+  const zoomAt = (factor, px, py) => {
+    setView(prev => {
+      const scale = clampScale(prev.scale * factor);
+      const ratio = scale / prev.scale;
+      return { scale, x: px - (px - prev.x) * ratio, y: py - (py - prev.y) * ratio };
+    });
+  };
+
+  const zoomCentre = (factor) => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    if (rect) zoomAt(factor, rect.width / 2, rect.height / 2);
+  };
+
+  // Wheel zoom needs a non-passive listener to stop the page scrolling
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = container.getBoundingClientRect();
+      zoomAt(Math.exp(-e.deltaY * 0.0015), e.clientX - rect.left, e.clientY - rect.top);
+    };
+
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const startGesture = () => {
+    const points = [...pointers.current.values()];
+    gesture.current = {
+      view,
+      points,
+      distance: points.length > 1 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : null,
+      dragging: false,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    dragged.current = false;
+    startGesture();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId) || !gesture.current) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    const points = [...pointers.current.values()];
+    const start = gesture.current;
+
+    if (points.length === 1) {
+      const dx = points[0].x - start.points[0].x;
+      const dy = points[0].y - start.points[0].y;
+      if (!start.dragging && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      if (!start.dragging) {
+        // Capture only once it's a real drag, so plain clicks still reach the nodes
+        start.dragging = true;
+        dragged.current = true;
+        containerRef.current?.setPointerCapture(e.pointerId);
+      }
+      setView({ ...start.view, x: start.view.x + dx, y: start.view.y + dy });
+    } else if (points.length === 2 && start.distance) {
+      // Pinch: zoom around the starting midpoint
+      dragged.current = true;
+      const rect = containerRef.current.getBoundingClientRect();
+      const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+      const scale = clampScale(start.view.scale * (distance / start.distance));
+      const ratio = scale / start.view.scale;
+      const px = (start.points[0].x + start.points[1].x) / 2 - rect.left;
+      const py = (start.points[0].y + start.points[1].y) / 2 - rect.top;
+      setView({ scale, x: px - (px - start.view.x) * ratio, y: py - (py - start.view.y) * ratio });
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    pointers.current.delete(e.pointerId);
+    // Lifting one finger of a pinch continues as a pan from here
+    if (pointers.current.size > 0) startGesture();
+    else gesture.current = null;
+  };
+
+  const handleNodeClick = (nodeId) => {
+    if (dragged.current) return;
+    setSelectedId(prev => (prev === nodeId ? null : nodeId));
+  };
+
+  const handleDeleteGroup = (group) => {
+    if (!window.confirm(`Delete the group "${group.name}"? Its ideas are kept.`)) return;
+    onDeleteGroup(group.id);
+  };
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  return (
+    <div className="fixed inset-0 bg-black/95 z-50 flex flex-col">
+      {/* Header */}
+      <div className="bg-neural-darker/95 backdrop-blur-sm border-b border-gray-800 z-10">
+        <div className="max-w-6xl mx-auto px-4 py-4 flex items-center justify-between gap-3">
+          <div className="flex items-center gap-3 min-w-0">
+            <div className="w-10 h-10 bg-neural-purple/20 rounded-lg flex items-center justify-center flex-shrink-0">
+              <Network className="w-5 h-5 text-neural-purple" />
+            </div>
+            <div className="min-w-0">
+              <h1 className="text-lg font-bold text-white truncate">Connected Ideas</h1>
+              <p className="text-sm text-gray-400">
+                {layout.nodes.length} ideas • {layout.edges.length} links
+                {graph.truncated && ` • first ${MAX_GRAPH_NODES} shown`}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="w-10 h-10 bg-gray-800 rounded-lg flex items-center justify-center hover:bg-gray-700 transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-400" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 relative overflow-hidden">
+        <div
+          ref={containerRef}
+          className="absolute inset-0 cursor-grab active:cursor-grabbing touch-none select-none"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        >
+          <svg width="100%" height="100%">
+            <defs>
+              <marker id="idea-graph-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill="#9ca3af" />
+              </marker>
+            </defs>
+            <g transform={`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+              {/* Links and threads */}
+              {layout.edges.map(edge => {
+                const from = positions.get(edge.source);
+                const to = shorten(from, positions.get(edge.target));
+                return (
+                  <line
+                    key={edge.id}
+                    x1={from.x}
+                    y1={from.y}
+                    x2={to.x}
+                    y2={to.y}
+                    stroke="#9ca3af"
+                    strokeWidth="1.5"
+                    strokeDasharray={edge.kind === 'thread' ? '6 5' : undefined}
+                    opacity="0.6"
+                    markerEnd="url(#idea-graph-arrow)"
+                  />
+                );
+              })}
+
+              {/* Ideas */}
+              {layout.nodes.map(node => {
+                const isSelected = node.id === selectedId;
+                return (
+                  <g
+                    key={node.id}
+                    transform={`translate(${node.x} ${node.y})`}
+                    onClick={() => handleNodeClick(node.id)}
+                    onDoubleClick={() => onOpenIdea(node.idea)}
+                    className="cursor-pointer"
+                  >
+                    <title>{node.idea.content}</title>
+                    <circle
+                      r={NODE_RADIUS}
+                      fill={nodeColor(node)}
+                      stroke={isSelected ? '#fff' : '#111827'}
+                      strokeWidth={isSelected ? 3 : 2}
+                    />
+                    <text y={NODE_RADIUS + 14} textAnchor="middle" fontSize="12" fill="#e5e7eb">
+                      {truncateLabel(ideaTitle(node.idea) || '(empty idea)')}
+                    </text>
+                  </g>
+                );
+              })}
+            </g>
+          </svg>
+        </div>
+
+        {layout.nodes.length === 0 && (
+          <div className="absolute inset-0 flex flex-col items-center justify-center text-center px-6 pointer-events-none">
+            <Network className="w-12 h-12 text-gray-700 mb-4" />
+            <p className="text-gray-400 font-medium mb-1">No connected ideas yet</p>
+            <p className="text-sm text-gray-500 max-w-md">
+              Write [[Idea title]] in an idea, make it follow up on another idea, or save a theme
+              from Organize Ideas as a group.
+            </p>
+          </div>
+        )}
+
+        {/* Groups */}
+        {groups.length > 0 && (
+          <div className="absolute top-4 left-4 w-64 max-h-[60%] overflow-y-auto bg-gray-900/90 border border-gray-800 rounded-lg p-3">
+            <p className="text-xs font-medium text-gray-400 mb-2 flex items-center gap-1">
+              <Layers className="w-3 h-3" />
+              Groups
+            </p>
+            <button
+              onClick={() => setGroupId(null)}
+              className={`w-full text-left text-sm px-2 py-1 rounded ${
+                activeGroupId === null ? 'bg-neural-purple/30 text-white' : 'text-gray-300 hover:bg-gray-800'
+              }`}
+            >
+              All connected ideas
+            </button>
+            {groups.map((group, index) => (
+              <div
+                key={group.id}
+                className={`flex items-center gap-2 px-2 py-1 rounded ${
+                  activeGroupId === group.id ? 'bg-neural-purple/30' : 'hover:bg-gray-800'
+                }`}
+              >
+                <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: groupColor(index) }} />
+                <button
+                  onClick={() => setGroupId(group.id)}
+                  className="flex-1 min-w-0 text-left text-sm text-gray-300 truncate"
+                  title={group.description}
+                >
+                  {group.name}
+                  <span className="text-xs text-gray-500 ml-1">({group.ideaIds.length})</span>
+                </button>
+                <button
+                  onClick={() => handleDeleteGroup(group)}
+                  className="text-gray-600 hover:text-red-400"
+                  title="Delete group"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Zoom controls */}
+        <div className="absolute left-4 bottom-4 flex flex-col gap-2">
+          {[
+            { icon: ZoomIn, title: 'Zoom in', onClick: () => zoomCentre(ZOOM_STEP) },
+            { icon: ZoomOut, title: 'Zoom out', onClick: () => zoomCentre(1 / ZOOM_STEP) },
+            { icon: Maximize2, title: 'Fit to screen', onClick: fitToScreen },
+          ].map(({ icon: Icon, title, onClick }) => (
+            <button
+              key={title}
+              onClick={onClick}
+              title={title}
+              className="w-10 h-10 bg-gray-800/90 rounded-lg flex items-center justify-center hover:bg-gray-700 transition-colors"
+            >
+              <Icon className="w-5 h-5 text-gray-300" />
+            </button>
+          ))}
+        </div>
+
+        {/* Legend */}
+        <div className="absolute right-4 bottom-4 bg-gray-900/90 border border-gray-800 rounded-lg px-3 py-2 text-xs text-gray-400 hidden md:block">
+          <div className="flex flex-wrap gap-x-3 gap-y-1">
+            <span className="flex items-center gap-1">
+              <span className="w-4 border-t border-gray-400" />
+              Links to
+            </span>
+            <span className="flex items-center gap-1">
+              <span className="w-4 border-t border-dashed border-gray-400" />
+              Follows up on
+            </span>
+          </div>
+          <div className="mt-1 text-gray-500">Drag to pan · scroll to zoom · double-click to open</div>
+        </div>
+
+        {/* Selected idea panel */}
+        {selectedNode && (
+          <div className="absolute top-4 right-4 left-4 sm:left-auto sm:w-80 bg-neural-dark border border-gray-700 rounded-xl p-4 shadow-xl">
+            <div className="flex items-start justify-between gap-2 mb-2">
+              <h3 className="font-semibold text-white">{ideaTitle(selectedNode.idea) || '(empty idea)'}</h3>
+              <button onClick={() => setSelectedId(null)} className="text-gray-500 hover:text-white">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <p className="text-sm text-gray-300 whitespace-pre-wrap line-clamp-6 mb-3">{selectedNode.idea.content}</p>
+            <button
+              onClick={() => onOpenIdea(selectedNode.idea)}
+              className="neural-button-secondary text-sm px-3 py-1"
+            >
+              Open idea
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default IdeaGraphView;
@@ -0,0 +1,124 @@
+/**
+ * IDEA QUERY INPUT COMPONENT
+ *
+ * Purpose: The Capture tab's search box, with autocomplete for the query syntax
+ *          (tag:, type:, due:, ... - see shared/ideaQuery.js)
+ *
+ * Suggestions follow the term under the caret: field names first, then values
+ * (known tags, types, date keywords). Arrow keys move through them, Tab or Enter
+ * accepts, Escape closes. Parse errors are shown under the box by the caller.
+ */
+
+import { useState, useRef, useMemo } from 'react';
+import { Search, X } from 'lucide-react';
+import { suggestQueryCompletions } from '../../shared/ideaQuery.js';
+
+export default function IdeaQueryInput({ value, onChange, tags = [], placeholder, invalid = false }) {
+  const inputRef = useRef(null);
+  const [caret, setCaret] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  const completion = useMemo(
+    () => (caret === null ? null : suggestQueryCompletions(value, caret, { tags })),
+    [value, caret, tags]
+  );
+  const suggestions = open && completion ? completion.suggestions : [];
+
+  const trackCaret = (event) => {
+    setCaret(event.target.selectionStart);
+    setActiveIndex(0);
+  };
+
+  const accept = (suggestion) => {
+    const { start, end } = completion;
+    // A field name waits for its value; a finished term gets a space after it
+    const insert = suggestion.value.endsWith(':') ? suggestion.value : `${suggestion.value} `;
+    const next = value.slice(0, start) + insert + value.slice(end).replace(/^ /, '');
+    const position = start + insert.length;
+
+    onChange(next);
+    setCaret(position);
+    setActiveIndex(0);
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (event) => {
+    if (suggestions.length === 0) return;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(index => (index + step + suggestions.length) % suggestions.length);
+    } else if (event.key === 'Tab' || event.key === 'Enter') {
+      event.preventDefault();
+      accept(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Search className="w-4 h-4 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+      <input
+        ref={inputRef}
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          trackCaret(e);
+          setOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onClick={trackCaret}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        placeholder={placeholder}
+        spellCheck={false}
+        className={`neural-input pl-10 py-2 text-sm w-full ${invalid ? 'border-red-500/60' : ''}`}
+        role="combobox"
+        aria-expanded={suggestions.length > 0}
+        aria-autocomplete="list"
+      />
+      {value && (
+        <button
+          onClick={() => onChange('')}
+          className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-white"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      )}
+
+      {suggestions.length > 0 && (
+        <ul
+          role="listbox"
+          className="absolute z-20 left-0 right-0 mt-1 bg-neural-darker border border-gray-700 rounded-lg shadow-lg overflow-hidden"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.value}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown, so the input keeps focus and the list doesn't close first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                accept(suggestion);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-3 py-1.5 text-sm cursor-pointer flex items-center justify-between gap-3 ${
+                index === activeIndex ? 'bg-neural-purple/30 text-white' : 'text-gray-300'
+              }`}
+            >
+              <span className="font-mono">{suggestion.label}</span>
+              <span className="text-xs text-gray-500 truncate">{suggestion.description}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
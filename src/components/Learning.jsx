@@ -1,15 +1,21 @@
-import { useState, useEffect, useMemo } from 'react';
-import { BookOpen, ChevronRight, Check, X, Trophy, RotateCcw, Loader2, AlertCircle, BarChart3, Clock, Target, Flame, ChevronDown, Settings, History, Filter, ChevronUp, Lock, Rocket, Shield, AlertTriangle, Crosshair, Lightbulb, ArrowLeft, FolderOpen } from 'lucide-react';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { BookOpen, ChevronRight, Check, X, Trophy, RotateCcw, Loader2, AlertCircle, BarChart3, Clock, Target, Flame, ChevronDown, Settings, History, Filter, ChevronUp, Lock, Rocket, Shield, AlertTriangle, Crosshair, Lightbulb, ArrowLeft, FolderOpen, Layers } from 'lucide-react';
 import { generatePracticeQuestions, evaluateAnswer } from '../utils/apiService';
 import CheatSheetViewer from './CheatSheetViewer';
 import FlashcardViewer from './FlashcardViewer';
+import MindMapViewer from './MindMapViewer';
 import ResourceLibrary from './ResourceLibrary';
+import ReviewQueue from './ReviewQueue';
+import RetentionInsights from './RetentionInsights';
 import ImageAnswerUpload from './ImageAnswerUpload';
 import CodeEditor from './CodeEditor';
 import ProjectViewer from './ProjectViewer';
 import 'katex/dist/katex.min.css';
 import { InlineMath, BlockMath } from 'react-katex';
 import { useAuth } from '../contexts/AuthContext';
+import { useReviewDueCount } from '../hooks/useReviewDueCount';
+import { useApiBudget } from '../hooks/useApiBudget';
+import BudgetNotice from './BudgetNotice';
 import {
   saveQuestionToHistory as saveToService,
   getQuestionHistory,
@@ -22,6 +28,7 @@ import {
   resetSessionCounters,
   migrateGuestDataToSupabase,
 } from '../utils/learningService';
+import { getReviewLog } from '../utils/reviewLogService';
 import { SUBJECT_CATALOGUE, getAllSubjects, getCategoryForSubject } from '../data/subjectCatalogue';
 
 // Get flat subjects object for backward compatibility
@@ -35,6 +42,9 @@ const DIFFICULTIES = [
   { id: 'extreme', name: 'Extreme', color: 'text-red-400', bgColor: 'bg-red-500/20', description: 'Competition-level difficulty' },
 ];
 
+// Review log window for the progress dashboard charts
+const REVIEW_LOG_DAYS = 180;
+
 // Question count options
 const QUESTION_COUNTS = [5, 10, 15, 20];
 
@@ -206,6 +216,8 @@ const isCodeEmptyOrUnchanged = (code, starterCode = '', language = 'python') =>
 
 function Learning() {
   const { user } = useAuth();
+  const reviewsDueCount = useReviewDueCount();
+  const questionBudget = useApiBudget('/api/generate-practice-questions');
   
   const [activeTab, setActiveTab] = useState('practice');
   const [selectedSubject, setSelectedSubject] = useState('Statistics');
@@ -217,6 +229,8 @@ function Learning() {
   const [answerEvaluations, setAnswerEvaluations] = useState({});
   const [showResults, setShowResults] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false); // More questions still arriving
+  const generationRef = useRef(null); // AbortController of the question generation in flight
   const [isEvaluating, setIsEvaluating] = useState(false);
   const [error, setError] = useState(null);
   const [scores, setScores] = useState({});
@@ -253,6 +267,12 @@ function Learning() {
   // Flashcard viewer state
   const [showFlashcards, setShowFlashcards] = useState(false);
 
+  // Mind map viewer state
+  const [showMindMap, setShowMindMap] = useState(false);
+
+  // Single concept the current quiz focuses on ("practice this node" from a mind map)
+  const [practiceConcept, setPracticeConcept] = useState(null);
+
   // History filter state
   const [historyFilters, setHistoryFilters] = useState({
     subject: 'all',
@@ -300,11 +320,16 @@ function Learning() {
     triggerMigration();
   }, [user?.id, user?.isGuest]);
 
+  // Start the clock when a question is shown (not when later questions stream in)
+  const hasQuestions = questions.length > 0;
   useEffect(() => {
-    if (questions.length > 0 && currentQuestionIndex < questions.length && !showResults) {
+    if (hasQuestions && !showResults) {
       setQuestionStartTime(Date.now());
     }
-  }, [currentQuestionIndex, questions.length, showResults]);
+  }, [currentQuestionIndex, hasQuestions, showResults]);
+
+  // Stop any generation still streaming when leaving the Learning view
+  useEffect(() => () => generationRef.current?.abort(), []);
 
   // Show level-up modal after quiz results with delay
   useEffect(() => {
@@ -364,8 +389,21 @@ function Learning() {
     return scores[key];
   };
 
-  const startPractice = async (topic) => {
+  // Stop streaming questions - the server aborts the Claude request too
+  const cancelGeneration = () => {
+    generationRef.current?.abort();
+    generationRef.current = null;
+    setIsLoading(false);
+    setIsStreaming(false);
+  };
+
+  const startPractice = async (topic, concept = null) => {
+    generationRef.current?.abort();
+    const controller = new AbortController();
+    generationRef.current = controller;
+
     setSelectedTopic(topic);
+    setPracticeConcept(concept);
     setIsLoading(true);
     setError(null);
     setQuestions([]);
@@ -406,21 +444,41 @@ function Learning() {
       }
     }
 
+    if (controller.signal.aborted) return;
+
+    // Show question 1 as soon as it arrives; the rest keep streaming in
+    let streamedCount = 0;
+    setIsStreaming(true);
     const result = await generatePracticeQuestions(
       selectedSubject,
       topic.name,
       selectedDifficulty,
       questionCount,
       questionStyle,
-      focusMode
+      focusMode,
+      concept,
+      {
+        signal: controller.signal,
+        onQuestion: (question) => {
+          streamedCount += 1;
+          setQuestions(prev => [...prev, question]);
+          setIsLoading(false);
+        },
+      }
     );
+    if (result.cancelled) return;
+    generationRef.current = null;
     setIsLoading(false);
+    setIsStreaming(false);
 
     if (result.success && result.data?.questions) {
+      // The full parse is authoritative (it can differ from what streamed)
       setQuestions(result.data.questions);
-    } else {
+      setCurrentQuestionIndex(prev => Math.min(prev, Math.max(0, result.data.questions.length - 1)));
+    } else if (streamedCount === 0) {
       setError(result.error || 'Failed to generate questions. Please try again.');
     }
+    // Otherwise keep the questions that made it before the stream failed
   };
 
   const handleMultipleChoiceAnswer = (questionId, answer) => {
@@ -447,6 +505,8 @@ function Learning() {
     // Move to next question
     if (currentQuestionIndex < questions.length - 1) {
       setCurrentQuestionIndex(prev => prev + 1);
+    } else if (isStreaming) {
+      // The next question is still being written - wait on this one
     } else {
       // At last question - show prompt since we have at least the current skipped question
       setShowSkippedPrompt(true);
@@ -647,6 +707,7 @@ function Learning() {
   const backToTopics = () => {
     // Reset quiz state but keep navigation context
     // User returns to topic detail view (not resetting selectedTopic or navigationLevel)
+    cancelGeneration();
     setQuestions([]);
     setCurrentQuestionIndex(0);
     setUserAnswers({});
@@ -663,8 +724,23 @@ function Learning() {
     setQuestionsUntilUnlock(0);
   };
 
+  // Point the catalogue at a resource opened from the library
+  const selectLibraryTopic = (subject, topic) => {
+    const category = getCategoryForSubject(subject);
+    if (!category) return;
+
+    setSelectedCategory(category);
+    setSelectedSubject(subject);
+    const subjectData = SUBJECT_CATALOGUE[category]?.subjects[subject];
+    const topicObj = subjectData?.topics.find(t => t.name === topic);
+    if (topicObj) {
+      setSelectedTopic(topicObj);
+      setNavigationLevel('topic');
+    }
+  };
+
   const retryTopic = () => {
-    if (selectedTopic) startPractice(selectedTopic);
+    if (selectedTopic) startPractice(selectedTopic, practiceConcept);
   };
 
   const getProgressStats = async () => {
@@ -684,6 +760,7 @@ function Learning() {
 
   // Progress stats state for async loading
   const [progressStats, setProgressStats] = useState(null);
+  const [reviewLog, setReviewLog] = useState([]);
   const [loadingStats, setLoadingStats] = useState(false);
 
   // Load progress stats when tab becomes active
@@ -691,8 +768,13 @@ function Learning() {
     if (activeTab === 'progress') {
       const loadStats = async () => {
         setLoadingStats(true);
-        const stats = await getProgressStats();
+        const since = new Date(Date.now() - REVIEW_LOG_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const [stats, { data: log }] = await Promise.all([
+          getProgressStats(),
+          getReviewLog({ since }),
+        ]);
         setProgressStats(stats);
+        setReviewLog(log || []);
         setLoadingStats(false);
       };
       loadStats();
@@ -932,6 +1014,8 @@ function Learning() {
           </div>
         </div>
 
+        <RetentionInsights log={reviewLog} />
+
         {stats.topicStats.length > 0 && (
           <div className="bg-neural-dark rounded-xl border border-gray-800">
             <div className="p-4 border-b border-gray-800">
@@ -957,7 +1041,7 @@ function Learning() {
           </div>
         )}
 
-        {stats.totalQuestions === 0 && (
+        {stats.totalQuestions === 0 && reviewLog.length === 0 && (
           <div className="text-center py-12 text-gray-500">
             <BarChart3 className="w-12 h-12 mx-auto mb-4 opacity-50" />
             <p>No practice sessions yet.</p>
@@ -1352,7 +1436,8 @@ function Learning() {
         icon: '🗺️',
         name: 'Mind Map',
         description: 'Visual overview of how concepts connect',
-        available: false,
+        available: true,
+        onClick: () => setShowMindMap(true),
       },
     ];
 
@@ -1495,6 +1580,8 @@ function Learning() {
 
         {renderSettingsPanel()}
 
+        <BudgetNotice {...questionBudget} />
+
         <div className="space-y-3">
           {subject.topics.map(topic => {
             const bestScore = getBestScore(topic.id);
@@ -1530,8 +1617,11 @@ function Learning() {
   const renderLoading = () => (
     <div className="flex flex-col items-center justify-center py-16">
       <Loader2 className="w-12 h-12 text-neural-purple animate-spin mb-4" />
-      <p className="text-gray-400">Generating questions...</p>
-      <p className="text-sm text-gray-500 mt-2">This may take a few seconds</p>
+      <p className="text-gray-400">
+        {practiceConcept ? `Generating questions on ${practiceConcept.label}...` : 'Generating questions...'}
+      </p>
+      <p className="text-sm text-gray-500 mt-2">The first question appears as soon as it's written</p>
+      <button onClick={backToTopics} className="mt-6 px-4 py-2 bg-gray-800 text-gray-300 rounded-lg hover:bg-gray-700 transition-colors">Cancel</button>
     </div>
   );
 
@@ -1696,13 +1786,36 @@ function Learning() {
       ? (userAnswer !== undefined && userAnswer !== '' && !isCodeQuestionEmpty)
       : (userAnswer !== undefined && userAnswer !== '');
 
+    // On the newest question while the next one is still being written
+    const isLastQuestion = currentQuestionIndex === questions.length - 1;
+    const awaitingNext = isStreaming && isLastQuestion;
+
     return (
       <div className="space-y-6">
         <div className="flex items-center justify-between mb-4">
           <button onClick={backToTopics} className="text-sm text-gray-400 hover:text-white transition-colors">← Back to topics</button>
-          <span className="text-sm text-gray-400">Question {currentQuestionIndex + 1} of {questions.length}</span>
+          <div className="flex items-center gap-2 min-w-0">
+            {practiceConcept && (
+              <span className="text-xs px-2 py-0.5 rounded-full bg-green-500/20 text-green-400 truncate" title="Questions focus on this mind map node">
+                🗺️ {practiceConcept.label}
+              </span>
+            )}
+            <span className="text-sm text-gray-400 whitespace-nowrap">Question {currentQuestionIndex + 1} of {questions.length}{isStreaming ? '+' : ''}</span>
+          </div>
         </div>
 
+        {isStreaming && (
+          <div className="flex items-center justify-between gap-3 text-xs text-gray-400 bg-neural-dark border border-gray-800 rounded-lg px-3 py-2">
+            <span className="flex items-center gap-2">
+              <Loader2 className="w-3.5 h-3.5 animate-spin text-neural-purple" />
+              Writing more questions...
+            </span>
+            <button onClick={cancelGeneration} className="text-gray-400 hover:text-white transition-colors">
+              Stop here
+            </button>
+          </div>
+        )}
+
         <div className="w-full h-2 bg-gray-800 rounded-full overflow-hidden">
           <div className="h-full bg-gradient-to-r from-neural-purple to-neural-pink transition-all duration-300" style={{ width: `${((currentQuestionIndex + 1) / questions.length) * 100}%` }} />
         </div>
@@ -1920,7 +2033,7 @@ function Learning() {
           {/* Skip Button */}
           <button
             onClick={skipQuestion}
-            disabled={isEvaluating}
+            disabled={isEvaluating || awaitingNext}
             className="px-4 py-3 rounded-lg font-medium transition-all bg-gray-700 text-yellow-400 hover:bg-gray-600 flex items-center justify-center gap-2"
           >
             Skip ⏭️
@@ -1929,10 +2042,10 @@ function Learning() {
           {/* Next/Submit Button */}
           <button
             onClick={nextQuestion}
-            disabled={!isAnswered || isEvaluating}
-            className={`flex-1 py-3 rounded-lg font-medium transition-all flex items-center justify-center gap-2 ${isAnswered && !isEvaluating ? 'bg-neural-purple text-white hover:bg-neural-purple/80' : 'bg-gray-800 text-gray-500 cursor-not-allowed'}`}
+            disabled={!isAnswered || isEvaluating || awaitingNext}
+            className={`flex-1 py-3 rounded-lg font-medium transition-all flex items-center justify-center gap-2 ${isAnswered && !isEvaluating && !awaitingNext ? 'bg-neural-purple text-white hover:bg-neural-purple/80' : 'bg-gray-800 text-gray-500 cursor-not-allowed'}`}
           >
-            {isEvaluating ? (<><Loader2 className="w-4 h-4 animate-spin" />Evaluating...</>) : currentQuestionIndex < questions.length - 1 ? 'Next →' : 'Submit'}
+            {isEvaluating ? (<><Loader2 className="w-4 h-4 animate-spin" />Evaluating...</>) : awaitingNext ? (<><Loader2 className="w-4 h-4 animate-spin" />Next question coming...</>) : !isLastQuestion ? 'Next →' : 'Submit'}
           </button>
         </div>
 
@@ -2033,6 +2146,14 @@ function Learning() {
                       <p className="text-sm text-gray-300 mb-2"><span className="text-gray-500">Q{idx + 1}:</span> {renderMathText(q.question)}</p>
                       <p className="text-sm"><span className="text-gray-500">Your answer:</span> <span className={isCorrect ? 'text-green-400' : isPartial ? 'text-yellow-400' : 'text-red-400'}>{userAnswer || '(no answer)'}</span></p>
                       {!isCorrect && <p className="text-sm"><span className="text-gray-500">Correct:</span> <span className="text-green-400">{renderMathText(q.correctAnswer)}</span></p>}
+                      {evaluation?.execution && (
+                        <p className="text-sm mt-2">
+                          <span className="text-gray-500">Test cases:</span>{' '}
+                          <span className={evaluation.execution.passed === evaluation.execution.total ? 'text-green-400' : 'text-yellow-400'}>
+                            {evaluation.execution.passed}/{evaluation.execution.total} passed when run
+                          </span>
+                        </p>
+                      )}
                       {feedback && <p className="text-sm text-neural-purple mt-2 bg-neural-purple/10 p-2 rounded">AI Feedback: {feedback}</p>}
                       <div className="text-sm text-gray-500 mt-2 italic">{renderMathText(q.explanation)}</div>
                     </div>
@@ -2065,6 +2186,18 @@ function Learning() {
           <BookOpen className="w-4 h-4" />
           Practice
         </button>
+        <button
+          onClick={() => setActiveTab('review')}
+          className={`flex-1 py-3 px-4 rounded-lg font-medium transition-all flex items-center justify-center gap-2 ${activeTab === 'review' ? 'bg-neural-purple text-white' : 'bg-neural-dark text-gray-400 hover:text-white border border-gray-800'}`}
+        >
+          <Layers className="w-4 h-4" />
+          Review
+          {reviewsDueCount > 0 && (
+            <span className="px-1.5 py-0.5 rounded-full bg-orange-500 text-white text-xs leading-none">
+              {reviewsDueCount > 99 ? '99+' : reviewsDueCount}
+            </span>
+          )}
+        </button>
         <button
           onClick={() => setActiveTab('library')}
           className={`flex-1 py-3 px-4 rounded-lg font-medium transition-all flex items-center justify-center gap-2 ${activeTab === 'library' ? 'bg-neural-purple text-white' : 'bg-neural-dark text-gray-400 hover:text-white border border-gray-800'}`}
@@ -2088,42 +2221,23 @@ function Learning() {
         </button>
       </div>
 
+      {activeTab === 'review' && <ReviewQueue />}
       {activeTab === 'progress' && renderProgressDashboard()}
       {activeTab === 'history' && renderHistoryViewer()}
       {activeTab === 'library' && (
         <ResourceLibrary 
           onOpenCheatSheet={(subject, topic) => {
-            // Find the topic in catalogue and set it up
-            const category = getCategoryForSubject(subject);
-            if (category) {
-              setSelectedCategory(category);
-              setSelectedSubject(subject);
-              // Find the topic object
-              const subjectData = SUBJECT_CATALOGUE[category]?.subjects[subject];
-              const topicObj = subjectData?.topics.find(t => t.name === topic);
-              if (topicObj) {
-                setSelectedTopic(topicObj);
-                setNavigationLevel('topic');
-              }
-            }
+            selectLibraryTopic(subject, topic);
             setShowCheatSheet(true);
           }}
           onOpenFlashcards={(subject, topic) => {
-            // Find the topic in catalogue and set it up
-            const category = getCategoryForSubject(subject);
-            if (category) {
-              setSelectedCategory(category);
-              setSelectedSubject(subject);
-              // Find the topic object
-              const subjectData = SUBJECT_CATALOGUE[category]?.subjects[subject];
-              const topicObj = subjectData?.topics.find(t => t.name === topic);
-              if (topicObj) {
-                setSelectedTopic(topicObj);
-                setNavigationLevel('topic');
-              }
-            }
+            selectLibraryTopic(subject, topic);
             setShowFlashcards(true);
           }}
+          onOpenMindMap={(subject, topic) => {
+            selectLibraryTopic(subject, topic);
+            setShowMindMap(true);
+          }}
         />
       )}
       
@@ -2178,6 +2292,21 @@ function Learning() {
           onClose={() => setShowFlashcards(false)}
         />
       )}
+
+      {/* Mind Map Viewer Modal */}
+      {showMindMap && selectedTopic && (
+        <MindMapViewer
+          subject={selectedSubject}
+          topic={selectedTopic.name}
+          topicDescription={selectedTopic.description}
+          onClose={() => setShowMindMap(false)}
+          onPracticeNode={(concept) => {
+            setShowMindMap(false);
+            setActiveTab('practice');
+            startPractice(selectedTopic, concept);
+          }}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,628 @@
+/**
+ * MIND MAP VIEWER COMPONENT
+ *
+ * Purpose: Pan/zoom concept map for a catalogue topic, saved to the Resource Library
+ *
+ * Features:
+ * - Loads the saved mind map or generates one (/api/generate-mindmap)
+ * - Drag to pan, wheel/pinch or buttons to zoom, fit to screen
+ * - Click a node for its summary; collapse/expand branches
+ * - Node actions: make flashcards from the branch (added to the topic's deck),
+ *   practice questions focused on the node
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  X,
+  Loader2,
+  RotateCcw,
+  AlertCircle,
+  Network,
+  ZoomIn,
+  ZoomOut,
+  Maximize2,
+  Layers,
+  Target,
+  ChevronsDownUp,
+  ChevronsUpDown,
+  CheckCircle2,
+  AlertTriangle,
+} from 'lucide-react';
+import 'katex/dist/katex.min.css';
+import { InlineMath } from 'react-katex';
+import { generateMindmap } from '../utils/apiService';
+import { saveResource, getResource } from '../utils/resourceService';
+import { generateFlashcards, addCardsToDeck } from '../utils/flashcardService';
+import { layoutMindmap, getBranchNodes, toFlashcardBranch } from '../utils/mindmapLayout';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const NODE_KINDS = {
+  topic: { label: 'Topic', color: '#a855f7' },
+  concept: { label: 'Concept', color: '#818cf8' },
+  definition: { label: 'Definition', color: '#60a5fa' },
+  formula: { label: 'Formula', color: '#ec4899' },
+  theorem: { label: 'Theorem', color: '#f59e0b' },
+  example: { label: 'Example', color: '#4ade80' },
+  application: { label: 'Application', color: '#2dd4bf' },
+};
+
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 2.5;
+const ZOOM_STEP = 1.25;
+const FIT_PADDING = 120;
+
+// Pointer travel before a press counts as a drag instead of a click
+const DRAG_THRESHOLD = 4;
+
+const MAX_LABEL_CHARS = 26;
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+const truncateLabel = (label) => (
+  label.length > MAX_LABEL_CHARS ? `${label.slice(0, MAX_LABEL_CHARS - 1)}…` : label
+);
+
+// Rough width of a label in the node font, for sizing its box
+const nodeWidth = (node) => Math.max(70, truncateLabel(node.label).length * (node.depth === 0 ? 9 : 7) + 28);
+
+// Helper to render $inline$ LaTeX in node summaries
+const renderMathText = (text) => {
+  if (!text) return null;
+  return text.split(/(\$[^$]+\$)/g).map((part, idx) => {
+    if (part.startsWith('$') && part.endsWith('$') && part.length > 2) {
+      try {
+        return <InlineMath key={idx} math={part.slice(1, -1)} />;
+      } catch (e) {
+        return <span key={idx} className="text-red-400">{part}</span>;
+      }
+    }
+    return <span key={idx}>{part}</span>;
+  });
+};
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+
+function MindMapViewer({ subject, topic, topicDescription, onClose, onPracticeNode }) {
+  const [mindmap, setMindmap] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isFromLibrary, setIsFromLibrary] = useState(false);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [selectedId, setSelectedId] = useState(null);
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+  const [cardStatus, setCardStatus] = useState(null); // { type: 'loading' | 'success' | 'error', text }
+
+  const containerRef = useRef(null);
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const dragged = useRef(false);
+
+  const layout = useMemo(
+    () => (mindmap ? layoutMindmap(mindmap, collapsed) : null),
+    [mindmap, collapsed]
+  );
+  const positions = useMemo(
+    () => new Map((layout?.nodes || []).map(node => [node.id, node])),
+    [layout]
+  );
+  const selectedNode = selectedId ? positions.get(selectedId) : null;
+  const showMap = Boolean(layout) && !isLoading && !error;
+
+  // Generate a new mind map and save to library
+  const generateNewMindmap = async () => {
+    setIsLoading(true);
+    setError(null);
+    setIsFromLibrary(false);
+
+    const result = await generateMindmap(subject, topic, topicDescription);
+
+    if (result.success && result.data) {
+      const { rootId, nodes, crossLinks, generatedAt } = result.data;
+      setMindmap({ rootId, nodes, crossLinks, generatedAt });
+      setCollapsed(new Set());
+      setSelectedId(null);
+
+      await saveResource('mindmap', subject, topic, `${topic} Mind Map`, {
+        rootId,
+        nodes,
+        crossLinks,
+        nodeCount: nodes.length,
+        generatedAt,
+      });
+    } else {
+      setError(result.error || 'Failed to generate mind map');
+    }
+
+    setIsLoading(false);
+  };
+
+  // Load existing mind map from library or generate new one
+  const loadOrGenerateMindmap = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    const existingResource = await getResource('mindmap', subject, topic);
+
+    if (existingResource.success && existingResource.data?.content?.nodes) {
+      const { rootId, nodes, crossLinks, generatedAt } = existingResource.data.content;
+      setMindmap({ rootId, nodes, crossLinks: crossLinks || [], generatedAt });
+      setIsFromLibrary(true);
+      setIsLoading(false);
+    } else {
+      await generateNewMindmap();
+    }
+  };
+
+  useEffect(() => {
+    loadOrGenerateMindmap();
+  }, [subject, topic]);
+
+  // ============================================
+  // PAN & ZOOM
+  // ============================================
+
+  const fitToScreen = () => {
+    const container = containerRef.current;
+    if (!container || !layout) return;
+
+    const { width, height } = container.getBoundingClientRect();
+    const { minX, maxX, minY, maxY } = layout.bounds;
+    const scale = clampScale(Math.min(
+      width / (maxX - minX + FIT_PADDING * 2),
+      height / (maxY - minY + FIT_PADDING * 2),
+      1.2
+    ));
+    setView({
+      scale,
+      x: width / 2 - ((minX + maxX) / 2) * scale,
+      y: height / 2 - ((minY + maxY) / 2) * scale,
+    });
+  };
+
+  // Fit whenever a map is shown (not on collapse/expand - that would jump around)
+  useEffect(() => {
+    if (showMap) fitToScreen();
+  }, [mindmap, showMap]);
+
+  // Zoom keeping the point under (px, py) in place
+  const zoomAt = (factor, px, py) => {
+    setView(prev => {
+      const scale = clampScale(prev.scale * factor);
+      const ratio = scale / prev.scale;
+      return { scale, x: px - (px - prev.x) * ratio, y: py - (py - prev.y) * ratio };
+    });
+  };
+
+  const zoomCentre = (factor) => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    if (rect) zoomAt(factor, rect.width / 2, rect.height / 2);
+  };
+
+  // Wheel zoom needs a non-passive listener to stop the page scrolling
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = container.getBoundingClientRect();
+      zoomAt(Math.exp(-e.deltaY * 0.0015), e.clientX - rect.left, e.clientY - rect.top);
+    };
+
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, [showMap]);
+
+  const startGesture = () => {
+    const points = [...pointers.current.values()];
+    gesture.current = {
+      view,
+      points,
+      distance: points.length > 1 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : null,
+      dragging: false,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    dragged.current = false;
+    startGesture();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId) || !gesture.current) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    const points = [...pointers.current.values()];
+    const start = gesture.current;
+
+    if (points.length === 1) {
+      const dx = points[0].x - start.points[0].x;
+      const dy = points[0].y - start.points[0].y;
+      if (!start.dragging && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      if (!start.dragging) {
+        // Capture only once it's a real drag, so plain clicks still reach the nodes
+        start.dragging = true;
+        dragged.current = true;
+        containerRef.current?.setPointerCapture(e.pointerId);
+      }
+      setView({ ...start.view, x: start.view.x + dx, y: start.view.y + dy });
+    } else if (points.length === 2 && start.distance) {
+      // Pinch: zoom around the starting midpoint
+      dragged.current = true;
+      const rect = containerRef.current.getBoundingClientRect();
+      const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+      const scale = clampScale(start.view.scale * (distance / start.distance));
+      const ratio = scale / start.view.scale;
+      const px = (start.points[0].x + start.points[1].x) / 2 - rect.left;
+      const py = (start.points[0].y + start.points[1].y) / 2 - rect.top;
+      setView({ scale, x: px - (px - start.view.x) * ratio, y: py - (py - start.view.y) * ratio });
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    pointers.current.delete(e.pointerId);
+    // Lifting one finger of a pinch continues as a pan from here
+    if (pointers.current.size > 0) startGesture();
+    else gesture.current = null;
+  };
+
+  // ============================================
+  // NODE ACTIONS
+  // ============================================
+
+  const handleNodeClick = (nodeId) => {
+    if (dragged.current) return;
+    setSelectedId(prev => (prev === nodeId ? null : nodeId));
+    setCardStatus(null);
+  };
+
+  const toggleCollapsed = (nodeId) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(nodeId)) next.delete(nodeId);
+      else next.add(nodeId);
+      return next;
+    });
+  };
+
+  const collapseAll = () => {
+    const branches = mindmap.nodes.filter(node => node.parentId === mindmap.rootId);
+    setCollapsed(new Set(branches.map(node => node.id)));
+    setSelectedId(null);
+  };
+
+  const handleMakeFlashcards = async () => {
+    if (!selectedNode) return;
+
+    const branch = toFlashcardBranch(mindmap, selectedNode.id);
+    setCardStatus({ type: 'loading', text: `Writing flashcards for "${branch.label}"...` });
+
+    const result = await generateFlashcards(subject, topic, topicDescription, branch);
+    if (!result.success || !result.data?.cards) {
+      setCardStatus({ type: 'error', text: result.error || 'Failed to generate flashcards' });
+      return;
+    }
+
+    const added = await addCardsToDeck(subject, topic, result.data.cards);
+    if (!added.success) {
+      setCardStatus({ type: 'error', text: added.error || 'Failed to save flashcards' });
+      return;
+    }
+
+    const { deck, added: addedCount, skipped } = added.data;
+    if (addedCount > 0) {
+      // Keep the library copy of the deck in step (same as FlashcardViewer)
+      await saveResource('flashcard_deck', subject, topic, `${topic} Flashcards`, {
+        cards: deck.cards,
+        cardCount: deck.cards.length,
+        generatedAt: new Date().toISOString(),
+      });
+    }
+
+    setCardStatus({
+      type: 'success',
+      text: addedCount > 0
+        ? `Added ${addedCount} card${addedCount === 1 ? '' : 's'} to your ${topic} deck${skipped > 0 ? ` (${skipped} already there)` : ''}`
+        : 'Your deck already has cards for everything in this branch',
+    });
+  };
+
+  const handlePractice = () => {
+    if (!selectedNode || !onPracticeNode) return;
+    onPracticeNode({ label: selectedNode.label, summary: selectedNode.summary || '' });
+  };
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  const branchSize = selectedNode ? getBranchNodes(mindmap, selectedNode.id).length : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/95 z-50 flex flex-col">
+      {/* Header */}
+      <div className="bg-neural-darker/95 backdrop-blur-sm border-b border-gray-800 z-10">
+        <div className="max-w-6xl mx-auto px-4 py-4 flex items-center justify-between gap-3">
+          <div className="flex items-center gap-3 min-w-0">
+            <div className="w-10 h-10 bg-neural-purple/20 rounded-lg flex items-center justify-center flex-shrink-0">
+              <Network className="w-5 h-5 text-neural-purple" />
+            </div>
+            <div className="min-w-0">
+              <h1 className="text-lg font-bold text-white truncate">{topic}</h1>
+              <p className="text-sm text-gray-400">Mind Map • {subject}</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {mindmap && !isLoading && (
+              <button
+                onClick={generateNewMindmap}
+                className="px-3 py-2 bg-gray-800 text-gray-300 rounded-lg hover:bg-gray-700 transition-colors flex items-center gap-2 text-sm"
+                title="Generate a new mind map"
+              >
+                <RotateCcw className="w-4 h-4" />
+                <span className="hidden sm:inline">Regenerate</span>
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="w-10 h-10 bg-gray-800 rounded-lg flex items-center justify-center hover:bg-gray-700 transition-colors"
+            >
+              <X className="w-5 h-5 text-gray-400" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Loading State */}
+      {isLoading && (
+        <div className="flex-1 flex flex-col items-center justify-center">
+          <Loader2 className="w-12 h-12 text-neural-purple animate-spin mb-4" />
+          <p className="text-white font-medium mb-2">Generating mind map...</p>
+          <p className="text-sm text-gray-400">This may take 15-30 seconds</p>
+        </div>
+      )}
+
+      {/* Error State */}
+      {error && !isLoading && (
+        <div className="flex-1 flex flex-col items-center justify-center">
+          <div className="w-16 h-16 bg-red-500/20 rounded-full flex items-center justify-center mb-4">
+            <AlertCircle className="w-8 h-8 text-red-400" />
+          </div>
+          <p className="text-red-400 font-medium mb-2">Failed to generate mind map</p>
+          <p className="text-sm text-gray-500 mb-6 text-center max-w-md">{error}</p>
+          <button
+            onClick={generateNewMindmap}
+            className="px-4 py-2 bg-neural-purple text-white rounded-lg hover:bg-neural-purple/80 transition-colors flex items-center gap-2"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Try Again
+          </button>
+        </div>
+      )}
+
+      {/* Map */}
+      {showMap && (
+        <div className="flex-1 relative overflow-hidden">
+          <div
+            ref={containerRef}
+            className="absolute inset-0 cursor-grab active:cursor-grabbing touch-none select-none"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          >
+            <svg width="100%" height="100%">
+              <g transform={`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+                {/* Cross-links */}
+                {layout.crossLinks.map(link => {
+                  const from = positions.get(link.from);
+                  const to = positions.get(link.to);
+                  const midX = (from.x + to.x) / 2;
+                  const midY = (from.y + to.y) / 2;
+                  return (
+                    <g key={`${link.from}-${link.to}`}>
+                      <path
+                        d={`M ${from.x} ${from.y} Q ${midX * 0.6} ${midY * 0.6} ${to.x} ${to.y}`}
+                        fill="none"
+                        stroke="#ec4899"
+                        strokeWidth="1.5"
+                        strokeDasharray="6 5"
+                        opacity="0.5"
+                      />
+                      {link.label && (
+                        <text x={midX * 0.8} y={midY * 0.8} textAnchor="middle" fontSize="11" fill="#f9a8d4" opacity="0.8">
+                          {link.label}
+                        </text>
+                      )}
+                    </g>
+                  );
+                })}
+
+                {/* Tree edges */}
+                {layout.edges.map(edge => {
+                  const from = positions.get(edge.from);
+                  const to = positions.get(edge.to);
+                  return (
+                    <line
+                      key={`${edge.from}-${edge.to}`}
+                      x1={from.x}
+                      y1={from.y}
+                      x2={to.x}
+                      y2={to.y}
+                      stroke="#4b5563"
+                      strokeWidth={Math.max(1, 3 - to.depth * 0.6)}
+                    />
+                  );
+                })}
+
+                {/* Nodes */}
+                {layout.nodes.map(node => {
+                  const kind = NODE_KINDS[node.kind] || NODE_KINDS.concept;
+                  const width = nodeWidth(node);
+                  const height = node.depth === 0 ? 44 : 32;
+                  const isSelected = node.id === selectedId;
+                  return (
+                    <g
+                      key={node.id}
+                      transform={`translate(${node.x} ${node.y})`}
+                      onClick={() => handleNodeClick(node.id)}
+                      onDoubleClick={() => node.childCount > 0 && toggleCollapsed(node.id)}
+                      className="cursor-pointer"
+                    >
+                      <title>{node.label}</title>
+                      <rect
+                        x={-width / 2}
+                        y={-height / 2}
+                        width={width}
+                        height={height}
+                        rx={height / 2}
+                        fill={node.depth === 0 ? kind.color : '#111827'}
+                        stroke={kind.color}
+                        strokeWidth={isSelected ? 3 : 1.5}
+                      />
+                      <text
+                        textAnchor="middle"
+                        dominantBaseline="central"
+                        fontSize={node.depth === 0 ? 15 : 12}
+                        fontWeight={node.depth <= 1 ? 600 : 400}
+                        fill="#f3f4f6"
+                      >
+                        {truncateLabel(node.label)}
+                      </text>
+                      {node.hiddenCount > 0 && (
+                        <g transform={`translate(${width / 2} ${-height / 2})`}>
+                          <circle r="10" fill={kind.color} />
+                          <text textAnchor="middle" dominantBaseline="central" fontSize="10" fontWeight="600" fill="#fff">
+                            +{node.hiddenCount}
+                          </text>
+                        </g>
+                      )}
+                    </g>
+                  );
+                })}
+              </g>
+            </svg>
+          </div>
+
+          {/* Zoom controls */}
+          <div className="absolute left-4 bottom-4 flex flex-col gap-2">
+            {[
+              { icon: ZoomIn, title: 'Zoom in', onClick: () => zoomCentre(ZOOM_STEP) },
+              { icon: ZoomOut, title: 'Zoom out', onClick: () => zoomCentre(1 / ZOOM_STEP) },
+              { icon: Maximize2, title: 'Fit to screen', onClick: fitToScreen },
+              collapsed.size > 0
+                ? { icon: ChevronsUpDown, title: 'Expand all', onClick: () => setCollapsed(new Set()) }
+                : { icon: ChevronsDownUp, title: 'Collapse all branches', onClick: collapseAll },
+            ].map(({ icon: Icon, title, onClick }) => (
+              <button
+                key={title}
+                onClick={onClick}
+                title={title}
+                className="w-10 h-10 bg-gray-800/90 rounded-lg flex items-center justify-center hover:bg-gray-700 transition-colors"
+              >
+                <Icon className="w-5 h-5 text-gray-300" />
+              </button>
+            ))}
+          </div>
+
+          {/* Legend */}
+          <div className="absolute right-4 bottom-4 bg-gray-900/90 border border-gray-800 rounded-lg px-3 py-2 text-xs text-gray-400 hidden md:block">
+            <div className="flex flex-wrap gap-x-3 gap-y-1 max-w-xs">
+              {Object.entries(NODE_KINDS).filter(([id]) => id !== 'topic').map(([id, kind]) => (
+                <span key={id} className="flex items-center gap-1">
+                  <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: kind.color }} />
+                  {kind.label}
+                </span>
+              ))}
+              <span className="flex items-center gap-1">
+                <span className="w-4 border-t border-dashed border-pink-400" />
+                Related
+              </span>
+            </div>
+            <div className="mt-1 text-gray-500">
+              Drag to pan · scroll to zoom · double-click to fold
+              {isFromLibrary && ' · from your library'}
+            </div>
+          </div>
+
+          {/* Selected node panel */}
+          {selectedNode && (
+            <div className="absolute top-4 right-4 left-4 sm:left-auto sm:w-80 bg-neural-dark border border-gray-700 rounded-xl p-4 shadow-xl">
+              <div className="flex items-start justify-between gap-2 mb-2">
+                <div className="min-w-0">
+                  <span
+                    className="text-xs font-medium"
+                    style={{ color: (NODE_KINDS[selectedNode.kind] || NODE_KINDS.concept).color }}
+                  >
+                    {(NODE_KINDS[selectedNode.kind] || NODE_KINDS.concept).label}
+                  </span>
+                  <h3 className="font-bold text-white">{selectedNode.label}</h3>
+                </div>
+                <button
+                  onClick={() => setSelectedId(null)}
+                  className="text-gray-500 hover:text-white transition-colors"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+
+              {selectedNode.summary && (
+                <p className="text-sm text-gray-300 mb-3">{renderMathText(selectedNode.summary)}</p>
+              )}
+
+              <div className="space-y-2">
+                <button
+                  onClick={handleMakeFlashcards}
+                  disabled={cardStatus?.type === 'loading'}
+                  className="w-full px-3 py-2 bg-neural-purple text-white rounded-lg hover:bg-neural-purple/80 transition-colors flex items-center justify-center gap-2 text-sm disabled:opacity-50"
+                >
+                  {cardStatus?.type === 'loading' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Layers className="w-4 h-4" />}
+                  Make flashcards from this {branchSize > 1 ? `branch (${branchSize})` : 'node'}
+                </button>
+                {onPracticeNode && (
+                  <button
+                    onClick={handlePractice}
+                    className="w-full px-3 py-2 bg-gray-800 text-gray-200 rounded-lg hover:bg-gray-700 transition-colors flex items-center justify-center gap-2 text-sm"
+                  >
+                    <Target className="w-4 h-4" />
+                    Practice this node
+                  </button>
+                )}
+                {selectedNode.childCount > 0 && (
+                  <button
+                    onClick={() => toggleCollapsed(selectedNode.id)}
+                    className="w-full px-3 py-2 bg-gray-800 text-gray-400 rounded-lg hover:bg-gray-700 transition-colors flex items-center justify-center gap-2 text-sm"
+                  >
+                    {collapsed.has(selectedNode.id)
+                      ? <><ChevronsUpDown className="w-4 h-4" /> Expand branch</>
+                      : <><ChevronsDownUp className="w-4 h-4" /> Collapse branch</>}
+                  </button>
+                )}
+              </div>
+
+              {cardStatus && cardStatus.type !== 'loading' && (
+                <div className={`flex items-start gap-2 mt-3 text-xs ${cardStatus.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+                  {cardStatus.type === 'error'
+                    ? <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                    : <CheckCircle2 className="w-4 h-4 flex-shrink-0" />}
+                  {cardStatus.text}
+                </div>
+              )}
+              {cardStatus?.type === 'loading' && (
+                <p className="mt-3 text-xs text-gray-400">{cardStatus.text}</p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MindMapViewer;
@@ -0,0 +1,225 @@
+/**
+ * NOTIFICATION SETTINGS COMPONENT
+ *
+ * Purpose: Turn reminder notifications on, pick what they cover and when
+ *          (routine times per checklist category, deadline time, event lead
+ *          time, quiet hours, snooze length), have smart reminders pushed
+ *          while the app is closed, and see what's coming up and what was
+ *          shown - with what was done about it
+ *
+ * notifications comes from useNotificationScheduler (App.jsx).
+ */
+
+import { BellRing, X, Moon, Clock } from 'lucide-react';
+import { NOTIFICATION_KINDS } from '../utils/notificationScheduler';
+import { formatDateTime } from '../utils/dateUtils';
+
+const ACTION_LABELS = {
+  done: 'Done',
+  snooze: 'Snoozed',
+  dismiss: 'Dismissed',
+  open: 'Opened',
+};
+
+const MAX_LISTED = 8;
+
+export default function NotificationSettings({ notifications, onClose }) {
+  const { settings, setSettings, permission, requestPermission, upcoming, log, pushStatus } = notifications;
+
+  const update = (changes) => setSettings({ ...settings, ...changes });
+
+  const enable = async () => {
+    const result = permission === 'granted' ? permission : await requestPermission();
+    if (result === 'granted') update({ enabled: true });
+  };
+
+  return (
+    <div className="neural-card space-y-4 animate-slide-in">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <BellRing className="w-5 h-5 text-neural-purple" />
+          Notifications
+        </h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* On / off and permission */}
+      {permission === 'unsupported' ? (
+        <p className="text-sm text-gray-400">This browser can't show notifications.</p>
+      ) : permission === 'denied' ? (
+        <p className="text-sm text-red-400">
+          Notifications are blocked for this site - allow them in the browser's site settings.
+        </p>
+      ) : settings.enabled && permission === 'granted' ? (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-green-400">On - reminders appear while the app is open</p>
+          <button onClick={() => update({ enabled: false })} className="neural-button-secondary text-sm">
+            Turn off
+          </button>
+        </div>
+      ) : (
+        <button onClick={enable} className="neural-button flex items-center gap-2">
+          <BellRing className="w-4 h-4" />
+          Turn on notifications
+        </button>
+      )}
+
+      {/* What to notify about */}
+      <div className="flex flex-wrap gap-3">
+        {NOTIFICATION_KINDS.map(kind => (
+          <label key={kind.value} className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings[kind.value]}
+              onChange={(e) => update({ [kind.value]: e.target.checked })}
+            />
+            {kind.label}
+          </label>
+        ))}
+      </div>
+
+      {/* Web Push */}
+      <div>
+        <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.push}
+            onChange={(e) => update({ push: e.target.checked })}
+            disabled={!settings.smart}
+          />
+          Push smart reminders to this device when the app is closed
+        </label>
+        {settings.push && settings.smart && settings.enabled && (
+          pushStatus.error ? (
+            <p className="text-xs text-red-400 mt-1">Push isn't working: {pushStatus.error}</p>
+          ) : pushStatus.subscribed ? (
+            <p className="text-xs text-green-400 mt-1">This device gets pushed reminders (outside quiet hours)</p>
+          ) : null
+        )}
+      </div>
+
+      {/* When */}
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        {Object.entries(settings.routineTimes).map(([category, time]) => (
+          <div key={category}>
+            <label className="block text-xs text-gray-400 mb-1">{category} routines</label>
+            <input
+              type="time"
+              value={time}
+              onChange={(e) => update({ routineTimes: { ...settings.routineTimes, [category]: e.target.value } })}
+              disabled={!settings.routines}
+              className="neural-input text-sm disabled:opacity-50"
+            />
+          </div>
+        ))}
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Deadlines (day before and on the day)</label>
+          <input
+            type="time"
+            value={settings.deadlineTime}
+            onChange={(e) => update({ deadlineTime: e.target.value })}
+            disabled={!settings.deadlines}
+            className="neural-input text-sm disabled:opacity-50"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Events - minutes before</label>
+          <input
+            type="number"
+            min="0"
+            max="240"
+            value={settings.eventLeadMinutes}
+            onChange={(e) => update({ eventLeadMinutes: Math.max(0, Number(e.target.value) || 0) })}
+            disabled={!settings.events}
+            className="neural-input text-sm disabled:opacity-50"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Snooze for (minutes)</label>
+          <input
+            type="number"
+            min="1"
+            max="240"
+            value={settings.snoozeMinutes}
+            onChange={(e) => update({ snoozeMinutes: Math.max(1, Number(e.target.value) || 1) })}
+            className="neural-input text-sm"
+          />
+        </div>
+      </div>
+
+      {/* Quiet hours */}
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.quietHours.enabled}
+            onChange={(e) => update({ quietHours: { ...settings.quietHours, enabled: e.target.checked } })}
+          />
+          <Moon className="w-4 h-4" />
+          Quiet hours
+        </label>
+        <input
+          type="time"
+          value={settings.quietHours.start}
+          onChange={(e) => update({ quietHours: { ...settings.quietHours, start: e.target.value } })}
+          disabled={!settings.quietHours.enabled}
+          className="neural-input text-sm w-32 disabled:opacity-50"
+        />
+        <span className="text-sm text-gray-500">to</span>
+        <input
+          type="time"
+          value={settings.quietHours.end}
+          onChange={(e) => update({ quietHours: { ...settings.quietHours, end: e.target.value } })}
+          disabled={!settings.quietHours.enabled}
+          className="neural-input text-sm w-32 disabled:opacity-50"
+        />
+        <span className="text-xs text-gray-500">Reminders wait until quiet hours end</span>
+      </div>
+
+      {/* Coming up */}
+      <div>
+        <h4 className="text-sm font-medium text-gray-400 mb-2 flex items-center gap-1">
+          <Clock className="w-4 h-4" />
+          Coming up
+        </h4>
+        {upcoming.length === 0 ? (
+          <p className="text-xs text-gray-500">Nothing scheduled for the next 24 hours</p>
+        ) : (
+          <div className="space-y-1">
+            {upcoming.slice(0, MAX_LISTED).map(notification => (
+              <div key={notification.key} className="flex items-center gap-3 text-sm">
+                <span className="text-xs text-gray-500 w-28 flex-shrink-0">{formatDateTime(notification.fireAt)}</span>
+                <span className="text-gray-300 truncate">
+                  {notification.title}: {notification.body}
+                </span>
+                {notification.snoozed && <span className="text-xs text-yellow-400">snoozed</span>}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Reminder log */}
+      {log.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-400 mb-2">Recently shown</h4>
+          <div className="space-y-1">
+            {log.slice(0, MAX_LISTED).map(entry => (
+              <div key={entry.key} className="flex items-center gap-3 text-sm">
+                <span className="text-xs text-gray-500 w-28 flex-shrink-0">{formatDateTime(entry.shownAt)}</span>
+                <span className="text-gray-300 truncate flex-1">
+                  {entry.title}: {entry.body}
+                </span>
+                <span className={`text-xs ${entry.action === 'done' ? 'text-green-400' : 'text-gray-500'}`}>
+                  {ACTION_LABELS[entry.action] || 'No response'}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -38,7 +38,7 @@
  * Important Notes:
  * - Uses Sonnet 4.5 NOT Haiku (per user request for quality)
  * - Bullet points have NO mt-1 for proper alignment
- * - Backend endpoint: POST /api/plan-activity in server.cjs
+ * - Backend endpoint: POST /api/plan-activity in server/routes/planning.cjs
  */
 
 import { useState } from 'react';
@@ -53,6 +53,9 @@ export default function PlanningAssistant({
   logs,
   checklist,
   reviews,
+  reminderHistory,
+  setReminderHistory,
+  notifications,
   isAnalyzing,
   setIsAnalyzing,
   plan,
@@ -294,6 +297,9 @@ export default function PlanningAssistant({
           logs={logs}
           checklist={checklist}
           reviews={reviews}
+          reminderHistory={reminderHistory}
+          setReminderHistory={setReminderHistory}
+          notifications={notifications}
         />
       </div>
 
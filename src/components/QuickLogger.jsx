@@ -13,6 +13,8 @@
  * - Activity grid with quick selection
  * - 30-day unified calendar (energy, motivation, study time)
  * - Day details view with 4 stat cards
+ * - Routine timer - DailyChecklist's "Timer" on a duration routine opens the timer
+ *   for it (routineTimer prop); the log's routineId counts its minutes there
  *
  * State Management:
  * - logs[] - All activity logs in localStorage
@@ -39,7 +41,7 @@
  * - Duration showing wrong value → Check logEntry() captures values before async (line 84)
  * - Study time decimals → Should be rounded with Math.round(val * 10) / 10
  * - Slider alignment → Check gradient calculation and slider CSS class
- * - Classification not working → Check server.cjs endpoint and model name
+ * - Classification not working → Check server/routes/learning.cjs endpoint and model name
  */
 
 import { useState, useEffect, useRef } from 'react';
@@ -58,7 +60,7 @@ const ACTIVITIES = [
   'Other',
 ];
 
-export default function QuickLogger({ logs, setLogs }) {
+export default function QuickLogger({ logs, setLogs, routineTimer = null, onRoutineTimerUsed }) {
   const [showLogger, setShowLogger] = useState(false);
   const [showHistory, setShowHistory] = useState(false);
   const [energy, setEnergy] = useState(5);
@@ -71,6 +73,7 @@ export default function QuickLogger({ logs, setLogs }) {
   const [timerSeconds, setTimerSeconds] = useState(0);
   const [isTimerRunning, setIsTimerRunning] = useState(false);
   const [timerStartTime, setTimerStartTime] = useState(null);
+  const [routine, setRoutine] = useState(null); // DailyChecklist routine being timed
   const timerIntervalRef = useRef(null);
 
   // Timer effect
@@ -97,6 +100,20 @@ export default function QuickLogger({ logs, setLogs }) {
     setTimerStartTime(Date.now());
   };
 
+  // Opened from a duration routine's "Timer" - start timing it straight away
+  useEffect(() => {
+    if (!routineTimer) return;
+    setRoutine(routineTimer);
+    setActivity(routineTimer.category === 'Study' ? 'Studying' : 'Other');
+    setNote(routineTimer.text);
+    setDuration('');
+    setTimerSeconds(0);
+    setIsTimerMode(true);
+    setShowLogger(true);
+    startTimer();
+    onRoutineTimerUsed?.();
+  }, [routineTimer]);
+
   const pauseTimer = () => {
     setIsTimerRunning(false);
   };
@@ -129,6 +146,8 @@ export default function QuickLogger({ logs, setLogs }) {
     const currentEnergy = energy;
     const currentMotivation = motivation;
     const currentNote = note;
+    const currentRoutine = routine;
+    const currentTimerSeconds = isTimerMode ? timerSeconds : 0;
 
     // Calculate duration in minutes
     let durationMinutes = 30; // default
@@ -137,6 +156,9 @@ export default function QuickLogger({ logs, setLogs }) {
       if (!isNaN(parsed) && parsed > 0) {
         durationMinutes = parsed;
       }
+    } else if (currentTimerSeconds > 0) {
+      // Saved with the timer still showing - use its time rather than the default
+      durationMinutes = Math.max(1, Math.round(currentTimerSeconds / 60));
     }
 
     console.log('Duration input:', JSON.stringify(currentDuration), '→ Parsed:', durationMinutes);
@@ -161,7 +183,8 @@ export default function QuickLogger({ logs, setLogs }) {
       activity: currentActivity,
       subject: currentActivity === 'Studying' ? currentSubject : null,
       subjectHierarchy: currentActivity === 'Studying' ? subjectHierarchy : null,
-      duration: currentActivity === 'Studying' ? durationMinutes : null,
+      duration: currentActivity === 'Studying' || currentRoutine ? durationMinutes : null,
+      routineId: currentRoutine?.id || null,
       note: currentNote.trim(),
     };
 
@@ -179,6 +202,7 @@ export default function QuickLogger({ logs, setLogs }) {
     setTimerSeconds(0);
     setIsTimerMode(false);
     setIsTimerRunning(false);
+    setRoutine(null);
     setShowLogger(false);
   };
 
@@ -334,6 +358,18 @@ export default function QuickLogger({ logs, setLogs }) {
             />
           </div>
 
+          {routine && (
+            <div className="mb-4 flex items-center justify-between gap-2 p-2 rounded-lg bg-neural-blue/10 border border-neural-blue/30 text-sm">
+              <span className="text-neural-blue truncate">
+                <CheckCircle2 className="w-4 h-4 inline mr-1" />
+                Counts towards routine: {routine.text}
+              </span>
+              <button onClick={() => setRoutine(null)} className="text-gray-500 hover:text-white" title="Don't count it">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+
           {/* Activity Dropdown */}
           <div className="mb-4">
             <label className="block text-sm text-gray-400 mb-2">Current Activity</label>
@@ -351,97 +387,97 @@ export default function QuickLogger({ logs, setLogs }) {
 
           {/* Subject Input (if studying) */}
           {activity === 'Studying' && (
-            <>
-              <div className="mb-4">
-                <label className="block text-sm text-gray-400 mb-2">
-                  Subject
-                  <span className="text-xs text-gray-500 ml-2">(e.g., "Group Theory", "Quantum Field Theory")</span>
-                </label>
-                <input
-                  type="text"
-                  value={subject}
-                  onChange={(e) => setSubject(e.target.value)}
-                  placeholder="Enter what you're studying..."
-                  className="neural-input"
-                />
-              </div>
+            <div className="mb-4">
+              <label className="block text-sm text-gray-400 mb-2">
+                Subject
+                <span className="text-xs text-gray-500 ml-2">(e.g., "Group Theory", "Quantum Field Theory")</span>
+              </label>
+              <input
+                type="text"
+                value={subject}
+                onChange={(e) => setSubject(e.target.value)}
+                placeholder="Enter what you're studying..."
+                className="neural-input"
+              />
+            </div>
+          )}
 
-              {/* Duration / Timer */}
-              <div className="mb-4">
-                <div className="flex items-center justify-between mb-2">
-                  <label className="text-sm text-gray-400">Study Duration</label>
-                  <button
-                    onClick={() => {
-                      console.log('Switching mode from', isTimerMode ? 'Timer' : 'Manual', 'to', isTimerMode ? 'Manual' : 'Timer', '| Current duration:', duration);
-                      setIsTimerMode(!isTimerMode);
-                      if (!isTimerMode) {
-                        setDuration('');
-                        setTimerSeconds(0);
-                        setIsTimerRunning(false);
-                      }
-                    }}
-                    className="text-xs px-2 py-1 bg-gray-800 hover:bg-gray-700 rounded transition-colors"
-                  >
-                    {isTimerMode ? 'Manual' : 'Timer'}
-                  </button>
-                </div>
+          {/* Duration / Timer - studying, or timing a routine */}
+          {(activity === 'Studying' || routine) && (
+            <div className="mb-4">
+              <div className="flex items-center justify-between mb-2">
+                <label className="text-sm text-gray-400">{routine ? 'Duration' : 'Study Duration'}</label>
+                <button
+                  onClick={() => {
+                    console.log('Switching mode from', isTimerMode ? 'Timer' : 'Manual', 'to', isTimerMode ? 'Manual' : 'Timer', '| Current duration:', duration);
+                    setIsTimerMode(!isTimerMode);
+                    if (!isTimerMode) {
+                      setDuration('');
+                      setTimerSeconds(0);
+                      setIsTimerRunning(false);
+                    }
+                  }}
+                  className="text-xs px-2 py-1 bg-gray-800 hover:bg-gray-700 rounded transition-colors"
+                >
+                  {isTimerMode ? 'Manual' : 'Timer'}
+                </button>
+              </div>
 
-                {isTimerMode ? (
-                  <div className="bg-neural-darker border border-gray-800 rounded-lg p-4">
-                    <div className="text-center mb-3">
-                      <div className="text-4xl font-bold text-neural-purple font-mono">
-                        {formatTimer(timerSeconds)}
-                      </div>
-                      <div className="text-xs text-gray-500 mt-1">
-                        {isTimerRunning ? 'Timer running...' : 'Timer paused'}
-                      </div>
+              {isTimerMode ? (
+                <div className="bg-neural-darker border border-gray-800 rounded-lg p-4">
+                  <div className="text-center mb-3">
+                    <div className="text-4xl font-bold text-neural-purple font-mono">
+                      {formatTimer(timerSeconds)}
                     </div>
-                    <div className="flex gap-2">
-                      {!isTimerRunning ? (
-                        <button
-                          onClick={startTimer}
-                          className="flex-1 neural-button-secondary flex items-center justify-center gap-2"
-                        >
-                          <Play className="w-4 h-4" />
-                          {timerSeconds === 0 ? 'Start' : 'Resume'}
-                        </button>
-                      ) : (
-                        <button
-                          onClick={pauseTimer}
-                          className="flex-1 neural-button-secondary flex items-center justify-center gap-2"
-                        >
-                          <Pause className="w-4 h-4" />
-                          Pause
-                        </button>
-                      )}
+                    <div className="text-xs text-gray-500 mt-1">
+                      {isTimerRunning ? 'Timer running...' : 'Timer paused'}
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    {!isTimerRunning ? (
                       <button
-                        onClick={stopTimer}
-                        disabled={timerSeconds === 0}
-                        className="flex-1 neural-button-secondary flex items-center justify-center gap-2 disabled:opacity-50"
+                        onClick={startTimer}
+                        className="flex-1 neural-button-secondary flex items-center justify-center gap-2"
                       >
-                        <Square className="w-4 h-4" />
-                        Stop
+                        <Play className="w-4 h-4" />
+                        {timerSeconds === 0 ? 'Start' : 'Resume'}
                       </button>
-                    </div>
-                  </div>
-                ) : (
-                  <div className="flex items-center gap-2">
-                    <input
-                      type="number"
-                      value={duration}
-                      onChange={(e) => {
-                        console.log('Duration field changed:', JSON.stringify(e.target.value));
-                        setDuration(e.target.value);
-                      }}
-                      placeholder="30"
-                      min="1"
-                      className="neural-input"
-                    />
-                    <span className="text-sm text-gray-400 whitespace-nowrap">minutes (default: 30)</span>
+                    ) : (
+                      <button
+                        onClick={pauseTimer}
+                        className="flex-1 neural-button-secondary flex items-center justify-center gap-2"
+                      >
+                        <Pause className="w-4 h-4" />
+                        Pause
+                      </button>
+                    )}
+                    <button
+                      onClick={stopTimer}
+                      disabled={timerSeconds === 0}
+                      className="flex-1 neural-button-secondary flex items-center justify-center gap-2 disabled:opacity-50"
+                    >
+                      <Square className="w-4 h-4" />
+                      Stop
+                    </button>
                   </div>
-                )}
-              </div>
-            </>
+                </div>
+              ) : (
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    value={duration}
+                    onChange={(e) => {
+                      console.log('Duration field changed:', JSON.stringify(e.target.value));
+                      setDuration(e.target.value);
+                    }}
+                    placeholder="30"
+                    min="1"
+                    className="neural-input"
+                  />
+                  <span className="text-sm text-gray-400 whitespace-nowrap">minutes (default: 30)</span>
+                </div>
+              )}
+            </div>
           )}
 
           {/* Quick Note */}
@@ -11,7 +11,8 @@ import {
   Eye,
   AlertCircle,
   X,
-  Layers
+  Layers,
+  ArrowDownUp
 } from 'lucide-react';
 import { 
   getAllResources, 
@@ -19,6 +20,7 @@ import {
   toggleFavorite, 
   deleteResource 
 } from '../utils/resourceService';
+import DeckTransfer from './DeckTransfer';
 
 // Resource type configurations
 const RESOURCE_TYPES = {
@@ -70,7 +72,7 @@ const formatRelativeTime = (dateString) => {
   }
 };
 
-function ResourceLibrary({ onOpenCheatSheet, onOpenFlashcards }) {
+function ResourceLibrary({ onOpenCheatSheet, onOpenFlashcards, onOpenMindMap }) {
   // State
   const [resources, setResources] = useState([]);
   const [stats, setStats] = useState({ cheatsheets: 0, flashcard_decks: 0, mindmaps: 0 });
@@ -79,6 +81,7 @@ function ResourceLibrary({ onOpenCheatSheet, onOpenFlashcards }) {
   const [filter, setFilter] = useState({ type: 'all', favoriteOnly: false });
   const [searchQuery, setSearchQuery] = useState('');
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [showDeckTransfer, setShowDeckTransfer] = useState(false);
 
   // Load resources
   const loadResources = async () => {
@@ -186,8 +189,9 @@ function ResourceLibrary({ onOpenCheatSheet, onOpenFlashcards }) {
       onOpenCheatSheet(resource.subject, resource.topic);
     } else if (resource.resourceType === 'flashcard_deck' && onOpenFlashcards) {
       onOpenFlashcards(resource.subject, resource.topic);
+    } else if (resource.resourceType === 'mindmap' && onOpenMindMap) {
+      onOpenMindMap(resource.subject, resource.topic);
     }
-    // Mind maps not yet implemented
   };
 
   // Render loading state
@@ -228,10 +232,18 @@ function ResourceLibrary({ onOpenCheatSheet, onOpenFlashcards }) {
         <div className="w-12 h-12 bg-neural-purple/20 rounded-xl flex items-center justify-center">
           <FolderOpen className="w-6 h-6 text-neural-purple" />
         </div>
-        <div>
+        <div className="flex-1">
           <h2 className="text-xl font-bold">My Library</h2>
           <p className="text-sm text-gray-400">Your saved study resources</p>
         </div>
+        <button
+          onClick={() => setShowDeckTransfer(true)}
+          className="px-3 py-2 rounded-lg text-sm font-medium bg-gray-800 text-gray-300 hover:bg-gray-700 transition-colors flex items-center gap-2"
+          title="Import or export flashcard decks (Anki, CSV)"
+        >
+          <ArrowDownUp className="w-4 h-4" />
+          <span className="hidden sm:inline">Import / Export Decks</span>
+        </button>
       </div>
 
       {/* Stats Bar */}
@@ -345,7 +357,7 @@ function ResourceLibrary({ onOpenCheatSheet, onOpenFlashcards }) {
             <>
               <h3 className="text-lg font-medium text-white mb-2">No resources yet</h3>
               <p className="text-gray-500 max-w-md mx-auto">
-                Generate cheat sheets or flashcards from any topic to save them here for quick access.
+                Generate cheat sheets, flashcards or mind maps from any topic to save them here for quick access.
               </p>
             </>
           ) : (
@@ -461,6 +473,12 @@ function ResourceLibrary({ onOpenCheatSheet, onOpenFlashcards }) {
           </div>
         </div>
       )}
+
+      <DeckTransfer
+        isOpen={showDeckTransfer}
+        onClose={() => setShowDeckTransfer(false)}
+        onImported={loadResources}
+      />
     </div>
   );
 }
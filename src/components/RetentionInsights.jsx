@@ -0,0 +1,283 @@
+/**
+ * RETENTION INSIGHTS COMPONENT
+ *
+ * Purpose: Charts over the review log for the Learn progress dashboard
+ *
+ * Features:
+ * - Review activity heatmap (last 17 weeks)
+ * - Retention over time (7-day rolling), overall or per topic
+ * - Per-topic forgetting curves with a fitted memory half-life
+ */
+
+import { useState, useMemo } from 'react';
+import { Calendar, TrendingDown, Activity } from 'lucide-react';
+import {
+  buildActivityHeatmap,
+  buildRetentionTrend,
+  buildForgettingCurves,
+  listReviewTopics,
+  predictRecall,
+} from '../utils/retentionAnalytics';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const HEATMAP_LEVELS = [
+  'bg-gray-800',
+  'bg-neural-purple/25',
+  'bg-neural-purple/50',
+  'bg-neural-purple/75',
+  'bg-neural-purple',
+];
+
+const DAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+const MAX_CURVES = 6;
+
+const formatHalfLife = (days) => {
+  if (days == null) return '—';
+  if (days < 1) return `${Math.round(days * 24)}h`;
+  if (days < 60) return `${Math.round(days)}d`;
+  return `${Math.round(days / 30)}mo`;
+};
+
+const formatPercent = (value) => (value == null ? '—' : `${Math.round(value * 100)}%`);
+
+// ============================================
+// HEATMAP
+// ============================================
+
+function ActivityHeatmap({ log }) {
+  const heatmap = useMemo(() => buildActivityHeatmap(log), [log]);
+
+  return (
+    <div className="bg-neural-dark rounded-xl border border-gray-800 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-medium text-white flex items-center gap-2">
+          <Calendar className="w-4 h-4 text-neural-purple" />
+          Review Activity
+        </h3>
+        <span className="text-xs text-gray-500">
+          {heatmap.totalReviews} reviews · {heatmap.activeDays} active days
+        </span>
+      </div>
+
+      <div className="flex gap-1 overflow-x-auto pb-1">
+        <div className="flex flex-col gap-1 mr-1">
+          {DAY_LABELS.map((label, idx) => (
+            <div key={idx} className="h-3 text-[9px] leading-3 text-gray-500">{label}</div>
+          ))}
+        </div>
+        {heatmap.weeks.map((week, weekIdx) => (
+          <div key={weekIdx} className="flex flex-col gap-1">
+            {week.map(day => (
+              <div
+                key={day.date}
+                title={day.isFuture ? '' : `${day.date}: ${day.reviews} reviews${day.reviews > 0 ? `, ${formatPercent(day.retention)} recalled` : ''}`}
+                className={`w-3 h-3 rounded-sm ${day.isFuture ? 'bg-transparent' : HEATMAP_LEVELS[day.level]}`}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-end gap-1 mt-2 text-[10px] text-gray-500">
+        <span>Less</span>
+        {HEATMAP_LEVELS.map(level => (
+          <div key={level} className={`w-3 h-3 rounded-sm ${level}`} />
+        ))}
+        <span>More</span>
+      </div>
+    </div>
+  );
+}
+
+// ============================================
+// RETENTION OVER TIME
+// ============================================
+
+function RetentionTrend({ log, topics }) {
+  const [topicKey, setTopicKey] = useState('all');
+
+  const series = useMemo(
+    () => buildRetentionTrend(log, { topicKey: topicKey === 'all' ? null : topicKey }),
+    [log, topicKey]
+  );
+
+  const width = 300;
+  const height = 100;
+  const maxReviews = Math.max(1, ...series.map(point => point.reviews));
+  const step = width / Math.max(1, series.length - 1);
+  const barWidth = width / series.length;
+
+  // Break the line where a window has no reviews
+  const segments = [];
+  let current = [];
+  series.forEach((point, idx) => {
+    if (point.retention == null) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+      return;
+    }
+    current.push(`${idx * step},${height - point.retention * height}`);
+  });
+  if (current.length > 0) segments.push(current);
+
+  const latest = [...series].reverse().find(point => point.retention != null);
+  const earliest = series.find(point => point.retention != null);
+  const change = latest && earliest ? latest.retention - earliest.retention : null;
+
+  return (
+    <div className="bg-neural-dark rounded-xl border border-gray-800 p-4">
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <h3 className="font-medium text-white flex items-center gap-2">
+          <Activity className="w-4 h-4 text-green-400" />
+          Retention Over Time
+        </h3>
+        <select
+          value={topicKey}
+          onChange={(e) => setTopicKey(e.target.value)}
+          className="bg-gray-800 border border-gray-700 rounded-lg px-2 py-1 text-xs text-white max-w-[50%]"
+        >
+          <option value="all">All topics</option>
+          {topics.map(topic => (
+            <option key={topic.key} value={topic.key}>{topic.topic} ({topic.subject})</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-baseline gap-3 mb-2">
+        <span className="text-2xl font-bold text-green-400">{formatPercent(latest?.retention)}</span>
+        {change != null && Math.abs(change) >= 0.01 && (
+          <span className={`text-xs ${change > 0 ? 'text-green-400' : 'text-red-400'}`}>
+            {change > 0 ? '+' : ''}{Math.round(change * 100)} pts over 30 days
+          </span>
+        )}
+        <span className="text-xs text-gray-500">7-day rolling recall</span>
+      </div>
+
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-28" preserveAspectRatio="none">
+        {[0.25, 0.5, 0.75].map(level => (
+          <line key={level} x1="0" x2={width} y1={height - level * height} y2={height - level * height} stroke="#1f2937" strokeWidth="1" />
+        ))}
+        {series.map((point, idx) => (
+          <rect
+            key={point.date}
+            x={idx * barWidth + barWidth * 0.2}
+            y={height - (point.reviews / maxReviews) * height * 0.3}
+            width={barWidth * 0.6}
+            height={(point.reviews / maxReviews) * height * 0.3}
+            fill="#a855f7"
+            opacity="0.3"
+          />
+        ))}
+        {segments.map((points, idx) => (
+          <polyline key={idx} points={points.join(' ')} fill="none" stroke="#4ade80" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        ))}
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-500 mt-1">
+        <span>{series[0]?.date}</span>
+        <span>Bars: reviews per day</span>
+        <span>Today</span>
+      </div>
+    </div>
+  );
+}
+
+// ============================================
+// FORGETTING CURVES
+// ============================================
+
+function ForgettingCurve({ curve }) {
+  const width = 200;
+  const height = 70;
+  const step = width / (curve.points.length - 1);
+  const fitted = curve.halfLifeDays
+    ? curve.points.map((point, idx) => `${idx * step},${height - predictRecall(curve.halfLifeDays, point.midDays) * height}`).join(' ')
+    : null;
+  const maxCount = Math.max(1, ...curve.points.map(point => point.count));
+
+  return (
+    <div className="p-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="min-w-0">
+          <span className="text-xs text-gray-400">{curve.subject}</span>
+          <h4 className="font-medium text-white truncate">{curve.topic}</h4>
+        </div>
+        <div className="text-right flex-shrink-0">
+          <div className="text-sm font-medium text-neural-pink">{formatHalfLife(curve.halfLifeDays)}</div>
+          <div className="text-[10px] text-gray-500">half-life</div>
+        </div>
+      </div>
+
+      <svg viewBox={`-6 -6 ${width + 12} ${height + 12}`} className="w-full h-20">
+        <line x1="0" x2={width} y1={height} y2={height} stroke="#374151" strokeWidth="1" />
+        <line x1="0" x2={width} y1={height / 2} y2={height / 2} stroke="#1f2937" strokeWidth="1" strokeDasharray="3 3" />
+        {fitted && <polyline points={fitted} fill="none" stroke="#ec4899" strokeWidth="1.5" opacity="0.8" />}
+        {curve.points.map((point, idx) => point.recall != null && (
+          <circle
+            key={point.label}
+            cx={idx * step}
+            cy={height - point.recall * height}
+            r={2 + (point.count / maxCount) * 3}
+            fill="#a855f7"
+          >
+            <title>{`${point.label}: ${formatPercent(point.recall)} recalled (${point.count} reviews)`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex justify-between text-[9px] text-gray-500">
+        {curve.points.map(point => <span key={point.label}>{point.label}</span>)}
+      </div>
+      <div className="text-xs text-gray-500 mt-1">
+        {curve.reviews} spaced reviews · {formatPercent(curve.retention)} recalled
+      </div>
+    </div>
+  );
+}
+
+function ForgettingCurves({ log }) {
+  const curves = useMemo(() => buildForgettingCurves(log).slice(0, MAX_CURVES), [log]);
+
+  return (
+    <div className="bg-neural-dark rounded-xl border border-gray-800">
+      <div className="p-4 border-b border-gray-800">
+        <h3 className="font-medium text-white flex items-center gap-2">
+          <TrendingDown className="w-4 h-4 text-neural-pink" />
+          Forgetting Curves
+        </h3>
+        <p className="text-xs text-gray-500 mt-1">
+          Recall by time since you last reviewed a topic. Half-life is how long until you'd recall it half the time.
+        </p>
+      </div>
+      {curves.length === 0 ? (
+        <div className="p-4 text-sm text-gray-500">
+          Come back to a topic a few times over several days to see how fast you forget it.
+        </div>
+      ) : (
+        <div className="grid sm:grid-cols-2 divide-y sm:divide-y-0 divide-gray-800">
+          {curves.map(curve => <ForgettingCurve key={curve.key} curve={curve} />)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+
+export default function RetentionInsights({ log }) {
+  const topics = useMemo(() => listReviewTopics(log), [log]);
+
+  if (log.length === 0) return null;
+
+  return (
+    <div className="space-y-6">
+      <ActivityHeatmap log={log} />
+      <RetentionTrend log={log} topics={topics} />
+      <ForgettingCurves log={log} />
+    </div>
+  );
+}
@@ -0,0 +1,592 @@
+/**
+ * REVIEW QUEUE COMPONENT
+ *
+ * Purpose: Today's flashcard reviews across every deck in one session
+ *
+ * Features:
+ * - Due reviews and new cards from all decks, subjects interleaved
+ * - Daily new-card and review limits (editable)
+ * - Scheduler choice (SM-2 or FSRS) with FSRS fitted to the user's reviews
+ * - 30-day forecast of upcoming reviews
+ * - Same card/rating UI and keyboard shortcuts as FlashcardViewer
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Layers, Loader2, X, Lightbulb, Trophy, Sparkles, Settings, Calendar, AlertCircle, RotateCcw, Wand2 } from 'lucide-react';
+import 'katex/dist/katex.min.css';
+import {
+  getReviewQueue,
+  updateCardProgress,
+  getReviewLimits,
+  saveReviewLimits,
+  onReviewQueueChange,
+  getSchedulerSettings,
+  saveSchedulerSettings,
+  optimizeSchedulerParams,
+} from '../utils/flashcardService';
+import { SCHEDULERS } from '../utils/schedulers';
+import { renderMathText, TYPE_COLORS, RATING_BUTTONS } from './FlashcardViewer';
+
+// ============================================
+// REVIEW SESSION (full screen)
+// ============================================
+
+function ReviewSession({ cards, onClose }) {
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [isFlipped, setIsFlipped] = useState(false);
+  const [showHint, setShowHint] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [sessionStats, setSessionStats] = useState({ correct: 0, incorrect: 0 });
+  const [isComplete, setIsComplete] = useState(cards.length === 0);
+
+  const cardShownAt = useRef(Date.now());
+
+  const currentCard = cards[currentIndex];
+
+  useEffect(() => {
+    cardShownAt.current = Date.now();
+  }, [currentIndex]);
+
+  const handleRating = useCallback(async (quality) => {
+    if (!currentCard || isSaving) return;
+
+    setIsSaving(true);
+    await updateCardProgress(currentCard.deckId, currentCard.id, quality, {
+      subject: currentCard.subject,
+      topic: currentCard.topic,
+      timeTaken: (Date.now() - cardShownAt.current) / 1000,
+    });
+    setIsSaving(false);
+
+    const isCorrect = quality >= 3;
+    setSessionStats(prev => ({
+      correct: prev.correct + (isCorrect ? 1 : 0),
+      incorrect: prev.incorrect + (isCorrect ? 0 : 1),
+    }));
+
+    if (currentIndex < cards.length - 1) {
+      setCurrentIndex(prev => prev + 1);
+      setIsFlipped(false);
+      setShowHint(false);
+    } else {
+      setIsComplete(true);
+    }
+  }, [currentCard, currentIndex, cards.length, isSaving]);
+
+  // Keyboard shortcuts (same as FlashcardViewer)
+  useEffect(() => {
+    const handleKeyPress = (e) => {
+      if (isComplete) return;
+      const ratingIndex = ['1', '2', '3', '4'].indexOf(e.key);
+
+      if (e.key === ' ') {
+        e.preventDefault();
+        setIsFlipped(prev => !prev);
+      } else if (ratingIndex !== -1 && isFlipped) {
+        handleRating(RATING_BUTTONS[ratingIndex].quality);
+      } else if (e.key === 'h' && !isFlipped) {
+        setShowHint(prev => !prev);
+      } else if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyPress);
+    return () => window.removeEventListener('keydown', handleKeyPress);
+  }, [isFlipped, isComplete, handleRating, onClose]);
+
+  if (isComplete) {
+    const total = sessionStats.correct + sessionStats.incorrect;
+    const accuracy = total > 0 ? Math.round((sessionStats.correct / total) * 100) : 0;
+
+    return (
+      <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
+        <div className="bg-neural-dark rounded-xl border border-gray-800 p-8 max-w-lg w-full">
+          <div className="text-center mb-6">
+            <div className="w-20 h-20 bg-neural-purple/20 rounded-full flex items-center justify-center mx-auto mb-4">
+              {total > 0 ? <Trophy className="w-10 h-10 text-neural-purple" /> : <Sparkles className="w-10 h-10 text-neural-purple" />}
+            </div>
+            <h3 className="text-2xl font-bold text-white mb-2">
+              {total > 0 ? 'Reviews Done!' : 'All Caught Up!'}
+            </h3>
+            <p className="text-gray-400">
+              {total > 0 ? `${accuracy}% recalled across all decks` : 'Nothing is due right now.'}
+            </p>
+          </div>
+
+          {total > 0 && (
+            <div className="grid grid-cols-3 gap-4 mb-6">
+              <div className="bg-gray-800/50 rounded-lg p-4 text-center">
+                <div className="text-3xl font-bold text-white">{total}</div>
+                <div className="text-xs text-gray-400">Cards Studied</div>
+              </div>
+              <div className="bg-green-500/10 rounded-lg p-4 text-center">
+                <div className="text-3xl font-bold text-green-400">{sessionStats.correct}</div>
+                <div className="text-xs text-gray-400">Correct</div>
+              </div>
+              <div className="bg-red-500/10 rounded-lg p-4 text-center">
+                <div className="text-3xl font-bold text-red-400">{sessionStats.incorrect}</div>
+                <div className="text-xs text-gray-400">Needs Review</div>
+              </div>
+            </div>
+          )}
+
+          <button
+            onClick={onClose}
+            className="w-full py-3 bg-neural-purple text-white rounded-lg hover:bg-neural-purple/80 transition-colors"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const typeConfig = TYPE_COLORS[currentCard.type] || TYPE_COLORS.concept;
+
+  return (
+    <div className="fixed inset-0 bg-black/90 z-50 flex flex-col">
+      <div className="flex-1 flex flex-col max-h-screen">
+        <div className="bg-neural-darker w-full max-w-2xl mx-auto flex flex-col flex-1 my-4 rounded-xl border border-gray-800 overflow-hidden">
+          {/* Fixed Header */}
+          <div className="flex-shrink-0 p-4 border-b border-gray-800 bg-neural-darker">
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className="font-semibold text-white">{currentCard.topic}</h2>
+                <p className="text-xs text-gray-500">{currentCard.subject}</p>
+              </div>
+              <button
+                onClick={onClose}
+                className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+              >
+                <X className="w-5 h-5 text-gray-400" />
+              </button>
+            </div>
+
+            {/* Progress bar */}
+            <div className="mt-3">
+              <div className="flex items-center justify-between text-sm text-gray-400 mb-2">
+                <span>Card {currentIndex + 1} of {cards.length}</span>
+                <span className="flex items-center gap-3">
+                  <span className="text-green-400">{sessionStats.correct} ✓</span>
+                  <span className="text-red-400">{sessionStats.incorrect} ✗</span>
+                </span>
+              </div>
+              <div className="w-full h-1.5 bg-gray-800 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-neural-purple to-neural-pink transition-all duration-300"
+                  style={{ width: `${((currentIndex + 1) / cards.length) * 100}%` }}
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Scrollable Middle Section */}
+          <div className="flex-1 overflow-y-auto p-4">
+            <div className="flex items-center gap-2 mb-3">
+              <span className={`text-xs px-2 py-1 rounded-full ${typeConfig.bg} ${typeConfig.text}`}>
+                {typeConfig.label}
+              </span>
+              {currentCard.isNew && (
+                <span className="text-xs px-2 py-1 rounded-full bg-blue-500/20 text-blue-400">New</span>
+              )}
+            </div>
+
+            <div
+              className="flashcard-container cursor-pointer"
+              onClick={() => setIsFlipped(prev => !prev)}
+            >
+              <div className={`flashcard ${isFlipped ? 'flipped' : ''}`}>
+                <div className="flashcard-face flashcard-front">
+                  <div className="flashcard-content">
+                    <div className="flashcard-scroll-wrapper">
+                      <div className="text-lg text-white leading-relaxed">
+                        {renderMathText(currentCard.front)}
+                      </div>
+                    </div>
+                    {!isFlipped && (
+                      <p className="text-sm text-gray-500 mt-4">
+                        Click or press Space to reveal answer
+                      </p>
+                    )}
+                  </div>
+                </div>
+
+                <div className="flashcard-face flashcard-back">
+                  <div className="flashcard-content">
+                    <div className="flashcard-scroll-wrapper">
+                      <div className="text-lg text-white leading-relaxed">
+                        {renderMathText(currentCard.back)}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            {!isFlipped && currentCard.hint && (
+              <div className="mt-4">
+                {showHint ? (
+                  <div className="bg-yellow-500/10 border border-yellow-500/20 rounded-lg p-3">
+                    <div className="flex items-start gap-2">
+                      <Lightbulb className="w-4 h-4 text-yellow-400 mt-0.5 flex-shrink-0" />
+                      <p className="text-sm text-yellow-200">{currentCard.hint}</p>
+                    </div>
+                  </div>
+                ) : (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setShowHint(true);
+                    }}
+                    className="flex items-center gap-2 text-sm text-yellow-400 hover:text-yellow-300 transition-colors mx-auto"
+                  >
+                    <Lightbulb className="w-4 h-4" />
+                    Show Hint (H)
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Fixed Footer */}
+          <div className="flex-shrink-0 border-t border-gray-800 bg-neural-darker">
+            {isFlipped && (
+              <div className="p-4 space-y-3">
+                <p className="text-center text-sm text-gray-400">How well did you know this?</p>
+                <div className="grid grid-cols-4 gap-2">
+                  {RATING_BUTTONS.map((btn, idx) => (
+                    <button
+                      key={btn.quality}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleRating(btn.quality);
+                      }}
+                      disabled={isSaving}
+                      className={`py-3 px-2 rounded-lg border font-medium transition-all text-sm disabled:opacity-50 ${btn.color}`}
+                      title={`${btn.description} (Press ${idx + 1})`}
+                    >
+                      {btn.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            <div className="p-3 bg-gray-900/50">
+              <div className="flex items-center justify-center gap-6 text-xs text-gray-500">
+                <span>Space: Flip</span>
+                <span>H: Hint</span>
+                <span>1-4: Rate</span>
+                <span>Esc: Stop</span>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================
+// QUEUE OVERVIEW (Learn tab)
+// ============================================
+
+function ReviewQueue() {
+  const [queue, setQueue] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [sessionCards, setSessionCards] = useState(null);
+  const [showLimits, setShowLimits] = useState(false);
+  const [limits, setLimits] = useState(getReviewLimits);
+  const [schedulerSettings, setSchedulerSettings] = useState(null);
+  const [schedulerStatus, setSchedulerStatus] = useState(null); // { type: 'busy' | 'success' | 'error', text }
+
+  const loadQueue = useCallback(async () => {
+    const result = await getReviewQueue();
+    if (result.success) {
+      setQueue(result.data);
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadQueue();
+    getSchedulerSettings().then(result => setSchedulerSettings(result.data));
+  }, [loadQueue]);
+
+  // Keep the overview current while a session is running elsewhere
+  useEffect(() => onReviewQueueChange(() => {
+    if (!sessionCards) loadQueue();
+  }), [loadQueue, sessionCards]);
+
+  const handleSaveLimits = () => {
+    setLimits(saveReviewLimits(limits));
+    setShowLimits(false);
+    loadQueue();
+  };
+
+  const handleSchedulerChange = async (updates) => {
+    setSchedulerStatus({ type: 'busy', text: updates.scheduler ? 'Converting card progress...' : 'Saving...' });
+    const result = await saveSchedulerSettings(updates);
+
+    if (result.success) {
+      setSchedulerSettings(result.data);
+      setSchedulerStatus(result.migrated > 0
+        ? { type: 'success', text: `Converted ${result.migrated} cards to ${SCHEDULERS[result.data.scheduler].label}.` }
+        : null);
+      loadQueue();
+    } else {
+      setSchedulerStatus({ type: 'error', text: result.error });
+    }
+  };
+
+  const handleOptimize = async () => {
+    setSchedulerStatus({ type: 'busy', text: 'Fitting FSRS to your review history...' });
+    const result = await optimizeSchedulerParams();
+
+    if (result.success) {
+      const { data: settings } = await getSchedulerSettings();
+      setSchedulerSettings(settings);
+      const improvement = Math.round((1 - result.data.lossAfter / result.data.lossBefore) * 100);
+      setSchedulerStatus({
+        type: 'success',
+        text: `Fitted to ${result.data.reviewCount} reviews - predictions ${improvement > 0 ? `${improvement}% better` : 'unchanged'}.`,
+      });
+    } else {
+      setSchedulerStatus({ type: 'error', text: result.error });
+    }
+  };
+
+  const handleCloseSession = () => {
+    setSessionCards(null);
+    loadQueue();
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-16">
+        <Loader2 className="w-12 h-12 text-neural-purple animate-spin mb-4" />
+        <p className="text-gray-400">Loading review queue...</p>
+      </div>
+    );
+  }
+
+  if (error || !queue) {
+    return (
+      <div className="bg-neural-dark rounded-xl border border-gray-800 p-8 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-400 mb-4">{error || 'Failed to load the review queue.'}</p>
+        <button
+          onClick={loadQueue}
+          className="px-4 py-2 bg-neural-purple text-white rounded-lg hover:bg-neural-purple/80 transition-colors inline-flex items-center gap-2"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  const { stats, forecast, cards } = queue;
+  const queuedNew = cards.filter(card => card.isNew).length;
+  const queuedReviews = cards.length - queuedNew;
+  const maxForecast = Math.max(1, ...forecast.map(day => day.count));
+  const subjects = [...new Set(cards.map(card => card.subject))];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <div className="w-12 h-12 bg-neural-purple/20 rounded-xl flex items-center justify-center">
+            <Layers className="w-6 h-6 text-neural-purple" />
+          </div>
+          <div>
+            <h2 className="text-xl font-bold">Review Queue</h2>
+            <p className="text-sm text-gray-400">Due flashcards from every deck</p>
+          </div>
+        </div>
+        <button
+          onClick={() => setShowLimits(prev => !prev)}
+          className="p-2 text-gray-400 hover:text-white hover:bg-gray-800 rounded-lg transition-colors"
+          title="Review settings"
+        >
+          <Settings className="w-5 h-5" />
+        </button>
+      </div>
+
+      {showLimits && (
+        <div className="bg-neural-dark rounded-xl p-4 border border-gray-800 space-y-4">
+          <h3 className="font-medium text-white">Daily Limits</h3>
+          <div className="grid grid-cols-2 gap-4">
+            <label className="text-sm text-gray-400">
+              New cards per day
+              <input
+                type="number"
+                min="0"
+                value={limits.newCardsPerDay}
+                onChange={(e) => setLimits(prev => ({ ...prev, newCardsPerDay: e.target.value }))}
+                className="neural-input w-full mt-1"
+              />
+            </label>
+            <label className="text-sm text-gray-400">
+              Reviews per day
+              <input
+                type="number"
+                min="0"
+                value={limits.reviewsPerDay}
+                onChange={(e) => setLimits(prev => ({ ...prev, reviewsPerDay: e.target.value }))}
+                className="neural-input w-full mt-1"
+              />
+            </label>
+          </div>
+          <button onClick={handleSaveLimits} className="neural-button w-full">
+            Save Limits
+          </button>
+
+          {schedulerSettings && (
+            <div className="pt-4 border-t border-gray-800 space-y-3">
+              <h3 className="font-medium text-white">Scheduler</h3>
+              <div className="grid grid-cols-2 gap-2">
+                {Object.values(SCHEDULERS).map(scheduler => (
+                  <button
+                    key={scheduler.id}
+                    onClick={() => handleSchedulerChange({ scheduler: scheduler.id })}
+                    disabled={schedulerStatus?.type === 'busy' || schedulerSettings.scheduler === scheduler.id}
+                    className={`py-2 px-3 rounded-lg border text-sm font-medium transition-all ${
+                      schedulerSettings.scheduler === scheduler.id
+                        ? 'bg-neural-purple/20 border-neural-purple text-white'
+                        : 'border-gray-700 text-gray-400 hover:text-white'
+                    }`}
+                  >
+                    {scheduler.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">{SCHEDULERS[schedulerSettings.scheduler].description}</p>
+
+              {schedulerSettings.scheduler === 'fsrs' && (
+                <>
+                  <label className="block text-sm text-gray-400">
+                    Target retention: {Math.round(schedulerSettings.desiredRetention * 100)}%
+                    <input
+                      type="range"
+                      min="0.7"
+                      max="0.97"
+                      step="0.01"
+                      value={schedulerSettings.desiredRetention}
+                      onChange={(e) => setSchedulerSettings(prev => ({ ...prev, desiredRetention: Number(e.target.value) }))}
+                      onMouseUp={(e) => handleSchedulerChange({ desiredRetention: Number(e.target.value) })}
+                      onTouchEnd={(e) => handleSchedulerChange({ desiredRetention: Number(e.target.value) })}
+                      className="w-full mt-1"
+                    />
+                    <span className="text-xs text-gray-500">Lower means fewer reviews and more forgetting.</span>
+                  </label>
+                  <button
+                    onClick={handleOptimize}
+                    disabled={schedulerStatus?.type === 'busy'}
+                    className="neural-button-secondary w-full flex items-center justify-center gap-2 disabled:opacity-50"
+                  >
+                    <Wand2 className="w-4 h-4" />
+                    Optimise from My Reviews
+                  </button>
+                  <p className="text-xs text-gray-500">
+                    {schedulerSettings.optimizedAt
+                      ? `Parameters fitted to ${schedulerSettings.optimizedReviewCount} reviews on ${new Date(schedulerSettings.optimizedAt).toLocaleDateString()}.`
+                      : 'Using default parameters.'}
+                  </p>
+                </>
+              )}
+
+              {schedulerStatus && (
+                <p className={`text-xs flex items-center gap-2 ${
+                  schedulerStatus.type === 'error' ? 'text-red-400' : schedulerStatus.type === 'success' ? 'text-green-400' : 'text-gray-400'
+                }`}>
+                  {schedulerStatus.type === 'busy' && <Loader2 className="w-3 h-3 animate-spin" />}
+                  {schedulerStatus.text}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="bg-neural-dark rounded-xl p-6 border border-gray-800 text-center">
+        <div className="text-5xl font-bold text-white mb-1">{cards.length}</div>
+        <p className="text-gray-400 mb-4">
+          {cards.length > 0
+            ? `${queuedReviews} reviews and ${queuedNew} new cards${subjects.length > 1 ? ` across ${subjects.length} subjects` : ''}`
+            : 'Nothing due - you are all caught up'}
+        </p>
+        <button
+          onClick={() => setSessionCards(cards)}
+          disabled={cards.length === 0}
+          className="neural-button w-full disabled:opacity-50"
+        >
+          Start Review
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="bg-neural-dark rounded-xl p-4 border border-gray-800">
+          <div className="text-sm text-gray-400 mb-2">Reviews today</div>
+          <div className="text-2xl font-bold text-white">
+            {stats.reviewsToday}
+            <span className="text-sm font-normal text-gray-500"> / {stats.limits.reviewsPerDay}</span>
+          </div>
+          {stats.dueReviews > stats.reviewsLeft && (
+            <div className="text-xs text-orange-400 mt-1">{stats.dueReviews - stats.reviewsLeft} over today's limit</div>
+          )}
+        </div>
+        <div className="bg-neural-dark rounded-xl p-4 border border-gray-800">
+          <div className="text-sm text-gray-400 mb-2">New cards today</div>
+          <div className="text-2xl font-bold text-blue-400">
+            {stats.newCardsToday}
+            <span className="text-sm font-normal text-gray-500"> / {stats.limits.newCardsPerDay}</span>
+          </div>
+          <div className="text-xs text-gray-500 mt-1">{stats.newAvailable} unseen in total</div>
+        </div>
+      </div>
+
+      {/* 30-day forecast */}
+      <div className="bg-neural-dark rounded-xl border border-gray-800">
+        <div className="p-4 border-b border-gray-800 flex items-center gap-2">
+          <Calendar className="w-4 h-4 text-gray-400" />
+          <h3 className="font-medium text-white">Next 30 Days</h3>
+        </div>
+        <div className="p-4">
+          <div className="flex items-end gap-0.5 h-32">
+            {forecast.map((day, idx) => (
+              <div
+                key={day.date}
+                className="flex-1 flex flex-col justify-end h-full group relative"
+                title={`${new Date(`${day.date}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}: ${day.count} due`}
+              >
+                <div
+                  className={`rounded-t ${idx === 0 ? 'bg-neural-pink' : 'bg-neural-purple/70 group-hover:bg-neural-purple'}`}
+                  style={{ height: `${(day.count / maxForecast) * 100}%`, minHeight: day.count > 0 ? '2px' : 0 }}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-2">
+            <span>Today</span>
+            <span>+15 days</span>
+            <span>+30 days</span>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            {forecast.slice(1, 8).reduce((sum, day) => sum + day.count, 0)} reviews due in the next 7 days
+          </p>
+        </div>
+      </div>
+
+      {sessionCards && (
+        <ReviewSession cards={sessionCards} onClose={handleCloseSession} />
+      )}
+    </div>
+  );
+}
+
+export default ReviewQueue;
@@ -9,6 +9,7 @@
  * - Identifies urgent items and deadlines
  * - Considers energy patterns from activity logs
  * - Generates prioritized time-blocked schedule
+ * - Time blocks appear as they stream in; generation can be cancelled
  * - Regenerate with one click
  * - Save generated routines for reference
  * - Uses Sonnet 4.5 for quality
@@ -31,8 +32,10 @@ import { useState } from 'react';
 import { Sparkles, Calendar, Clock, Zap, RefreshCw, Save, Trash2, AlertCircle, TrendingUp, Eye, X, Lightbulb } from 'lucide-react';
 import { generateDailyRoutine } from '../utils/apiService';
 import { useLocalStorage } from '../hooks/useLocalStorage';
+import { useApiBudget } from '../hooks/useApiBudget';
 import CalendarView from './CalendarView';
 import SmartRoutines from './SmartRoutines';
+import BudgetNotice from './BudgetNotice';
 
 export default function RoutineGenerator({
   ideas,
@@ -58,7 +61,9 @@ export default function RoutineGenerator({
   smartRoutineStates,
   setSmartRoutineStates,
   generationHistory,
-  setGenerationHistory
+  setGenerationHistory,
+  calendarEvents,
+  setCalendarEvents
 }) {
   const [currentView, setCurrentView] = useState('generator'); // 'generator' or 'calendar'
   const [savedRoutines, setSavedRoutines] = useLocalStorage('neural-saved-routines', []);
@@ -66,8 +71,14 @@ export default function RoutineGenerator({
   const [showSaveDialog, setShowSaveDialog] = useState(false);
   const [routineName, setRoutineName] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const routineBudget = useApiBudget('/api/generate-routine');
+  const [streamedBlocks, setStreamedBlocks] = useState([]); // Time blocks received so far
+  const [generationController, setGenerationController] = useState(null); // Aborts the generation in flight
 
   const handleGenerate = async () => {
+    const controller = new AbortController();
+    setGenerationController(controller);
+    setStreamedBlocks([]);
     setIsGeneratingRoutine(true);
     setRoutineError(null);
     setGeneratedRoutine(null);
@@ -99,8 +110,12 @@ export default function RoutineGenerator({
         return dueDate >= today;
       });
 
-      const result = await generateDailyRoutine(relevantIdeas, logs, checklist, reviews);
+      const result = await generateDailyRoutine(relevantIdeas, logs, checklist, reviews, {
+        signal: controller.signal,
+        onBlock: (block) => setStreamedBlocks(prev => [...prev, block]),
+      });
 
+      if (result.cancelled) return;
       if (result.success) {
         const routineWithTimestamp = {
           ...result.data,
@@ -116,9 +131,16 @@ export default function RoutineGenerator({
       setRoutineError('Unexpected error occurred. Please try again.');
     } finally {
       setIsGeneratingRoutine(false);
+      setGenerationController(null);
+      setStreamedBlocks([]);
     }
   };
 
+  // Stop generating - the server aborts the Claude request too
+  const handleCancel = () => {
+    generationController?.abort();
+  };
+
   const handleSaveClick = () => {
     if (!generatedRoutine) return;
     setRoutineName('');
@@ -339,7 +361,7 @@ export default function RoutineGenerator({
       </div>
 
       {/* Calendar View */}
-      {currentView === 'calendar' && <CalendarView routineToLoad={generatedRoutine} />}
+      {currentView === 'calendar' && <CalendarView routineToLoad={generatedRoutine} events={calendarEvents} setEvents={setCalendarEvents} />}
 
       {/* Smart Routines View */}
       {currentView === 'smart-routines' && (
@@ -403,10 +425,12 @@ export default function RoutineGenerator({
         </div>
       </div>
 
+      <BudgetNotice {...routineBudget} className="mb-3" />
+
       {/* Generate Button */}
       <button
         onClick={handleGenerate}
-        disabled={isGeneratingRoutine}
+        disabled={isGeneratingRoutine || routineBudget.blocked}
         className="neural-button w-full mb-6 disabled:opacity-50 disabled:cursor-not-allowed"
       >
         {isGeneratingRoutine ? (
@@ -422,6 +446,33 @@ export default function RoutineGenerator({
         )}
       </button>
 
+      {/* Time blocks streaming in */}
+      {isGeneratingRoutine && (
+        <div className="space-y-3 mb-6">
+          {streamedBlocks.map((block, index) => (
+            <div
+              key={index}
+              className="animate-slide-in bg-neural-darker border border-gray-800 rounded-lg p-4"
+            >
+              <div className="flex items-center gap-3 mb-1">
+                <Clock className="w-5 h-5 text-neural-blue flex-shrink-0" />
+                <span className="font-bold text-neural-blue">{block.time}</span>
+              </div>
+              <h5 className="font-bold">{block.activity}</h5>
+            </div>
+          ))}
+          {generationController && (
+            <button
+              onClick={handleCancel}
+              className="neural-button-secondary w-full flex items-center justify-center gap-2"
+            >
+              <X className="w-4 h-4" />
+              Cancel
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Error Display */}
       {routineError && (
         <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-4 mb-6">
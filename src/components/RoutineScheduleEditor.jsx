@@ -0,0 +1,142 @@
+/**
+ * ROUTINE SCHEDULE EDITOR COMPONENT
+ *
+ * Purpose: Pick when a DailyChecklist routine is due - every N days, chosen
+ *          weekdays every N weeks, a day of the month, an optional date range
+ *          and whether holidays are skipped (schedule shape in utils/routineSchedule.js)
+ *
+ * Controlled: schedule in, onChange(schedule) out.
+ */
+
+import { WEEKDAYS, describeSchedule, normalizeSchedule } from '../utils/routineSchedule';
+
+const FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' },
+];
+
+const MONTH_DAYS = Array.from({ length: 31 }, (_, index) => index + 1);
+
+export default function RoutineScheduleEditor({ schedule, onChange }) {
+  const rule = normalizeSchedule(schedule);
+  const frequency = FREQUENCIES.find(option => option.value === rule.freq);
+
+  const update = (changes) => onChange({ ...schedule, ...changes });
+
+  const toggleWeekday = (value) => {
+    const byWeekday = rule.byWeekday.includes(value)
+      ? rule.byWeekday.filter(day => day !== value)
+      : [...rule.byWeekday, value];
+    update({ byWeekday });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">Repeat</label>
+          <select
+            value={rule.freq}
+            onChange={(e) => update({ freq: e.target.value })}
+            className="neural-input"
+          >
+            {FREQUENCIES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">Every</label>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="1"
+              max="365"
+              value={rule.interval}
+              onChange={(e) => update({ interval: Math.max(1, Number(e.target.value) || 1) })}
+              className="neural-input w-20"
+            />
+            <span className="text-sm text-gray-400">
+              {frequency.unit}{rule.interval === 1 ? '' : 's'}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {rule.freq === 'weekly' && (
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">On</label>
+          <div className="flex flex-wrap gap-1">
+            {WEEKDAYS.map(day => (
+              <button
+                key={day.value}
+                type="button"
+                onClick={() => toggleWeekday(day.value)}
+                className={`px-2.5 py-1 rounded text-xs font-medium transition-all ${
+                  rule.byWeekday.includes(day.value)
+                    ? 'bg-neural-purple text-white'
+                    : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+                }`}
+              >
+                {day.short}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {rule.freq === 'monthly' && (
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">On day</label>
+          <select
+            value={rule.byMonthDay ?? ''}
+            onChange={(e) => update({ byMonthDay: e.target.value ? Number(e.target.value) : null })}
+            className="neural-input"
+          >
+            <option value="">Same day as the start date</option>
+            {MONTH_DAYS.map(day => (
+              <option key={day} value={day}>{day}</option>
+            ))}
+            <option value={-1}>Last day of the month</option>
+          </select>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">Starts</label>
+          {/* Intervals count from the start, so it can be moved but not cleared */}
+          <input
+            type="date"
+            value={rule.startDate || ''}
+            required
+            onChange={(e) => e.target.value && update({ startDate: e.target.value })}
+            className="neural-input"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">Ends (optional)</label>
+          <input
+            type="date"
+            value={rule.endDate || ''}
+            min={rule.startDate || undefined}
+            onChange={(e) => update({ endDate: e.target.value || null })}
+            className="neural-input"
+          />
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={rule.skipHolidays}
+          onChange={(e) => update({ skipHolidays: e.target.checked })}
+        />
+        Skip holidays
+      </label>
+
+      <p className="text-xs text-neural-purple">{describeSchedule(schedule)}</p>
+    </div>
+  );
+}
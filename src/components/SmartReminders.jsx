@@ -1,7 +1,8 @@
 import { useState, useEffect, useRef } from 'react';
-import { Bell, X, Volume2, VolumeX, AlertCircle, Clock, TrendingUp } from 'lucide-react';
-import { useLocalStorage } from '../hooks/useLocalStorage';
+import { Bell, BellRing, X, Volume2, VolumeX, AlertCircle, Clock, TrendingUp } from 'lucide-react';
 import { getReminders } from '../utils/apiService';
+import { recordReminderEvent } from '../utils/notificationScheduler';
+import NotificationSettings from './NotificationSettings';
 
 // Create AudioContext once at module level to avoid memory leaks
 let audioContext = null;
@@ -12,7 +13,9 @@ const getAudioContext = () => {
   return audioContext;
 };
 
-const SmartReminders = ({ ideas, logs, checklist, reviews }) => {
+// reminderHistory (neural-reminder-history) is owned by App - the notification
+// scheduler records what it shows there too; notifications is useNotificationScheduler's
+const SmartReminders = ({ ideas, logs, checklist, reviews, reminderHistory, setReminderHistory, notifications }) => {
   const [reminders, setReminders] = useState([]);
   const [profile, setProfile] = useState(null);
   const [metadata, setMetadata] = useState(null);
@@ -20,7 +23,7 @@ const SmartReminders = ({ ideas, logs, checklist, reviews }) => {
   const [error, setError] = useState(null);
   const [soundEnabled, setSoundEnabled] = useState(true);
   const [showReminders, setShowReminders] = useState(false);
-  const [reminderHistory, setReminderHistory] = useLocalStorage('neural-reminder-history', []);
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
 
   // Play notification sound for high priority reminders (reuses audio context)
   const playNotificationSound = () => {
@@ -69,28 +72,10 @@ const SmartReminders = ({ ideas, logs, checklist, reviews }) => {
 
       // Update reminder history - mark all returned reminders as shown
       const now = new Date().toISOString();
-      const updatedHistory = [...reminderHistory];
-
-      data.reminders.forEach(reminder => {
-        const existingIndex = updatedHistory.findIndex(h => h.ideaId === reminder.id);
-        if (existingIndex >= 0) {
-          updatedHistory[existingIndex] = {
-            ...updatedHistory[existingIndex],
-            lastShown: now,
-            showCount: updatedHistory[existingIndex].showCount + 1
-          };
-        } else {
-          updatedHistory.push({
-            ideaId: reminder.id,
-            lastShown: now,
-            showCount: 1,
-            dismissCount: 0,
-            actionTaken: false
-          });
-        }
-      });
-
-      setReminderHistory(updatedHistory);
+      setReminderHistory(prev => data.reminders.reduce(
+        (history, reminder) => recordReminderEvent(history, reminder.id, 'shown', now),
+        prev
+      ));
 
     } catch (err) {
       console.error('Error fetching reminders:', err);
@@ -102,12 +87,7 @@ const SmartReminders = ({ ideas, logs, checklist, reviews }) => {
 
   const dismissReminder = (reminderId) => {
     // Update history to track dismissal
-    const updatedHistory = reminderHistory.map(h =>
-      h.ideaId === reminderId
-        ? { ...h, dismissCount: h.dismissCount + 1 }
-        : h
-    );
-    setReminderHistory(updatedHistory);
+    setReminderHistory(prev => recordReminderEvent(prev, reminderId, 'dismiss'));
 
     // Remove from current display
     setReminders(prev => prev.filter(r => r.id !== reminderId));
@@ -161,6 +141,19 @@ const SmartReminders = ({ ideas, logs, checklist, reviews }) => {
           )}
         </button>
 
+        {/* Notification settings */}
+        {notifications && (
+          <button
+            onClick={() => setShowNotificationSettings(!showNotificationSettings)}
+            className={`neural-button-secondary flex items-center gap-2 ${
+              notifications.settings.enabled && notifications.permission === 'granted' ? 'text-neural-purple' : ''
+            }`}
+            title="Notifications"
+          >
+            <BellRing className="w-4 h-4" />
+          </button>
+        )}
+
         {/* Profile Info */}
         {profile && (
           <div className="ml-auto text-sm text-gray-400">
@@ -170,6 +163,10 @@ const SmartReminders = ({ ideas, logs, checklist, reviews }) => {
         )}
       </div>
 
+      {showNotificationSettings && notifications && (
+        <NotificationSettings notifications={notifications} onClose={() => setShowNotificationSettings(false)} />
+      )}
+
       {/* Error Display */}
       {error && (
         <div className="neural-card bg-red-950 border-red-800 text-red-200">
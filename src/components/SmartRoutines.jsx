@@ -20,6 +20,7 @@
 
 import { useState, useEffect } from 'react';
 import { Sparkles, Check, X, SkipForward, Clock, Calendar, Lightbulb, Loader, AlertCircle, History, Save, Trash2 } from 'lucide-react';
+import { apiFetch } from '../utils/apiService';
 
 const SmartRoutines = ({
   ideas,
@@ -58,9 +59,8 @@ const SmartRoutines = ({
     setError(null);
 
     try {
-      const response = await fetch('/api/generate-smart-routines', {
+      const response = await apiFetch('/api/generate-smart-routines', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           ideas,
           logs,
@@ -70,7 +70,8 @@ const SmartRoutines = ({
       });
 
       if (!response.ok) {
-        throw new Error('Failed to generate smart routines');
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to generate smart routines');
       }
 
       const data = await response.json();
@@ -0,0 +1,60 @@
+/**
+ * UPDATE PROMPT COMPONENT
+ *
+ * Purpose: Tell the user a new version has been deployed and reload into it.
+ *          Also shows a small banner while the app is running offline.
+ */
+
+import { useState, useEffect } from 'react';
+import { RefreshCw, WifiOff, X } from 'lucide-react';
+import { onUpdateAvailable, applyUpdate } from '../utils/serviceWorker';
+
+export default function UpdatePrompt() {
+  const [updateAvailable, setUpdateAvailable] = useState(false);
+  const [dismissed, setDismissed] = useState(false);
+  const [isOffline, setIsOffline] = useState(typeof navigator !== 'undefined' && navigator.onLine === false);
+
+  useEffect(() => onUpdateAvailable(setUpdateAvailable), []);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOffline(false);
+    const handleOffline = () => setIsOffline(true);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return (
+    <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 flex flex-col items-center gap-2 px-4 w-full max-w-md pointer-events-none">
+      {isOffline && (
+        <div className="pointer-events-auto flex items-center gap-2 px-4 py-2 rounded-lg bg-neural-darker border border-amber-700 text-amber-300 text-sm shadow-lg">
+          <WifiOff className="w-4 h-4" />
+          Offline - changes are saved on this device
+        </div>
+      )}
+
+      {updateAvailable && !dismissed && (
+        <div className="pointer-events-auto flex items-center gap-3 px-4 py-3 rounded-lg bg-neural-darker border border-neural-purple text-gray-100 text-sm shadow-lg animate-slide-in">
+          <span className="flex-1">A new version of Neural Capture is available.</span>
+          <button
+            onClick={applyUpdate}
+            className="neural-button flex items-center gap-2 text-sm"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Reload
+          </button>
+          <button
+            onClick={() => setDismissed(true)}
+            className="text-gray-500 hover:text-gray-300 transition-colors"
+            title="Later"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
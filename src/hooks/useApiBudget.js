@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { getApiBudget, onApiBudgetChange, fetchApiBudget, checkBudgetFor } from '../utils/apiService';
+
+// Today's AI budget, kept current from the X-Budget-* headers of every API call.
+// With a route, also says whether a call to it would be refused or is running low.
+export function useApiBudget(route = null) {
+  const { user } = useAuth();
+  const [budget, setBudget] = useState(getApiBudget);
+
+  useEffect(() => {
+    if (!user) return undefined;
+
+    const unsubscribe = onApiBudgetChange(setBudget);
+    // Estimates and limits only come from /api/budget
+    if (!getApiBudget()?.estimates) fetchApiBudget();
+
+    return unsubscribe;
+  }, [user?.id]);
+
+  return { budget, ...checkBudgetFor(budget, route) };
+}
@@ -0,0 +1,158 @@
+import { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { getLifeData, syncLifeData, migrateGuestLifeDataToSupabase } from '../utils/lifeDataService';
+
+// Drop-in replacement for useLocalStorage for the keys in lifeDataService.
+// Guests: same localStorage behaviour as before.
+// Signed-in users: loads from Supabase, pushes changes as row upserts/deletes,
+// and keeps a per-user localStorage copy so the data is there offline.
+
+const SYNC_DEBOUNCE_MS = 1000;
+const CACHE_DEBOUNCE_MS = 500;
+
+// One migration per user, shared by every hook instance
+const migrations = new Map();
+
+const ensureMigrated = async (userId) => {
+  if (!migrations.has(userId)) {
+    migrations.set(userId, migrateGuestLifeDataToSupabase());
+  }
+  const result = await migrations.get(userId);
+  if (!result.success) migrations.delete(userId); // Retry on the next load
+  return result;
+};
+
+const readCache = (key, fallback) => {
+  try {
+    const item = window.localStorage.getItem(key);
+    return item ? JSON.parse(item) : fallback;
+  } catch (error) {
+    console.error(`Error loading ${key} from localStorage:`, error);
+    return fallback;
+  }
+};
+
+const writeCache = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving ${key} to localStorage:`, error);
+  }
+};
+
+export function useLifeData(key, initialValue) {
+  const { user } = useAuth();
+  const userId = user && !user.isGuest ? user.id : null;
+
+  // Signed-in users get their own offline copy; guests keep the original key
+  const cacheKey = userId ? `${key}:${userId}` : key;
+  // Last value known to be in Supabase, kept while local changes are unsynced
+  const baselineKey = `${cacheKey}:synced`;
+
+  const [storedValue, setStoredValue] = useState(() => readCache(cacheKey, initialValue));
+
+  const valueRef = useRef(storedValue);
+  valueRef.current = storedValue;
+  const syncedRef = useRef(undefined); // undefined until the server copy is loaded
+  const pushingRef = useRef(false);
+  const mountedKeyRef = useRef(cacheKey);
+
+  const pushChanges = async () => {
+    if (!userId || pushingRef.current || syncedRef.current === undefined) return;
+
+    const base = syncedRef.current;
+    const next = valueRef.current;
+    if (base === next) return;
+
+    // Keep the oldest unsynced baseline so a later session can replay the diff
+    if (window.localStorage.getItem(baselineKey) === null) {
+      writeCache(baselineKey, base);
+    }
+
+    pushingRef.current = true;
+    const result = await syncLifeData(key, base, next);
+    pushingRef.current = false;
+
+    if (!result.success) return; // Retried on the next change or when back online
+
+    syncedRef.current = next;
+    if (valueRef.current === next) {
+      window.localStorage.removeItem(baselineKey);
+    } else {
+      pushChanges(); // More edits arrived while saving
+    }
+  };
+
+  // Load (and migrate) when the user changes
+  useEffect(() => {
+    let cancelled = false;
+    // On mount the state was already initialised from this cache key
+    const cached = cacheKey === mountedKeyRef.current ? valueRef.current : readCache(cacheKey, initialValue);
+    mountedKeyRef.current = null;
+    syncedRef.current = undefined;
+    if (cached !== valueRef.current) setStoredValue(cached);
+
+    if (!userId) return undefined;
+
+    const load = async () => {
+      await ensureMigrated(userId);
+
+      // Offline edits from an earlier session - replay them before reading the server copy
+      const pendingBaseline = readCache(baselineKey, undefined);
+      if (pendingBaseline !== undefined) {
+        const replay = await syncLifeData(key, pendingBaseline, cached);
+        if (cancelled) return;
+        if (!replay.success) {
+          syncedRef.current = pendingBaseline;
+          return;
+        }
+        window.localStorage.removeItem(baselineKey);
+      }
+
+      const result = await getLifeData(key);
+      if (cancelled) return;
+
+      if (!result.success) {
+        // Offline: assume the cached copy matches the server and diff future edits against it
+        syncedRef.current = cached;
+        return;
+      }
+
+      if (result.data === null) {
+        // Nothing saved yet (e.g. first checklist on this account) - upload the local value
+        syncedRef.current = null;
+        pushChanges();
+        return;
+      }
+
+      syncedRef.current = result.data;
+      setStoredValue(result.data);
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [cacheKey]);
+
+  // Persist changes: localStorage copy right away (debounced), Supabase after a short pause
+  useEffect(() => {
+    const cacheTimer = setTimeout(() => writeCache(cacheKey, storedValue), CACHE_DEBOUNCE_MS);
+    const syncTimer = userId ? setTimeout(pushChanges, SYNC_DEBOUNCE_MS) : null;
+
+    return () => {
+      clearTimeout(cacheTimer);
+      if (syncTimer) clearTimeout(syncTimer);
+    };
+  }, [cacheKey, storedValue]);
+
+  // Push anything saved while offline as soon as the connection returns
+  useEffect(() => {
+    if (!userId) return undefined;
+    const handleOnline = () => pushChanges();
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [cacheKey]);
+
+  return [storedValue, setStoredValue];
+}
@@ -0,0 +1,243 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import { getReminders } from '../utils/apiService';
+import { markItemDone } from '../utils/routineProgress';
+import {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  buildNotificationQueue,
+  getNotificationPermission,
+  onNotificationAction,
+  parseNotificationKey,
+  recordReminderEvent,
+  requestNotificationPermission,
+  showNotification,
+} from '../utils/notificationScheduler';
+import { subscribeToPush, unsubscribeFromPush } from '../utils/pushSubscription';
+
+// Check at least this often - timers drift while a laptop sleeps or a tab is in the background
+const CHECK_INTERVAL_MS = 60 * 1000;
+// Smart reminders are refetched this often while the app is open (no model call)
+const SMART_REFRESH_MS = 3 * 60 * 60 * 1000;
+const SMART_FIRST_FETCH_DELAY_MS = 30 * 1000;
+// Reminder log entries kept (shown in the notification settings)
+const LOG_LIMIT = 100;
+// Shown keys and snoozes older than this are dropped
+const KEEP_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Runs the notification scheduler (utils/notificationScheduler.js) while the app is open:
+// shows reminders when they fall due and carries out Snooze/Done from the notifications.
+// Lives in App so it runs on every tab; returns what the notification settings panel needs.
+export function useNotificationScheduler({
+  ideas,
+  logs,
+  reviews,
+  checklist,
+  setChecklist,
+  events,
+  reminderHistory,
+  setReminderHistory,
+}) {
+  const [storedSettings, setSettings] = useLocalStorage('neural-notification-settings', DEFAULT_NOTIFICATION_SETTINGS);
+  // { key, kind, title, body, shownAt, action, actedAt } - newest first
+  const [log, setLog] = useLocalStorage('neural-notification-log', []);
+  const [snoozes, setSnoozes] = useLocalStorage('neural-notification-snoozes', {});
+  const [smartReminders, setSmartReminders] = useState({ fetchedAt: null, reminders: [] });
+  const [permission, setPermission] = useState(getNotificationPermission);
+  // { subscribed, error } - this device's Web Push subscription
+  const [pushStatus, setPushStatus] = useState({ subscribed: false, error: null });
+  const [now, setNow] = useState(Date.now);
+
+  // Settings saved before a field existed get its default
+  const settings = useMemo(() => ({
+    ...DEFAULT_NOTIFICATION_SETTINGS,
+    ...storedSettings,
+    routineTimes: { ...DEFAULT_NOTIFICATION_SETTINGS.routineTimes, ...storedSettings.routineTimes },
+    quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...storedSettings.quietHours },
+  }), [storedSettings]);
+
+  const active = settings.enabled && permission === 'granted';
+
+  const shownKeys = useMemo(() => new Set(log.map(entry => entry.key)), [log]);
+
+  const queue = useMemo(() => buildNotificationQueue({
+    checklist,
+    ideas,
+    events,
+    smartReminders,
+    reminderHistory,
+    settings,
+    shownKeys,
+    snoozes,
+    now,
+  }), [checklist, ideas, events, smartReminders, reminderHistory, settings, shownKeys, snoozes, now]);
+
+  // Latest values for the timers and notification actions below
+  const latest = useRef({});
+  latest.current = { ideas, logs, reviews, checklist, reminderHistory, settings, log };
+
+  // Keys being shown right now - state updates land after the next render
+  const showingRef = useRef(new Set());
+
+  // Show what's due, then wake up for the next one
+  useEffect(() => {
+    if (!active) return undefined;
+
+    const due = queue.filter(notification =>
+      notification.fireAt <= now && !showingRef.current.has(notification.key)
+    );
+
+    if (due.length > 0) {
+      const shownAt = new Date().toISOString();
+      due.forEach(notification => {
+        showingRef.current.add(notification.key);
+        showNotification(notification, { snoozeMinutes: settings.snoozeMinutes });
+      });
+
+      setLog(prev => [
+        ...due.map(notification => ({
+          key: notification.key,
+          kind: notification.kind,
+          title: notification.title,
+          body: notification.body,
+          shownAt,
+          action: null,
+          actedAt: null,
+        })),
+        ...prev.filter(entry => !due.some(notification => notification.key === entry.key)),
+      ].slice(0, LOG_LIMIT));
+
+      setSnoozes(prev => {
+        const next = { ...prev };
+        due.forEach(notification => delete next[notification.key]);
+        return next;
+      });
+
+      // Deadline and smart reminders count as shown for the adaptive frequency
+      const ideaIds = due.filter(notification => notification.ideaId != null).map(notification => notification.ideaId);
+      if (ideaIds.length > 0) {
+        setReminderHistory(prev => ideaIds.reduce(
+          (history, ideaId) => recordReminderEvent(history, ideaId, 'shown', shownAt),
+          prev
+        ));
+      }
+    }
+
+    const next = queue.find(notification => notification.fireAt > now);
+    const delay = next ? Math.min(next.fireAt - now, CHECK_INTERVAL_MS) : CHECK_INTERVAL_MS;
+    const timer = setTimeout(() => setNow(Date.now()), Math.max(delay, 1000));
+    return () => clearTimeout(timer);
+  }, [active, queue, now]);
+
+  // Once a key is in the log it no longer needs guarding
+  useEffect(() => {
+    showingRef.current = new Set([...showingRef.current].filter(key => !shownKeys.has(key)));
+  }, [shownKeys]);
+
+  // Drop old snoozes and log entries
+  useEffect(() => {
+    const cutoff = Date.now() - KEEP_MS;
+    const staleSnoozes = Object.keys(snoozes).filter(key => snoozes[key] < cutoff);
+    if (staleSnoozes.length > 0) {
+      setSnoozes(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => !staleSnoozes.includes(key))));
+    }
+    if (log.some(entry => new Date(entry.shownAt).getTime() < cutoff)) {
+      setLog(prev => prev.filter(entry => new Date(entry.shownAt).getTime() >= cutoff));
+    }
+  }, []);
+
+  // Smart reminders from /api/get-reminders, refreshed while the app is open
+  useEffect(() => {
+    if (!active || !settings.smart) return undefined;
+
+    let cancelled = false;
+    const fetchSmartReminders = async () => {
+      const { ideas: currentIdeas, logs: currentLogs, checklist: currentChecklist, reviews: currentReviews, reminderHistory: history } = latest.current;
+      if (currentIdeas.length === 0) return;
+      const result = await getReminders(currentIdeas, currentLogs, currentChecklist, currentReviews, history);
+      if (!cancelled && result.success) {
+        setSmartReminders({ fetchedAt: Date.now(), reminders: result.data.reminders || [] });
+      }
+    };
+
+    const firstFetch = setTimeout(fetchSmartReminders, SMART_FIRST_FETCH_DELAY_MS);
+    const refresh = setInterval(fetchSmartReminders, SMART_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(firstFetch);
+      clearInterval(refresh);
+    };
+  }, [active, settings.smart]);
+
+  // Web Push: the server pushes smart reminders while the app is closed. Saved again
+  // when quiet hours change, so the server holds them back at the same times.
+  // Only unsubscribed when push is turned off, not on every mount without it
+  const pushWanted = active && settings.push && settings.smart;
+  const quietHoursKey = JSON.stringify(settings.quietHours);
+  const pushWasWanted = useRef(false);
+  useEffect(() => {
+    let cancelled = false;
+    const turnedOff = pushWasWanted.current && !pushWanted;
+    pushWasWanted.current = pushWanted;
+    const update = async () => {
+      if (!pushWanted) {
+        if (turnedOff) await unsubscribeFromPush();
+        if (!cancelled) setPushStatus({ subscribed: false, error: null });
+        return;
+      }
+      const result = await subscribeToPush({
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        quietHours: latest.current.settings.quietHours,
+      });
+      if (!cancelled) setPushStatus({ subscribed: result.success, error: result.error || null });
+    };
+    update();
+    return () => {
+      cancelled = true;
+    };
+  }, [pushWanted, quietHoursKey]);
+
+  // Snooze / Done / dismiss from the notifications themselves
+  useEffect(() => onNotificationAction(({ action, key, data }) => {
+    const { kind, id } = data?.kind ? data : parseNotificationKey(key);
+    const actedAt = new Date().toISOString();
+    const isIdea = kind === 'deadline' || kind === 'smart';
+    // Ids parsed from a key are strings - history is keyed by the idea's own id
+    const ideaId = isIdea ? (latest.current.ideas.find(idea => String(idea.id) === String(id))?.id ?? id) : null;
+
+    setLog(prev => prev.map(entry => (entry.key === key ? { ...entry, action, actedAt } : entry)));
+
+    if (action === 'snooze') {
+      const until = Date.now() + latest.current.settings.snoozeMinutes * 60 * 1000;
+      setSnoozes(prev => ({ ...prev, [key]: until }));
+      if (isIdea) setReminderHistory(prev => recordReminderEvent(prev, ideaId, 'snooze', actedAt));
+    } else if (action === 'done') {
+      if (kind === 'routine') {
+        setChecklist(prev => ({
+          ...prev,
+          items: prev.items.map(item => (String(item.id) === String(id) ? markItemDone(item) : item)),
+        }));
+      }
+      if (isIdea) setReminderHistory(prev => recordReminderEvent(prev, ideaId, 'done', actedAt));
+    } else if (action === 'dismiss' && isIdea) {
+      setReminderHistory(prev => recordReminderEvent(prev, ideaId, 'dismiss', actedAt));
+    }
+  }), []);
+
+  const requestPermission = async () => {
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    return result;
+  };
+
+  const upcoming = useMemo(() => queue.filter(notification => notification.fireAt > now), [queue, now]);
+
+  return useMemo(() => ({
+    settings,
+    setSettings,
+    permission,
+    requestPermission,
+    upcoming,
+    log,
+    pushStatus,
+  }), [settings, permission, upcoming, log, pushStatus]);
+}
@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { getReviewDueCount, onReviewQueueChange } from '../utils/flashcardService';
+
+// Cards become due as time passes, not only when something changes
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+const CHANGE_DEBOUNCE_MS = 1000;
+
+// Number of flashcards in today's review queue (all decks, within the daily limits).
+// Updates after every review, deck change or limit change.
+export function useReviewDueCount() {
+  const { user } = useAuth();
+  const [count, setCount] = useState(0);
+
+  useEffect(() => {
+    if (!user) return undefined;
+
+    let cancelled = false;
+    const refresh = async () => {
+      const dueCount = await getReviewDueCount();
+      if (!cancelled) setCount(dueCount);
+    };
+
+    // Reviews come in quick succession - recount once they pause
+    let debounceTimer = null;
+    const scheduleRefresh = () => {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(refresh, CHANGE_DEBOUNCE_MS);
+    };
+
+    refresh();
+    const unsubscribe = onReviewQueueChange(scheduleRefresh);
+    const timer = setInterval(refresh, REFRESH_INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+      clearTimeout(debounceTimer);
+      clearInterval(timer);
+    };
+  }, [user?.id]);
+
+  return count;
+}
@@ -1,7 +1,10 @@
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './utils/serviceWorker'
 
 createRoot(document.getElementById('root')).render(
   <App />
 )
+
+registerServiceWorker()
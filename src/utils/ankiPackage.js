@@ -0,0 +1,626 @@
+/**
+ * ANKI PACKAGE (.apkg)
+ *
+ * Reads and writes Anki deck packages in the browser:
+ * - An .apkg is a zip holding a SQLite collection (collection.anki2 or
+ *   collection.anki21, schema 11) plus a media manifest
+ * - SQLite runs through sql.js (WebAssembly), loaded only when needed
+ *
+ * Card text is converted between Anki's HTML + MathJax delimiters
+ * (\( \) and \[ \]) and the plain text + $ / $$ KaTeX delimiters that
+ * FlashcardViewer.renderMathText renders.
+ *
+ * Scheduling maps onto flashcard progress (see schedulers.js):
+ *   Anki ivl / factor / reps / lapses / due  <->  intervalDays / easeFactor / repetitions / lapses / nextReview
+ * and Anki's revlog maps onto the review log (reviewLogService).
+ */
+
+import { zipSync, unzipSync, strToU8 } from 'fflate';
+import { DEFAULT_EASE_FACTOR, qualityToGrade } from './schedulers';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIELD_SEPARATOR = '\x1f';
+
+// Anki card types / queues
+const CARD_TYPE = { NEW: 0, LEARNING: 1, REVIEW: 2, RELEARNING: 3 };
+const QUEUE = { NEW: 0, LEARNING: 1, REVIEW: 2, DAY_LEARNING: 3 };
+
+// Anki revlog types
+const REVLOG_TYPE = { LEARNING: 0, REVIEW: 1, RELEARNING: 2, FILTERED: 3, MANUAL: 4 };
+
+// Note type written on export - Hint and Type survive a round trip
+const EXPORT_MODEL_NAME = 'Neural Capture';
+const EXPORT_FIELDS = ['Front', 'Back', 'Hint', 'Type'];
+
+const CARD_TYPES = ['formula', 'definition', 'concept', 'theorem'];
+
+const SCHEMA = `
+CREATE TABLE col (
+  id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+  conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+);
+CREATE TABLE notes (
+  id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null,
+  csum integer not null, flags integer not null, data text not null
+);
+CREATE TABLE cards (
+  id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null,
+  due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+  lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+  flags integer not null, data text not null
+);
+CREATE TABLE revlog (
+  id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+  type integer not null
+);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+// ============================================
+// SQL.JS LOADER
+// ============================================
+
+let sqlPromise = null;
+
+// sql.js and its wasm binary are ~1MB - only fetch them when an .apkg is used
+const loadSql = () => {
+  if (!sqlPromise) {
+    sqlPromise = Promise.all([
+      import('sql.js'),
+      import('sql.js/dist/sql-wasm-browser.wasm?url'),
+    ]).then(([{ default: initSqlJs }, { default: wasmUrl }]) => initSqlJs({ locateFile: () => wasmUrl }));
+    // Allow a retry if the download failed
+    sqlPromise.catch(() => { sqlPromise = null; });
+  }
+  return sqlPromise;
+};
+
+const queryAll = (db, sql) => {
+  const [result] = db.exec(sql);
+  if (!result) return [];
+  return result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+};
+
+// ============================================
+// TEXT CONVERSION
+// ============================================
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, code) => {
+  if (code[0] === '#') {
+    const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(value) ? String.fromCodePoint(value) : match;
+  }
+  return HTML_ENTITIES[code.toLowerCase()] ?? match;
+});
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Anki field HTML -> plain text with $ / $$ math
+ * Images and audio are dropped (media isn't imported).
+ */
+export const ankiHtmlToText = (html) => {
+  if (!html) return '';
+
+  const text = decodeEntities(
+    String(html)
+      .replace(/\[sound:[^\]]*\]/g, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(div|p|li|h[1-6]|tr)>/gi, '\n')
+      .replace(/<li[^>]*>/gi, '- ')
+      .replace(/<[^>]+>/g, '')
+  );
+
+  return text
+    .replace(/\\\[([\s\S]*?)\\\]/g, (_, math) => `$$${math.trim()}$$`)
+    .replace(/\\\(([\s\S]*?)\\\)/g, (_, math) => `$${math.trim()}$`)
+    .replace(/\[\$\$\]([\s\S]*?)\[\/\$\$\]/g, (_, math) => `$$${math.trim()}$$`)
+    .replace(/\[\$\]([\s\S]*?)\[\/\$\]/g, (_, math) => `$${math.trim()}$`)
+    .replace(/\[latex\]([\s\S]*?)\[\/latex\]/g, (_, math) => `$$${math.trim()}$$`)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Plain text with $ / $$ math -> Anki field HTML with MathJax delimiters
+ * Uses the same $ splitting rules as renderMathText so cards look the same in both.
+ */
+export const textToAnkiHtml = (text) => {
+  if (!text) return '';
+
+  return String(text)
+    .split(/(\$\$[\s\S]*?\$\$)/g)
+    .map(part => {
+      if (part.startsWith('$$') && part.endsWith('$$') && part.length >= 4) {
+        return `\\[${escapeHtml(part.slice(2, -2).trim())}\\]`;
+      }
+      return part
+        .split(/(\$[^$]+\$)/g)
+        .map(inline => (
+          inline.startsWith('$') && inline.endsWith('$') && inline.length >= 2
+            ? `\\(${escapeHtml(inline.slice(1, -1))}\\)`
+            : escapeHtml(inline).replace(/\n/g, '<br>')
+        ))
+        .join('');
+    })
+    .join('');
+};
+
+// ============================================
+// TEMPLATE RENDERING (import)
+// ============================================
+
+/**
+ * Render one side of an Anki card template.
+ * Supports {{Field}}, filters ({{text:Field}}, {{cloze:Field}}), and
+ * {{#Field}} / {{^Field}} sections - enough for the stock note types.
+ */
+const renderTemplate = (template, fields, { clozeOrd = null, side = 'q', frontSide = '' } = {}) => {
+  const isFilled = (name) => Boolean(ankiHtmlToText(fields[name] || ''));
+
+  let output = template;
+  // Sections (repeat for nesting)
+  for (let i = 0; i < 3; i++) {
+    output = output
+      .replace(/\{\{#([^}]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, body) => (isFilled(name.trim()) ? body : ''))
+      .replace(/\{\{\^([^}]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, body) => (isFilled(name.trim()) ? '' : body));
+  }
+
+  return output.replace(/\{\{([^}]+)\}\}/g, (_, tag) => {
+    const parts = tag.trim().split(':');
+    const name = parts[parts.length - 1].trim();
+    const filters = parts.slice(0, -1).map(filter => filter.trim());
+
+    if (name === 'FrontSide') return frontSide;
+    // Hints are kept separately; typing prompts don't apply
+    if (filters.includes('hint') || filters.includes('type')) return '';
+
+    const value = fields[name] ?? '';
+    if (filters.includes('cloze')) {
+      return value.replace(/\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g, (match, ord, answer, hint) => {
+        if (Number(ord) !== clozeOrd) return answer;
+        if (side === 'a') return `<b>${answer}</b>`;
+        return hint ? `[${hint}]` : '[...]';
+      });
+    }
+    return value;
+  });
+};
+
+const clozeOrdinals = (fields) => {
+  const ordinals = new Set();
+  Object.values(fields).forEach(value => {
+    for (const match of value.matchAll(/\{\{c(\d+)::/g)) ordinals.add(Number(match[1]));
+  });
+  return ordinals;
+};
+
+// ============================================
+// SCHEDULING MAPPING
+// ============================================
+
+/**
+ * Anki card row -> flashcard progress (null for new cards)
+ * @param {Object} card - cards row
+ * @param {number} collectionCreated - col.crt in seconds (day numbers count from it)
+ * @param {Array} revlog - This card's revlog rows, oldest first
+ */
+const cardToProgress = (card, collectionCreated, revlog) => {
+  if (card.type === CARD_TYPE.NEW) return null;
+
+  // Cards in a filtered deck keep their home due date in odue
+  const due = card.odid ? card.odue || card.due : card.due;
+  const dayStart = collectionCreated * 1000;
+  const nextReview = card.queue === QUEUE.LEARNING || (card.type !== CARD_TYPE.REVIEW && due > 1e9)
+    ? new Date(due * 1000)
+    : new Date(dayStart + due * DAY_MS);
+
+  const intervalDays = Math.max(1, card.ivl || 0);
+  const lastLog = revlog[revlog.length - 1];
+  const lastReviewed = lastLog
+    ? new Date(lastLog.id)
+    : new Date(Math.min(Date.now(), nextReview.getTime() - intervalDays * DAY_MS));
+
+  // SM-2 repetitions = successful reviews since the last lapse
+  let repetitions = 0;
+  if (revlog.length > 0) {
+    for (let i = revlog.length - 1; i >= 0 && revlog[i].ease > 1; i--) repetitions++;
+  } else {
+    repetitions = card.type === CARD_TYPE.REVIEW ? (intervalDays >= 6 ? 2 : 1) : 0;
+  }
+
+  // Anki's own FSRS memory state, when it has one
+  let memory = {};
+  try {
+    const data = card.data ? JSON.parse(card.data) : {};
+    if (data.s && data.d) memory = { stability: data.s, difficulty: data.d };
+  } catch {
+    // Older collections store nothing here
+  }
+
+  return {
+    scheduler: 'sm2',
+    easeFactor: card.factor ? card.factor / 1000 : DEFAULT_EASE_FACTOR,
+    intervalDays,
+    repetitions,
+    lapses: card.lapses || 0,
+    state: card.type === CARD_TYPE.RELEARNING ? 'relearning' : 'review',
+    nextReview: nextReview.toISOString(),
+    lastReviewed: lastReviewed.toISOString(),
+    stability: memory.stability ?? null,
+    difficulty: memory.difficulty ?? null,
+  };
+};
+
+/**
+ * Flashcard progress -> Anki scheduling columns
+ */
+const progressToCard = (progress, today, collectionDay, newPosition) => {
+  if (!progress?.lastReviewed) {
+    return { type: CARD_TYPE.NEW, queue: QUEUE.NEW, due: newPosition, ivl: 0, factor: 0, reps: 0, lapses: 0 };
+  }
+
+  const nextReview = progress.nextReview ? new Date(progress.nextReview) : today;
+  return {
+    type: CARD_TYPE.REVIEW,
+    queue: QUEUE.REVIEW,
+    due: Math.round((nextReview.getTime() - collectionDay) / DAY_MS),
+    ivl: Math.max(1, Math.round(progress.intervalDays || 1)),
+    factor: Math.round((progress.easeFactor || DEFAULT_EASE_FACTOR) * 1000),
+    reps: progress.repetitions || 0,
+    lapses: progress.lapses || 0,
+  };
+};
+
+// Anki ease 1-4 back to the 0-5 quality the UI records
+const EASE_TO_QUALITY = { 1: 1, 2: 3, 3: 4, 4: 5 };
+
+/**
+ * Anki revlog rows for one card -> review log entries
+ */
+const revlogToReviews = (revlog, cardId) => revlog
+  .filter(row => row.ease >= 1 && row.ease <= 4 && row.type !== REVLOG_TYPE.MANUAL)
+  .map((row, index, rows) => ({
+    itemId: cardId,
+    rating: row.ease,
+    quality: EASE_TO_QUALITY[row.ease],
+    scheduler: 'anki',
+    state: index === 0 ? 'new' : row.type === REVLOG_TYPE.RELEARNING ? 'relearning' : 'review',
+    elapsedDays: index === 0 ? 0 : (row.id - rows[index - 1].id) / DAY_MS,
+    // Negative intervals are learning steps in seconds
+    scheduledDays: row.lastIvl < 0 ? -row.lastIvl / 86400 : row.lastIvl,
+    timeTaken: row.time ? row.time / 1000 : null,
+    reviewedAt: new Date(row.id).toISOString(),
+  }));
+
+// ============================================
+// NOTE IDENTITY
+// ============================================
+
+// Stable per card, so importing a re-export into Anki updates the same notes,
+// and importing it back here keeps the original card IDs
+const GUID_PREFIX = 'nc:';
+
+const exportGuid = (deckKey, cardId) => `${GUID_PREFIX}${deckKey}:${cardId}`;
+
+const cardIdFromGuid = (guid) => {
+  if (!guid?.startsWith(GUID_PREFIX)) return null;
+  const rest = guid.slice(GUID_PREFIX.length);
+  return rest.slice(rest.indexOf(':') + 1) || null;
+};
+
+// ============================================
+// READ
+// ============================================
+
+/**
+ * Read an .apkg file
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} { decks: [{ name, cards: [{ id, front, back, hint, type }],
+ *                                        progress: { cardId: progress }, reviews: [entry] }] }
+ */
+export const readAnkiPackage = async (buffer) => {
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(buffer));
+  } catch {
+    throw new Error('Not a valid .apkg file');
+  }
+
+  const collection = files['collection.anki21'] || files['collection.anki2'];
+  if (files['collection.anki21b'] && !files['collection.anki21']) {
+    throw new Error('This package uses the newest Anki format. In Anki, export again with "Support older Anki versions" ticked.');
+  }
+  if (!collection) throw new Error('No Anki collection found in this package');
+
+  const SQL = await loadSql();
+  const db = new SQL.Database(collection);
+
+  try {
+    const [col] = queryAll(db, 'SELECT crt, models, decks FROM col');
+    if (!col) throw new Error('Empty Anki collection');
+
+    const models = JSON.parse(col.models || '{}');
+    const ankiDecks = JSON.parse(col.decks || '{}');
+    const notes = new Map(queryAll(db, 'SELECT id, guid, mid, flds FROM notes').map(note => [note.id, note]));
+    const cards = queryAll(db, 'SELECT id, nid, did, ord, type, queue, due, ivl, factor, reps, lapses, odue, odid, data FROM cards ORDER BY nid, ord');
+
+    const revlogByCard = new Map();
+    queryAll(db, 'SELECT id, cid, ease, ivl, lastIvl, time, type FROM revlog ORDER BY id').forEach(row => {
+      if (!revlogByCard.has(row.cid)) revlogByCard.set(row.cid, []);
+      revlogByCard.get(row.cid).push(row);
+    });
+
+    const decks = new Map();
+    cards.forEach(card => {
+      const note = notes.get(card.nid);
+      const model = note && models[String(note.mid)];
+      if (!model) return;
+
+      const fieldNames = [...model.flds].sort((a, b) => a.ord - b.ord).map(field => field.name);
+      const values = note.flds.split(FIELD_SEPARATOR);
+      const fields = Object.fromEntries(fieldNames.map((name, i) => [name, values[i] || '']));
+
+      const isCloze = model.type === 1;
+      const template = isCloze ? model.tmpls[0] : model.tmpls.find(tmpl => tmpl.ord === card.ord);
+      if (!template) return;
+      if (isCloze && !clozeOrdinals(fields).has(card.ord + 1)) return;
+
+      const renderOptions = { clozeOrd: isCloze ? card.ord + 1 : null };
+      const question = renderTemplate(template.qfmt, fields, { ...renderOptions, side: 'q' });
+      const answer = renderTemplate(template.afmt, fields, { ...renderOptions, side: 'a', frontSide: '' })
+        .replace(/^\s*<hr[^>]*>/i, '');
+
+      const front = ankiHtmlToText(question);
+      const back = ankiHtmlToText(answer);
+      if (!front || !back) return;
+
+      const hintField = fieldNames.find(name => /^hint$/i.test(name));
+      const typeField = fieldNames.find(name => /^type$/i.test(name));
+      const cardType = ankiHtmlToText(fields[typeField] || '').toLowerCase();
+      const ownCardId = model.name === EXPORT_MODEL_NAME ? cardIdFromGuid(note.guid) : null;
+      const cardId = ownCardId || `anki-${card.id}`;
+
+      // Cards in filtered decks belong to their home deck
+      const deckId = card.odid || card.did;
+      if (!decks.has(deckId)) {
+        decks.set(deckId, { name: ankiDecks[String(deckId)]?.name || 'Imported', cards: [], progress: {}, reviews: [] });
+      }
+      const deck = decks.get(deckId);
+      const revlog = revlogByCard.get(card.id) || [];
+
+      deck.cards.push({
+        id: cardId,
+        type: CARD_TYPES.includes(cardType) ? cardType : (front.includes('$') || back.includes('$') ? 'formula' : 'concept'),
+        front,
+        back,
+        hint: hintField ? ankiHtmlToText(fields[hintField]) || null : null,
+      });
+
+      const progress = cardToProgress(card, col.crt, revlog);
+      if (progress) deck.progress[cardId] = progress;
+      deck.reviews.push(...revlogToReviews(revlog, cardId));
+    });
+
+    return { decks: [...decks.values()] };
+  } finally {
+    db.close();
+  }
+};
+
+// ============================================
+// WRITE
+// ============================================
+
+const fieldChecksum = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return parseInt(hex.slice(0, 8), 16);
+};
+
+const buildModel = (id, deckId, now) => ({
+  id,
+  name: EXPORT_MODEL_NAME,
+  type: 0,
+  mod: now,
+  usn: -1,
+  sortf: 0,
+  did: deckId,
+  tmpls: [{
+    name: 'Card 1',
+    ord: 0,
+    qfmt: '{{Front}}{{#Hint}}<br><br>{{hint:Hint}}{{/Hint}}',
+    afmt: '{{FrontSide}}<hr id=answer>{{Back}}',
+    bqfmt: '',
+    bafmt: '',
+    did: null,
+    bfont: '',
+    bsize: 0,
+  }],
+  flds: EXPORT_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+  css: '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }',
+  latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+  latexPost: '\\end{document}',
+  latexsvg: false,
+  req: [[0, 'any', [0]]],
+  tags: [],
+  vers: [],
+});
+
+const buildDeck = (id, name, now) => ({
+  id,
+  name,
+  mod: now,
+  usn: -1,
+  lrnToday: [0, 0],
+  revToday: [0, 0],
+  newToday: [0, 0],
+  timeToday: [0, 0],
+  collapsed: false,
+  browserCollapsed: false,
+  desc: '',
+  dyn: 0,
+  conf: 1,
+  extendNew: 0,
+  extendRev: 0,
+});
+
+const DEFAULT_DECK_CONFIG = {
+  id: 1,
+  name: 'Default',
+  mod: 0,
+  usn: 0,
+  maxTaken: 60,
+  autoplay: true,
+  timer: 0,
+  replayq: true,
+  dyn: false,
+  new: { bury: false, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 0], order: 1, perDay: 20 },
+  lapse: { delays: [10], leechAction: 1, leechFails: 8, minInt: 1, mult: 0 },
+  rev: { bury: false, ease4: 1.3, ivlFct: 1, maxIvl: 36500, perDay: 200, hardFactor: 1.2 },
+};
+
+/**
+ * Write decks to an .apkg file
+ * @param {Array<Object>} decks - [{ key, name, cards, progress: { cardId: progress }, reviews: [entry] }]
+ *                                key identifies the deck so re-exports update the same notes in Anki
+ * @returns {Promise<Uint8Array>} Zip bytes
+ */
+export const writeAnkiPackage = async (decks) => {
+  const SQL = await loadSql();
+  const db = new SQL.Database();
+
+  try {
+    db.run(SCHEMA);
+
+    const nowMs = Date.now();
+    const now = Math.floor(nowMs / 1000);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const collectionDay = today.getTime();
+    const modelId = nowMs;
+
+    const ankiDecks = { 1: buildDeck(1, 'Default', now) };
+    let nextId = nowMs;
+    let newPosition = 0;
+
+    for (const [index, deck] of decks.entries()) {
+      const deckId = nowMs + index + 1;
+      ankiDecks[deckId] = buildDeck(deckId, deck.name, now);
+
+      for (const card of deck.cards) {
+        const noteId = ++nextId;
+        const cardId = ++nextId;
+        const fields = [
+          textToAnkiHtml(card.front),
+          textToAnkiHtml(card.back),
+          textToAnkiHtml(card.hint || ''),
+          card.type || '',
+        ];
+        const sortField = ankiHtmlToText(fields[0]);
+
+        db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, \'\', ?, ?, ?, 0, \'\')', [
+          noteId,
+          exportGuid(deck.key, card.id),
+          modelId,
+          now,
+          fields.join(FIELD_SEPARATOR),
+          sortField,
+          await fieldChecksum(sortField),
+        ]);
+
+        const progress = deck.progress?.[card.id];
+        const schedule = progressToCard(progress, today, collectionDay, ++newPosition);
+        db.run('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, ?)', [
+          cardId,
+          noteId,
+          deckId,
+          now,
+          schedule.type,
+          schedule.queue,
+          schedule.due,
+          schedule.ivl,
+          schedule.factor,
+          schedule.reps,
+          schedule.lapses,
+          progress?.stability && progress?.difficulty
+            ? JSON.stringify({ s: progress.stability, d: progress.difficulty })
+            : '',
+        ]);
+
+        // Review history lets Anki's FSRS optimiser use it too
+        const reviews = (deck.reviews || []).filter(review => review.itemId === card.id);
+        let previousIvl = 0;
+        reviews.forEach(review => {
+          const reviewedAt = new Date(review.reviewedAt).getTime();
+          const ivl = Math.max(1, Math.round(review.scheduledDays ?? 1));
+          db.run('INSERT OR IGNORE INTO revlog VALUES (?, ?, -1, ?, ?, ?, ?, ?, ?)', [
+            reviewedAt,
+            cardId,
+            review.rating || qualityToGrade(review.quality ?? 4),
+            ivl,
+            previousIvl,
+            Math.round((progress?.easeFactor || DEFAULT_EASE_FACTOR) * 1000),
+            Math.round((review.timeTaken || 0) * 1000),
+            review.state === 'new' ? REVLOG_TYPE.LEARNING : review.state === 'relearning' ? REVLOG_TYPE.RELEARNING : REVLOG_TYPE.REVIEW,
+          ]);
+          previousIvl = ivl;
+        });
+      }
+    }
+
+    const conf = {
+      nextPos: newPosition + 1,
+      estTimes: true,
+      activeDecks: [1],
+      sortType: 'noteFld',
+      timeLim: 0,
+      sortBackwards: false,
+      addToCur: true,
+      curDeck: 1,
+      newBury: true,
+      newSpread: 0,
+      dueCounts: true,
+      curModel: modelId,
+      collapseTime: 1200,
+    };
+
+    db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, \'{}\')', [
+      Math.floor(collectionDay / 1000),
+      nowMs,
+      nowMs,
+      JSON.stringify(conf),
+      JSON.stringify({ [modelId]: buildModel(modelId, 1, now) }),
+      JSON.stringify(ankiDecks),
+      JSON.stringify({ 1: DEFAULT_DECK_CONFIG }),
+    ]);
+
+    return zipSync({
+      'collection.anki2': db.export(),
+      media: strToU8('{}'),
+    });
+  } finally {
+    db.close();
+  }
+};
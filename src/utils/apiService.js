@@ -1,27 +1,147 @@
+import { supabase } from '../supabaseClient';
+
 // Use relative URLs for both dev (Vite proxy) and production (same origin)
+// Every endpoint's request and response shape: GET /api/docs (OpenAPI) - the
+// tests fail if this file calls a path that isn't documented there
 const API_BASE_URL = '';
 
+// Responses the server won't answer differently on a retry
+const NO_RETRY_STATUSES = [400, 401, 403, 413, 429];
+
+// ============================================
+// AUTH & DAILY BUDGET
+// ============================================
+// The server charges every /api call to a daily budget: the signed-in user's
+// (access token in the Authorization header) or a smaller guest budget.
+// Remaining budget comes back in X-Budget-* headers on each response.
+
+let apiBudget = null;
+const budgetListeners = new Set();
+
+const setApiBudget = (updates) => {
+  apiBudget = { ...apiBudget, ...updates };
+  budgetListeners.forEach(listener => listener(apiBudget));
+};
+
+const readBudgetHeaders = (response) => {
+  const requests = response.headers.get('X-Budget-Requests-Remaining');
+  const tokens = response.headers.get('X-Budget-Tokens-Remaining');
+  if (requests === null || tokens === null) return;
+
+  setApiBudget({
+    tier: response.headers.get('X-Budget-Tier'),
+    remaining: { requests: Number(requests), tokens: Number(tokens) },
+    resetsAt: response.headers.get('X-Budget-Reset'),
+  });
+};
+
+/**
+ * Authorization header for the current session (none in guest mode)
+ * @returns {Promise<Object>} Headers to merge into a request
+ */
+export const getAuthHeaders = async () => {
+  if (localStorage.getItem('neural-guest-mode') === 'true') return {};
+
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+};
+
+/**
+ * fetch() for the backend API: adds JSON and auth headers, tracks the budget headers
+ * @param {string} path - API path (e.g. '/api/classify-idea')
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export const apiFetch = async (path, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders()),
+      ...options.headers,
+    },
+  });
+
+  readBudgetHeaders(response);
+  const budget = response.status === 429 ? (await response.clone().json().catch(() => ({}))).budget : null;
+  if (budget) setApiBudget(budget);
+
+  return response;
+};
+
+/**
+ * Latest known budget: { tier, limits, remaining: { requests, tokens }, resetsAt, estimates }
+ * @returns {Object|null} null until the first API response
+ */
+export const getApiBudget = () => apiBudget;
+
+/**
+ * Subscribe to budget updates
+ * @returns {Function} Unsubscribe
+ */
+export const onApiBudgetChange = (listener) => {
+  budgetListeners.add(listener);
+  return () => budgetListeners.delete(listener);
+};
+
+/**
+ * Load today's budget and per-route cost estimates (free - not counted)
+ * @returns {Promise<Object|null>}
+ */
+export const fetchApiBudget = async () => {
+  try {
+    const response = await apiFetch('/api/budget');
+    if (!response.ok) return null;
+    setApiBudget(await response.json());
+    return apiBudget;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether the budget can cover a call to a route
+ * @param {Object|null} budget - From getApiBudget()
+ * @param {string} route - API path
+ * @returns {Object} { blocked, low, estimate } - blocked: the server will refuse it;
+ *                   low: it fits, but fewer than ~3 more would
+ */
+export const checkBudgetFor = (budget, route) => {
+  if (!budget?.remaining) return { blocked: false, low: false, estimate: 0 };
+
+  const estimate = budget.estimates?.[route] || 0;
+  const { requests, tokens } = budget.remaining;
+  return {
+    blocked: requests <= 0 || tokens < Math.max(1, estimate),
+    low: requests <= 3 || (estimate > 0 && tokens < estimate * 3),
+    estimate,
+  };
+};
+
+// ============================================
+// REQUEST HELPERS
+// ============================================
+
 // Retry logic helper
-const fetchWithRetry = async (url, options, maxRetries = 3) => {
+const fetchWithRetry = async (path, options, maxRetries = 3) => {
   let lastError;
 
   for (let i = 0; i < maxRetries; i++) {
     try {
-      const response = await fetch(url, {
-        ...options,
-        headers: {
-          'Content-Type': 'application/json',
-          ...options?.headers,
-        },
-      });
+      const response = await apiFetch(path, options);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        const error = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
 
       return await response.json();
     } catch (error) {
+      // The caller gave up on this request (e.g. a search the user typed past)
+      if (error.name === 'AbortError') throw error;
+
       lastError = error;
 
       // Don't retry on network errors if backend is down
@@ -29,6 +149,11 @@ const fetchWithRetry = async (url, options, maxRetries = 3) => {
         throw new Error('Backend server is not responding. Please make sure it\'s running on port 3001.');
       }
 
+      // Auth failures and spent budgets won't change on a retry
+      if (NO_RETRY_STATUSES.includes(error.status)) {
+        throw error;
+      }
+
       // Wait before retry (exponential backoff)
       if (i < maxRetries - 1) {
         await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
@@ -39,16 +164,112 @@ const fetchWithRetry = async (url, options, maxRetries = 3) => {
   throw lastError;
 };
 
+// ============================================
+// STREAMING (SSE)
+// ============================================
+// Long generations stream as Server-Sent Events: progress events while Claude
+// writes, then `done` with the usual response body (or `error`). Aborting the
+// signal closes the connection, which also stops the generation on the server.
+
+// Split an SSE block into its event name and JSON data
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const data = [];
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+  });
+  return data.length > 0 ? { event, data: JSON.parse(data.join('\n')) } : null;
+};
+
+/**
+ * POST to a streaming route and dispatch its events
+ * @param {string} path - API path
+ * @param {Object} body - Request body
+ * @param {Object} handlers - { [eventName]: (data) => void } for progress events
+ * @param {AbortSignal} signal - Abort to cancel
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} Body of the `done` event
+ */
+const streamRequest = async (path, body, handlers = {}, signal, headers = {}) => {
+  let response;
+  try {
+    response = await apiFetch(path, {
+      method: 'POST',
+      headers: { Accept: 'text/event-stream', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new Error('Backend server is not responding. Please make sure it\'s running on port 3001.');
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  try {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += value.replace(/\r\n/g, '\n');
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const message = parseEventBlock(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (!message) continue;
+
+        if (message.event === 'done') return message.data;
+        if (message.event === 'error') {
+          const error = new Error(message.data.error || 'Generation failed. Please try again.');
+          error.status = message.data.status;
+          throw error;
+        }
+        handlers[message.event]?.(message.data);
+      }
+    }
+
+    throw new Error('The connection closed before generation finished. Please try again.');
+  } finally {
+    // Stream headers carry the budget from before the generation - refresh it
+    fetchApiBudget();
+  }
+};
+
+// Skips the server's response cache, for "regenerate" actions (the new answer replaces the cached one)
+export const FRESH_RESPONSE_HEADERS = { 'Cache-Control': 'no-cache' };
+
+// Result for a generation that was streaming when it failed or was cancelled
+const streamFailure = (error, label) => {
+  if (error.name === 'AbortError') {
+    return { success: false, cancelled: true, error: 'Generation cancelled.' };
+  }
+  console.error(`Error generating ${label}:`, error);
+  return { success: false, error: error.message || `Failed to generate ${label}. Please try again.` };
+};
+
 /**
  * Send captured ideas to backend for AI organization
  * @param {Array} ideas - Array of idea objects
+ * @param {Object} options
+ * @param {string} options.query - Only organize the ideas matching this search
+ *   (shared/ideaQuery.js syntax, e.g. a saved smart list); the answer then has
+ *   query: { text, matched, total }
  * @returns {Promise} - Organized ideas with themes and priorities
  */
-export const organizeIdeas = async (ideas) => {
+export const organizeIdeas = async (ideas, { query } = {}) => {
   try {
-    const response = await fetchWithRetry(`${API_BASE_URL}/api/organize-ideas`, {
+    const response = await fetchWithRetry('/api/organize-ideas', {
       method: 'POST',
-      body: JSON.stringify({ ideas }),
+      body: JSON.stringify(query ? { ideas, query } : { ideas }),
     });
 
     return {
@@ -71,7 +292,7 @@ export const organizeIdeas = async (ideas) => {
  */
 export const getWeeklySummary = async (ideas) => {
   try {
-    const response = await fetchWithRetry(`${API_BASE_URL}/api/weekly-summary`, {
+    const response = await fetchWithRetry('/api/weekly-summary', {
       method: 'POST',
       body: JSON.stringify({ ideas }),
     });
@@ -97,7 +318,7 @@ export const getWeeklySummary = async (ideas) => {
  */
 export const analyzePatterns = async (logs, ideas) => {
   try {
-    const response = await fetchWithRetry(`${API_BASE_URL}/api/analyze-patterns`, {
+    const response = await fetchWithRetry('/api/analyze-patterns', {
       method: 'POST',
       body: JSON.stringify({ logs, ideas }),
     });
@@ -122,7 +343,7 @@ export const analyzePatterns = async (logs, ideas) => {
  */
 export const classifySubject = async (subject) => {
   try {
-    const response = await fetchWithRetry(`${API_BASE_URL}/api/classify-subject`, {
+    const response = await fetchWithRetry('/api/classify-subject', {
       method: 'POST',
       body: JSON.stringify({ subject }),
     });
@@ -151,7 +372,7 @@ export const classifySubject = async (subject) => {
  */
 export const getPlanningAdvice = async (activity, ideas, logs, checklist, reviews) => {
   try {
-    const response = await fetchWithRetry(`${API_BASE_URL}/api/plan-activity`, {
+    const response = await fetchWithRetry('/api/plan-activity', {
       method: 'POST',
       body: JSON.stringify({ activity, ideas, logs, checklist, reviews }),
     });
@@ -175,25 +396,25 @@ export const getPlanningAdvice = async (activity, ideas, logs, checklist, review
  * @param {Array} logs - Array of activity logs
  * @param {Object} checklist - Daily checklist data
  * @param {Array} reviews - Array of end-of-day reviews
- * @returns {Promise} - Generated daily routine with time blocks
+ * @param {Object} stream - Optional { onBlock(block), signal }: each time block as it
+ *                          streams in, and an AbortSignal to cancel
+ * @returns {Promise} - Generated daily routine with time blocks ({ cancelled: true } if aborted)
  */
-export const generateDailyRoutine = async (ideas, logs, checklist, reviews) => {
+export const generateDailyRoutine = async (ideas, logs, checklist, reviews, { onBlock, signal } = {}) => {
   try {
-    const response = await fetchWithRetry(`${API_BASE_URL}/api/generate-routine`, {
-      method: 'POST',
-      body: JSON.stringify({ ideas, logs, checklist, reviews }),
-    });
+    const response = await streamRequest(
+      '/api/generate-routine',
+      { ideas, logs, checklist, reviews },
+      { block: onBlock },
+      signal
+    );
 
     return {
       success: true,
       data: response,
     };
   } catch (error) {
-    console.error('Error generating daily routine:', error);
-    return {
-      success: false,
-      error: error.message,
-    };
+    return streamFailure(error, 'daily routine');
   }
 };
 
@@ -208,7 +429,7 @@ export const generateDailyRoutine = async (ideas, logs, checklist, reviews) => {
  */
 export const getReminders = async (ideas, logs, checklist, reviews, reminderHistory) => {
   try {
-    const response = await fetchWithRetry(`${API_BASE_URL}/api/get-reminders`, {
+    const response = await fetchWithRetry('/api/get-reminders', {
       method: 'POST',
       body: JSON.stringify({ ideas, logs, checklist, reviews, reminderHistory }),
     });
@@ -226,6 +447,147 @@ export const getReminders = async (ideas, logs, checklist, reviews, reminderHist
   }
 };
 
+// ============================================
+// PUSH NOTIFICATIONS
+// ============================================
+// Smart reminders pushed by the server while the app is closed (server/push).
+// One attempt each - the scheduler tries again on its next change anyway.
+
+const pushRequest = async (path, options) => {
+  try {
+    const response = await apiFetch(path, options);
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+    return result;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * The server's VAPID public key (PushManager.subscribe applicationServerKey)
+ * @returns {Promise} - { success, data: { publicKey } } - fails when the server has push off
+ */
+export const getPushPublicKey = () => pushRequest('/api/push/public-key');
+
+/**
+ * Save this device's push subscription
+ * @param {Object} subscription - PushSubscription.toJSON(): { endpoint, keys: { p256dh, auth } }
+ * @param {Object} options - { timezone, quietHours } - pushes wait out the device's quiet hours
+ * @returns {Promise} - { success, data: { endpoint } }
+ */
+export const savePushSubscription = (subscription, { timezone, quietHours = null } = {}) => pushRequest('/api/push/subscribe', {
+  method: 'POST',
+  body: JSON.stringify({ subscription, timezone, quietHours }),
+});
+
+/**
+ * Stop pushing to a device
+ * @param {string} endpoint - Its subscription's endpoint
+ * @returns {Promise} - { success, data: { removed } }
+ */
+export const removePushSubscription = (endpoint) => pushRequest('/api/push/unsubscribe', {
+  method: 'POST',
+  body: JSON.stringify({ endpoint }),
+});
+
+// ============================================
+// IDEA SEARCH
+// ============================================
+// Semantic search, similar ideas and near-duplicates run on local embeddings
+// (no Claude call). When the server has no embedding model the answers come
+// from keywords instead, with semantic: false.
+
+// Only what the server ranks by, so long idea lists stay small on the wire
+const searchableIdea = ({ id, content, tags, context }) => ({
+  id,
+  content: content || '',
+  tags: tags || [],
+  context: context || null,
+});
+
+/**
+ * Search ideas by meaning and keywords
+ * @param {string} query - What the user typed
+ * @param {Array} ideas - Ideas to search
+ * @param {Object} options - { limit, signal } - abort a search the user has typed past
+ * @returns {Promise} - { results: [{ id, score, keywordScore, semanticScore }], semantic, model }, best first
+ */
+export const searchIdeas = async (query, ideas, { limit, signal } = {}) => {
+  try {
+    const response = await fetchWithRetry('/api/search-ideas', {
+      method: 'POST',
+      body: JSON.stringify({ query, ideas: ideas.map(searchableIdea), limit }),
+      signal,
+    }, 1);
+
+    return {
+      success: true,
+      data: response.data,
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { success: false, cancelled: true, error: 'Search cancelled.' };
+    }
+    console.error('Error searching ideas:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Find ideas similar in meaning to one idea
+ * @param {Object} idea - The idea to compare against
+ * @param {Array} ideas - Candidates (the idea itself is left out of the results)
+ * @returns {Promise} - { similar: [{ id, similarity }], semantic, model }, most similar first
+ */
+export const findSimilarIdeas = async (idea, ideas) => {
+  try {
+    const response = await fetchWithRetry('/api/similar-ideas', {
+      method: 'POST',
+      body: JSON.stringify({ idea: searchableIdea(idea), ideas: ideas.map(searchableIdea) }),
+    }, 1);
+
+    return {
+      success: true,
+      data: response.data,
+    };
+  } catch (error) {
+    console.error('Error finding similar ideas:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Group near-duplicate captures
+ * @param {Array} ideas - Ideas to compare, newest first
+ * @returns {Promise} - { clusters: [{ ids, similarity }], semantic, model }, biggest first
+ */
+export const clusterIdeas = async (ideas) => {
+  try {
+    const response = await fetchWithRetry('/api/cluster-ideas', {
+      method: 'POST',
+      body: JSON.stringify({ ideas: ideas.map(searchableIdea) }),
+    }, 1);
+
+    return {
+      success: true,
+      data: response.data,
+    };
+  } catch (error) {
+    console.error('Error clustering ideas:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
 /**
  * Evaluate a student's answer using AI semantic analysis
  * @param {string} question - The question that was asked
@@ -242,7 +604,7 @@ export const evaluateAnswer = async (question, userAnswer, correctAnswer, questi
   try {
     const { testCases, language, starterCode } = options;
     
-    const response = await fetchWithRetry(`${API_BASE_URL}/api/evaluate-answer`, {
+    const response = await fetchWithRetry('/api/evaluate-answer', {
       method: 'POST',
       body: JSON.stringify({ 
         question, 
@@ -268,6 +630,33 @@ export const evaluateAnswer = async (question, userAnswer, correctAnswer, questi
   }
 };
 
+/**
+ * Run code against test cases in the server-side sandbox (no AI evaluation)
+ * @param {string} code - The code to execute
+ * @param {string} language - Programming language (python, r, javascript)
+ * @param {Array} testCases - Test cases with input and expectedOutput
+ * @returns {Promise} - Execution result with per-test pass/fail, stdout/stderr and timing
+ */
+export const runCode = async (code, language = 'python', testCases = []) => {
+  try {
+    const response = await fetchWithRetry('/api/run-code', {
+      method: 'POST',
+      body: JSON.stringify({ code, language, testCases }),
+    }, 1);
+
+    return {
+      success: true,
+      data: response.data,
+    };
+  } catch (error) {
+    console.error('Error running code:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
 /**
  * Generate practice questions for learning
  * @param {string} subject - The subject area (e.g., "Statistics")
@@ -276,7 +665,10 @@ export const evaluateAnswer = async (question, userAnswer, correctAnswer, questi
  * @param {number} questionCount - Number of questions to generate
  * @param {string} questionStyle - Question style (balanced, conceptual, calculation, formula, application)
  * @param {string} focusMode - Focus mode (understanding, memorization, holistic)
- * @returns {Promise} - Generated questions with answers and explanations
+ * @param {Object|null} concept - Optional single concept to focus on: { label, summary } (mind map node)
+ * @param {Object} stream - Optional { onQuestion(question), signal }: each question as soon
+ *                          as it's complete, and an AbortSignal to cancel
+ * @returns {Promise} - Generated questions with answers and explanations ({ cancelled: true } if aborted)
  */
 export const generatePracticeQuestions = async (
   subject,
@@ -284,31 +676,32 @@ export const generatePracticeQuestions = async (
   difficulty = 'medium',
   questionCount = 5,
   questionStyle = 'balanced',
-  focusMode = 'understanding'
+  focusMode = 'understanding',
+  concept = null,
+  { onQuestion, signal } = {}
 ) => {
   try {
-    const response = await fetchWithRetry(`${API_BASE_URL}/api/generate-practice-questions`, {
-      method: 'POST',
-      body: JSON.stringify({
+    const response = await streamRequest(
+      '/api/generate-practice-questions',
+      {
         subject,
         topic,
         difficulty,
         questionCount,
         questionStyle,
-        focusMode
-      }),
-    });
+        focusMode,
+        concept
+      },
+      { question: onQuestion },
+      signal
+    );
 
     return {
       success: true,
       data: response,
     };
   } catch (error) {
-    console.error('Error generating practice questions:', error);
-    return {
-      success: false,
-      error: error.message,
-    };
+    return streamFailure(error, 'practice questions');
   }
 };
 
@@ -317,18 +710,39 @@ export const generatePracticeQuestions = async (
  * @param {string} subject - The subject area (e.g., "Statistics")
  * @param {string} topic - The specific topic (e.g., "Hypothesis Testing")
  * @param {string} topicDescription - Optional description of the topic
- * @returns {Promise} - Generated cheat sheet content with markdown formatting
+ * @param {Object} stream - Optional { onSection({ index, content }), signal, fresh }: each
+ *                          markdown section once it's complete, an AbortSignal to cancel,
+ *                          and fresh to skip the server's cached copy
+ * @returns {Promise} - Generated cheat sheet content with markdown formatting ({ cancelled: true } if aborted)
  */
-export const generateCheatsheet = async (subject, topic, topicDescription = '') => {
+export const generateCheatsheet = async (subject, topic, topicDescription = '', { onSection, signal, fresh = false } = {}) => {
+  try {
+    return await streamRequest(
+      '/api/generate-cheatsheet',
+      { subject, topic, topicDescription },
+      { section: onSection },
+      signal,
+      fresh ? FRESH_RESPONSE_HEADERS : {}
+    );
+  } catch (error) {
+    return streamFailure(error, 'cheat sheet');
+  }
+};
+
+/**
+ * Generate a concept mind map for a topic
+ * @param {string} subject - The subject area (e.g., "Statistics")
+ * @param {string} topic - The specific topic (e.g., "Hypothesis Testing")
+ * @param {string} topicDescription - Optional description of the topic
+ * @returns {Promise} - { rootId, nodes[{ id, parentId, label, kind, summary }], crossLinks[], generatedAt }
+ */
+export const generateMindmap = async (subject, topic, topicDescription = '') => {
   try {
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 45000); // 45 second timeout for longer generation
+    const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout for longer generation
 
-    const response = await fetch(`${API_BASE_URL}/api/generate-cheatsheet`, {
+    const response = await apiFetch('/api/generate-mindmap', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
       body: JSON.stringify({ subject, topic, topicDescription }),
       signal: controller.signal,
     });
@@ -346,13 +760,13 @@ export const generateCheatsheet = async (subject, topic, topicDescription = '')
     if (error.name === 'AbortError') {
       return {
         success: false,
-        error: 'Request timed out. The cheat sheet generation is taking longer than expected. Please try again.',
+        error: 'Request timed out. Mind map generation is taking longer than expected. Please try again.',
       };
     }
-    console.error('Error generating cheat sheet:', error);
+    console.error('Error generating mind map:', error);
     return {
       success: false,
-      error: error.message || 'Failed to generate cheat sheet. Please try again.',
+      error: error.message || 'Failed to generate mind map. Please try again.',
     };
   }
 };
@@ -385,11 +799,8 @@ export const extractAnswerFromImage = async (imageBase64, question, correctAnswe
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 30000);
 
-    const response = await fetch(`${API_BASE_URL}/api/extract-answer-from-image`, {
+    const response = await apiFetch('/api/extract-answer-from-image', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
       body: JSON.stringify({ image, mediaType, question, correctAnswer }),
       signal: controller.signal,
     });
@@ -431,11 +842,8 @@ export const generateFlashcards = async (subject, topic, topicDescription = '')
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout for longer generation
 
-    const response = await fetch(`${API_BASE_URL}/api/generate-flashcards`, {
+    const response = await apiFetch('/api/generate-flashcards', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
       body: JSON.stringify({ subject, topic, topicDescription }),
       signal: controller.signal,
     });
@@ -0,0 +1,896 @@
+/**
+ * BACKUP SERVICE
+ *
+ * Full-account export/import as a versioned JSON file:
+ * - Export: ideas, logs, reviews, checklist history, calendar events, flashcard
+ *   decks with SM-2 progress, mastery, question history, best scores and
+ *   library resources
+ * - Import: validates the schema, upgrades older backup versions, keeps
+ *   original ids/timestamps, deduplicates against existing data and returns a
+ *   dry-run diff that has to be applied explicitly
+ *
+ * Works in both directions between guest mode (localStorage) and an account
+ * (Supabase), so it doubles as the way to move data between the two.
+ */
+
+import { supabase } from '../supabaseClient';
+import { syncIdeas, getLocalIdeas, createIdea, updateIdea } from './ideaSyncService';
+import { getLifeData, syncLifeData } from './lifeDataService';
+import { progressFromRow, progressToRow } from './flashcardService';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const BACKUP_FORMAT = 'neural-capture-backup';
+export const BACKUP_VERSION = 1;
+
+// Upgrade steps for older backups: BACKUP_MIGRATIONS[n] turns version n into n + 1
+const BACKUP_MIGRATIONS = {};
+
+// Guest localStorage keys (owned by App, flashcardService, learningService, resourceService)
+const GUEST_IDEAS_KEY = 'neural-guest-ideas';
+const GUEST_DECKS_KEY = 'flashcard-decks';
+const GUEST_PROGRESS_KEY = 'flashcard-progress';
+const GUEST_MASTERY_KEY = 'learning-mastery';
+const GUEST_HISTORY_KEY = 'learning-question-history';
+const GUEST_SCORES_KEY = 'learning-scores';
+const GUEST_RESOURCES_KEY = 'learning-resources';
+
+const GUEST_HISTORY_LIMIT = 1000; // Same cap as learningService
+const INSERT_BATCH_SIZE = 100;
+
+const MASTERY_FIELDS = [
+  'subject', 'topic', 'current_difficulty', 'recommended_difficulty', 'rolling_accuracy',
+  'questions_at_current', 'total_questions', 'last_results', 'streak_eligible',
+  'difficulty_changes_session', 'last_difficulty_change', 'updated_at',
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============================================
+// AUTH & STORAGE HELPERS
+// ============================================
+
+/**
+ * Get current user and determine if guest mode
+ * @returns {Object} { userId, isGuest }
+ */
+const getCurrentUser = async () => {
+  let { data: { user } } = await supabase.auth.getUser();
+
+  // getUser() needs the network - offline, trust the locally stored session
+  if (!user) {
+    const { data: { session } } = await supabase.auth.getSession();
+    user = session?.user || null;
+  }
+
+  const isGuestMode = localStorage.getItem('neural-guest-mode') === 'true';
+
+  if (isGuestMode || !user) {
+    return { userId: 'guest', isGuest: true };
+  }
+
+  return { userId: user.id, isGuest: false };
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  localStorage.setItem(key, JSON.stringify(value));
+};
+
+const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+const newUuid = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+      const r = (Math.random() * 16) | 0;
+      return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    })
+);
+
+const toTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+const sortByDateDesc = (field) => (a, b) => (toTime(b[field]) || 0) - (toTime(a[field]) || 0);
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Stable JSON for equality checks (key order independent)
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const insertInBatches = async (table, rows) => {
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await supabase.from(table).insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+    if (error) throw error;
+  }
+};
+
+const upsertInBatches = async (table, rows, onConflict) => {
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await supabase.from(table).upsert(rows.slice(i, i + INSERT_BATCH_SIZE), { onConflict });
+    if (error) throw error;
+  }
+};
+
+// ============================================
+// SECTIONS
+// ============================================
+// Each section describes its record schema, how records are identified
+// (key + optional signature for records whose id changed between guest mode
+// and an account), which copy wins when both differ, and how to load/write it.
+
+const lifeDataSection = (key, emptyValue) => ({
+  load: async () => {
+    const result = await getLifeData(key);
+    if (!result.success) throw new Error(result.error);
+    return result.data ?? emptyValue;
+  },
+  write: async (_ctx, current, merged) => {
+    const result = await syncLifeData(key, current, merged);
+    if (!result.success) throw new Error(result.error);
+  },
+});
+
+const SECTIONS = {
+  ideas: {
+    label: 'Ideas',
+    shape: 'list',
+    fields: {
+      id: 'string|number', content: 'string', tags: 'array', context: 'string', dueDate: 'string',
+      classificationType: 'string', duration: 'number', recurrence: 'string', timeOfDay: 'string',
+      priority: 'string', autoClassified: 'boolean', source: 'string', timestamp: 'date', lastModified: 'date',
+    },
+    required: ['id', 'content', 'timestamp'],
+    keyOf: (idea) => String(idea.id),
+    signatureOf: (idea) => `${idea.timestamp}|${idea.content}`,
+    versionOf: (idea) => idea.lastModified || idea.timestamp,
+    load: async ({ userId, isGuest }) => {
+      if (isGuest) return readJson(GUEST_IDEAS_KEY, []).filter(idea => !idea.isDraft);
+      const synced = await syncIdeas(userId);
+      const result = synced.success ? synced : await getLocalIdeas(userId);
+      // Drop sync bookkeeping (syncStatus, conflict, baseLastModified)
+      return result.data.map(({ syncStatus, conflict, baseLastModified, ...idea }) => idea);
+    },
+    write: async ({ userId, isGuest }, _current, merged, { added, updated }) => {
+      if (isGuest) {
+        const drafts = readJson(GUEST_IDEAS_KEY, []).filter(idea => idea.isDraft);
+        writeJson(GUEST_IDEAS_KEY, [...drafts, ...[...merged].sort(sortByDateDesc('timestamp'))]);
+        return;
+      }
+      for (const idea of added) {
+        const result = await createIdea(userId, { ...idea, id: isUuid(idea.id) ? idea.id : newUuid() });
+        if (!result.success) throw new Error(result.error);
+      }
+      for (const { merged: idea } of updated) {
+        const result = await updateIdea(userId, idea);
+        if (!result.success) throw new Error(result.error);
+      }
+    },
+  },
+
+  logs: {
+    label: 'Activity logs',
+    shape: 'list',
+    fields: {
+      id: 'string|number', timestamp: 'date', timePeriod: 'string', energy: 'number', motivation: 'number',
+      activity: 'string', subject: 'string', subjectHierarchy: 'object|array', duration: 'number', note: 'string',
+    },
+    required: ['id', 'timestamp'],
+    keyOf: (log) => String(log.id),
+    signatureOf: (log) => `${log.timestamp}|${log.activity}`,
+    ...lifeDataSection('neural-logs', []),
+  },
+
+  reviews: {
+    label: 'Daily reviews',
+    shape: 'list',
+    fields: {
+      id: 'string|number', date: 'string', timestamp: 'date', completed: 'boolean', responses: 'object',
+      actualData: 'object', comparison: 'object', insights: 'array',
+    },
+    required: ['date', 'responses'],
+    keyOf: (review) => review.date,
+    versionOf: (review) => review.timestamp,
+    ...lifeDataSection('neural-reviews', []),
+  },
+
+  checklistHistory: {
+    label: 'Routine history',
+    shape: 'map',
+    fields: { completed: 'array', timestamps: 'object', completionRate: 'number', totalItems: 'number' },
+    required: ['completed'],
+    ...lifeDataSection('neural-checklist-history', {}),
+  },
+
+  calendarEvents: {
+    label: 'Calendar events',
+    shape: 'list',
+    fields: {
+      id: 'string|number', title: 'string', description: 'string', start: 'date', end: 'date', priority: 'string',
+    },
+    required: ['id', 'title', 'start', 'end'],
+    keyOf: (event) => String(event.id),
+    signatureOf: (event) => `${event.start}|${event.title}`,
+    ...lifeDataSection('neural-calendar-events', []),
+  },
+
+  flashcardDecks: {
+    label: 'Flashcard decks',
+    shape: 'list',
+    fields: {
+      subject: 'string', topic: 'string', cards: 'array', createdAt: 'date', updatedAt: 'date', progress: 'object',
+    },
+    required: ['subject', 'topic', 'cards'],
+    keyOf: (deck) => `${deck.subject}|${deck.topic}`,
+    versionOf: (deck) => deck.updatedAt,
+    // Cards follow the newer deck; SM-2 progress is merged card by card (latest review wins)
+    merge: (existing, incoming, incomingIsNewer) => {
+      const progress = { ...(existing.progress || {}) };
+      Object.entries(incoming.progress || {}).forEach(([cardId, cardProgress]) => {
+        const current = progress[cardId];
+        if (!current || (toTime(cardProgress.lastReviewed) || 0) > (toTime(current.lastReviewed) || 0)) {
+          progress[cardId] = cardProgress;
+        }
+      });
+      const base = incomingIsNewer ? incoming : existing;
+      return { ...base, createdAt: existing.createdAt || incoming.createdAt, progress };
+    },
+    load: async ({ userId, isGuest }) => {
+      if (isGuest) {
+        const progress = readJson(GUEST_PROGRESS_KEY, {});
+        return Object.values(readJson(GUEST_DECKS_KEY, {})).map(deck => ({
+          subject: deck.subject,
+          topic: deck.topic,
+          cards: deck.cards || [],
+          createdAt: deck.createdAt,
+          updatedAt: deck.updatedAt,
+          progress: progress[deck.id] || {},
+        }));
+      }
+
+      const [{ data: decks, error: decksError }, { data: progressRows, error: progressError }] = await Promise.all([
+        supabase.from('flashcard_decks').select('*').eq('user_id', userId),
+        supabase.from('flashcard_progress').select('*').eq('user_id', userId),
+      ]);
+      if (decksError) throw decksError;
+      if (progressError) throw progressError;
+
+      return (decks || []).map(deck => ({
+        subject: deck.subject,
+        topic: deck.topic,
+        cards: deck.cards || [],
+        createdAt: deck.created_at,
+        updatedAt: deck.updated_at,
+        progress: Object.fromEntries((progressRows || [])
+          .filter(row => row.deck_id === deck.id)
+          .map(row => [row.card_id, progressFromRow(row)])),
+      }));
+    },
+    write: async ({ userId, isGuest }, _current, _merged, { added, updated }) => {
+      const changed = [...added, ...updated.map(change => change.merged)];
+
+      if (isGuest) {
+        const decks = readJson(GUEST_DECKS_KEY, {});
+        const progress = readJson(GUEST_PROGRESS_KEY, {});
+        changed.forEach((deck, index) => {
+          const key = `${deck.subject}-${deck.topic}`;
+          const id = decks[key]?.id || `local-deck-${Date.now()}-${index}`;
+          decks[key] = {
+            id,
+            subject: deck.subject,
+            topic: deck.topic,
+            cards: deck.cards,
+            createdAt: deck.createdAt || new Date().toISOString(),
+            updatedAt: deck.updatedAt || new Date().toISOString(),
+          };
+          progress[id] = deck.progress || {};
+        });
+        writeJson(GUEST_DECKS_KEY, decks);
+        writeJson(GUEST_PROGRESS_KEY, progress);
+        return;
+      }
+
+      for (const deck of changed) {
+        const { data: savedDeck, error } = await supabase
+          .from('flashcard_decks')
+          .upsert({
+            user_id: userId,
+            subject: deck.subject,
+            topic: deck.topic,
+            cards: deck.cards,
+            created_at: deck.createdAt,
+            updated_at: deck.updatedAt,
+          }, { onConflict: 'user_id,subject,topic' })
+          .select()
+          .single();
+        if (error) throw error;
+
+        const progressRows = Object.entries(deck.progress || {}).map(([cardId, cardProgress]) => ({
+          user_id: userId,
+          deck_id: savedDeck.id,
+          card_id: cardId,
+          ...progressToRow(cardProgress),
+        }));
+        if (progressRows.length > 0) {
+          await upsertInBatches('flashcard_progress', progressRows, 'user_id,deck_id,card_id');
+        }
+      }
+    },
+  },
+
+  mastery: {
+    label: 'Topic mastery',
+    shape: 'list',
+    fields: {
+      subject: 'string', topic: 'string', current_difficulty: 'string', recommended_difficulty: 'string',
+      rolling_accuracy: 'number', questions_at_current: 'number', total_questions: 'number',
+      last_results: 'array', streak_eligible: 'boolean', updated_at: 'date',
+    },
+    required: ['subject', 'topic'],
+    keyOf: (mastery) => `${mastery.subject}|${mastery.topic}`,
+    versionOf: (mastery) => mastery.updated_at,
+    load: async ({ userId, isGuest }) => {
+      if (isGuest) {
+        return Object.values(readJson(GUEST_MASTERY_KEY, {})).map(mastery => pick(mastery, MASTERY_FIELDS));
+      }
+      const { data, error } = await supabase.from('learning_mastery').select('*').eq('user_id', userId);
+      if (error) throw error;
+      return (data || []).map(mastery => pick(mastery, MASTERY_FIELDS));
+    },
+    write: async ({ userId, isGuest }, _current, merged, { added, updated }) => {
+      if (isGuest) {
+        writeJson(GUEST_MASTERY_KEY, Object.fromEntries(
+          merged.map(mastery => [`${mastery.subject}-${mastery.topic}`, mastery])
+        ));
+        return;
+      }
+      const rows = [...added, ...updated.map(change => change.merged)]
+        .map(mastery => ({ ...pick(mastery, MASTERY_FIELDS), user_id: userId }));
+      await upsertInBatches('learning_mastery', rows, 'user_id,subject,topic');
+    },
+  },
+
+  questionHistory: {
+    label: 'Question history',
+    shape: 'list',
+    fields: {
+      id: 'string|number', subject: 'string', topic: 'string', difficulty: 'string', questionStyle: 'string',
+      focusMode: 'string', question: 'string|object', questionType: 'string', userAnswer: 'string|object',
+      correctAnswer: 'string|object', explanation: 'string', result: 'string', score: 'number',
+      timeTaken: 'number', createdAt: 'date',
+    },
+    required: ['subject', 'topic', 'createdAt'],
+    keyOf: (entry) => (entry.id != null ? String(entry.id) : null),
+    signatureOf: (entry) => `${entry.createdAt}|${stableStringify(entry.question)}`,
+    immutable: true, // Attempts are a log - existing entries are never overwritten
+    load: async ({ userId, isGuest }) => {
+      if (isGuest) {
+        return readJson(GUEST_HISTORY_KEY, []).map(entry => ({
+          id: entry.id,
+          subject: entry.subject,
+          topic: entry.topic,
+          difficulty: entry.difficulty,
+          questionStyle: entry.questionStyle,
+          focusMode: entry.focusMode,
+          question: entry.question,
+          questionType: entry.questionType,
+          userAnswer: entry.userAnswer,
+          correctAnswer: entry.correctAnswer,
+          explanation: entry.explanation,
+          result: entry.result,
+          score: entry.score,
+          timeTaken: entry.timeTaken,
+          createdAt: entry.created_at || entry.timestamp,
+        }));
+      }
+      const { data, error } = await supabase
+        .from('learning_history')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+      if (error) throw error;
+      return (data || []).map(row => ({
+        id: row.id,
+        subject: row.subject,
+        topic: row.topic,
+        difficulty: row.difficulty,
+        questionStyle: row.question_style,
+        focusMode: row.focus_mode,
+        question: row.question,
+        questionType: row.question_type,
+        userAnswer: row.user_answer,
+        correctAnswer: row.correct_answer,
+        explanation: row.explanation,
+        result: row.result,
+        score: row.score,
+        timeTaken: row.time_taken,
+        createdAt: row.created_at,
+      }));
+    },
+    write: async ({ userId, isGuest }, _current, merged, { added }) => {
+      if (isGuest) {
+        const entries = [...merged]
+          .sort(sortByDateDesc('createdAt'))
+          .slice(0, GUEST_HISTORY_LIMIT)
+          .map(({ createdAt, ...entry }) => ({
+            ...entry,
+            id: entry.id ?? `q-${toTime(createdAt)}-${Math.random().toString(36).substr(2, 9)}`,
+            created_at: createdAt,
+          }));
+        writeJson(GUEST_HISTORY_KEY, entries);
+        return;
+      }
+      await insertInBatches('learning_history', added.map(entry => ({
+        ...(isUuid(entry.id) ? { id: entry.id } : {}),
+        user_id: userId,
+        subject: entry.subject,
+        topic: entry.topic,
+        difficulty: entry.difficulty,
+        question_style: entry.questionStyle,
+        focus_mode: entry.focusMode,
+        question: entry.question,
+        question_type: entry.questionType,
+        user_answer: entry.userAnswer,
+        correct_answer: entry.correctAnswer,
+        explanation: entry.explanation,
+        result: entry.result,
+        score: entry.score,
+        time_taken: entry.timeTaken,
+        created_at: entry.createdAt,
+      })));
+    },
+  },
+
+  scores: {
+    label: 'Best scores',
+    shape: 'list',
+    fields: {
+      subject: 'string', topic: 'string', best: 'number', total: 'number', percentage: 'number', lastAttempt: 'date',
+    },
+    required: ['subject', 'topic', 'percentage'],
+    keyOf: (score) => `${score.subject}|${score.topic}`,
+    // A best score only ever goes up
+    merge: (existing, incoming) => (incoming.percentage > existing.percentage ? incoming : existing),
+    load: async ({ userId, isGuest }) => {
+      if (isGuest) {
+        return Object.entries(readJson(GUEST_SCORES_KEY, {})).map(([key, score]) => {
+          const [subject, ...topicParts] = key.split('-');
+          return { subject, topic: topicParts.join('-'), ...score };
+        });
+      }
+      const { data, error } = await supabase.from('learning_scores').select('*').eq('user_id', userId);
+      if (error) throw error;
+      return (data || []).map(row => ({
+        subject: row.subject,
+        topic: row.topic,
+        best: row.best_score,
+        total: row.best_total,
+        percentage: row.best_percentage,
+        lastAttempt: row.last_attempt,
+      }));
+    },
+    write: async ({ userId, isGuest }, _current, merged, { added, updated }) => {
+      if (isGuest) {
+        writeJson(GUEST_SCORES_KEY, Object.fromEntries(merged.map(({ subject, topic, ...score }) => (
+          [`${subject}-${topic}`, score]
+        ))));
+        return;
+      }
+      const rows = [...added, ...updated.map(change => change.merged)].map(score => ({
+        user_id: userId,
+        subject: score.subject,
+        topic: score.topic,
+        best_score: score.best,
+        best_total: score.total,
+        best_percentage: score.percentage,
+        last_attempt: score.lastAttempt,
+      }));
+      await upsertInBatches('learning_scores', rows, 'user_id,subject,topic');
+    },
+  },
+
+  resources: {
+    label: 'Library resources',
+    shape: 'list',
+    fields: {
+      id: 'string|number', resourceType: 'string', subject: 'string', topic: 'string', title: 'string',
+      content: 'object|array|string', createdAt: 'date', updatedAt: 'date', lastAccessed: 'date',
+      accessCount: 'number', isFavorite: 'boolean',
+    },
+    required: ['resourceType', 'subject', 'topic', 'title', 'content'],
+    keyOf: (resource) => `${resource.resourceType}|${resource.subject}|${resource.topic}`,
+    versionOf: (resource) => resource.updatedAt,
+    load: async ({ userId, isGuest }) => {
+      if (isGuest) return Object.values(readJson(GUEST_RESOURCES_KEY, {}));
+      const { data, error } = await supabase.from('learning_resources').select('*').eq('user_id', userId);
+      if (error) throw error;
+      return (data || []).map(item => ({
+        id: item.id,
+        resourceType: item.resource_type,
+        subject: item.subject,
+        topic: item.topic,
+        title: item.title,
+        content: item.content,
+        createdAt: item.created_at,
+        updatedAt: item.updated_at,
+        lastAccessed: item.last_accessed,
+        accessCount: item.access_count,
+        isFavorite: item.is_favorite,
+      }));
+    },
+    write: async ({ userId, isGuest }, _current, merged, { added, updated }) => {
+      if (isGuest) {
+        writeJson(GUEST_RESOURCES_KEY, Object.fromEntries(merged.map((resource, index) => {
+          const id = resource.id && !isUuid(resource.id) ? resource.id : `resource-${Date.now()}-${index}`;
+          return [id, { ...resource, id }];
+        })));
+        return;
+      }
+      const rows = [...added, ...updated.map(change => change.merged)].map(resource => ({
+        user_id: userId,
+        resource_type: resource.resourceType,
+        subject: resource.subject,
+        topic: resource.topic,
+        title: resource.title,
+        content: resource.content,
+        created_at: resource.createdAt,
+        updated_at: resource.updatedAt,
+        last_accessed: resource.lastAccessed,
+        access_count: resource.accessCount || 1,
+        is_favorite: resource.isFavorite || false,
+      }));
+      await upsertInBatches('learning_resources', rows, 'user_id,resource_type,subject,topic');
+    },
+  },
+};
+
+export const BACKUP_SECTIONS = Object.keys(SECTIONS);
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'date': return typeof value === 'string' && toTime(value) !== null;
+    default: return typeof value === type;
+  }
+};
+
+/**
+ * Check a record against its section schema
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+const validateRecord = (section, record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['not an object'];
+  }
+
+  const problems = [];
+  section.required.forEach((field) => {
+    if (record[field] === undefined || record[field] === null || record[field] === '') {
+      problems.push(`missing ${field}`);
+    }
+  });
+  Object.entries(section.fields).forEach(([field, types]) => {
+    const value = record[field];
+    if (value === undefined || value === null) return;
+    if (!types.split('|').some(type => matchesType(value, type))) {
+      problems.push(`${field} should be ${types.replace('|', ' or ')}`);
+    }
+  });
+  return problems;
+};
+
+/**
+ * Parse and validate a backup file, upgrading older versions
+ * @param {string|Object} input - File contents or parsed JSON
+ * @returns {Object} { backup, errors } - errors are fatal (wrong format/version)
+ */
+export const parseBackup = (input) => {
+  let backup = input;
+  if (typeof input === 'string') {
+    try {
+      backup = JSON.parse(input);
+    } catch {
+      return { backup: null, errors: ['This file is not valid JSON.'] };
+    }
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    return { backup: null, errors: ['This is not a Neural Capture backup file.'] };
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return { backup: null, errors: ['The backup has no valid version number.'] };
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return {
+      backup: null,
+      errors: [`This backup was made by a newer version of the app (v${backup.version}). Update the app and try again.`],
+    };
+  }
+
+  let upgraded = backup;
+  for (let version = backup.version; version < BACKUP_VERSION; version++) {
+    const migrate = BACKUP_MIGRATIONS[version];
+    if (!migrate) {
+      return { backup: null, errors: [`No upgrade path from backup version ${version}.`] };
+    }
+    upgraded = { ...migrate(upgraded), version: version + 1 };
+  }
+
+  if (!upgraded.data || typeof upgraded.data !== 'object') {
+    return { backup: null, errors: ['The backup has no data section.'] };
+  }
+
+  const errors = [];
+  BACKUP_SECTIONS.forEach((name) => {
+    const value = upgraded.data[name];
+    if (value === undefined) return;
+    const expected = SECTIONS[name].shape === 'map' ? 'object' : 'array';
+    if (!matchesType(value, expected)) {
+      errors.push(`"${name}" should be an ${expected}.`);
+    }
+  });
+
+  return { backup: errors.length > 0 ? null : upgraded, errors };
+};
+
+// ============================================
+// DIFF
+// ============================================
+
+// Turn a section value into [key, record] pairs
+const toEntries = (section, value) => {
+  if (section.shape === 'map') return Object.entries(value || {});
+  return (value || []).map(record => [section.keyOf(record), record]);
+};
+
+const fromEntries = (section, entries) => (
+  section.shape === 'map' ? Object.fromEntries(entries) : entries.map(([, record]) => record)
+);
+
+/**
+ * Compare incoming records with what is already stored
+ * @returns {Object} { current, merged, added, updated, unchanged, skipped, invalid }
+ */
+const diffSection = (section, currentValue, incomingValue) => {
+  const currentEntries = toEntries(section, currentValue);
+  const byKey = new Map(currentEntries.filter(([key]) => key != null));
+  const bySignature = section.signatureOf
+    ? new Map(currentEntries.map(([key, record]) => [section.signatureOf(record), key ?? record]))
+    : new Map();
+
+  const mergedByKey = new Map(currentEntries);
+  const added = [];
+  const updated = [];
+  const invalid = [];
+  let unchanged = 0;
+  let skipped = 0;
+  const seen = new Set();
+
+  toEntries(section, incomingValue).forEach(([incomingKey, record], index) => {
+    const problems = validateRecord(section, record);
+    if (problems.length > 0) {
+      invalid.push({ index, key: incomingKey, problems });
+      return;
+    }
+
+    // Match by key first, then by signature (same record saved under another id)
+    let matchKey = incomingKey != null && byKey.has(incomingKey) ? incomingKey : null;
+    if (matchKey === null && section.signatureOf) {
+      matchKey = bySignature.get(section.signatureOf(record)) ?? null;
+    }
+
+    const dedupeKey = matchKey ?? incomingKey ?? section.signatureOf?.(record);
+    if (seen.has(dedupeKey)) {
+      unchanged++; // Duplicate inside the backup itself
+      return;
+    }
+    seen.add(dedupeKey);
+
+    if (matchKey === null) {
+      added.push(record);
+      mergedByKey.set(incomingKey ?? `new-${index}`, record);
+      return;
+    }
+
+    const existing = mergedByKey.get(matchKey);
+    // Keep the stored id when the match was by signature
+    const incoming = matchKey !== incomingKey && section.shape === 'list' && 'id' in existing
+      ? { ...record, id: existing.id }
+      : record;
+
+    if (stableStringify(existing) === stableStringify(incoming) || section.immutable) {
+      unchanged++;
+      return;
+    }
+
+    const existingTime = section.versionOf ? toTime(section.versionOf(existing)) : null;
+    const incomingTime = section.versionOf ? toTime(section.versionOf(incoming)) : null;
+    const incomingIsNewer = existingTime === null || (incomingTime !== null && incomingTime > existingTime);
+
+    const merged = section.merge
+      ? section.merge(existing, incoming, incomingIsNewer)
+      : (incomingIsNewer ? incoming : existing);
+
+    if (stableStringify(merged) === stableStringify(existing)) {
+      skipped++; // The stored copy is newer
+      return;
+    }
+
+    updated.push({ key: matchKey, existing, incoming, merged });
+    mergedByKey.set(matchKey, merged);
+  });
+
+  return {
+    current: currentValue,
+    merged: fromEntries(section, [...mergedByKey.entries()]),
+    added,
+    updated,
+    unchanged,
+    skipped,
+    invalid,
+  };
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Collect all of the current user's data (guest or account)
+ * @returns {Promise} - { success, data: backup object }
+ */
+export const exportAccountData = async () => {
+  try {
+    const ctx = await getCurrentUser();
+    const data = {};
+
+    for (const name of BACKUP_SECTIONS) {
+      data[name] = await SECTIONS[name].load(ctx);
+    }
+
+    return {
+      success: true,
+      data: {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        source: ctx.isGuest ? 'guest' : 'account',
+        counts: Object.fromEntries(BACKUP_SECTIONS.map(name => [
+          name,
+          SECTIONS[name].shape === 'map' ? Object.keys(data[name]).length : data[name].length,
+        ])),
+        data,
+      },
+    };
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Export everything and download it as a dated .json file
+ * @returns {Promise} - { success, data: { fileName, counts } }
+ */
+export const downloadBackup = async () => {
+  const result = await exportAccountData();
+  if (!result.success) return result;
+
+  const fileName = `neural-capture-backup-${result.data.exportedAt.split('T')[0]}.json`;
+  const blob = new Blob([JSON.stringify(result.data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  return { success: true, data: { fileName, counts: result.data.counts } };
+};
+
+/**
+ * Dry run: validate a backup and work out what importing it would change.
+ * Nothing is written.
+ *
+ * @param {string|Object} input - Backup file contents or parsed JSON
+ * @returns {Promise} - { success, data: plan } where plan.sections[name] has
+ *                      added/updated arrays and unchanged/skipped/invalid counts
+ */
+export const previewImport = async (input) => {
+  const { backup, errors } = parseBackup(input);
+  if (!backup) {
+    return { success: false, error: errors.join(' ') };
+  }
+
+  try {
+    const ctx = await getCurrentUser();
+    const sections = {};
+
+    for (const name of BACKUP_SECTIONS) {
+      if (backup.data[name] === undefined) continue;
+      const current = await SECTIONS[name].load(ctx);
+      sections[name] = diffSection(SECTIONS[name], current, backup.data[name]);
+    }
+
+    const summary = Object.entries(sections).map(([name, diff]) => ({
+      name,
+      label: SECTIONS[name].label,
+      added: diff.added.length,
+      updated: diff.updated.length,
+      unchanged: diff.unchanged,
+      skipped: diff.skipped,
+      invalid: diff.invalid.length,
+    }));
+
+    return {
+      success: true,
+      data: {
+        userId: ctx.userId,
+        target: ctx.isGuest ? 'guest' : 'account',
+        backup: { exportedAt: backup.exportedAt, source: backup.source, version: backup.version },
+        sections,
+        summary,
+        totalChanges: summary.reduce((sum, s) => sum + s.added + s.updated, 0),
+      },
+    };
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Apply a plan returned by previewImport
+ * @param {Object} plan - previewImport().data
+ * @returns {Promise} - { success, data: { [section]: { added, updated } } }
+ */
+export const applyImport = async (plan) => {
+  try {
+    const ctx = await getCurrentUser();
+    if (ctx.userId !== plan.userId) {
+      throw new Error('You signed in or out since the preview. Preview the import again.');
+    }
+
+    const applied = {};
+    for (const [name, diff] of Object.entries(plan.sections)) {
+      if (diff.added.length === 0 && diff.updated.length === 0) continue;
+      await SECTIONS[name].write(ctx, diff.current, diff.merged, diff);
+      applied[name] = { added: diff.added.length, updated: diff.updated.length };
+    }
+
+    return { success: true, data: applied };
+  } catch (error) {
+    console.error('Error applying import:', error);
+    return { success: false, error: error.message };
+  }
+};
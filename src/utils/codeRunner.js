@@ -0,0 +1,252 @@
+/**
+ * CODE RUNNER
+ *
+ * Runs code practice answers in the browser so students can iterate against
+ * the visible test cases without an evaluation call per attempt:
+ * - JavaScript runs in a Web Worker
+ * - Python runs in the same worker through Pyodide (WASM)
+ *
+ * Results use the same shape as the server's /api/run-code sandbox so
+ * CodeEditor can render either one.
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const LOCAL_LANGUAGES = ['python', 'javascript'];
+
+const RUN_TIMEOUT_MS = 5000;   // Per test case, after the interpreter is loaded
+const LOAD_TIMEOUT_MS = 60000; // First Pyodide load downloads ~10MB
+
+// ============================================
+// WORKER MANAGEMENT
+// ============================================
+
+let worker = null;
+let messageId = 0;
+const pending = new Map();
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/codeRunner.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      const request = pending.get(event.data.id);
+      if (request) {
+        pending.delete(event.data.id);
+        request.resolve(event.data);
+      }
+    };
+    worker.onerror = (event) => {
+      resetWorker(new Error(event.message || 'Code runner crashed'));
+    };
+  }
+  return worker;
+};
+
+// Terminate the worker (kills runaway code) and fail anything still waiting on it
+const resetWorker = (reason) => {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  pending.forEach(request => request.reject(reason));
+  pending.clear();
+};
+
+const postToWorker = (message, timeoutMs) => new Promise((resolve, reject) => {
+  const id = ++messageId;
+  const timer = setTimeout(() => {
+    const error = new Error('timeout');
+    error.timedOut = true;
+    resetWorker(error);
+  }, timeoutMs);
+
+  pending.set(id, {
+    resolve: (data) => { clearTimeout(timer); resolve(data); },
+    reject: (error) => { clearTimeout(timer); reject(error); },
+  });
+  getWorker().postMessage({ id, ...message });
+});
+
+// ============================================
+// OUTPUT COMPARISON (mirrors server/sandbox.cjs)
+// ============================================
+
+const normalizeLanguage = (language = 'python') => {
+  const lang = String(language).toLowerCase();
+  if (lang === 'py' || lang === 'python3') return 'python';
+  if (lang === 'js' || lang === 'node') return 'javascript';
+  return lang;
+};
+
+/**
+ * Detect the function the test cases should call
+ * @returns {string|null} Function name, or null to run the code as a script
+ */
+export const detectEntryFunction = (code, language) => {
+  const patterns = {
+    python: [/^def\s+([A-Za-z_]\w*)\s*\(/m],
+    javascript: [
+      /^\s*(?:async\s+)?function\s+([A-Za-z_$][\w$]*)\s*\(/m,
+      /^\s*(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/m,
+    ],
+    r: [/^\s*([A-Za-z.][\w.]*)\s*(?:<-|=)\s*function\s*\(/m],
+  };
+
+  for (const pattern of patterns[normalizeLanguage(language)] || []) {
+    const match = code.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+};
+
+const normalizeOutputValue = (value) => {
+  let text = String(value ?? '').trim();
+  if (/^(['"]).*\1$/s.test(text)) text = text.slice(1, -1);
+  return text
+    .replace(/'/g, '"')
+    .replace(/\(/g, '[')
+    .replace(/\)/g, ']')
+    .replace(/\bTrue\b|\bTRUE\b/g, 'true')
+    .replace(/\bFalse\b|\bFALSE\b/g, 'false')
+    .replace(/\bNone\b|\bNULL\b|\bundefined\b/g, 'null')
+    .replace(/\s+/g, '');
+};
+
+const valuesMatch = (actual, expected) => {
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    return Math.abs(actual - expected) <= 1e-6 * Math.max(1, Math.abs(expected));
+  }
+  if (Array.isArray(actual) && Array.isArray(expected)) {
+    return actual.length === expected.length && actual.every((item, i) => valuesMatch(item, expected[i]));
+  }
+  if (actual && expected && typeof actual === 'object' && typeof expected === 'object') {
+    const keys = Object.keys(expected);
+    return keys.length === Object.keys(actual).length && keys.every(key => valuesMatch(actual[key], expected[key]));
+  }
+  return actual === expected;
+};
+
+/**
+ * Compare printed/returned output with a test case's expected output,
+ * ignoring Python/JS formatting differences and float rounding
+ */
+export const outputsMatch = (actualOutput, expectedOutput) => {
+  const actual = normalizeOutputValue(actualOutput);
+  const expected = normalizeOutputValue(expectedOutput);
+  if (actual === expected) return true;
+
+  try {
+    return valuesMatch(JSON.parse(actual), JSON.parse(expected));
+  } catch {
+    return false;
+  }
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Check whether a language can run in the browser (otherwise use the server sandbox)
+ * @param {string} language - Programming language
+ * @returns {boolean}
+ */
+export const canRunLocally = (language) => {
+  return typeof Worker !== 'undefined' && LOCAL_LANGUAGES.includes(normalizeLanguage(language));
+};
+
+/**
+ * Stop a running execution (terminates the worker)
+ */
+export const cancelLocalRun = () => {
+  resetWorker(new Error('Run cancelled'));
+};
+
+/**
+ * Run code in the browser against test cases
+ * @param {string} code - The code to execute
+ * @param {string} language - python or javascript
+ * @param {Array} testCases - Test cases with input and expectedOutput
+ * @param {Object} options
+ * @param {Function} options.onStatus - Called with 'loading' | 'running' as the run progresses
+ * @returns {Promise} - { success, data } where data matches the /api/run-code result shape
+ */
+export const runCodeLocally = async (code, language = 'python', testCases = [], { onStatus } = {}) => {
+  const lang = normalizeLanguage(language);
+  if (!canRunLocally(lang)) {
+    return { success: false, error: `${language} cannot run in the browser` };
+  }
+
+  // Without test cases, run the whole file as a script and show what it prints
+  const hasTests = testCases && testCases.length > 0;
+  const entry = hasTests ? detectEntryFunction(code, lang) : null;
+  const cases = hasTests ? testCases : [{ input: '', expectedOutput: null }];
+
+  try {
+    onStatus?.('loading');
+    await postToWorker({ type: 'load', language: lang }, LOAD_TIMEOUT_MS);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.timedOut
+        ? 'Loading the Python runtime timed out. Check your connection and try again.'
+        : error.message,
+    };
+  }
+
+  onStatus?.('running');
+  const tests = [];
+
+  for (const testCase of cases) {
+    const startedAt = performance.now();
+    let response;
+    let timedOut = false;
+
+    try {
+      response = await postToWorker({
+        type: 'run',
+        language: lang,
+        code,
+        input: String(testCase.input ?? '').trim(),
+        entry,
+      }, RUN_TIMEOUT_MS);
+    } catch (error) {
+      if (!error.timedOut) {
+        return { success: false, error: error.message };
+      }
+      timedOut = true;
+      response = { ok: false, error: `Time limit exceeded (${RUN_TIMEOUT_MS / 1000}s)`, stdout: '', stderr: '' };
+    }
+
+    const hasExpected = testCase.expectedOutput !== null && testCase.expectedOutput !== undefined;
+    const error = response.ok ? null : response.error;
+
+    tests.push({
+      input: testCase.input,
+      expectedOutput: testCase.expectedOutput,
+      actualOutput: response.ok ? response.value : null,
+      passed: hasExpected ? !error && outputsMatch(response.value, testCase.expectedOutput) : null,
+      stdout: response.stdout,
+      stderr: response.stderr,
+      error,
+      timedOut,
+      timeMs: Math.round(performance.now() - startedAt),
+    });
+  }
+
+  const graded = tests.filter(t => t.passed !== null);
+  return {
+    success: true,
+    data: {
+      available: true,
+      local: true,
+      language: lang,
+      entry,
+      tests,
+      passed: graded.filter(t => t.passed).length,
+      total: graded.length,
+    },
+  };
+};
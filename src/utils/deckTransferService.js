@@ -0,0 +1,473 @@
+/**
+ * DECK TRANSFER SERVICE
+ *
+ * Moves flashcard decks in and out of the app:
+ * - Export any deck (or all decks) to Anki .apkg, CSV or TSV, with scheduling state
+ * - Import Anki packages (.apkg / .colpkg) and CSV/TSV files, including
+ *   Anki's own "Notes in Plain Text" export
+ * - Imported deck names are matched onto the subject catalogue
+ *   (e.g. "Uni::Statistics::Hypothesis Testing" -> Statistics / Hypothesis Testing)
+ *
+ * Imports merge into existing decks with the same subject and topic.
+ * Card text keeps $ / $$ KaTeX math (see ankiPackage.js for the Anki conversion).
+ */
+
+import { readAnkiPackage, writeAnkiPackage, ankiHtmlToText } from './ankiPackage';
+import {
+  getAllDecksWithProgress,
+  getDeck,
+  saveDeck,
+  importCardProgress,
+} from './flashcardService';
+import { getReviewLog, appendReviewLogBatch } from './reviewLogService';
+import { saveResource } from './resourceService';
+import { getAllSubjects } from '../data/subjectCatalogue';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const EXPORT_FORMATS = {
+  apkg: { label: 'Anki (.apkg)', extension: 'apkg', mimeType: 'application/octet-stream' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values' },
+};
+
+export const IMPORT_ACCEPT = '.apkg,.colpkg,.csv,.tsv,.txt';
+
+// Parent deck for exports, so they land in one place in Anki
+const ANKI_PARENT_DECK = 'Neural Capture';
+
+const CSV_COLUMNS = [
+  'id', 'subject', 'topic', 'type', 'front', 'back', 'hint',
+  'scheduler', 'ease_factor', 'interval_days', 'repetitions', 'lapses', 'state',
+  'stability', 'difficulty', 'next_review', 'last_reviewed',
+];
+
+// Header names other tools use for the same columns
+const CSV_ALIASES = {
+  front: ['front', 'question', 'term', 'prompt', 'text'],
+  back: ['back', 'answer', 'definition', 'response', 'back extra'],
+  hint: ['hint', 'extra', 'notes'],
+  subject: ['subject', 'deck'],
+};
+
+// Anki plain-text export header: #separator:tab
+const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', colon: ':', space: ' ' };
+
+const CARD_TYPES = ['formula', 'definition', 'concept', 'theorem'];
+
+// ============================================
+// DELIMITED TEXT
+// ============================================
+
+/**
+ * Parse CSV/TSV text (RFC 4180 quoting)
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Serialise rows to CSV/TSV, quoting cells that need it
+ */
+export const toDelimited = (rows, delimiter) => rows
+  .map(cells => cells.map(value => {
+    const text = value == null ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(delimiter))
+  .join('\r\n');
+
+// ============================================
+// SUBJECT CATALOGUE MATCHING
+// ============================================
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Map an imported deck name onto a catalogue subject and topic
+ * @param {string} deckName - e.g. "Uni::Statistics::Hypothesis Testing"
+ * @returns {Object} { subject: subjectKey | null, topic }
+ */
+export const matchDeckToCatalogue = (deckName) => {
+  const subjects = getAllSubjects();
+  const segments = String(deckName || '')
+    .split('::')
+    .map(segment => segment.trim())
+    .filter(segment => segment && segment !== ANKI_PARENT_DECK);
+
+  const findTopic = (subjectKey, names) => {
+    const topics = subjects[subjectKey]?.topics || [];
+    for (const name of names) {
+      const match = topics.find(topic => normalize(topic.name) === normalize(name) || normalize(topic.id) === normalize(name));
+      if (match) return match.name;
+    }
+    return null;
+  };
+
+  // A segment names a subject: the rest is the topic
+  for (let i = 0; i < segments.length; i++) {
+    const subjectKey = Object.keys(subjects).find(key => (
+      normalize(key) === normalize(segments[i]) || normalize(subjects[key].name) === normalize(segments[i])
+    ));
+    if (subjectKey) {
+      const rest = segments.slice(i + 1);
+      return {
+        subject: subjectKey,
+        topic: findTopic(subjectKey, rest) || rest.join(' / ') || 'General',
+      };
+    }
+  }
+
+  // Otherwise a segment may name a topic of some subject
+  for (const subjectKey of Object.keys(subjects)) {
+    const topic = findTopic(subjectKey, [...segments].reverse());
+    if (topic) return { subject: subjectKey, topic };
+  }
+
+  return { subject: null, topic: segments[segments.length - 1] || 'Imported' };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+
+const downloadFile = (data, fileName, mimeType) => {
+  const blob = new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'deck';
+
+const progressToCsv = (progress) => [
+  progress?.scheduler || '',
+  progress?.easeFactor ?? '',
+  progress?.intervalDays ?? '',
+  progress?.repetitions ?? '',
+  progress?.lapses ?? '',
+  progress?.state || '',
+  progress?.stability ?? '',
+  progress?.difficulty ?? '',
+  progress?.lastReviewed ? progress.nextReview || '' : '',
+  progress?.lastReviewed || '',
+];
+
+/**
+ * Export one deck or every deck
+ * @param {string} deckId - Deck ID, or 'all'
+ * @param {string} format - 'apkg' | 'csv' | 'tsv'
+ * @returns {Promise} - { success, data: { fileName, decks, cards } }
+ */
+export const exportDecks = async (deckId, format) => {
+  try {
+    const config = EXPORT_FORMATS[format];
+    if (!config) throw new Error(`Unknown export format: ${format}`);
+
+    const { data: allDecks, success, error } = await getAllDecksWithProgress();
+    if (!success) throw new Error(error);
+
+    const selected = deckId === 'all' ? allDecks : allDecks.filter(({ deck }) => deck.id === deckId);
+    if (selected.length === 0) throw new Error('No decks to export');
+
+    const subjects = getAllSubjects();
+    const cardCount = selected.reduce((sum, { deck }) => sum + (deck.cards?.length || 0), 0);
+    const baseName = selected.length === 1
+      ? `${slugify(selected[0].deck.subject)}-${slugify(selected[0].deck.topic)}`
+      : 'neural-capture-decks';
+    const fileName = `${baseName}.${config.extension}`;
+
+    if (format === 'apkg') {
+      const { data: log } = await getReviewLog({ itemType: 'flashcard' });
+      const bytes = await writeAnkiPackage(selected.map(({ deck, progress }) => ({
+        key: deck.id,
+        name: [ANKI_PARENT_DECK, subjects[deck.subject]?.name || deck.subject, deck.topic].join('::'),
+        cards: deck.cards || [],
+        progress,
+        reviews: (log || []).filter(entry => entry.deckId === deck.id),
+      })));
+      downloadFile(bytes, fileName, config.mimeType);
+    } else {
+      const delimiter = format === 'tsv' ? '\t' : ',';
+      const rows = [CSV_COLUMNS];
+      selected.forEach(({ deck, progress }) => {
+        (deck.cards || []).forEach(card => {
+          rows.push([
+            card.id,
+            deck.subject,
+            deck.topic,
+            card.type || '',
+            card.front,
+            card.back,
+            card.hint || '',
+            ...progressToCsv(progress[card.id]),
+          ]);
+        });
+      });
+      downloadFile(toDelimited(rows, delimiter), fileName, config.mimeType);
+    }
+
+    return { success: true, data: { fileName, decks: selected.length, cards: cardCount } };
+  } catch (error) {
+    console.error('Error exporting decks:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// ============================================
+// IMPORT: PARSING
+// ============================================
+
+const isHtml = (text) => /<(br|div|p|span|b|i|u|img|li)\b[^>]*>|&nbsp;/i.test(text);
+
+const toNumber = (value) => {
+  if (value === '' || value == null) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const csvProgress = (get) => {
+  const lastReviewed = get('last_reviewed');
+  if (!lastReviewed || Number.isNaN(Date.parse(lastReviewed))) return null;
+
+  const nextReview = get('next_review');
+  return {
+    scheduler: get('scheduler') || 'sm2',
+    easeFactor: toNumber(get('ease_factor')) || 2.5,
+    intervalDays: toNumber(get('interval_days')) || 1,
+    repetitions: toNumber(get('repetitions')) || 0,
+    lapses: toNumber(get('lapses')) || 0,
+    state: get('state') || 'review',
+    stability: toNumber(get('stability')),
+    difficulty: toNumber(get('difficulty')),
+    nextReview: nextReview && !Number.isNaN(Date.parse(nextReview)) ? new Date(nextReview).toISOString() : new Date().toISOString(),
+    lastReviewed: new Date(lastReviewed).toISOString(),
+  };
+};
+
+/**
+ * Parse CSV/TSV (our export, Anki's plain-text export, or a plain front/back sheet)
+ */
+const readDelimitedFile = (text, fileName) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  // Anki writes "#key:value" header lines
+  const headers = {};
+  while (lines.length > 0 && lines[0].startsWith('#')) {
+    const [key, ...value] = lines.shift().slice(1).split(':');
+    headers[key.trim().toLowerCase()] = value.join(':').trim();
+  }
+
+  const body = lines.join('\n');
+  const firstLine = lines.find(line => line.trim()) || '';
+  const delimiter = ANKI_SEPARATORS[headers.separator?.toLowerCase()]
+    || headers.separator
+    || (/\.tsv$/i.test(fileName) || firstLine.includes('\t') ? '\t' : ',');
+
+  const rows = parseDelimited(body, delimiter);
+  if (rows.length === 0) throw new Error('The file has no rows');
+
+  // Header row if it names a front/back column
+  const headerRow = rows[0].map(cell => cell.trim().toLowerCase());
+  const columnIndex = {};
+  const hasHeader = CSV_ALIASES.front.some(name => headerRow.includes(name));
+  if (hasHeader) {
+    CSV_COLUMNS.forEach(column => {
+      const names = CSV_ALIASES[column] || [column];
+      const index = headerRow.findIndex(cell => names.includes(cell));
+      if (index >= 0) columnIndex[column] = index;
+    });
+    rows.shift();
+  } else {
+    // Anki marks its extra columns with "#guid column:1" etc. (1-based)
+    const reserved = new Set(['guid', 'notetype', 'deck', 'tags']
+      .map(name => Number(headers[`${name} column`]) - 1)
+      .filter(index => index >= 0));
+    const fieldColumns = rows[0].map((_, index) => index).filter(index => !reserved.has(index));
+    [columnIndex.front, columnIndex.back, columnIndex.hint] = fieldColumns;
+    if (headers['deck column']) columnIndex.subject = Number(headers['deck column']) - 1;
+  }
+
+  const fallbackName = headers.deck || fileName.replace(/\.[^.]+$/, '');
+  const html = headers.html === 'true';
+  const decks = new Map();
+  let skipped = 0;
+
+  rows.forEach((cells, rowIndex) => {
+    const get = (column) => (columnIndex[column] != null ? (cells[columnIndex[column]] || '').trim() : '');
+    const clean = (value) => (html || isHtml(value) ? ankiHtmlToText(value) : value.replace(/\\n/g, '\n'));
+
+    const front = clean(get('front'));
+    const back = clean(get('back'));
+    if (!front || !back) {
+      skipped++;
+      return;
+    }
+
+    // Our own export carries subject/topic per row; otherwise one deck per file
+    const subjectCell = get('subject');
+    const topicCell = get('topic');
+    const deckName = subjectCell && topicCell ? `${subjectCell}::${topicCell}` : (subjectCell || fallbackName);
+    if (!decks.has(deckName)) decks.set(deckName, { name: deckName, cards: [], progress: {}, reviews: [] });
+    const deck = decks.get(deckName);
+
+    const type = get('type').toLowerCase();
+    const id = get('id') || `import-${Date.now().toString(36)}-${rowIndex}`;
+    deck.cards.push({
+      id,
+      type: CARD_TYPES.includes(type) ? type : 'concept',
+      front,
+      back,
+      hint: clean(get('hint')) || null,
+    });
+
+    const progress = csvProgress(get);
+    if (progress) deck.progress[id] = progress;
+  });
+
+  return { decks: [...decks.values()], skipped };
+};
+
+/**
+ * Read an import file and propose where each deck goes. Nothing is saved.
+ * @param {File} file - .apkg, .colpkg, .csv, .tsv or .txt
+ * @returns {Promise} - { success, data: { format, skipped,
+ *   decks: [{ name, subject, topic, cards, progress, reviews, scheduledCount }] } }
+ */
+export const readDeckFile = async (file) => {
+  try {
+    const isAnki = /\.(apkg|colpkg)$/i.test(file.name);
+    const { decks, skipped = 0 } = isAnki
+      ? await readAnkiPackage(await file.arrayBuffer())
+      : readDelimitedFile(await file.text(), file.name);
+
+    const withCards = decks.filter(deck => deck.cards.length > 0);
+    if (withCards.length === 0) throw new Error('No cards found in this file');
+
+    return {
+      success: true,
+      data: {
+        format: isAnki ? 'apkg' : 'csv',
+        skipped,
+        decks: withCards.map(deck => ({
+          ...deck,
+          ...matchDeckToCatalogue(deck.name),
+          scheduledCount: Object.keys(deck.progress).length,
+        })),
+      },
+    };
+  } catch (error) {
+    console.error('Error reading deck file:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// ============================================
+// IMPORT: SAVING
+// ============================================
+
+/**
+ * Save previewed decks. Cards merge into an existing deck with the same
+ * subject/topic: matching IDs are updated, new fronts are added, duplicates skipped.
+ * @param {Array<Object>} decks - From readDeckFile, with subject/topic confirmed
+ * @returns {Promise} - { success, data: { decks, cards, skipped, scheduled, reviews } }
+ */
+export const importDecks = async (decks) => {
+  const totals = { decks: 0, cards: 0, skipped: 0, scheduled: 0, reviews: 0 };
+
+  try {
+    for (const imported of decks) {
+      if (!imported.subject || !imported.topic?.trim()) continue;
+      const topic = imported.topic.trim();
+
+      const { data: existing } = await getDeck(imported.subject, topic);
+      const existingCards = existing?.cards || [];
+      const existingIds = new Set(existingCards.map(card => card.id));
+      const existingFronts = new Set(existingCards.map(card => normalize(card.front)));
+
+      const updates = new Map(imported.cards.filter(card => existingIds.has(card.id)).map(card => [card.id, card]));
+      const added = imported.cards.filter(card => !existingIds.has(card.id) && !existingFronts.has(normalize(card.front)));
+      totals.skipped += imported.cards.length - updates.size - added.length;
+
+      const cards = [...existingCards.map(card => updates.get(card.id) || card), ...added];
+      const saved = await saveDeck(imported.subject, topic, cards);
+      if (!saved.success) throw new Error(saved.error);
+      const deckId = saved.data.id;
+
+      const keptIds = new Set([...updates.keys(), ...added.map(card => card.id)]);
+      const progress = Object.fromEntries(Object.entries(imported.progress || {}).filter(([cardId]) => keptIds.has(cardId)));
+      if (Object.keys(progress).length > 0) {
+        const result = await importCardProgress(deckId, progress);
+        if (!result.success) throw new Error(result.error);
+      }
+
+      // Only new cards bring history - re-importing mustn't duplicate reviews
+      const addedIds = new Set(added.map(card => card.id));
+      const reviews = (imported.reviews || [])
+        .filter(review => addedIds.has(review.itemId))
+        .map(review => ({ ...review, itemType: 'flashcard', deckId, subject: imported.subject, topic }));
+      if (reviews.length > 0) await appendReviewLogBatch(reviews);
+
+      await saveResource('flashcard_deck', imported.subject, topic, `${topic} Flashcards`, {
+        cards,
+        cardCount: cards.length,
+        generatedAt: existing?.createdAt || existing?.created_at || new Date().toISOString(),
+      });
+
+      totals.decks++;
+      totals.cards += added.length + updates.size;
+      totals.scheduled += Object.keys(progress).length;
+      totals.reviews += reviews.length;
+    }
+
+    return { success: true, data: totals };
+  } catch (error) {
+    console.error('Error importing decks:', error);
+    return { success: false, error: error.message, data: totals };
+  }
+};
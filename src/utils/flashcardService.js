@@ -3,7 +3,7 @@
  * 
  * Handles all data operations for the flashcard system:
  * - Deck storage and retrieval
- * - Spaced repetition (SM-2 algorithm)
+ * - Spaced repetition (SM-2 or FSRS per user, see schedulers.js)
  * - Progress tracking
  * 
  * Supports both:
@@ -12,20 +12,44 @@
  */
 
 import { supabase } from '../supabaseClient';
+import {
+  SCHEDULERS,
+  DEFAULT_SCHEDULER,
+  DEFAULT_EASE_FACTOR,
+  getScheduler,
+  scheduleReview,
+} from './schedulers';
+import {
+  DEFAULT_FSRS_PARAMS,
+  DEFAULT_DESIRED_RETENTION,
+  MIN_REVIEWS_FOR_OPTIMISATION,
+  buildHistories,
+  optimiseParams,
+} from './fsrs';
+import { appendReviewLog, getReviewLog } from './reviewLogService';
+import { apiFetch, FRESH_RESPONSE_HEADERS } from './apiService';
 
 // ============================================
 // CONSTANTS
 // ============================================
 
-const API_BASE_URL = '';
-
 // localStorage keys for guest mode
 const GUEST_DECKS_KEY = 'flashcard-decks';
 const GUEST_PROGRESS_KEY = 'flashcard-progress';
 
-// SM-2 Algorithm defaults
-const DEFAULT_EASE_FACTOR = 2.5;
-const MIN_EASE_FACTOR = 1.3;
+// Scheduler settings (SM-2 or FSRS, per user)
+const GUEST_SCHEDULER_KEY = 'flashcard-scheduler-settings';
+const PROGRESS_BATCH_SIZE = 100;
+
+// Review queue (all decks)
+const REVIEW_LIMITS_KEY = 'flashcard-review-limits';
+const DAILY_COUNTS_KEY = 'flashcard-daily-counts';
+const DEFAULT_REVIEW_LIMITS = {
+  newCardsPerDay: 20,
+  reviewsPerDay: 200,
+};
+const FORECAST_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // ============================================
 // AUTH HELPERS
@@ -86,6 +110,26 @@ const saveGuestProgress = (progress) => {
   }
 };
 
+// ============================================
+// CHANGE LISTENERS
+// ============================================
+
+const queueListeners = new Set();
+
+const notifyReviewQueueChange = () => {
+  queueListeners.forEach(listener => listener());
+};
+
+/**
+ * Subscribe to changes that affect the review queue (reviews, new or deleted decks)
+ * @param {Function} listener - Called with no arguments after each change
+ * @returns {Function} Unsubscribe
+ */
+export const onReviewQueueChange = (listener) => {
+  queueListeners.add(listener);
+  return () => queueListeners.delete(listener);
+};
+
 // ============================================
 // API FUNCTIONS
 // ============================================
@@ -95,19 +139,20 @@ const saveGuestProgress = (progress) => {
  * @param {string} subject - The subject area
  * @param {string} topic - The specific topic
  * @param {string} topicDescription - Optional description
+ * @param {Object|null} branch - Optional mind map branch to limit the cards to:
+ *                               { label, concepts: [{ label, summary }] }
+ * @param {Object} options - Optional { fresh } to skip the server's cached cards (regenerate)
  * @returns {Promise} - Generated cards
  */
-export const generateFlashcards = async (subject, topic, topicDescription = '') => {
+export const generateFlashcards = async (subject, topic, topicDescription = '', branch = null, { fresh = false } = {}) => {
   try {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
 
-    const response = await fetch(`${API_BASE_URL}/api/generate-flashcards`, {
+    const response = await apiFetch('/api/generate-flashcards', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ subject, topic, topicDescription }),
+      body: JSON.stringify({ subject, topic, topicDescription, branch }),
+      headers: fresh ? FRESH_RESPONSE_HEADERS : {},
       signal: controller.signal,
     });
 
@@ -166,6 +211,7 @@ export const saveDeck = async (subject, topic, cards) => {
       
       decks[key] = deck;
       saveGuestDecks(decks);
+      notifyReviewQueueChange();
       
       return { success: true, data: deck };
     }
@@ -184,6 +230,7 @@ export const saveDeck = async (subject, topic, cards) => {
       .single();
 
     if (error) throw error;
+    notifyReviewQueueChange();
     return { success: true, data };
   } catch (error) {
     console.error('Error saving deck:', error);
@@ -191,6 +238,46 @@ export const saveDeck = async (subject, topic, cards) => {
   }
 };
 
+/**
+ * Add cards to a topic's deck (creating it if needed). Cards get fresh IDs so they
+ * can't collide with existing ones; cards whose front is already in the deck are skipped.
+ * @param {string} subject - Subject area
+ * @param {string} topic - Topic name
+ * @param {Array} cards - Cards to add
+ * @returns {Promise} - { success, data: { deck, added, skipped } }
+ */
+export const addCardsToDeck = async (subject, topic, cards) => {
+  try {
+    const normalizeFront = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    const { data: existing, error } = await getDeck(subject, topic);
+    if (error) throw new Error(error);
+
+    const existingCards = existing?.cards || [];
+    const fronts = new Set(existingCards.map(card => normalizeFront(card.front)));
+    const batchId = Date.now().toString(36);
+    const added = [];
+    cards.forEach(card => {
+      const front = normalizeFront(card.front);
+      if (!front || fronts.has(front)) return;
+      fronts.add(front);
+      added.push({ ...card, id: `card-${batchId}-${added.length + 1}` });
+    });
+
+    if (added.length === 0) {
+      return { success: true, data: { deck: existing, added: 0, skipped: cards.length } };
+    }
+
+    const saved = await saveDeck(subject, topic, [...existingCards, ...added]);
+    if (!saved.success) throw new Error(saved.error);
+
+    return { success: true, data: { deck: saved.data, added: added.length, skipped: cards.length - added.length } };
+  } catch (error) {
+    console.error('Error adding cards to deck:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Get a flashcard deck for a specific subject/topic
  * @param {string} subject - Subject area
@@ -254,6 +341,7 @@ export const deleteDeck = async (subject, topic) => {
         }
       });
       saveGuestProgress(progress);
+      notifyReviewQueueChange();
       
       return { success: true };
     }
@@ -283,6 +371,7 @@ export const deleteDeck = async (subject, topic) => {
       if (error) throw error;
     }
 
+    notifyReviewQueueChange();
     return { success: true };
   } catch (error) {
     console.error('Error deleting deck:', error);
@@ -291,9 +380,176 @@ export const deleteDeck = async (subject, topic) => {
 };
 
 // ============================================
-// PROGRESS OPERATIONS (SM-2 ALGORITHM)
+// SCHEDULER SETTINGS
+// ============================================
+
+// Settings are read on every review - cache them per user
+let cachedSettings = null;
+
+const normalizeSettings = (settings = {}) => ({
+  scheduler: SCHEDULERS[settings.scheduler] ? settings.scheduler : DEFAULT_SCHEDULER,
+  desiredRetention: settings.desiredRetention || DEFAULT_DESIRED_RETENTION,
+  fsrsParams: Array.isArray(settings.fsrsParams) && settings.fsrsParams.length === DEFAULT_FSRS_PARAMS.length
+    ? settings.fsrsParams
+    : null,
+  optimizedAt: settings.optimizedAt || null,
+  optimizedReviewCount: settings.optimizedReviewCount || 0,
+});
+
+/**
+ * Get the user's scheduler settings
+ * @returns {Promise} - { success, data: { scheduler, desiredRetention, fsrsParams, optimizedAt, optimizedReviewCount } }
+ */
+export const getSchedulerSettings = async () => {
+  try {
+    const { userId, isGuest } = await getCurrentUser();
+
+    if (cachedSettings?.userId === userId) {
+      return { success: true, data: cachedSettings.settings };
+    }
+
+    let settings;
+    if (isGuest) {
+      const stored = localStorage.getItem(GUEST_SCHEDULER_KEY);
+      settings = normalizeSettings(stored ? JSON.parse(stored) : {});
+    } else {
+      const { data, error } = await supabase
+        .from('flashcard_scheduler_settings')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      settings = normalizeSettings(data ? {
+        scheduler: data.scheduler,
+        desiredRetention: data.desired_retention,
+        fsrsParams: data.fsrs_params,
+        optimizedAt: data.optimized_at,
+        optimizedReviewCount: data.optimized_review_count,
+      } : {});
+    }
+
+    cachedSettings = { userId, settings };
+    return { success: true, data: settings };
+  } catch (error) {
+    console.error('Error getting scheduler settings:', error);
+    return { success: false, error: error.message, data: normalizeSettings() };
+  }
+};
+
+/**
+ * Update the user's scheduler settings.
+ * Switching scheduler converts existing progress (see migrateProgressToScheduler).
+ * @param {Object} updates - Any of { scheduler, desiredRetention, fsrsParams, optimizedAt, optimizedReviewCount }
+ * @returns {Promise} - { success, data: settings, migrated }
+ */
+export const saveSchedulerSettings = async (updates) => {
+  try {
+    const { userId, isGuest } = await getCurrentUser();
+    const { data: current } = await getSchedulerSettings();
+    const settings = normalizeSettings({ ...current, ...updates });
+
+    if (isGuest) {
+      localStorage.setItem(GUEST_SCHEDULER_KEY, JSON.stringify(settings));
+    } else {
+      const { error } = await supabase
+        .from('flashcard_scheduler_settings')
+        .upsert({
+          user_id: userId,
+          scheduler: settings.scheduler,
+          desired_retention: settings.desiredRetention,
+          fsrs_params: settings.fsrsParams,
+          optimized_at: settings.optimizedAt,
+          optimized_review_count: settings.optimizedReviewCount,
+        }, { onConflict: 'user_id' });
+
+      if (error) throw error;
+    }
+
+    cachedSettings = { userId, settings };
+
+    let migrated = 0;
+    if (settings.scheduler !== current.scheduler) {
+      const result = await migrateProgressToScheduler(settings.scheduler);
+      if (!result.success) throw new Error(result.error);
+      migrated = result.migrated;
+    }
+
+    notifyReviewQueueChange();
+    return { success: true, data: settings, migrated };
+  } catch (error) {
+    console.error('Error saving scheduler settings:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Fit FSRS parameters to the user's own review log and save them
+ * @returns {Promise} - { success, data: { params, lossBefore, lossAfter, reviewCount } }
+ */
+export const optimizeSchedulerParams = async () => {
+  try {
+    const { data: log, success, error } = await getReviewLog({ itemType: 'flashcard' });
+    if (!success) throw new Error(error);
+
+    const histories = buildHistories(log.filter(entry => entry.rating >= 1 && entry.rating <= 4));
+    const reviewCount = histories.reduce((sum, reviews) => sum + Math.max(0, reviews.length - 1), 0);
+
+    if (reviewCount < MIN_REVIEWS_FOR_OPTIMISATION) {
+      return {
+        success: false,
+        error: `Need at least ${MIN_REVIEWS_FOR_OPTIMISATION} repeat reviews to optimise (you have ${reviewCount}).`,
+      };
+    }
+
+    const { data: current } = await getSchedulerSettings();
+    const result = optimiseParams(histories, { initialParams: current.fsrsParams || DEFAULT_FSRS_PARAMS });
+
+    const saved = await saveSchedulerSettings({
+      fsrsParams: result.params,
+      optimizedAt: new Date().toISOString(),
+      optimizedReviewCount: result.reviewCount,
+    });
+    if (!saved.success) throw new Error(saved.error);
+
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Error optimising scheduler parameters:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// ============================================
+// PROGRESS OPERATIONS (SCHEDULER)
 // ============================================
 
+// Row <-> progress mapping (also used by backupService)
+export const progressFromRow = (row) => ({
+  scheduler: row.scheduler || 'sm2',
+  easeFactor: row.ease_factor,
+  intervalDays: row.interval_days,
+  repetitions: row.repetitions,
+  nextReview: row.next_review,
+  lastReviewed: row.last_reviewed,
+  stability: row.stability ?? null,
+  difficulty: row.difficulty ?? null,
+  lapses: row.lapses || 0,
+  state: row.state || null,
+});
+
+export const progressToRow = (progress) => ({
+  scheduler: progress.scheduler || 'sm2',
+  ease_factor: progress.easeFactor,
+  interval_days: progress.intervalDays,
+  repetitions: progress.repetitions,
+  next_review: progress.nextReview,
+  last_reviewed: progress.lastReviewed,
+  stability: progress.stability ?? null,
+  difficulty: progress.difficulty ?? null,
+  lapses: progress.lapses || 0,
+  state: progress.state || null,
+});
+
 /**
  * Get progress for a specific card
  * @param {string} deckId - Deck ID
@@ -339,16 +595,7 @@ export const getCardProgress = async (deckId, cardId) => {
 
     if (error) throw error;
     
-    return {
-      success: true,
-      data: {
-        easeFactor: data.ease_factor,
-        intervalDays: data.interval_days,
-        repetitions: data.repetitions,
-        nextReview: data.next_review,
-        lastReviewed: data.last_reviewed,
-      }
-    };
+    return { success: true, data: progressFromRow(data) };
   } catch (error) {
     console.error('Error getting card progress:', error);
     return { success: false, error: error.message };
@@ -356,105 +603,125 @@ export const getCardProgress = async (deckId, cardId) => {
 };
 
 /**
- * Update card progress using SM-2 algorithm
+ * Update card progress with the user's scheduler (SM-2 or FSRS, see schedulers.js)
+ * and append the review to the review log
  * @param {string} deckId - Deck ID
  * @param {string} cardId - Card ID within the deck
  * @param {number} quality - Rating 0-5 (0=complete fail, 5=perfect)
+ * @param {Object} context - Optional { subject, topic } recorded in the review log
  * @returns {Promise} - Updated progress
- * 
- * SM-2 Algorithm:
- * - quality >= 3 (correct):
- *   - if repetitions == 0: interval = 1 day
- *   - else if repetitions == 1: interval = 6 days
- *   - else: interval = previous_interval * ease_factor
- *   - ease_factor = ease_factor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
- *   - if ease_factor < 1.3: ease_factor = 1.3
- *   - repetitions += 1
- * - quality < 3 (incorrect):
- *   - repetitions = 0
- *   - interval = 1 day
  */
-export const updateCardProgress = async (deckId, cardId, quality) => {
+export const updateCardProgress = async (deckId, cardId, quality, context = {}) => {
   try {
     const { userId, isGuest } = await getCurrentUser();
     
     // Get current progress
     const { data: currentProgress } = await getCardProgress(deckId, cardId);
-    
-    let easeFactor = currentProgress?.easeFactor || DEFAULT_EASE_FACTOR;
-    let intervalDays = currentProgress?.intervalDays || 0;
-    let repetitions = currentProgress?.repetitions || 0;
+    const { data: settings } = await getSchedulerSettings();
+    const isNewCard = !currentProgress?.lastReviewed;
 
     const now = new Date();
+    const { progress: progressUpdate, log } = scheduleReview(
+      settings.scheduler,
+      currentProgress,
+      quality,
+      now,
+      settings
+    );
 
-    if (quality >= 3) {
-      // Correct answer
-      if (repetitions === 0) {
-        intervalDays = 1;
-      } else if (repetitions === 1) {
-        intervalDays = 6;
-      } else {
-        intervalDays = Math.round(intervalDays * easeFactor);
-      }
-      
-      // Update ease factor
-      easeFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
-      if (easeFactor < MIN_EASE_FACTOR) {
-        easeFactor = MIN_EASE_FACTOR;
+    if (isGuest) {
+      const allProgress = getGuestProgress();
+      if (!allProgress[deckId]) {
+        allProgress[deckId] = {};
       }
-      
-      repetitions += 1;
+      allProgress[deckId][cardId] = progressUpdate;
+      saveGuestProgress(allProgress);
     } else {
-      // Incorrect answer - reset
-      repetitions = 0;
-      intervalDays = 1;
-      // Don't reduce ease factor below minimum on failure
-      easeFactor = Math.max(easeFactor - 0.2, MIN_EASE_FACTOR);
+      // Supabase upsert for authenticated users
+      const { error } = await supabase
+        .from('flashcard_progress')
+        .upsert({
+          user_id: userId,
+          deck_id: deckId,
+          card_id: cardId,
+          ...progressToRow(progressUpdate),
+        }, { onConflict: 'user_id,deck_id,card_id' });
+
+      if (error) throw error;
     }
 
-    // Calculate next review date
-    const nextReview = new Date(now.getTime() + intervalDays * 24 * 60 * 60 * 1000);
+    recordDailyReview(userId, isNewCard);
+    // The log only feeds optimisation - a failed write must not fail the review
+    appendReviewLog({
+      ...log,
+      deckId,
+      itemId: cardId,
+      subject: context.subject,
+      topic: context.topic,
+      timeTaken: context.timeTaken,
+      reviewedAt: now.toISOString(),
+    });
+    
+    return { success: true, data: progressUpdate };
+  } catch (error) {
+    console.error('Error updating card progress:', error);
+    return { success: false, error: error.message };
+  }
+};
 
-    const progressUpdate = {
-      easeFactor,
-      intervalDays,
-      repetitions,
-      nextReview: nextReview.toISOString(),
-      lastReviewed: now.toISOString(),
-    };
+/**
+ * Convert every card's progress to another scheduler.
+ * SM-2 -> FSRS seeds stability/difficulty from interval/ease; FSRS -> SM-2
+ * keeps the intervals FSRS last set. Due dates are not moved.
+ * @param {string} schedulerId - 'sm2' | 'fsrs'
+ * @returns {Promise} - { success, migrated }
+ */
+export const migrateProgressToScheduler = async (schedulerId) => {
+  try {
+    const { userId, isGuest } = await getCurrentUser();
+    const scheduler = getScheduler(schedulerId);
+    const { data: settings } = await getSchedulerSettings();
+    let migrated = 0;
 
     if (isGuest) {
       const allProgress = getGuestProgress();
-      if (!allProgress[deckId]) {
-        allProgress[deckId] = {};
-      }
-      allProgress[deckId][cardId] = progressUpdate;
+      Object.values(allProgress).forEach(deckProgress => {
+        Object.entries(deckProgress).forEach(([cardId, progress]) => {
+          if ((progress.scheduler || 'sm2') === scheduler.id) return;
+          deckProgress[cardId] = scheduler.seed(progress, settings);
+          migrated++;
+        });
+      });
       saveGuestProgress(allProgress);
-      
-      return { success: true, data: progressUpdate };
+      return { success: true, migrated };
     }
 
-    // Supabase upsert for authenticated users
     const { data, error } = await supabase
       .from('flashcard_progress')
-      .upsert({
-        user_id: userId,
-        deck_id: deckId,
-        card_id: cardId,
-        ease_factor: easeFactor,
-        interval_days: intervalDays,
-        repetitions,
-        next_review: nextReview.toISOString(),
-        last_reviewed: now.toISOString(),
-      }, { onConflict: 'user_id,deck_id,card_id' })
-      .select()
-      .single();
+      .select('*')
+      .eq('user_id', userId)
+      .neq('scheduler', scheduler.id);
 
     if (error) throw error;
-    
-    return { success: true, data: progressUpdate };
+
+    const rows = (data || []).map(row => ({
+      user_id: userId,
+      deck_id: row.deck_id,
+      card_id: row.card_id,
+      ...progressToRow(scheduler.seed(progressFromRow(row), settings)),
+    }));
+
+    for (let i = 0; i < rows.length; i += PROGRESS_BATCH_SIZE) {
+      const { error: upsertError } = await supabase
+        .from('flashcard_progress')
+        .upsert(rows.slice(i, i + PROGRESS_BATCH_SIZE), { onConflict: 'user_id,deck_id,card_id' });
+      if (upsertError) throw upsertError;
+      migrated += Math.min(PROGRESS_BATCH_SIZE, rows.length - i);
+    }
+
+    return { success: true, migrated };
   } catch (error) {
-    console.error('Error updating card progress:', error);
+    console.error('Error migrating flashcard progress:', error);
     return { success: false, error: error.message };
   }
 };
@@ -708,6 +975,314 @@ export const getDeckStats = async (deckId, cards) => {
   }
 };
 
+// ============================================
+// REVIEW QUEUE (ALL DECKS)
+// ============================================
+
+// Local calendar day (the daily limits and forecast follow the user's clock, not UTC)
+const toLocalDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Get the daily new-card and review limits
+ * @returns {Object} { newCardsPerDay, reviewsPerDay }
+ */
+export const getReviewLimits = () => {
+  try {
+    const stored = localStorage.getItem(REVIEW_LIMITS_KEY);
+    return { ...DEFAULT_REVIEW_LIMITS, ...(stored ? JSON.parse(stored) : {}) };
+  } catch {
+    return { ...DEFAULT_REVIEW_LIMITS };
+  }
+};
+
+/**
+ * Save the daily new-card and review limits
+ * @param {Object} limits - { newCardsPerDay, reviewsPerDay }
+ * @returns {Object} The limits that were saved
+ */
+export const saveReviewLimits = (limits) => {
+  const saved = {
+    newCardsPerDay: Math.max(0, Math.round(Number(limits.newCardsPerDay) || 0)),
+    reviewsPerDay: Math.max(0, Math.round(Number(limits.reviewsPerDay) || 0)),
+  };
+  localStorage.setItem(REVIEW_LIMITS_KEY, JSON.stringify(saved));
+  notifyReviewQueueChange();
+  return saved;
+};
+
+// How many new cards and reviews this user has done today (any deck, any screen)
+const getDailyCounts = (userId) => {
+  const today = toLocalDateKey(new Date());
+  try {
+    const stored = JSON.parse(localStorage.getItem(DAILY_COUNTS_KEY) || '{}');
+    const counts = stored[userId];
+    if (counts && counts.date === today) return counts;
+  } catch {
+    // Fall through to a fresh day
+  }
+  return { date: today, newCards: 0, reviews: 0 };
+};
+
+const recordDailyReview = (userId, isNewCard) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DAILY_COUNTS_KEY) || '{}');
+    const counts = getDailyCounts(userId);
+    stored[userId] = {
+      ...counts,
+      newCards: counts.newCards + (isNewCard ? 1 : 0),
+      reviews: counts.reviews + (isNewCard ? 0 : 1),
+    };
+    localStorage.setItem(DAILY_COUNTS_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.error('Error saving daily review counts:', error);
+  }
+  notifyReviewQueueChange();
+};
+
+/**
+ * Load every deck with its per-card progress
+ * @returns {Promise<Object>} { userId, decks: [{ deck, progress: { [cardId]: progress } }] }
+ */
+const loadAllDecksWithProgress = async () => {
+  const { userId, isGuest } = await getCurrentUser();
+
+  if (isGuest) {
+    const allProgress = getGuestProgress();
+    const decks = Object.values(getGuestDecks()).map(deck => ({
+      deck,
+      progress: allProgress[deck.id] || {},
+    }));
+    return { userId, decks };
+  }
+
+  const [{ data: decks, error: decksError }, { data: progressData, error: progressError }] = await Promise.all([
+    supabase
+      .from('flashcard_decks')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('flashcard_progress')
+      .select('*')
+      .eq('user_id', userId),
+  ]);
+
+  if (decksError) throw decksError;
+  if (progressError) throw progressError;
+
+  const progressByDeck = {};
+  (progressData || []).forEach(p => {
+    if (!progressByDeck[p.deck_id]) progressByDeck[p.deck_id] = {};
+    progressByDeck[p.deck_id][p.card_id] = progressFromRow(p);
+  });
+
+  return {
+    userId,
+    decks: (decks || []).map(deck => ({ deck, progress: progressByDeck[deck.id] || {} })),
+  };
+};
+
+// Round-robin across subjects so one big deck doesn't block the rest
+const interleaveBySubject = (items) => {
+  const groups = new Map();
+  items.forEach(item => {
+    if (!groups.has(item.subject)) groups.set(item.subject, []);
+    groups.get(item.subject).push(item);
+  });
+
+  const queues = [...groups.values()];
+  const result = [];
+  while (result.length < items.length) {
+    queues.forEach(queue => {
+      if (queue.length > 0) result.push(queue.shift());
+    });
+  }
+  return result;
+};
+
+// Spread new cards evenly between reviews
+const mixNewCards = (reviews, newCards) => {
+  if (newCards.length === 0) return reviews;
+  if (reviews.length === 0) return newCards;
+
+  const gap = reviews.length / newCards.length;
+  const result = [];
+  let nextNew = 0;
+
+  reviews.forEach((card, index) => {
+    result.push(card);
+    while (nextNew < newCards.length && (nextNew + 1) * gap <= index + 1) {
+      result.push(newCards[nextNew++]);
+    }
+  });
+
+  return [...result, ...newCards.slice(nextNew)];
+};
+
+/**
+ * Build the review queue across all decks
+ * - Due reviews first by most overdue, new cards in deck order
+ * - Subjects interleaved, new cards spread between reviews
+ * - Capped by what is left of today's new-card and review limits
+ *
+ * @returns {Promise} - {
+ *   cards: [{ ...card, key, deckId, subject, topic, isNew, progress }],
+ *   stats: { dueReviews, newAvailable, reviewsToday, newCardsToday, reviewsLeft, newCardsLeft, queued, limits },
+ *   forecast: [{ date, count }] due reviews per day for the next 30 days (day 0 includes overdue)
+ * }
+ */
+export const getReviewQueue = async () => {
+  try {
+    const { userId, decks } = await loadAllDecksWithProgress();
+    const limits = getReviewLimits();
+    const counts = getDailyCounts(userId);
+    const now = new Date();
+
+    const dueReviews = [];
+    const newCards = [];
+    const forecastCounts = new Map();
+    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const forecastEnd = todayStart.getTime() + FORECAST_DAYS * DAY_MS;
+
+    decks.forEach(({ deck, progress }) => {
+      (deck.cards || []).forEach(card => {
+        const cardProgress = progress[card.id];
+        const entry = {
+          ...card,
+          key: `${deck.id}:${card.id}`,
+          deckId: deck.id,
+          subject: deck.subject,
+          topic: deck.topic,
+          isNew: !cardProgress,
+          progress: cardProgress || null,
+        };
+
+        if (!cardProgress) {
+          newCards.push(entry);
+          return;
+        }
+
+        const nextReview = new Date(cardProgress.nextReview);
+        if (nextReview <= now) {
+          dueReviews.push(entry);
+        }
+        if (nextReview.getTime() < forecastEnd) {
+          const day = nextReview < todayStart ? toLocalDateKey(todayStart) : toLocalDateKey(nextReview);
+          forecastCounts.set(day, (forecastCounts.get(day) || 0) + 1);
+        }
+      });
+    });
+
+    dueReviews.sort((a, b) => new Date(a.progress.nextReview) - new Date(b.progress.nextReview));
+
+    const reviewsLeft = Math.max(0, limits.reviewsPerDay - counts.reviews);
+    const newCardsLeft = Math.max(0, limits.newCardsPerDay - counts.newCards);
+
+    const cards = mixNewCards(
+      interleaveBySubject(dueReviews.slice(0, reviewsLeft)),
+      interleaveBySubject(newCards.slice(0, newCardsLeft))
+    );
+
+    const forecast = Array.from({ length: FORECAST_DAYS }, (_, i) => {
+      const date = toLocalDateKey(todayStart.getTime() + i * DAY_MS + DAY_MS / 2); // Midday avoids DST edges
+      return { date, count: forecastCounts.get(date) || 0 };
+    });
+
+    return {
+      success: true,
+      data: {
+        cards,
+        stats: {
+          dueReviews: dueReviews.length,
+          newAvailable: newCards.length,
+          reviewsToday: counts.reviews,
+          newCardsToday: counts.newCards,
+          reviewsLeft,
+          newCardsLeft,
+          queued: cards.length,
+          limits,
+        },
+        forecast,
+      },
+    };
+  } catch (error) {
+    console.error('Error building review queue:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Number of cards waiting in today's review queue (for the navigation badge)
+ * @returns {Promise<number>}
+ */
+export const getReviewDueCount = async () => {
+  const result = await getReviewQueue();
+  return result.success ? result.data.stats.queued : 0;
+};
+
+// ============================================
+// IMPORT / EXPORT SUPPORT (deckTransferService)
+// ============================================
+
+/**
+ * Every deck with its progress, for exports
+ * @returns {Promise} - { success, data: [{ deck, progress: { cardId: progress } }] }
+ */
+export const getAllDecksWithProgress = async () => {
+  try {
+    const { decks } = await loadAllDecksWithProgress();
+    return { success: true, data: decks };
+  } catch (error) {
+    console.error('Error loading decks:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Write scheduling state for many cards at once (imported from Anki or CSV).
+ * Overwrites existing progress for those cards.
+ * @param {string} deckId - Deck ID
+ * @param {Object} progressByCard - { cardId: progress }
+ * @returns {Promise} - { success, count }
+ */
+export const importCardProgress = async (deckId, progressByCard) => {
+  try {
+    const { userId, isGuest } = await getCurrentUser();
+    const entries = Object.entries(progressByCard);
+
+    if (isGuest) {
+      const allProgress = getGuestProgress();
+      allProgress[deckId] = { ...(allProgress[deckId] || {}), ...progressByCard };
+      saveGuestProgress(allProgress);
+      notifyReviewQueueChange();
+      return { success: true, count: entries.length };
+    }
+
+    const rows = entries.map(([cardId, progress]) => ({
+      user_id: userId,
+      deck_id: deckId,
+      card_id: cardId,
+      ...progressToRow(progress),
+    }));
+
+    for (let i = 0; i < rows.length; i += PROGRESS_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('flashcard_progress')
+        .upsert(rows.slice(i, i + PROGRESS_BATCH_SIZE), { onConflict: 'user_id,deck_id,card_id' });
+      if (error) throw error;
+    }
+
+    notifyReviewQueueChange();
+    return { success: true, count: entries.length };
+  } catch (error) {
+    console.error('Error importing card progress:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // ============================================
 // MIGRATION: Guest to Authenticated
 // ============================================
@@ -762,11 +1337,7 @@ export const migrateGuestFlashcardsToSupabase = async () => {
             user_id: user.id,
             deck_id: savedDeck.id,
             card_id: cardId,
-            ease_factor: progress.easeFactor,
-            interval_days: progress.intervalDays,
-            repetitions: progress.repetitions,
-            next_review: progress.nextReview,
-            last_reviewed: progress.lastReviewed,
+            ...progressToRow(progress),
           }));
 
           if (progressInserts.length > 0) {
@@ -0,0 +1,236 @@
+/**
+ * FSRS (Free Spaced Repetition Scheduler)
+ *
+ * Pure functions for the FSRS-4.5 memory model:
+ * - Stability (S): days until recall probability drops to 90%
+ * - Difficulty (D): 1 (easy) to 10 (hard)
+ * - Retrievability (R): probability of recall after t days
+ *
+ * Plus a small optimiser that fits the 17 weights to a user's own review log
+ * by minimising log loss of the predicted recall probability.
+ *
+ * Grades: 1 = Again, 2 = Hard, 3 = Good, 4 = Easy
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const DEFAULT_FSRS_PARAMS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+
+export const DEFAULT_DESIRED_RETENTION = 0.9;
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81; // Makes R(S, S) = 0.9
+
+const MIN_STABILITY = 0.1;
+const MAX_INTERVAL_DAYS = 36500;
+
+// Allowed range for each weight while optimising
+const PARAM_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100], // Initial stability per grade
+  [1, 10], [0.1, 5], [0.1, 5], [0, 0.5], // Initial difficulty, difficulty change, mean reversion
+  [0, 3], [0, 0.8], [0.01, 2.5], // Recall stability growth
+  [0.5, 5], [0.01, 0.2], [0.01, 0.9], [0.01, 3], // Forget stability
+  [0, 1], [1, 6], // Hard penalty, easy bonus
+];
+
+// Fewer reviews than this and the defaults predict better than a fit would
+export const MIN_REVIEWS_FOR_OPTIMISATION = 100;
+
+// ============================================
+// MEMORY MODEL
+// ============================================
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Probability of recalling a card t days after the last review
+ * @param {number} elapsedDays - Days since last review
+ * @param {number} stability - Current stability
+ * @returns {number} 0-1
+ */
+export const retrievability = (elapsedDays, stability) => (
+  Math.pow(1 + FACTOR * Math.max(0, elapsedDays) / Math.max(stability, MIN_STABILITY), DECAY)
+);
+
+/**
+ * Days until recall probability falls to the desired retention
+ * @param {number} stability - Stability after the review
+ * @param {number} desiredRetention - Target recall probability (0.7-0.97)
+ * @returns {number} Whole days, at least 1
+ */
+export const nextInterval = (stability, desiredRetention = DEFAULT_DESIRED_RETENTION) => {
+  const interval = (stability / FACTOR) * (Math.pow(desiredRetention, 1 / DECAY) - 1);
+  return clamp(Math.round(interval), 1, MAX_INTERVAL_DAYS);
+};
+
+const initialStability = (w, grade) => Math.max(w[grade - 1], MIN_STABILITY);
+
+const initialDifficulty = (w, grade) => clamp(w[4] - (grade - 3) * w[5], 1, 10);
+
+const nextDifficulty = (w, difficulty, grade) => {
+  const changed = difficulty - w[6] * (grade - 3);
+  // Mean reversion towards the initial difficulty of a "Good" answer
+  return clamp(w[7] * initialDifficulty(w, 3) + (1 - w[7]) * changed, 1, 10);
+};
+
+const recallStability = (w, difficulty, stability, r, grade) => {
+  const hardPenalty = grade === 2 ? w[15] : 1;
+  const easyBonus = grade === 4 ? w[16] : 1;
+  return stability * (
+    Math.exp(w[8])
+    * (11 - difficulty)
+    * Math.pow(stability, -w[9])
+    * (Math.exp(w[10] * (1 - r)) - 1)
+    * hardPenalty
+    * easyBonus
+    + 1
+  );
+};
+
+const forgetStability = (w, difficulty, stability, r) => (
+  w[11]
+  * Math.pow(difficulty, -w[12])
+  * (Math.pow(stability + 1, w[13]) - 1)
+  * Math.exp(w[14] * (1 - r))
+);
+
+/**
+ * Apply one review to a memory state
+ * @param {Object|null} memory - { stability, difficulty } or null for a new card
+ * @param {number} grade - 1-4
+ * @param {number} elapsedDays - Days since the previous review (ignored for new cards)
+ * @param {Array<number>} params - 17 FSRS weights
+ * @returns {Object} { stability, difficulty, retrievability } - retrievability at review time
+ */
+export const reviewMemory = (memory, grade, elapsedDays, params = DEFAULT_FSRS_PARAMS) => {
+  const w = params;
+
+  if (!memory) {
+    return {
+      stability: initialStability(w, grade),
+      difficulty: initialDifficulty(w, grade),
+      retrievability: null,
+    };
+  }
+
+  const r = retrievability(elapsedDays, memory.stability);
+  const stability = grade === 1
+    ? forgetStability(w, memory.difficulty, memory.stability, r)
+    : recallStability(w, memory.difficulty, memory.stability, r, grade);
+
+  return {
+    stability: clamp(stability, MIN_STABILITY, MAX_INTERVAL_DAYS),
+    difficulty: nextDifficulty(w, memory.difficulty, grade),
+    retrievability: r,
+  };
+};
+
+// ============================================
+// OPTIMISER
+// ============================================
+
+/**
+ * Log loss of the model on a set of review histories
+ * Each prediction is the retrievability before a review; the outcome is
+ * whether the card was recalled (grade > 1).
+ *
+ * @param {Array<Array<Object>>} histories - Per card, reviews sorted by time: [{ grade, elapsedDays }]
+ * @param {Array<number>} params - 17 FSRS weights
+ * @returns {number} Mean log loss (lower is better)
+ */
+export const logLoss = (histories, params) => {
+  let total = 0;
+  let count = 0;
+
+  histories.forEach(reviews => {
+    let memory = null;
+    reviews.forEach(({ grade, elapsedDays }) => {
+      if (memory) {
+        const r = clamp(retrievability(elapsedDays, memory.stability), 0.0001, 0.9999);
+        total += grade > 1 ? -Math.log(r) : -Math.log(1 - r);
+        count++;
+      }
+      memory = reviewMemory(memory, grade, elapsedDays, params);
+    });
+  });
+
+  return count > 0 ? total / count : 0;
+};
+
+/**
+ * Turn a flat review log into per-card histories for logLoss/optimiseParams
+ * @param {Array<Object>} reviews - [{ itemId, deckId, rating, reviewedAt }]
+ * @returns {Array<Array<Object>>} [[{ grade, elapsedDays }]]
+ */
+export const buildHistories = (reviews) => {
+  const byCard = new Map();
+  reviews.forEach(review => {
+    const key = `${review.deckId}:${review.itemId}`;
+    if (!byCard.has(key)) byCard.set(key, []);
+    byCard.get(key).push(review);
+  });
+
+  return [...byCard.values()].map(cardReviews => {
+    const sorted = [...cardReviews].sort((a, b) => new Date(a.reviewedAt) - new Date(b.reviewedAt));
+    return sorted.map((review, index) => ({
+      grade: review.rating,
+      elapsedDays: index === 0
+        ? 0
+        : (new Date(review.reviewedAt) - new Date(sorted[index - 1].reviewedAt)) / (24 * 60 * 60 * 1000),
+    }));
+  });
+};
+
+/**
+ * Fit FSRS weights to review histories with finite-difference gradient descent.
+ * Steps that don't lower the loss are retried with half the learning rate.
+ *
+ * @param {Array<Array<Object>>} histories - From buildHistories()
+ * @param {Object} options - { initialParams, iterations }
+ * @returns {Object} { params, lossBefore, lossAfter, reviewCount }
+ */
+export const optimiseParams = (histories, { initialParams = DEFAULT_FSRS_PARAMS, iterations = 60 } = {}) => {
+  const reviewCount = histories.reduce((sum, reviews) => sum + Math.max(0, reviews.length - 1), 0);
+  let params = [...initialParams];
+  let loss = logLoss(histories, params);
+  const lossBefore = loss;
+  let learningRate = 0.05;
+
+  for (let iteration = 0; iteration < iterations && learningRate > 1e-4; iteration++) {
+    // Gradient relative to each weight's scale so all weights move comparably
+    const gradient = params.map((value, i) => {
+      const step = Math.max(Math.abs(value) * 1e-3, 1e-4);
+      const nudged = [...params];
+      nudged[i] = value + step;
+      return ((logLoss(histories, nudged) - loss) / step) * Math.max(Math.abs(value), 0.1);
+    });
+
+    const norm = Math.sqrt(gradient.reduce((sum, g) => sum + g * g, 0)) || 1;
+    const candidate = params.map((value, i) => {
+      const [min, max] = PARAM_BOUNDS[i];
+      const scale = Math.max(Math.abs(value), 0.1);
+      return clamp(value - learningRate * scale * (gradient[i] / norm), min, max);
+    });
+
+    const candidateLoss = logLoss(histories, candidate);
+    if (candidateLoss < loss) {
+      params = candidate;
+      loss = candidateLoss;
+      learningRate *= 1.2;
+    } else {
+      learningRate /= 2;
+    }
+  }
+
+  return {
+    params: params.map(value => Math.round(value * 10000) / 10000),
+    lossBefore,
+    lossAfter: loss,
+    reviewCount,
+  };
+};
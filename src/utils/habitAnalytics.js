@@ -0,0 +1,395 @@
+/**
+ * HABIT ANALYTICS
+ *
+ * Pure functions over the checklist history (neural-checklist-history) for the
+ * DailyChecklist "Insights" view:
+ * - Per-routine completion rate, overall and by weekday
+ * - Completion time drift (are you doing it later than you used to?)
+ * - Current and longest streaks per routine, over the days it was due
+ * - Routines that keep getting abandoned, and which to suggest retiring
+ * - How completion lines up with energy from QuickLogger logs
+ * - A weekly report card
+ *
+ * History days look like { completed: [ids], timestamps: { id: ISO }, completionRate,
+ * totalItems, due: [ids] }. `due` was added with these analytics - for older days
+ * which routines were due is worked out from their schedules.
+ */
+
+import { STREAK_THRESHOLD, WEEKDAYS, addDays, isScheduledOn } from './routineSchedule.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// How far back the analytics look
+export const ANALYTICS_WINDOW_DAYS = 90;
+
+// Fewer due days than this and a routine's numbers are noise
+const MIN_DUE_DAYS = 5;
+
+// Abandoned: done on less than this share of its last due days...
+const ABANDONED_RATE = 0.3;
+const ABANDONED_RECENT_DAYS = 14;
+
+// ...and suggested for retiring once that's held for this many due days
+const RETIRE_MIN_DUE_DAYS = 14;
+const RETIRE_RATE = 0.2;
+
+// Completion time drift this many minutes or more is worth pointing out
+const DRIFT_NOTICE_MINUTES = 30;
+
+// Report card grades by completion rate
+const GRADES = [
+  { min: 0.9, grade: 'A' },
+  { min: 0.75, grade: 'B' },
+  { min: 0.6, grade: 'C' },
+  { min: 0.4, grade: 'D' },
+  { min: 0, grade: 'F' },
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+// 0 = Sunday ... 6 = Saturday, for a 'YYYY-MM-DD' date
+const weekdayOfDate = (dateString) => new Date(`${dateString}T00:00:00Z`).getUTCDay();
+
+// Minutes after local midnight a routine was ticked at
+const minutesOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  return date.getHours() * 60 + date.getMinutes();
+};
+
+const average = (values) => (
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+/**
+ * Minutes after midnight as a time of day, e.g. 450 -> "7:30 AM"
+ * @returns {string}
+ */
+export const formatMinutes = (minutes) => {
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60) % 24;
+  const mins = String(rounded % 60).padStart(2, '0');
+  return `${hours % 12 || 12}:${mins} ${hours < 12 ? 'AM' : 'PM'}`;
+};
+
+/**
+ * Pearson correlation of [x, y] pairs, null with fewer than 3 pairs or no spread
+ * @returns {number|null} -1 to 1
+ */
+export const correlation = (pairs) => {
+  if (pairs.length < 3) return null;
+  const meanX = average(pairs.map(([x]) => x));
+  const meanY = average(pairs.map(([, y]) => y));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+/**
+ * Whether a routine was due on a history day - from the day's `due` list when it
+ * has one, otherwise from the routine's schedule (custom routines only from the
+ * day they were made: their id is `custom-<timestamp>`)
+ * @returns {boolean}
+ */
+const wasDue = (routine, dateString, day, holidays) => {
+  if (Array.isArray(day.due)) return day.due.includes(routine.id);
+  if (day.completed?.includes(routine.id)) return true;
+
+  const created = Number(String(routine.id).split('-')[1]);
+  if (!routine.isDefault && created > 0 && dateString < new Date(created).toISOString().split('T')[0]) {
+    return false;
+  }
+  return isScheduledOn(routine.schedule, dateString, { holidays });
+};
+
+/**
+ * Average QuickLogger energy per day
+ * @param {Array<Object>} logs - neural-logs ({ timestamp, energy })
+ * @returns {Object} date -> average energy (1-10)
+ */
+export const energyByDate = (logs = []) => {
+  const byDate = {};
+  logs.forEach(log => {
+    if (!log.timestamp || typeof log.energy !== 'number') return;
+    const date = new Date(log.timestamp).toISOString().split('T')[0];
+    (byDate[date] = byDate[date] || []).push(log.energy);
+  });
+  return Object.fromEntries(Object.entries(byDate).map(([date, values]) => [date, average(values)]));
+};
+
+// ============================================
+// PER-ROUTINE ANALYTICS
+// ============================================
+
+/**
+ * The days a routine was due in the history window, oldest first
+ * @returns {Array<Object>} { date, done, completedAt }
+ */
+const routineDays = (routine, history, { today, holidays, windowDays }) => {
+  const from = addDays(today, -windowDays);
+  return Object.keys(history)
+    .filter(date => date >= from && date < today)
+    .sort()
+    .filter(date => wasDue(routine, date, history[date], holidays))
+    .map(date => ({
+      date,
+      done: Boolean(history[date].completed?.includes(routine.id)),
+      completedAt: history[date].timestamps?.[routine.id] || null,
+    }));
+};
+
+// Current and longest run of due days it was done on
+const streaksOf = (days) => {
+  let longest = 0;
+  let run = 0;
+  days.forEach(day => {
+    run = day.done ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+  return { current: run, longest };
+};
+
+/**
+ * Completion time drift: the average time of day it was ticked in the later half
+ * of the completions against the earlier half
+ * @returns {Object|null} { earlier, later, minutes } - minutes > 0 is later in the day
+ */
+const timeDriftOf = (days) => {
+  const times = days.filter(day => day.done && day.completedAt).map(day => minutesOfDay(day.completedAt));
+  if (times.length < 4) return null;
+  const half = Math.floor(times.length / 2);
+  const earlier = average(times.slice(0, half));
+  const later = average(times.slice(half));
+  return { earlier, later, minutes: Math.round(later - earlier) };
+};
+
+/**
+ * Analytics for one routine over the history window
+ * @param {Object} routine - Checklist routine ({ id, text, schedule, isDefault })
+ * @param {Object} history - neural-checklist-history
+ * @param {Object} options - { today, holidays, energy (from energyByDate), windowDays }
+ * @returns {Object}
+ */
+export const analyzeRoutine = (routine, history, {
+  today,
+  holidays = [],
+  energy = {},
+  windowDays = ANALYTICS_WINDOW_DAYS,
+}) => {
+  const days = routineDays(routine, history, { today, holidays, windowDays });
+  const doneDays = days.filter(day => day.done);
+
+  const byWeekday = WEEKDAYS.map(({ value, short }) => {
+    const onDay = days.filter(day => weekdayOfDate(day.date) === value);
+    return {
+      weekday: value,
+      label: short,
+      due: onDay.length,
+      done: onDay.filter(day => day.done).length,
+      rate: onDay.length > 0 ? onDay.filter(day => day.done).length / onDay.length : null,
+    };
+  });
+
+  const recent = days.slice(-ABANDONED_RECENT_DAYS);
+  const recentRate = recent.length > 0 ? recent.filter(day => day.done).length / recent.length : null;
+  const enoughData = days.length >= MIN_DUE_DAYS;
+
+  // Energy on the days it was done against the days it wasn't
+  const energyWhen = (done) => average(
+    days.filter(day => day.done === done && energy[day.date] != null).map(day => energy[day.date])
+  );
+
+  return {
+    id: routine.id,
+    text: routine.text,
+    dueDays: days.length,
+    doneDays: doneDays.length,
+    rate: days.length > 0 ? doneDays.length / days.length : null,
+    recentRate,
+    byWeekday,
+    streaks: streaksOf(days),
+    timeDrift: timeDriftOf(days),
+    energyDone: energyWhen(true),
+    energyMissed: energyWhen(false),
+    enoughData,
+    abandoned: enoughData && recentRate !== null && recentRate < ABANDONED_RATE,
+    lastDone: doneDays.length > 0 ? doneDays[doneDays.length - 1].date : null,
+  };
+};
+
+/**
+ * Whether to suggest retiring a routine, and why
+ * @param {Object} stats - From analyzeRoutine()
+ * @returns {string|null} The reason, or null to keep it
+ */
+export const retireSuggestion = (stats) => {
+  if (stats.dueDays < RETIRE_MIN_DUE_DAYS || stats.recentRate === null) return null;
+  if (stats.recentRate >= RETIRE_RATE || stats.streaks.current > 0) return null;
+
+  const recentPercent = Math.round(stats.recentRate * 100);
+  if (stats.doneDays === 0) {
+    return `Not done once in ${stats.dueDays} due days`;
+  }
+  return stats.lastDone
+    ? `Done ${recentPercent}% of its recent due days, last on ${stats.lastDone}`
+    : `Done ${recentPercent}% of its recent due days`;
+};
+
+/**
+ * Readable notes on a routine's numbers, e.g. its best weekday or time drift
+ * @param {Object} stats - From analyzeRoutine()
+ * @returns {Array<string>}
+ */
+export const routineInsights = (stats) => {
+  if (!stats.enoughData) return [];
+  const notes = [];
+
+  const rated = stats.byWeekday.filter(day => day.due >= 2);
+  if (rated.length >= 2) {
+    const best = rated.reduce((a, b) => (b.rate > a.rate ? b : a));
+    const worst = rated.reduce((a, b) => (b.rate < a.rate ? b : a));
+    if (best.rate - worst.rate >= 0.3) {
+      notes.push(`Best on ${best.label} (${Math.round(best.rate * 100)}%), worst on ${worst.label} (${Math.round(worst.rate * 100)}%)`);
+    }
+  }
+
+  if (stats.timeDrift && Math.abs(stats.timeDrift.minutes) >= DRIFT_NOTICE_MINUTES) {
+    const direction = stats.timeDrift.minutes > 0 ? 'later' : 'earlier';
+    notes.push(
+      `Getting done ${Math.abs(stats.timeDrift.minutes)} min ${direction} - ` +
+      `${formatMinutes(stats.timeDrift.earlier)} → ${formatMinutes(stats.timeDrift.later)}`
+    );
+  }
+
+  if (stats.energyDone !== null && stats.energyMissed !== null && Math.abs(stats.energyDone - stats.energyMissed) >= 1) {
+    notes.push(
+      `Energy ${stats.energyDone.toFixed(1)} on days it's done vs ${stats.energyMissed.toFixed(1)} when missed`
+    );
+  }
+
+  return notes;
+};
+
+// ============================================
+// OVERALL
+// ============================================
+
+/**
+ * Analytics for every routine, plus the overall weekday rates and the energy correlation
+ * @param {Array<Object>} routines - Current routines
+ * @param {Object} history - neural-checklist-history
+ * @param {Object} options - { today, holidays, logs (neural-logs), windowDays }
+ * @returns {Object} { routines, byWeekday, energyCorrelation, energyDays, retire }
+ */
+export const analyzeHabits = (routines, history, {
+  today,
+  holidays = [],
+  logs = [],
+  windowDays = ANALYTICS_WINDOW_DAYS,
+}) => {
+  const energy = energyByDate(logs);
+  const stats = routines.map(routine => analyzeRoutine(routine, history, { today, holidays, energy, windowDays }));
+
+  const from = addDays(today, -windowDays);
+  const days = Object.keys(history)
+    .filter(date => date >= from && date < today && history[date].totalItems > 0);
+
+  const byWeekday = WEEKDAYS.map(({ value, short }) => {
+    const rates = days.filter(date => weekdayOfDate(date) === value).map(date => history[date].completionRate);
+    return { weekday: value, label: short, days: rates.length, rate: average(rates) };
+  });
+
+  const energyPairs = days
+    .filter(date => energy[date] != null)
+    .map(date => [history[date].completionRate, energy[date]]);
+
+  return {
+    routines: stats,
+    byWeekday,
+    energyCorrelation: correlation(energyPairs),
+    energyDays: energyPairs.length,
+    retire: stats
+      .map(routineStats => ({ ...routineStats, reason: retireSuggestion(routineStats) }))
+      .filter(routineStats => routineStats.reason),
+  };
+};
+
+/**
+ * How strong a correlation is, in words
+ * @returns {string}
+ */
+export const describeCorrelation = (value) => {
+  if (value === null) return 'Not enough days with both logs and routines yet';
+  const strength = Math.abs(value) >= 0.6 ? 'Strong' : Math.abs(value) >= 0.3 ? 'Moderate' : 'Little or no';
+  if (strength === 'Little or no') return 'Little or no link between energy and routines';
+  return `${strength} ${value > 0 ? 'positive' : 'negative'} link - ${
+    value > 0 ? 'higher-energy days are better routine days' : 'routines get done more on low-energy days'
+  }`;
+};
+
+// ============================================
+// WEEKLY REPORT CARD
+// ============================================
+
+/**
+ * Monday of the week a date is in
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const weekStartOf = (dateString) => addDays(dateString, -((weekdayOfDate(dateString) + 6) % 7));
+
+const gradeOf = (rate) => (rate === null ? '-' : GRADES.find(({ min }) => rate >= min).grade);
+
+/**
+ * Report card for the week starting weekStart (a Monday), against the week before
+ * @param {Array<Object>} routines - Current routines
+ * @param {Object} history - neural-checklist-history
+ * @param {Object} options - { weekStart, today, holidays }
+ * @returns {Object} { weekStart, weekEnd, rate, grade, previousRate, change, daysTracked,
+ *   bestDay, worstDay, routines: [{ id, text, due, done, rate, grade }] }
+ */
+export const weeklyReportCard = (routines, history, { weekStart, today, holidays = [] }) => {
+  const weekDates = (start) => Array.from({ length: 7 }, (_, offset) => addDays(start, offset))
+    .filter(date => date < today && history[date]?.totalItems > 0);
+
+  const overallRate = (dates) => average(dates.map(date => history[date].completionRate));
+
+  const dates = weekDates(weekStart);
+  const rate = overallRate(dates);
+  const previousRate = overallRate(weekDates(addDays(weekStart, -7)));
+
+  const ranked = [...dates].sort((a, b) => history[b].completionRate - history[a].completionRate);
+
+  const routineRows = routines
+    .map(routine => {
+      const due = dates.filter(date => wasDue(routine, date, history[date], holidays));
+      const done = due.filter(date => history[date].completed?.includes(routine.id)).length;
+      const routineRate = due.length > 0 ? done / due.length : null;
+      return { id: routine.id, text: routine.text, due: due.length, done, rate: routineRate, grade: gradeOf(routineRate) };
+    })
+    .filter(row => row.due > 0)
+    .sort((a, b) => a.rate - b.rate);
+
+  return {
+    weekStart,
+    weekEnd: addDays(weekStart, 6),
+    rate,
+    grade: gradeOf(rate),
+    previousRate,
+    change: rate !== null && previousRate !== null ? rate - previousRate : null,
+    daysTracked: dates.length,
+    streakDays: dates.filter(date => history[date].completionRate >= STREAK_THRESHOLD).length,
+    bestDay: ranked[0] || null,
+    worstDay: ranked.length > 1 ? ranked[ranked.length - 1] : null,
+    routines: routineRows,
+  };
+};
@@ -0,0 +1,425 @@
+/**
+ * IDEA LINKS
+ *
+ * Pure helpers for the connections between captured ideas:
+ * - References: [[Title]] in an idea's text links it to the idea with that title
+ * - Threads: an idea can follow up on one parent idea (a refinement, a next step)
+ * - Groups: named sets of ideas, e.g. themes saved from Organize Ideas
+ * - Graph layout for IdeaGraphView
+ *
+ * Links ({ id, kind, sourceId, targetId, label }) and groups
+ * ({ id, name, description, priority, ideaIds, source, createdAt }) are stored
+ * with useLifeData ('neural-idea-links', 'neural-idea-groups' - see
+ * lifeDataService.js). A thread link points from the child (sourceId) to its
+ * parent (targetId), and is keyed by the child, so an idea has one parent.
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// [[Title]] - no brackets or line breaks inside
+const WIKI_LINK_PATTERN = /\[\[([^[\]\n]+?)\]\]/g;
+
+// Titles are an idea's first line, cut to this many characters
+const MAX_TITLE_LENGTH = 80;
+
+// The graph stops adding ideas here - a force layout of more is slow and unreadable
+export const MAX_GRAPH_NODES = 300;
+
+const LAYOUT_ITERATIONS = 150;
+const IDEAL_EDGE_LENGTH = 140;
+
+// ============================================
+// IDS AND TITLES
+// ============================================
+
+// Ideas loaded from Supabase and from localStorage may disagree on number vs string ids
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Stable id for a link - one reference per pair, one thread parent per idea
+ * @returns {string} 'reference:<source>:<target>' or 'thread:<child>'
+ */
+export const linkId = (kind, sourceId, targetId) => (
+  kind === 'thread' ? `thread:${sourceId}` : `reference:${sourceId}:${targetId}`
+);
+
+/**
+ * An idea's title: its first non-empty line, without brackets (so it fits in [[ ]])
+ * @returns {string}
+ */
+export const ideaTitle = (idea) => {
+  const firstLine = String(idea?.content || '')
+    .split('\n')
+    .map(line => line.trim())
+    .find(Boolean) || '';
+  return firstLine.replace(/[[\]]/g, '').replace(/\s+/g, ' ').slice(0, MAX_TITLE_LENGTH).trim();
+};
+
+const normalizeTitle = (text) => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// ============================================
+// WIKI LINKS
+// ============================================
+
+/**
+ * The [[labels]] written in a text, in order, without repeats
+ * @returns {Array<string>}
+ */
+export const parseWikiLinks = (text) => {
+  const labels = [];
+  for (const match of String(text || '').matchAll(WIKI_LINK_PATTERN)) {
+    const label = match[1].trim();
+    if (label && !labels.some(existing => normalizeTitle(existing) === normalizeTitle(label))) {
+      labels.push(label);
+    }
+  }
+  return labels;
+};
+
+/**
+ * The idea a [[label]] refers to: same title, ignoring case and spacing.
+ * Ideas are newest first, so the newest idea with that title wins.
+ * @param {string} label - Text inside the brackets
+ * @param {Array<Object>} ideas - Saved ideas
+ * @param {*} selfId - The linking idea, which can't link to itself
+ * @returns {Object|null} Idea
+ */
+export const resolveWikiLink = (label, ideas, selfId) => {
+  const wanted = normalizeTitle(label);
+  if (!wanted) return null;
+  return ideas.find(idea => !sameId(idea.id, selfId) && normalizeTitle(ideaTitle(idea)) === wanted) || null;
+};
+
+/**
+ * A text cut into plain and [[linked]] parts, for rendering
+ * @returns {Array<Object>} [{ text, label? }] - label is set on link parts
+ */
+export const splitWikiLinks = (text) => {
+  const parts = [];
+  let position = 0;
+  for (const match of String(text || '').matchAll(WIKI_LINK_PATTERN)) {
+    if (match.index > position) parts.push({ text: text.slice(position, match.index) });
+    parts.push({ text: match[0], label: match[1].trim() });
+    position = match.index + match[0].length;
+  }
+  if (position < String(text || '').length) parts.push({ text: text.slice(position) });
+  return parts;
+};
+
+/**
+ * Bring reference links in line with the [[labels]] in the ideas' text.
+ * Only references from ideas in the list are touched, so links survive while
+ * ideas are still loading.
+ * @param {Array<Object>} links - Current links
+ * @param {Array<Object>} ideas - Saved ideas (no drafts)
+ * @returns {Array<Object>} The same array when nothing changed
+ */
+export const reconcileReferenceLinks = (links, ideas) => {
+  const sources = new Set(ideas.map(idea => String(idea.id)));
+
+  const wanted = new Map();
+  ideas.forEach(idea => {
+    parseWikiLinks(idea.content).forEach(label => {
+      const target = resolveWikiLink(label, ideas, idea.id);
+      if (!target) return;
+      const id = linkId('reference', idea.id, target.id);
+      if (!wanted.has(id)) {
+        wanted.set(id, { id, kind: 'reference', sourceId: idea.id, targetId: target.id, label });
+      }
+    });
+  });
+
+  const kept = links.filter(link => (
+    link.kind !== 'reference' || !sources.has(String(link.sourceId)) || wanted.has(link.id)
+  ));
+  const existing = new Map(kept.map(link => [link.id, link]));
+  const added = [];
+  wanted.forEach((link, id) => {
+    const current = existing.get(id);
+    if (!current) added.push(link);
+    else if (current.label !== link.label) existing.set(id, link);
+  });
+
+  const relabelled = kept.some(link => existing.get(link.id) !== link);
+  if (kept.length === links.length && added.length === 0 && !relabelled) return links;
+  return [...kept.map(link => existing.get(link.id)), ...added];
+};
+
+// ============================================
+// THREADS
+// ============================================
+
+/**
+ * @returns {*} The id of the idea this one follows up on, or null
+ */
+export const getThreadParentId = (links, ideaId) => {
+  const link = links.find(l => l.kind === 'thread' && sameId(l.sourceId, ideaId));
+  return link ? link.targetId : null;
+};
+
+/**
+ * Every idea further down an idea's thread (children, their children, ...)
+ * @returns {Set<string>} Ids as strings
+ */
+export const getThreadDescendantIds = (links, ideaId) => {
+  const descendants = new Set();
+  const queue = [String(ideaId)];
+  while (queue.length > 0) {
+    const parent = queue.shift();
+    links.forEach(link => {
+      const child = String(link.sourceId);
+      if (link.kind === 'thread' && String(link.targetId) === parent && !descendants.has(child)) {
+        descendants.add(child);
+        queue.push(child);
+      }
+    });
+  }
+  return descendants;
+};
+
+/**
+ * Make an idea follow up on another, or (parentId null) start its own thread.
+ * A parent that is already further down the idea's thread would make a loop,
+ * so the links come back unchanged.
+ * @returns {Array<Object>} Links
+ */
+export const setThreadParent = (links, childId, parentId) => {
+  if (parentId != null && (sameId(parentId, childId) || getThreadDescendantIds(links, childId).has(String(parentId)))) {
+    return links;
+  }
+
+  const id = linkId('thread', childId);
+  const rest = links.filter(link => link.id !== id);
+  if (parentId == null) return rest;
+  return [...rest, { id, kind: 'thread', sourceId: childId, targetId: parentId, label: null }];
+};
+
+// ============================================
+// DELETED IDEAS
+// ============================================
+
+/**
+ * Links without a deleted idea. Its children become thread roots.
+ * @returns {Array<Object>}
+ */
+export const removeIdeaFromLinks = (links, ideaId) => (
+  links.filter(link => !sameId(link.sourceId, ideaId) && !sameId(link.targetId, ideaId))
+);
+
+/**
+ * Groups without a deleted idea; groups left empty are dropped
+ * @returns {Array<Object>}
+ */
+export const removeIdeaFromGroups = (groups, ideaId) => groups
+  .map(group => (
+    group.ideaIds.some(id => sameId(id, ideaId))
+      ? { ...group, ideaIds: group.ideaIds.filter(id => !sameId(id, ideaId)) }
+      : group
+  ))
+  .filter(group => group.ideaIds.length > 0);
+
+// ============================================
+// GROUPS
+// ============================================
+
+/**
+ * A group from an /api/organize-ideas theme (its ideaIds are the member ideas)
+ * @returns {Object|null} Group, or null when none of the theme's ideas still exist
+ */
+export const createGroupFromTheme = (theme, ideas) => {
+  const ideaIds = (theme.ideaIds || [])
+    .map(id => ideas.find(idea => sameId(idea.id, id))?.id)
+    .filter(id => id !== undefined);
+  if (ideaIds.length === 0) return null;
+
+  return {
+    id: Date.now(),
+    name: theme.name || 'Untitled group',
+    description: theme.description || '',
+    priority: theme.priority || null,
+    ideaIds,
+    source: 'organize',
+    createdAt: new Date().toISOString(),
+  };
+};
+
+// ============================================
+// CONNECTIONS OF ONE IDEA
+// ============================================
+
+/**
+ * Everything an idea is connected to, for the edit modal
+ * @returns {Object} { referenceIds, backlinkIds, parentId, childIds, groups }
+ */
+export const getIdeaConnections = (links, groups, ideaId) => {
+  const referenceIds = [];
+  const backlinkIds = [];
+  const childIds = [];
+  let parentId = null;
+
+  links.forEach(link => {
+    const isSource = sameId(link.sourceId, ideaId);
+    const isTarget = sameId(link.targetId, ideaId);
+    if (link.kind === 'reference') {
+      if (isSource) referenceIds.push(link.targetId);
+      if (isTarget) backlinkIds.push(link.sourceId);
+    } else if (link.kind === 'thread') {
+      if (isSource) parentId = link.targetId;
+      if (isTarget) childIds.push(link.sourceId);
+    }
+  });
+
+  return {
+    referenceIds,
+    backlinkIds,
+    parentId,
+    childIds,
+    groups: groups.filter(group => group.ideaIds.some(id => sameId(id, ideaId))),
+  };
+};
+
+/**
+ * How many links touch each idea, for the badge on the idea cards
+ * @returns {Map} String(ideaId) -> count
+ */
+export const countConnections = (links) => {
+  const counts = new Map();
+  const add = (id) => counts.set(String(id), (counts.get(String(id)) || 0) + 1);
+  links.forEach(link => {
+    add(link.sourceId);
+    add(link.targetId);
+  });
+  return counts;
+};
+
+// ============================================
+// GRAPH
+// ============================================
+
+/**
+ * Ideas that have a link or a group, and the links between them
+ * @param {Object} options - { groupId } to show one group's ideas and their links
+ * @returns {Object} { nodes: [{ id, idea, groupIndex }], edges: [{ id, kind, source, target }], truncated }
+ */
+export const buildIdeaGraph = (ideas, links, groups, { groupId = null } = {}) => {
+  const byId = new Map(ideas.map(idea => [String(idea.id), idea]));
+  const shownGroups = groupId == null ? groups : groups.filter(group => sameId(group.id, groupId));
+
+  // Members of the first group an idea belongs to share a colour
+  const groupIndexOf = new Map();
+  shownGroups.forEach((group, index) => {
+    group.ideaIds.forEach(id => {
+      if (!groupIndexOf.has(String(id))) groupIndexOf.set(String(id), index);
+    });
+  });
+
+  const included = new Set(groupIndexOf.keys());
+  if (groupId == null) {
+    links.forEach(link => {
+      included.add(String(link.sourceId));
+      included.add(String(link.targetId));
+    });
+  }
+
+  const nodeIds = [...included].filter(id => byId.has(id));
+  const truncated = nodeIds.length > MAX_GRAPH_NODES;
+  const shown = new Set(nodeIds.slice(0, MAX_GRAPH_NODES));
+
+  return {
+    nodes: [...shown].map(id => ({ id, idea: byId.get(id), groupIndex: groupIndexOf.get(id) ?? null })),
+    edges: links
+      .filter(link => shown.has(String(link.sourceId)) && shown.has(String(link.targetId)))
+      .map(link => ({ id: link.id, kind: link.kind, source: String(link.sourceId), target: String(link.targetId) })),
+    truncated,
+  };
+};
+
+/**
+ * Force-directed layout: linked ideas pull together, all ideas push apart, and
+ * members of a group are drawn towards each other. Deterministic - the same
+ * graph always lands in the same place.
+ * @param {Object} graph - From buildIdeaGraph()
+ * @returns {Object} { nodes: [{ ...node, x, y }], edges, bounds: { minX, minY, maxX, maxY } }
+ */
+export const layoutIdeaGraph = (graph) => {
+  const count = graph.nodes.length;
+  if (count === 0) {
+    return { nodes: [], edges: graph.edges, bounds: { minX: 0, minY: 0, maxX: 0, maxY: 0 } };
+  }
+
+  // Start on a circle, in list order
+  const radius = Math.max(IDEAL_EDGE_LENGTH, (count * IDEAL_EDGE_LENGTH) / (2 * Math.PI));
+  const positions = graph.nodes.map((node, index) => {
+    const angle = (2 * Math.PI * index) / count;
+    return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+  });
+  const indexOf = new Map(graph.nodes.map((node, index) => [node.id, index]));
+
+  const springs = graph.edges.map(edge => [indexOf.get(edge.source), indexOf.get(edge.target)]);
+  // Group members are tied to the group's first member
+  const firstOfGroup = new Map();
+  graph.nodes.forEach((node, index) => {
+    if (node.groupIndex === null) return;
+    if (!firstOfGroup.has(node.groupIndex)) firstOfGroup.set(node.groupIndex, index);
+    else springs.push([firstOfGroup.get(node.groupIndex), index]);
+  });
+
+  let temperature = IDEAL_EDGE_LENGTH;
+  for (let iteration = 0; iteration < LAYOUT_ITERATIONS; iteration++) {
+    const forces = positions.map(() => ({ x: 0, y: 0 }));
+
+    for (let a = 0; a < count; a++) {
+      for (let b = a + 1; b < count; b++) {
+        const dx = positions[a].x - positions[b].x;
+        const dy = positions[a].y - positions[b].y;
+        const distance = Math.max(1, Math.hypot(dx, dy));
+        const push = (IDEAL_EDGE_LENGTH * IDEAL_EDGE_LENGTH) / distance;
+        forces[a].x += (dx / distance) * push;
+        forces[a].y += (dy / distance) * push;
+        forces[b].x -= (dx / distance) * push;
+        forces[b].y -= (dy / distance) * push;
+      }
+    }
+
+    springs.forEach(([a, b]) => {
+      const dx = positions[a].x - positions[b].x;
+      const dy = positions[a].y - positions[b].y;
+      const distance = Math.max(1, Math.hypot(dx, dy));
+      const pull = (distance * distance) / IDEAL_EDGE_LENGTH;
+      forces[a].x -= (dx / distance) * pull;
+      forces[a].y -= (dy / distance) * pull;
+      forces[b].x += (dx / distance) * pull;
+      forces[b].y += (dy / distance) * pull;
+    });
+
+    // Gravity keeps unconnected ideas from drifting off
+    positions.forEach((position, index) => {
+      forces[index].x -= position.x * 0.05;
+      forces[index].y -= position.y * 0.05;
+    });
+
+    positions.forEach((position, index) => {
+      const { x, y } = forces[index];
+      const length = Math.max(1, Math.hypot(x, y));
+      const step = Math.min(length, temperature);
+      position.x += (x / length) * step;
+      position.y += (y / length) * step;
+    });
+
+    temperature *= 0.97;
+  }
+
+  const nodes = graph.nodes.map((node, index) => ({ ...node, ...positions[index] }));
+  return {
+    nodes,
+    edges: graph.edges,
+    bounds: {
+      minX: Math.min(...nodes.map(node => node.x)),
+      minY: Math.min(...nodes.map(node => node.y)),
+      maxX: Math.max(...nodes.map(node => node.x)),
+      maxY: Math.max(...nodes.map(node => node.y)),
+    },
+  };
+};
@@ -0,0 +1,642 @@
+/**
+ * IDEA SYNC SERVICE
+ *
+ * Offline-first storage for ideas so a capture never fails for lack of signal:
+ * - Every idea is written to IndexedDB first
+ * - Inserts/updates/deletes are queued in a durable outbox
+ * - The outbox is replayed against Supabase when connectivity returns
+ * - Conflicts are resolved with the ideas.last_modified column (last writer wins,
+ *   the losing local edit is kept on the idea so it can be restored)
+ *
+ * Each idea carries a syncStatus: 'pending' | 'synced' | 'conflict'
+ *
+ * Guest mode does not use this service (guest ideas stay in localStorage).
+ */
+
+import { supabase } from '../supabaseClient';
+import { jsToDb, dbToJs, dbArrayToJs } from './ideaMapper';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const DB_NAME = 'neural-capture';
+const DB_VERSION = 1;
+const IDEAS_STORE = 'ideas';
+const OUTBOX_STORE = 'outbox';
+
+const MAX_ATTEMPTS = 5;           // Non-network failures before an entry is parked as a conflict
+const RETRY_INTERVAL_MS = 30000;  // Periodic replay while entries are pending
+
+export const SYNC_STATUS = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  CONFLICT: 'conflict',
+};
+
+// ============================================
+// INDEXEDDB HELPERS
+// ============================================
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IDEAS_STORE)) {
+          const ideas = db.createObjectStore(IDEAS_STORE, { keyPath: 'id' });
+          ideas.createIndex('userId', 'userId');
+        }
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+          const outbox = db.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+          outbox.createIndex('userId', 'userId');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run work inside a single transaction and resolve once it commits
+ * @param {Array} storeNames - Object stores to open
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} work - Receives the stores (in storeNames order), may return a value
+ */
+const withStores = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(work(...storeNames.map(name => tx.objectStore(name))))
+      .then(value => { result = value; })
+      .catch(error => {
+        tx.abort();
+        reject(error);
+      });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const getAllForUser = (store, userId) => requestToPromise(store.index('userId').getAll(userId));
+
+// Strip storage-only fields before handing ideas to the UI
+const toUiIdea = ({ userId, ...idea }) => idea;
+
+const sortNewestFirst = (ideas) => [...ideas].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+// ============================================
+// CHANGE LISTENERS
+// ============================================
+
+const listeners = new Set();
+
+/**
+ * Subscribe to sync changes (status updates, server-side rewrites, removals)
+ * @param {Function} listener - Called with { updated: Array, removed: Array<id> }
+ * @returns {Function} Unsubscribe
+ */
+export const onSyncChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notify = (updated = [], removed = []) => {
+  if (updated.length === 0 && removed.length === 0) return;
+  const change = { updated: updated.map(toUiIdea), removed };
+  listeners.forEach(listener => listener(change));
+};
+
+// ============================================
+// NETWORK HELPERS
+// ============================================
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// supabase-js reports fetch failures as errors without a Postgres code
+const isNetworkError = (error) => {
+  if (!isOnline()) return true;
+  const message = String(error?.message || error || '');
+  return !error?.code && /fetch|network|load failed|timeout/i.test(message);
+};
+
+const newIdeaId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    // RFC 4122 v4 fallback for older browsers
+    : 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = (Math.random() * 16) | 0;
+        return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+      })
+);
+
+// ============================================
+// OUTBOX
+// ============================================
+
+/**
+ * Queue an operation, coalescing with anything already pending for the same idea
+ * so replay sends the minimum number of requests.
+ */
+const enqueue = async (userId, op, idea, baseLastModified = null) => {
+  await withStores([OUTBOX_STORE], 'readwrite', async (outbox) => {
+    const entries = await getAllForUser(outbox, userId);
+    const existing = entries.filter(entry => entry.ideaId === idea.id);
+    const pendingInsert = existing.find(entry => entry.op === 'insert');
+
+    if (op === 'update' && pendingInsert) {
+      // Never reached the server - fold the edit into the insert
+      outbox.put({ ...pendingInsert, payload: idea });
+      return;
+    }
+
+    if (op === 'delete' && pendingInsert) {
+      // Created and deleted while offline - the server never needs to know
+      existing.forEach(entry => outbox.delete(entry.seq));
+      return;
+    }
+
+    const pendingUpdate = existing.find(entry => entry.op === 'update');
+    if (op === 'update' && pendingUpdate) {
+      outbox.put({ ...pendingUpdate, payload: idea });
+      return;
+    }
+    if (op === 'delete') {
+      existing.forEach(entry => outbox.delete(entry.seq));
+    }
+
+    outbox.add({
+      userId,
+      op,
+      ideaId: idea.id,
+      payload: op === 'delete' ? { id: idea.id } : idea,
+      // The server version this change was based on - used for conflict detection
+      baseLastModified: pendingUpdate?.baseLastModified ?? baseLastModified,
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+    });
+  });
+
+  scheduleFlush(userId);
+};
+
+const removeEntry = (seq) => withStores([OUTBOX_STORE], 'readwrite', (outbox) => { outbox.delete(seq); });
+
+/**
+ * Remove a replayed entry - unless a newer edit was coalesced into it while the request
+ * was in flight. That edit stays queued (as an update, now the idea exists remotely).
+ * @returns {Promise<boolean>} true when the replayed version is still the latest local state
+ */
+const completeEntry = (entry, serverLastModified) => withStores([OUTBOX_STORE], 'readwrite', async (outbox) => {
+  const current = await requestToPromise(outbox.get(entry.seq));
+  if (!current) return false; // Superseded by a delete
+
+  if (current.payload?.lastModified === entry.payload?.lastModified) {
+    outbox.delete(entry.seq);
+    return true;
+  }
+
+  outbox.put({
+    ...current,
+    op: current.op === 'insert' ? 'update' : current.op,
+    baseLastModified: serverLastModified ?? current.baseLastModified,
+  });
+  return false;
+});
+
+const putIdea = (userId, idea) => withStores([IDEAS_STORE], 'readwrite', (ideas) => {
+  ideas.put({ ...idea, userId });
+});
+
+const getIdea = (id) => withStores([IDEAS_STORE], 'readonly', (ideas) => requestToPromise(ideas.get(id)));
+
+const deleteLocalIdea = (id) => withStores([IDEAS_STORE], 'readwrite', (ideas) => { ideas.delete(id); });
+
+// Replay a single outbox entry. Returns the idea patch to apply locally, or null.
+const replayEntry = async (entry) => {
+  const { op, payload, userId } = entry;
+
+  if (op === 'insert') {
+    // Send created_at so ideas captured offline keep their capture time
+    const { data, error } = await supabase
+      .from('ideas')
+      .insert({ ...jsToDb(payload, userId), created_at: payload.timestamp })
+      .select()
+      .single();
+
+    // 23505 = unique violation: an earlier attempt landed but its response was lost
+    if (error && error.code !== '23505') throw error;
+    return data
+      ? { ...dbToJs(data), syncStatus: SYNC_STATUS.SYNCED }
+      : { ...payload, syncStatus: SYNC_STATUS.SYNCED };
+  }
+
+  if (op === 'update') {
+    const { data: remote, error: fetchError } = await supabase
+      .from('ideas')
+      .select('*')
+      .eq('id', payload.id)
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+
+    // Deleted on another device - keep the local edit but flag it
+    if (!remote) {
+      return { ...payload, syncStatus: SYNC_STATUS.CONFLICT, conflict: { reason: 'deleted-remotely' } };
+    }
+
+    const remoteModified = new Date(remote.last_modified).getTime();
+    const baseModified = entry.baseLastModified ? new Date(entry.baseLastModified).getTime() : 0;
+    const localModified = new Date(payload.lastModified || entry.queuedAt).getTime();
+
+    // Someone else changed the idea after our edit was made - their newer write wins
+    if (remoteModified > baseModified && remoteModified > localModified) {
+      return {
+        ...dbToJs(remote),
+        syncStatus: SYNC_STATUS.CONFLICT,
+        conflict: { reason: 'remote-newer', localVersion: payload },
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('ideas')
+      .update(jsToDb(payload, userId))
+      .eq('id', payload.id)
+      .select()
+      .single();
+    if (error) throw error;
+    return { ...dbToJs(data), syncStatus: SYNC_STATUS.SYNCED };
+  }
+
+  if (op === 'delete') {
+    const { error } = await supabase
+      .from('ideas')
+      .delete()
+      .eq('id', payload.id);
+    if (error) throw error;
+    return null;
+  }
+
+  return null;
+};
+
+const flushing = new Map();
+
+/**
+ * Replay queued changes for a user in order. Stops at the first network failure
+ * so ordering is preserved; the next flush picks up where this one left off.
+ * @param {string} userId - Supabase user id
+ * @returns {Promise<Object>} { success, data: { synced, remaining } }
+ */
+export const flushOutbox = (userId) => {
+  if (!userId || userId === 'guest') return Promise.resolve({ success: true, data: { synced: 0, remaining: 0 } });
+  if (flushing.has(userId)) return flushing.get(userId);
+
+  const run = (async () => {
+    let synced = 0;
+    try {
+      const entries = await withStores([OUTBOX_STORE], 'readonly', (outbox) => getAllForUser(outbox, userId));
+      entries.sort((a, b) => a.seq - b.seq);
+
+      for (const entry of entries) {
+        if (!isOnline()) break;
+
+        try {
+          const patch = await replayEntry(entry);
+          const isLatest = await completeEntry(entry, patch?.lastModified);
+          synced++;
+
+          if (!isLatest) continue;
+          if (patch) {
+            const { conflict, ...rest } = patch;
+            const local = await getIdea(patch.id);
+            const merged = { ...(local || {}), ...rest, conflict: conflict || null };
+            await putIdea(userId, merged);
+            notify([merged]);
+          } else if (entry.op === 'delete') {
+            await deleteLocalIdea(entry.ideaId);
+          }
+        } catch (error) {
+          if (isNetworkError(error)) break;
+
+          console.error(`Failed to sync idea ${entry.ideaId} (${entry.op}):`, error);
+          const attempts = entry.attempts + 1;
+
+          if (attempts >= MAX_ATTEMPTS) {
+            // Park it: drop from the queue but keep the idea visible as a conflict
+            await removeEntry(entry.seq);
+            const local = await getIdea(entry.ideaId);
+            if (local) {
+              const parked = { ...local, syncStatus: SYNC_STATUS.CONFLICT, conflict: { reason: 'rejected', message: error.message } };
+              await putIdea(userId, parked);
+              notify([parked]);
+            }
+          } else {
+            await withStores([OUTBOX_STORE], 'readwrite', (outbox) => { outbox.put({ ...entry, attempts }); });
+          }
+          break;
+        }
+      }
+
+      const remaining = await getPendingCount(userId);
+      return { success: true, data: { synced, remaining } };
+    } catch (error) {
+      console.error('Error flushing idea outbox:', error);
+      return { success: false, error: error.message };
+    } finally {
+      flushing.delete(userId);
+    }
+  })();
+
+  flushing.set(userId, run);
+  return run;
+};
+
+let retryTimer = null;
+let activeUserId = null;
+
+const scheduleFlush = (userId) => {
+  activeUserId = userId;
+  if (isOnline()) {
+    // A replay already in progress works from a snapshot - run again once it finishes
+    const inFlight = flushing.get(userId);
+    if (inFlight) inFlight.then(() => flushOutbox(userId));
+    else flushOutbox(userId);
+  }
+
+  if (!retryTimer) {
+    retryTimer = setInterval(async () => {
+      if (!activeUserId || !isOnline()) return;
+      const result = await flushOutbox(activeUserId);
+      if (result.success && result.data.remaining === 0) {
+        clearInterval(retryTimer);
+        retryTimer = null;
+      }
+    }, RETRY_INTERVAL_MS);
+  }
+};
+
+/**
+ * Start replaying the outbox whenever the browser comes back online
+ * @param {string} userId - Supabase user id
+ * @returns {Function} Cleanup
+ */
+export const startIdeaSync = (userId) => {
+  activeUserId = userId;
+  const handleOnline = () => flushOutbox(userId);
+  window.addEventListener('online', handleOnline);
+  flushOutbox(userId);
+
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    if (activeUserId === userId) activeUserId = null;
+  };
+};
+
+/**
+ * Number of queued changes not yet on the server
+ * @param {string} userId - Supabase user id
+ * @returns {Promise<number>}
+ */
+export const getPendingCount = async (userId) => {
+  const entries = await withStores([OUTBOX_STORE], 'readonly', (outbox) => getAllForUser(outbox, userId));
+  return entries.length;
+};
+
+// ============================================
+// READ / MERGE
+// ============================================
+
+/**
+ * Read ideas from IndexedDB only (instant, works offline)
+ * @param {string} userId - Supabase user id
+ * @returns {Promise<Object>} { success, data: Array }
+ */
+export const getLocalIdeas = async (userId) => {
+  try {
+    const ideas = await withStores([IDEAS_STORE], 'readonly', (store) => getAllForUser(store, userId));
+    return { success: true, data: sortNewestFirst(ideas.map(toUiIdea)) };
+  } catch (error) {
+    console.error('Error reading local ideas:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Replay the outbox, then pull the server copy and merge it into IndexedDB.
+ * Ideas with queued changes keep their local version; synced ideas missing
+ * from the server were deleted elsewhere and are removed locally.
+ * @param {string} userId - Supabase user id
+ * @returns {Promise<Object>} { success, data: Array, offline? }
+ */
+export const syncIdeas = async (userId) => {
+  await flushOutbox(userId);
+
+  if (!isOnline()) {
+    const local = await getLocalIdeas(userId);
+    return { ...local, offline: true };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('ideas')
+      .select('*')
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+
+    const remoteIdeas = dbArrayToJs(data);
+    const merged = await withStores([IDEAS_STORE, OUTBOX_STORE], 'readwrite', async (ideas, outbox) => {
+      const [localIdeas, entries] = await Promise.all([
+        getAllForUser(ideas, userId),
+        getAllForUser(outbox, userId),
+      ]);
+      const queuedIds = new Set(entries.map(entry => entry.ideaId));
+      const localById = new Map(localIdeas.map(idea => [idea.id, idea]));
+      const remoteIds = new Set(remoteIdeas.map(idea => idea.id));
+      const result = [];
+
+      remoteIdeas.forEach(remote => {
+        const local = localById.get(remote.id);
+        if (queuedIds.has(remote.id) && local) {
+          result.push(local);
+        } else if (local?.syncStatus === SYNC_STATUS.CONFLICT && local.conflict) {
+          // Keep the conflict flag until the user picks a version
+          const kept = { ...local, ...remote, syncStatus: SYNC_STATUS.CONFLICT };
+          ideas.put(kept);
+          result.push(kept);
+        } else {
+          const synced = { ...remote, userId, syncStatus: SYNC_STATUS.SYNCED, conflict: null };
+          ideas.put(synced);
+          result.push(synced);
+        }
+      });
+
+      localIdeas.forEach(local => {
+        if (remoteIds.has(local.id)) return;
+        if (queuedIds.has(local.id) || local.syncStatus === SYNC_STATUS.CONFLICT) {
+          result.push(local);
+        } else {
+          ideas.delete(local.id);
+        }
+      });
+
+      return result;
+    });
+
+    return { success: true, data: sortNewestFirst(merged.map(toUiIdea)) };
+  } catch (error) {
+    if (isNetworkError(error)) {
+      const local = await getLocalIdeas(userId);
+      return { ...local, offline: true };
+    }
+    console.error('Error syncing ideas:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+// ============================================
+// WRITES
+// ============================================
+
+/**
+ * Save a new idea locally and queue it for upload.
+ * The id is generated client-side so the idea is usable before it reaches Supabase.
+ * @param {string} userId - Supabase user id
+ * @param {Object} idea - JS idea (camelCase)
+ * @returns {Promise<Object>} { success, data: idea }
+ */
+export const createIdea = async (userId, idea) => {
+  try {
+    const now = new Date().toISOString();
+    const localIdea = {
+      ...idea,
+      id: idea.id || newIdeaId(),
+      timestamp: idea.timestamp || now,
+      lastModified: now,
+      syncStatus: SYNC_STATUS.PENDING,
+      conflict: null,
+    };
+
+    await putIdea(userId, localIdea);
+    await enqueue(userId, 'insert', localIdea);
+    return { success: true, data: localIdea };
+  } catch (error) {
+    console.error('Error saving idea locally:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Save an edit locally and queue it for upload
+ * @param {string} userId - Supabase user id
+ * @param {Object} idea - Updated JS idea (camelCase)
+ * @returns {Promise<Object>} { success, data: idea }
+ */
+export const updateIdea = async (userId, idea) => {
+  try {
+    const existing = await getIdea(idea.id);
+    // Base version for conflict detection is the last server timestamp we saw.
+    // Synced and conflicted records hold the server's last_modified; pending ones remember their base.
+    const baseLastModified = existing?.syncStatus === SYNC_STATUS.PENDING
+      ? existing.baseLastModified || null
+      : existing?.lastModified || idea.lastModified || null;
+
+    const localIdea = {
+      ...idea,
+      lastModified: new Date().toISOString(),
+      baseLastModified,
+      syncStatus: SYNC_STATUS.PENDING,
+      conflict: null,
+    };
+
+    await putIdea(userId, localIdea);
+    await enqueue(userId, 'update', localIdea, baseLastModified);
+    return { success: true, data: localIdea };
+  } catch (error) {
+    console.error('Error updating idea locally:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove an idea locally and queue the delete
+ * @param {string} userId - Supabase user id
+ * @param {string} ideaId - Idea id
+ * @returns {Promise<Object>} { success }
+ */
+export const deleteIdea = async (userId, ideaId) => {
+  try {
+    await deleteLocalIdea(ideaId);
+    await enqueue(userId, 'delete', { id: ideaId });
+    notify([], [ideaId]);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting idea locally:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Resolve a conflicted idea
+ * @param {string} userId - Supabase user id
+ * @param {Object} idea - The conflicted idea (with conflict.localVersion when available)
+ * @param {string} keep - 'local' to re-apply the offline edit, 'remote' to accept the server version
+ * @returns {Promise<Object>} { success, data: idea } - data is null when the idea no longer exists
+ */
+export const resolveConflict = async (userId, idea, keep) => {
+  try {
+    const reason = idea.conflict?.reason;
+
+    // A rejected change may never have reached the server - check what it holds now
+    let remote = null;
+    if (reason === 'rejected') {
+      const { data, error } = await supabase
+        .from('ideas')
+        .select('*')
+        .eq('id', idea.id)
+        .maybeSingle();
+      if (error) throw error;
+      remote = data ? dbToJs(data) : null;
+    }
+    const existsRemotely = reason === 'remote-newer' || (reason === 'rejected' && remote);
+
+    if (keep === 'local') {
+      const { conflict, ...localVersion } = idea.conflict?.localVersion || idea;
+      // Re-queue against the current server version (or re-create it if it is gone)
+      return existsRemotely
+        ? updateIdea(userId, localVersion)
+        : createIdea(userId, localVersion);
+    }
+
+    if (!existsRemotely) {
+      await deleteLocalIdea(idea.id);
+      notify([], [idea.id]);
+      return { success: true, data: null };
+    }
+
+    const { conflict, ...serverVersion } = remote || idea;
+    const accepted = { ...serverVersion, syncStatus: SYNC_STATUS.SYNCED, conflict: null };
+    await putIdea(userId, accepted);
+    notify([accepted]);
+    return { success: true, data: accepted };
+  } catch (error) {
+    console.error('Error resolving idea conflict:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -12,6 +12,7 @@
  */
 
 import { supabase } from '../supabaseClient';
+import { appendReviewLog } from './reviewLogService';
 
 // ============================================
 // CONSTANTS
@@ -27,6 +28,12 @@ const OSCILLATION_LIMIT = 3;
 
 const DIFFICULTY_ORDER = ['easy', 'medium', 'hard', 'extreme'];
 
+// Review log rating per question result (skipped questions aren't logged)
+const RESULT_RATINGS = { incorrect: 1, partial: 2, correct: 3 };
+// Attempts closer together than this count as the same practice session
+const SESSION_GAP_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // localStorage keys for guest mode
 const GUEST_HISTORY_KEY = 'learning-question-history';
 const GUEST_SCORES_KEY = 'learning-scores';
@@ -132,12 +139,41 @@ const saveGuestMastery = (mastery) => {
 // QUESTION HISTORY OPERATIONS
 // ============================================
 
+/**
+ * Append a question attempt to the review log.
+ * Elapsed days are measured from the topic's previous practice session, so
+ * every question in one sitting shares the same gap for the forgetting curves.
+ * @param {Object} entry - The saved history entry
+ * @param {string|null} previousAt - created_at of the last attempt before this session
+ */
+const logQuestionReview = (entry, previousAt) => {
+  const rating = RESULT_RATINGS[entry.result];
+  if (!rating) return;
+
+  const reviewedAt = entry.created_at || new Date().toISOString();
+
+  // Fire and forget - a logging failure shouldn't fail the save
+  appendReviewLog({
+    itemType: 'question',
+    itemId: entry.id,
+    subject: entry.subject,
+    topic: entry.topic,
+    rating,
+    score: entry.score,
+    state: previousAt ? 'review' : 'new',
+    elapsedDays: previousAt ? (new Date(reviewedAt) - new Date(previousAt)) / DAY_MS : null,
+    timeTaken: entry.time_taken ?? entry.timeTaken,
+    reviewedAt,
+  });
+};
+
 /**
  * Save a question attempt to history
  */
 export const saveQuestionToHistory = async (entry) => {
   try {
     const { userId, isGuest } = await getCurrentUser();
+    const sessionStart = new Date(Date.now() - SESSION_GAP_MS).toISOString();
 
     if (isGuest) {
       const history = getGuestHistory();
@@ -146,11 +182,26 @@ export const saveQuestionToHistory = async (entry) => {
         ...entry,
         created_at: new Date().toISOString(),
       };
+      const previous = history.find(h => (
+        h.subject === entry.subject && h.topic === entry.topic && h.created_at < sessionStart
+      ));
       const updated = [newEntry, ...history].slice(0, 1000);
       saveGuestHistory(updated);
+      logQuestionReview(newEntry, previous?.created_at || null);
       return { success: true, data: newEntry };
     }
 
+    // Last attempt on this topic before the current session
+    const { data: previous } = await supabase
+      .from('learning_history')
+      .select('created_at')
+      .eq('user_id', userId)
+      .eq('subject', entry.subject)
+      .eq('topic', entry.topic)
+      .lt('created_at', sessionStart)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
     // Supabase for authenticated users
     const { data, error } = await supabase
       .from('learning_history')
@@ -174,6 +225,7 @@ export const saveQuestionToHistory = async (entry) => {
       .single();
 
     if (error) throw error;
+    logQuestionReview(data, previous?.[0]?.created_at || null);
     return { success: true, data };
   } catch (error) {
     console.error('Error saving question to history:', error);
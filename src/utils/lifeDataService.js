@@ -0,0 +1,271 @@
+/**
+ * LIFE DATA SERVICE
+ *
+ * Handles persistence for the day-to-day tracking data:
+ * - Activity logs (QuickLogger)
+ * - End-of-day reviews
+ * - Today's routine checklist and past checklist history
+ * - Calendar events
+ * - Smart reminder history
+ * - Links between ideas and saved idea groups
+ *
+ * Supports both:
+ * - Authenticated users (Supabase tables, see supabase-setup.sql)
+ * - Guest users (localStorage fallback)
+ *
+ * Components keep working with the same value shapes they used with
+ * useLocalStorage (arrays/objects); useLifeData turns value changes into
+ * row-level upserts and deletes through syncLifeData(). How each key maps to
+ * its table is in lifeDataTables.js.
+ */
+
+import { supabase } from '../supabaseClient';
+import { LIFE_DATA_TABLES } from './lifeDataTables';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const UPSERT_BATCH_SIZE = 100;
+
+export const LIFE_DATA_KEYS = Object.keys(LIFE_DATA_TABLES);
+
+// ============================================
+// AUTH HELPERS
+// ============================================
+
+/**
+ * Get current user and determine if guest mode
+ * @returns {Object} { userId, isGuest }
+ */
+const getCurrentUser = async () => {
+  let { data: { user } } = await supabase.auth.getUser();
+
+  // getUser() needs the network - offline, trust the locally stored session
+  if (!user) {
+    const { data: { session } } = await supabase.auth.getSession();
+    user = session?.user || null;
+  }
+
+  // Check for guest mode
+  const isGuestMode = localStorage.getItem('neural-guest-mode') === 'true';
+
+  if (isGuestMode || !user) {
+    return { userId: 'guest', isGuest: true };
+  }
+
+  return { userId: user.id, isGuest: false };
+};
+
+// ============================================
+// GUEST MODE HELPERS
+// ============================================
+
+const getGuestValue = (key, fallback = null) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const saveGuestValue = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+  }
+};
+
+// ============================================
+// ROW HELPERS
+// ============================================
+
+const getConfig = (key) => {
+  const config = LIFE_DATA_TABLES[key];
+  if (!config) throw new Error(`Unknown life data key: ${key}`);
+  return config;
+};
+
+/**
+ * Flatten a stored value into keyed rows
+ * @returns {Map<string, Object>} record key -> row (without user_id)
+ */
+const toRowMap = (config, value) => {
+  const rows = new Map();
+  if (!value) return rows;
+
+  if (config.shape === 'single') {
+    if (value.date) rows.set('single', config.toRow(value));
+  } else if (config.shape === 'map') {
+    Object.entries(value).forEach(([date, day]) => {
+      if (day) rows.set(date, config.toRow(day, date));
+    });
+  } else {
+    (Array.isArray(value) ? value : []).forEach((item) => {
+      if (item) rows.set(config.keyOf(item), config.toRow(item));
+    });
+  }
+  return rows;
+};
+
+const fromRows = (config, rows) => {
+  if (config.shape === 'single') {
+    return rows.length > 0 ? config.fromRow(rows[0]) : null;
+  }
+  if (config.shape === 'map') {
+    return Object.fromEntries(rows.map(config.fromRow));
+  }
+  return rows.map(config.fromRow);
+};
+
+const upsertRows = async (config, userId, rows) => {
+  const onConflict = config.keyColumn === 'user_id' ? 'user_id' : `user_id,${config.keyColumn}`;
+
+  for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + UPSERT_BATCH_SIZE).map(row => ({ ...row, user_id: userId }));
+    const { error } = await supabase
+      .from(config.table)
+      .upsert(batch, { onConflict });
+    if (error) throw error;
+  }
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Load a life data value
+ * For guests: localStorage
+ * For authenticated: rows from the key's Supabase table
+ *
+ * @param {string} key - One of LIFE_DATA_KEYS (the old localStorage key)
+ * @returns {Promise} - { success, data } where data has the same shape useLocalStorage stored
+ *                      (null for an empty 'single' value)
+ */
+export const getLifeData = async (key) => {
+  try {
+    const config = getConfig(key);
+    const { userId, isGuest } = await getCurrentUser();
+
+    if (isGuest) {
+      return { success: true, data: getGuestValue(key) };
+    }
+
+    let query = supabase
+      .from(config.table)
+      .select('*')
+      .eq('user_id', userId);
+
+    if (config.orderBy) {
+      query = query.order(config.orderBy, { ascending: false });
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return { success: true, data: fromRows(config, data || []) };
+  } catch (error) {
+    console.error(`Error loading ${key}:`, error);
+    return { success: false, error: error.message, data: null };
+  }
+};
+
+/**
+ * Persist the difference between two values of a life data key
+ * For guests: writes the new value to localStorage
+ * For authenticated: upserts changed records and deletes removed ones
+ *
+ * @param {string} key - One of LIFE_DATA_KEYS
+ * @param {*} previousValue - Last value known to be saved (null to upload everything)
+ * @param {*} nextValue - Current value
+ * @returns {Promise} - { success, data: { upserted, deleted } }
+ */
+export const syncLifeData = async (key, previousValue, nextValue) => {
+  try {
+    const config = getConfig(key);
+    const { userId, isGuest } = await getCurrentUser();
+
+    if (isGuest) {
+      saveGuestValue(key, nextValue);
+      return { success: true, data: { upserted: 0, deleted: 0 } };
+    }
+
+    const previousRows = toRowMap(config, previousValue);
+    const nextRows = toRowMap(config, nextValue);
+
+    const changed = [...nextRows.entries()]
+      .filter(([recordKey, row]) => JSON.stringify(previousRows.get(recordKey)) !== JSON.stringify(row))
+      .map(([, row]) => row);
+
+    const removed = config.shape === 'single'
+      ? []
+      : [...previousRows.keys()].filter(recordKey => !nextRows.has(recordKey));
+
+    if (changed.length > 0) {
+      await upsertRows(config, userId, changed);
+    }
+
+    if (removed.length > 0) {
+      const { error } = await supabase
+        .from(config.table)
+        .delete()
+        .eq('user_id', userId)
+        .in(config.keyColumn, removed);
+      if (error) throw error;
+    }
+
+    return { success: true, data: { upserted: changed.length, deleted: removed.length } };
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+// ============================================
+// MIGRATION: localStorage to Supabase
+// ============================================
+
+/**
+ * Upload logs, reviews, checklist, calendar and reminder data that was kept in
+ * localStorage (before these tables existed, or while in guest mode) to the
+ * authenticated user's Supabase account. Runs once per user.
+ */
+export const migrateGuestLifeDataToSupabase = async () => {
+  try {
+    const { data: { session } } = await supabase.auth.getSession();
+    const user = session?.user;
+    if (!user) {
+      return { success: false, error: 'No authenticated user' };
+    }
+
+    const migrationKey = `life-data-migrated-${user.id}`;
+    if (localStorage.getItem(migrationKey)) {
+      return { success: true, alreadyMigrated: true };
+    }
+
+    const migrated = {};
+
+    for (const key of LIFE_DATA_KEYS) {
+      const config = LIFE_DATA_TABLES[key];
+      const rows = [...toRowMap(config, getGuestValue(key)).values()];
+      if (rows.length > 0) {
+        await upsertRows(config, user.id, rows);
+      }
+      migrated[key] = rows.length;
+    }
+
+    // Mark as migrated
+    localStorage.setItem(migrationKey, new Date().toISOString());
+
+    // Clear local data after successful migration
+    LIFE_DATA_KEYS.forEach(key => localStorage.removeItem(key));
+
+    return { success: true, migrated };
+  } catch (error) {
+    console.error('Error migrating local life data:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,212 @@
+/**
+ * LIFE DATA TABLES
+ *
+ * How each localStorage key of the day-to-day tracking data maps to its
+ * Supabase table (supabase-setup.sql): record <-> row, used by
+ * lifeDataService.js for loads, upserts and deletes.
+ */
+
+// Local ids are Date.now() numbers - store them as text, restore them as numbers
+const toClientId = (id) => String(id);
+const fromClientId = (clientId) => (/^\d+(\.\d+)?$/.test(clientId) ? Number(clientId) : clientId);
+
+/**
+ * Table mapping for each localStorage key.
+ * shape: 'list' (array of records), 'map' (object keyed by date) or 'single' (one object)
+ * keyColumn: column that identifies a record for upserts/deletes (with user_id)
+ */
+export const LIFE_DATA_TABLES = {
+  'neural-logs': {
+    table: 'activity_logs',
+    shape: 'list',
+    keyColumn: 'client_id',
+    orderBy: 'logged_at',
+    keyOf: (log) => toClientId(log.id),
+    toRow: (log) => ({
+      client_id: toClientId(log.id),
+      logged_at: log.timestamp,
+      time_period: log.timePeriod || null,
+      energy: log.energy ?? null,
+      motivation: log.motivation ?? null,
+      activity: log.activity || null,
+      subject: log.subject || null,
+      subject_hierarchy: log.subjectHierarchy || null,
+      duration: log.duration ?? null,
+      routine_id: log.routineId ?? null,
+      note: log.note || '',
+    }),
+    fromRow: (row) => ({
+      id: fromClientId(row.client_id),
+      timestamp: row.logged_at,
+      timePeriod: row.time_period,
+      energy: row.energy,
+      motivation: row.motivation,
+      activity: row.activity,
+      subject: row.subject,
+      subjectHierarchy: row.subject_hierarchy,
+      duration: row.duration,
+      routineId: row.routine_id ?? null,
+      note: row.note || '',
+    }),
+  },
+
+  'neural-reviews': {
+    table: 'daily_reviews',
+    shape: 'list',
+    keyColumn: 'review_date',
+    orderBy: 'review_date',
+    keyOf: (review) => review.date,
+    toRow: (review) => ({
+      review_date: review.date,
+      client_id: review.id != null ? toClientId(review.id) : null,
+      reviewed_at: review.timestamp || null,
+      completed: review.completed !== false,
+      responses: review.responses || {},
+      actual_data: review.actualData || null,
+      comparison: review.comparison || null,
+      insights: review.insights || null,
+    }),
+    fromRow: (row) => ({
+      id: row.client_id ? fromClientId(row.client_id) : row.id,
+      date: row.review_date,
+      timestamp: row.reviewed_at,
+      completed: row.completed,
+      responses: row.responses || {},
+      actualData: row.actual_data,
+      comparison: row.comparison,
+      insights: row.insights || [],
+    }),
+  },
+
+  'neural-checklist': {
+    table: 'daily_checklists',
+    shape: 'single',
+    keyColumn: 'user_id',
+    toRow: (checklist) => ({
+      checklist_date: checklist.date,
+      items: checklist.items || [],
+    }),
+    fromRow: (row) => ({
+      date: row.checklist_date,
+      items: row.items || [],
+    }),
+  },
+
+  'neural-checklist-history': {
+    table: 'checklist_history',
+    shape: 'map',
+    keyColumn: 'history_date',
+    toRow: (day, date) => ({
+      history_date: date,
+      completed: day.completed || [],
+      timestamps: day.timestamps || {},
+      completion_rate: day.completionRate ?? 0,
+      total_items: day.totalItems ?? 0,
+      due: day.due ?? null,
+      progress: day.progress || {},
+    }),
+    fromRow: (row) => [row.history_date, {
+      completed: row.completed || [],
+      timestamps: row.timestamps || {},
+      completionRate: row.completion_rate,
+      totalItems: row.total_items,
+      // Days saved before schedules have no list - habitAnalytics reads their schedule instead
+      ...(row.due ? { due: row.due } : {}),
+      progress: row.progress || {},
+    }],
+  },
+
+  'neural-calendar-events': {
+    table: 'calendar_events',
+    shape: 'list',
+    keyColumn: 'client_id',
+    orderBy: 'start_at',
+    keyOf: (event) => toClientId(event.id),
+    toRow: (event) => ({
+      client_id: toClientId(event.id),
+      title: event.title,
+      description: event.description || '',
+      start_at: event.start,
+      end_at: event.end,
+      priority: event.priority || 'medium',
+    }),
+    fromRow: (row) => ({
+      id: fromClientId(row.client_id),
+      title: row.title,
+      description: row.description || '',
+      start: row.start_at,
+      end: row.end_at,
+      priority: row.priority || 'medium',
+    }),
+  },
+
+  'neural-reminder-history': {
+    table: 'reminder_history',
+    shape: 'list',
+    keyColumn: 'idea_id',
+    keyOf: (entry) => toClientId(entry.ideaId),
+    toRow: (entry) => ({
+      idea_id: toClientId(entry.ideaId),
+      last_shown: entry.lastShown || null,
+      show_count: entry.showCount || 0,
+      dismiss_count: entry.dismissCount || 0,
+      snooze_count: entry.snoozeCount || 0,
+      action_taken: entry.actionTaken || false,
+    }),
+    fromRow: (row) => ({
+      ideaId: fromClientId(row.idea_id),
+      lastShown: row.last_shown,
+      showCount: row.show_count,
+      dismissCount: row.dismiss_count,
+      snoozeCount: row.snooze_count || 0,
+      actionTaken: row.action_taken,
+    }),
+  },
+
+  'neural-idea-links': {
+    table: 'idea_links',
+    shape: 'list',
+    keyColumn: 'client_id',
+    keyOf: (link) => link.id,
+    toRow: (link) => ({
+      client_id: link.id,
+      kind: link.kind,
+      source_id: toClientId(link.sourceId),
+      target_id: toClientId(link.targetId),
+      label: link.label || null,
+    }),
+    fromRow: (row) => ({
+      id: row.client_id,
+      kind: row.kind,
+      sourceId: fromClientId(row.source_id),
+      targetId: fromClientId(row.target_id),
+      label: row.label || null,
+    }),
+  },
+
+  'neural-idea-groups': {
+    table: 'idea_groups',
+    shape: 'list',
+    keyColumn: 'client_id',
+    orderBy: 'created_at',
+    keyOf: (group) => toClientId(group.id),
+    toRow: (group) => ({
+      client_id: toClientId(group.id),
+      name: group.name,
+      description: group.description || '',
+      priority: group.priority || null,
+      idea_ids: (group.ideaIds || []).map(toClientId),
+      source: group.source || 'manual',
+      created_at: group.createdAt,
+    }),
+    fromRow: (row) => ({
+      id: fromClientId(row.client_id),
+      name: row.name,
+      description: row.description || '',
+      priority: row.priority,
+      ideaIds: (row.idea_ids || []).map(fromClientId),
+      source: row.source,
+      createdAt: row.created_at,
+    }),
+  },
+};
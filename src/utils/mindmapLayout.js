@@ -0,0 +1,153 @@
+/**
+ * MIND MAP LAYOUT
+ *
+ * Pure helpers over a mind map from /api/generate-mindmap
+ * ({ rootId, nodes: [{ id, parentId, label, kind, summary }], crossLinks }):
+ * - Radial tree layout with collapsible branches
+ * - Branch extraction for "make flashcards from this branch"
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Distance between depth rings
+const RING_SPACING = 200;
+
+// Arc length each visible leaf needs on the outer ring so labels don't overlap
+const MIN_LEAF_ARC = 110;
+
+// First branch points straight up, the rest follow clockwise
+const START_ANGLE = -Math.PI / 2;
+
+// ============================================
+// TREE HELPERS
+// ============================================
+
+/**
+ * Children of every node, in the order the map lists them
+ * @returns {Map} parentId -> [node]
+ */
+export const buildChildrenMap = (mindmap) => {
+  const children = new Map();
+  mindmap.nodes.forEach(node => {
+    if (!node.parentId) return;
+    if (!children.has(node.parentId)) children.set(node.parentId, []);
+    children.get(node.parentId).push(node);
+  });
+  return children;
+};
+
+/**
+ * A node and everything below it, breadth first
+ * @param {Object} mindmap - Mind map
+ * @param {string} nodeId - Branch root
+ * @returns {Array<Object>} Nodes, starting with nodeId's node
+ */
+export const getBranchNodes = (mindmap, nodeId) => {
+  const children = buildChildrenMap(mindmap);
+  const start = mindmap.nodes.find(node => node.id === nodeId);
+  if (!start) return [];
+
+  const branch = [];
+  const queue = [start];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    branch.push(node);
+    queue.push(...(children.get(node.id) || []));
+  }
+  return branch;
+};
+
+/**
+ * Branch in the shape /api/generate-flashcards expects
+ * @returns {Object} { label, concepts: [{ label, summary }] }
+ */
+export const toFlashcardBranch = (mindmap, nodeId) => {
+  const nodes = getBranchNodes(mindmap, nodeId);
+  return {
+    label: nodes[0]?.label || '',
+    concepts: nodes.map(node => ({ label: node.label, summary: node.summary || '' })),
+  };
+};
+
+// ============================================
+// RADIAL LAYOUT
+// ============================================
+
+/**
+ * Place visible nodes on concentric rings around the root. Each subtree gets an
+ * angular wedge proportional to its visible leaves; collapsed nodes count as leaves.
+ *
+ * @param {Object} mindmap - Mind map
+ * @param {Set<string>} collapsed - IDs of collapsed nodes
+ * @returns {Object} { nodes: [{ ...node, x, y, depth, childCount, hiddenCount }],
+ *                     edges: [{ from, to }], crossLinks: [{ from, to, label }],
+ *                     bounds: { minX, maxX, minY, maxY } }
+ */
+export const layoutMindmap = (mindmap, collapsed = new Set()) => {
+  const children = buildChildrenMap(mindmap);
+  const root = mindmap.nodes.find(node => node.id === mindmap.rootId) || mindmap.nodes[0];
+  if (!root) {
+    return { nodes: [], edges: [], crossLinks: [], bounds: { minX: 0, maxX: 0, minY: 0, maxY: 0 } };
+  }
+
+  const visibleChildren = (id) => (collapsed.has(id) ? [] : children.get(id) || []);
+
+  // Visible leaves per subtree, and the deepest visible ring
+  const leaves = new Map();
+  let maxDepth = 0;
+  const countLeaves = (node, depth) => {
+    maxDepth = Math.max(maxDepth, depth);
+    const kids = visibleChildren(node.id);
+    const count = kids.length === 0 ? 1 : kids.reduce((sum, kid) => sum + countLeaves(kid, depth + 1), 0);
+    leaves.set(node.id, count);
+    return count;
+  };
+  countLeaves(root, 0);
+
+  // Spread the rings out when the outer one is too crowded
+  const outerCircumference = 2 * Math.PI * Math.max(1, maxDepth) * RING_SPACING;
+  const ringSpacing = RING_SPACING * Math.max(1, (leaves.get(root.id) * MIN_LEAF_ARC) / outerCircumference);
+
+  const countDescendants = (id) => (children.get(id) || [])
+    .reduce((sum, kid) => sum + 1 + countDescendants(kid.id), 0);
+
+  const placed = [];
+  const edges = [];
+  const place = (node, depth, fromAngle, toAngle) => {
+    const angle = (fromAngle + toAngle) / 2;
+    const radius = depth * ringSpacing;
+    const childCount = (children.get(node.id) || []).length;
+    placed.push({
+      ...node,
+      x: depth === 0 ? 0 : Math.cos(angle) * radius,
+      y: depth === 0 ? 0 : Math.sin(angle) * radius,
+      depth,
+      childCount,
+      hiddenCount: collapsed.has(node.id) ? countDescendants(node.id) : 0,
+    });
+
+    let start = fromAngle;
+    const span = toAngle - fromAngle;
+    visibleChildren(node.id).forEach(kid => {
+      const kidSpan = span * (leaves.get(kid.id) / leaves.get(node.id));
+      edges.push({ from: node.id, to: kid.id });
+      place(kid, depth + 1, start, start + kidSpan);
+      start += kidSpan;
+    });
+  };
+  place(root, 0, START_ANGLE, START_ANGLE + 2 * Math.PI);
+
+  const visible = new Set(placed.map(node => node.id));
+  const crossLinks = (mindmap.crossLinks || []).filter(link => visible.has(link.from) && visible.has(link.to));
+
+  const bounds = placed.reduce((box, node) => ({
+    minX: Math.min(box.minX, node.x),
+    maxX: Math.max(box.maxX, node.x),
+    minY: Math.min(box.minY, node.y),
+    maxY: Math.max(box.maxY, node.y),
+  }), { minX: 0, maxX: 0, minY: 0, maxY: 0 });
+
+  return { nodes: placed, edges, crossLinks, bounds };
+};
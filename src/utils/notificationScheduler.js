@@ -0,0 +1,383 @@
+/**
+ * NOTIFICATION SCHEDULER
+ *
+ * Works out which reminders become notifications and when, and shows them:
+ * - Routines: today's unfinished checklist items, at their category's time
+ * - Deadlines: ideas with a dueDate, the day before and on the day
+ * - Calendar events: a few minutes before they start
+ * - Smart reminders: high-priority /api/get-reminders results, as soon as they come in
+ * Quiet hours hold notifications back until they end. Each notification has a
+ * key ('kind:id:when') so it is only shown once; snoozing shows it again later.
+ *
+ * Notifications go through the service worker (registration.showNotification) so
+ * they carry Snooze/Done actions; the worker posts the action back to the page
+ * (see notificationclick in src/workers/serviceWorker.js). Without a worker
+ * (dev builds) plain Notifications are used, without actions.
+ *
+ * With push on, the device is also subscribed to Web Push (pushSubscription.js):
+ * the server scores smart reminders on its own schedule and the worker shows the
+ * ones it pushes (server/push), so they arrive while the app is closed.
+ *
+ * The scheduling helpers are pure; useNotificationScheduler runs them.
+ */
+
+import { describeTarget, progressOf, targetOf } from './routineProgress.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  routines: true,
+  deadlines: true,
+  events: true,
+  smart: true,
+  // Smart reminders also pushed by the server while the app is closed
+  push: false,
+  // When each checklist category's routines are nudged (local time)
+  routineTimes: {
+    Morning: '08:00',
+    'Throughout Day': '13:00',
+    Study: '15:00',
+    Evening: '19:00',
+    'Before Bed': '21:30',
+  },
+  deadlineTime: '09:00',
+  eventLeadMinutes: 10,
+  snoozeMinutes: 10,
+  quietHours: { enabled: true, start: '22:30', end: '07:30' },
+};
+
+export const NOTIFICATION_KINDS = [
+  { value: 'routines', label: 'Routines' },
+  { value: 'deadlines', label: 'Idea deadlines' },
+  { value: 'events', label: 'Calendar events' },
+  { value: 'smart', label: 'Smart reminders' },
+];
+
+// Notifications this late are skipped rather than shown (e.g. the app was closed at the time)
+const MISSED_GRACE_MS = 30 * 60 * 1000;
+
+// Only the next day is scheduled - the queue is rebuilt as time passes
+const LOOKAHEAD_MS = 24 * 60 * 60 * 1000;
+
+const ACTION_MESSAGE = 'NOTIFICATION_ACTION';
+
+// ============================================
+// TIME HELPERS
+// ============================================
+
+const MINUTE_MS = 60 * 1000;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '00:00').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+// The local time 'HH:MM' on the day of `date` (ms)
+const atTime = (date, time) => {
+  const at = new Date(date);
+  const minutes = toMinutes(time);
+  at.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return at.getTime();
+};
+
+// The app's day at a time: the 'YYYY-MM-DD' getTodayString() gives then
+const appDay = (time) => new Date(time).toISOString().split('T')[0];
+
+// Local midnight of a 'YYYY-MM-DD' date (ms)
+const localDay = (dateString) => {
+  const [year, month, day] = dateString.slice(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day).getTime();
+};
+
+/**
+ * Whether a time falls in quiet hours (which may run past midnight)
+ * @param {number} time - ms
+ * @param {Object} quietHours - { enabled, start: 'HH:MM', end: 'HH:MM' }
+ * @returns {boolean}
+ */
+export const isQuietTime = (time, quietHours) => {
+  if (!quietHours?.enabled) return false;
+  const date = new Date(time);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+/**
+ * A time moved to the end of quiet hours if it falls in them
+ * @returns {number} ms
+ */
+export const deferPastQuietHours = (time, quietHours) => {
+  if (!isQuietTime(time, quietHours)) return time;
+  const end = atTime(time, quietHours.end);
+  return end > time ? end : end + LOOKAHEAD_MS;
+};
+
+// ============================================
+// THE QUEUE
+// ============================================
+
+/**
+ * 'kind:id:when' -> { kind, id }
+ * @returns {Object}
+ */
+export const parseNotificationKey = (key = '') => {
+  const [kind, ...rest] = key.split(':');
+  return { kind, id: rest.slice(0, -1).join(':') };
+};
+
+// Routines are nudged at local times on the checklist's own date, and only while
+// it's the app's today - never on the day before or after it
+const routineNotifications = (checklist, settings, now) => {
+  if (!checklist?.items || checklist.date !== appDay(now)) return [];
+  const day = localDay(checklist.date);
+  return checklist.items
+    .filter(item => !item.completed)
+    .map(item => {
+      const target = targetOf(item);
+      return {
+        key: `routine:${item.id}:${checklist.date}`,
+        kind: 'routine',
+        id: item.id,
+        title: `${item.category || 'Routine'} routine`,
+        body: target ? `${item.text} (${progressOf(item)}/${describeTarget(target)})` : item.text,
+        fireAt: atTime(day, settings.routineTimes?.[item.category] || DEFAULT_NOTIFICATION_SETTINGS.routineTimes['Throughout Day']),
+      };
+    });
+};
+
+const deadlineNotifications = (ideas, reminderHistory, settings) => {
+  const handled = new Set(reminderHistory.filter(h => h.actionTaken).map(h => String(h.ideaId)));
+  return ideas
+    .filter(idea => idea.dueDate && !idea.isDraft && !handled.has(String(idea.id)))
+    .flatMap(idea => {
+      const dueDay = localDay(idea.dueDate);
+      const dayBefore = new Date(dueDay);
+      dayBefore.setDate(dayBefore.getDate() - 1);
+      return [
+        { day: dayBefore.getTime(), label: 'Due tomorrow' },
+        { day: dueDay, label: 'Due today' },
+      ].map(({ day, label }) => ({
+        key: `deadline:${idea.id}:${new Date(day).toDateString().replace(/\s/g, '-')}`,
+        kind: 'deadline',
+        id: idea.id,
+        ideaId: idea.id,
+        title: label,
+        body: idea.content,
+        fireAt: atTime(day, settings.deadlineTime),
+      }));
+    });
+};
+
+const eventNotifications = (events, settings) => events
+  .filter(event => event.start)
+  .map(event => {
+    const start = new Date(event.start).getTime();
+    const time = new Date(start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    return {
+      key: `event:${event.id}:${start}`,
+      kind: 'event',
+      id: event.id,
+      title: `${event.title || 'Event'} at ${time}`,
+      body: event.description || `Starts in ${settings.eventLeadMinutes} minutes`,
+      fireAt: start - settings.eventLeadMinutes * MINUTE_MS,
+    };
+  });
+
+const smartNotifications = (smartReminders) => (smartReminders.reminders || [])
+  .filter(reminder => reminder.shouldPlaySound)
+  .map(reminder => ({
+    key: `smart:${reminder.id}:${appDay(smartReminders.fetchedAt)}`,
+    kind: 'smart',
+    id: reminder.id,
+    ideaId: reminder.id,
+    title: `${reminder.urgencyLabel || 'Smart'} reminder`,
+    body: reminder.content,
+    fireAt: smartReminders.fetchedAt,
+  }));
+
+/**
+ * Notifications for the next day, soonest first
+ * @param {Object} sources - { checklist, ideas, events, smartReminders: { fetchedAt, reminders },
+ *   reminderHistory, settings, shownKeys: Set of keys already shown, snoozes: key -> ms, now }
+ * @returns {Array<Object>} { key, kind, id, ideaId?, title, body, fireAt }
+ */
+export const buildNotificationQueue = ({
+  checklist,
+  ideas = [],
+  events = [],
+  smartReminders = { fetchedAt: null, reminders: [] },
+  reminderHistory = [],
+  settings,
+  shownKeys = new Set(),
+  snoozes = {},
+  now,
+}) => {
+  const candidates = [
+    ...(settings.routines ? routineNotifications(checklist, settings, now) : []),
+    ...(settings.deadlines ? deadlineNotifications(ideas, reminderHistory, settings) : []),
+    ...(settings.events ? eventNotifications(events, settings) : []),
+    ...(settings.smart && smartReminders.fetchedAt ? smartNotifications(smartReminders) : []),
+  ];
+
+  return candidates
+    .map(notification => {
+      const snoozedUntil = snoozes[notification.key];
+      if (snoozedUntil) return { ...notification, fireAt: snoozedUntil, snoozed: true };
+      if (shownKeys.has(notification.key)) return null;
+      return { ...notification, fireAt: deferPastQuietHours(notification.fireAt, settings.quietHours) };
+    })
+    .filter(notification => notification &&
+      notification.fireAt >= now - MISSED_GRACE_MS &&
+      notification.fireAt <= now + LOOKAHEAD_MS)
+    .sort((a, b) => a.fireAt - b.fireAt);
+};
+
+/**
+ * neural-reminder-history after a reminder for an idea was shown or acted on -
+ * the history /api/get-reminders adapts its frequency to
+ * @param {Array<Object>} history - { ideaId, lastShown, showCount, dismissCount, snoozeCount, actionTaken }
+ * @param {*} ideaId
+ * @param {string} event - 'shown' | 'dismiss' | 'snooze' | 'done'
+ * @returns {Array<Object>}
+ */
+export const recordReminderEvent = (history, ideaId, event, at = new Date().toISOString()) => {
+  const existing = history.find(h => String(h.ideaId) === String(ideaId));
+  const entry = {
+    ideaId,
+    lastShown: null,
+    showCount: 0,
+    dismissCount: 0,
+    snoozeCount: 0,
+    actionTaken: false,
+    ...existing,
+  };
+
+  if (event === 'shown') {
+    entry.lastShown = at;
+    entry.showCount += 1;
+  } else if (event === 'dismiss') {
+    entry.dismissCount += 1;
+  } else if (event === 'snooze') {
+    entry.snoozeCount = (entry.snoozeCount || 0) + 1;
+  } else if (event === 'done') {
+    entry.actionTaken = true;
+  }
+
+  return existing
+    ? history.map(h => (h === existing ? entry : h))
+    : [...history, entry];
+};
+
+// ============================================
+// BROWSER NOTIFICATIONS
+// ============================================
+
+/**
+ * 'granted' | 'denied' | 'default', or 'unsupported' without the Notifications API
+ * @returns {string}
+ */
+export const getNotificationPermission = () => (
+  typeof window !== 'undefined' && 'Notification' in window ? Notification.permission : 'unsupported'
+);
+
+/**
+ * Ask for permission to show notifications (must follow a click)
+ * @returns {Promise<string>} The permission
+ */
+export const requestNotificationPermission = async () => {
+  if (getNotificationPermission() === 'unsupported') return 'unsupported';
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.error('Notification permission request failed:', error);
+    return getNotificationPermission();
+  }
+};
+
+const actionListeners = new Set();
+let listeningToWorker = false;
+
+const emitAction = (message) => actionListeners.forEach(listener => listener(message));
+
+/**
+ * Show a notification with Snooze/Done actions
+ * @param {Object} notification - From buildNotificationQueue()
+ * @param {Object} options - { snoozeMinutes }
+ * @returns {Promise<Object>} { success, error }
+ */
+export const showNotification = async (notification, { snoozeMinutes }) => {
+  if (getNotificationPermission() !== 'granted') {
+    return { success: false, error: 'Notifications are not allowed' };
+  }
+
+  const options = {
+    body: notification.body,
+    tag: notification.key,
+    icon: '/icon-192.png',
+    badge: '/icon-192.png',
+    data: { key: notification.key, kind: notification.kind, id: notification.id },
+    renotify: Boolean(notification.snoozed),
+  };
+
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+      await registration.showNotification(notification.title, {
+        ...options,
+        actions: [
+          { action: 'snooze', title: `Snooze ${snoozeMinutes} min` },
+          { action: 'done', title: 'Done' },
+        ],
+      });
+    } else {
+      const shown = new Notification(notification.title, options);
+      shown.onclick = () => {
+        window.focus();
+        emitAction({ action: 'open', key: notification.key, data: options.data });
+      };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error showing notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Subscribe to notification actions - Snooze/Done/open/dismiss, posted by the
+ * service worker, or carried in the URL when the worker had to open the app
+ * (?notificationAction=done&notificationKey=...)
+ * @param {Function} listener - Called with { action, key, data }
+ * @returns {Function} Unsubscribe
+ */
+export const onNotificationAction = (listener) => {
+  actionListeners.add(listener);
+
+  if (!listeningToWorker && typeof navigator !== 'undefined' && 'serviceWorker' in navigator) {
+    listeningToWorker = true;
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data?.type === ACTION_MESSAGE) {
+        emitAction({ action: event.data.action, key: event.data.key, data: event.data.data || {} });
+      }
+    });
+  }
+
+  const params = new URLSearchParams(window.location.search);
+  const action = params.get('notificationAction');
+  const key = params.get('notificationKey');
+  if (action && key) {
+    params.delete('notificationAction');
+    params.delete('notificationKey');
+    const search = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+    listener({ action, key, data: parseNotificationKey(key) });
+  }
+
+  return () => actionListeners.delete(listener);
+};
@@ -0,0 +1,85 @@
+/**
+ * PUSH SUBSCRIPTION
+ *
+ * This device's Web Push subscription, for smart reminders the server pushes
+ * while the app is closed (server/push). The service worker shows them like the
+ * scheduler's own notifications (notificationScheduler.js).
+ */
+
+import { getPushPublicKey, removePushSubscription, savePushSubscription } from './apiService';
+import { getNotificationPermission } from './notificationScheduler';
+
+// base64url VAPID key -> the bytes PushManager.subscribe expects
+const keyBytes = (base64Url) => {
+  const base64 = `${base64Url}${'='.repeat((4 - (base64Url.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+const sameKey = (buffer, bytes) => {
+  if (!buffer) return false;
+  const current = new Uint8Array(buffer);
+  return current.length === bytes.length && current.every((byte, i) => byte === bytes[i]);
+};
+
+const pushRegistration = async () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || typeof PushManager === 'undefined') {
+    return null;
+  }
+  return navigator.serviceWorker.getRegistration();
+};
+
+/**
+ * Subscribe this device to pushed reminders (again - the server keeps the latest
+ * timezone and quiet hours)
+ * @param {Object} options - { timezone, quietHours }
+ * @returns {Promise<Object>} { success, error }
+ */
+export const subscribeToPush = async ({ timezone, quietHours }) => {
+  if (getNotificationPermission() !== 'granted') {
+    return { success: false, error: 'Notifications are not allowed' };
+  }
+
+  try {
+    const registration = await pushRegistration();
+    if (!registration) return { success: false, error: 'Push needs the installed app (service worker)' };
+
+    const key = await getPushPublicKey();
+    if (!key.success) return { success: false, error: key.error };
+    const applicationServerKey = keyBytes(key.data.publicKey);
+
+    // A subscription made with an old server key can't receive pushes
+    let subscription = await registration.pushManager.getSubscription();
+    if (subscription && !sameKey(subscription.options?.applicationServerKey, applicationServerKey)) {
+      await subscription.unsubscribe();
+      subscription = null;
+    }
+    if (!subscription) {
+      subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+    }
+
+    const saved = await savePushSubscription(subscription.toJSON(), { timezone, quietHours });
+    return saved.success ? { success: true } : { success: false, error: saved.error };
+  } catch (error) {
+    console.error('Error subscribing to push:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Stop pushed reminders to this device
+ * @returns {Promise<Object>} { success, error }
+ */
+export const unsubscribeFromPush = async () => {
+  try {
+    const registration = await pushRegistration();
+    const subscription = await registration?.pushManager.getSubscription();
+    if (!subscription) return { success: true };
+
+    await removePushSubscription(subscription.endpoint);
+    await subscription.unsubscribe();
+    return { success: true };
+  } catch (error) {
+    console.error('Error unsubscribing from push:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -9,6 +9,10 @@
  * Supports both:
  * - Authenticated users (Supabase)
  * - Guest users (localStorage fallback)
+ *
+ * Authenticated users' resources are also mirrored into Cache Storage
+ * ('neural-resources', kept by the service worker) so saved cheat sheets and
+ * flashcard decks can be studied offline.
  */
 
 import { supabase } from '../supabaseClient';
@@ -20,6 +24,9 @@ import { supabase } from '../supabaseClient';
 // localStorage key for guest mode
 const GUEST_RESOURCES_KEY = 'learning-resources';
 
+// Cache Storage name for offline copies (see src/workers/serviceWorker.js)
+const OFFLINE_CACHE_NAME = 'neural-resources';
+
 // ============================================
 // AUTH HELPERS
 // ============================================
@@ -29,7 +36,13 @@ const GUEST_RESOURCES_KEY = 'learning-resources';
  * @returns {Object} { userId, isGuest }
  */
 const getCurrentUser = async () => {
-  const { data: { user } } = await supabase.auth.getUser();
+  let { data: { user } } = await supabase.auth.getUser();
+
+  // getUser() needs the network - offline, trust the locally stored session
+  if (!user) {
+    const { data: { session } } = await supabase.auth.getSession();
+    user = session?.user || null;
+  }
   
   // Check for guest mode
   const isGuestMode = localStorage.getItem('neural-guest-mode') === 'true';
@@ -64,6 +77,54 @@ const saveGuestResources = (resources) => {
 
 const generateGuestId = () => `resource-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
+// ============================================
+// OFFLINE CACHE HELPERS
+// ============================================
+
+const hasOfflineCache = () => typeof caches !== 'undefined';
+
+const offlineCacheUrl = (userId, resourceId = '') => `/offline-resources/${userId}/${resourceId}`;
+
+/**
+ * Store resources for offline study. Failures are ignored - the cache is best effort.
+ */
+const cacheResourcesOffline = async (userId, resourceList) => {
+  if (!hasOfflineCache()) return;
+  try {
+    const cache = await caches.open(OFFLINE_CACHE_NAME);
+    await Promise.all(resourceList.map(resource => cache.put(
+      offlineCacheUrl(userId, resource.id),
+      new Response(JSON.stringify(resource), { headers: { 'Content-Type': 'application/json' } })
+    )));
+  } catch (error) {
+    console.warn('Could not cache resources for offline use:', error);
+  }
+};
+
+const removeResourceOffline = async (userId, resourceId) => {
+  if (!hasOfflineCache()) return;
+  try {
+    const cache = await caches.open(OFFLINE_CACHE_NAME);
+    await cache.delete(offlineCacheUrl(userId, resourceId));
+  } catch (error) {
+    console.warn('Could not remove offline resource:', error);
+  }
+};
+
+const getOfflineResources = async (userId) => {
+  if (!hasOfflineCache()) return [];
+  try {
+    const cache = await caches.open(OFFLINE_CACHE_NAME);
+    const prefix = offlineCacheUrl(userId);
+    const requests = (await cache.keys()).filter(request => new URL(request.url).pathname.startsWith(prefix));
+    const responses = await Promise.all(requests.map(request => cache.match(request)));
+    return Promise.all(responses.filter(Boolean).map(response => response.json()));
+  } catch (error) {
+    console.warn('Could not read offline resources:', error);
+    return [];
+  }
+};
+
 // ============================================
 // RESOURCE OPERATIONS
 // ============================================
@@ -129,23 +190,23 @@ export const saveResource = async (resourceType, subject, topic, title, content)
       .single();
 
     if (error) throw error;
-    
-    return { 
-      success: true, 
-      data: {
-        id: data.id,
-        resourceType: data.resource_type,
-        subject: data.subject,
-        topic: data.topic,
-        title: data.title,
-        content: data.content,
-        createdAt: data.created_at,
-        updatedAt: data.updated_at,
-        lastAccessed: data.last_accessed,
-        accessCount: data.access_count,
-        isFavorite: data.is_favorite,
-      }
+
+    const savedResource = {
+      id: data.id,
+      resourceType: data.resource_type,
+      subject: data.subject,
+      topic: data.topic,
+      title: data.title,
+      content: data.content,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at,
+      lastAccessed: data.last_accessed,
+      accessCount: data.access_count,
+      isFavorite: data.is_favorite,
     };
+    await cacheResourcesOffline(userId, [savedResource]);
+
+    return { success: true, data: savedResource };
   } catch (error) {
     console.error('Error saving resource:', error);
     return { success: false, error: error.message };
@@ -162,8 +223,10 @@ export const saveResource = async (resourceType, subject, topic, title, content)
  * @returns {Promise} - Resource or null if not found
  */
 export const getResource = async (resourceType, subject, topic) => {
+  let currentUserId = null;
   try {
     const { userId, isGuest } = await getCurrentUser();
+    currentUserId = userId;
     const now = new Date().toISOString();
 
     if (isGuest) {
@@ -211,23 +274,33 @@ export const getResource = async (resourceType, subject, topic) => {
       })
       .eq('id', data.id);
 
-    return { 
-      success: true, 
-      data: {
-        id: data.id,
-        resourceType: data.resource_type,
-        subject: data.subject,
-        topic: data.topic,
-        title: data.title,
-        content: data.content,
-        createdAt: data.created_at,
-        updatedAt: data.updated_at,
-        lastAccessed: data.last_accessed,
-        accessCount: data.access_count,
-        isFavorite: data.is_favorite,
-      }
+    const resource = {
+      id: data.id,
+      resourceType: data.resource_type,
+      subject: data.subject,
+      topic: data.topic,
+      title: data.title,
+      content: data.content,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at,
+      lastAccessed: data.last_accessed,
+      accessCount: data.access_count,
+      isFavorite: data.is_favorite,
     };
+    await cacheResourcesOffline(userId, [resource]);
+
+    return { success: true, data: resource };
   } catch (error) {
+    // Offline: fall back to the copy cached the last time it was opened or saved
+    if (currentUserId && currentUserId !== 'guest') {
+      const cached = (await getOfflineResources(currentUserId)).find(
+        r => r.resourceType === resourceType && r.subject === subject && r.topic === topic
+      );
+      if (cached) {
+        return { success: true, data: cached, offline: true };
+      }
+    }
+
     console.error('Error getting resource:', error);
     return { success: false, error: error.message, data: null };
   }
@@ -243,8 +316,10 @@ export const getResource = async (resourceType, subject, topic) => {
  * @returns {Promise} - Array of resources sorted by last_accessed (most recent first)
  */
 export const getAllResources = async (filters = {}) => {
+  let currentUserId = null;
   try {
     const { userId, isGuest } = await getCurrentUser();
+    currentUserId = userId;
 
     if (isGuest) {
       const resources = getGuestResources();
@@ -304,9 +379,30 @@ export const getAllResources = async (filters = {}) => {
       accessCount: item.access_count,
       isFavorite: item.is_favorite,
     }));
+    await cacheResourcesOffline(userId, resourceList);
 
     return { success: true, data: resourceList };
   } catch (error) {
+    // Offline: list whatever has been cached for this user
+    if (currentUserId && currentUserId !== 'guest') {
+      let resourceList = await getOfflineResources(currentUserId);
+      if (resourceList.length > 0) {
+        if (filters.resourceType) {
+          resourceList = resourceList.filter(r => r.resourceType === filters.resourceType);
+        }
+        if (filters.subject) {
+          resourceList = resourceList.filter(r => r.subject === filters.subject);
+        }
+        if (filters.favoriteOnly) {
+          resourceList = resourceList.filter(r => r.isFavorite);
+        }
+        resourceList.sort((a, b) =>
+          new Date(b.lastAccessed || b.createdAt) - new Date(a.lastAccessed || a.createdAt)
+        );
+        return { success: true, data: resourceList, offline: true };
+      }
+    }
+
     console.error('Error getting all resources:', error);
     return { success: false, error: error.message, data: [] };
   }
@@ -337,6 +433,7 @@ export const deleteResource = async (resourceId) => {
       .eq('user_id', userId);
 
     if (error) throw error;
+    await removeResourceOffline(userId, resourceId);
     return { success: true };
   } catch (error) {
     console.error('Error deleting resource:', error);
@@ -390,22 +487,22 @@ export const toggleFavorite = async (resourceId) => {
 
     if (error) throw error;
 
-    return { 
-      success: true, 
-      data: {
-        id: data.id,
-        resourceType: data.resource_type,
-        subject: data.subject,
-        topic: data.topic,
-        title: data.title,
-        content: data.content,
-        createdAt: data.created_at,
-        updatedAt: data.updated_at,
-        lastAccessed: data.last_accessed,
-        accessCount: data.access_count,
-        isFavorite: data.is_favorite,
-      }
+    const resource = {
+      id: data.id,
+      resourceType: data.resource_type,
+      subject: data.subject,
+      topic: data.topic,
+      title: data.title,
+      content: data.content,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at,
+      lastAccessed: data.last_accessed,
+      accessCount: data.access_count,
+      isFavorite: data.is_favorite,
     };
+    await cacheResourcesOffline(userId, [resource]);
+
+    return { success: true, data: resource };
   } catch (error) {
     console.error('Error toggling favorite:', error);
     return { success: false, error: error.message };
@@ -0,0 +1,285 @@
+/**
+ * RETENTION ANALYTICS
+ *
+ * Pure functions over the review log (reviewLogService) for the Learn
+ * progress dashboard:
+ * - Activity heatmap (reviews per day, GitHub style)
+ * - Retention over time (rolling share of reviews recalled)
+ * - Per-topic forgetting curves (recall vs days since last review)
+ *
+ * A review counts as recalled when its rating is above 1
+ * (flashcard Hard/Good/Easy, question partial/correct).
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Days-since-last-review buckets for forgetting curves
+export const FORGETTING_BUCKETS = [
+  { label: '<1d', fromDays: 0, toDays: 1 },
+  { label: '1-2d', fromDays: 1, toDays: 2 },
+  { label: '2-4d', fromDays: 2, toDays: 4 },
+  { label: '4-7d', fromDays: 4, toDays: 7 },
+  { label: '1-2w', fromDays: 7, toDays: 14 },
+  { label: '2-4w', fromDays: 14, toDays: 30 },
+  { label: '1m+', fromDays: 30, toDays: 90 },
+];
+
+// Fewer spaced reviews than this and a fitted half-life is noise
+const MIN_REVIEWS_FOR_CURVE = 8;
+
+// Half-life search range in days (log-spaced grid)
+const HALF_LIFE_MIN = 0.1;
+const HALF_LIFE_MAX = 3650;
+const HALF_LIFE_STEPS = 240;
+
+// ============================================
+// HELPERS
+// ============================================
+
+const isRecalled = (entry) => entry.rating > 1;
+
+const toLocalDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Stable key for grouping reviews by topic
+ */
+export const topicKeyOf = (entry) => `${entry.subject || 'Other'}::${entry.topic || 'General'}`;
+
+/**
+ * Reviews and recalls per local day
+ * @returns {Map} dateKey -> { reviews, recalled }
+ */
+const countByDay = (log) => {
+  const byDay = new Map();
+  log.forEach(entry => {
+    const key = toLocalDateKey(entry.reviewedAt);
+    const day = byDay.get(key) || { reviews: 0, recalled: 0 };
+    day.reviews += 1;
+    day.recalled += isRecalled(entry) ? 1 : 0;
+    byDay.set(key, day);
+  });
+  return byDay;
+};
+
+// ============================================
+// TOPICS
+// ============================================
+
+/**
+ * Topics present in the log, most reviewed first
+ * @param {Array<Object>} log - Review log entries
+ * @returns {Array<Object>} [{ key, subject, topic, reviews }]
+ */
+export const listReviewTopics = (log) => {
+  const topics = new Map();
+  log.forEach(entry => {
+    const key = topicKeyOf(entry);
+    const topic = topics.get(key) || {
+      key,
+      subject: entry.subject || 'Other',
+      topic: entry.topic || 'General',
+      reviews: 0,
+    };
+    topic.reviews += 1;
+    topics.set(key, topic);
+  });
+  return [...topics.values()].sort((a, b) => b.reviews - a.reviews);
+};
+
+// ============================================
+// HEATMAP
+// ============================================
+
+/**
+ * Review activity per day, laid out as week columns (Sunday first)
+ * @param {Array<Object>} log - Review log entries
+ * @param {Object} options - { weeks, now }
+ * @returns {Object} { weeks: [[{ date, reviews, recalled, retention, level, isFuture }]],
+ *                     totalReviews, activeDays, maxReviews }
+ */
+export const buildActivityHeatmap = (log, { weeks = 17, now = new Date() } = {}) => {
+  const byDay = countByDay(log);
+  const today = startOfDay(now);
+
+  // Start on the Sunday (weeks - 1) weeks before this week's Sunday
+  const start = new Date(today);
+  start.setDate(start.getDate() - start.getDay() - (weeks - 1) * 7);
+
+  const days = [];
+  for (let i = 0; i < weeks * 7; i++) {
+    const date = new Date(start);
+    date.setDate(start.getDate() + i);
+    const key = toLocalDateKey(date);
+    const counts = byDay.get(key) || { reviews: 0, recalled: 0 };
+    days.push({
+      date: key,
+      reviews: counts.reviews,
+      recalled: counts.recalled,
+      retention: counts.reviews > 0 ? counts.recalled / counts.reviews : null,
+      isFuture: date > today,
+    });
+  }
+
+  const maxReviews = Math.max(0, ...days.map(day => day.reviews));
+  const columns = [];
+  for (let w = 0; w < weeks; w++) {
+    columns.push(days.slice(w * 7, w * 7 + 7).map(day => ({
+      ...day,
+      // 0 = none, 1-4 = quartiles of the busiest day
+      level: day.reviews === 0 ? 0 : Math.min(4, Math.ceil((day.reviews / maxReviews) * 4)),
+    })));
+  }
+
+  return {
+    weeks: columns,
+    totalReviews: days.reduce((sum, day) => sum + day.reviews, 0),
+    activeDays: days.filter(day => day.reviews > 0).length,
+    maxReviews,
+  };
+};
+
+// ============================================
+// RETENTION OVER TIME
+// ============================================
+
+/**
+ * Daily retention, smoothed over a rolling window
+ * @param {Array<Object>} log - Review log entries
+ * @param {Object} options - { days, window, topicKey, now }
+ * @returns {Array<Object>} [{ date, reviews, retention }] - retention is null with no reviews in the window
+ */
+export const buildRetentionTrend = (log, { days = 30, window = 7, topicKey = null, now = new Date() } = {}) => {
+  const entries = topicKey ? log.filter(entry => topicKeyOf(entry) === topicKey) : log;
+  const byDay = countByDay(entries);
+  const today = startOfDay(now);
+
+  const series = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = new Date(today);
+    date.setDate(today.getDate() - i);
+
+    let reviews = 0;
+    let recalled = 0;
+    for (let w = 0; w < window; w++) {
+      const windowDate = new Date(date);
+      windowDate.setDate(date.getDate() - w);
+      const counts = byDay.get(toLocalDateKey(windowDate));
+      if (counts) {
+        reviews += counts.reviews;
+        recalled += counts.recalled;
+      }
+    }
+
+    series.push({
+      date: toLocalDateKey(date),
+      reviews: byDay.get(toLocalDateKey(date))?.reviews || 0,
+      retention: reviews > 0 ? recalled / reviews : null,
+    });
+  }
+
+  return series;
+};
+
+// ============================================
+// FORGETTING CURVES
+// ============================================
+
+/**
+ * Predicted recall after t days for a memory half-life
+ */
+export const predictRecall = (halfLifeDays, elapsedDays) => Math.pow(2, -elapsedDays / halfLifeDays);
+
+/**
+ * Maximum-likelihood memory half-life for recall = 2^(-t / h)
+ * @param {Array<Object>} samples - [{ elapsedDays, recalled }]
+ * @returns {number|null} Half-life in days
+ */
+export const fitHalfLife = (samples) => {
+  if (samples.length === 0) return null;
+
+  let best = null;
+  let bestLikelihood = -Infinity;
+  const ratio = Math.log(HALF_LIFE_MAX / HALF_LIFE_MIN) / HALF_LIFE_STEPS;
+
+  for (let step = 0; step <= HALF_LIFE_STEPS; step++) {
+    const halfLife = HALF_LIFE_MIN * Math.exp(step * ratio);
+    const likelihood = samples.reduce((sum, { elapsedDays, recalled }) => {
+      const p = Math.min(0.99, Math.max(0.01, predictRecall(halfLife, elapsedDays)));
+      return sum + Math.log(recalled ? p : 1 - p);
+    }, 0);
+
+    if (likelihood > bestLikelihood) {
+      bestLikelihood = likelihood;
+      best = halfLife;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Recall by days since the previous review, per topic, with a fitted half-life.
+ * First-ever reviews have nothing to forget yet and are left out.
+ *
+ * @param {Array<Object>} log - Review log entries
+ * @param {Object} options - { minReviews }
+ * @returns {Array<Object>} [{ key, subject, topic, reviews, retention, halfLifeDays,
+ *                             points: [{ label, fromDays, toDays, midDays, recall, count }] }]
+ */
+export const buildForgettingCurves = (log, { minReviews = MIN_REVIEWS_FOR_CURVE } = {}) => {
+  const spaced = log.filter(entry => entry.state !== 'new' && entry.elapsedDays != null);
+  const byTopic = new Map();
+  spaced.forEach(entry => {
+    const key = topicKeyOf(entry);
+    if (!byTopic.has(key)) byTopic.set(key, []);
+    byTopic.get(key).push(entry);
+  });
+
+  return [...byTopic.entries()]
+    .filter(([, entries]) => entries.length >= minReviews)
+    .map(([key, entries]) => {
+      const samples = entries.map(entry => ({
+        elapsedDays: Math.max(0, entry.elapsedDays),
+        recalled: isRecalled(entry),
+      }));
+
+      const points = FORGETTING_BUCKETS.map(bucket => {
+        const inBucket = samples.filter(sample => (
+          sample.elapsedDays >= bucket.fromDays
+          && (sample.elapsedDays < bucket.toDays || bucket === FORGETTING_BUCKETS[FORGETTING_BUCKETS.length - 1])
+        ));
+        return {
+          ...bucket,
+          midDays: inBucket.length > 0
+            ? inBucket.reduce((sum, sample) => sum + sample.elapsedDays, 0) / inBucket.length
+            : (bucket.fromDays + bucket.toDays) / 2,
+          recall: inBucket.length > 0 ? inBucket.filter(sample => sample.recalled).length / inBucket.length : null,
+          count: inBucket.length,
+        };
+      });
+
+      return {
+        key,
+        subject: entries[0].subject || 'Other',
+        topic: entries[0].topic || 'General',
+        reviews: samples.length,
+        retention: samples.filter(sample => sample.recalled).length / samples.length,
+        halfLifeDays: fitHalfLife(samples),
+        points,
+      };
+    })
+    .sort((a, b) => b.reviews - a.reviews);
+};
@@ -0,0 +1,223 @@
+/**
+ * REVIEW LOG SERVICE
+ *
+ * Append-only log of every flashcard review and practice question attempt:
+ * - Written by flashcardService.updateCardProgress and learningService.saveQuestionToHistory
+ * - Read by the FSRS optimiser to fit scheduler parameters per user
+ * - Read by retentionAnalytics for the Learn progress dashboard
+ *
+ * Supports both:
+ * - Authenticated users (Supabase review_log table, insert-only RLS)
+ * - Guest users (localStorage fallback, capped)
+ */
+
+import { supabase } from '../supabaseClient';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const GUEST_LOG_KEY = 'review-log';
+const GUEST_LOG_LIMIT = 5000;
+const PAGE_SIZE = 1000;
+
+// ============================================
+// AUTH HELPERS
+// ============================================
+
+/**
+ * Get current user and determine if guest mode
+ * @returns {Object} { userId, isGuest }
+ */
+const getCurrentUser = async () => {
+  const { data: { user } } = await supabase.auth.getUser();
+
+  // Check for guest mode
+  const isGuestMode = localStorage.getItem('neural-guest-mode') === 'true';
+
+  if (isGuestMode || !user) {
+    return { userId: 'guest', isGuest: true };
+  }
+
+  return { userId: user.id, isGuest: false };
+};
+
+// ============================================
+// GUEST MODE HELPERS
+// ============================================
+
+const getGuestLog = () => {
+  try {
+    const stored = localStorage.getItem(GUEST_LOG_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveGuestLog = (log) => {
+  try {
+    // Keep the most recent entries
+    localStorage.setItem(GUEST_LOG_KEY, JSON.stringify(log.slice(-GUEST_LOG_LIMIT)));
+  } catch (error) {
+    console.error('Error saving guest review log:', error);
+  }
+};
+
+// ============================================
+// ROW MAPPING
+// ============================================
+
+const withDefaults = (entry) => ({
+  itemType: 'flashcard',
+  reviewedAt: new Date().toISOString(),
+  ...entry,
+});
+
+const toRow = (userId, record) => ({
+  user_id: userId,
+  item_type: record.itemType,
+  deck_id: record.deckId || null,
+  item_id: String(record.itemId),
+  subject: record.subject || null,
+  topic: record.topic || null,
+  rating: record.rating,
+  quality: record.quality ?? null,
+  score: record.score ?? null,
+  scheduler: record.scheduler || null,
+  state: record.state || null,
+  elapsed_days: record.elapsedDays ?? null,
+  scheduled_days: record.scheduledDays ?? null,
+  time_taken: record.timeTaken != null ? Math.round(record.timeTaken) : null,
+  reviewed_at: record.reviewedAt,
+});
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Append a review to the log
+ * @param {Object} entry - { itemType, deckId, itemId, subject, topic, rating, quality, score,
+ *                           scheduler, state, elapsedDays, scheduledDays, timeTaken, reviewedAt }
+ * @returns {Promise} - { success }
+ */
+export const appendReviewLog = async (entry) => {
+  try {
+    const { userId, isGuest } = await getCurrentUser();
+    const record = withDefaults(entry);
+
+    if (isGuest) {
+      const log = getGuestLog();
+      log.push(record);
+      saveGuestLog(log);
+      return { success: true };
+    }
+
+    const { error } = await supabase
+      .from('review_log')
+      .insert(toRow(userId, record));
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error appending review log:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Append many past reviews at once (e.g. history imported from Anki)
+ * @param {Array<Object>} entries - Same shape as appendReviewLog
+ * @returns {Promise} - { success, count }
+ */
+export const appendReviewLogBatch = async (entries) => {
+  try {
+    const { userId, isGuest } = await getCurrentUser();
+    const records = entries.map(withDefaults);
+
+    if (isGuest) {
+      const log = [...getGuestLog(), ...records]
+        .sort((a, b) => new Date(a.reviewedAt) - new Date(b.reviewedAt));
+      saveGuestLog(log);
+      return { success: true, count: records.length };
+    }
+
+    for (let i = 0; i < records.length; i += PAGE_SIZE) {
+      const { error } = await supabase
+        .from('review_log')
+        .insert(records.slice(i, i + PAGE_SIZE).map(record => toRow(userId, record)));
+      if (error) throw error;
+    }
+
+    return { success: true, count: records.length };
+  } catch (error) {
+    console.error('Error appending review log batch:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the review log, oldest first
+ * @param {Object} filters - { itemType: 'flashcard' | 'question' | 'all' (default), since: ISO date }
+ * @returns {Promise} - { success, data: [entry] }
+ */
+export const getReviewLog = async (filters = {}) => {
+  try {
+    const { userId, isGuest } = await getCurrentUser();
+    const itemType = filters.itemType || 'all';
+
+    if (isGuest) {
+      return {
+        success: true,
+        data: getGuestLog().filter(entry => (
+          (itemType === 'all' || (entry.itemType || 'flashcard') === itemType)
+          && (!filters.since || entry.reviewedAt >= filters.since)
+        )),
+      };
+    }
+
+    // Page through - Supabase caps a single select
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabase
+        .from('review_log')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (itemType !== 'all') query = query.eq('item_type', itemType);
+      if (filters.since) query = query.gte('reviewed_at', filters.since);
+
+      const { data, error } = await query
+        .order('reviewed_at', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return {
+      success: true,
+      data: rows.map(row => ({
+        itemType: row.item_type,
+        deckId: row.deck_id,
+        itemId: row.item_id,
+        subject: row.subject,
+        topic: row.topic,
+        rating: row.rating,
+        quality: row.quality,
+        score: row.score,
+        scheduler: row.scheduler,
+        state: row.state,
+        elapsedDays: row.elapsed_days,
+        scheduledDays: row.scheduled_days,
+        timeTaken: row.time_taken,
+        reviewedAt: row.reviewed_at,
+      })),
+    };
+  } catch (error) {
+    console.error('Error getting review log:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
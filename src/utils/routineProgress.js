@@ -0,0 +1,160 @@
+/**
+ * ROUTINE PROGRESS
+ *
+ * Routines with a target - a count ("drink 8 glasses") or a duration in minutes
+ * ("read 30 minutes") - instead of a plain done/not done:
+ *   routine.target = { type: 'count' | 'duration', amount: 8, unit: 'glasses' }
+ * Today's checklist item then carries
+ *   progress - what was added by hand (increment buttons)
+ *   logged   - duration routines: minutes QuickLogger logged against it today (log.routineId)
+ * and counts as completed once progress + logged reaches the amount. Until then it
+ * gives partial credit towards the day's completionRate.
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const TARGET_TYPES = [
+  { value: 'count', label: 'Count' },
+  { value: 'duration', label: 'Minutes' },
+];
+
+// Increment steps for the checklist buttons
+export const DURATION_STEP = 5;
+export const COUNT_STEP = 1;
+
+// ============================================
+// TARGETS
+// ============================================
+
+/**
+ * A routine's target, or null for plain done/not done routines
+ * @returns {Object|null} { type, amount, unit }
+ */
+export const targetOf = (item) => {
+  const target = item?.target;
+  if (!target || !['count', 'duration'].includes(target.type)) return null;
+  const amount = Math.floor(Number(target.amount));
+  return amount > 0 ? { type: target.type, amount, unit: target.unit || '' } : null;
+};
+
+/**
+ * A target read from a routine's text: "read 30 minutes", "1 hour walk",
+ * "drink 8 glasses", "3 Pomodoros"
+ * @returns {Object|null} Target
+ */
+export const targetFromText = (text = '') => {
+  const duration = text.match(/(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\b/i);
+  if (duration) {
+    const hours = /^h/i.test(duration[2]);
+    const amount = Math.round(Number(duration[1]) * (hours ? 60 : 1));
+    if (amount > 0) return { type: 'duration', amount, unit: 'min' };
+  }
+
+  const count = text.match(/\b(\d+)\s+([a-z]+)/i);
+  if (count && Number(count[1]) > 1) {
+    return { type: 'count', amount: Number(count[1]), unit: count[2].toLowerCase() };
+  }
+  return null;
+};
+
+/**
+ * A target as text, e.g. "8 glasses" or "30 min"
+ * @returns {string}
+ */
+export const describeTarget = (target) => (
+  target.type === 'duration' ? `${target.amount} min` : `${target.amount}${target.unit ? ` ${target.unit}` : ''}`
+);
+
+// ============================================
+// PROGRESS AND CREDIT
+// ============================================
+
+/**
+ * How much of a target item is done - by hand plus logged minutes
+ * @returns {number}
+ */
+export const progressOf = (item) => (item.progress || 0) + (item.logged || 0);
+
+/**
+ * An item with new hand-entered progress (clamped at 0), completed once it reaches
+ * its target. Completion time is when the target was first reached.
+ * @param {Object} item - Checklist item with a target
+ * @param {Object} changes - { progress, logged }
+ * @returns {Object}
+ */
+export const withProgress = (item, changes) => {
+  const target = targetOf(item);
+  const next = { ...item, ...changes, progress: Math.max(0, changes.progress ?? item.progress ?? 0) };
+  const completed = Boolean(target) && progressOf(next) >= target.amount;
+  return {
+    ...next,
+    completed,
+    completedAt: completed ? (item.completedAt || new Date().toISOString()) : null,
+  };
+};
+
+/**
+ * An item ticked off - a target item gets the rest of its target added by hand
+ * @returns {Object}
+ */
+export const markItemDone = (item) => {
+  const target = targetOf(item);
+  if (target) return withProgress(item, { progress: Math.max(item.progress || 0, target.amount - (item.logged || 0)) });
+  return { ...item, completed: true, completedAt: item.completedAt || new Date().toISOString() };
+};
+
+/**
+ * Credit an item gives towards the day: 1 when done, a share of its target when
+ * part way, 0 otherwise
+ * @returns {number} 0-1
+ */
+export const itemCredit = (item) => {
+  if (item.completed) return 1;
+  const target = targetOf(item);
+  return target ? Math.min(progressOf(item) / target.amount, 1) : 0;
+};
+
+/**
+ * A checklist's completion rate with partial credit
+ * @param {Array<Object>} items - Checklist items
+ * @returns {number} 0-1 (0 when nothing is due)
+ */
+export const checklistCompletionRate = (items = []) => (
+  items.length > 0 ? items.reduce((sum, item) => sum + itemCredit(item), 0) / items.length : 0
+);
+
+/**
+ * Minutes logged in QuickLogger against each routine on a date
+ * @param {Array<Object>} logs - neural-logs ({ timestamp, duration, routineId })
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @returns {Object} routineId -> minutes
+ */
+export const loggedMinutesOn = (logs = [], dateString) => {
+  const minutes = {};
+  logs.forEach(log => {
+    if (!log.routineId || !log.duration || !log.timestamp) return;
+    if (new Date(log.timestamp).toISOString().split('T')[0] !== dateString) return;
+    minutes[log.routineId] = (minutes[log.routineId] || 0) + log.duration;
+  });
+  return minutes;
+};
+
+/**
+ * Today's items with QuickLogger's minutes counted towards their duration targets
+ * @param {Array<Object>} items - Checklist items
+ * @param {Object} loggedMinutes - From loggedMinutesOn()
+ * @returns {Array<Object>} The same array when nothing changed
+ */
+export const applyLoggedMinutes = (items, loggedMinutes) => {
+  let changed = false;
+  const next = items.map(item => {
+    if (targetOf(item)?.type !== 'duration') return item;
+    const logged = loggedMinutes[item.id] || 0;
+    if ((item.logged || 0) === logged) return item;
+    changed = true;
+    return withProgress(item, { logged });
+  });
+  return changed ? next : items;
+};
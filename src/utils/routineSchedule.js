@@ -0,0 +1,332 @@
+/**
+ * ROUTINE SCHEDULE
+ *
+ * Pure helpers for when a DailyChecklist routine is due. A routine's schedule is
+ * a small RRULE-style object:
+ *   {
+ *     freq: 'daily' | 'weekly' | 'monthly',
+ *     interval: 2,              // every 2 days / weeks / months
+ *     byWeekday: [1, 3, 5],     // weekly: 0 = Sunday ... 6 = Saturday
+ *     byMonthDay: 15,           // monthly: day of the month, -1 = last day
+ *     startDate: '2026-10-19',  // first possible day, and what intervals count from (required)
+ *     endDate: null,            // last possible day (inclusive)
+ *     skipHolidays: true,       // not due on the holidays set in DailyChecklist
+ *   }
+ * Routines without a schedule are due every day, as before schedules existed.
+ * Dates are 'YYYY-MM-DD' strings like the checklist's (getTodayString()).
+ */
+
+import { targetFromText } from './routineProgress.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const WEEKDAYS = [
+  { value: 1, short: 'Mon', name: 'monday' },
+  { value: 2, short: 'Tue', name: 'tuesday' },
+  { value: 3, short: 'Wed', name: 'wednesday' },
+  { value: 4, short: 'Thu', name: 'thursday' },
+  { value: 5, short: 'Fri', name: 'friday' },
+  { value: 6, short: 'Sat', name: 'saturday' },
+  { value: 0, short: 'Sun', name: 'sunday' },
+];
+
+export const DEFAULT_SCHEDULE = { freq: 'daily', interval: 1 };
+
+// A day counts towards the streak at this completion rate
+export const STREAK_THRESHOLD = 0.7;
+
+// How far back a streak is looked for
+const MAX_STREAK_DAYS = 366;
+
+// What schedules saved without a start date count their intervals from, so
+// "every 2 days" still skips days (a Thursday - weekly ones fall on Thursdays)
+const FALLBACK_START_DATE = '1970-01-01';
+
+// "every other Sunday", "every 3 weeks", "fortnightly"
+const EVERY_OTHER_PATTERN = /\bevery\s+(?:other|second|2nd|alternate)\b|\bbi-?weekly\b|\bfortnight(?:ly)?\b/;
+const EVERY_N_PATTERN = /\bevery\s+(\d+)\s+(?:days?|weeks?|months?)\b/;
+
+// The Capture tab's "time of day" for an idea, as a checklist category
+const CATEGORY_BY_TIME_OF_DAY = {
+  morning: 'Morning',
+  afternoon: 'Throughout Day',
+  evening: 'Evening',
+  night: 'Before Bed',
+};
+
+// ============================================
+// DATE HELPERS
+// ============================================
+// Whole days since 1970-01-01, so there is no time zone or DST to trip over
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return { year, month, day, number: Date.UTC(year, month - 1, day) / DAY_MS };
+};
+
+const formatDay = (number) => new Date(number * DAY_MS).toISOString().split('T')[0];
+
+/**
+ * @returns {string} The date `days` after dateString (negative for before)
+ */
+export const addDays = (dateString, days) => formatDay(parseDay(dateString).number + days);
+
+// 1970-01-01 was a Thursday
+const weekdayOf = (number) => (number + 4) % 7;
+
+// Monday of the week a day is in
+const weekStart = (number) => number - ((weekdayOf(number) + 6) % 7);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// ============================================
+// SCHEDULES
+// ============================================
+
+/**
+ * A schedule with its defaults filled in (missing or broken schedules are daily)
+ * @returns {Object}
+ */
+export const normalizeSchedule = (schedule) => {
+  const freq = ['daily', 'weekly', 'monthly'].includes(schedule?.freq) ? schedule.freq : 'daily';
+  return {
+    freq,
+    interval: Math.max(1, Math.floor(Number(schedule?.interval) || 1)),
+    byWeekday: Array.isArray(schedule?.byWeekday) ? schedule.byWeekday : [],
+    byMonthDay: Number(schedule?.byMonthDay) || null,
+    startDate: schedule?.startDate || null,
+    endDate: schedule?.endDate || null,
+    skipHolidays: Boolean(schedule?.skipHolidays),
+  };
+};
+
+/**
+ * Whether a date falls in one of the holidays ({ name, start, end } - end inclusive)
+ * @returns {Object|null} The holiday
+ */
+export const findHoliday = (dateString, holidays = []) => (
+  holidays.find(holiday => holiday.start <= dateString && dateString <= (holiday.end || holiday.start)) || null
+);
+
+/**
+ * Whether a routine with this schedule is due on a date
+ * @param {Object|undefined} schedule - Routine schedule (undefined = every day)
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @param {Object} options - { holidays }
+ * @returns {boolean}
+ */
+export const isScheduledOn = (schedule, dateString, { holidays = [] } = {}) => {
+  if (!schedule) return true;
+  const rule = normalizeSchedule(schedule);
+
+  if (rule.startDate && dateString < rule.startDate) return false;
+  if (rule.endDate && dateString > rule.endDate) return false;
+  if (rule.skipHolidays && findHoliday(dateString, holidays)) return false;
+
+  const date = parseDay(dateString);
+  const start = parseDay(rule.startDate || FALLBACK_START_DATE);
+
+  if (rule.freq === 'daily') {
+    return (date.number - start.number) % rule.interval === 0;
+  }
+
+  if (rule.freq === 'weekly') {
+    const weekdays = rule.byWeekday.length > 0 ? rule.byWeekday : [weekdayOf(start.number)];
+    if (!weekdays.includes(weekdayOf(date.number))) return false;
+    const weeks = (weekStart(date.number) - weekStart(start.number)) / 7;
+    return weeks % rule.interval === 0;
+  }
+
+  // Monthly: the 31st falls on the last day of shorter months
+  const months = (date.year - start.year) * 12 + (date.month - start.month);
+  if (months % rule.interval !== 0) return false;
+  const lastDay = daysInMonth(date.year, date.month);
+  const wanted = rule.byMonthDay || start.day;
+  return date.day === (wanted < 0 ? lastDay : Math.min(wanted, lastDay));
+};
+
+/**
+ * The routines due on a date, in their order
+ * @param {Array<Object>} routines - Checklist routines ({ id, schedule, ... })
+ * @returns {Array<Object>}
+ */
+export const routinesScheduledOn = (routines, dateString, { holidays = [] } = {}) => (
+  routines.filter(routine => isScheduledOn(routine.schedule, dateString, { holidays }))
+);
+
+const ordinal = (number) => {
+  const suffix = number % 100 >= 11 && number % 100 <= 13
+    ? 'th'
+    : ({ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th');
+  return `${number}${suffix}`;
+};
+
+/**
+ * A schedule in words, e.g. "Every 2 weeks on Sun · skips holidays"
+ * @returns {string}
+ */
+export const describeSchedule = (schedule) => {
+  const rule = normalizeSchedule(schedule);
+  const every = (unit) => (rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`);
+  let text;
+
+  if (rule.freq === 'daily') {
+    text = every('day');
+  } else if (rule.freq === 'weekly') {
+    const days = WEEKDAYS.filter(day => rule.byWeekday.includes(day.value)).map(day => day.short);
+    const on = days.length > 0 ? days.join(', ') : 'the start day';
+    text = rule.interval === 1 && days.length > 0 ? on : `${every('week')} on ${on}`;
+  } else {
+    const day = rule.byMonthDay === -1 ? 'the last day' : rule.byMonthDay ? `the ${ordinal(rule.byMonthDay)}` : 'the start day';
+    text = rule.interval === 1 ? `Monthly on ${day}` : `${every('month')} on ${day}`;
+  }
+
+  if (rule.startDate && rule.endDate) text += ` · ${rule.startDate} to ${rule.endDate}`;
+  else if (rule.endDate) text += ` · until ${rule.endDate}`;
+  if (rule.skipHolidays) text += ' · skips holidays';
+  return text;
+};
+
+// ============================================
+// IDEAS TO ROUTINES
+// ============================================
+
+// Weekday names as they get written: "monday", "mondays", "mon"; "tues", "thurs"
+const weekdayIn = (word, day) => (
+  word === day.name || word === `${day.name}s` || day.short.toLowerCase() === word ||
+  (word.length >= 4 && day.name.startsWith(word))
+);
+
+// How many days/weeks/months apart the text says ("every other Sunday" = 2)
+const intervalIn = (text) => {
+  if (EVERY_OTHER_PATTERN.test(text)) return 2;
+  const every = text.match(EVERY_N_PATTERN);
+  return every ? Math.max(1, Number(every[1])) : 1;
+};
+
+/**
+ * Schedule for the recurrence /api/classify-idea detected on an idea
+ * ('none' | 'daily' | 'weekly' | 'monthly'). Weekday names in the text
+ * ("gym Mon/Wed/Fri") pick the days of a weekly routine - without a detected
+ * recurrence only full names count, since "sun" and "sat" are words too.
+ * Otherwise weekly and monthly routines repeat on the start date's day.
+ * "every other ...", "every 3 weeks" and "fortnightly" set the interval.
+ * @param {string} recurrence - idea.recurrence
+ * @param {Object} options - { content, date: 'YYYY-MM-DD' start date }
+ * @returns {Object} Schedule
+ */
+export const scheduleFromRecurrence = (recurrence, { content = '', date }) => {
+  const start = parseDay(date);
+  const text = content.toLowerCase();
+  const words = text.match(/[a-z]+/g) || [];
+  const interval = intervalIn(text);
+  const named = (fullOnly) => WEEKDAYS
+    .filter(day => words.some(word => (fullOnly ? word.startsWith(day.name) : weekdayIn(word, day))))
+    .map(day => day.value);
+
+  if (recurrence === 'weekly') {
+    const weekdays = named(false);
+    return { freq: 'weekly', interval, byWeekday: weekdays.length > 0 ? weekdays : [weekdayOf(start.number)], startDate: date };
+  }
+  if (recurrence === 'monthly') {
+    return { freq: 'monthly', interval, byMonthDay: start.day, startDate: date };
+  }
+  if (recurrence !== 'daily' && named(true).length > 0) {
+    return { freq: 'weekly', interval, byWeekday: named(true), startDate: date };
+  }
+  return { ...DEFAULT_SCHEDULE, interval: recurrence === 'daily' ? interval : 1, startDate: date };
+};
+
+/**
+ * A custom checklist routine made from a captured idea
+ * (with a count or duration target when the text has one, e.g. "read 30 minutes")
+ * @param {Object} idea - Idea with its classification (recurrence, timeOfDay, priority)
+ * @param {string} today - 'YYYY-MM-DD'
+ * @returns {Object} Routine ({ id, category, text, important, isDefault, schedule, target, ideaId })
+ */
+export const routineFromIdea = (idea, today) => {
+  // A due date in the past would start the schedule back then - harmless, but start today
+  const date = idea.dueDate && idea.dueDate.slice(0, 10) >= today ? idea.dueDate.slice(0, 10) : today;
+  return {
+    id: `custom-${Date.now()}`,
+    category: CATEGORY_BY_TIME_OF_DAY[idea.timeOfDay] || 'Throughout Day',
+    text: idea.content.trim(),
+    important: idea.priority === 'high',
+    isDefault: false,
+    schedule: scheduleFromRecurrence(idea.recurrence, { content: idea.content, date }),
+    target: targetFromText(idea.content),
+    ideaId: idea.id,
+  };
+};
+
+// ============================================
+// TODAY'S CHECKLIST AND STREAKS
+// ============================================
+
+/**
+ * Today's checklist items for the routines now due, keeping what was already ticked
+ * (and counted, for routines with a target - see routineProgress.js)
+ * @param {Array<Object>} items - Current checklist items
+ * @param {Array<Object>} routines - Routines due today
+ * @returns {Array<Object>} The same array when nothing changed
+ */
+export const reconcileChecklistItems = (items, routines) => {
+  const existing = new Map(items.map(item => [item.id, item]));
+  const next = routines.map(routine => {
+    const item = existing.get(routine.id);
+    return {
+      ...routine,
+      completed: item?.completed || false,
+      completedAt: item?.completedAt || null,
+      progress: item?.progress || 0,
+      logged: item?.logged || 0,
+    };
+  });
+
+  const unchanged = next.length === items.length && next.every((item, index) => (
+    item.id === items[index].id &&
+    item.text === items[index].text &&
+    item.category === items[index].category &&
+    item.important === items[index].important &&
+    JSON.stringify(item.schedule) === JSON.stringify(items[index].schedule) &&
+    JSON.stringify(item.target) === JSON.stringify(items[index].target)
+  ));
+  return unchanged ? items : next;
+};
+
+/**
+ * Days in a row with at least STREAK_THRESHOLD of the due routines done.
+ * Days with nothing due (rest days, holidays) neither count nor break it; a due
+ * day without history (nothing ticked, app not opened) ends it. Today only adds
+ * to the streak once it's done - an unfinished today doesn't break it.
+ * @param {Object} history - neural-checklist-history: date -> { completionRate, totalItems }
+ * @param {Array<Object>} routines - Current routines, to tell rest days apart
+ * @param {Object} options - { today, todayRate (0-1, null when nothing is due), holidays }
+ * @returns {number}
+ */
+export const calculateStreak = (history, routines, { today, todayRate = null, holidays = [] }) => {
+  let streak = todayRate !== null && todayRate >= STREAK_THRESHOLD ? 1 : 0;
+
+  const dates = Object.keys(history).filter(date => date < today).sort();
+  const earliest = dates[0];
+  if (!earliest) return streak;
+
+  for (let offset = 1; offset <= MAX_STREAK_DAYS; offset++) {
+    const date = addDays(today, -offset);
+    if (date < earliest) break;
+
+    const day = history[date];
+    if (day && day.totalItems !== 0) {
+      if (day.completionRate >= STREAK_THRESHOLD) streak++;
+      else break;
+    } else if (routinesScheduledOn(routines, date, { holidays }).length > 0) {
+      break;
+    }
+  }
+
+  return streak;
+};
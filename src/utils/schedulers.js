@@ -0,0 +1,232 @@
+/**
+ * FLASHCARD SCHEDULERS
+ *
+ * Pluggable spaced repetition schedulers used by flashcardService.
+ *
+ * Every scheduler implements:
+ * - id / label / description
+ * - review(progress, quality, now, settings) -> { progress, log }
+ *     progress: the card's stored progress (null for a new card)
+ *     quality:  rating 0-5 from the UI (Again=1, Hard=3, Good=4, Easy=5)
+ *     settings: the user's scheduler settings (FSRS weights, desired retention)
+ * - seed(progress, settings) -> progress converted to this scheduler's state
+ *
+ * Progress shape (camelCase, one per card):
+ *   { scheduler, easeFactor, intervalDays, repetitions, nextReview, lastReviewed,
+ *     stability, difficulty, lapses, state }
+ * SM-2 and FSRS both keep intervalDays/repetitions/nextReview current, so the
+ * review queue and deck stats work the same for either.
+ */
+
+import {
+  DEFAULT_FSRS_PARAMS,
+  DEFAULT_DESIRED_RETENTION,
+  reviewMemory,
+  nextInterval,
+} from './fsrs';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// SM-2 Algorithm defaults
+export const DEFAULT_EASE_FACTOR = 2.5;
+export const MIN_EASE_FACTOR = 1.3;
+const MAX_EASE_FACTOR = 3.0;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Map the 0-5 quality rating to an FSRS grade (1 Again, 2 Hard, 3 Good, 4 Easy)
+ */
+export const qualityToGrade = (quality) => {
+  if (quality < 3) return 1;
+  if (quality === 3) return 2;
+  if (quality === 4) return 3;
+  return 4;
+};
+
+const daysBetween = (from, to) => (from ? Math.max(0, (to - new Date(from)) / DAY_MS) : 0);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// ============================================
+// SM-2
+// ============================================
+
+/**
+ * SM-2 Algorithm:
+ * - quality >= 3 (correct):
+ *   - if repetitions == 0: interval = 1 day
+ *   - else if repetitions == 1: interval = 6 days
+ *   - else: interval = previous_interval * ease_factor
+ *   - ease_factor = ease_factor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+ *   - if ease_factor < 1.3: ease_factor = 1.3
+ *   - repetitions += 1
+ * - quality < 3 (incorrect):
+ *   - repetitions = 0
+ *   - interval = 1 day
+ */
+const sm2 = {
+  id: 'sm2',
+  label: 'SM-2',
+  description: 'Classic fixed-multiplier intervals (1 day, 6 days, then interval × ease).',
+
+  seed: (progress) => ({
+    ...progress,
+    scheduler: 'sm2',
+    easeFactor: progress.easeFactor || DEFAULT_EASE_FACTOR,
+  }),
+
+  review: (progress, quality, now) => {
+    let easeFactor = progress?.easeFactor || DEFAULT_EASE_FACTOR;
+    let intervalDays = progress?.intervalDays || 0;
+    let repetitions = progress?.repetitions || 0;
+    let lapses = progress?.lapses || 0;
+
+    if (quality >= 3) {
+      // Correct answer
+      if (repetitions === 0) {
+        intervalDays = 1;
+      } else if (repetitions === 1) {
+        intervalDays = 6;
+      } else {
+        intervalDays = Math.round(intervalDays * easeFactor);
+      }
+
+      // Update ease factor
+      easeFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+      if (easeFactor < MIN_EASE_FACTOR) {
+        easeFactor = MIN_EASE_FACTOR;
+      }
+
+      repetitions += 1;
+    } else {
+      // Incorrect answer - reset
+      repetitions = 0;
+      intervalDays = 1;
+      lapses += progress?.lastReviewed ? 1 : 0;
+      // Don't reduce ease factor below minimum on failure
+      easeFactor = Math.max(easeFactor - 0.2, MIN_EASE_FACTOR);
+    }
+
+    return {
+      ...progress,
+      scheduler: 'sm2',
+      easeFactor,
+      intervalDays,
+      repetitions,
+      lapses,
+      state: quality >= 3 ? 'review' : 'relearning',
+      nextReview: addDays(now, intervalDays).toISOString(),
+      lastReviewed: now.toISOString(),
+    };
+  },
+};
+
+// ============================================
+// FSRS
+// ============================================
+
+/**
+ * Seed FSRS memory state from SM-2 data.
+ * SM-2 intervals aim at roughly 90% recall, which is what FSRS stability
+ * means, so the last interval becomes the stability. Ease 1.3 (hardest)
+ * to 3.0 maps onto difficulty 10 to 1.
+ */
+const seedFsrs = (progress) => {
+  if (!progress?.lastReviewed) {
+    return { ...progress, scheduler: 'fsrs', stability: null, difficulty: null };
+  }
+
+  if (progress.stability && progress.difficulty) {
+    return { ...progress, scheduler: 'fsrs' };
+  }
+
+  const easeFactor = progress.easeFactor || DEFAULT_EASE_FACTOR;
+  const difficulty = 10 - ((Math.min(easeFactor, MAX_EASE_FACTOR) - MIN_EASE_FACTOR) / (MAX_EASE_FACTOR - MIN_EASE_FACTOR)) * 9;
+
+  return {
+    ...progress,
+    scheduler: 'fsrs',
+    stability: Math.max(progress.intervalDays || 1, 0.5),
+    difficulty: Math.min(10, Math.max(1, difficulty)),
+    state: progress.state || 'review',
+  };
+};
+
+const fsrs = {
+  id: 'fsrs',
+  label: 'FSRS',
+  description: 'Models how well you remember each card and schedules it when recall is about to drop to your target retention. Usually far fewer reviews than SM-2.',
+
+  seed: seedFsrs,
+
+  review: (progress, quality, now, settings = {}) => {
+    const params = settings.fsrsParams || DEFAULT_FSRS_PARAMS;
+    const desiredRetention = settings.desiredRetention || DEFAULT_DESIRED_RETENTION;
+    const seeded = progress ? seedFsrs(progress) : null;
+    const memory = seeded?.stability ? { stability: seeded.stability, difficulty: seeded.difficulty } : null;
+
+    const grade = qualityToGrade(quality);
+    const elapsedDays = daysBetween(seeded?.lastReviewed, now);
+    const { stability, difficulty, retrievability } = reviewMemory(memory, grade, elapsedDays, params);
+    const intervalDays = grade === 1 ? 1 : nextInterval(stability, desiredRetention);
+
+    return {
+      ...seeded,
+      scheduler: 'fsrs',
+      stability,
+      difficulty,
+      easeFactor: seeded?.easeFactor || DEFAULT_EASE_FACTOR,
+      intervalDays,
+      repetitions: grade === 1 ? 0 : (seeded?.repetitions || 0) + 1,
+      lapses: (seeded?.lapses || 0) + (grade === 1 && memory ? 1 : 0),
+      state: grade === 1 && memory ? 'relearning' : 'review',
+      nextReview: addDays(now, intervalDays).toISOString(),
+      lastReviewed: now.toISOString(),
+      retrievability,
+    };
+  },
+};
+
+// ============================================
+// REGISTRY
+// ============================================
+
+export const SCHEDULERS = { sm2, fsrs };
+
+export const DEFAULT_SCHEDULER = 'sm2';
+
+/**
+ * Get a scheduler by id (falls back to SM-2)
+ * @param {string} id - 'sm2' | 'fsrs'
+ */
+export const getScheduler = (id) => SCHEDULERS[id] || SCHEDULERS[DEFAULT_SCHEDULER];
+
+/**
+ * Review a card with the given scheduler, converting progress saved by a
+ * different scheduler first.
+ * @returns {Object} { progress, log } - log is the review log entry fields
+ */
+export const scheduleReview = (schedulerId, progress, quality, now, settings) => {
+  const scheduler = getScheduler(schedulerId);
+  const current = progress && progress.scheduler !== scheduler.id && progress.lastReviewed
+    ? scheduler.seed(progress, settings)
+    : progress;
+
+  const { retrievability, ...next } = scheduler.review(current, quality, now, settings);
+
+  return {
+    progress: next,
+    log: {
+      rating: qualityToGrade(quality),
+      quality,
+      scheduler: scheduler.id,
+      state: current?.lastReviewed ? (current.state || 'review') : 'new',
+      elapsedDays: daysBetween(current?.lastReviewed, now),
+      scheduledDays: current?.intervalDays || 0,
+      retrievability: retrievability ?? null,
+    },
+  };
+};
@@ -0,0 +1,87 @@
+/**
+ * SERVICE WORKER REGISTRATION
+ *
+ * Registers /sw.js (production builds only) and reports when a new build has
+ * been downloaded and is waiting, so the UI can offer to reload into it.
+ */
+
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000; // Long-lived tabs/installed apps check hourly
+
+let waitingWorker = null;
+const updateListeners = new Set();
+
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  updateListeners.forEach(listener => listener(Boolean(worker)));
+};
+
+// Track a worker that is installing until it is installed and waiting
+const trackInstalling = (worker) => {
+  worker.addEventListener('statechange', () => {
+    // Only an update if a controller already exists - the first install needs no prompt
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+      setWaitingWorker(worker);
+    }
+  });
+};
+
+/**
+ * Register the service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const registerServiceWorker = async () => {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register('/sw.js');
+
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      setWaitingWorker(registration.waiting);
+    }
+    if (registration.installing) {
+      trackInstalling(registration.installing);
+    }
+    registration.addEventListener('updatefound', () => {
+      if (registration.installing) trackInstalling(registration.installing);
+    });
+
+    // Reload once the new worker takes over so the page runs the new build
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (reloading || !waitingWorker) return;
+      reloading = true;
+      window.location.reload();
+    });
+
+    setInterval(() => {
+      registration.update().catch(() => {});
+    }, UPDATE_CHECK_INTERVAL_MS);
+
+    return registration;
+  } catch (error) {
+    console.error('Service worker registration failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Subscribe to "update available" changes
+ * @param {Function} listener - Called with true when a new build is waiting
+ * @returns {Function} Unsubscribe
+ */
+export const onUpdateAvailable = (listener) => {
+  updateListeners.add(listener);
+  if (waitingWorker) listener(true);
+  return () => updateListeners.delete(listener);
+};
+
+/**
+ * Activate the waiting build (the page reloads on controllerchange)
+ */
+export const applyUpdate = () => {
+  if (waitingWorker) {
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }
+};
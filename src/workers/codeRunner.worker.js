@@ -0,0 +1,145 @@
+/**
+ * CODE RUNNER WORKER
+ *
+ * Executes JavaScript and Python (Pyodide/WASM) off the main thread.
+ * The main thread terminates this worker on timeout, so an infinite loop
+ * can never freeze the UI.
+ *
+ * Messages in:  { id, type: 'load', language }
+ *               { id, type: 'run', language, code, input, entry }
+ * Messages out: { id, ok, value?, error?, stdout, stderr }
+ */
+
+// Pyodide is served as static files from /pyodide/ (see pyodideAssets in vite.config.js)
+const PYODIDE_BASE_URL = `${self.location.origin}/pyodide/`;
+
+// Mirrors the server sandbox runner so local and server runs call the solution the same way
+const PYTHON_HARNESS = `
+import io, re, sys
+
+def __run_solution(code, test_input, entry):
+    def collect_args(*args, **kwargs):
+        return args, kwargs
+
+    namespace = {'__name__': '__main__' if not entry else '__solution__', '__collect_args__': collect_args}
+    original_stdin = sys.stdin
+    try:
+        if not entry:
+            sys.stdin = io.StringIO(test_input)
+            exec(compile(code, 'solution.py', 'exec'), namespace)
+            return None
+        exec(compile(code, 'solution.py', 'exec'), namespace)
+        if re.match(r'^\\s*' + re.escape(entry) + r'\\s*\\(', test_input):
+            value = eval(test_input, namespace)
+        else:
+            try:
+                args, kwargs = eval('__collect_args__(' + test_input + ')', namespace) if test_input else ((), {})
+            except (SyntaxError, NameError):
+                args, kwargs = (test_input,), {}
+            value = namespace[entry](*args, **kwargs)
+        return value if isinstance(value, str) else repr(value)
+    finally:
+        sys.stdin = original_stdin
+`;
+
+let pyodidePromise = null;
+
+const loadPython = () => {
+  if (!pyodidePromise) {
+    pyodidePromise = import(/* @vite-ignore */ `${PYODIDE_BASE_URL}pyodide.mjs`)
+      .then(({ loadPyodide }) => loadPyodide({ indexURL: PYODIDE_BASE_URL }))
+      .then(async (pyodide) => {
+        await pyodide.runPythonAsync(PYTHON_HARNESS);
+        return pyodide;
+      });
+  }
+  return pyodidePromise;
+};
+
+const formatValue = (value) => {
+  if (typeof value === 'string') return value;
+  if (value === undefined) return 'undefined';
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return String(value);
+  }
+};
+
+const formatArgs = (args) => args.map(arg => (typeof arg === 'string' ? arg : formatValue(arg))).join(' ');
+
+async function runJavaScript(code, input, entry) {
+  const stdout = [];
+  const stderr = [];
+  const originalConsole = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+  console.log = console.info = (...args) => stdout.push(formatArgs(args));
+  console.warn = console.error = (...args) => stderr.push(formatArgs(args));
+
+  try {
+    let value;
+    if (!entry) {
+      new Function('module', 'exports', 'input', code)({ exports: {} }, {}, input);
+      value = stdout.join('\n');
+    } else {
+      const isCall = new RegExp(`^\\s*${entry}\\s*\\(`).test(input);
+      let args = [];
+      if (!isCall && input) {
+        try {
+          args = new Function(`return [${input}];`)();
+        } catch {
+          args = [input];
+        }
+      }
+      const body = `${code}\n;return ${isCall ? input : `${entry}(...__args__)`};`;
+      value = await new Function('module', 'exports', '__args__', body)({ exports: {} }, {}, args);
+    }
+    return { ok: true, value: formatValue(value), stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+  } catch (error) {
+    return { ok: false, error: `${error.name}: ${error.message}`, stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+  } finally {
+    Object.assign(console, originalConsole);
+  }
+}
+
+async function runPython(code, input, entry) {
+  const pyodide = await loadPython();
+  const stdout = [];
+  const stderr = [];
+  pyodide.setStdout({ batched: (line) => stdout.push(line) });
+  pyodide.setStderr({ batched: (line) => stderr.push(line) });
+
+  try {
+    const runSolution = pyodide.globals.get('__run_solution');
+    const value = runSolution(code, input, entry || '');
+    runSolution.destroy();
+    return {
+      ok: true,
+      value: entry ? value : stdout.join('\n').trim(),
+      stdout: stdout.join('\n'),
+      stderr: stderr.join('\n'),
+    };
+  } catch (error) {
+    // PythonError messages contain the full traceback - the last line is the actual error
+    const lines = String(error.message).trim().split('\n');
+    return { ok: false, error: lines[lines.length - 1], stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+  }
+}
+
+self.onmessage = async (event) => {
+  const { id, type, language, code, input, entry } = event.data;
+
+  try {
+    if (type === 'load') {
+      if (language === 'python') await loadPython();
+      self.postMessage({ id, ok: true });
+      return;
+    }
+
+    const result = language === 'python'
+      ? await runPython(code, input, entry)
+      : await runJavaScript(code, input, entry);
+    self.postMessage({ id, ...result });
+  } catch (error) {
+    self.postMessage({ id, ok: false, error: error.message || String(error), stdout: '', stderr: '' });
+  }
+};
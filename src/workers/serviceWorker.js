@@ -0,0 +1,181 @@
+/**
+ * SERVICE WORKER
+ *
+ * Makes the installed PWA work offline:
+ * - Precaches the Vite build (app shell) so the app opens without a connection
+ * - Serves navigations from the cached index.html (single-page app)
+ * - Caches Pyodide and public assets at runtime
+ * - Leaves /api and Supabase traffic to the network
+ *
+ * Generated cheat sheets and flashcard decks are written to the 'neural-resources'
+ * cache by resourceService; this worker only has to keep that cache across updates.
+ *
+ * A new build installs in the background and waits. The page shows an
+ * "update available" prompt and posts { type: 'SKIP_WAITING' } to activate it.
+ *
+ * Reminder notifications (utils/notificationScheduler.js) are shown through this
+ * worker so they can have Snooze/Done actions. Clicks and dismissals are posted
+ * back to the open app as { type: 'NOTIFICATION_ACTION', action, key, data }; with
+ * no app open, a click opens it with the action in the URL.
+ *
+ * Smart reminders pushed by the server (server/push) arrive as push events with
+ * the same { key, kind, id, title, body } and are shown the same way.
+ *
+ * This file is not bundled: the serviceWorker() plugin in vite.config.js fills in
+ * the build version and precache list and emits it as /sw.js.
+ */
+
+const BUILD_VERSION = '__BUILD_VERSION__';
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST__;
+
+const SHELL_CACHE = `neural-shell-${BUILD_VERSION}`;
+const RUNTIME_CACHE = 'neural-runtime';
+const PYODIDE_CACHE = 'neural-pyodide';
+const RESOURCES_CACHE = 'neural-resources';
+
+const KEPT_CACHES = [SHELL_CACHE, RUNTIME_CACHE, PYODIDE_CACHE, RESOURCES_CACHE];
+
+// Never cached - always need fresh data from the backend
+const NETWORK_ONLY_PATHS = ['/api/', '/health'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('neural-') && !KEPT_CACHES.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+};
+
+// SPA navigation: try the network so a fresh deploy is picked up, fall back to the shell offline
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    const shell = await caches.open(SHELL_CACHE);
+    return (await shell.match('/index.html')) || (await shell.match('/')) || Response.error();
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (NETWORK_ONLY_PATHS.some(path => url.pathname.startsWith(path))) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (url.pathname.startsWith('/pyodide/')) {
+    event.respondWith(cacheFirst(request, PYODIDE_CACHE));
+    return;
+  }
+
+  if (PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(request));
+});
+
+// Reminders pushed by the server while the app is closed. The snooze length lives
+// in the app's settings, so the action here is just "Snooze"
+self.addEventListener('push', (event) => {
+  let payload;
+  try {
+    payload = event.data?.json();
+  } catch {
+    payload = null;
+  }
+  if (!payload?.title) return;
+
+  event.waitUntil(self.registration.showNotification(payload.title, {
+    body: payload.body,
+    tag: payload.key,
+    icon: '/icon-192.png',
+    badge: '/icon-192.png',
+    data: { key: payload.key, kind: payload.kind, id: payload.id },
+    actions: [
+      { action: 'snooze', title: 'Snooze' },
+      { action: 'done', title: 'Done' },
+    ],
+  }));
+});
+
+// Reminder notifications: pass clicks and dismissals on to the app
+const postNotificationAction = async (action, notification) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage({
+    type: 'NOTIFICATION_ACTION',
+    action,
+    key: notification.tag,
+    data: notification.data || {},
+  }));
+  return windows;
+};
+
+self.addEventListener('notificationclick', (event) => {
+  const action = event.action || 'open';
+  const { notification } = event;
+  notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await postNotificationAction(action, notification);
+
+    // Snooze/Done are handled by the open app without bringing it forward
+    if (windows.length > 0) {
+      return action === 'open' ? windows[0].focus() : undefined;
+    }
+
+    const params = new URLSearchParams({ notificationAction: action, notificationKey: notification.tag });
+    return self.clients.openWindow(`/?${params}`);
+  })());
+});
+
+self.addEventListener('notificationclose', (event) => {
+  event.waitUntil(postNotificationAction('dismiss', event.notification));
+});
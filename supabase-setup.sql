@@ -168,6 +168,86 @@ CREATE TRIGGER update_flashcard_decks_last_modified
   FOR EACH ROW
   EXECUTE FUNCTION update_last_modified();
 
+-- Scheduler state (FSRS). SM-2 uses ease_factor/interval_days/repetitions;
+-- FSRS adds stability/difficulty. Both keep interval_days and next_review current.
+ALTER TABLE flashcard_progress ADD COLUMN IF NOT EXISTS scheduler TEXT DEFAULT 'sm2'; -- 'sm2' | 'fsrs'
+ALTER TABLE flashcard_progress ADD COLUMN IF NOT EXISTS stability REAL; -- FSRS: days until recall drops to 90%
+ALTER TABLE flashcard_progress ADD COLUMN IF NOT EXISTS difficulty REAL; -- FSRS: 1 (easy) to 10 (hard)
+ALTER TABLE flashcard_progress ADD COLUMN IF NOT EXISTS lapses INTEGER DEFAULT 0; -- Times forgotten after learning
+ALTER TABLE flashcard_progress ADD COLUMN IF NOT EXISTS state TEXT; -- 'review' | 'relearning'
+
+-- Table 3: flashcard_scheduler_settings - Scheduler choice and fitted FSRS parameters per user
+CREATE TABLE IF NOT EXISTS flashcard_scheduler_settings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  scheduler TEXT NOT NULL DEFAULT 'sm2', -- 'sm2' | 'fsrs'
+  desired_retention REAL DEFAULT 0.9, -- FSRS target recall probability
+  fsrs_params JSONB, -- 17 fitted FSRS weights (NULL = defaults)
+  optimized_at TIMESTAMPTZ,
+  optimized_review_count INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id)
+);
+
+ALTER TABLE flashcard_scheduler_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own scheduler settings"
+  ON flashcard_scheduler_settings FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own scheduler settings"
+  ON flashcard_scheduler_settings FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own scheduler settings"
+  ON flashcard_scheduler_settings FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own scheduler settings"
+  ON flashcard_scheduler_settings FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_flashcard_scheduler_settings_last_modified
+  BEFORE UPDATE ON flashcard_scheduler_settings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+-- Table 4: review_log - Append-only history of every flashcard review and practice
+-- question attempt (feeds FSRS optimisation and the retention charts).
+-- No UPDATE/DELETE policies: rows can only be added.
+CREATE TABLE IF NOT EXISTS review_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  item_type TEXT NOT NULL DEFAULT 'flashcard', -- 'flashcard' | 'question'
+  deck_id UUID REFERENCES flashcard_decks(id) ON DELETE SET NULL,
+  item_id TEXT NOT NULL, -- Card ID within the deck, or learning_history ID
+  subject TEXT,
+  topic TEXT,
+  rating SMALLINT NOT NULL, -- 1 Again/incorrect, 2 Hard/partial, 3 Good/correct, 4 Easy
+  quality SMALLINT, -- Original 0-5 flashcard rating
+  score REAL, -- Question score 0-1
+  scheduler TEXT, -- Scheduler that handled the review
+  state TEXT, -- Before the review: 'new' | 'review' | 'relearning'
+  elapsed_days REAL, -- Actual days since the previous review (topic's previous session for questions)
+  scheduled_days REAL, -- Interval that had been scheduled
+  time_taken INTEGER, -- Seconds spent answering
+  reviewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE review_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own review log"
+  ON review_log FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own review log"
+  ON review_log FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS review_log_user_type_time_idx
+  ON review_log(user_id, item_type, reviewed_at);
+
 -- ====================================
 -- LEARNING RESOURCES LIBRARY TABLE
 -- ====================================
@@ -225,3 +305,510 @@ CREATE TRIGGER update_learning_resources_last_modified
   BEFORE UPDATE ON learning_resources
   FOR EACH ROW
   EXECUTE FUNCTION update_last_modified();
+
+-- ====================================
+-- PERSONAL DATA TABLES
+-- ====================================
+-- Logs, end-of-day reviews, routines, calendar and reminder history.
+-- These used to live only in localStorage; lifeDataService.js syncs them here
+-- so every device shows the same data. client_id / date columns hold the
+-- keys the app already uses locally, so uploads are idempotent upserts.
+
+-- Table 1: activity_logs - QuickLogger energy/motivation/activity entries
+CREATE TABLE IF NOT EXISTS activity_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  client_id TEXT NOT NULL, -- Local log id
+  logged_at TIMESTAMPTZ NOT NULL,
+  time_period TEXT,
+  energy INTEGER,
+  motivation INTEGER,
+  activity TEXT,
+  subject TEXT,
+  subject_hierarchy JSONB,
+  duration INTEGER, -- Minutes (study sessions)
+  routine_id TEXT, -- Checklist routine the minutes count towards (QuickLogger timer)
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, client_id)
+);
+
+-- Installs from before routine timers
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS routine_id TEXT;
+
+-- Table 2: daily_reviews - One end-of-day review per date
+CREATE TABLE IF NOT EXISTS daily_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  review_date DATE NOT NULL,
+  client_id TEXT,
+  reviewed_at TIMESTAMPTZ,
+  completed BOOLEAN DEFAULT TRUE,
+  responses JSONB NOT NULL DEFAULT '{}',
+  actual_data JSONB,
+  comparison JSONB,
+  insights JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, review_date)
+);
+
+-- Table 3: daily_checklists - Today's routine checklist (one row per user)
+CREATE TABLE IF NOT EXISTS daily_checklists (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  checklist_date DATE NOT NULL,
+  items JSONB NOT NULL DEFAULT '[]', -- Array of routine items with completed/completedAt
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id)
+);
+
+-- Table 4: checklist_history - Completion summary for past days
+CREATE TABLE IF NOT EXISTS checklist_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  history_date DATE NOT NULL,
+  completed TEXT[] DEFAULT '{}', -- Completed routine item ids
+  timestamps JSONB DEFAULT '{}', -- item id -> completedAt
+  completion_rate REAL DEFAULT 0,
+  total_items INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, history_date)
+);
+
+-- Routine ids that were due that day (NULL for days saved before schedules)
+ALTER TABLE checklist_history ADD COLUMN IF NOT EXISTS due TEXT[];
+-- Count and duration routines: item id -> amount done, for partial credit
+ALTER TABLE checklist_history ADD COLUMN IF NOT EXISTS progress JSONB DEFAULT '{}';
+
+-- Table 5: calendar_events - CalendarView events
+CREATE TABLE IF NOT EXISTS calendar_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  client_id TEXT NOT NULL, -- Local event id
+  title TEXT NOT NULL,
+  description TEXT,
+  start_at TIMESTAMPTZ NOT NULL,
+  end_at TIMESTAMPTZ NOT NULL,
+  priority TEXT DEFAULT 'medium',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, client_id)
+);
+
+-- Table 6: reminder_history - How often each idea was shown/dismissed as a reminder
+CREATE TABLE IF NOT EXISTS reminder_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  idea_id TEXT NOT NULL,
+  last_shown TIMESTAMPTZ,
+  show_count INTEGER DEFAULT 0,
+  dismiss_count INTEGER DEFAULT 0,
+  action_taken BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, idea_id)
+);
+
+-- Times a reminder notification for the idea was snoozed
+ALTER TABLE reminder_history ADD COLUMN IF NOT EXISTS snooze_count INTEGER DEFAULT 0;
+
+-- Enable RLS
+ALTER TABLE activity_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE daily_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE daily_checklists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE checklist_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE calendar_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_history ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for activity_logs
+CREATE POLICY "Users can view own activity logs"
+  ON activity_logs FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own activity logs"
+  ON activity_logs FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own activity logs"
+  ON activity_logs FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own activity logs"
+  ON activity_logs FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- RLS policies for daily_reviews
+CREATE POLICY "Users can view own daily reviews"
+  ON daily_reviews FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own daily reviews"
+  ON daily_reviews FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own daily reviews"
+  ON daily_reviews FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own daily reviews"
+  ON daily_reviews FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- RLS policies for daily_checklists
+CREATE POLICY "Users can view own daily checklist"
+  ON daily_checklists FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own daily checklist"
+  ON daily_checklists FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own daily checklist"
+  ON daily_checklists FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own daily checklist"
+  ON daily_checklists FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- RLS policies for checklist_history
+CREATE POLICY "Users can view own checklist history"
+  ON checklist_history FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own checklist history"
+  ON checklist_history FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own checklist history"
+  ON checklist_history FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own checklist history"
+  ON checklist_history FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- RLS policies for calendar_events
+CREATE POLICY "Users can view own calendar events"
+  ON calendar_events FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own calendar events"
+  ON calendar_events FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own calendar events"
+  ON calendar_events FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own calendar events"
+  ON calendar_events FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- RLS policies for reminder_history
+CREATE POLICY "Users can view own reminder history"
+  ON reminder_history FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own reminder history"
+  ON reminder_history FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own reminder history"
+  ON reminder_history FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own reminder history"
+  ON reminder_history FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_activity_logs_user_logged_at
+  ON activity_logs(user_id, logged_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_daily_reviews_user_date
+  ON daily_reviews(user_id, review_date DESC);
+
+CREATE INDEX IF NOT EXISTS idx_checklist_history_user_date
+  ON checklist_history(user_id, history_date DESC);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_events_user_start
+  ON calendar_events(user_id, start_at);
+
+-- Triggers to update last_modified timestamps
+CREATE TRIGGER update_activity_logs_last_modified
+  BEFORE UPDATE ON activity_logs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+CREATE TRIGGER update_daily_reviews_last_modified
+  BEFORE UPDATE ON daily_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+CREATE TRIGGER update_daily_checklists_last_modified
+  BEFORE UPDATE ON daily_checklists
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+CREATE TRIGGER update_checklist_history_last_modified
+  BEFORE UPDATE ON checklist_history
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+CREATE TRIGGER update_calendar_events_last_modified
+  BEFORE UPDATE ON calendar_events
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+CREATE TRIGGER update_reminder_history_last_modified
+  BEFORE UPDATE ON reminder_history
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+-- ====================================
+-- IDEA LINKS AND GROUPS
+-- ====================================
+-- Connections between ideas, synced by lifeDataService.js. Idea ids are kept
+-- as TEXT without a foreign key (like reminder_history.idea_id): guests'
+-- local ids and Supabase ids both fit, and the app removes an idea's links
+-- and group memberships when the idea is deleted.
+
+-- Table 1: idea_links - [[wiki links]] between ideas and parent/child threads
+CREATE TABLE IF NOT EXISTS idea_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  client_id TEXT NOT NULL, -- 'reference:<source>:<target>' or 'thread:<child>' (one parent per idea)
+  kind TEXT NOT NULL CHECK (kind IN ('reference', 'thread')),
+  source_id TEXT NOT NULL, -- Linking idea, or the child of a thread
+  target_id TEXT NOT NULL, -- Linked idea, or the parent of a thread
+  label TEXT, -- The [[text]] as written, for references
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, client_id),
+  CHECK (source_id <> target_id)
+);
+
+-- Table 2: idea_groups - Saved groupings of ideas (e.g. themes from Organize Ideas)
+CREATE TABLE IF NOT EXISTS idea_groups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  client_id TEXT NOT NULL, -- Local group id
+  name TEXT NOT NULL,
+  description TEXT,
+  priority TEXT,
+  idea_ids TEXT[] NOT NULL DEFAULT '{}',
+  source TEXT DEFAULT 'manual' CHECK (source IN ('organize', 'manual')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, client_id)
+);
+
+-- Enable RLS
+ALTER TABLE idea_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE idea_groups ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for idea_links
+CREATE POLICY "Users can view own idea links"
+  ON idea_links FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own idea links"
+  ON idea_links FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own idea links"
+  ON idea_links FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own idea links"
+  ON idea_links FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- RLS policies for idea_groups
+CREATE POLICY "Users can view own idea groups"
+  ON idea_groups FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own idea groups"
+  ON idea_groups FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own idea groups"
+  ON idea_groups FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own idea groups"
+  ON idea_groups FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Indexes for faster queries (backlinks look links up by target)
+CREATE INDEX IF NOT EXISTS idx_idea_links_user_target
+  ON idea_links(user_id, target_id);
+
+CREATE INDEX IF NOT EXISTS idx_idea_groups_user_created
+  ON idea_groups(user_id, created_at DESC);
+
+-- Triggers to update last_modified timestamps
+CREATE TRIGGER update_idea_links_last_modified
+  BEFORE UPDATE ON idea_links
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+CREATE TRIGGER update_idea_groups_last_modified
+  BEFORE UPDATE ON idea_groups
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+-- ====================================
+-- WEB PUSH SUBSCRIPTIONS
+-- ====================================
+-- One row per device that gets reminders pushed while the app is closed,
+-- written by server.cjs (server/push) with the service role key when the
+-- app calls /api/push/subscribe. The server's reminder job reads them with
+-- the user's ideas and deletes rows the push service reports gone.
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL UNIQUE, -- Push service URL for the device
+  p256dh TEXT NOT NULL, -- Device's public key (base64url) payloads are encrypted to
+  auth TEXT NOT NULL, -- Device's auth secret (base64url)
+  timezone TEXT NOT NULL DEFAULT 'UTC', -- IANA timezone quiet hours are read in
+  quiet_hours JSONB, -- { enabled, start: 'HH:MM', end: 'HH:MM' }
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Users can see which of their devices get pushes; only the server writes them
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own push subscriptions"
+  ON push_subscriptions FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user
+  ON push_subscriptions(user_id, last_modified DESC);
+
+CREATE TRIGGER update_push_subscriptions_last_modified
+  BEFORE UPDATE ON push_subscriptions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+-- ====================================
+-- API USAGE BUDGETS
+-- ====================================
+-- Daily request/token usage of the AI endpoints in server.cjs, written by the
+-- server with the service role key. Signed-in users are keyed 'user:<uuid>',
+-- guests 'anon:<hash of client IP>'. Tokens are weighted by model price
+-- (Haiku 3.5 = 1, Sonnet 4.5 = 3.75).
+
+CREATE TABLE IF NOT EXISTS api_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  usage_key TEXT NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE, -- NULL for guests
+  usage_date DATE NOT NULL, -- UTC day the budget applies to
+  requests INTEGER NOT NULL DEFAULT 0,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  weighted_tokens REAL NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(usage_key, usage_date)
+);
+
+-- Users can read their own usage; only the server (service role) writes it
+ALTER TABLE api_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own API usage"
+  ON api_usage FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_api_usage_last_modified
+  BEFORE UPDATE ON api_usage
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+-- Optional per-user limits (NULL columns fall back to the server's defaults)
+CREATE TABLE IF NOT EXISTS api_budgets (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  daily_requests INTEGER,
+  daily_tokens INTEGER,
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_modified TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE api_budgets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own API budget"
+  ON api_budgets FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_api_budgets_last_modified
+  BEFORE UPDATE ON api_budgets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_last_modified();
+
+-- Atomic upsert used by the server after each request; returns the new totals
+CREATE OR REPLACE FUNCTION increment_api_usage(
+  p_usage_key TEXT,
+  p_user_id UUID,
+  p_usage_date DATE,
+  p_requests INTEGER,
+  p_input_tokens INTEGER,
+  p_output_tokens INTEGER,
+  p_weighted_tokens REAL
+)
+RETURNS TABLE (requests INTEGER, weighted_tokens REAL) AS $$
+BEGIN
+  RETURN QUERY
+  INSERT INTO api_usage AS u (usage_key, user_id, usage_date, requests, input_tokens, output_tokens, weighted_tokens)
+  VALUES (p_usage_key, p_user_id, p_usage_date, p_requests, p_input_tokens, p_output_tokens, p_weighted_tokens)
+  ON CONFLICT (usage_key, usage_date) DO UPDATE SET
+    requests = u.requests + EXCLUDED.requests,
+    input_tokens = u.input_tokens + EXCLUDED.input_tokens,
+    output_tokens = u.output_tokens + EXCLUDED.output_tokens,
+    weighted_tokens = u.weighted_tokens + EXCLUDED.weighted_tokens
+  RETURNING u.requests, u.weighted_tokens;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION increment_api_usage(TEXT, UUID, DATE, INTEGER, INTEGER, INTEGER, REAL) FROM PUBLIC, anon, authenticated;
+
+-- ====================================
+-- AI RESPONSE CACHE
+-- ====================================
+-- Model answers for input-only endpoints (subject/idea classification, cheat
+-- sheets, flashcards), written and read by server.cjs (server/cache). Keys are
+-- hashes of endpoint + model + normalized inputs. RLS is on with no policies:
+-- only the service role can touch it.
+CREATE TABLE IF NOT EXISTS response_cache (
+  cache_key TEXT PRIMARY KEY,
+  endpoint TEXT NOT NULL,
+  model TEXT NOT NULL,
+  value JSONB NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  last_hit_at TIMESTAMPTZ
+);
+
+ALTER TABLE response_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_response_cache_endpoint ON response_cache(endpoint, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_response_cache_expires_at ON response_cache(expires_at);
+
+-- Count a cache hit without a read-modify-write round trip
+CREATE OR REPLACE FUNCTION touch_response_cache(p_cache_key TEXT)
+RETURNS VOID AS $$
+  UPDATE response_cache
+  SET hits = hits + 1, last_hit_at = NOW()
+  WHERE cache_key = p_cache_key;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION touch_response_cache(TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,104 @@
+/**
+ * GET /api/docs: the OpenAPI document covers every mounted route and every
+ * path the app calls, so the client and the server can't drift apart
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./helpers/app.cjs');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+let app;
+let docs;
+before(async () => {
+  app = await startApp();
+  docs = (await app.get('/api/docs')).body;
+});
+after(() => app.close());
+
+// "METHOD /path" for every operation in the document, Express-style params
+const documentedRoutes = () => Object.entries(docs.paths).flatMap(([route, operations]) =>
+  Object.keys(operations).map(method => `${method.toUpperCase()} ${route.replace(/\{(\w+)\}/g, ':$1')}`));
+
+// "METHOD /path" for every route Express has mounted
+const mountedRoutes = () => app.server.app.router.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+
+// '/api/...' string literals in the app's source
+const clientPaths = () => {
+  const files = fs.readdirSync(SRC_DIR, { recursive: true })
+    .filter(file => /\.jsx?$/.test(file))
+    .map(file => path.join(SRC_DIR, file));
+  const paths = new Set();
+  files.forEach(file => {
+    const source = fs.readFileSync(file, 'utf8');
+    for (const [, route] of source.matchAll(/['"`](\/api\/[a-z0-9/-]+)['"`]/g)) paths.add(route);
+  });
+  return [...paths];
+};
+
+describe('GET /api/docs', () => {
+  it('serves an OpenAPI 3.1 document', async () => {
+    const response = await app.get('/api/docs');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.openapi, '3.1.0');
+    assert.equal(response.body.info.title, 'Neural Capture API');
+    assert.deepEqual(response.body.tags.map(tag => tag.name), ['system', 'ideas', 'search', 'learning', 'planning', 'reminders', 'vision']);
+  });
+
+  it('documents exactly the routes that are mounted', () => {
+    assert.deepEqual(documentedRoutes().sort(), mountedRoutes().sort());
+  });
+
+  it('documents every API path the app calls', () => {
+    const documented = Object.keys(docs.paths);
+    const paths = clientPaths().filter(route => route !== '/api/');
+    assert.ok(paths.length > 10, `expected the app to call the API, found ${paths.join(', ')}`);
+    paths.forEach(route => assert.ok(documented.includes(route), `${route} is called by the app but not documented`));
+  });
+
+  it('gives every operation a unique id and a summary', () => {
+    const operations = Object.values(docs.paths).flatMap(Object.values);
+    const ids = operations.map(operation => operation.operationId);
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(ids.includes('organizeIdeas'));
+    assert.ok(ids.includes('deleteAdminCacheKey'));
+    operations.forEach(operation => assert.ok(operation.summary, `${operation.operationId} has no summary`));
+  });
+
+  it('carries the request schemas the server validates with', () => {
+    const organize = docs.paths['/api/organize-ideas'].post;
+    const schema = organize.requestBody.content['application/json'].schema;
+    assert.deepEqual(schema.required, ['ideas']);
+    assert.equal(schema.properties.ideas.minItems, 1);
+    assert.deepEqual(organize.responses[400], { $ref: '#/components/responses/InvalidRequest' });
+
+    const removeEntry = docs.paths['/api/admin/cache/{key}'].delete;
+    assert.deepEqual(removeEntry.parameters.map(({ name, in: location, required }) => [name, location, required]), [['key', 'path', true]]);
+  });
+
+  it('marks streamed and cached answers', () => {
+    const cheatsheet = docs.paths['/api/generate-cheatsheet'].post.responses[200];
+    assert.ok(cheatsheet.content['text/event-stream']);
+    assert.ok(cheatsheet.headers['X-Cache']);
+    assert.equal(docs.paths['/api/organize-ideas'].post.responses[200].headers['X-Cache'], undefined);
+  });
+
+  it('is not charged to the daily budget', async () => {
+    const before = (await app.get('/api/budget')).body.remaining.requests;
+    await app.get('/api/docs');
+    assert.equal((await app.get('/api/budget')).body.remaining.requests, before);
+  });
+});
+
+describe('404', () => {
+  it('lists every documented route', async () => {
+    const response = await app.post('/api/does-not-exist', {});
+    assert.equal(response.status, 404);
+    assert.deepEqual(Object.keys(response.body.availableEndpoints).sort(), documentedRoutes().sort());
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Model output handling: code fences and chatter around JSON, local and
+ * model-assisted repair, each route's fallback when the answer isn't JSON,
+ * API errors and streamed answers. Answers come from test/fixtures/llm -
+ * variants are picked by the "case:..." marker in the request.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, FIXTURES_DIR } = require('./helpers/app.cjs');
+
+let app;
+before(async () => {
+  app = await startApp({ fixturesDir: FIXTURES_DIR });
+});
+after(() => app.close());
+
+const idea = (content, extra = {}) => ({ id: content, content, timestamp: new Date().toISOString(), tags: [], ...extra });
+
+const jsonRepairs = async () => (await app.get('/health')).body.llm.jsonRepairs;
+
+describe('JSON extraction', () => {
+  it('strips ```json fences', async () => {
+    const response = await app.post('/api/organize-ideas', { ideas: [idea('case:fenced')] });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.summary, 'Fenced summary');
+    assert.equal(response.body.themes[0].name, 'Study');
+    // Matched by the quoted text - this answer has no ideaNumbers
+    assert.deepEqual(response.body.themes[0].ideaIds, ['case:fenced']);
+  });
+
+  it('finds JSON between sentences', async () => {
+    const response = await app.post('/api/organize-ideas', { ideas: [idea('case:chatty')] });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { summary: 'Chatty summary', themes: [], nextSteps: ['Pick one'] });
+  });
+
+  it('fixes trailing commas inside bare fences without asking the model', async () => {
+    const before = await jsonRepairs();
+    const response = await app.post('/api/classify-subject', { subject: 'case-local-repair' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { hierarchy: ['Mathematics', 'Statistics'], normalized: 'statistics' });
+    assert.equal(await jsonRepairs(), before);
+  });
+
+  it('keeps unescaped LaTeX backslashes', async () => {
+    const response = await app.post('/api/analyze-urgency', { ideas: [idea('Prove the lemma')] });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.urgentItems[0].content, 'Prove $\\alpha < \\gamma$');
+  });
+
+  it('asks the model to repair JSON that misses required fields', async () => {
+    const before = await jsonRepairs();
+    const response = await app.post('/api/plan-activity', { activity: 'case:repairable' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.summary, 'Run before class');
+    assert.deepEqual(response.body.tips, ['Lay out your shoes the night before']);
+    assert.equal(await jsonRepairs(), before + 1);
+  });
+
+  it('closes a truncated response', async () => {
+    const response = await app.post('/api/generate-flashcards', { subject: 'Statistics', topic: 'case:truncated' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.deepEqual(response.body.data.cards, [{ front: 'Define: mean', back: 'The sum of the values divided by' }]);
+  });
+});
+
+describe('fallbacks when the answer is not JSON', () => {
+  const PROSE = 'You have a lot of great ideas here - start with the smallest one.';
+
+  it('organize-ideas returns the text as the summary', async () => {
+    const response = await app.post('/api/organize-ideas', { ideas: [idea('case:prose')] });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { summary: PROSE, themes: [], nextSteps: [] });
+  });
+
+  it('analyze-patterns returns the text as the analysis, without a repair call', async () => {
+    const before = await jsonRepairs();
+    const response = await app.post('/api/analyze-patterns', { logs: [], ideas: [] });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { analysis: 'Your energy peaks in the morning, so plan deep work then.' });
+    assert.equal(await jsonRepairs(), before);
+  });
+
+  it('plan-activity returns default advice around the text', async () => {
+    const response = await app.post('/api/plan-activity', { activity: 'case:prose' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.summary, 'Go for a run in the morning, it will clear your head.');
+    assert.equal(response.body.duration, '30 minutes');
+    assert.equal(response.body.tips.length, 3);
+  });
+
+  it('evaluate-answer falls back to an exact comparison', async () => {
+    const exact = await app.post('/api/evaluate-answer', { question: 'Capital of France?', userAnswer: ' paris ', correctAnswer: 'Paris' });
+    assert.equal(exact.status, 200);
+    assert.deepEqual(exact.body, { result: 'correct', score: 1, feedback: 'Exact match.' });
+
+    const wrong = await app.post('/api/evaluate-answer', { question: 'Capital of France?', userAnswer: 'Lyon', correctAnswer: 'Paris' });
+    assert.deepEqual(wrong.body, { result: 'incorrect', score: 0, feedback: 'Answer does not match expected answer.' });
+  });
+
+  it('classify-subject uses the subject as a one-level hierarchy', async () => {
+    const response = await app.post('/api/classify-subject', { subject: 'case-prose' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { hierarchy: ['case-prose'], normalized: 'caseprose' });
+  });
+
+  it('analyze-tags keeps the tags and still reports usage', async () => {
+    const response = await app.post('/api/analyze-tags', {
+      ideas: [idea('Gym', { tags: ['health'] }), idea('Groceries')],
+      currentTags: ['health'],
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.tagsToRemove, []);
+    assert.deepEqual(response.body.tagsToAdd, []);
+    assert.equal(response.body.reasoning, 'Failed to parse AI response');
+    assert.equal(response.body.stats.health, 1);
+  });
+
+  it('classify-idea falls back to a general medium-priority idea', async () => {
+    const response = await app.post('/api/classify-idea', { content: 'Something to think about' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.classificationType, 'general');
+    assert.equal(response.body.priority, 'medium');
+  });
+
+  it('classify-ideas-batch falls back to defaults for every idea', async () => {
+    const response = await app.post('/api/classify-ideas-batch', { ideas: [idea('case:prose'), idea('Second')] });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.classifications.map(c => [c.index, c.classificationType]), [[1, 'general'], [2, 'general']]);
+  });
+
+  it('classify-ideas-batch reads fenced arrays', async () => {
+    const response = await app.post('/api/classify-ideas-batch', { ideas: [idea('Morning run'), idea('Pack bag')] });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.classifications.map(c => c.classificationType), ['routine', 'checklist']);
+  });
+
+  it('classify-idea reads fenced objects', async () => {
+    const response = await app.post('/api/classify-idea', { content: 'case:routine meditate' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.classificationType, 'routine');
+    assert.equal(response.body.duration, 30);
+  });
+});
+
+describe('routes without a fallback', () => {
+  it('flashcards: 500 when nothing parses', async () => {
+    const response = await app.post('/api/generate-flashcards', { subject: 'Statistics', topic: 'case:prose' });
+    assert.equal(response.status, 500);
+    assert.equal(response.body.success, false);
+    assert.match(response.body.error, /^Failed to parse generated flashcards/);
+  });
+
+  it('flashcards: 500 for JSON without cards', async () => {
+    const response = await app.post('/api/generate-flashcards', { subject: 'Statistics', topic: 'case:nocards' });
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error, 'Invalid flashcard structure returned. Please try again.');
+  });
+
+  it('flashcards: fenced cards pass through', async () => {
+    const response = await app.post('/api/generate-flashcards', { subject: 'Statistics', topic: 'Variance' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.cards.length, 2);
+    assert.equal(response.body.data.cards[1].back, '$$s^2 = \\frac{1}{n-1}\\sum (x_i - \\bar{x})^2$$');
+  });
+
+  it('mind map: repairs the tree and drops parent cross-links', async () => {
+    const response = await app.post('/api/generate-mindmap', { subject: 'Statistics', topic: 'Regression' });
+    assert.equal(response.status, 200);
+    const { rootId, nodes, crossLinks } = response.body.data;
+    assert.equal(rootId, 'n1');
+    assert.equal(nodes.find(node => node.id === 'n4').parentId, 'n1');
+    assert.deepEqual(crossLinks, [{ from: 'n2', to: 'n3', label: 'minimises' }]);
+  });
+
+  it('mind map: 500 when fewer than two nodes survive', async () => {
+    const response = await app.post('/api/generate-mindmap', { subject: 'Statistics', topic: 'case:single' });
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error, 'Invalid mind map structure returned. Please try again.');
+  });
+
+  it('practice questions: 500 when nothing parses', async () => {
+    const response = await app.post('/api/generate-practice-questions', { subject: 'Statistics', topic: 'case:prose' });
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error, 'Failed to parse generated questions. Please try again.');
+  });
+});
+
+describe('API errors', () => {
+  it('passes on an invalid key as 401', async () => {
+    const response = await app.post('/api/organize-ideas', { ideas: [idea('case:unauthorized')] });
+    assert.equal(response.status, 401);
+    assert.match(response.body.error, /^Invalid API key/);
+  });
+
+  it('passes on rate limits as 429 once retries are used up', async () => {
+    const response = await app.post('/api/organize-ideas', { ideas: [idea('case:rate-limited')] });
+    assert.equal(response.status, 429);
+    assert.equal(response.body.error, 'Rate limit exceeded. Please try again in a moment.');
+  });
+});
+
+describe('streaming', () => {
+  it('sends each question as it finishes, then the full answer', async () => {
+    const response = await app.stream('/api/generate-practice-questions', { subject: 'Statistics', topic: 'Regression' });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const names = response.events.map(event => event.event);
+    assert.deepEqual(names, ['question', 'question', 'done']);
+    assert.equal(response.events[0].data.id, 1);
+    assert.equal(response.events[2].data.questions.length, 2);
+  });
+
+  it('ends with an error event when the answer does not parse', async () => {
+    const response = await app.stream('/api/generate-practice-questions', { subject: 'Statistics', topic: 'case:prose' });
+    assert.equal(response.status, 200);
+    const last = response.events[response.events.length - 1];
+    assert.equal(last.event, 'error');
+    assert.equal(last.data.status, 500);
+    assert.equal(last.data.error, 'Failed to parse generated questions. Please try again.');
+  });
+});
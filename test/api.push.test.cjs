@@ -0,0 +1,363 @@
+/**
+ * Web Push: VAPID signing and payload encryption against a fake push service
+ * (test/helpers/fakePushService.cjs), the /api/push routes, and the reminder
+ * job pushing due reminders to subscribed devices - no network needed
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { signedIn, startApp } = require('./helpers/app.cjs');
+const { startFakePushService } = require('./helpers/fakePushService.cjs');
+const { createPushSender, generateVapidKeys, MAX_PAYLOAD_BYTES } = require('../server/push/webPush.cjs');
+const { createMemoryStore } = require('../server/push/subscriptions.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Push is on for this suite: keys must be in the environment before server.cjs loads
+const VAPID = { ...generateVapidKeys(), subject: 'mailto:reminders@example.com' };
+Object.assign(process.env, {
+  VAPID_PUBLIC_KEY: VAPID.publicKey,
+  VAPID_PRIVATE_KEY: VAPID.privateKey,
+  VAPID_SUBJECT: VAPID.subject,
+});
+
+// Subscriptions belong to signed-in users
+const JWT_SECRET = 'push-test-secret';
+const ALICE = signedIn('user-alice', JWT_SECRET);
+const BOB = signedIn('user-bob', JWT_SECRET);
+
+let app;
+let pushService;
+let push;
+let reminders;
+let job;
+before(async () => {
+  app = await startApp({ env: { SUPABASE_JWT_SECRET: JWT_SECRET } });
+  pushService = await startFakePushService();
+  ({ push } = require('../server/services.cjs'));
+  reminders = require('../server/routes/reminders.cjs');
+  job = require('../server/push/reminderJob.cjs');
+});
+after(async () => {
+  await pushService.close();
+  await app.close();
+});
+
+const localDate = (offsetDays) => {
+  const date = new Date(Date.now() + offsetDays * DAY_MS);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// A user's data as reminderData.cjs loads it; recordShown updates the history like the table
+const fakeDataSource = (ideas, reminderHistory = []) => {
+  const data = { ideas, logs: [], checklist: null, reviews: [], reminderHistory };
+  const shown = [];
+  return {
+    data,
+    shown,
+    load: async () => data,
+    recordShown: async (userId, entry, at) => {
+      shown.push({ userId, ideaId: entry.ideaId, at });
+      data.reminderHistory = [
+        ...data.reminderHistory.filter(other => other.ideaId !== entry.ideaId),
+        { ...entry, lastShown: at, showCount: (entry.showCount || 0) + 1 },
+      ];
+    },
+  };
+};
+
+const DUE_TOMORROW = {
+  id: 'idea-1',
+  content: 'Submit the grant report!',
+  tags: ['deadline'],
+  dueDate: localDate(1),
+  timestamp: new Date().toISOString(),
+};
+const OLD_IDEA = { id: 'idea-2', content: 'Some day: learn the banjo', tags: [], timestamp: new Date(Date.now() - 30 * DAY_MS).toISOString() };
+
+// A device as a browser on FCM subscribes - the routes only take push services' endpoints
+// (the fake service's devices are saved to the store directly)
+const fcmDevice = () => {
+  const device = pushService.subscribe();
+  return { ...device, endpoint: `https://fcm.googleapis.com/fcm/send/${device.endpoint.split('/').pop()}` };
+};
+
+const createJob = (subscriptions, dataSource) => job.createReminderPushJob({
+  subscriptions,
+  sender: push.sender,
+  dataSource,
+  selectReminders: reminders.selectReminders,
+});
+
+describe('createPushSender', () => {
+  it('signs with VAPID and encrypts so only the subscribed device can read it', async () => {
+    const device = pushService.subscribe();
+    const sender = createPushSender({ vapid: VAPID });
+    const result = await sender.send(device, { title: 'Hello', body: 'From the server' }, { ttl: 60, urgency: 'high' });
+
+    assert.deepEqual(result, { success: true, statusCode: 201, gone: false });
+    const message = pushService.messages.at(-1);
+    assert.equal(message.endpoint, device.endpoint);
+    assert.deepEqual(message.payload, { title: 'Hello', body: 'From the server' });
+    assert.equal(message.vapidPublicKey, VAPID.publicKey);
+    assert.equal(message.headers.ttl, '60');
+    assert.equal(message.headers.urgency, 'high');
+  });
+
+  it('is refused when the JWT is signed with a different key', async () => {
+    const device = pushService.subscribe();
+    const forged = { ...generateVapidKeys(), subject: VAPID.subject };
+    const sender = createPushSender({ vapid: { ...forged, publicKey: VAPID.publicKey } });
+    const result = await sender.send(device, { title: 'Hi' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.statusCode, 403);
+    assert.equal(result.gone, false);
+  });
+
+  it('reports subscriptions the push service no longer has as gone', async () => {
+    const device = pushService.subscribe();
+    pushService.gone(device.endpoint);
+    const result = await createPushSender({ vapid: VAPID }).send(device, { title: 'Hi' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.statusCode, 410);
+    assert.equal(result.gone, true);
+  });
+
+  it('refuses payloads that would not fit in one record', async () => {
+    const device = pushService.subscribe();
+    const result = await createPushSender({ vapid: VAPID }).send(device, 'x'.repeat(MAX_PAYLOAD_BYTES + 1));
+    assert.equal(result.success, false);
+    assert.match(result.error, /max 3993/);
+  });
+});
+
+describe('push selection', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const reminder = (id, fields = {}) => ({ id, content: `Idea ${id}`, frequencyScore: 40, shouldPlaySound: false, lastShown: null, ...fields });
+
+  it('pushes urgent or high-scoring reminders not shown today, urgent first', () => {
+    const due = job.pushableReminders({
+      reminders: [
+        reminder(1, { frequencyScore: 50 }),
+        reminder(2, { frequencyScore: 10 }),
+        reminder(3, { frequencyScore: 5, shouldPlaySound: true }),
+        reminder(4, { frequencyScore: 90, lastShown: '2026-03-10T08:00:00Z' }),
+      ],
+    }, [], now);
+    assert.deepEqual(due.map(item => item.id), [3, 1]);
+  });
+
+  it('stops once the day has had its share of reminders', () => {
+    const shownToday = Array.from({ length: job.MAX_PUSHES_PER_DAY }, (_, i) => ({ ideaId: `x${i}`, lastShown: '2026-03-10T07:00:00Z' }));
+    assert.deepEqual(job.pushableReminders({ reminders: [reminder(1)] }, shownToday, now), []);
+  });
+
+  it('reads quiet hours on the device\'s clock, across midnight', () => {
+    const quietHours = { enabled: true, start: '22:30', end: '07:30' };
+    const late = new Date('2026-03-10T14:00:00Z');
+    const early = new Date('2026-03-10T10:00:00Z');
+    // 14:00 UTC is 23:00 in Tokyo; 10:00 UTC is 06:00 in New York (EDT)
+    assert.equal(job.inQuietHours({ timezone: 'Asia/Tokyo', quietHours }, late), true);
+    assert.equal(job.inQuietHours({ timezone: 'America/New_York', quietHours }, early), true);
+    assert.equal(job.inQuietHours({ timezone: 'America/New_York', quietHours }, late), false);
+    assert.equal(job.inQuietHours({ timezone: 'Europe/London', quietHours }, now), false);
+    assert.equal(job.inQuietHours({ timezone: 'Asia/Tokyo', quietHours: { ...quietHours, enabled: false } }, late), false);
+  });
+});
+
+describe('/api/push routes', () => {
+  beforeEach(async () => {
+    (await push.subscriptions.list()).forEach(subscription => push.subscriptions.remove({ endpoint: subscription.endpoint }));
+  });
+
+  it('serves the VAPID public key', async () => {
+    const response = await app.get('/api/push/public-key');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { success: true, data: { publicKey: VAPID.publicKey } });
+  });
+
+  it('saves a subscription with its timezone and quiet hours', async () => {
+    const device = fcmDevice();
+    const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+    const response = await app.post('/api/push/subscribe', { subscription: device, timezone: 'Europe/Berlin', quietHours }, ALICE);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { success: true, data: { endpoint: device.endpoint } });
+    const [saved] = await push.subscriptions.list();
+    assert.equal(saved.endpoint, device.endpoint);
+    assert.equal(saved.userId, 'user-alice');
+    assert.deepEqual(saved.keys, device.keys);
+    assert.equal(saved.timezone, 'Europe/Berlin');
+    assert.deepEqual(saved.quietHours, quietHours);
+  });
+
+  it('rejects keys that are not a device\'s and unknown timezones', async () => {
+    const device = fcmDevice();
+    const response = await app.post('/api/push/subscribe', {
+      subscription: { ...device, keys: { p256dh: 'AAAA', auth: 'AAAA' } },
+      timezone: 'Mars/Olympus_Mons',
+    }, ALICE);
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.problems, [
+      'body.subscription.keys.p256dh should be a P-256 public key',
+      'body.subscription.keys.auth should be 16 bytes',
+      'body.timezone should be an IANA timezone',
+    ]);
+    assert.equal((await push.subscriptions.list()).length, 0);
+  });
+
+  it('validates the body before saving', async () => {
+    const response = await app.post('/api/push/subscribe', { subscription: { endpoint: 'ftp://example.com' } }, ALICE);
+    assert.equal(response.status, 400);
+    assert.ok(response.body.problems.includes('body.subscription.keys is required'));
+    assert.ok(response.body.problems.includes('body.subscription.endpoint should match ^https://'));
+  });
+
+  it('only takes endpoints on a push service', async () => {
+    const { keys } = fcmDevice();
+    const endpoints = [
+      'https://169.254.169.254/latest/meta-data',
+      'https://localhost/push',
+      'https://fcm.googleapis.com.example.com/fcm/send/abc',
+      'https://fcm.googleapis.com:8443/fcm/send/abc',
+      `${pushService.origin.replace('http:', 'https:')}/device`,
+    ];
+    for (const endpoint of endpoints) {
+      const response = await app.post('/api/push/subscribe', { subscription: { endpoint, keys } }, ALICE);
+      assert.equal(response.status, 400, endpoint);
+      assert.deepEqual(response.body.problems, ['body.subscription.endpoint should be a push service URL']);
+    }
+    assert.equal((await push.subscriptions.list()).length, 0);
+
+    for (const endpoint of [
+      'https://updates.push.services.mozilla.com/wpush/v2/abc',
+      'https://web.push.apple.com/QGxC',
+      'https://wns2-par02p.notify.windows.com/w/?token=abc',
+    ]) {
+      const response = await app.post('/api/push/subscribe', { subscription: { endpoint, keys } }, ALICE);
+      assert.equal(response.status, 200, endpoint);
+    }
+  });
+
+  it('only takes subscriptions from signed-in users', async () => {
+    const response = await app.post('/api/push/subscribe', { subscription: fcmDevice() });
+    assert.equal(response.status, 403);
+    assert.equal((await push.subscriptions.list()).length, 0);
+  });
+
+  it('keeps a device with the user who subscribed it', async () => {
+    const device = fcmDevice();
+    await app.post('/api/push/subscribe', { subscription: device, timezone: 'Europe/Berlin' }, ALICE);
+
+    // Bob sends Alice's endpoint with keys of his own
+    const { keys } = fcmDevice();
+    const response = await app.post('/api/push/subscribe', { subscription: { endpoint: device.endpoint, keys }, timezone: 'UTC' }, BOB);
+    assert.equal(response.status, 409);
+    assert.equal(response.body.success, false);
+
+    const [saved] = await push.subscriptions.list();
+    assert.equal(saved.userId, 'user-alice');
+    assert.deepEqual(saved.keys, device.keys);
+    assert.equal(saved.timezone, 'Europe/Berlin');
+
+    // Nor can he remove it; once Alice does, the endpoint is free
+    assert.deepEqual((await app.post('/api/push/unsubscribe', { endpoint: device.endpoint }, BOB)).body, { success: true, data: { removed: 0 } });
+    await app.post('/api/push/unsubscribe', { endpoint: device.endpoint }, ALICE);
+    const again = await app.post('/api/push/subscribe', { subscription: { endpoint: device.endpoint, keys } }, BOB);
+    assert.equal(again.status, 200);
+    assert.equal((await push.subscriptions.list())[0].userId, 'user-bob');
+  });
+
+  it('forgets a device on unsubscribe', async () => {
+    const device = fcmDevice();
+    await app.post('/api/push/subscribe', { subscription: device }, ALICE);
+
+    const response = await app.post('/api/push/unsubscribe', { endpoint: device.endpoint }, ALICE);
+    assert.deepEqual(response.body, { success: true, data: { removed: 1 } });
+    assert.equal((await push.subscriptions.list()).length, 0);
+  });
+});
+
+describe('reminder push job', () => {
+  it('pushes a due reminder to a subscribed device, once a day', async () => {
+    const device = pushService.subscribe();
+    await push.subscriptions.save({ ...device, userId: null, timezone: 'UTC', quietHours: null });
+    const dataSource = fakeDataSource([DUE_TOMORROW, OLD_IDEA]);
+    const reminderJob = createJob(push.subscriptions, dataSource);
+    const before = pushService.messages.length;
+
+    const now = new Date();
+    const stats = await reminderJob.runOnce(now);
+    assert.equal(stats.pushed, 1);
+
+    const [message] = pushService.messages.slice(before);
+    assert.equal(message.endpoint, device.endpoint);
+    assert.deepEqual(message.payload, {
+      key: `smart:idea-1:${now.toISOString().slice(0, 10)}`,
+      kind: 'smart',
+      id: 'idea-1',
+      title: 'Critical reminder',
+      body: 'Submit the grant report!',
+    });
+    assert.equal(message.headers.urgency, 'high');
+    assert.deepEqual(dataSource.shown.map(entry => entry.ideaId), ['idea-1']);
+
+    // Shown today now - the next run has nothing new to push
+    await reminderJob.runOnce(now);
+    assert.equal(pushService.messages.length, before + 1);
+    await push.subscriptions.remove({ endpoint: device.endpoint });
+  });
+
+  it('waits out a device\'s quiet hours', async () => {
+    const subscriptions = createMemoryStore();
+    await subscriptions.save({
+      ...pushService.subscribe(),
+      userId: 'user-1',
+      timezone: 'Asia/Tokyo',
+      quietHours: { enabled: true, start: '22:30', end: '07:30' },
+    });
+    const dataSource = fakeDataSource([DUE_TOMORROW]);
+    const reminderJob = createJob(subscriptions, dataSource);
+    const before = pushService.messages.length;
+
+    // 23:00 in Tokyo
+    const now = new Date();
+    now.setUTCHours(14, 0, 0, 0);
+    await reminderJob.runOnce(now);
+    assert.equal(pushService.messages.length, before);
+    assert.equal(dataSource.shown.length, 0);
+
+    // 09:00 in Tokyo
+    now.setUTCHours(0, 0, 0, 0);
+    await reminderJob.runOnce(now);
+    assert.equal(pushService.messages.length, before + 1);
+    // Keyed by the device's day, like the app's own notification
+    const tokyoDay = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Tokyo' }).format(now);
+    assert.equal(pushService.messages.at(-1).payload.key, `smart:idea-1:${tokyoDay}`);
+  });
+
+  it('deletes subscriptions the push service reports gone', async () => {
+    const subscriptions = createMemoryStore();
+    const device = pushService.subscribe();
+    pushService.gone(device.endpoint);
+    await subscriptions.save({ ...device, userId: 'user-2', timezone: 'UTC', quietHours: null });
+    const dataSource = fakeDataSource([DUE_TOMORROW]);
+
+    const stats = await createJob(subscriptions, dataSource).runOnce();
+    assert.equal(stats.removed, 1);
+    assert.equal(stats.pushed, 0);
+    assert.deepEqual(await subscriptions.list(), []);
+    assert.equal(dataSource.shown.length, 0, 'an undelivered reminder is not counted as shown');
+  });
+
+  it('does nothing without a data source', async () => {
+    const subscriptions = createMemoryStore();
+    await subscriptions.save({ ...pushService.subscribe(), userId: 'user-3', timezone: 'UTC', quietHours: null });
+    const stats = await createJob(subscriptions, null).runOnce();
+    assert.equal(stats.runs, 1);
+    assert.equal(stats.pushed, 0);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Idea search, similar ideas and near-duplicate clusters, against the mock
+ * embedding provider (server/embeddings/fixtures/concepts.json)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app.cjs');
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const IDEAS = [
+  { id: 1, content: 'Go for a run in the park', tags: [] },
+  { id: 2, content: 'Buy milk and eggs', tags: ['errands'] },
+  { id: 3, content: 'Gym session', tags: ['fitness'] },
+  { id: 4, content: 'Email the tutor about the essay', tags: ['study'] },
+  { id: 5, content: 'buy milk and eggs!', tags: ['errands'] },
+  { id: 6, content: 'Read about sleep hygiene', tags: [], context: 'exercise helps, apparently' },
+];
+
+const ids = (items) => items.map(item => item.id);
+
+describe('POST /api/search-ideas', () => {
+  it('finds ideas by meaning, not just by words', async () => {
+    const response = await app.post('/api/search-ideas', { query: 'exercise', ideas: IDEAS });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.data.semantic, true);
+    assert.equal(response.body.data.model, 'mock-concepts');
+
+    const found = ids(response.body.data.results);
+    assert.ok(found.includes(1), 'a run is exercise');
+    assert.ok(found.includes(3), 'the gym is exercise');
+    assert.ok(found.includes(6), 'the context mentions exercise');
+    assert.ok(!found.includes(2) && !found.includes(4), `unrelated ideas matched: ${found.join(', ')}`);
+
+    const run = response.body.data.results.find(result => result.id === 1);
+    assert.equal(run.keywordScore, 0);
+    assert.ok(run.semanticScore > 0.3);
+  });
+
+  it('ranks best matches first and honours the limit', async () => {
+    const response = await app.post('/api/search-ideas', { query: 'milk', ideas: IDEAS, limit: 1 });
+    const { results } = response.body.data;
+    assert.equal(results.length, 1);
+    assert.ok([2, 5].includes(results[0].id));
+
+    const all = (await app.post('/api/search-ideas', { query: 'exercise', ideas: IDEAS })).body.data.results;
+    const scores = all.map(result => result.score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+  });
+
+  it('matches partly typed words', async () => {
+    const response = await app.post('/api/search-ideas', { query: 'sess', ideas: IDEAS });
+    assert.deepEqual(ids(response.body.data.results), [3]);
+  });
+
+  it('only counts against the request budget', async () => {
+    const before = (await app.get('/api/budget')).body.remaining;
+    await app.post('/api/search-ideas', { query: 'exercise', ideas: IDEAS });
+    const after = (await app.get('/api/budget')).body.remaining;
+    assert.equal(after.requests, before.requests - 1);
+    assert.equal(after.tokens, before.tokens);
+  });
+});
+
+describe('POST /api/similar-ideas', () => {
+  it('lists ideas on the same topic, without the idea itself', async () => {
+    const response = await app.post('/api/similar-ideas', { idea: IDEAS[0], ideas: IDEAS });
+    assert.equal(response.status, 200);
+    const similar = ids(response.body.data.similar);
+    assert.ok(!similar.includes(1));
+    assert.ok(similar.includes(3), `expected the gym idea, got ${similar.join(', ')}`);
+    assert.ok(!similar.includes(2));
+  });
+
+  it('puts a near-duplicate first', async () => {
+    const response = await app.post('/api/similar-ideas', { idea: IDEAS[1], ideas: IDEAS });
+    assert.equal(response.body.data.similar[0].id, 5);
+    assert.ok(response.body.data.similar[0].similarity > 0.9);
+  });
+});
+
+describe('POST /api/cluster-ideas', () => {
+  it('groups near-duplicate captures', async () => {
+    const response = await app.post('/api/cluster-ideas', { ideas: IDEAS });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.semantic, true);
+    assert.deepEqual(response.body.data.clusters.map(cluster => cluster.ids), [[2, 5]]);
+  });
+
+  it('loosens with a lower threshold', async () => {
+    const response = await app.post('/api/cluster-ideas', { ideas: IDEAS, threshold: 0.5 });
+    const clustered = response.body.data.clusters.flatMap(cluster => cluster.ids);
+    assert.ok(clustered.includes(1) && clustered.includes(3), `expected the exercise ideas together, got ${JSON.stringify(response.body.data.clusters)}`);
+  });
+});
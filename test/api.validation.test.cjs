@@ -0,0 +1,167 @@
+/**
+ * Request validation: every route's 400s, the early answers for empty input,
+ * and the shared plumbing (health, budgets, admin cache, unknown routes)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app.cjs');
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+// [route, body, problems] - every route answers 400 { success: false, error, problems }
+const INVALID_REQUESTS = [
+  ['/api/organize-ideas', {}, ['body.ideas is required']],
+  ['/api/organize-ideas', { ideas: 'one idea' }, ['body.ideas should be array, got string']],
+  ['/api/organize-ideas', { ideas: [] }, ['body.ideas should have at least 1 items']],
+  ['/api/organize-ideas', { ideas: [{ content: 'x' }], query: ['tag:uni'] }, ['body.query should be string, got array']],
+  ['/api/weekly-summary', {}, ['body.ideas is required']],
+  ['/api/weekly-summary', { ideas: { content: 'x' } }, ['body.ideas should be array, got object']],
+  ['/api/analyze-patterns', { ideas: [] }, ['body.logs is required']],
+  ['/api/analyze-patterns', { logs: [] }, ['body.ideas is required']],
+  ['/api/plan-activity', {}, ['body.activity is required']],
+  ['/api/plan-activity', { activity: ['gym'] }, ['body.activity should be string, got array']],
+  ['/api/plan-activity', { activity: 'Run', checklist: [] }, ['body.checklist should be object or null, got array']],
+  ['/api/evaluate-answer', { question: 'Q', userAnswer: 'A' }, ['body.correctAnswer is required']],
+  ['/api/evaluate-answer', { question: 'Q', correctAnswer: 'A' }, ['body.userAnswer is required']],
+  ['/api/run-code', {}, ['body.code is required']],
+  ['/api/run-code', { code: 42 }, ['body.code should be string, got integer']],
+  ['/api/run-code', { code: 'print(1)', testCases: 'all' }, ['body.testCases should be array, got string']],
+  ['/api/generate-practice-questions', { subject: 'Statistics' }, ['body.topic is required']],
+  ['/api/generate-practice-questions', { topic: 'Regression' }, ['body.subject is required']],
+  ['/api/generate-cheatsheet', { subject: 'Statistics' }, ['body.topic is required']],
+  ['/api/generate-flashcards', { topic: 'Regression' }, ['body.subject is required']],
+  ['/api/generate-mindmap', { subject: 'Statistics', topic: '' }, ['body.topic should match \\S']],
+  ['/api/classify-subject', {}, ['body.subject is required']],
+  ['/api/classify-subject', { subject: 7 }, ['body.subject should be string, got integer']],
+  ['/api/extract-answer-from-image', { question: 'Q', correctAnswer: 'A' }, ['body.image is required']],
+  ['/api/extract-answer-from-image', { image: 'aGk=', correctAnswer: 'A' }, ['body.question is required']],
+  ['/api/classify-idea', {}, ['body.content is required']],
+  ['/api/classify-idea', { content: '   ' }, ['body.content should match \\S']],
+  ['/api/classify-ideas-batch', { ideas: [] }, ['body.ideas should have at least 1 items']],
+  ['/api/classify-ideas-batch', { ideas: 'x' }, ['body.ideas should be array, got string']],
+  ['/api/get-reminders', {}, ['body.ideas is required']],
+  ['/api/search-ideas', { ideas: [] }, ['body.query is required']],
+  ['/api/search-ideas', { query: ' ', ideas: [] }, ['body.query should match \\S']],
+  ['/api/search-ideas', { query: 'run', ideas: [{ content: 'Go for a run' }] }, ['body.ideas[0].id is required']],
+  ['/api/search-ideas', { query: 'run', ideas: [], limit: 0.5 }, ['body.limit should be integer, got number']],
+  ['/api/similar-ideas', { ideas: [] }, ['body.idea is required']],
+  ['/api/similar-ideas', { idea: { id: 1 }, ideas: [] }, ['body.idea.content is required']],
+  ['/api/cluster-ideas', {}, ['body.ideas is required']],
+  ['/api/cluster-ideas', { ideas: [], threshold: 2 }, ['body.threshold should be <= 1']],
+];
+
+describe('invalid requests', () => {
+  INVALID_REQUESTS.forEach(([route, body, problems]) => {
+    it(`${route} rejects ${JSON.stringify(body)}`, async () => {
+      const response = await app.post(route, body);
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body, {
+        success: false,
+        error: `Invalid request: ${problems.join('; ')}`,
+        problems,
+      });
+    });
+  });
+
+  it('reports every problem at once', async () => {
+    const response = await app.post('/api/evaluate-answer', { userAnswer: 3 });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.problems, ['body.question is required', 'body.correctAnswer is required']);
+  });
+
+  it('treats a request without a body as an empty one', async () => {
+    const response = await app.request('POST', '/api/classify-subject');
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid request: body.subject is required');
+  });
+
+  it('rejects a body that is not JSON', async () => {
+    const response = await fetch(`${app.baseUrl}/api/plan-activity`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"activity": ',
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual((await response.json()).problems, ['body should be valid JSON']);
+  });
+
+  it('rejects invalid requests before opening an event stream', async () => {
+    const response = await app.stream('/api/generate-cheatsheet', { topic: 'Regression' });
+    assert.equal(response.status, 400);
+    assert.match(response.headers.get('content-type'), /application\/json/);
+    assert.equal(response.body.error, 'Invalid request: body.subject is required');
+  });
+});
+
+describe('empty input', () => {
+  it('analyze-tags has nothing to analyze without ideas', async () => {
+    const response = await app.post('/api/analyze-tags', { ideas: [], currentTags: ['work'] });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, {
+      recommendations: [],
+      analysis: 'Not enough data to analyze tags yet.',
+      keepTags: ['work'],
+    });
+  });
+
+  it('analyze-urgency has nothing to analyze without ideas', async () => {
+    const response = await app.post('/api/analyze-urgency', {});
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { urgent: [], important: [], analysis: 'No ideas to analyze.' });
+  });
+
+  it('get-reminders returns no reminders without candidates', async () => {
+    const response = await app.post('/api/get-reminders', { ideas: [] });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.reminders, []);
+  });
+});
+
+describe('admin cache', () => {
+  it('rejects an unknown endpoint filter', async () => {
+    const listed = await app.get('/api/admin/cache?endpoint=organize-ideas');
+    assert.equal(listed.status, 400);
+    assert.match(listed.body.error, /^Invalid request: query\.endpoint should be one of "classify-subject"/);
+
+    const cleared = await app.del('/api/admin/cache?endpoint=nope');
+    assert.equal(cleared.status, 400);
+  });
+
+  it('rejects a non-numeric limit', async () => {
+    const response = await app.get('/api/admin/cache?limit=ten');
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.problems, ['query.limit should match ^\\d+$']);
+  });
+
+  it('reports the cache as off', async () => {
+    const response = await app.get('/api/admin/cache');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.store, 'off');
+    assert.deepEqual(response.body.data.entries, []);
+  });
+});
+
+describe('plumbing', () => {
+  it('reports health with the mock provider', async () => {
+    const response = await app.get('/health');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.llm.provider, 'mock');
+    assert.equal(response.body.cache.store, 'off');
+  });
+
+  it('reports the remaining budget on API responses', async () => {
+    const response = await app.post('/api/classify-subject', {});
+    assert.equal(response.headers.get('x-budget-tier'), 'user');
+    assert.ok(Number(response.headers.get('x-budget-requests-remaining')) > 0);
+  });
+
+  it('answers unknown API routes with a 404', async () => {
+    const response = await app.post('/api/does-not-exist', {});
+    assert.equal(response.status, 404);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Routine insights (src/utils/habitAnalytics.js): per-routine completion rates,
+ * retire suggestions and the weekly report card over the checklist history
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let analytics;
+let addDays;
+before(async () => {
+  analytics = await import('../src/utils/habitAnalytics.js');
+  ({ addDays } = await import('../src/utils/routineSchedule.js'));
+});
+
+const assertClose = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be close to ${expected}`);
+};
+
+// Monday 2 November 2026, after four weeks of history (Monday 5 to Sunday 1)
+const TODAY = '2026-11-02';
+const FIRST_DAY = '2026-10-05';
+
+const WATER = { id: 'water', text: 'Drink water', isDefault: true };
+const GYM = { id: 'gym', text: 'Gym', isDefault: true, schedule: { freq: 'weekly', byWeekday: [1, 3, 5], startDate: '2026-10-01' } };
+const JOURNAL = { id: 'journal', text: 'Journal', isDefault: true };
+const ROUTINES = [WATER, GYM, JOURNAL];
+
+// Water every day, the gym only on Mondays, the journal once (Monday 19 October)
+const buildHistory = ({ withDueLists = true } = {}) => {
+  const history = {};
+  for (let offset = 0; offset < 28; offset++) {
+    const date = addDays(FIRST_DAY, offset);
+    const monday = offset % 7 === 0;
+    const due = offset % 7 === 0 || offset % 7 === 2 || offset % 7 === 4
+      ? ['water', 'gym', 'journal']
+      : ['water', 'journal'];
+    const completed = ['water', ...(monday ? ['gym'] : []), ...(date === '2026-10-19' ? ['journal'] : [])];
+    history[date] = {
+      completed,
+      timestamps: {},
+      completionRate: completed.length / due.length,
+      totalItems: due.length,
+      ...(withDueLists ? { due } : {}),
+    };
+  }
+  return history;
+};
+
+describe('analyzeRoutine', () => {
+  it('rates a routine over the days it was due, overall and by weekday', () => {
+    const stats = analytics.analyzeRoutine(GYM, buildHistory(), { today: TODAY });
+    assert.equal(stats.dueDays, 12);
+    assert.equal(stats.doneDays, 4);
+    assertClose(stats.rate, 1 / 3);
+    assert.deepEqual(
+      stats.byWeekday.filter(day => day.due > 0).map(({ label, due, done, rate }) => [label, due, done, rate]),
+      [['Mon', 4, 4, 1], ['Wed', 4, 0, 0], ['Fri', 4, 0, 0]]
+    );
+    assert.deepEqual(stats.streaks, { current: 0, longest: 1 });
+    assert.deepEqual(analytics.routineInsights(stats), ['Best on Mon (100%), worst on Wed (0%)']);
+  });
+
+  it('reads the schedule for days saved without a due list', () => {
+    const stats = analytics.analyzeRoutine(GYM, buildHistory({ withDueLists: false }), { today: TODAY });
+    assert.equal(stats.dueDays, 12);
+    assert.equal(stats.doneDays, 4);
+  });
+
+  it('goes by the day\'s due list over the current schedule', () => {
+    const history = buildHistory();
+    // The gym was moved to Mondays only in the last week
+    ['2026-10-28', '2026-10-30'].forEach(date => {
+      history[date].due = ['water', 'journal'];
+    });
+    assert.equal(analytics.analyzeRoutine(GYM, history, { today: TODAY }).dueDays, 10);
+  });
+
+  it('counts streaks of due days it was done on', () => {
+    const stats = analytics.analyzeRoutine(WATER, buildHistory(), { today: TODAY });
+    assert.equal(stats.rate, 1);
+    assert.deepEqual(stats.streaks, { current: 28, longest: 28 });
+    assert.equal(stats.lastDone, '2026-11-01');
+  });
+});
+
+describe('retire suggestions', () => {
+  it('suggests retiring routines that are hardly ever done', () => {
+    const { retire } = analytics.analyzeHabits(ROUTINES, buildHistory(), { today: TODAY });
+    assert.deepEqual(retire.map(stats => [stats.id, stats.reason]), [
+      ['journal', 'Done 7% of its recent due days, last on 2026-10-19'],
+    ]);
+  });
+
+  it('waits for enough due days, and keeps a routine on a streak', () => {
+    const stats = { dueDays: 13, doneDays: 0, recentRate: 0, streaks: { current: 0 }, lastDone: null };
+    assert.equal(analytics.retireSuggestion(stats), null);
+    assert.equal(analytics.retireSuggestion({ ...stats, dueDays: 14 }), 'Not done once in 14 due days');
+    assert.equal(analytics.retireSuggestion({ ...stats, dueDays: 14, recentRate: 0.1, streaks: { current: 1 } }), null);
+  });
+});
+
+describe('weeklyReportCard', () => {
+  it('grades the week against the one before', () => {
+    const card = analytics.weeklyReportCard(ROUTINES, buildHistory(), { weekStart: '2026-10-26', today: TODAY });
+
+    const rate = (2 / 3 + 1 / 2 + 1 / 3 + 1 / 2 + 1 / 3 + 1 / 2 + 1 / 2) / 7;
+    assertClose(card.rate, rate);
+    assert.equal(card.grade, 'D');
+    // The week before had the journal done on its Monday
+    assertClose(card.previousRate, rate + (1 / 3) / 7);
+    assertClose(card.change, -(1 / 3) / 7);
+    assert.equal(card.weekEnd, '2026-11-01');
+    assert.equal(card.daysTracked, 7);
+    assert.equal(card.streakDays, 0);
+    assert.equal(card.bestDay, '2026-10-26');
+    assert.equal(card.worstDay, '2026-10-30');
+    assert.deepEqual(card.routines.map(({ id, due, done, grade }) => [id, due, done, grade]), [
+      ['journal', 7, 0, 'F'],
+      ['gym', 3, 1, 'F'],
+      ['water', 7, 7, 'A'],
+    ]);
+  });
+
+  it('only counts days before today', () => {
+    const card = analytics.weeklyReportCard(ROUTINES, buildHistory(), { weekStart: '2026-10-26', today: '2026-10-28' });
+    assert.equal(card.daysTracked, 2);
+    assert.equal(analytics.weekStartOf('2026-10-28'), '2026-10-26');
+    assert.equal(analytics.weekStartOf('2026-11-01'), '2026-10-26');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * TEST APP
+ *
+ * Boots server.cjs on a free port with the mock LLM and embedding providers,
+ * no auth, no Supabase and no response cache, and wraps fetch for the suites. node:test
+ * runs every file in its own process, so each suite gets a fresh app and can
+ * pick its own fixtures directory.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+
+// Set before server.cjs loads - dotenv never overrides a variable that exists, even when empty
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  LLM_PROVIDER: 'mock',
+  LLM_MOCK_DELAY_MS: '0',
+  LLM_MAX_RETRIES: '0',
+  EMBEDDINGS_PROVIDER: 'mock',
+  RESPONSE_CACHE: 'off',
+  API_DAILY_REQUEST_LIMIT: '100000',
+  API_DAILY_TOKEN_LIMIT: '100000000',
+  ANTHROPIC_API_KEY: '',
+  SUPABASE_URL: '',
+  SUPABASE_SERVICE_ROLE_KEY: '',
+  SUPABASE_JWT_SECRET: '',
+  SUPABASE_ANON_KEY: '',
+  VITE_SUPABASE_URL: '',
+  VITE_SUPABASE_ANON_KEY: '',
+  ADMIN_USER_IDS: '',
+};
+
+// Server-Sent Events body → [{ event, data }]
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(block => block.trim())
+  .map(block => {
+    const event = { event: 'message', data: '' };
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event.event = line.slice(6).trim();
+      if (line.startsWith('data:')) event.data += line.slice(5).trim();
+    });
+    try {
+      event.data = JSON.parse(event.data);
+    } catch {
+      // Plain text data stays a string
+    }
+    return event;
+  });
+
+/**
+ * server.cjs with the test environment, without listening
+ * @param {Object} options - { fixturesDir, env } - mock answers (default: server/llm/fixtures)
+ *   and variables over TEST_ENV (e.g. SUPABASE_JWT_SECRET for signed-in users)
+ * @returns {Object} server.cjs exports: { app }
+ */
+const loadServer = ({ fixturesDir, env = {} } = {}) => {
+  Object.assign(process.env, TEST_ENV, fixturesDir ? { LLM_FIXTURES_DIR: fixturesDir } : {}, env);
+
+  // Route logging is noise next to the test report (TEST_VERBOSE=1 keeps it)
+  if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  return require('../../server.cjs');
+};
+
+/**
+ * Start the app on a free port
+ * @param {Object} options - As for loadServer()
+ * @returns {Promise<Object>} { server, baseUrl, request, get, post, del, stream, close }
+ */
+const startApp = async (options) => {
+  const server = loadServer(options);
+  const listener = await new Promise((resolve, reject) => {
+    const instance = server.app.listen(0, '127.0.0.1', () => resolve(instance));
+    instance.on('error', reject);
+  });
+  const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+  /**
+   * @returns {Promise<Object>} { status, headers, body (parsed JSON or null), text }
+   */
+  const request = async (method, route, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // Not JSON (SSE, HTML)
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  };
+
+  return {
+    server,
+    baseUrl,
+    request,
+    get: (route, headers) => request('GET', route, undefined, headers),
+    post: (route, body, headers) => request('POST', route, body, headers),
+    del: (route, headers) => request('DELETE', route, undefined, headers),
+
+    // POST with Accept: text/event-stream - resolves with the parsed events once the stream ends
+    stream: async (route, body) => {
+      const response = await request('POST', route, body, { Accept: 'text/event-stream' });
+      return { ...response, events: parseEvents(response.text) };
+    },
+
+    close: () => new Promise(resolve => {
+      listener.closeAllConnections();
+      listener.close(resolve);
+    }),
+  };
+};
+
+/**
+ * Headers of a signed-in user: a Supabase access token signed with the app's
+ * SUPABASE_JWT_SECRET (see verifySupabaseJwt in server/budgets.cjs)
+ * @returns {Object} { Authorization }
+ */
+const signedIn = (userId, secret) => {
+  const part = (json) => Buffer.from(JSON.stringify(json)).toString('base64url');
+  const unsigned = `${part({ alg: 'HS256', typ: 'JWT' })}.${part({
+    sub: userId,
+    role: 'authenticated',
+    exp: Math.floor(Date.now() / 1000) + 60 * 60,
+  })}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return { Authorization: `Bearer ${unsigned}.${signature}` };
+};
+
+module.exports = { loadServer, signedIn, startApp, FIXTURES_DIR };
@@ -0,0 +1,100 @@
+/**
+ * FAKE PUSH SERVICE
+ *
+ * Stands in for a browser's push service (FCM, Mozilla autopush, ...) and the
+ * browser behind it, so Web Push can be tested without a network:
+ * - subscribe() makes a device the way PushManager.subscribe() does: a P-256
+ *   key pair, an auth secret and an endpoint on this server
+ * - a push to an endpoint is checked like a push service checks it (VAPID JWT
+ *   for this origin, signed by the key it names, aes128gcm body), then
+ *   decrypted like the browser does and kept in `messages`
+ * - gone(endpoint) makes the endpoint answer 410, as after the user unsubscribes
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { decryptPayload, verifyVapidAuthorization } = require('../../server/push/webPush.cjs');
+
+/**
+ * Start the service on a free port
+ * @returns {Promise<Object>} { origin, messages, rejected, subscribe, gone, close } -
+ *   messages: { endpoint, payload (parsed JSON), headers, vapidPublicKey };
+ *   rejected: { endpoint, status, reason }
+ */
+const startFakePushService = async () => {
+  const devices = new Map(); // endpoint -> { keys (ECDH), authSecret, gone }
+  const messages = [];
+  const rejected = [];
+  let origin = null;
+
+  const reject = (res, endpoint, status, reason) => {
+    rejected.push({ endpoint, status, reason });
+    res.writeHead(status).end(reason);
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const endpoint = `${origin}${req.url}`;
+      const device = devices.get(endpoint);
+      if (req.method !== 'POST' || !device) return reject(res, endpoint, 404, 'No such subscription');
+      if (device.gone) return reject(res, endpoint, 410, 'Subscription expired');
+
+      const vapid = verifyVapidAuthorization(req.headers.authorization, origin);
+      if (!vapid) return reject(res, endpoint, 403, 'Invalid VAPID authorization');
+      if (req.headers['content-encoding'] !== 'aes128gcm') return reject(res, endpoint, 415, 'Expected aes128gcm');
+      if (!req.headers.ttl) return reject(res, endpoint, 400, 'Missing TTL');
+
+      let payload;
+      try {
+        const plaintext = decryptPayload({ body: Buffer.concat(chunks), userKeys: device.keys, authSecret: device.authSecret });
+        payload = JSON.parse(plaintext.toString('utf8'));
+      } catch (error) {
+        return reject(res, endpoint, 400, `Could not decrypt: ${error.message}`);
+      }
+
+      messages.push({ endpoint, payload, headers: req.headers, vapidPublicKey: vapid.publicKey });
+      res.writeHead(201).end();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.listen(0, '127.0.0.1', resolve);
+    server.on('error', reject);
+  });
+  origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    origin,
+    messages,
+    rejected,
+
+    /**
+     * A new device subscription
+     * @returns {Object} PushSubscription.toJSON(): { endpoint, keys: { p256dh, auth } }
+     */
+    subscribe: () => {
+      const keys = crypto.createECDH('prime256v1');
+      keys.generateKeys();
+      const authSecret = crypto.randomBytes(16);
+      const endpoint = `${origin}/push/${crypto.randomUUID()}`;
+      devices.set(endpoint, { keys, authSecret, gone: false });
+      return {
+        endpoint,
+        keys: { p256dh: keys.getPublicKey().toString('base64url'), auth: authSecret.toString('base64url') },
+      };
+    },
+
+    gone: (endpoint) => {
+      devices.get(endpoint).gone = true;
+    },
+
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+};
+
+module.exports = { startFakePushService };
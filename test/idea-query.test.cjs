@@ -0,0 +1,156 @@
+/**
+ * The Capture tab's query language (shared/ideaQuery.js): parsing and its
+ * errors, matching ideas, autocomplete, and organize-ideas run over a query
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app.cjs');
+
+let query;
+let app;
+before(async () => {
+  query = await import('../shared/ideaQuery.js');
+  app = await startApp();
+});
+after(() => app.close());
+
+// Monday 19 October 2026
+const NOW = new Date(2026, 9, 19, 15, 0);
+const daysAgo = (days) => new Date(2026, 9, 19 - days, 12, 0).toISOString();
+
+const IDEAS = [
+  { id: 1, content: 'Stats lecture', tags: ['uni'], classificationType: 'timetable', dueDate: '2026-10-22', priority: 'high', timestamp: daysAgo(7) },
+  { id: 2, content: 'Essay draft', tags: ['uni'], classificationType: 'checklist', dueDate: '2026-11-03', priority: 'high', timestamp: daysAgo(2) },
+  { id: 3, content: 'Learn the ukulele', tags: ['someday', 'uni'], timestamp: daysAgo(8) },
+  { id: 4, content: 'Buy milk', tags: ['errands'], context: 'on the way home from uni', dueDate: '2026-10-12', priority: 'low', timestamp: daysAgo(0) },
+];
+
+const matching = (input) => IDEAS.filter(idea => query.matchesQuery(query.parseQuery(input).ast, idea, { now: NOW })).map(idea => idea.id);
+
+describe('parseQuery', () => {
+  it('reads fields, negation and implicit AND', () => {
+    const { ast, errors } = query.parseQuery('tag:uni type:timetable due:<2026-11-01 priority:high -tag:someday created:last-week');
+    assert.deepEqual(errors, []);
+    assert.equal(ast.type, 'and');
+    assert.deepEqual(ast.children[2], { type: 'field', field: 'due', op: '<', value: '2026-11-01' });
+    assert.deepEqual(ast.children[4], { type: 'not', child: { type: 'field', field: 'tag', op: '=', value: 'someday' } });
+  });
+
+  it('only treats capitalised OR, AND and NOT as operators', () => {
+    assert.equal(query.parseQuery('milk OR eggs').ast.type, 'or');
+    assert.deepEqual(query.parseQuery('this or that').ast.children.map(node => node.value), ['this', 'or', 'that']);
+  });
+
+  it('collects the words to search by meaning, without negated ones', () => {
+    assert.equal(query.parseQuery('tag:uni "stats lecture" -essay notes').text, 'stats lecture notes');
+  });
+
+  it('reports problems with their position and keeps the rest', () => {
+    const { ast, errors } = query.parseQuery('tag:uni priority:urgent (due:today');
+    assert.deepEqual(errors.map(({ start, end }) => [start, end]), [[8, 23], [24, 25]]);
+    assert.match(errors[0].message, /expected low, medium, high/);
+    assert.equal(errors[1].message, 'Missing )');
+    assert.deepEqual(ast.children[0], { type: 'field', field: 'tag', op: '=', value: 'uni' });
+  });
+
+  it('rejects dates that do not exist', () => {
+    assert.match(query.parseQuery('due:2026-02-30').errors[0].message, /not a real date/);
+  });
+
+  it('leaves unknown prefixes as plain words', () => {
+    const { ast, errors } = query.parseQuery('note:call');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(ast, { type: 'text', value: 'note:call' });
+  });
+});
+
+describe('matchesQuery', () => {
+  it('matches everything for an empty query', () => {
+    assert.deepEqual(matching('  '), [1, 2, 3, 4]);
+  });
+
+  it('combines tags, types and negation', () => {
+    assert.deepEqual(matching('tag:uni -tag:someday'), [1, 2]);
+    assert.deepEqual(matching('type:event OR type:task'), [1, 2]);
+    assert.deepEqual(matching('type:general'), [3, 4]);
+  });
+
+  it('compares due dates against days and periods', () => {
+    assert.deepEqual(matching('due:<2026-11-01'), [1, 4]);
+    assert.deepEqual(matching('due:this-week'), [1]);
+    assert.deepEqual(matching('due:>this-week'), [2]);
+    assert.deepEqual(matching('due:overdue'), [4]);
+    assert.deepEqual(matching('due:none'), [3]);
+  });
+
+  it('reads capture dates as weeks starting on Monday', () => {
+    // Saturday the 17th is last week; Sunday the 11th the week before
+    assert.deepEqual(matching('created:last-week'), [1, 2]);
+    assert.deepEqual(matching('created:this-week'), [4]);
+    assert.deepEqual(matching('created:today'), [4]);
+  });
+
+  it('treats a missing priority as medium', () => {
+    assert.deepEqual(matching('priority:>=medium'), [1, 2, 3]);
+    assert.deepEqual(matching('priority:<medium'), [4]);
+  });
+
+  it('finds words in content, tags and context', () => {
+    assert.deepEqual(matching('uni'), [1, 2, 3, 4]);
+    assert.deepEqual(matching('context:uni'), [4]);
+    assert.deepEqual(matching('(milk OR essay) has:due'), [2, 4]);
+  });
+
+  it('lets the caller widen plain-word matches', () => {
+    const ast = query.parseQuery('exercise tag:uni').ast;
+    const matchText = (idea) => idea.id === 1;
+    assert.deepEqual(IDEAS.filter(idea => query.matchesQuery(ast, idea, { now: NOW, matchText })).map(idea => idea.id), [1]);
+  });
+});
+
+describe('suggestQueryCompletions', () => {
+  it('suggests field names, then values', () => {
+    const fields = query.suggestQueryCompletions('-ty', 3);
+    assert.equal(fields.start, 1);
+    assert.deepEqual(fields.suggestions.map(suggestion => suggestion.value), ['type:']);
+
+    const tags = query.suggestQueryCompletions('tag:u due:today', 5, { tags: ['uni', 'urgent', 'errands'] });
+    assert.deepEqual([tags.start, tags.end], [0, 5]);
+    assert.deepEqual(tags.suggestions.map(suggestion => suggestion.value), ['tag:uni', 'tag:urgent']);
+  });
+
+  it('offers OR and NOT only in capitals', () => {
+    assert.deepEqual(query.suggestQueryCompletions('milk O', 6).suggestions.map(suggestion => suggestion.value), ['OR']);
+    assert.deepEqual(query.suggestQueryCompletions('milk o', 6).suggestions, []);
+  });
+});
+
+describe('POST /api/organize-ideas with a query', () => {
+  it('organizes only the matching ideas', async () => {
+    const response = await app.post('/api/organize-ideas', { ideas: IDEAS, query: 'tag:uni -tag:someday' });
+    assert.equal(response.status, 200);
+    assert.ok(response.body.summary);
+    assert.deepEqual(response.body.query, { text: 'tag:uni -tag:someday', matched: 2, total: 4 });
+  });
+
+  it('answers without the model when nothing matches', async () => {
+    const before = (await app.get('/api/budget')).body.remaining;
+    const response = await app.post('/api/organize-ideas', { ideas: IDEAS, query: 'tag:gym' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, {
+      summary: 'No ideas match "tag:gym".',
+      themes: [],
+      nextSteps: [],
+      query: { text: 'tag:gym', matched: 0, total: 4 },
+    });
+    const after = (await app.get('/api/budget')).body.remaining;
+    assert.equal(after.tokens, before.tokens);
+  });
+
+  it('rejects a query that does not parse', async () => {
+    const response = await app.post('/api/organize-ideas', { ideas: IDEAS, query: 'priority:urgent' });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.problems, ['body.query: priority:urgent - expected low, medium, high (at character 1)']);
+  });
+});
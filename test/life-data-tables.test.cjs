@@ -0,0 +1,51 @@
+/**
+ * Life data sync mappings (src/utils/lifeDataTables.js): records keep what the
+ * app relies on after a round trip through their Supabase rows
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let tables;
+let progress;
+before(async () => {
+  ({ LIFE_DATA_TABLES: tables } = await import('../src/utils/lifeDataTables.js'));
+  progress = await import('../src/utils/routineProgress.js');
+});
+
+const roundTrip = (key, record) => {
+  const { toRow, fromRow } = tables[key];
+  return fromRow(toRow(record));
+};
+
+describe('neural-logs', () => {
+  const TIMER_LOG = {
+    id: 1792396800000,
+    timestamp: '2026-10-19T08:30:00.000Z',
+    timePeriod: 'morning',
+    energy: 7,
+    motivation: 6,
+    activity: 'Reading',
+    subject: null,
+    subjectHierarchy: null,
+    duration: 30,
+    routineId: 'read',
+    note: '',
+  };
+
+  it('keeps every field of a log', () => {
+    assert.deepEqual(roundTrip('neural-logs', TIMER_LOG), TIMER_LOG);
+    assert.equal(roundTrip('neural-logs', { ...TIMER_LOG, routineId: undefined }).routineId, null);
+  });
+
+  it('still credits the routine a timer log was for', () => {
+    const logs = [roundTrip('neural-logs', TIMER_LOG)];
+    const reading = { id: 'read', text: 'Read 30 minutes', target: { type: 'duration', amount: 30, unit: 'min' } };
+
+    const loggedMinutes = progress.loggedMinutesOn(logs, '2026-10-19');
+    assert.deepEqual(loggedMinutes, { read: 30 });
+    const [item] = progress.applyLoggedMinutes([reading], loggedMinutes);
+    assert.equal(item.completed, true);
+    assert.equal(progress.itemCredit(item), 1);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Notification queue (src/utils/notificationScheduler.js): when routines,
+ * deadlines, events and smart reminders fire, held back by quiet hours and
+ * moved by snoozes
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Behind UTC, so the app's day (getTodayString(), a UTC date) turns over in the
+// local evening - UTC-4 in October
+process.env.TZ = 'America/New_York';
+
+let scheduler;
+before(async () => {
+  scheduler = await import('../src/utils/notificationScheduler.js');
+});
+
+// Local time on a date (Monday 19 October 2026 by default)
+const at = (time, date = '2026-10-19') => new Date(`${date}T${time}:00`).getTime();
+const NOW = at('06:00');
+
+const settingsWith = (overrides = {}) => ({
+  ...scheduler.DEFAULT_NOTIFICATION_SETTINGS,
+  quietHours: { enabled: false, start: '22:30', end: '07:30' },
+  ...overrides,
+});
+
+const queue = (sources) => scheduler.buildNotificationQueue({ settings: settingsWith(), now: NOW, ...sources });
+
+describe('buildNotificationQueue', () => {
+  it('nudges unfinished routines at their category\'s time on the checklist\'s day', () => {
+    const checklist = {
+      date: '2026-10-19',
+      items: [
+        { id: 'bed', text: 'Make the bed', category: 'Morning', completed: true },
+        { id: 'water', text: 'Drink water', category: 'Throughout Day', target: { type: 'count', amount: 8, unit: 'glasses' }, progress: 3 },
+        { id: 'read', text: 'Read', category: 'Evening' },
+      ],
+    };
+    const notifications = queue({ checklist });
+    assert.deepEqual(notifications.map(n => [n.id, n.fireAt]), [['water', at('13:00')], ['read', at('19:00')]]);
+    assert.equal(notifications[0].key, 'routine:water:2026-10-19');
+    assert.match(notifications[0].body, /^Drink water \(3\//);
+    assert.deepEqual(queue({ checklist: { ...checklist, date: '2026-10-18' } }), []);
+  });
+
+  it('keeps routine nudges on their checklist\'s day when the app\'s day turns over first', () => {
+    // 21:00 on the 19th here is already the 20th in UTC, and the checklist is the 20th's
+    const now = at('21:00');
+    const items = [
+      { id: 'stretch', text: 'Stretch', category: 'Morning' },
+      { id: 'teeth', text: 'Floss', category: 'Before Bed' },
+    ];
+    const notifications = queue({ checklist: { date: '2026-10-20', items }, now });
+    // Its bedtime nudge is tomorrow night, past the lookahead - not tonight
+    assert.deepEqual(notifications.map(n => [n.key, n.fireAt]), [['routine:stretch:2026-10-20', at('08:00', '2026-10-20')]]);
+    // Yesterday's (in UTC) checklist is done with
+    assert.deepEqual(queue({ checklist: { date: '2026-10-19', items }, now }), []);
+  });
+
+  it('reminds of deadlines the day before and on the day, at the deadline time', () => {
+    const idea = { id: 7, content: 'Send the report', dueDate: '2026-10-20' };
+    const dayBefore = queue({ ideas: [idea] });
+    assert.deepEqual(dayBefore.map(n => [n.title, n.fireAt]), [['Due tomorrow', at('09:00')]]);
+
+    const onTheDay = queue({ ideas: [idea], now: at('06:00', '2026-10-20') });
+    assert.deepEqual(onTheDay.map(n => [n.title, n.fireAt]), [['Due today', at('09:00', '2026-10-20')]]);
+
+    const later = queue({ ideas: [idea], settings: settingsWith({ deadlineTime: '17:15' }) });
+    assert.equal(later[0].fireAt, at('17:15'));
+  });
+
+  it('skips deadlines of drafts and ideas already acted on', () => {
+    const ideas = [
+      { id: 1, content: 'Draft', dueDate: '2026-10-20', isDraft: true },
+      { id: 2, content: 'Done', dueDate: '2026-10-20' },
+    ];
+    assert.deepEqual(queue({ ideas, reminderHistory: [{ ideaId: '2', actionTaken: true }] }), []);
+  });
+
+  it('fires events their lead time before they start', () => {
+    const events = [{ id: 'standup', title: 'Standup', start: new Date(at('10:00')).toISOString() }, { id: 'no-start' }];
+    assert.deepEqual(queue({ events }).map(n => [n.id, n.fireAt]), [['standup', at('09:50')]]);
+    const early = queue({ events, settings: settingsWith({ eventLeadMinutes: 45 }) });
+    assert.equal(early[0].fireAt, at('09:15'));
+    assert.equal(early[0].body, 'Starts in 45 minutes');
+  });
+
+  it('shows loud smart reminders as soon as they are fetched', () => {
+    const smartReminders = {
+      fetchedAt: NOW,
+      reminders: [{ id: 3, content: 'Call back', shouldPlaySound: true }, { id: 4, content: 'Quiet one' }],
+    };
+    assert.deepEqual(queue({ smartReminders }).map(n => [n.id, n.fireAt]), [[3, NOW]]);
+    assert.deepEqual(queue({ smartReminders, settings: settingsWith({ smart: false }) }), []);
+  });
+
+  it('holds notifications in quiet hours back until they end', () => {
+    const quietHours = { enabled: true, start: '22:30', end: '07:30' };
+    const events = [
+      { id: 'late', start: new Date(at('23:10')).toISOString() },
+      { id: 'early', start: new Date(at('06:10', '2026-10-20')).toISOString() },
+    ];
+    const notifications = queue({ events, settings: settingsWith({ quietHours }), now: at('21:00') });
+    assert.deepEqual(notifications.map(n => [n.id, n.fireAt]), [
+      ['late', at('07:30', '2026-10-20')],
+      ['early', at('07:30', '2026-10-20')],
+    ]);
+    assert.equal(scheduler.isQuietTime(at('12:00'), { ...quietHours, enabled: false }), false);
+    assert.equal(scheduler.deferPastQuietHours(at('12:00'), quietHours), at('12:00'));
+  });
+
+  it('puts snoozed notifications at their snooze time, even in quiet hours', () => {
+    const events = [{ id: 'standup', start: new Date(at('10:00')).toISOString() }];
+    const [event] = queue({ events });
+    const snoozes = { [event.key]: at('23:00') };
+    const settings = settingsWith({ quietHours: { enabled: true, start: '22:30', end: '07:30' } });
+    const [snoozed] = queue({ events, snoozes, settings, shownKeys: new Set([event.key]) });
+    assert.equal(snoozed.fireAt, at('23:00'));
+    assert.equal(snoozed.snoozed, true);
+  });
+
+  it('leaves out what was shown, long missed or more than a day away', () => {
+    const events = [
+      ['shown', at('12:00')],
+      ['missed', at('05:30')],
+      ['just-missed', at('06:05')],
+      ['tomorrow', at('06:05', '2026-10-20')],
+      ['too-far', at('06:20', '2026-10-20')],
+    ].map(([id, start]) => ({ id, start: new Date(start).toISOString() }));
+    const shownKeys = new Set(queue({ events }).filter(n => n.id === 'shown').map(n => n.key));
+    assert.deepEqual(queue({ events, shownKeys }).map(n => n.id), ['just-missed', 'tomorrow']);
+  });
+});
+
+describe('recordReminderEvent', () => {
+  it('counts shows, dismissals and snoozes, and marks ideas done', () => {
+    const shownAt = '2026-10-19T09:00:00.000Z';
+    let history = scheduler.recordReminderEvent([], 7, 'shown', shownAt);
+    history = scheduler.recordReminderEvent(history, '7', 'snooze');
+    history = scheduler.recordReminderEvent(history, 7, 'snooze');
+    history = scheduler.recordReminderEvent(history, 7, 'dismiss');
+    history = scheduler.recordReminderEvent(history, 8, 'done');
+    assert.deepEqual(history, [
+      { ideaId: 7, lastShown: shownAt, showCount: 1, dismissCount: 1, snoozeCount: 2, actionTaken: false },
+      { ideaId: 8, lastShown: null, showCount: 0, dismissCount: 0, snoozeCount: 0, actionTaken: true },
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Push subscription stores (server/push/subscriptions.cjs): an endpoint stays
+ * with the user who saved it, in memory and in the push_subscriptions table
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, createSubscriptionStore } = require('../server/push/subscriptions.cjs');
+
+// The part of supabase-js the store uses, over one in-memory push_subscriptions table
+const fakeSupabase = () => {
+  const rows = [];
+  const query = (op, values) => {
+    const filters = [];
+    const matching = () => rows.filter(row => filters.every(([column, test]) => test(row[column])));
+    const run = () => {
+      if (op === 'insert') {
+        if (rows.some(row => row.endpoint === values.endpoint)) {
+          return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+        }
+        rows.push({ ...values, created_at: new Date().toISOString(), last_modified: Date.now() });
+        return { data: null, error: null };
+      }
+      const found = matching();
+      if (op === 'update') found.forEach(row => Object.assign(row, values, { last_modified: Date.now() }));
+      if (op === 'delete') found.forEach(row => rows.splice(rows.indexOf(row), 1));
+      return { data: found.map(row => ({ ...row })), error: null };
+    };
+    const builder = {
+      select: () => builder,
+      eq: (column, value) => {
+        filters.push([column, actual => actual === value]);
+        return builder;
+      },
+      in: (column, values) => {
+        filters.push([column, actual => values.includes(actual)]);
+        return builder;
+      },
+      order: () => builder,
+      maybeSingle: async () => {
+        const { data } = run();
+        return { data: data[0] || null, error: null };
+      },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+    };
+    return builder;
+  };
+  return {
+    rows,
+    from: () => ({
+      select: () => query('select'),
+      insert: (values) => query('insert', values),
+      update: (values) => query('update', values),
+      delete: () => query('delete'),
+    }),
+  };
+};
+
+const subscription = (userId, keys = { p256dh: `${userId}-key`, auth: `${userId}-auth` }) => ({
+  endpoint: 'https://fcm.googleapis.com/fcm/send/device-1',
+  keys,
+  userId,
+  timezone: 'UTC',
+  quietHours: null,
+});
+
+const stores = [
+  ['memory', () => createMemoryStore()],
+  ['supabase', () => createSubscriptionStore({ supabase: fakeSupabase() })],
+];
+
+stores.forEach(([name, createStore]) => {
+  describe(`${name} store`, () => {
+    it('updates a device its user saves again', async () => {
+      const store = createStore();
+      assert.equal(await store.save(subscription('alice')), true);
+      assert.equal(await store.save({ ...subscription('alice'), timezone: 'Europe/Berlin' }), true);
+
+      const saved = await store.list();
+      assert.equal(saved.length, 1);
+      assert.equal(saved[0].timezone, 'Europe/Berlin');
+    });
+
+    it('refuses another user\'s endpoint until it is removed', async () => {
+      const store = createStore();
+      await store.save(subscription('alice'));
+
+      assert.equal(await store.save(subscription('bob')), false);
+      const [saved] = await store.list();
+      assert.equal(saved.userId, 'alice');
+      assert.deepEqual(saved.keys, subscription('alice').keys);
+
+      assert.equal(await store.remove({ endpoint: saved.endpoint, userId: 'bob' }), 0);
+      assert.equal(await store.remove({ endpoint: saved.endpoint, userId: 'alice' }), 1);
+      assert.equal(await store.save(subscription('bob')), true);
+      assert.equal((await store.list())[0].userId, 'bob');
+    });
+  });
+});
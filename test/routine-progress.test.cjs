@@ -0,0 +1,80 @@
+/**
+ * Count and duration routines (src/utils/routineProgress.js): targets read from
+ * a routine's text, and the partial credit they give towards the day
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let progress;
+before(async () => {
+  progress = await import('../src/utils/routineProgress.js');
+});
+
+const WATER = { id: 'water', target: { type: 'count', amount: 8, unit: 'glasses' } };
+const READING = { id: 'read', target: { type: 'duration', amount: 30, unit: 'min' } };
+
+describe('targetFromText', () => {
+  it('reads durations in minutes', () => {
+    assert.deepEqual(progress.targetFromText('Read 30 minutes'), { type: 'duration', amount: 30, unit: 'min' });
+    assert.deepEqual(progress.targetFromText('1.5 hours of piano'), { type: 'duration', amount: 90, unit: 'min' });
+    assert.deepEqual(progress.targetFromText('Stretch 10m'), { type: 'duration', amount: 10, unit: 'min' });
+  });
+
+  it('reads counts of more than one thing', () => {
+    assert.deepEqual(progress.targetFromText('Drink 8 glasses of water'), { type: 'count', amount: 8, unit: 'glasses' });
+    assert.deepEqual(progress.targetFromText('3 Pomodoros'), { type: 'count', amount: 3, unit: 'pomodoros' });
+    assert.deepEqual(progress.targetFromText('Walk 2 miles'), { type: 'count', amount: 2, unit: 'miles' });
+  });
+
+  it('leaves plain routines without a target', () => {
+    assert.equal(progress.targetFromText('Make the bed'), null);
+    assert.equal(progress.targetFromText('Take 1 vitamin'), null);
+    assert.equal(progress.targetFromText(), null);
+  });
+});
+
+describe('itemCredit', () => {
+  it('gives plain routines all or nothing', () => {
+    assert.equal(progress.itemCredit({ id: 'bed', completed: true }), 1);
+    assert.equal(progress.itemCredit({ id: 'bed', completed: false }), 0);
+  });
+
+  it('gives target routines their share, with logged minutes counted', () => {
+    assert.equal(progress.itemCredit({ ...WATER, progress: 2 }), 0.25);
+    assert.equal(progress.itemCredit({ ...READING, progress: 5, logged: 10 }), 0.5);
+    assert.equal(progress.itemCredit({ ...WATER, progress: 12 }), 1);
+    assert.equal(progress.itemCredit({ ...WATER, progress: 3, completed: true }), 1);
+  });
+
+  it('ignores broken targets', () => {
+    assert.equal(progress.itemCredit({ id: 'x', target: { type: 'count', amount: 0 }, progress: 3 }), 0);
+    assert.equal(progress.itemCredit({ id: 'x', target: { type: 'distance', amount: 5 }, progress: 3 }), 0);
+  });
+});
+
+describe('checklistCompletionRate', () => {
+  it('averages the credit of every item', () => {
+    const items = [
+      { id: 'bed', completed: true },
+      { id: 'floss', completed: false },
+      { ...WATER, progress: 4 },
+      { ...READING, logged: 30, completed: true },
+    ];
+    assert.equal(progress.checklistCompletionRate(items), (1 + 0 + 0.5 + 1) / 4);
+  });
+
+  it('is 0 when nothing is due', () => {
+    assert.equal(progress.checklistCompletionRate([]), 0);
+    assert.equal(progress.checklistCompletionRate(), 0);
+  });
+
+  it('follows an item completed through its progress', () => {
+    const done = progress.withProgress(WATER, { progress: 8 });
+    assert.equal(done.completed, true);
+    assert.ok(done.completedAt);
+    const undone = progress.withProgress(done, { progress: 7 });
+    assert.equal(undone.completed, false);
+    assert.equal(progress.checklistCompletionRate([undone]), 7 / 8);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * DailyChecklist routine schedules (src/utils/routineSchedule.js): which days a
+ * schedule is due, streaks over the scheduled days, and schedules made from ideas
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let schedule;
+before(async () => {
+  schedule = await import('../src/utils/routineSchedule.js');
+});
+
+// Monday 19 October 2026
+const MONDAY = '2026-10-19';
+
+const dueDays = (rule, from, days, options) => Array.from({ length: days }, (_, i) => schedule.addDays(from, i))
+  .filter(date => schedule.isScheduledOn(rule, date, options));
+
+describe('isScheduledOn', () => {
+  it('is due every day without a schedule', () => {
+    assert.equal(dueDays(undefined, MONDAY, 7).length, 7);
+  });
+
+  it('counts daily intervals from the start date', () => {
+    assert.deepEqual(
+      dueDays({ freq: 'daily', interval: 3, startDate: '2026-10-20' }, MONDAY, 8),
+      ['2026-10-20', '2026-10-23', '2026-10-26']
+    );
+  });
+
+  it('repeats weekly on the chosen weekdays, every N weeks', () => {
+    const rule = { freq: 'weekly', interval: 2, byWeekday: [1, 3], startDate: MONDAY };
+    assert.deepEqual(dueDays(rule, MONDAY, 21), ['2026-10-19', '2026-10-21', '2026-11-02', '2026-11-04']);
+  });
+
+  it('falls back to the start date\'s weekday and month day', () => {
+    assert.deepEqual(dueDays({ freq: 'weekly', startDate: '2026-10-21' }, MONDAY, 14), ['2026-10-21', '2026-10-28']);
+    assert.deepEqual(dueDays({ freq: 'monthly', startDate: '2026-10-20' }, MONDAY, 63), ['2026-10-20', '2026-11-20', '2026-12-20']);
+  });
+
+  it('puts the 31st and the last day on the end of shorter months', () => {
+    assert.deepEqual(dueDays({ freq: 'monthly', byMonthDay: 31, startDate: '2026-10-01' }, '2026-10-01', 92), ['2026-10-31', '2026-11-30', '2026-12-31']);
+    assert.deepEqual(dueDays({ freq: 'monthly', byMonthDay: -1, startDate: '2027-01-01' }, '2027-02-01', 28), ['2027-02-28']);
+  });
+
+  it('keeps to the date range and skips holidays when asked', () => {
+    const holidays = [{ name: 'Half term', start: '2026-10-21', end: '2026-10-22' }];
+    const rule = { freq: 'daily', startDate: '2026-10-20', endDate: '2026-10-24', skipHolidays: true };
+    assert.deepEqual(dueDays(rule, MONDAY, 7, { holidays }), ['2026-10-20', '2026-10-23', '2026-10-24']);
+    assert.equal(dueDays({ ...rule, skipHolidays: false }, MONDAY, 7, { holidays }).length, 5);
+  });
+
+  it('still skips days when a schedule has no start date', () => {
+    assert.equal(dueDays({ freq: 'daily', interval: 2, startDate: null }, MONDAY, 10).length, 5);
+    assert.equal(dueDays({ freq: 'weekly', startDate: null }, MONDAY, 14).length, 2);
+  });
+});
+
+describe('calculateStreak', () => {
+  const today = '2026-10-24'; // Saturday
+  const gym = { id: 'gym', schedule: { freq: 'weekly', byWeekday: [1, 3, 5], startDate: '2026-10-01' } };
+  const day = (completionRate) => ({ completionRate, totalItems: 1 });
+
+  it('counts only the days something was due', () => {
+    const history = { '2026-10-19': day(1), '2026-10-21': day(0.8), '2026-10-23': day(1) };
+    assert.equal(schedule.calculateStreak(history, [gym], { today }), 3);
+  });
+
+  it('adds today once it is done, without breaking on an unfinished today', () => {
+    const history = { '2026-10-23': day(1) };
+    assert.equal(schedule.calculateStreak(history, [gym], { today, todayRate: 0.7 }), 2);
+    assert.equal(schedule.calculateStreak(history, [gym], { today, todayRate: 0.2 }), 1);
+  });
+
+  it('ends at a due day that was missed or below the threshold', () => {
+    assert.equal(schedule.calculateStreak({ '2026-10-19': day(1), '2026-10-23': day(1) }, [gym], { today }), 1);
+    assert.equal(schedule.calculateStreak({ '2026-10-21': day(1), '2026-10-23': day(0.5) }, [gym], { today }), 0);
+  });
+
+  it('treats holidays as rest days', () => {
+    const history = { '2026-10-19': day(1), '2026-10-23': day(1) };
+    const skipping = { ...gym, schedule: { ...gym.schedule, skipHolidays: true } };
+    const holidays = [{ name: 'Off', start: '2026-10-21' }];
+    assert.equal(schedule.calculateStreak(history, [skipping], { today, holidays }), 2);
+  });
+});
+
+describe('scheduleFromRecurrence', () => {
+  it('picks weekdays named in the text', () => {
+    assert.deepEqual(
+      schedule.scheduleFromRecurrence('weekly', { content: 'Gym Mon/Wed/Fri', date: MONDAY }),
+      { freq: 'weekly', interval: 1, byWeekday: [1, 3, 5], startDate: MONDAY }
+    );
+    // Without a detected recurrence, only full day names count
+    assert.deepEqual(schedule.scheduleFromRecurrence('none', { content: 'Sat down and planned', date: MONDAY }), {
+      freq: 'daily', interval: 1, startDate: MONDAY,
+    });
+    assert.deepEqual(schedule.scheduleFromRecurrence('none', { content: 'Call grandma on Sundays', date: MONDAY }).byWeekday, [0]);
+  });
+
+  it('reads "every other" and "every N" as the interval', () => {
+    assert.deepEqual(
+      schedule.scheduleFromRecurrence('weekly', { content: 'Laundry every other Sunday', date: MONDAY }),
+      { freq: 'weekly', interval: 2, byWeekday: [0], startDate: MONDAY }
+    );
+    assert.equal(schedule.scheduleFromRecurrence('none', { content: 'Every other Sunday: long run', date: MONDAY }).interval, 2);
+    assert.equal(schedule.scheduleFromRecurrence('weekly', { content: 'Team sync fortnightly', date: MONDAY }).interval, 2);
+    assert.equal(schedule.scheduleFromRecurrence('daily', { content: 'Water plants every 3 days', date: MONDAY }).interval, 3);
+    assert.equal(schedule.scheduleFromRecurrence('monthly', { content: 'Pay rent', date: MONDAY }).byMonthDay, 19);
+  });
+
+  it('repeats weekly on the start date\'s weekday when none is named', () => {
+    assert.deepEqual(schedule.scheduleFromRecurrence('weekly', { content: 'Review budget', date: '2026-10-22' }).byWeekday, [4]);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Code sandbox on a host without network namespaces: it refuses to run code
+ * unless SANDBOX_ALLOW_UNISOLATED opts in, and then grades test cases
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// No unshare on the PATH - the JavaScript runtime and /bin/sh are absolute paths
+const originalPath = process.env.PATH;
+process.env.PATH = '';
+delete process.env.SANDBOX_ALLOW_UNISOLATED;
+
+const { runCodeInSandbox } = require('../server/sandbox.cjs');
+
+after(() => {
+  process.env.PATH = originalPath;
+});
+
+describe('runCodeInSandbox without network isolation', () => {
+  it('refuses to run code', async () => {
+    const execution = await runCodeInSandbox('console.log(1)', 'javascript');
+    assert.equal(execution.available, false);
+    assert.match(execution.reason, /network/);
+  });
+
+  describe('with SANDBOX_ALLOW_UNISOLATED=true', () => {
+    before(() => {
+      process.env.SANDBOX_ALLOW_UNISOLATED = 'true';
+    });
+    after(() => {
+      delete process.env.SANDBOX_ALLOW_UNISOLATED;
+    });
+
+    it('runs the code and says it was not isolated', async () => {
+      const execution = await runCodeInSandbox('function add(a, b) { return a + b; }', 'javascript', [
+        { input: '1, 2', expectedOutput: '3' },
+        { input: 'add(2, 2)', expectedOutput: '5' },
+      ]);
+      assert.equal(execution.available, true);
+      assert.equal(execution.networkIsolated, false);
+      assert.deepEqual(execution.tests.map(test => test.passed), [true, false]);
+    });
+
+    it('calls entry functions whose names are not valid regular expressions', async () => {
+      const execution = await runCodeInSandbox('const $sum = (a, b) => a + b;', 'javascript', [
+        { input: '$sum(1, 2)', expectedOutput: '3' },
+        { input: '4, 5', expectedOutput: '9' },
+      ]);
+      assert.equal(execution.entry, '$sum');
+      assert.deepEqual(execution.tests.map(test => [test.passed, test.error]), [[true, null], [true, null]]);
+    });
+  });
+});
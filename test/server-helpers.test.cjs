@@ -0,0 +1,311 @@
+/**
+ * Pure helpers behind the routes: reminder scoring, idea ranking, starter-code
+ * detection and subject normalization
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers/app.cjs');
+
+// The route modules pick their LLM provider and cache store when first required
+loadServer();
+
+const {
+  calculateForgetfulnessProfile,
+  calculateImportance,
+  calculateReminderFrequency,
+  calculateUrgency,
+} = require('../server/routes/reminders.cjs');
+const { normalizeSubject } = require('../server/routes/learning.cjs');
+const { attachThemeIdeaIds } = require('../server/routes/ideas.cjs');
+const { clusterNearDuplicates, findSimilar, hybridRank, keywordScore, tokenize } = require('../server/embeddings/ranking.cjs');
+const { isEmptyOrStarterCode } = require('../server/sandbox.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const logsWith = (count, forgetful = 0) => Array.from({ length: count }, (_, i) => ({
+  content: i < forgetful ? 'Forgot to review my notes' : 'Studied for an hour',
+}));
+
+const assertClose = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be close to ${expected}`);
+};
+
+describe('calculateForgetfulnessProfile', () => {
+  it('uses the average baseline with fewer than 10 logs', () => {
+    const baseline = { score: 0.65, category: 'Average', recommendedGenerations: 5 };
+    assert.deepEqual(calculateForgetfulnessProfile(undefined), baseline);
+    assert.deepEqual(calculateForgetfulnessProfile(logsWith(9, 9)), baseline);
+  });
+
+  it('clamps a spotless record to 0.2 (low forgetfulness)', () => {
+    assert.deepEqual(calculateForgetfulnessProfile(logsWith(10)), {
+      score: 0.2,
+      category: 'Low Forgetfulness',
+      recommendedGenerations: 8,
+    });
+  });
+
+  it('weights forgetting mentions in logs double', () => {
+    // 3 mentions x 2 / 10 logs
+    assert.deepEqual(calculateForgetfulnessProfile(logsWith(10, 3)), {
+      score: 0.6,
+      category: 'Average',
+      recommendedGenerations: 5,
+    });
+  });
+
+  it('clamps to 0.95 and reminds more often when forgetting is common', () => {
+    assert.deepEqual(calculateForgetfulnessProfile(logsWith(10, 10)), {
+      score: 0.95,
+      category: 'High Forgetfulness',
+      recommendedGenerations: 3,
+    });
+  });
+
+  it('counts unfinished checklist items', () => {
+    const checklist = { items: [{ completed: true }, { completed: false }, { completed: false }, { completed: false }] };
+    // (3 mentions x 2 + 0.75 x 10) / (10 logs + 10)
+    const profile = calculateForgetfulnessProfile(logsWith(10, 3), checklist);
+    assertClose(profile.score, 13.5 / 20);
+    assert.equal(profile.category, 'Average');
+  });
+
+  it('only reads the five most recent reviews', () => {
+    const reviews = [
+      ...Array.from({ length: 5 }, () => ({ content: 'I forgot the deadline again' })),
+      { content: 'Missed everything' },
+    ];
+    // (3 x 2 + 5 x 3) / (10 + 5 x 3)
+    const profile = calculateForgetfulnessProfile(logsWith(10, 3), null, reviews);
+    assertClose(profile.score, 21 / 25);
+    assert.equal(profile.category, 'High Forgetfulness');
+  });
+});
+
+describe('calculateImportance', () => {
+  const idea = (id, content, tags = []) => ({ id, content, tags });
+
+  it('starts neutral at 50', () => {
+    const plain = idea(1, 'buy milk');
+    assert.equal(calculateImportance(plain, [plain]), 50);
+  });
+
+  it('adds 5 per enthusiasm marker, up to 20', () => {
+    assert.equal(calculateImportance(idea(1, 'amazing idea!!'), []), 65);
+    assert.equal(calculateImportance(idea(1, 'yes!!!!!!! love it'), []), 70);
+  });
+
+  it('adds 15 for a priority tag', () => {
+    assert.equal(calculateImportance(idea(1, 'email the tutor', ['Work-stuff']), []), 65);
+  });
+
+  it('rewards topics that keep coming back', () => {
+    const target = idea(1, 'learn spanish vocabulary');
+    const similar = (count) => Array.from({ length: count }, (_, i) => idea(i + 2, `more spanish practice ${i}`));
+
+    assert.equal(calculateImportance(target, [target, ...similar(2)]), 50);
+    assert.equal(calculateImportance(target, [target, ...similar(3)]), 60);
+    assert.equal(calculateImportance(target, [target, ...similar(6)]), 70);
+  });
+
+  it('treats a shared tag as similar', () => {
+    const target = idea(1, 'gym', ['health']);
+    const others = Array.from({ length: 3 }, (_, i) => idea(i + 2, 'run', ['health']));
+    assert.equal(calculateImportance(target, [target, ...others]), 60);
+  });
+
+  it('compares meaning when it has embeddings', () => {
+    const target = idea(1, 'go for a run');
+    const others = [idea(2, 'gym'), idea(3, 'swim'), idea(4, 'yoga class'), idea(5, 'buy milk')];
+    // Exercise ideas point one way, the shopping one another
+    const vectors = new Map([[1, [1, 0]], [2, [0.9, 0.1]], [3, [0.8, 0.3]], [4, [1, 0.2]], [5, [0, 1]]]);
+
+    assert.equal(calculateImportance(target, [target, ...others]), 50);
+    assert.equal(calculateImportance(target, [target, ...others], vectors), 60);
+  });
+
+  it('never goes above 100', () => {
+    const target = idea(1, 'spanish exam!!!! amazing', ['urgent']);
+    const others = Array.from({ length: 6 }, (_, i) => idea(i + 2, `spanish ${i}`));
+    assert.equal(calculateImportance(target, [target, ...others]), 100);
+  });
+});
+
+describe('calculateUrgency', () => {
+  // Routes pass today at local midnight
+  const today = new Date(2026, 0, 15);
+  const dueIn = (days) => ({ dueDate: new Date(2026, 0, 15 + days, 12).toISOString() });
+  const createdDaysAgo = (days) => ({ timestamp: new Date(today.getTime() - days * DAY_MS).toISOString() });
+
+  it('scores undated items by how recently they were captured', () => {
+    assert.equal(calculateUrgency(createdDaysAgo(0), today), 50);
+    assert.equal(calculateUrgency(createdDaysAgo(2), today), 40);
+    assert.equal(calculateUrgency(createdDaysAgo(3), today), 30);
+  });
+
+  it('climbs as the due date gets closer', () => {
+    assert.equal(calculateUrgency(dueIn(-1), today), 100);
+    assert.equal(calculateUrgency(dueIn(0), today), 95);
+    assert.equal(calculateUrgency(dueIn(1), today), 85);
+    assert.equal(calculateUrgency(dueIn(2), today), 70);
+    assert.equal(calculateUrgency(dueIn(3), today), 55);
+    assert.equal(calculateUrgency(dueIn(7), today), 40);
+    assert.equal(calculateUrgency(dueIn(8), today), 30);
+  });
+});
+
+describe('calculateReminderFrequency', () => {
+  const profile = { score: 0.5 };
+  const reminder = (history = {}) => ({
+    importance: 50,
+    urgency: 50,
+    history: { lastShown: null, showCount: 0, dismissCount: 0, ...history },
+  });
+  const shownDaysAgo = (days) => new Date(Date.now() - days * DAY_MS - 60 * 1000).toISOString();
+
+  it('gives a never-shown reminder the full time bonus', () => {
+    // 50 base x 1.0 forgetfulness x 1.5 time bonus
+    assertClose(calculateReminderFrequency(reminder(), profile, 0, []), 75);
+  });
+
+  it('scales with forgetfulness', () => {
+    assertClose(calculateReminderFrequency(reminder(), { score: 0.9 }, 0, []), 50 * 1.4 * 1.5);
+  });
+
+  it('spreads attention when there are many reminders', () => {
+    assertClose(calculateReminderFrequency(reminder(), profile, 8, []), 75 / Math.log(10));
+  });
+
+  it('holds back reminders shown recently', () => {
+    assert.equal(calculateReminderFrequency(reminder({ lastShown: shownDaysAgo(0) }), profile, 0, []), 0);
+    assertClose(calculateReminderFrequency(reminder({ lastShown: shownDaysAgo(7) }), profile, 0, []), 50);
+    assertClose(calculateReminderFrequency(reminder({ lastShown: shownDaysAgo(30) }), profile, 0, []), 75);
+  });
+
+  it('shows dismissed reminders less, but never below 0.3x', () => {
+    assertClose(calculateReminderFrequency(reminder({ showCount: 4, dismissCount: 2 }), profile, 0, []), 37.5);
+    assertClose(calculateReminderFrequency(reminder({ showCount: 4, dismissCount: 4 }), profile, 0, []), 22.5);
+  });
+});
+
+describe('isEmptyOrStarterCode', () => {
+  it('treats missing and blank code as empty', () => {
+    assert.equal(isEmptyOrStarterCode(undefined), true);
+    assert.equal(isEmptyOrStarterCode(42), true);
+    assert.equal(isEmptyOrStarterCode('  \n\t '), true);
+  });
+
+  it('spots Python placeholders', () => {
+    assert.equal(isEmptyOrStarterCode('def solve(n):\n    pass'), true);
+    assert.equal(isEmptyOrStarterCode('# your code here\n# TODO'), true);
+    assert.equal(isEmptyOrStarterCode('def solve(n):\n    # TODO: implement\n    pass\n'), true);
+    assert.equal(isEmptyOrStarterCode('def solve(n):\n    return n * 2'), false);
+  });
+
+  it('spots JavaScript placeholders', () => {
+    assert.equal(isEmptyOrStarterCode('// write your code here', '', 'javascript'), true);
+    assert.equal(isEmptyOrStarterCode('function solve(n) {}', '', 'js'), true);
+    assert.equal(isEmptyOrStarterCode('const solve = (n) => { }', '', 'ts'), true);
+    assert.equal(isEmptyOrStarterCode('const solve = (n) => n * 2;', '', 'javascript'), false);
+  });
+
+  it('spots comment-only R', () => {
+    assert.equal(isEmptyOrStarterCode('# fit the model here', '', 'r'), true);
+    assert.equal(isEmptyOrStarterCode('mean(c(1, 2, 3))', '', 'r'), false);
+  });
+
+  it('treats unchanged starter code as empty, whitespace aside', () => {
+    const starter = 'solve <- function(n) {\n  n\n}';
+    assert.equal(isEmptyOrStarterCode(starter, starter, 'r'), true);
+    assert.equal(isEmptyOrStarterCode('solve <- function(n) { n }', starter, 'r'), true);
+    assert.equal(isEmptyOrStarterCode('solve <- function(n) { n + 1 }', starter, 'r'), false);
+  });
+});
+
+describe('normalizeSubject', () => {
+  it('keeps lower-case letters and digits only', () => {
+    assert.equal(normalizeSubject('  Linear Algebra II '), 'linearalgebraii');
+    assert.equal(normalizeSubject('STAT-2001: Regression'), 'stat2001regression');
+    assert.equal(normalizeSubject('Économie'), 'conomie');
+  });
+
+  it('maps spelling variants to the same key', () => {
+    assert.equal(normalizeSubject('Machine-Learning'), normalizeSubject('machine learning'));
+  });
+});
+
+describe('attachThemeIdeaIds', () => {
+  const IDEAS = [
+    { id: 'a', content: 'Finish the statistics course' },
+    { id: 'b', content: 'Walk after lunch' },
+    { id: 'c', content: 'Stretch before bed' },
+  ];
+
+  it('maps idea numbers to ids and drops the numbers', () => {
+    const organized = attachThemeIdeaIds({
+      summary: 'S',
+      themes: [{ name: 'Health', ideaNumbers: [2, '3', 9], ideas: [] }],
+      nextSteps: [],
+    }, IDEAS);
+    assert.deepEqual(organized.themes, [{ name: 'Health', ideas: [], ideaIds: ['b', 'c'] }]);
+  });
+
+  it('matches quoted ideas by text when numbers are missing', () => {
+    const organized = attachThemeIdeaIds({
+      themes: [
+        { name: 'Study', ideas: [{ content: '  finish the Statistics course' }, 'Walk after lunch', { content: 'Something new' }] },
+        { name: 'Both', ideaNumbers: [1], ideas: [{ content: 'Finish the statistics course' }] },
+      ],
+    }, IDEAS);
+    assert.deepEqual(organized.themes.map(theme => theme.ideaIds), [['a', 'b'], ['a']]);
+  });
+});
+
+describe('idea ranking', () => {
+  const IDEAS = [
+    { id: 1, content: 'Plan the running route', tags: [], context: null },
+    { id: 2, content: 'Buy trainers', tags: ['running'] },
+    { id: 3, content: 'Call mum', tags: [], context: 'after running club' },
+    { id: 4, content: 'Pay rent', tags: ['money'] },
+  ];
+
+  it('stems and drops stopwords', () => {
+    assert.deepEqual(tokenize('Going for runs, planned the RUNNING route'), ['run', 'plan', 'run', 'route']);
+  });
+
+  it('weighs tags over content over context', () => {
+    const [content, tag, context] = IDEAS.slice(0, 3).map(item => keywordScore('running', item));
+    assert.ok(tag > content && content > context, `${tag} > ${content} > ${context}`);
+    assert.equal(keywordScore('running', IDEAS[3]), 0);
+  });
+
+  it('ranks by keywords alone without vectors', () => {
+    assert.deepEqual(hybridRank({ query: 'running', ideas: IDEAS }).map(result => result.id), [2, 1, 3]);
+  });
+
+  it('adds ideas that only match in meaning when it has vectors', () => {
+    const vectors = [[1, 0], [1, 0], [1, 0], [0.6, 0.8]];
+    const results = hybridRank({ query: 'exercise', ideas: IDEAS, queryVector: [0.6, 0.8], vectors });
+    assert.deepEqual(results.map(result => result.id), [4, 1, 2, 3]);
+    assert.deepEqual(results[0], { id: 4, score: 0.6, keywordScore: 0, semanticScore: 1 });
+  });
+
+  it('falls back to shared words for similar ideas and duplicates', () => {
+    const ideas = [
+      { id: 'a', content: 'Renew the passport' },
+      { id: 'b', content: 'renew passport' },
+      { id: 'c', content: 'Passport photos' },
+      { id: 'd', content: 'Water the plants' },
+    ];
+    assert.deepEqual(findSimilar({ idea: ideas[0], ideas }).map(result => result.id), ['b', 'c']);
+    assert.deepEqual(clusterNearDuplicates(ideas), [{ ids: ['a', 'b'], similarity: 1 }]);
+  });
+
+  it('clusters by the weakest link', () => {
+    const ideas = ['a', 'b', 'c', 'd'].map(id => ({ id, content: id }));
+    // a-b 0.96 and b-c 0.936 link a and c (0.8) through b
+    const vectors = [[1, 0], [0.96, 0.28], [0.8, 0.6], [0, 1]];
+    assert.deepEqual(clusterNearDuplicates(ideas, vectors), [{ ids: ['a', 'b', 'c'], similarity: 0.936 }]);
+  });
+});
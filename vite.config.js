@@ -1,8 +1,89 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { createRequire } from 'module'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const require = createRequire(import.meta.url)
+
+// Pyodide runtime files needed by the in-browser Python runner (src/workers/codeRunner.worker.js)
+const PYODIDE_FILES = ['pyodide.mjs', 'pyodide.asm.js', 'pyodide.asm.wasm', 'python_stdlib.zip', 'pyodide-lock.json']
+const PYODIDE_CONTENT_TYPES = {
+  '.mjs': 'text/javascript',
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+  '.zip': 'application/zip',
+  '.json': 'application/json',
+}
+
+// Serve Pyodide from node_modules in dev and copy it to dist/pyodide/ on build
+function pyodideAssets() {
+  const pyodideDir = path.dirname(require.resolve('pyodide/package.json'))
+
+  return {
+    name: 'pyodide-assets',
+    configureServer(server) {
+      server.middlewares.use('/pyodide', (req, res, next) => {
+        const file = PYODIDE_FILES.find(name => req.url.split('?')[0] === `/${name}`)
+        if (!file) return next()
+        res.setHeader('Content-Type', PYODIDE_CONTENT_TYPES[path.extname(file)])
+        fs.createReadStream(path.join(pyodideDir, file)).pipe(res)
+      })
+    },
+    generateBundle() {
+      for (const file of PYODIDE_FILES) {
+        this.emitFile({
+          type: 'asset',
+          fileName: `pyodide/${file}`,
+          source: fs.readFileSync(path.join(pyodideDir, file)),
+        })
+      }
+    },
+  }
+}
+
+// Build the service worker (src/workers/serviceWorker.js) with this build's precache list.
+// Pyodide is left out of the precache - it is cached the first time Python runs - and so are
+// KaTeX's legacy .ttf/.woff fonts, which browsers that support service workers never request.
+function serviceWorker() {
+  let root
+  let publicDir
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      root = config.root
+      publicDir = config.publicDir
+    },
+    generateBundle(_options, bundle) {
+      const builtFiles = Object.keys(bundle)
+        .filter(file => !file.startsWith('pyodide/') && !/\.(ttf|woff)$/.test(file))
+      const publicFiles = fs.existsSync(publicDir) ? fs.readdirSync(publicDir) : []
+      const precache = ['/', ...[...builtFiles, ...publicFiles].map(file => `/${file}`)]
+
+      const version = crypto.createHash('sha256')
+        .update(builtFiles.sort().join('\n'))
+        .update(bundle['index.html']?.source || '')
+        .digest('hex')
+        .slice(0, 12)
+
+      const source = fs.readFileSync(path.join(root, 'src/workers/serviceWorker.js'), 'utf8')
+        .replace('__BUILD_VERSION__', version)
+        .replace('self.__PRECACHE_MANIFEST__', JSON.stringify([...new Set(precache)]))
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), pyodideAssets(), serviceWorker()],
+  worker: {
+    format: 'es',
+  },
   server: {
     port: 3000,
     open: true,
@@ -19,4 +100,4 @@ export default defineConfig({
       }
     }
   }
-})
\ No newline at end of file
+})